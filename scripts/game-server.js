@@ -0,0 +1,115 @@
+/**
+ * game-server - Local authoritative co-op server
+ *
+ * Hosts a GameServer around the game's own store on this machine only, so
+ * two browser windows can play co-op against it. The server also owns the
+ * terrain (ChunkAuthority), generated from the same seed as the game's,
+ * and keeps count of the materials each player gets on it:
+ *
+ *   npm run server
+ *   npm run server -- --port 9000 --seed 777
+ *   npm run server -- --latency 100 --jitter 30   # try the game over a slow link
+ *
+ * then open the game with `?server=ws://127.0.0.1:8787` in each window.
+ *
+ * Options:
+ *   --port <n>      Port to listen on (default 8787)
+ *   --host <h>      Interface to bind (default 127.0.0.1)
+ *   --seed <n>      World seed (default 12345, the game's own)
+ *   --latency <ms>  Hold every message this long each way (default 0)
+ *   --jitter <ms>   Plus a random extra delay of up to this (default 0)
+ */
+
+/* eslint-disable no-console */
+import { GameServer } from '../src/server/GameServer.js';
+import { ChunkAuthority } from '../src/server/ChunkAuthority.js';
+import { DEFAULT_SERVER_HOST, DEFAULT_SERVER_PORT } from '../src/core/NetworkProtocol.js';
+import useGameStore from '../src/stores/useGameStore.js';
+
+const USAGE = 'Usage: npm run server -- [--port <n>] [--host <h>] [--seed <n>] [--latency <ms>] [--jitter <ms>]';
+
+// Experience.jsx generates its world from this seed
+const DEFAULT_SEED = 12345;
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_SERVER_PORT, host: DEFAULT_SERVER_HOST, seed: DEFAULT_SEED, latency: 0, jitter: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case '--':
+        break;
+      case '--port':
+        args.port = Number(value);
+        if (!Number.isInteger(args.port)) throw new Error(`--port expects a whole number, got '${value}'`);
+        i++;
+        break;
+      case '--host':
+        args.host = value;
+        i++;
+        break;
+      case '--seed':
+        args.seed = Number(value);
+        if (!Number.isInteger(args.seed)) throw new Error(`--seed expects a whole number, got '${value}'`);
+        i++;
+        break;
+      case '--latency':
+      case '--jitter': {
+        const ms = Number(value);
+        if (!Number.isFinite(ms) || ms < 0) throw new Error(`${flag} expects milliseconds, got '${value}'`);
+        args[flag.slice(2)] = ms;
+        i++;
+        break;
+      }
+      default:
+        throw new Error(`unknown option '${flag}'`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`game-server: ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  // The store starts on the title screen; the server world is always running
+  useGameStore.getState().setGameState('playing');
+
+  const server = new GameServer({
+    store: useGameStore,
+    world: new ChunkAuthority({ seed: args.seed }),
+    // Players only place and deposit what they mined or took out here
+    trackMaterials: true,
+    latency: args.latency,
+    jitter: args.jitter,
+  });
+  const { host, port } = await server.listen({ port: args.port, host: args.host });
+  console.log(`Game server listening on ws://${host}:${port} (world seed ${args.seed})`);
+  if (args.latency || args.jitter) {
+    console.log(`Delaying messages ${args.latency}-${args.latency + args.jitter} ms each way`);
+  }
+  console.log(`Join with ?server=ws://${host}:${port} in the game URL`);
+
+  let lastCount = 0;
+  const report = setInterval(() => {
+    if (server.clients.size !== lastCount) {
+      lastCount = server.clients.size;
+      console.log(`${lastCount} player(s) connected: ${Array.from(server.clients.keys()).join(', ') || '-'}`);
+    }
+  }, 1000);
+
+  const shutdown = async () => {
+    clearInterval(report);
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main();
@@ -0,0 +1,143 @@
+/**
+ * pregen-world - Generate a world headlessly, print its stats and save it
+ *
+ * Runs the game's own terrain generator (WorldPregen) under Node through
+ * vite-node, which resolves the JSON configs and module paths the same way
+ * the game build does.
+ *
+ *   npm run pregen -- --seed 12345 --radius 6
+ *   npm run pregen -- --seed 12345 --radius 6 --out starter.json
+ *   npm run pregen -- --seed 1,2,3 --radius 4 --json
+ *
+ * Options:
+ *   --seed <n[,n...]>   World seed; several seeds print stats side by side
+ *   --radius <n>        Radius in chunks (default 4)
+ *   --center <x,z>      Center chunk column (default 0,0)
+ *   --out <file>        Write a world bundle (one seed only); import it from
+ *                       the pause menu or with Game3DSaveManager.importWorld()
+ *   --slot <name>       Save slot the bundle imports into (default 'pregen')
+ *   --json              Print stats as JSON instead of a summary
+ */
+
+/* eslint-disable no-console */
+import fs from 'node:fs';
+import { pregenerateWorld, collectWorldStats } from '../src/systems/chunks/WorldPregen.js';
+import { createWorldBundle } from '../src/persistence/WorldBundle.js';
+
+const USAGE = 'Usage: npm run pregen -- --seed <n[,n...]> [--radius <n>] [--center <x,z>] '
+  + '[--out <file>] [--slot <name>] [--json]';
+
+function parseArgs(argv) {
+  const args = { seeds: [], radius: 4, centerX: 0, centerZ: 0, out: null, slot: 'pregen', json: false };
+  const parseInteger = (flag, value) => {
+    const n = Number(value);
+    if (!Number.isInteger(n)) throw new Error(`${flag} expects a whole number, got '${value}'`);
+    return n;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    switch (flag) {
+      case '--':
+        break;
+      case '--seed':
+        args.seeds.push(...value.split(',').map((s) => parseInteger(flag, s)));
+        i++;
+        break;
+      case '--radius':
+        args.radius = parseInteger(flag, value);
+        i++;
+        break;
+      case '--center':
+        [args.centerX, args.centerZ] = String(value).split(',').map((s) => parseInteger(flag, s));
+        i++;
+        break;
+      case '--out':
+        args.out = value;
+        i++;
+        break;
+      case '--slot':
+        args.slot = value;
+        i++;
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      default:
+        throw new Error(`unknown option '${flag}'`);
+    }
+  }
+
+  if (args.seeds.length === 0) throw new Error('--seed is required');
+  if (args.out && args.seeds.length > 1) throw new Error('--out takes a single seed');
+  return args;
+}
+
+function printSummary(stats, elapsedMs) {
+  const total = Object.values(stats.blocks).reduce((sum, n) => sum + n, 0);
+  const percent = (n) => `${((n / total) * 100).toFixed(2)}%`.padStart(8);
+
+  console.log(`\nSeed ${stats.seed}: ${stats.columns} columns, ${stats.chunks} chunks `
+    + `around chunk ${stats.center.chunkX},${stats.center.chunkZ} (${elapsedMs} ms)`);
+  console.log(`Spawn: ${stats.spawn.map((v) => v.toFixed(1)).join(', ')}`);
+
+  console.log('\nBlocks:');
+  for (const [key, count] of Object.entries(stats.blocks)) {
+    console.log(`  ${key.padEnd(20)} ${String(count).padStart(10)} ${percent(count)}`);
+  }
+
+  console.log('\nOres:');
+  for (const [key, count] of Object.entries(stats.ores)) {
+    console.log(`  ${key.padEnd(20)} ${String(count).padStart(10)}`);
+  }
+
+  console.log(`\nStructures (${stats.structures.length}, voxel coordinates):`);
+  for (const s of stats.structures) {
+    console.log(`  ${s.templateId.padEnd(20)} ${s.x}, ${s.baseY}, ${s.z}`);
+  }
+
+  console.log(`\nRifts (${stats.rifts.length}, world coordinates):`);
+  for (const r of stats.rifts) {
+    console.log(`  ${r.id.padEnd(20)} ${r.x.toFixed(1)}, ${r.z.toFixed(1)}`);
+  }
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`pregen-world: ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const allStats = [];
+  for (const seed of args.seeds) {
+    const start = Date.now();
+    const world = pregenerateWorld({
+      seed,
+      radius: args.radius,
+      centerX: args.centerX,
+      centerZ: args.centerZ,
+      onProgress: (done, total) => {
+        if (!args.json) process.stderr.write(`\rSeed ${seed}: ${done}/${total} columns`);
+      },
+    });
+    if (!args.json) process.stderr.write('\n');
+
+    const stats = collectWorldStats(world);
+    allStats.push(stats);
+    if (!args.json) printSummary(stats, Date.now() - start);
+
+    if (args.out) {
+      const bundle = createWorldBundle({ seed, chunks: world.chunks, spawn: world.spawn, slot: args.slot });
+      fs.writeFileSync(args.out, JSON.stringify(bundle));
+      console.error(`\nWrote ${bundle.chunks.length} chunks to ${args.out} (slot '${args.slot}')`);
+    }
+  }
+
+  if (args.json) console.log(JSON.stringify(allStats.length === 1 ? allStats[0] : allStats, null, 2));
+}
+
+main();
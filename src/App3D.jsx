@@ -14,10 +14,12 @@ import DebugOverlay from './components/ui/DebugOverlay';
 import NPCDebugPanel from './components/ui/NPCDebugPanel';
 import MobileDebugOverlay from './components/ui/MobileDebugOverlay';
 import StockpilePanel from './components/ui/StockpilePanel';
+import SignEditor from './components/ui/SignEditor';
 import BuildingCatalog from './components/ui/BuildingCatalog';
 import ConstructionPanel from './components/ui/ConstructionPanel';
 import PickupTextOverlay from './components/ui/PickupTextOverlay';
 import PauseMenu from './components/PauseMenu';
+import ReplayControls from './components/ui/ReplayControls';
 import KeyboardShortcutsPanel from './components/KeyboardShortcutsPanel';
 import DeathScreen from './components/DeathScreen';
 import DialogueUI from './components/ui/DialogueUI';
@@ -25,6 +27,9 @@ import MobileActionButtons from './components/ui/MobileActionButtons';
 import MobileTouchTutorial from './components/ui/MobileTouchTutorial';
 import VirtualJoystick from './components/ui/VirtualJoystick';
 import useGameStore from './stores/useGameStore';
+import useNetworkLayer from './hooks/useNetworkLayer';
+import useReplayRecorder from './hooks/useReplayRecorder';
+import { respawnPosition } from './systems/PlayerMotion';
 
 /**
  * Main 3D App component
@@ -36,8 +41,15 @@ function App3D() {
   const dialogueActive = useGameStore((state) => state.dialogue.active);
   const dialogueTree = useGameStore((state) => state.dialogue.tree);
 
+  // Local authority, or a co-op server from ?server=
+  useNetworkLayer();
+
+  // Record the session's action log (Save Replay in the pause menu)
+  useReplayRecorder();
+
   const handleRespawn = useCallback(() => {
-    useGameStore.getState().respawnPlayer();
+    const state = useGameStore.getState();
+    state.respawnPlayer(respawnPosition(state.player.position));
   }, []);
 
   const isDead = gameState === 'playing' && playerHealth <= 0;
@@ -51,7 +63,7 @@ function App3D() {
         camera={{
           fov: 60,
           near: 0.1,
-          far: 1000,
+          far: 1500,
           position: [0, 15, 20],
         }}
       >
@@ -81,6 +93,9 @@ function App3D() {
       {/* Stockpile deposit/withdraw panel */}
       <StockpilePanel />
 
+      {/* Sign text entry (E on a sign) */}
+      <SignEditor />
+
       {/* Building catalog (B key) */}
       <BuildingCatalog />
 
@@ -118,6 +133,9 @@ function App3D() {
       {/* Pause menu (F10 to toggle) */}
       <PauseMenu />
 
+      {/* Timeline for a replay loaded from the pause menu */}
+      <ReplayControls />
+
       {/* Key assignments help (? to toggle) */}
       <KeyboardShortcutsPanel />
 
@@ -54,6 +54,8 @@ import { VoxelBuildingOrchestrator } from './modules/voxel-building';
 // Store for AI system wiring
 import useGameStore from './stores/useGameStore';
 import { LocalNetworkLayer } from './core/NetworkLayer';
+import { getCorruptionLevel } from './systems/survival/CorruptionManager';
+import { CORRUPTION_SAMPLE_RADIUS } from './data/tuning';
 
 /**
  * GameManager - Main game controller
@@ -192,6 +194,7 @@ export default class GameManager extends EventEmitter {
 
     // Create NPCManager (requires TownManager, optional GridManager for pathfinding, optional TerrainSystem)
     const npcManager = new NPCManager(townManager, grid, terrainSystem);
+    npcManager.setMembership(() => useGameStore.getState().settlement);
 
     // Create real SpatialPartitioning
     const spatial = new SpatialPartitioning(100, 50, 10);
@@ -277,6 +280,10 @@ export default class GameManager extends EventEmitter {
       buildingConfig: buildingConfig,
       territoryManager: territoryManager,
       npcNeedsTracker: npcNeedsTracker,
+      corruptionAt: (x, z) => getCorruptionLevel(
+        useGameStore.getState()._chunkManager, x, z, CORRUPTION_SAMPLE_RADIUS
+      ),
+      getMembership: () => useGameStore.getState().settlement,
     });
     useGameStore.getState().setSettlementModule(settlementModule);
 
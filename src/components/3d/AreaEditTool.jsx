@@ -0,0 +1,256 @@
+/**
+ * AreaEditTool - Box selection and bulk block edits (T key)
+ *
+ * In area edit mode, BlockInteraction hands clicked blocks over as the two
+ * selection corners (left click, right click). Keys then act on the box:
+ *   F fill with the selected block, G hollow shell, R replace the block
+ *   type at the first corner, Delete clear, Ctrl+C copy, Ctrl+V paste on
+ *   top of the first corner, comma and period rotate the paste, X mirror it,
+ *   Ctrl+Z undo, Ctrl+Y (or Ctrl+Shift+Z) redo, Ctrl+B save the selection
+ *   as a blueprint that settlers can build.
+ *
+ * Ctrl+O loads a MagicaVoxel .vox or a schematic file into the clipboard
+ * for pasting. Ctrl+E downloads the selection as a .vox, Ctrl+Shift+E as a
+ * binary schematic.
+ *
+ * Costs inventory materials in survival and is free in sandbox mode.
+ * Renders the selection outline and the paste footprint.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import useGameStore from '../../stores/useGameStore';
+import { AreaEditor, makeBox } from '../../systems/chunks/AreaEditor';
+import { VOXEL_SIZE } from '../../systems/chunks/coordinates';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+import { sandboxMode } from '../../systems/SandboxMode';
+import { Blueprint } from '../../modules/construction/Blueprint';
+import { writeVox } from '../../systems/chunks/VoxFile';
+import { encodeSchematic, readRegionFile } from '../../systems/chunks/Schematic';
+
+// Unit cube edges, scaled to each box
+const boxEdgesGeometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+
+/**
+ * BoxOutline - Wireframe around a voxel box
+ */
+function BoxOutline({ box, color }) {
+  const pad = 0.04;
+  const position = [
+    (box.min.x + box.size.x / 2) * VOXEL_SIZE,
+    (box.min.y + box.size.y / 2) * VOXEL_SIZE,
+    (box.min.z + box.size.z / 2) * VOXEL_SIZE,
+  ];
+  const scale = [
+    box.size.x * VOXEL_SIZE + pad,
+    box.size.y * VOXEL_SIZE + pad,
+    box.size.z * VOXEL_SIZE + pad,
+  ];
+
+  return (
+    <lineSegments geometry={boxEdgesGeometry} position={position} scale={scale}>
+      <lineBasicMaterial color={color} linewidth={2} depthTest={false} />
+    </lineSegments>
+  );
+}
+
+/**
+ * Offer data to the player as a file download
+ */
+function downloadFile(data, filename) {
+  const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask the player for a file and read it as an ArrayBuffer
+ */
+function pickFile(accept, onLoad) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = accept;
+  input.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (file) onLoad(await file.arrayBuffer(), file.name);
+  };
+  input.click();
+}
+
+export function AreaEditTool({ chunkManager }) {
+  const areaEditMode = useGameStore((state) => state.areaEditMode);
+  const buildMode = useGameStore((state) => state.buildMode);
+  const [corners, setCorners] = useState([null, null]);
+  const [transform, setTransform] = useState({ rotation: 0, mirrorX: false });
+  const [clipboard, setClipboard] = useState(null);
+
+  const editor = useMemo(() => new AreaEditor(chunkManager, {
+    getMaterials: () => useGameStore.getState().inventory.materials,
+    spendMaterials: (costs) => {
+      const store = useGameStore.getState();
+      for (const [material, amount] of Object.entries(costs)) store.removeMaterial(material, amount);
+    },
+    refundMaterials: (costs) => {
+      const store = useGameStore.getState();
+      for (const [material, amount] of Object.entries(costs)) store.addMaterial(material, amount);
+    },
+    sandbox: sandboxMode,
+  }), [chunkManager]);
+
+  // Apply queued edits a batch per frame
+  useFrame(() => {
+    editor.update();
+  });
+
+  // Let BlockInteraction hand over clicked corners
+  useEffect(() => {
+    const store = useGameStore.getState();
+    store.setAreaCorner = (index, voxel) => {
+      editor.setCorner(index, voxel);
+      setCorners([...editor.corners]);
+    };
+    return () => {
+      store.setAreaCorner = null;
+    };
+  }, [editor]);
+
+  // Drop the selection when leaving the tool
+  useEffect(() => {
+    if (areaEditMode) return;
+    editor.clearSelection();
+    setCorners([null, null]);
+  }, [areaEditMode, editor]);
+
+  useEffect(() => {
+    if (!areaEditMode) return;
+
+    const report = (result, verb) => {
+      const store = useGameStore.getState();
+      if (result.success) {
+        store.addPickupText(`${verb} ${result.blocks} blocks`, '#44ff44');
+      } else {
+        store.addPickupText(result.reason, '#ff4444');
+      }
+    };
+
+    // Why an undo or redo didn't happen
+    const historyRefusal = (hasEdit, empty) => {
+      if (!hasEdit) return empty;
+      return editor.isAvailable() ? 'Not enough materials' : 'No area edits on a co-op server';
+    };
+
+    const onKeyDown = (e) => {
+      const store = useGameStore.getState();
+      if (!store.buildMode) return;
+      const selected = store.selectedBlockType ?? BlockTypes.DIRT;
+      const ctrl = e.ctrlKey || e.metaKey;
+      let handled = true;
+
+      if (ctrl && e.code === 'KeyZ' && !e.shiftKey) {
+        if (!editor.undo()) store.addPickupText(historyRefusal(editor.canUndo(), 'Nothing to undo'), '#ff4444');
+      } else if (ctrl && (e.code === 'KeyY' || e.code === 'KeyZ')) {
+        if (!editor.redo()) store.addPickupText(historyRefusal(editor.canRedo(), 'Nothing to redo'), '#ff4444');
+      } else if (ctrl && e.code === 'KeyC') {
+        const region = editor.copy();
+        setClipboard(region);
+        if (region) store.addPickupText(`Copied ${region.blocks.length} blocks`, '#44ff44');
+        else store.addPickupText('Select two corners first', '#ff4444');
+      } else if (ctrl && e.code === 'KeyV') {
+        const corner = editor.corners[0];
+        if (corner) {
+          report(editor.paste({ x: corner.x, y: corner.y + 1, z: corner.z }, transform), 'Pasted');
+        }
+      } else if (ctrl && e.code === 'KeyB') {
+        const region = editor.copy();
+        const blueprint = region && Blueprint.fromRegion(region, {
+          name: `Player Design ${store.playerBlueprints.length + 1}`,
+        });
+        if (blueprint?.blocks.length) {
+          store.addPlayerBlueprint(blueprint.toJSON());
+          store.addPickupText(`Saved blueprint: ${blueprint.name}`, '#44ff44');
+        } else {
+          store.addPickupText(region ? 'Nothing built to save' : 'Select two corners first', '#ff4444');
+        }
+      } else if (ctrl && e.code === 'KeyO') {
+        pickFile('.vox,.vschem,.json', (buffer, filename) => {
+          try {
+            const { region } = readRegionFile(buffer);
+            setClipboard(region);
+            store.addPickupText(`Loaded ${filename}, Ctrl+V to paste`, '#44ff44');
+          } catch (err) {
+            store.addPickupText(err.message, '#ff4444');
+          }
+        });
+      } else if (ctrl && e.code === 'KeyE') {
+        const region = editor.copy();
+        if (!region) {
+          store.addPickupText('Select two corners first', '#ff4444');
+        } else if (e.shiftKey) {
+          downloadFile(encodeSchematic(region), 'selection.vschem');
+        } else {
+          try {
+            downloadFile(writeVox(region), 'selection.vox');
+          } catch (err) {
+            store.addPickupText(err.message, '#ff4444');
+          }
+        }
+      } else if (ctrl) {
+        handled = false;
+      } else if (e.code === 'KeyF') {
+        report(editor.fill(selected), 'Filled');
+      } else if (e.code === 'KeyG') {
+        report(editor.hollow(selected), 'Built');
+      } else if (e.code === 'KeyR') {
+        const corner = editor.corners[0];
+        if (corner) {
+          const from = chunkManager.getBlock(
+            (corner.x + 0.5) * VOXEL_SIZE, (corner.y + 0.5) * VOXEL_SIZE, (corner.z + 0.5) * VOXEL_SIZE
+          );
+          report(editor.replace(from, selected), 'Replaced');
+        }
+      } else if (e.code === 'Delete' || e.code === 'Backspace') {
+        report(editor.fill(BlockTypes.AIR), 'Cleared');
+      } else if (e.code === 'Comma' || e.code === 'Period') {
+        const step = e.code === 'Period' ? 90 : 270;
+        setTransform((t) => ({ ...t, rotation: (t.rotation + step) % 360 }));
+      } else if (e.code === 'KeyX') {
+        setTransform((t) => ({ ...t, mirrorX: !t.mirrorX }));
+      } else {
+        handled = false;
+      }
+
+      if (handled) e.preventDefault();
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [areaEditMode, editor, chunkManager, transform]);
+
+  if (!areaEditMode || !buildMode) return null;
+
+  const selection = corners[0] && corners[1] ? makeBox(corners[0], corners[1]) : null;
+
+  // Where Ctrl+V would land, rotated and mirrored
+  let pasteBox = null;
+  if (clipboard && corners[0]) {
+    const size = transform.rotation % 180 === 0
+      ? clipboard.size
+      : { x: clipboard.size.z, y: clipboard.size.y, z: clipboard.size.x };
+    const origin = { x: corners[0].x, y: corners[0].y + 1, z: corners[0].z };
+    pasteBox = makeBox(origin, { x: origin.x + size.x - 1, y: origin.y + size.y - 1, z: origin.z + size.z - 1 });
+  }
+
+  return (
+    <>
+      {corners[0] && <BoxOutline box={makeBox(corners[0], corners[0])} color="#ffdd44" />}
+      {selection && <BoxOutline box={selection} color="#44ddff" />}
+      {pasteBox && <BoxOutline box={pasteBox} color="#44ff88" />}
+    </>
+  );
+}
+
+export default AreaEditTool;
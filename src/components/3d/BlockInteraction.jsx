@@ -13,6 +13,9 @@ import { BlockTypes, isSolid, getBlockHardness } from '../../systems/chunks/bloc
 import useGameStore from '../../stores/useGameStore';
 import { calculateDrops } from '../../data/blockDrops';
 import { BLOCK_USE_ACTIONS } from '../../data/blockUseActions';
+import { StateKind, getStateKind, placementState, containerUsed } from '../../systems/chunks/blockStates';
+import { isContainerBlock, findStockpileAt } from '../../systems/settlement/StockpileChests';
+import { raycast, voxelCenter } from '../../systems/chunks/VoxelQuery';
 import { HARVEST_SPEED_BARE_HANDS, USE_KEY_RANGE, USE_KEY_COOLDOWN, STOCKPILE_INTERACT_RANGE, CONSTRUCTION_INTERACT_RANGE } from '../../data/tuning';
 import { getBuildingById } from '../../data/buildings';
 import { getSpellById, executeSpell } from '../../data/spells';
@@ -20,6 +23,7 @@ import { performMeleeAttack, MELEE_COOLDOWN } from '../../data/meleeAttack';
 import { audioManager } from '../../utils/AudioManager';
 import { getQuestManager } from '../../systems/QuestManager';
 import { isTouchDevice } from '../../utils/deviceDetection';
+import { ActionTypes, createAction } from '../../systems/state/ActionSystem';
 
 // Maximum reach distance for block interaction
 const REACH_DISTANCE = 12;
@@ -27,10 +31,6 @@ const REACH_DISTANCE = 12;
 // Longer reach for third-person/mobile (camera is ~16+ world units from terrain)
 const REACH_DISTANCE_THIRD_PERSON = 50;
 
-// Raycast step size (smaller = more precise, but slower)
-// Using 0.25 for better accuracy near block edges and corners
-const RAY_STEP = 0.25;
-
 // Long press settings for mobile block interaction
 const LONG_PRESS_DURATION = 250; // ms to hold before mining/placing
 const LONG_PRESS_MOVE_THRESHOLD = 20; // pixels of movement that cancels long press
@@ -87,6 +87,18 @@ function wouldOverlapPlayer(bx, by, bz) {
          pMinZ < bMaxZ && pMaxZ > bMinZ;
 }
 
+/**
+ * Area edit tool: hand a clicked block to AreaEditTool as a selection corner
+ */
+function pickAreaCorner(index, block) {
+  if (!block) return;
+  useGameStore.getState().setAreaCorner?.(index, {
+    x: Math.floor(block.x / VOXEL_SIZE),
+    y: Math.floor(block.y / VOXEL_SIZE),
+    z: Math.floor(block.z / VOXEL_SIZE),
+  });
+}
+
 /**
  * Execute a use-action on a block (harvest berries, pick up campfire, etc.)
  */
@@ -102,14 +114,137 @@ function _executeUseAction(action, wx, wy, wz, blockType, chunkManager, store) {
     }
   }
 
-  // Destroy block if specified
+  // Destroy or swap the block if specified
   if (action.destroyBlock) {
     chunkManager.setBlock(wx, wy, wz, BlockTypes.AIR);
+  } else if (action.replaceWith != null) {
+    chunkManager.setBlock(wx, wy, wz, action.replaceWith);
   }
 
   return true;
 }
 
+/**
+ * Tell a co-op server about a block change this client has already made.
+ * The change shows straight away; if the server refuses it, the chunk is
+ * fetched again (ChunkSyncClient.resyncBlock), which puts back whatever the
+ * server has there. Only matters when the terrain comes from the server.
+ * @returns {boolean} Whether the server has the say, so what the change
+ *   gains or costs waits for its verdict (onAccepted)
+ */
+function submitBlockAction(chunkManager, action, onAccepted) {
+  const layer = useGameStore.getState()._networkLayer;
+  const source = chunkManager.chunkSource;
+  if (!layer || !source) return false;
+
+  const refuse = (error) => {
+    source.resyncBlock?.(...action.payload.position);
+    useGameStore.getState().addPickupText(error || 'Refused by the server', '#ff4444');
+  };
+
+  const submitted = layer.submitAction(action);
+  if (!submitted.success) {
+    refuse(submitted.error);
+  } else if (submitted.pending) {
+    submitted.result.then((result) => {
+      if (result.success) onAccepted(result);
+      else refuse(result.error);
+    });
+  }
+  return true;
+}
+
+/**
+ * Give the player what mining got them
+ * @param {Array<{material: string, amount: number}>} drops
+ */
+function grantDrops(drops) {
+  const store = useGameStore.getState();
+  for (const { material, amount } of drops) {
+    store.addMaterial(material, amount);
+    store.addPickupText(`+${amount} ${material}`, '#44ff44');
+    try { getQuestManager().emit('itemCollected', material); } catch (_) { /* quest system not ready */ }
+  }
+}
+
+/**
+ * Place a block with the state it starts with (door facing, log axis, ...).
+ * A chest placed inside a stockpile joins it. On a co-op server the server
+ * works out the state and the stockpile itself, and may charge for the block.
+ */
+function placeWithState(chunkManager, wx, wy, wz, blockType, face) {
+  const store = useGameStore.getState();
+  const pos = store.player.position;
+  const state = placementState(blockType, { face, dx: pos[0] - wx, dz: pos[2] - wz });
+  const success = chunkManager.setBlock(wx, wy, wz, blockType, state);
+  if (!success) return false;
+
+  const networked = submitBlockAction(
+    chunkManager,
+    createAction(ActionTypes.BLOCK_PLACE, { position: [wx, wy, wz], blockType, face }),
+    ({ cost }) => {
+      for (const [material, amount] of Object.entries(cost || {})) {
+        useGameStore.getState().removeMaterial(material, amount);
+      }
+    }
+  );
+  if (!networked && isContainerBlock(blockType)) {
+    const zone = findStockpileAt(store.zones, wx, wz);
+    if (zone) store.addStockpileChest(zone.id, { wx, wy, wz });
+  }
+  return true;
+}
+
+// Block states the E key acts on
+const USABLE_STATE_KINDS = new Set([StateKind.DOOR, StateKind.TRAPDOOR, StateKind.SIGN, StateKind.CONTAINER]);
+
+/**
+ * Use a block that has a state: open/close doors and trapdoors, edit signs,
+ * look into containers
+ * @returns {boolean} Whether the block was used
+ */
+function interactWithBlockState(wx, wy, wz, blockType, chunkManager, store) {
+  const kind = getStateKind(blockType);
+  const state = chunkManager.getBlockState(wx, wy, wz);
+
+  switch (kind) {
+    case StateKind.DOOR:
+    case StateKind.TRAPDOOR: {
+      if (!state) return false;
+      const open = !state.open;
+      chunkManager.setBlockState(wx, wy, wz, { ...state, open });
+      // Two-high doors swing together
+      if (kind === StateKind.DOOR) {
+        for (const dy of [-VOXEL_SIZE, VOXEL_SIZE]) {
+          if (chunkManager.getBlock(wx, wy + dy, wz) !== blockType) continue;
+          const other = chunkManager.getBlockState(wx, wy + dy, wz);
+          if (other) chunkManager.setBlockState(wx, wy + dy, wz, { ...other, open });
+        }
+      }
+      return true;
+    }
+    case StateKind.SIGN:
+      if (!state) return false;
+      store.openSignEditor({ wx, wy, wz });
+      return true;
+    case StateKind.CONTAINER: {
+      const zone = findStockpileAt(store.zones, wx, wz);
+      if (zone) {
+        store.setActiveStockpileZone(zone.id);
+        return true;
+      }
+      const items = Object.entries(state?.items ?? {});
+      store.addPickupText(
+        items.length ? items.map(([material, amount]) => `${amount} ${material}`).join(', ') : 'Empty',
+        '#ccaa66'
+      );
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
 /**
  * BlockHighlight - Wireframe cube showing selected block
  */
@@ -289,99 +424,18 @@ export function BlockInteraction({ chunkManager }) {
   const rayDirection = useRef(new THREE.Vector3());
   const rayOrigin = useRef(new THREE.Vector3());
 
-  // Core raycast function - steps along a ray to find blocks
+  // Core raycast function - walks the voxels along a ray to the first solid block
   const raycastAlongRay = useCallback((origin, direction, maxDistance = REACH_DISTANCE) => {
-    if (!chunkManager) return { block: null, face: null };
-
-    const ox = origin.x;
-    const oy = origin.y;
-    const oz = origin.z;
-    const dir = direction;
-
-    let lastAirX = 0,
-      lastAirY = 0,
-      lastAirZ = 0;
-    let hasLastAir = false;
-
-    // Step along ray
-    for (let dist = 0; dist < maxDistance; dist += RAY_STEP) {
-      const cx = ox + dir.x * dist;
-      const cy = oy + dir.y * dist;
-      const cz = oz + dir.z * dist;
-
-      const blockType = chunkManager.getBlock(cx, cy, cz);
-
-      if (isSolid(blockType)) {
-        // Found a solid block - determine which face was hit
-        let face = null;
-        if (hasLastAir) {
-          // Compare voxel grid positions (not float positions) to find
-          // which face boundary was actually crossed.  Float differences
-          // are always proportional to the ray direction and misidentify
-          // the face when the ray enters at an oblique angle.
-          const solidVX = Math.floor(cx / VOXEL_SIZE);
-          const solidVY = Math.floor(cy / VOXEL_SIZE);
-          const solidVZ = Math.floor(cz / VOXEL_SIZE);
-          const airVX = Math.floor(lastAirX / VOXEL_SIZE);
-          const airVY = Math.floor(lastAirY / VOXEL_SIZE);
-          const airVZ = Math.floor(lastAirZ / VOXEL_SIZE);
-
-          const dx = solidVX - airVX;
-          const dy = solidVY - airVY;
-          const dz = solidVZ - airVZ;
-
-          const absDx = Math.abs(dx);
-          const absDy = Math.abs(dy);
-          const absDz = Math.abs(dz);
-
-          if (absDx > absDy && absDx > absDz) {
-            face = dx > 0 ? 'west' : 'east';
-          } else if (absDy > absDx && absDy > absDz) {
-            face = dy > 0 ? 'bottom' : 'top';
-          } else if (absDz > absDx && absDz > absDy) {
-            face = dz > 0 ? 'south' : 'north';
-          } else {
-            // Diagonal voxel crossing (rare, near corners) —
-            // fall back to ray direction as tiebreaker
-            const rAbsDx = Math.abs(dir.x);
-            const rAbsDy = Math.abs(dir.y);
-            const rAbsDz = Math.abs(dir.z);
-            if (rAbsDy >= rAbsDx && rAbsDy >= rAbsDz) {
-              face = dir.y > 0 ? 'bottom' : 'top';
-            } else if (rAbsDx >= rAbsDz) {
-              face = dir.x > 0 ? 'west' : 'east';
-            } else {
-              face = dir.z > 0 ? 'south' : 'north';
-            }
-          }
-        } else {
-          // Ray origin is inside a solid block — infer face from ray direction
-          const rAbsDx = Math.abs(dir.x);
-          const rAbsDy = Math.abs(dir.y);
-          const rAbsDz = Math.abs(dir.z);
-          if (rAbsDy >= rAbsDx && rAbsDy >= rAbsDz) {
-            face = dir.y > 0 ? 'bottom' : 'top';
-          } else if (rAbsDx >= rAbsDz) {
-            face = dir.x > 0 ? 'west' : 'east';
-          } else {
-            face = dir.z > 0 ? 'south' : 'north';
-          }
-        }
-
-        return {
-          block: { x: cx, y: cy, z: cz },
-          face,
-          adjacentPos: hasLastAir ? { x: lastAirX, y: lastAirY, z: lastAirZ } : null,
-        };
-      }
+    if (!chunkManager) return { block: null, face: null, adjacentPos: null };
 
-      lastAirX = cx;
-      lastAirY = cy;
-      lastAirZ = cz;
-      hasLastAir = true;
-    }
+    const hit = raycast(chunkManager, origin, direction, maxDistance);
+    if (!hit) return { block: null, face: null, adjacentPos: null };
 
-    return { block: null, face: null, adjacentPos: null };
+    return {
+      block: voxelCenter(hit.voxel),
+      face: hit.face,
+      adjacentPos: hit.adjacent ? voxelCenter(hit.adjacent) : null,
+    };
   }, [chunkManager]);
 
   // Raycast from camera center (desktop first-person mode)
@@ -540,10 +594,39 @@ export function BlockInteraction({ chunkManager }) {
     // Don't allow breaking bedrock
     if (currentBlock === BlockTypes.BEDROCK) return false;
 
+    const blockState = chunkManager.getBlockState(blockX, blockY, blockZ);
+
     // Set block to air
     const success = chunkManager.setBlock(blockX, blockY, blockZ, BlockTypes.AIR);
 
     if (success) {
+      const store = useGameStore.getState();
+      const equippedTool = store.equipment?.weapon;
+      const toolTier = equippedTool?.stats?.toolTier || 0;
+
+      // On a co-op server, what the block drops (and a container spills) is the server's to say
+      const networked = submitBlockAction(
+        chunkManager,
+        createAction(ActionTypes.BLOCK_BREAK, { position: [blockX, blockY, blockZ], toolTier }),
+        ({ drops }) => grantDrops(drops || [])
+      );
+
+      if (!networked) {
+        // A broken container spills its contents to the player
+        if (isContainerBlock(currentBlock)) {
+          const zone = findStockpileAt(store.zones, blockX, blockZ);
+          if (zone) {
+            store.removeStockpileChest(zone.id, { wx: blockX, wy: blockY, wz: blockZ });
+          } else if (containerUsed(blockState) > 0) {
+            for (const [material, amount] of Object.entries(blockState.items)) {
+              store.addMaterial(material, amount);
+              store.addPickupText(`+${amount} ${material}`, '#44ff44');
+            }
+          }
+        }
+        grantDrops(calculateDrops(currentBlock, toolTier));
+      }
+
       // Force immediate raycast to update target for consecutive mining
       lastRaycast.current = 0;
       prevTargetRef.current = { block: null, face: null };
@@ -553,22 +636,7 @@ export function BlockInteraction({ chunkManager }) {
       setTargetFace(result.face);
       prevTargetRef.current = { block: result.block, face: result.face };
 
-      // Calculate and grant drops
-      const store = useGameStore.getState();
-      const equippedTool = store.equipment?.weapon;
-      const toolTier = equippedTool?.stats?.toolTier || 0;
-      const drops = calculateDrops(currentBlock, toolTier);
-
-      drops.forEach((drop) => {
-        store.addMaterial(drop.material, drop.amount);
-        store.addPickupText(`+${drop.amount} ${drop.material}`, '#44ff44');
-      });
-
-      // Audio + quest tracking for mining
       audioManager.play('lootDrop');
-      drops.forEach((drop) => {
-        try { getQuestManager().emit('itemCollected', drop.material); } catch (_) { /* quest system not ready */ }
-      });
     }
 
     return success;
@@ -604,7 +672,7 @@ export function BlockInteraction({ chunkManager }) {
     if (wouldOverlapPlayer(placeX, placeY, placeZ)) return false;
 
     // Place the block
-    const success = chunkManager.setBlock(placeX, placeY, placeZ, blockType);
+    const success = placeWithState(chunkManager, placeX, placeY, placeZ, blockType, targetFace);
 
     if (success) {
       // Force immediate raycast to update target for consecutive placement
@@ -697,6 +765,18 @@ export function BlockInteraction({ chunkManager }) {
       }
     }
 
+    // In first-person, a targeted door/sign/chest takes priority over nearby panels
+    if (firstPerson && targetBlock && chunkManager) {
+      const bx = Math.floor(targetBlock.x / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
+      const by = Math.floor(targetBlock.y / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
+      const bz = Math.floor(targetBlock.z / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
+      const blockType = chunkManager.getBlock(bx, by, bz);
+      if (interactWithBlockState(bx, by, bz, blockType, chunkManager, store)) {
+        useBlockCooldown.current = now;
+        return true;
+      }
+    }
+
     // Check if player is near a construction site — open delivery panel
     const px = playerPos[0], pz = playerPos[2];
     for (const site of store.constructionSites) {
@@ -768,7 +848,7 @@ export function BlockInteraction({ chunkManager }) {
             const wz = (playerVZ + dz) * VOXEL_SIZE + VOXEL_SIZE / 2;
 
             const blockType = chunkManager.getBlock(wx, wy, wz);
-            if (!BLOCK_USE_ACTIONS[blockType]) continue;
+            if (!BLOCK_USE_ACTIONS[blockType] && !USABLE_STATE_KINDS.has(getStateKind(blockType))) continue;
 
             const ddx = wx - px;
             const ddy = wy - py;
@@ -786,6 +866,9 @@ export function BlockInteraction({ chunkManager }) {
       if (bestBlock) {
         useBlockCooldown.current = now;
         const action = BLOCK_USE_ACTIONS[bestBlock.type];
+        if (!action) {
+          return interactWithBlockState(bestBlock.x, bestBlock.y, bestBlock.z, bestBlock.type, chunkManager, store);
+        }
         return _executeUseAction(action, bestBlock.x, bestBlock.y, bestBlock.z, bestBlock.type, chunkManager, store);
       }
     }
@@ -841,6 +924,14 @@ export function BlockInteraction({ chunkManager }) {
       const isPointerLocked = document.pointerLockElement != null;
 
       if (firstPerson && isPointerLocked) {
+        // Area edit tool: left/right click pick the two selection corners
+        if (store.buildMode && store.areaEditMode) {
+          if (event.button === 0 || event.button === 2) {
+            pickAreaCorner(event.button === 0 ? 0 : 1, raycastForBlock().block);
+          }
+          return;
+        }
+
         if (event.button === 0) {
           // Left click: check for enemy FIRST (works outside build mode), then mine block
           const enemy = checkEnemyFromCamera();
@@ -900,7 +991,7 @@ export function BlockInteraction({ chunkManager }) {
               default: break;
             }
             if (chunkManager && !isSolid(chunkManager.getBlock(px, py, pz)) && !wouldOverlapPlayer(px, py, pz)) {
-              chunkManager.setBlock(px, py, pz, selectedBlockType);
+              placeWithState(chunkManager, px, py, pz, selectedBlockType, freshResult.face);
               // Refresh target after placement
               lastRaycast.current = 0;
               prevTargetRef.current = { block: null, face: null };
@@ -972,6 +1063,16 @@ export function BlockInteraction({ chunkManager }) {
 
       if (event.button !== 0) return;
 
+      // Area edit tool: left click picks the first corner (right click release picks the second)
+      if (useGameStore.getState().areaEditMode) {
+        const cornerResult = raycastFromScreen(x, y);
+        if (cornerResult.block) {
+          useGameStore.getState()._blockClickActive = true;
+          pickAreaCorner(0, cornerResult.block);
+        }
+        return;
+      }
+
       // First check if click hits an enemy (scene raycast) — if so, let TouchControls handle it
       const ndcX = (x / rect.width) * 2 - 1;
       const ndcY = -(y / rect.height) * 2 + 1;
@@ -1061,6 +1162,14 @@ export function BlockInteraction({ chunkManager }) {
     };
 
     const handleMouseUp = (event) => {
+      // Right-click release in area edit mode: pick the second corner
+      if (event.button === 2 && rightClickPending && rightClickResult?.block &&
+          useGameStore.getState().areaEditMode) {
+        pickAreaCorner(1, rightClickResult.block);
+        rightClickPending = false;
+        rightClickResult = null;
+        return;
+      }
       // Right-click release: place block if mouse didn't drag
       if (event.button === 2 && rightClickPending && rightClickResult?.block) {
         const result = rightClickResult;
@@ -1083,7 +1192,7 @@ export function BlockInteraction({ chunkManager }) {
           const existing = chunkManager.getBlock(plX, plY, plZ);
           if (!isSolid(existing) && !wouldOverlapPlayer(plX, plY, plZ)) {
             const store = useGameStore.getState();
-            chunkManager.setBlock(plX, plY, plZ, store.selectedBlockType ?? BlockTypes.DIRT);
+            placeWithState(chunkManager, plX, plY, plZ, store.selectedBlockType ?? BlockTypes.DIRT, face);
           }
         }
         rightClickPending = false;
@@ -1210,7 +1319,7 @@ export function BlockInteraction({ chunkManager }) {
             }
             const existing = chunkManager.getBlock(placeX, placeY, placeZ);
             if (!isSolid(existing) && !wouldOverlapPlayer(placeX, placeY, placeZ)) {
-              chunkManager.setBlock(placeX, placeY, placeZ, store.selectedBlockType ?? BlockTypes.DIRT);
+              placeWithState(chunkManager, placeX, placeY, placeZ, store.selectedBlockType ?? BlockTypes.DIRT, face);
             }
           } else {
             // Start progressive mining (useFrame will accumulate)
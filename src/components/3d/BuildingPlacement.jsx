@@ -9,11 +9,12 @@
 import React, { useRef, useMemo, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
-import useGameStore from '../../stores/useGameStore';
+import useGameStore, { createConstructionSiteId } from '../../stores/useGameStore';
 import { getBuildingById, parseLayers } from '../../data/buildings';
 import { VOXEL_SIZE } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 import { getBlockColor } from '../../systems/chunks/blockTypes';
+import { actionVerdict } from '../../core/NetworkLayer';
 
 const boxGeo = new THREE.BoxGeometry(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE);
 
@@ -144,7 +145,15 @@ export default function BuildingPlacement({ chunkManager }) {
       if (!validRef.current || !building) return;
 
       const pos = positionRef.current;
-      placeConstructionSite(building.id, [...pos], { ...building.cost }, blocks.length);
+      const store = useGameStore.getState();
+      const answer = placeConstructionSite(
+        building.id, [...pos], { ...building.cost }, blocks.length, createConstructionSiteId(), store.getLocalPlayerId()
+      );
+      // On a co-op server the site is placed there; stop placing once it agrees
+      actionVerdict(answer).then((verdict) => {
+        if (!verdict.success) store.addPickupText(verdict.error, '#ff4444');
+        else if (answer?.pending) cancelPlacingBuilding();
+      });
     };
 
     const handleContextMenu = (e) => {
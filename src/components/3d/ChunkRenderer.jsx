@@ -121,7 +121,7 @@ function selectLODWithHysteresis(dx, dz, currentLOD) {
 /**
  * Build the appropriate worker request based on chunk LOD level
  */
-function buildMeshRequest(chunk, lodLevel) {
+function buildMeshRequest(chunk, lodLevel, greedy) {
   if (lodLevel === 0) {
     return {
       type: 'buildMesh',
@@ -130,12 +130,26 @@ function buildMeshRequest(chunk, lodLevel) {
       neighborSouth: chunk.neighbors.south?.blocks || null,
       neighborEast: chunk.neighbors.east?.blocks || null,
       neighborWest: chunk.neighbors.west?.blocks || null,
+      neighborUp: chunk.neighbors.up?.blocks || null,
+      neighborDown: chunk.neighbors.down?.blocks || null,
+      light: chunk.light,
+      lightNorth: chunk.neighbors.north?.light || null,
+      lightSouth: chunk.neighbors.south?.light || null,
+      lightEast: chunk.neighbors.east?.light || null,
+      lightWest: chunk.neighbors.west?.light || null,
+      lightUp: chunk.neighbors.up?.light || null,
+      lightDown: chunk.neighbors.down?.light || null,
+      states: chunk.packStates(),
+      chunkY: chunk.y,
+      greedy,
     };
   }
   return {
     type: 'buildLODMesh',
     blocks: chunk.blocks,
+    chunkY: chunk.y,
     lodLevel,
+    greedy,
   };
 }
 
@@ -183,9 +197,9 @@ function useChunkGeometry(meshData) {
  */
 function PhysicsChunkMesh({ chunk, meshData }) {
   const position = useMemo(() => {
-    const origin = chunkOriginWorld(chunk.x, chunk.z);
+    const origin = chunkOriginWorld(chunk.x, chunk.y, chunk.z);
     return [origin.x, origin.y, origin.z];
-  }, [chunk.x, chunk.z]);
+  }, [chunk.x, chunk.y, chunk.z]);
 
   const geometry = useChunkGeometry(meshData);
 
@@ -234,9 +248,9 @@ function PhysicsChunkMesh({ chunk, meshData }) {
  */
 function VisualChunkMesh({ chunk, meshData }) {
   const position = useMemo(() => {
-    const origin = chunkOriginWorld(chunk.x, chunk.z);
+    const origin = chunkOriginWorld(chunk.x, chunk.y, chunk.z);
     return [origin.x, origin.y, origin.z];
-  }, [chunk.x, chunk.z]);
+  }, [chunk.x, chunk.y, chunk.z]);
 
   const geometry = useChunkGeometry(meshData);
   if (!geometry) return null;
@@ -279,7 +293,10 @@ export function ChunkRenderer({ chunkManager, workerPool }) {
         const lodLevel = selectLODLevel(dx, dz);
         chunkLODRef.current.set(chunk.key, lodLevel);
 
-        const result = await workerPool.execute(buildMeshRequest(chunk, lodLevel));
+        const result = await workerPool.execute(
+          buildMeshRequest(chunk, lodLevel, chunkManager.greedyMeshing)
+        );
+        chunkManager.recordMeshStats(chunk.key, result);
 
         setMeshData(prev => {
           const next = new Map(prev);
@@ -302,7 +319,7 @@ export function ChunkRenderer({ chunkManager, workerPool }) {
       next.set(chunk.key, chunk);
       return next;
     });
-  }, [workerPool]);
+  }, [workerPool, chunkManager]);
 
   // Handle chunk unload event
   const handleChunkUnload = useCallback((chunk) => {
@@ -387,8 +404,9 @@ export function ChunkRenderer({ chunkManager, workerPool }) {
       const lodLevel = chunkLODRef.current.get(chunkKey) ?? 0;
 
       const sendTime = performance.now();
-      workerPool.execute(buildMeshRequest(chunk, lodLevel)).then(result => {
+      workerPool.execute(buildMeshRequest(chunk, lodLevel, chunkManager.greedyMeshing)).then(result => {
         const elapsed = performance.now() - sendTime;
+        chunkManager.recordMeshStats(chunkKey, result);
         const stats = useGameStore.getState()._debugStats;
         stats.meshRebuilds++;
         stats.meshRebuildMs = elapsed;
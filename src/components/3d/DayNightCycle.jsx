@@ -11,7 +11,7 @@ import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
 import { TimeManager } from '../../systems/time/TimeManager';
-import { getLightingState } from '../../systems/lighting/DayNightLighting';
+import { getLightingState, getFogRange } from '../../systems/lighting/DayNightLighting';
 
 const DayNightCycle = () => {
   const { scene, camera } = useThree();
@@ -69,7 +69,8 @@ const DayNightCycle = () => {
 
     // Create fog if it doesn't exist, or update existing fog
     if (!scene.fog) {
-      scene.fog = new THREE.Fog(lighting.fogColor, 150, 400);
+      const { near, far } = getFogRange();
+      scene.fog = new THREE.Fog(lighting.fogColor, near, far);
     } else {
       fogColor.set(lighting.fogColor);
       scene.fog.color.copy(fogColor);
@@ -7,8 +7,10 @@ import { getQuestManager } from '../../systems/QuestManager';
 // that corrupted the rendering pipeline, preventing terrain chunks from drawing.
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
+import { hasLineOfSight } from '../../systems/chunks/VoxelQuery';
+import { SIGHT_EYE_HEIGHT, SIGHT_CHECK_INTERVAL, SIGHT_MEMORY } from '../../data/tuning';
 
 /**
  * Enemy component - Basic hostile mob with AI
@@ -28,6 +30,8 @@ const Enemy = ({ position = [0, 2, 0], type = 'slime', name = 'Slime', monsterDa
   const isDead = useRef(false); // Immediate flag to prevent multi-frame death
   const deathPosition = useRef(null); // Capture actual death position
   const attackCooldownRef = useRef(0); // Ref to avoid per-frame re-renders
+  const sightTimerRef = useRef(0); // Seconds until the next line-of-sight check
+  const unseenForRef = useRef(Infinity); // Seconds since the player was last seen
   const [damageFlash, setDamageFlash] = useState(0);
 
   const mDamage = monsterData?.damage || 5;
@@ -45,8 +49,9 @@ const Enemy = ({ position = [0, 2, 0], type = 'slime', name = 'Slime', monsterDa
   const player = useGameStore((state) => state.player);
   const dealDamageToPlayer = useGameStore((state) => state.dealDamageToPlayer);
 
-  // Handle taking damage - useCallback ensures stable reference
-  const takeDamage = useCallback((damage) => {
+  // Handle taking damage - useCallback ensures stable reference.
+  // An explicit impulse (explosions) replaces the push away from the player.
+  const takeDamage = useCallback((damage, impulse) => {
     setHealth((prev) => {
       const newHealth = Math.max(0, prev - damage);
       return newHealth;
@@ -76,6 +81,11 @@ const Enemy = ({ position = [0, 2, 0], type = 'slime', name = 'Slime', monsterDa
         count: 8,
       });
 
+      if (impulse) {
+        enemyRef.current.applyImpulse(impulse, true);
+        return;
+      }
+
       // Apply knockback impulse (push away from player)
       const knockbackDir = _direction.current.set(
         enemyPos.x - playerPos[0],
@@ -126,7 +136,7 @@ const Enemy = ({ position = [0, 2, 0], type = 'slime', name = 'Slime', monsterDa
     if (vel.y < -12 || currentPos.y < -2) {
       const chunkMgr = useGameStore.getState()._chunkManager;
       if (chunkMgr) {
-        for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+        for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
           const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
           const block = chunkMgr.getBlock(currentPos.x, worldY, currentPos.z);
           if (isSolid(block)) {
@@ -145,7 +155,21 @@ const Enemy = ({ position = [0, 2, 0], type = 'slime', name = 'Slime', monsterDa
     const detectionRange = 20;
     const attackRange = 2;
 
-    if (distance < detectionRange) {
+    // Look for the player every so often; terrain in between hides them
+    unseenForRef.current += delta;
+    sightTimerRef.current -= delta;
+    if (distance < detectionRange && sightTimerRef.current <= 0) {
+      sightTimerRef.current = SIGHT_CHECK_INTERVAL;
+      const chunkMgr = useGameStore.getState()._chunkManager;
+      const canSee = !chunkMgr || hasLineOfSight(
+        chunkMgr,
+        { x: enemyPos.x, y: enemyPos.y + SIGHT_EYE_HEIGHT, z: enemyPos.z },
+        { x: playerPos.x, y: playerPos.y + SIGHT_EYE_HEIGHT, z: playerPos.z }
+      );
+      if (canSee) unseenForRef.current = 0;
+    }
+
+    if (distance < detectionRange && unseenForRef.current < SIGHT_MEMORY) {
       // Move towards player
       const direction = _direction.current.subVectors(playerPos, enemyPos).normalize();
 
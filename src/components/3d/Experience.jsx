@@ -2,6 +2,7 @@ import React, { Suspense, useEffect, useState, useRef } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { Physics } from '@react-three/rapier';
 import Player from './Player';
+import RemotePlayers from './RemotePlayers';
 import Enemy from './Enemy';
 import Projectile from './Projectile';
 import TouchControls from './TouchControls';
@@ -13,11 +14,15 @@ import XPOrb from './XPOrb';
 import LootDrop from './LootDrop';
 import ParticleEffect from './ParticleEffect';
 import ChunkRenderer from './ChunkRenderer';
+import HorizonRenderer from './HorizonRenderer';
 import BlockInteraction from './BlockInteraction';
+import AreaEditTool from './AreaEditTool';
+import SignText from './SignText';
 import ScreenShakeController from './ScreenShakeController';
 import DayNightCycle from './DayNightCycle';
 import SurvivalTick from './SurvivalTick';
 import RiftController from './RiftController';
+import ExplosionController from './ExplosionController';
 import RiftVisual from './RiftVisual';
 import SettlementTick from './SettlementTick';
 import SettlerNPC from './SettlerNPC';
@@ -35,7 +40,7 @@ import ConstructionVisual from './ConstructionVisual';
 import ConstructionTick from './ConstructionTick';
 import useGameStore from '../../stores/useGameStore';
 import { useChunkSystem } from '../../hooks/useChunkSystem';
-import { VOXEL_SIZE, CHUNK_SIZE_Y, worldToChunk } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y, worldToChunk } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 
 /**
@@ -46,15 +51,14 @@ import { isSolid } from '../../systems/chunks/blockTypes';
 function getTerrainY(chunkManager, wx, wz) {
   if (!chunkManager) return null;
 
-  // Check if the chunk at this position is actually loaded.
+  // Check if the column at this position is actually loaded.
   // getBlock() returns 0 (AIR) for unloaded chunks, which is indistinguishable
   // from truly empty columns. We must verify the chunk exists first.
   const { chunkX, chunkZ } = worldToChunk(wx, wz);
-  const chunk = chunkManager.getChunk(chunkX, chunkZ);
-  if (!chunk) return null; // Chunk not loaded — caller should retry
+  if (!chunkManager.hasColumn(chunkX, chunkZ)) return null; // Chunk not loaded — caller should retry
 
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
-  for (let vy = maxVoxelY; vy >= 0; vy--) {
+  const maxVoxelY = WORLD_MAX_Y - 1;
+  for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -178,7 +182,7 @@ const Experience = () => {
   // Update chunk system based on player position
   useEffect(() => {
     if (isReady && playerPosition) {
-      updatePlayerPosition(playerPosition[0], playerPosition[2]);
+      updatePlayerPosition(playerPosition[0], playerPosition[1], playerPosition[2]);
     }
   }, [isReady, playerPosition, updatePlayerPosition]);
 
@@ -186,13 +190,14 @@ const Experience = () => {
   useEffect(() => {
     if (isReady && chunkManager) {
       useGameStore.getState().setChunkManager(chunkManager);
+      useGameStore.getState().aiSystemManager?.setChunkManager(chunkManager);
     }
   }, [isReady, chunkManager]);
 
   // Update chunk system every frame
   useFrame((state, delta) => {
     if (isReady) {
-      updateChunks(delta);
+      updateChunks(delta, useGameStore.getState().worldTime.dayNumber);
     }
   });
 
@@ -229,6 +234,9 @@ const Experience = () => {
       {/* Rift controller — manages spawning logic */}
       <RiftController chunkManager={isReady ? chunkManager : null} />
 
+      {/* Explosion controller — detonates bombs, spell and boss blasts */}
+      <ExplosionController chunkManager={isReady ? chunkManager : null} />
+
       {/* Companion controller — syncs CompanionAISystem to store */}
       <CompanionController />
 
@@ -249,6 +257,14 @@ const Experience = () => {
       {/* Weather particles (rain, snow, fog) */}
       <WeatherEffects />
 
+      {/* Far-terrain horizon past the loaded chunks (heightmap tiles, no physics) */}
+      {isReady && chunkManager && workerPool && (
+        <HorizonRenderer chunkManager={chunkManager} workerPool={workerPool} />
+      )}
+
+      {/* Other players in a networked game (no physics; the server moves them) */}
+      <RemotePlayers />
+
       {/* Physics world */}
       <Physics gravity={[0, -20, 0]}>
         {/* Player - outside Suspense for reliable physics */}
@@ -287,6 +303,8 @@ const Experience = () => {
                 workerPool={workerPool}
               />
               <BlockInteraction chunkManager={chunkManager} />
+              <AreaEditTool chunkManager={chunkManager} />
+              <SignText chunkManager={chunkManager} />
             </>
           )}
 
@@ -0,0 +1,120 @@
+/**
+ * ExplosionController.jsx — Invisible R3F component that sets off queued explosions
+ *
+ * Bombs, mining charges, spells and boss slams queue explosions in the store
+ * (queueExplosion). Once its fuse burns down, each one is carved out of the
+ * chunk world (ChunkManager.explode), the blocks it broke drop into the
+ * player's materials, and enemies, wildlife and the player take damage and
+ * knockback that fall off with distance (explosionImpact). On a co-op server
+ * the terrain is left alone.
+ */
+
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import useGameStore from '../../stores/useGameStore';
+import { explosionImpact } from '../../systems/chunks/Explosion';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
+import { isSolid } from '../../systems/chunks/blockTypes';
+import { WILDLIFE_TYPES } from '../../data/wildlifeTypes';
+import { audioManager } from '../../utils/AudioManager';
+
+/**
+ * Move a grounded blast down onto the first solid block below it, or onto
+ * the surface when it has no height. Returns null over a void.
+ */
+function groundPosition(chunkManager, [x, y, z]) {
+  if (!chunkManager) return null;
+  const startVy = y == null ? WORLD_MAX_Y - 1 : Math.floor(y / VOXEL_SIZE);
+  for (let vy = startVy; vy >= WORLD_MIN_Y; vy--) {
+    const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
+    if (isSolid(chunkManager.getBlock(x, worldY, z))) return [x, worldY, z];
+  }
+  return null;
+}
+
+const ExplosionController = ({ chunkManager }) => {
+  const _worldPos = useRef(new THREE.Vector3());
+
+  const detonate = (explosion, scene) => {
+    const store = useGameStore.getState();
+    const position = explosion.grounded
+      ? groundPosition(chunkManager, explosion.position)
+      : explosion.position;
+    if (!position) return;
+    const blast = { ...explosion, position };
+
+    // Carve the terrain; whatever survives the blast goes to the player.
+    // Terrain from a co-op server is the server's: the blast only hurts.
+    if (chunkManager && !chunkManager.chunkSource && blast.power > 0) {
+      const { drops } = chunkManager.explode(position[0], position[1], position[2], blast);
+      for (const [material, amount] of Object.entries(drops)) {
+        store.addMaterial(material, amount);
+        store.addPickupText(`+${amount} ${material}`, '#44ff44');
+      }
+    }
+
+    // Enemies — several objects of one enemy share its takeDamage
+    const hitEnemies = new Set();
+    scene.traverse((child) => {
+      const { isEnemy, takeDamage } = child.userData || {};
+      if (!isEnemy || !takeDamage || hitEnemies.has(takeDamage)) return;
+      hitEnemies.add(takeDamage);
+      const hit = explosionImpact(blast, child.getWorldPosition(_worldPos.current).toArray());
+      if (hit && hit.damage > 0) takeDamage(hit.damage, hit.impulse);
+    });
+
+    // Wildlife
+    for (const animal of store.wildlife) {
+      if (!animal.alive) continue;
+      const hit = explosionImpact(blast, animal.position);
+      if (!hit || hit.damage <= 0) continue;
+      const hp = (animal.hp ?? WILDLIFE_TYPES[animal.type]?.hp ?? 1) - hit.damage;
+      if (hp <= 0) {
+        store.removeWildlife(animal.id);
+      } else {
+        store.updateWildlife(animal.id, { hp });
+      }
+    }
+
+    // Player
+    const playerHit = explosion.hurtsPlayer === false ? null : explosionImpact(blast, store.player.position);
+    if (playerHit) {
+      if (playerHit.damage > 0) {
+        store.dealDamageToPlayer(playerHit.damage, explosion.source || 'Caught in an explosion');
+      }
+      store.knockbackPlayer(playerHit.impulse);
+    }
+
+    store.addParticleEffect({
+      position,
+      color: '#ff8c1a',
+      type: 'explosion',
+      count: 20 + Math.round(blast.radius * 10),
+    });
+
+    // Shake the screen harder the closer the player is
+    const [px, py, pz] = store.player.position;
+    const dist = Math.hypot(px - position[0], py - position[1], pz - position[2]);
+    const closeness = 1 - dist / (blast.radius * VOXEL_SIZE * 4);
+    if (closeness > 0) store.triggerScreenShake(0.3 + closeness * 0.7, 0.4);
+    audioManager.play('explosion');
+  };
+
+  useFrame((state, delta) => {
+    const store = useGameStore.getState();
+    if (store.gameState !== 'playing') return;
+
+    const queue = store._explosionQueue;
+    for (let i = queue.length - 1; i >= 0; i--) {
+      queue[i].fuse -= delta;
+      if (queue[i].fuse > 0) continue;
+      const [explosion] = queue.splice(i, 1);
+      detonate(explosion, state.scene);
+    }
+  });
+
+  return null;
+};
+
+export default ExplosionController;
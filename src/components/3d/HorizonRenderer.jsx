@@ -0,0 +1,194 @@
+/**
+ * HorizonRenderer - Draws the far-terrain horizon past the loaded chunks
+ *
+ * Plans heightmap tiles around the player (HorizonGenerator.planHorizonTiles)
+ * whenever they change chunk, has the worker pool build the missing ones a
+ * few at a time, and draws them lit like the chunks. Tiles that drop out of
+ * the plan stay up until every tile of the new plan is ready, so the horizon
+ * never flickers open while rings re-split.
+ *
+ * The tiles leave a round hole over the loaded world, discarded in the
+ * shader. While mounted, the day/night fog is stretched out to the horizon's
+ * edge (DayNightLighting.getFogRange) so far mountains fade into the sky;
+ * thick weather fog is left alone and hides the horizon by itself.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { CHUNK_SIZE, VOXEL_SIZE, chunkOriginWorld, worldToChunk } from '../../systems/chunks/coordinates.js';
+import {
+  planHorizonTiles,
+  getHorizonHoleRadius,
+  getHorizonDistance,
+} from '../../systems/chunks/HorizonGenerator.js';
+import { getFogRange } from '../../systems/lighting/DayNightLighting.js';
+import { FOG_NEAR, FOG_FAR } from '../../data/tuning.js';
+import useGameStore from '../../stores/useGameStore';
+
+// Horizon tiles building in the worker pool at once, so chunk loads keep priority
+const MAX_PENDING_TILES = 2;
+
+const CHUNK_WORLD_SIZE = CHUNK_SIZE * VOXEL_SIZE;
+
+// Hole over the loaded world, shared by every tile through the material
+const _holeCenter = { value: new THREE.Vector2() };
+const _holeRadius = { value: 0 };
+
+/**
+ * Lambert material that discards fragments inside the hole around the player
+ */
+function createHorizonMaterial() {
+  const mat = new THREE.MeshLambertMaterial({
+    vertexColors: true,
+    side: THREE.DoubleSide,
+  });
+
+  mat.customProgramCacheKey = () => 'horizon';
+  mat.onBeforeCompile = (shader) => {
+    shader.uniforms.uHoleCenter = _holeCenter;
+    shader.uniforms.uHoleRadius = _holeRadius;
+
+    shader.vertexShader = shader.vertexShader.replace(
+      '#include <common>',
+      `#include <common>
+varying vec2 vHorizonXZ;`
+    );
+    shader.vertexShader = shader.vertexShader.replace(
+      '#include <project_vertex>',
+      `#include <project_vertex>
+vHorizonXZ = (modelMatrix * vec4(transformed, 1.0)).xz;`
+    );
+
+    shader.fragmentShader = shader.fragmentShader.replace(
+      '#include <common>',
+      `#include <common>
+varying vec2 vHorizonXZ;
+uniform vec2 uHoleCenter;
+uniform float uHoleRadius;`
+    );
+    shader.fragmentShader = shader.fragmentShader.replace(
+      'void main() {',
+      `void main() {
+if (distance(vHorizonXZ, uHoleCenter) < uHoleRadius) discard;`
+    );
+  };
+
+  return mat;
+}
+
+const _horizonMaterial = createHorizonMaterial();
+
+/**
+ * One horizon tile
+ */
+function HorizonTile({ tile, meshData }) {
+  const position = useMemo(() => {
+    const origin = chunkOriginWorld(tile.chunkX, 0, tile.chunkZ);
+    return [origin.x, 0, origin.z];
+  }, [tile.chunkX, tile.chunkZ]);
+
+  const geometry = useMemo(() => {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(meshData.positions, 3));
+    geo.setAttribute('normal', new THREE.BufferAttribute(meshData.normals, 3));
+    geo.setAttribute('color', new THREE.BufferAttribute(meshData.colors, 3));
+    geo.setIndex(new THREE.BufferAttribute(meshData.indices, 1));
+    geo.computeBoundingSphere();
+    return geo;
+  }, [meshData]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return <mesh position={position} geometry={geometry} material={_horizonMaterial} />;
+}
+
+/**
+ * Far-terrain horizon renderer
+ */
+export function HorizonRenderer({ chunkManager, workerPool }) {
+  const { scene } = useThree();
+  const [built, setBuilt] = useState(new Map()); // tile key -> { tile, meshData }
+  const planRef = useRef(null); // { chunkX, chunkZ, tiles, keys, failed }
+  const pendingRef = useRef(new Set());
+  const horizonDistance = useMemo(() => getHorizonDistance(), []);
+
+  // Put the day/night fog back when the horizon goes away
+  useEffect(() => () => {
+    if (scene.fog && scene.fog.far > FOG_FAR) {
+      scene.fog.near = FOG_NEAR;
+      scene.fog.far = FOG_FAR;
+    }
+  }, [scene]);
+
+  useFrame(() => {
+    if (!chunkManager || !workerPool) return;
+
+    const [px, , pz] = useGameStore.getState().player.position;
+    const { chunkX, chunkZ } = worldToChunk(px, pz);
+    const { viewDistance, seed } = chunkManager;
+
+    let plan = planRef.current;
+    if (!plan || plan.chunkX !== chunkX || plan.chunkZ !== chunkZ) {
+      // Nearest tiles first, so the horizon fills in from the loaded edge out
+      const distance = (t) => Math.max(
+        Math.abs(t.chunkX + t.sizeChunks / 2 - chunkX),
+        Math.abs(t.chunkZ + t.sizeChunks / 2 - chunkZ)
+      );
+      const tiles = planHorizonTiles(chunkX, chunkZ, viewDistance)
+        .sort((a, b) => distance(a) - distance(b));
+      plan = { chunkX, chunkZ, tiles, keys: new Set(tiles.map((t) => t.key)), failed: new Set() };
+      planRef.current = plan;
+    }
+
+    const origin = chunkOriginWorld(chunkX, 0, chunkZ);
+    _holeCenter.value.set(origin.x + CHUNK_WORLD_SIZE / 2, origin.z + CHUNK_WORLD_SIZE / 2);
+    _holeRadius.value = getHorizonHoleRadius(viewDistance);
+
+    // Day/night fog only; weather fog is much shorter than FOG_FAR
+    if (scene.fog && scene.fog.far >= FOG_FAR) {
+      const { near, far } = getFogRange(horizonDistance);
+      scene.fog.near = near;
+      scene.fog.far = far;
+    }
+
+    // Request missing tiles
+    for (const tile of plan.tiles) {
+      if (pendingRef.current.size >= MAX_PENDING_TILES) break;
+      if (built.has(tile.key) || pendingRef.current.has(tile.key) || plan.failed.has(tile.key)) continue;
+
+      pendingRef.current.add(tile.key);
+      workerPool.execute({ type: 'buildHorizonMesh', seed, ...tile }).then((meshData) => {
+        pendingRef.current.delete(tile.key);
+        if (!planRef.current?.keys.has(tile.key)) return;
+        setBuilt((prev) => new Map(prev).set(tile.key, { tile, meshData }));
+      }).catch((error) => {
+        pendingRef.current.delete(tile.key);
+        plan.failed.add(tile.key);
+        console.error('[HorizonRenderer] Failed to build horizon tile:', tile.key, error);
+      });
+    }
+
+    // Once the whole plan is up, drop tiles that fell out of it
+    const complete = plan.tiles.every((t) => built.has(t.key) || plan.failed.has(t.key));
+    if (complete && Array.from(built.keys()).some((key) => !plan.keys.has(key))) {
+      setBuilt((prev) => {
+        const next = new Map();
+        for (const [key, entry] of prev) {
+          if (plan.keys.has(key)) next.set(key, entry);
+        }
+        return next;
+      });
+    }
+  });
+
+  return (
+    <group name="horizon">
+      {Array.from(built.values()).map(({ tile, meshData }) => (
+        <HorizonTile key={tile.key} tile={tile} meshData={meshData} />
+      ))}
+    </group>
+  );
+}
+
+export default HorizonRenderer;
@@ -9,6 +9,7 @@ import { SPELLS, executeSpell } from '../../data/spells';
 import { isTouchDevice } from '../../utils/deviceDetection';
 import { AUTO_JUMP_COOLDOWN_MS, AUTO_JUMP_DETECT_RANGE, AUTO_JUMP_IMPULSE, AUTO_JUMP_MIN_SPEED, JUMP_IMPULSE, JUMP_STAMINA_COST, JUMP_GROUNDED_THRESHOLD, JUMP_COOLDOWN_MS, NAV_WAYPOINT_ARRIVAL, NAV_STUCK_TIMEOUT } from '../../data/tuning';
 import { isSolid as isBlockSolid, isTransparent as isBlockTransparent } from '../../systems/chunks/blockTypes';
+import { MovementPredictor } from '../../core/MovementPrediction';
 
 // Pre-compute spell key map (SPELLS is static)
 const SPELL_KEY_MAP = {
@@ -20,6 +21,8 @@ const SPELL_KEY_MAP = {
   spell6: SPELLS.find(s => s.key === '6'),
 };
 
+const toXYZ = ([x, y, z]) => ({ x, y, z });
+
 const Player = () => {
   const playerRef = useRef();
   const { camera } = useThree();
@@ -70,21 +73,62 @@ const Player = () => {
   const _targetCameraPos = useRef(new THREE.Vector3());
   const _targetLookAt = useRef(new THREE.Vector3());
 
+  // Networked movement: while joined to a server that owns the terrain, a
+  // MovementPredictor moves the player and the server has the last word;
+  // the body turns kinematic and just follows
+  const predictionRef = useRef(null); // { predictor, layer, world, unbind }
+  const writtenPosRef = useRef(null); // Position this component last put in the store
+  const [networked, setNetworked] = React.useState(false);
+
+  const syncPredictor = (body) => {
+    const { _networkLayer: layer, _chunkManager: world } = useGameStore.getState();
+    const active = !!(layer && layer.bindMovementPredictor && layer.isConnected() && world && world.chunkSource);
+    const current = predictionRef.current;
+    if (current && (!active || current.layer !== layer || current.world !== world)) {
+      current.unbind();
+      predictionRef.current = null;
+    }
+    if (active && !predictionRef.current) {
+      const { x, y, z } = body.translation();
+      const predictor = new MovementPredictor({ world, position: [x, y, z] });
+      predictionRef.current = { predictor, layer, world, unbind: layer.bindMovementPredictor(predictor) };
+    }
+    if (!!predictionRef.current !== networked) setNetworked(!!predictionRef.current);
+    return predictionRef.current ? predictionRef.current.predictor : null;
+  };
+
+  useEffect(() => () => {
+    if (predictionRef.current) predictionRef.current.unbind();
+    predictionRef.current = null;
+  }, []);
+
   useFrame((state, delta) => {
     if (!playerRef.current) return;
 
     const body = playerRef.current;
-    const currentPos = body.translation();
-    const currentVel = body.linvel();
+    const predictor = syncPredictor(body);
+    const currentPos = predictor ? toXYZ(predictor.position) : body.translation();
+    const currentVel = predictor ? toXYZ(predictor.velocity) : body.linvel();
 
     // Detect teleport (respawn) — store position jumped far from physics body
     const storePos = useGameStore.getState().player.position;
-    const dx = storePos[0] - currentPos.x;
-    const dz = storePos[2] - currentPos.z;
-    if (dx * dx + dz * dz > 100) { // >10 units away = teleport
-      body.setTranslation({ x: storePos[0], y: storePos[1], z: storePos[2] }, true);
-      body.setLinvel({ x: 0, y: 0, z: 0 }, true);
-      return; // Skip this frame to let physics settle
+    if (predictor) {
+      // Networked, the server picks where a respawn lands: ask it, and let
+      // this frame write the predicted position back over the store's
+      const written = writtenPosRef.current;
+      if (written && written !== storePos) {
+        const dx = storePos[0] - written[0];
+        const dz = storePos[2] - written[2];
+        if (dx * dx + dz * dz > 100) predictionRef.current.layer.requestRespawn();
+      }
+    } else {
+      const dx = storePos[0] - currentPos.x;
+      const dz = storePos[2] - currentPos.z;
+      if (dx * dx + dz * dz > 100) { // >10 units away = teleport
+        body.setTranslation({ x: storePos[0], y: storePos[1], z: storePos[2] }, true);
+        body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        return; // Skip this frame to let physics settle
+      }
     }
 
     // Determine if sprinting (keyboard Shift or mobile double-tap)
@@ -96,6 +140,7 @@ const Player = () => {
 
     // Use stamina when sprinting and moving
     let isMoving = false;
+    let jumped = false;
 
     // Calculate camera forward and right vectors (ignoring Y for horizontal movement)
     const cameraForward = _cameraForward.current;
@@ -287,6 +332,7 @@ const Player = () => {
             const headBlock = cm.getBlock(checkX, headY, checkZ);
             if (isBlockSolid(footBlock) && !isBlockSolid(headBlock)) {
               velocity.y = AUTO_JUMP_IMPULSE;
+              jumped = true;
               lastAutoJump.current = now;
             }
           }
@@ -310,6 +356,7 @@ const Player = () => {
         } else if (batch.stamina >= JUMP_STAMINA_COST) {
           // Single tap - normal jump
           velocity.y = JUMP_IMPULSE;
+          jumped = true;
           batch.stamina = Math.max(0, batch.stamina - JUMP_STAMINA_COST);
           lastSpacePress.current = now;
           lastJumpTime.current = now;
@@ -317,11 +364,33 @@ const Player = () => {
       }
     }
 
-    // Apply velocity
-    body.setLinvel(velocity, true);
+    // Blast knockback (explosions); movement damping eases it off
+    const knockback = useGameStore.getState().takePlayerKnockback();
+    if (knockback && !predictor) {
+      velocity.x += knockback.x;
+      velocity.y += knockback.y;
+      velocity.z += knockback.z;
+    }
 
     // Player position (included in batched write below)
-    const newPos = [currentPos.x, currentPos.y, currentPos.z];
+    let newPos;
+    if (predictor) {
+      // Steer toward the keys' (or dodge roll's) velocity; the predictor
+      // eases into it the way the damping above does. Knockback isn't
+      // something the server can check, so networked play goes without.
+      const dodging = isDodging && dodgeTimer.current > 0;
+      predictor.update(delta, {
+        vx: dodging ? velocity.x : movement.x,
+        vz: dodging ? velocity.z : movement.z,
+        jump: jumped,
+      });
+      newPos = predictor.position;
+      body.setNextKinematicTranslation(toXYZ(newPos));
+    } else {
+      // Apply velocity
+      body.setLinvel(velocity, true);
+      newPos = [currentPos.x, currentPos.y, currentPos.z];
+    }
 
     // Leg walk animation
     const xzSpeed = Math.sqrt(currentVel.x * currentVel.x + currentVel.z * currentVel.z);
@@ -435,6 +504,7 @@ const Player = () => {
 
     // ── Single batched store write for all player state ──
     batch.position = newPos;
+    writtenPosRef.current = newPos;
     updatePlayer(batch);
   });
 
@@ -520,7 +590,7 @@ const Player = () => {
       ref={playerRef}
       position={player.position}
       enabledRotations={[false, false, false]}
-      type="dynamic"
+      type={networked ? 'kinematicPosition' : 'dynamic'}
       colliders={false}
       mass={1}
       linearDamping={0.5}
@@ -3,10 +3,14 @@ import { useFrame } from '@react-three/fiber';
 import { RigidBody } from '@react-three/rapier';
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
+import { raycast } from '../../systems/chunks/VoxelQuery';
+import { TERRAIN_DAMAGE_ENABLED } from '../../data/tuning';
 
 /**
  * Projectile component - For spells and ranged attacks
- * Supports projectile, AOE, beam spells with status effects
+ * Supports projectile, AOE, beam spells with status effects.
+ * Projectiles stop at the first solid block they fly into; spells with
+ * terrainDamage ({ radius, power }) blast it (see ExplosionController).
  */
 const Projectile = ({
   id,
@@ -23,10 +27,12 @@ const Projectile = ({
   type = 'projectile',
   beamWidth = 1,
   lifetime = null,
+  terrainDamage = null,
 }) => {
   const rigidBodyRef = useRef();
   const velocity = useRef(new THREE.Vector3(...direction).normalize().multiplyScalar(speed));
   const spawnPos = useRef(new THREE.Vector3(...position));
+  const lastPos = useRef(new THREE.Vector3(...position));
   const elapsedTime = useRef(0);
   const hasHit = useRef(false);
 
@@ -191,6 +197,30 @@ const Projectile = ({
       return;
     }
 
+    // Stop at the terrain, checking the whole path flown this frame so fast
+    // projectiles can't skip through thin walls
+    const chunkManager = useGameStore.getState()._chunkManager;
+    if (chunkManager) {
+      const from = lastPos.current;
+      const step = { x: pos.x - from.x, y: pos.y - from.y, z: pos.z - from.z };
+      const stepLength = Math.sqrt(step.x * step.x + step.y * step.y + step.z * step.z);
+      const hit = stepLength > 0 ? raycast(chunkManager, from, step, stepLength) : null;
+      from.set(pos.x, pos.y, pos.z);
+      if (hit) {
+        hasHit.current = true;
+        if (terrainDamage && TERRAIN_DAMAGE_ENABLED) {
+          useGameStore.getState().queueExplosion({
+            ...terrainDamage,
+            position: [hit.position.x, hit.position.y, hit.position.z],
+            dropChance: 0,
+            hurtsPlayer: false,
+          });
+        }
+        removeProjectile(id);
+        return;
+      }
+    }
+
     // Manual distance-based enemy hit detection (fallback for physics sensor)
     // Traverse scene to find nearby enemies
     const hitRadius = 1.5;
@@ -0,0 +1,87 @@
+/**
+ * RemotePlayers — The other players in a networked game.
+ *
+ * Draws everyone in the store's `remotePlayers` (mirrored from the server by
+ * RemoteNetworkLayer) with the local player's figure in other colours.
+ * Positions arrive in uneven bursts, so each player goes through an
+ * InterpolationBuffer and is drawn slightly in the past, gliding between the
+ * positions the server sent. They face the way they're moving.
+ */
+
+import React, { useRef, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import useGameStore from '../../stores/useGameStore';
+import { InterpolationBuffer } from '../../core/MovementPrediction';
+
+// Movement below this per frame (world units) keeps the old facing
+const MIN_TURN_DISTANCE = 0.01;
+
+const RemotePlayer = ({ player }) => {
+  const groupRef = useRef();
+  const bufferRef = useRef(null);
+  if (!bufferRef.current) bufferRef.current = new InterpolationBuffer();
+
+  useEffect(() => {
+    if (player.position) bufferRef.current.push(performance.now(), player.position);
+  }, [player.position]);
+
+  useFrame(() => {
+    const group = groupRef.current;
+    const position = bufferRef.current.sample(performance.now());
+    if (!group || !position) return;
+
+    const dx = position[0] - group.position.x;
+    const dz = position[2] - group.position.z;
+    if (dx * dx + dz * dz > MIN_TURN_DISTANCE * MIN_TURN_DISTANCE) {
+      group.rotation.y = Math.atan2(dx, dz);
+    }
+    group.position.set(position[0], position[1], position[2]);
+    group.visible = true;
+  });
+
+  return (
+    <group ref={groupRef} visible={false}>
+      {/* Torso */}
+      <mesh position={[0, 1.35, 0]}>
+        <boxGeometry args={[1.2, 1.3, 0.8]} />
+        <meshBasicMaterial color="#2f9e44" />
+      </mesh>
+
+      {/* Legs */}
+      <mesh position={[-0.28, 0.45, 0]}>
+        <boxGeometry args={[0.35, 0.9, 0.45]} />
+        <meshBasicMaterial color="#237032" />
+      </mesh>
+      <mesh position={[0.28, 0.45, 0]}>
+        <boxGeometry args={[0.35, 0.9, 0.45]} />
+        <meshBasicMaterial color="#237032" />
+      </mesh>
+
+      {/* Head */}
+      <mesh position={[0, 2.4, 0]}>
+        <boxGeometry args={[0.9, 0.9, 0.9]} />
+        <meshBasicMaterial color="#51cf66" />
+      </mesh>
+
+      {/* Nose */}
+      <mesh position={[0, 2.3, 0.5]}>
+        <boxGeometry args={[0.18, 0.15, 0.15]} />
+        <meshBasicMaterial color="#e8967a" />
+      </mesh>
+    </group>
+  );
+};
+
+const RemotePlayers = () => {
+  const remotePlayers = useGameStore((state) => state.remotePlayers);
+
+  return (
+    <>
+      {Object.values(remotePlayers).map((player) => (
+        <RemotePlayer key={player.id} player={player} />
+      ))}
+    </>
+  );
+};
+
+export default RemotePlayers;
@@ -2,7 +2,8 @@
  * RiftController.jsx — Invisible R3F component that ticks the RiftManager
  *
  * Spawns monsters from rifts, tracks alive enemies, manages rift closing,
- * corruption fade, reinforcement waves, and provides rift state for rendering.
+ * corruption spread and fade, reinforcement waves, and provides rift state
+ * for rendering.
  */
 
 import { useRef, useEffect } from 'react';
@@ -10,8 +11,9 @@ import { useFrame } from '@react-three/fiber';
 import useGameStore from '../../stores/useGameStore';
 import { RiftManager, RiftState } from '../../systems/survival/RiftManager';
 import CorruptionManager from '../../systems/survival/CorruptionManager';
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
+import { RIFT_SPAWN_MAX_BLOCK_LIGHT } from '../../data/tuning';
 
 
 /**
@@ -19,8 +21,8 @@ import { isSolid } from '../../systems/chunks/blockTypes';
  */
 function getSpawnY(chunkManager, wx, wz) {
   if (!chunkManager) return null;
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
-  for (let vy = maxVoxelY; vy >= 0; vy--) {
+  const maxVoxelY = WORLD_MAX_Y - 1;
+  for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -111,6 +113,8 @@ const RiftController = ({ chunkManager }) => {
       const [sx, , sz] = spawn.position;
       const terrainY = chunkManager ? getSpawnY(chunkManager, sx, sz) : null;
       if (terrainY == null) continue;
+      // Torches and campfires keep monsters from spawning nearby
+      if (chunkManager.getBlockLight(sx, terrainY, sz) > RIFT_SPAWN_MAX_BLOCK_LIGHT) continue;
       state.addRiftEnemy({
         ...spawn.monsterData,
         position: [sx, terrainY, sz],
@@ -118,6 +122,11 @@ const RiftController = ({ chunkManager }) => {
       });
     }
 
+    // ── Corruption spread from open rifts ──
+    if (cm && chunkManager) {
+      cm.spread(delta, rm.getSpreadingRifts(), chunkManager, rm, state.worldTime);
+    }
+
     // ── Corruption fade for closing rifts ──
     const closingRifts = rm.getClosingRifts();
     if (closingRifts.length > 0 && cm && chunkManager) {
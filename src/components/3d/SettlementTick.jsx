@@ -12,11 +12,13 @@ import { useFrame } from '@react-three/fiber';
 import useGameStore from '../../stores/useGameStore';
 import SettlementBridge from '../../modules/settlement/SettlementBridge';
 import { BlockTypes } from '../../systems/chunks/blockTypes';
-import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE } from '../../systems/chunks/coordinates';
+import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { calculateAttractiveness } from '../../systems/settlement/AttractivenessCalculator';
 import { generateNPCIdentity } from '../../data/npcIdentity';
 import { calculateDrops } from '../../data/blockDrops';
 import { scanMiningZone } from '../../systems/settlement/MiningZoneScanner';
+import { writeChestContents } from '../../systems/settlement/StockpileChests';
+import { getCorruptionLevel } from '../../systems/survival/CorruptionManager';
 import {
   scanForTasks,
   findBestTask,
@@ -57,6 +59,8 @@ import {
   NPC_MINE_TOOL_TIER,
   NPC_THOUGHT_DURATION,
   NPC_SKILL_GROWTH,
+  CORRUPTION_SAMPLE_RADIUS,
+  CORRUPTION_NPC_HAPPINESS_PENALTY,
 } from '../../data/tuning';
 import { isSolid } from '../../systems/chunks/blockTypes';
 
@@ -68,7 +72,7 @@ const _warnedNPCs = new Set();
 
 function getTerrainYAt(chunkManager, wx, wz) {
   if (!chunkManager) return 10;
-  for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+  for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -280,7 +284,7 @@ export default function SettlementTick({ chunkManager }) {
               for (let x = 0; x < CHUNK_SIZE; x++) {
                 if (chunk.blocks[x + (z << 4) + (y << 8)] === BlockTypes.CAMPFIRE) {
                   const wx = (chunk.x * CHUNK_SIZE + x) * VOXEL_SIZE + VOXEL_SIZE / 2;
-                  const wy = y * VOXEL_SIZE + VOXEL_SIZE / 2;
+                  const wy = (chunk.y * CHUNK_SIZE_Y + y) * VOXEL_SIZE + VOXEL_SIZE / 2;
                   const wz = (chunk.z * CHUNK_SIZE + z) * VOXEL_SIZE + VOXEL_SIZE / 2;
                   store.setSettlementCenter([wx, wy, wz]);
                   return; // Early exit this frame
@@ -417,10 +421,14 @@ export default function SettlementTick({ chunkManager }) {
         updates.rest = newRest;
         updates.social = newSocial;
 
-        // Compute happiness
+        // Compute happiness (living on corrupted ground wears NPCs down)
         const happinessBonus = getPersonalityHappinessBonus(personality);
+        const corruption = npc.position
+          ? getCorruptionLevel(chunkManager, npc.position[0], npc.position[2], CORRUPTION_SAMPLE_RADIUS) / 100
+          : 0;
         updates.happiness = Math.max(0, Math.min(100,
-          newHunger * 0.35 + newRest * 0.3 + newSocial * 0.2 + 15 + happinessBonus
+          newHunger * 0.35 + newRest * 0.3 + newSocial * 0.2 + 15 + happinessBonus -
+          corruption * CORRUPTION_NPC_HAPPINESS_PENALTY
         ));
 
         // Tick thought bubble timer
@@ -747,13 +755,13 @@ export default function SettlementTick({ chunkManager }) {
                       if (freshZone?.storage) {
                         const newItems = { ...freshZone.storage.items };
                         newItems[drop.material] = (newItems[drop.material] || 0) + drop.amount;
-                        store.updateZone(zone.id, {
-                          storage: {
-                            ...freshZone.storage,
-                            items: newItems,
-                            usedCapacity: freshZone.storage.usedCapacity + drop.amount,
-                          },
-                        });
+                        const storage = {
+                          ...freshZone.storage,
+                          items: newItems,
+                          usedCapacity: freshZone.storage.usedCapacity + drop.amount,
+                        };
+                        store.updateZone(zone.id, { storage });
+                        writeChestContents(chunkManager, storage);
                       }
                     }
                     deposited = true;
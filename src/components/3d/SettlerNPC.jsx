@@ -14,7 +14,7 @@ import { RigidBody, CapsuleCollider } from '@react-three/rapier';
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
 import { NPC_WALK_SPEED, NPC_APPROACH_SPEED, NPC_HAUL_SPEED } from '../../data/tuning';
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 import NPCThoughtBubble from './NPCThoughtBubble';
 
@@ -53,7 +53,7 @@ const STATUS_COLORS = {
 
 function getTerrainY(chunkManager, wx, wz) {
   if (!chunkManager) return null;
-  for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+  for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
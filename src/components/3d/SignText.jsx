@@ -0,0 +1,122 @@
+/**
+ * SignText - Draws the text of nearby signs onto their boards
+ *
+ * Sign text lives in the sign's block state (see blockStates.js). Every
+ * half second the chunks around the player are checked for signs with
+ * text; each gets a canvas texture on the front of its board. No drei
+ * Text (causes WebGL shader corruption).
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import useGameStore from '../../stores/useGameStore';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+import { VOXEL_SIZE, localToWorld, indexToLocal, worldToChunk } from '../../systems/chunks/coordinates';
+
+// Seconds between scans for signs
+const SCAN_INTERVAL = 0.5;
+
+// Chunks around the player (horizontally) whose signs are drawn
+const SIGN_CHUNK_RADIUS = 2;
+
+// Sign board (see the sign shape in chunkWorker.js), in blocks
+const BOARD_WIDTH = 14 / 16;
+const BOARD_HEIGHT = 7 / 16;
+const BOARD_CENTER_Y = 0.5 + BOARD_HEIGHT / 2;
+const BOARD_FRONT = 0.5 + 3 / 32 + 0.01;
+
+const boardGeometry = new THREE.PlaneGeometry(BOARD_WIDTH * VOXEL_SIZE, BOARD_HEIGHT * VOXEL_SIZE);
+
+/**
+ * Render sign text to a texture, wrapped onto up to three lines
+ */
+function makeTextTexture(text) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  ctx.fillStyle = '#2a1a0a';
+  ctx.font = 'bold 30px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (ctx.measureText(next).width > canvas.width - 16 && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+
+  lines.slice(0, 3).forEach((l, i, shown) => {
+    ctx.fillText(l, canvas.width / 2, canvas.height / 2 + (i - (shown.length - 1) / 2) * 36);
+  });
+
+  return new THREE.CanvasTexture(canvas);
+}
+
+function SignLabel({ sign }) {
+  const texture = useMemo(() => makeTextTexture(sign.text), [sign.text]);
+  useEffect(() => () => texture?.dispose(), [texture]);
+  if (!texture) return null;
+
+  // Facing 0 is north (+Z), clockwise
+  const angle = sign.facing * (Math.PI / 2);
+  const position = [
+    sign.x + Math.sin(angle) * (BOARD_FRONT - 0.5) * VOXEL_SIZE,
+    sign.y + (BOARD_CENTER_Y - 0.5) * VOXEL_SIZE,
+    sign.z + Math.cos(angle) * (BOARD_FRONT - 0.5) * VOXEL_SIZE,
+  ];
+
+  return (
+    <mesh geometry={boardGeometry} position={position} rotation={[0, angle, 0]}>
+      <meshBasicMaterial map={texture} transparent />
+    </mesh>
+  );
+}
+
+export default function SignText({ chunkManager }) {
+  const [signs, setSigns] = useState([]);
+  const elapsed = useRef(SCAN_INTERVAL);
+  const lastKey = useRef('');
+
+  useFrame((_, delta) => {
+    elapsed.current += delta;
+    if (!chunkManager || elapsed.current < SCAN_INTERVAL) return;
+    elapsed.current = 0;
+
+    const pos = useGameStore.getState().player.position;
+    const { chunkX, chunkZ } = worldToChunk(pos[0], pos[2]);
+    const found = [];
+    for (const chunk of chunkManager.chunks.values()) {
+      if (Math.abs(chunk.x - chunkX) > SIGN_CHUNK_RADIUS || Math.abs(chunk.z - chunkZ) > SIGN_CHUNK_RADIUS) continue;
+      if (!chunk.blockStates?.size) continue;
+      for (const [index, state] of chunk.blockStates) {
+        if (chunk.blocks[index] !== BlockTypes.SIGN || !state.text) continue;
+        const local = indexToLocal(index);
+        const world = localToWorld(chunk.x, chunk.y, chunk.z, local.x, local.y, local.z);
+        found.push({ key: `${world.x},${world.y},${world.z}`, ...world, facing: state.facing, text: state.text });
+      }
+    }
+
+    const key = found.map(s => `${s.key}:${s.facing}:${s.text}`).join('|');
+    if (key !== lastKey.current) {
+      lastKey.current = key;
+      setSigns(found);
+    }
+  });
+
+  return (
+    <group>
+      {signs.map(sign => <SignLabel key={sign.key} sign={sign} />)}
+    </group>
+  );
+}
@@ -2,20 +2,51 @@
  * SurvivalTick.jsx — Runs survival systems each frame
  *
  * Ticks hunger drain, applies starvation damage, checks shelter status,
- * and updates the store. Runs inside the R3F Canvas as an invisible component.
+ * and updates the store. Also hurts the player and settlers caught under
+ * cave-ins from the chunk world's BlockPhysics. Runs inside the R3F Canvas as an invisible component.
  */
 
-import { useRef } from 'react';
+import { useEffect, useRef } from 'react';
 import { useFrame } from '@react-three/fiber';
 import useGameStore from '../../stores/useGameStore';
 import { tickHunger } from '../../systems/survival/HungerSystem';
 import { checkShelter } from '../../systems/survival/ShelterDetector';
+import { getCaveInDamage } from '../../systems/chunks/BlockPhysics';
 import { SHELTER_CHECK_INTERVAL } from '../../data/tuning';
 
 const SurvivalTick = ({ chunkManager }) => {
   const starvationAccum = useRef(0);
   const lastShelterCheck = useRef(0);
 
+  // Cave-ins crush the player; settlers have no health, so they lose rest
+  useEffect(() => {
+    const physics = chunkManager?.blockPhysics;
+    if (!physics) return;
+
+    const originalOnCaveIn = physics.onCaveIn;
+    physics.onCaveIn = (event) => {
+      originalOnCaveIn(event);
+      const state = useGameStore.getState();
+      if (state.gameState !== 'playing') return;
+
+      const [px, py, pz] = state.player.position;
+      const dmg = getCaveInDamage(event, px, py, pz);
+      if (dmg > 0) state.dealDamageToPlayer(dmg, 'Crushed by a cave-in');
+
+      const updates = {};
+      for (const npc of state.settlement.npcs) {
+        if (!npc.position) continue;
+        const npcDmg = getCaveInDamage(event, npc.position[0], npc.position[1], npc.position[2]);
+        if (npcDmg > 0) updates[npc.id] = { rest: Math.max(0, npc.rest - npcDmg) };
+      }
+      if (Object.keys(updates).length > 0) state.batchUpdateSettlementNPCs(updates);
+    };
+
+    return () => {
+      physics.onCaveIn = originalOnCaveIn;
+    };
+  }, [chunkManager]);
+
   useFrame((_, delta) => {
     const state = useGameStore.getState();
 
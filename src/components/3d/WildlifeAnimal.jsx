@@ -9,12 +9,12 @@ import {
   WILDLIFE_WANDER_INTERVAL_MIN,
   WILDLIFE_WANDER_INTERVAL_MAX,
 } from '../../data/tuning';
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 
 function getTerrainHeight(chunkManager, wx, wz) {
   if (!chunkManager) return null;
-  for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+  for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -10,9 +10,11 @@ import {
   WILDLIFE_DESPAWN_RANGE,
   WILDLIFE_FLY_HEIGHT_MIN,
   WILDLIFE_FLY_HEIGHT_MAX,
+  CORRUPTION_SAMPLE_RADIUS,
 } from '../../data/tuning';
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
+import { getCorruptionLevel } from '../../systems/survival/CorruptionManager';
 
 // Seeded hash for consistent biome per world position
 function getBiome(wx, wz) {
@@ -30,7 +32,7 @@ function getBiome(wx, wz) {
 
 function getTerrainHeight(chunkManager, wx, wz) {
   if (!chunkManager) return null;
-  for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+  for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -82,6 +84,9 @@ export default function WildlifeTick({ chunkManager }) {
     const wx = px + Math.cos(angle) * dist;
     const wz = pz + Math.sin(angle) * dist;
 
+    // Animals shun corrupted ground
+    if (Math.random() * 100 < getCorruptionLevel(chunkManager, wx, wz, CORRUPTION_SAMPLE_RADIUS)) return;
+
     // Determine biome
     const biome = getBiome(wx, wz);
 
@@ -12,19 +12,20 @@ import React, { useRef, useState, useEffect, useCallback } from 'react';
 import { useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
-import { VOXEL_SIZE, CHUNK_SIZE_Y, worldToChunk } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y, worldToChunk } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 import { createZone, ZONE_COLORS } from '../../data/zoneTypes';
-import { ZONE_MAX_COUNT, ZONE_MAX_SIDE_VOXELS, ZONE_MIN_SIDE_VOXELS, STOCKPILE_CAPACITY_PER_VOXEL } from '../../data/tuning';
+import { ZONE_MAX_COUNT, ZONE_MAX_SIDE_VOXELS, ZONE_MIN_SIDE_VOXELS } from '../../data/tuning';
 import { scanMiningZone } from '../../systems/settlement/MiningZoneScanner';
+import { placeStockpileChests, chestStorage } from '../../systems/settlement/StockpileChests';
+import { actionVerdict } from '../../core/NetworkLayer';
 
 function getTerrainY(chunkManager, wx, wz) {
   if (!chunkManager) return 2;
   const { chunkX, chunkZ } = worldToChunk(wx, wz);
-  const chunk = chunkManager.getChunk(chunkX, chunkZ);
-  if (!chunk) return 2;
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
-  for (let vy = maxVoxelY; vy >= 0; vy--) {
+  if (!chunkManager.hasColumn(chunkX, chunkZ)) return 2;
+  const maxVoxelY = WORLD_MAX_Y - 1;
+  for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -34,6 +35,57 @@ function getTerrainY(chunkManager, wx, wz) {
   return 2;
 }
 
+/** Set out a new stockpile's chests; its capacity is what they hold */
+function setUpStockpile(store, zone, chunkManager) {
+  const storage = chestStorage(placeStockpileChests(zone.bounds, chunkManager));
+  store.updateZone(zone.id, { storage });
+  store.addPickupText(
+    storage.chests.length > 0
+      ? `Stockpile created (${storage.chests.length} chests, ${storage.capacity} capacity)`
+      : 'Stockpile created (place chests to store items)',
+    '#4488ff'
+  );
+}
+
+/**
+ * Add a zone to the store as this player, and set it up once the settlement
+ * agrees (on a co-op server that's when the server answers)
+ */
+function addZoneAsPlayer(store, zone, chunkManager) {
+  actionVerdict(store.addZone(zone, store.getLocalPlayerId())).then((verdict) => {
+    if (!verdict.success) {
+      store.addPickupText(verdict.error || 'Zone creation failed', '#ff4444');
+      return;
+    }
+    if (zone.type === 'MINING' && chunkManager) {
+      const miningTasks = scanMiningZone(zone.bounds, chunkManager);
+      store.updateZone(zone.id, { miningTasks });
+      store.addPickupText(`Mining Zone created (${miningTasks.length} blocks)`, '#ff8c00');
+    } else if (zone.type === 'STOCKPILE') {
+      setUpStockpile(store, zone, chunkManager);
+    } else {
+      store.addPickupText(`${zone.type} Zone created`, '#4488ff');
+    }
+  });
+}
+
+/** Remove a zone as this player, from the settlement module too if there is one */
+function removeZoneAsPlayer(store, zoneId) {
+  const playerId = store.getLocalPlayerId();
+  const zoneManager = store._settlementModule?.zoneManager;
+  if (zoneManager) {
+    const result = zoneManager.deleteZone(zoneId, playerId);
+    // Refused, unless the module never had it (zones made before it started)
+    if (!result.success && zoneManager.getZone(zoneId)) {
+      store.addPickupText(result.error, '#ff4444');
+      return;
+    }
+  }
+  actionVerdict(store.removeZone(zoneId, playerId)).then((verdict) => {
+    store.addPickupText(verdict.success ? 'Zone removed' : verdict.error, '#ff4444');
+  });
+}
+
 /** Snap a world coordinate to the voxel grid edge */
 function snapToGrid(value) {
   return Math.floor(value / VOXEL_SIZE) * VOXEL_SIZE;
@@ -150,6 +202,7 @@ export default function ZoneInteraction({ chunkManager }) {
       const result = module.zoneManager.createZone({
         type: store.zoneTypeToPlace,
         bounds: { minX, minZ, maxX, maxZ },
+        playerId: store.getLocalPlayerId(),
       });
       if (!result.success) {
         store.addPickupText(result.error || 'Zone creation failed', '#ff4444');
@@ -165,38 +218,14 @@ export default function ZoneInteraction({ chunkManager }) {
       });
       // Use the module-assigned ID so store and module stay in sync
       storeZone.id = result.zone.id;
-      store.addZone(storeZone);
-
-      // Scan for mining tasks if MINING zone
-      if (storeZone.type === 'MINING' && chunkManager) {
-        const miningTasks = scanMiningZone(storeZone.bounds, chunkManager);
-        store.updateZone(storeZone.id, { miningTasks });
-        store.addPickupText(`Mining Zone created (${miningTasks.length} blocks)`, '#ff8c00');
-      } else if (storeZone.type === 'STOCKPILE') {
-        const areaVoxels = ((maxX - minX) / VOXEL_SIZE) * ((maxZ - minZ) / VOXEL_SIZE);
-        const capacity = areaVoxels * STOCKPILE_CAPACITY_PER_VOXEL;
-        store.updateZone(storeZone.id, {
-          storage: { items: {}, capacity, usedCapacity: 0 },
-        });
-        store.addPickupText(`Stockpile created (${capacity} capacity)`, '#4488ff');
-      } else {
-        store.addPickupText(`${storeZone.type} Zone created`, '#4488ff');
-      }
+      addZoneAsPlayer(store, storeZone, chunkManager);
     } else {
       // Fallback: direct store creation (module not yet initialized)
       const zone = createZone({
         type: store.zoneTypeToPlace,
         minX, minZ, maxX, maxZ,
       });
-      store.addZone(zone);
-
-      if (zone.type === 'MINING' && chunkManager) {
-        const miningTasks = scanMiningZone(zone.bounds, chunkManager);
-        store.updateZone(zone.id, { miningTasks });
-        store.addPickupText(`Mining Zone created (${miningTasks.length} blocks)`, '#ff8c00');
-      } else {
-        store.addPickupText(`${zone.type} Zone created`, '#4488ff');
-      }
+      addZoneAsPlayer(store, zone, chunkManager);
     }
 
     store.clearZoneDrag();
@@ -236,15 +265,7 @@ export default function ZoneInteraction({ chunkManager }) {
         const pos = screenToWorldXZ(event.clientX, event.clientY, camera, gl, planeY);
         if (pos) {
           const zone = findZoneAtPoint(pos[0], pos[1]);
-          if (zone) {
-            const st = useGameStore.getState();
-            const mod = st._settlementModule;
-            if (mod && mod.zoneManager) {
-              mod.zoneManager.deleteZone(zone.id);
-            }
-            st.removeZone(zone.id);
-            st.addPickupText('Zone removed', '#ff4444');
-          }
+          if (zone) removeZoneAsPlayer(useGameStore.getState(), zone.id);
         }
         return;
       }
@@ -260,14 +281,7 @@ export default function ZoneInteraction({ chunkManager }) {
       // Delete mode: tap a zone to remove it
       if (store.zoneTypeToPlace === '__DELETE__') {
         const zone = findZoneAtPoint(pos[0], pos[1]);
-        if (zone) {
-          const mod = store._settlementModule;
-          if (mod && mod.zoneManager) {
-            mod.zoneManager.deleteZone(zone.id);
-          }
-          store.removeZone(zone.id);
-          store.addPickupText('Zone removed', '#ff4444');
-        }
+        if (zone) removeZoneAsPlayer(store, zone.id);
         return;
       }
 
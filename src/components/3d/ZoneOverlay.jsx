@@ -7,16 +7,15 @@ import React, { useMemo } from 'react';
 import * as THREE from 'three';
 import useGameStore from '../../stores/useGameStore';
 import { ZONE_COLORS } from '../../data/zoneTypes';
-import { VOXEL_SIZE, CHUNK_SIZE_Y, worldToChunk } from '../../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y, worldToChunk } from '../../systems/chunks/coordinates';
 import { isSolid } from '../../systems/chunks/blockTypes';
 
 function getTerrainY(chunkManager, wx, wz) {
   if (!chunkManager) return 2;
   const { chunkX, chunkZ } = worldToChunk(wx, wz);
-  const chunk = chunkManager.getChunk(chunkX, chunkZ);
-  if (!chunk) return 2;
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
-  for (let vy = maxVoxelY; vy >= 0; vy--) {
+  if (!chunkManager.hasColumn(chunkX, chunkZ)) return 2;
+  const maxVoxelY = WORLD_MAX_Y - 1;
+  for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkManager.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -1,16 +1,25 @@
 /**
  * PauseMenu — F10 to toggle. Freezes gameplay and shows a centered overlay.
  * Blocks all game input while open via capture-phase key handler.
- * Includes Save and Load buttons using the Game3DSaveManager singleton.
+ * Includes Save and Load buttons using the Game3DSaveManager singleton, and
+ * Import World, which loads a pre-generated world bundle
+ * (scripts/pregen-world.js) into the default slot.
+ * Save Replay downloads the session recorded so far; Load Replay watches one
+ * with ReplayControls (see systems/state/ReplaySystem.js), and puts the game
+ * back as it was when the replay is closed.
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import useGameStore from '../stores/useGameStore';
 import { game3DSaveManager } from '../persistence/Game3DSaveManager';
+import { ReplayPlayer } from '../systems/state/ReplaySystem';
+import { createSaveData } from '../persistence/SaveData';
 
 const PauseMenu = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [statusMsg, setStatusMsg] = useState(null);
+  const importInputRef = useRef(null);
+  const replayInputRef = useRef(null);
 
   const pause = useCallback(() => {
     const state = useGameStore.getState();
@@ -62,6 +71,12 @@ const PauseMenu = () => {
       const result = await game3DSaveManager.loadGame(store, chunkManager, 'default');
       if (result.success) {
         setStatusMsg({ text: 'Game loaded!', color: '#51cf66' });
+        // The recording so far started from another state — begin a new one
+        const recorder = useGameStore.getState()._replayRecorder;
+        if (recorder) {
+          recorder.stop();
+          recorder.start();
+        }
         // Close menu after brief delay so user sees success message
         setTimeout(() => {
           const state = useGameStore.getState();
@@ -80,6 +95,62 @@ const PauseMenu = () => {
     }
   }, []);
 
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setStatusMsg({ text: 'Importing...', color: '#aaa' });
+    try {
+      const bundle = JSON.parse(await file.text());
+      const result = await game3DSaveManager.importWorld(bundle, 'default');
+      if (result.success) {
+        await handleLoad();
+      } else {
+        setStatusMsg({ text: result.message, color: '#ff6b6b' });
+      }
+    } catch (err) {
+      setStatusMsg({ text: 'Import failed: ' + err.message, color: '#ff6b6b' });
+    }
+  }, [handleLoad]);
+
+  const handleSaveReplay = useCallback(() => {
+    const recorder = useGameStore.getState()._replayRecorder;
+    if (!recorder) {
+      setStatusMsg({ text: 'Nothing recorded yet', color: '#ff6b6b' });
+      return;
+    }
+    const replay = recorder.toReplay();
+    const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `replay-${new Date(replay.recordedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatusMsg({ text: `Replay saved (${replay.actions.length} actions)`, color: '#51cf66' });
+  }, []);
+
+  const handleLoadReplay = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const chunkManager = useGameStore.getState()._chunkManager;
+      const player = new ReplayPlayer(JSON.parse(await file.text()), {
+        store: useGameStore,
+        worldSeed: chunkManager?.seed ?? null,
+      });
+      // The replay overwrites the game; keep it to put back on Exit
+      const liveSave = createSaveData(useGameStore.getState(), 'replay-return');
+      player.reset();
+      useGameStore.getState().setReplayPlayer(player, liveSave);
+      // Stay paused underneath; ReplayControls drives the state from here
+      setIsOpen(false);
+      setStatusMsg(null);
+    } catch (err) {
+      setStatusMsg({ text: 'Replay failed: ' + err.message, color: '#ff6b6b' });
+    }
+  }, []);
+
   // Capture-phase key handler — blocks all game input while open
   useEffect(() => {
     const handler = (e) => {
@@ -144,6 +215,25 @@ const PauseMenu = () => {
           <PauseButton label="Resume" onClick={resume} />
           <PauseButton label="Save Game" onClick={handleSave} />
           <PauseButton label="Load Game" onClick={handleLoad} />
+          <PauseButton label="Import World" onClick={() => importInputRef.current?.click()} />
+          <input
+            data-pause-button
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleImport}
+          />
+          <PauseButton label="Save Replay" onClick={handleSaveReplay} />
+          <PauseButton label="Load Replay" onClick={() => replayInputRef.current?.click()} />
+          <input
+            data-pause-button
+            ref={replayInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleLoadReplay}
+          />
         </div>
 
         {statusMsg && (
@@ -19,6 +19,11 @@ const HOTBAR_BLOCKS = [
   BlockTypes.GRAVEL,
   BlockTypes.COAL_ORE,
   BlockTypes.CAMPFIRE,
+  BlockTypes.WOOD_STAIRS,
+  BlockTypes.WOOD_DOOR,
+  BlockTypes.SIGN,
+  BlockTypes.CHEST,
+  BlockTypes.PURIFICATION_WARD,
 ];
 
 /**
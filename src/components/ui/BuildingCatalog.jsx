@@ -94,7 +94,8 @@ export default function BuildingCatalog() {
   // Toggle on B key, close on Escape
   useEffect(() => {
     const handleKey = (e) => {
-      if (e.code === 'KeyB') {
+      // Ctrl+B saves a blueprint from the area edit tool
+      if (e.code === 'KeyB' && !e.ctrlKey && !e.metaKey) {
         const tag = e.target.tagName;
         if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
         toggleCatalog();
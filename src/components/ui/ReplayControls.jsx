@@ -0,0 +1,151 @@
+/**
+ * ReplayControls — Timeline for watching a replay (Load Replay in the pause menu).
+ * Play/pause, playback speed and a scrubber; Exit puts back the game saved
+ * when the replay was loaded and returns to normal play.
+ * The game stays paused underneath so only the replay's actions change state.
+ * A divergence stops playback and shows the checksum error.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import useGameStore from '../../stores/useGameStore';
+import { migrateSaveData, applySaveData } from '../../persistence/SaveData';
+
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+const ReplayControls = () => {
+  const player = useGameStore((state) => state._replayPlayer);
+  const [, setFrame] = useState(0);
+  const [error, setError] = useState(null);
+
+  // Run a replay operation, stopping on divergence
+  const run = useCallback((fn) => {
+    try {
+      fn();
+    } catch (err) {
+      player.pause();
+      setError(err.message);
+    }
+    setFrame((n) => n + 1);
+  }, [player]);
+
+  // Drive playback from animation frames
+  useEffect(() => {
+    if (!player) return;
+    setError(null);
+    let last = performance.now();
+    let raf = requestAnimationFrame(function tick(now) {
+      if (player.playing) run(() => player.update(now - last));
+      last = now;
+      raf = requestAnimationFrame(tick);
+    });
+    return () => cancelAnimationFrame(raf);
+  }, [player, run]);
+
+  const exit = useCallback(() => {
+    const returnSave = useGameStore.getState()._replayReturnSave;
+    if (returnSave) {
+      applySaveData(useGameStore, migrateSaveData(JSON.parse(JSON.stringify(returnSave))));
+    }
+    const state = useGameStore.getState();
+    state.setReplayPlayer(null);
+    useGameStore.setState({
+      gameState: 'playing',
+      worldTime: { ...state.worldTime, paused: false },
+    });
+  }, []);
+
+  if (!player) return null;
+
+  return (
+    <div style={styles.panel}>
+      <button
+        style={styles.button}
+        onClick={() => run(() => {
+          if (player.playing) {
+            player.pause();
+            return;
+          }
+          if (player.finished) player.seek(0);
+          player.play();
+        })}
+      >
+        {player.playing ? 'Pause' : 'Play'}
+      </button>
+      {SPEEDS.map((speed) => (
+        <button
+          key={speed}
+          style={{ ...styles.button, ...(player.speed === speed ? styles.active : {}) }}
+          onClick={() => run(() => player.setSpeed(speed))}
+        >
+          {speed}x
+        </button>
+      ))}
+      <input
+        type="range"
+        style={styles.scrubber}
+        min={0}
+        max={player.duration}
+        value={player.time}
+        onChange={(e) => run(() => player.seek(Number(e.target.value)))}
+      />
+      <span style={styles.time}>
+        {formatTime(player.time)} / {formatTime(player.duration)}
+        {' '}({player.index}/{player.actionCount})
+      </span>
+      <button style={styles.button} onClick={exit}>Exit</button>
+      {error && <div style={styles.error}>{error}</div>}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    position: 'fixed',
+    bottom: '20px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    zIndex: 10001,
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 14px',
+    maxWidth: '90vw',
+    backgroundColor: 'rgba(20, 20, 30, 0.9)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '8px',
+    fontFamily: 'sans-serif',
+    color: '#fff',
+  },
+  button: {
+    padding: '6px 10px',
+    fontSize: '14px',
+    color: '#fff',
+    background: 'rgba(255, 255, 255, 0.1)',
+    border: '1px solid rgba(255, 255, 255, 0.3)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+  },
+  active: {
+    background: 'rgba(81, 207, 102, 0.35)',
+  },
+  scrubber: {
+    width: '240px',
+  },
+  time: {
+    fontSize: '13px',
+    color: 'rgba(255, 255, 255, 0.7)',
+  },
+  error: {
+    flexBasis: '100%',
+    fontSize: '13px',
+    color: '#ff6b6b',
+  },
+};
+
+export default ReplayControls;
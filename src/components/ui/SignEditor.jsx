@@ -0,0 +1,94 @@
+/**
+ * SignEditor — Text entry for a sign the player used (E key).
+ * Renders as an HTML overlay when editingSign is set; the text is saved
+ * into the sign's block state.
+ */
+
+import React, { useEffect, useState } from 'react';
+import useGameStore from '../../stores/useGameStore';
+import { SIGN_TEXT_MAX_LENGTH, sanitizeSignText } from '../../systems/chunks/blockStates';
+
+export default function SignEditor() {
+  const editingSign = useGameStore((s) => s.editingSign);
+  const closeSignEditor = useGameStore((s) => s.closeSignEditor);
+  const [text, setText] = useState('');
+
+  // Load the sign's current text and free the mouse for typing
+  useEffect(() => {
+    if (!editingSign) return;
+    const chunkManager = useGameStore.getState()._chunkManager;
+    const state = chunkManager?.getBlockState(editingSign.wx, editingSign.wy, editingSign.wz);
+    setText(state?.text || '');
+    if (document.pointerLockElement) document.exitPointerLock();
+  }, [editingSign]);
+
+  if (!editingSign) return null;
+
+  const save = () => {
+    const chunkManager = useGameStore.getState()._chunkManager;
+    const { wx, wy, wz } = editingSign;
+    const state = chunkManager?.getBlockState(wx, wy, wz);
+    if (state) {
+      chunkManager.setBlockState(wx, wy, wz, { ...state, text: sanitizeSignText(text) });
+    }
+    closeSignEditor();
+  };
+
+  const handleKeyDown = (e) => {
+    // Keep typing away from the game's key bindings
+    e.stopPropagation();
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') closeSignEditor();
+  };
+
+  const buttonStyle = {
+    background: '#333', color: '#fff', border: '1px solid #555',
+    borderRadius: 4, padding: '4px 12px', cursor: 'pointer',
+    fontFamily: 'monospace', fontSize: 14,
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0, left: 0, right: 0, bottom: 0,
+        display: 'flex', alignItems: 'center', justifyContent: 'center',
+        zIndex: 1000,
+        pointerEvents: 'none',
+      }}
+    >
+      <div
+        style={{
+          background: 'rgba(10, 10, 20, 0.92)',
+          border: '2px solid #b0894f',
+          borderRadius: 8,
+          padding: 16,
+          minWidth: 360,
+          color: '#eee',
+          fontFamily: 'monospace',
+          pointerEvents: 'auto',
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ fontSize: 18, fontWeight: 'bold', color: '#b0894f', marginBottom: 10 }}>Sign</div>
+        <input
+          autoFocus
+          value={text}
+          maxLength={SIGN_TEXT_MAX_LENGTH}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => e.stopPropagation()}
+          style={{
+            width: '100%', boxSizing: 'border-box', padding: '6px 8px',
+            background: '#222', color: '#fff', border: '1px solid #555',
+            borderRadius: 4, fontFamily: 'monospace', fontSize: 14,
+          }}
+        />
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 10 }}>
+          <button style={buttonStyle} onClick={closeSignEditor}>Cancel</button>
+          <button style={{ ...buttonStyle, background: '#4a3a1a' }} onClick={save}>Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,8 +3,9 @@
  * Renders as an HTML overlay when activeStockpileZoneId is set.
  */
 
-import React, { useCallback, useEffect } from 'react';
+import React, { useCallback, useEffect, useMemo } from 'react';
 import useGameStore from '../../stores/useGameStore';
+import { depositMaterials, withdrawMaterials } from '../../systems/settlement/StockpileTransfers';
 
 // Ordered list of materials to display
 const MATERIAL_ORDER = [
@@ -19,9 +20,16 @@ const MATERIAL_COLORS = {
   bone: '#F5F5DC', fiber: '#98FB98',
 };
 
+// Move materials as this player, and say why if the settlement refuses
+function transfer(move, zoneId, material, amount) {
+  move(useGameStore, zoneId, material, amount).then((verdict) => {
+    if (!verdict.success && verdict.error) useGameStore.getState().addPickupText(verdict.error, '#ff4444');
+  });
+}
+
 function MaterialRow({ material, stockpileQty, playerQty, zoneId }) {
-  const deposit = useGameStore((s) => s.depositToStockpile);
-  const withdraw = useGameStore((s) => s.withdrawFromStockpile);
+  const deposit = (amount) => transfer(depositMaterials, zoneId, material, amount);
+  const withdraw = (amount) => transfer(withdrawMaterials, zoneId, material, amount);
 
   const btnStyle = (enabled) => ({
     padding: '4px 8px',
@@ -51,18 +59,18 @@ function MaterialRow({ material, stockpileQty, playerQty, zoneId }) {
       </div>
 
       {/* Deposit buttons */}
-      <button style={btnStyle(playerQty >= 1)} onClick={() => deposit(zoneId, material, 1)} disabled={playerQty < 1}>+1</button>
-      <button style={btnStyle(playerQty >= 10)} onClick={() => deposit(zoneId, material, 10)} disabled={playerQty < 10}>+10</button>
-      <button style={btnStyle(playerQty >= 1)} onClick={() => deposit(zoneId, material, playerQty)} disabled={playerQty < 1}>All&rarr;</button>
+      <button style={btnStyle(playerQty >= 1)} onClick={() => deposit(1)} disabled={playerQty < 1}>+1</button>
+      <button style={btnStyle(playerQty >= 10)} onClick={() => deposit(10)} disabled={playerQty < 10}>+10</button>
+      <button style={btnStyle(playerQty >= 1)} onClick={() => deposit(playerQty)} disabled={playerQty < 1}>All&rarr;</button>
 
       <div style={{ width: 45, textAlign: 'center', color: '#4488ff', fontWeight: 'bold', fontSize: 13 }}>
         {stockpileQty}
       </div>
 
       {/* Withdraw buttons */}
-      <button style={btnStyle(stockpileQty >= 1)} onClick={() => withdraw(zoneId, material, stockpileQty)} disabled={stockpileQty < 1}>&larr;All</button>
-      <button style={btnStyle(stockpileQty >= 10)} onClick={() => withdraw(zoneId, material, 10)} disabled={stockpileQty < 10}>-10</button>
-      <button style={btnStyle(stockpileQty >= 1)} onClick={() => withdraw(zoneId, material, 1)} disabled={stockpileQty < 1}>-1</button>
+      <button style={btnStyle(stockpileQty >= 1)} onClick={() => withdraw(stockpileQty)} disabled={stockpileQty < 1}>&larr;All</button>
+      <button style={btnStyle(stockpileQty >= 10)} onClick={() => withdraw(10)} disabled={stockpileQty < 10}>-10</button>
+      <button style={btnStyle(stockpileQty >= 1)} onClick={() => withdraw(1)} disabled={stockpileQty < 1}>-1</button>
     </div>
   );
 }
@@ -72,12 +80,10 @@ export default function StockpilePanel() {
   const zones = useGameStore((s) => s.zones);
   const materials = useGameStore((s) => s.inventory?.materials);
   const closePanel = useGameStore((s) => s.closeStockpilePanel);
-  const depositToStockpile = useGameStore((s) => s.depositToStockpile);
-  const withdrawFromStockpile = useGameStore((s) => s.withdrawFromStockpile);
 
   const zone = activeZoneId ? zones.find(z => z.id === activeZoneId) : null;
   const storage = zone?.storage;
-  const items = storage?.items || {};
+  const items = useMemo(() => storage?.items || {}, [storage]);
   const capacity = storage?.capacity || 0;
   const usedCapacity = storage?.usedCapacity || 0;
 
@@ -99,18 +105,18 @@ export default function StockpilePanel() {
     if (!materials || !activeZoneId) return;
     for (const mat of MATERIAL_ORDER) {
       const qty = materials[mat] || 0;
-      if (qty > 0) depositToStockpile(activeZoneId, mat, qty);
+      if (qty > 0) transfer(depositMaterials, activeZoneId, mat, qty);
     }
-  }, [activeZoneId, materials, depositToStockpile]);
+  }, [activeZoneId, materials]);
 
   // Withdraw all
   const handleWithdrawAll = useCallback(() => {
     if (!activeZoneId) return;
     for (const mat of MATERIAL_ORDER) {
       const qty = items[mat] || 0;
-      if (qty > 0) withdrawFromStockpile(activeZoneId, mat, qty);
+      if (qty > 0) transfer(withdrawMaterials, activeZoneId, mat, qty);
     }
-  }, [activeZoneId, items, withdrawFromStockpile]);
+  }, [activeZoneId, items]);
 
   if (!activeZoneId || !storage) return null;
 
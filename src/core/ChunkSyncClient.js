@@ -0,0 +1,237 @@
+/**
+ * ChunkSyncClient.js — Terrain from a GameServer, for one ChunkManager.
+ *
+ * Installs itself as the ChunkManager's chunk source, so chunks load from
+ * the server instead of the local generator, and applies the block changes
+ * the server streams for them. It tracks each chunk's version: a change at
+ * or below it is stale and dropped; a change further ahead than the next
+ * version means some were missed, so the chunk is fetched again and swapped
+ * in whole (ChunkManager.restoreChunk). Requests made in the same tick go
+ * out together, MAX_CHUNK_REQUEST_KEYS to a message. See NetworkProtocol.js.
+ *
+ * A block change this client made and the server refused is undone the
+ * same way: resyncBlock fetches its chunk again.
+ *
+ * The structures the server generated into a chunk arrive just before it and
+ * go to ChunkManager.onStructuresPlaced, as locally generated ones do.
+ *
+ * A chunk the server refuses fails its load (ChunkManager tries again on a
+ * later update); a refused re-fetch unloads the stale copy. If the server has
+ * no world, this hands chunk loading back to the local generator for good.
+ *
+ * Created by RemoteNetworkLayer.bindChunkManager().
+ */
+
+import { Chunk } from '../systems/chunks/Chunk';
+import { chunkKey, worldToLocal } from '../systems/chunks/coordinates';
+import { MessageTypes, MAX_CHUNK_REQUEST_KEYS, decodeChunkFrame } from './NetworkProtocol';
+
+export class ChunkSyncClient {
+  /**
+   * @param {Object} options
+   * @param {Function} options.send - Sends a protocol message to the server
+   * @param {Object} options.chunkManager - ChunkManager to feed
+   */
+  constructor({ send, chunkManager }) {
+    this.send = send;
+    this.chunkManager = chunkManager;
+
+    this.versions = new Map(); // chunk key -> version of our copy
+    this.stats = { chunksReceived: 0, changesApplied: 0, staleChanges: 0, resyncs: 0 };
+
+    this._requests = new Map(); // chunk key -> { resolve, reject } for loads in flight
+    this._resyncing = new Set(); // chunk keys fetched again after a gap
+    this._outgoing = new Set(); // chunk keys for the next request
+    this._releases = new Set(); // chunk keys for the next release
+    this._flushQueued = false;
+  }
+
+  /**
+   * Take over chunk loading. Chunks already loaded were generated locally,
+   * so they are fetched again from the server.
+   */
+  start() {
+    this.chunkManager.setChunkSource(this);
+    for (const key of this.chunkManager.chunks.keys()) {
+      this._resync(key);
+    }
+  }
+
+  /**
+   * Hand chunk loading back to the local generator
+   */
+  stop() {
+    if (this.chunkManager.chunkSource === this) {
+      this.chunkManager.setChunkSource(null);
+    }
+    for (const { reject } of this._requests.values()) {
+      reject(new Error('ChunkSyncClient: stopped'));
+    }
+    this._requests.clear();
+    this._resyncing.clear();
+    this._outgoing.clear();
+    this._releases.clear();
+    this.versions.clear();
+  }
+
+  /**
+   * Chunk source: fetch a chunk from the server
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {Promise<Chunk>}
+   */
+  requestChunk(chunkX, chunkY, chunkZ) {
+    const key = chunkKey(chunkX, chunkY, chunkZ);
+    const existing = this._requests.get(key);
+    if (existing) return existing.promise;
+
+    const request = {};
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+    this._requests.set(key, request);
+    this._releases.delete(key);
+    this._queue(this._outgoing, key);
+    return request.promise;
+  }
+
+  /**
+   * Chunk source: the chunk was unloaded, so stop its changes
+   * @param {string} key
+   */
+  releaseChunk(key) {
+    this.versions.delete(key);
+    this._resyncing.delete(key);
+    this._outgoing.delete(key);
+    this._queue(this._releases, key);
+  }
+
+  /**
+   * Take a binary chunk frame from the server
+   * @param {ArrayBuffer|Uint8Array} buffer
+   */
+  handleChunkFrame(buffer) {
+    const { key, version, data } = decodeChunkFrame(buffer);
+    const chunk = Chunk.deserializeBinary(data);
+    this.stats.chunksReceived++;
+
+    const request = this._requests.get(key);
+    if (request) {
+      this._requests.delete(key);
+      this.versions.set(key, version);
+      request.resolve(chunk);
+      return;
+    }
+    if (this._resyncing.delete(key) && this.chunkManager.getChunkByKey(key)) {
+      this.versions.set(key, version);
+      this.chunkManager.restoreChunk(chunk);
+    }
+    // Otherwise it was released while on its way
+  }
+
+  /**
+   * Take a structures message: pass the placements on as if generated here
+   * @param {Array<Object>} structures - StructurePlacer.stamp placements
+   */
+  handleStructures(structures = []) {
+    if (structures.length > 0) this.chunkManager.onStructuresPlaced(structures);
+  }
+
+  /**
+   * Take a chunk_refused message: the server won't send these chunks
+   * @param {Object} message - { keys, error, local? }
+   */
+  handleRefused({ keys = [], error, local = false }) {
+    if (local) {
+      console.warn('[ChunkSyncClient] Server has no world, generating terrain locally');
+      this.stop();
+      return;
+    }
+    for (const key of keys) {
+      const request = this._requests.get(key);
+      if (request) {
+        this._requests.delete(key);
+        request.reject(new Error(`ChunkSyncClient: ${error}`));
+        continue;
+      }
+      if (this._resyncing.delete(key)) {
+        this.versions.delete(key);
+        const chunk = this.chunkManager.getChunkByKey(key);
+        if (chunk) this.chunkManager.unloadChunk(chunk);
+      }
+    }
+  }
+
+  /**
+   * Apply a batch of block changes from the server
+   * @param {Array<Array>} changes - [key, version, x, y, z, blockType, state]
+   */
+  handleBlockChanges(changes) {
+    for (const [key, version, x, y, z, blockType, state] of changes) {
+      // Not loaded yet, or a fresh copy is already on its way
+      if (!this.versions.has(key) || this._resyncing.has(key)) continue;
+
+      const current = this.versions.get(key);
+      if (version <= current) {
+        this.stats.staleChanges++;
+        continue;
+      }
+      if (version > current + 1) {
+        this._resync(key);
+        continue;
+      }
+
+      this.versions.set(key, version);
+      const changed = this.chunkManager.setBlock(x, y, z, blockType, state || undefined);
+      if (!changed && state) {
+        // Same block (this client placed it already), new state
+        this.chunkManager.setBlockState(x, y, z, state);
+      }
+      this.stats.changesApplied++;
+    }
+  }
+
+  /**
+   * Fetch the chunk holding a block again, as when the server refused a
+   * change this client had already made to it
+   * @param {number} x - World coordinates
+   * @param {number} y
+   * @param {number} z
+   */
+  resyncBlock(x, y, z) {
+    const { chunkX, chunkY, chunkZ } = worldToLocal(x, y, z);
+    const key = chunkKey(chunkX, chunkY, chunkZ);
+    if (this.versions.has(key)) this._resync(key);
+  }
+
+  _resync(key) {
+    if (this._resyncing.has(key)) return;
+    this._resyncing.add(key);
+    this.stats.resyncs++;
+    this._queue(this._outgoing, key);
+  }
+
+  _queue(set, key) {
+    set.add(key);
+    if (this._flushQueued) return;
+    this._flushQueued = true;
+    queueMicrotask(() => this._flush());
+  }
+
+  _flush() {
+    this._flushQueued = false;
+    if (this._releases.size > 0) {
+      this.send({ type: MessageTypes.CHUNK_RELEASE, keys: Array.from(this._releases) });
+      this._releases.clear();
+    }
+    const keys = Array.from(this._outgoing);
+    this._outgoing.clear();
+    for (let i = 0; i < keys.length; i += MAX_CHUNK_REQUEST_KEYS) {
+      this.send({ type: MessageTypes.CHUNK_REQUEST, keys: keys.slice(i, i + MAX_CHUNK_REQUEST_KEYS) });
+    }
+  }
+}
+
+export default ChunkSyncClient;
@@ -101,6 +101,9 @@ class ModuleOrchestrator {
     this.terrainJobQueue = modules.terrainJobQueue || null;
     this.terrainWorkerBehavior = modules.terrainWorkerBehavior || null;
 
+    // Voxel world: live chunks, used by events that reshape terrain (floods)
+    this.chunkManager = modules.chunkManager || null;
+
     // Phase 4: AI System Manager
     this.aiSystemManager = modules.aiSystemManager || null;
 
@@ -428,7 +431,9 @@ class ModuleOrchestrator {
           npcManager: this.npcManager,
           npcAssignments: this.npcAssignment,
           buildingConfig: this.buildingConfig,
-          territoryManager: this.territoryManager
+          territoryManager: this.territoryManager,
+          chunkManager: this.chunkManager,
+          waterBodySystem: this.terrainSystem?.getWaterBodySystem?.() || null
         };
 
         this.eventSystem.checkEventTriggers(this.tickCount, eventGameState);
@@ -0,0 +1,232 @@
+/**
+ * MovementPrediction.js — Client-side movement for networked play.
+ *
+ * MovementPredictor moves the local player straight away and lets the server
+ * have the last word. Each frame's steering becomes fixed-length inputs
+ * (PlayerMotion.js), numbered, simulated locally against the client's
+ * chunks and sent to the server. When the server's state for this player
+ * comes back it rewinds to it, drops the inputs the server has applied
+ * (`lastInput`) and replays the rest. If that lands somewhere other than
+ * the prediction, the gap becomes an offset on the rendered position that
+ * fades out over MOVEMENT_SMOOTHING, so corrections glide instead of jump.
+ * Gaps past MOVEMENT_SNAP_DISTANCE snap.
+ *
+ * InterpolationBuffer shows other players smoothly between the positions
+ * the server sends: it keeps the recent ones and renders a fixed delay in
+ * the past, blending between the two positions either side of that moment.
+ *
+ * Wired up by RemoteNetworkLayer.bindMovementPredictor(); see Player.jsx and
+ * RemotePlayers.jsx.
+ */
+
+import { MOVEMENT_TICK, createMotionState, stepPlayerMotion } from '../systems/PlayerMotion';
+import { MOVEMENT_SMOOTHING, MOVEMENT_SNAP_DISTANCE, REMOTE_PLAYER_DELAY_MS } from '../data/tuning';
+
+// Inputs kept for replay; a server this far behind gets the oldest dropped
+const MAX_PENDING_INPUTS = 300;
+
+// Most ticks one update() simulates, so a long frame can't stall the next
+const MAX_TICKS_PER_UPDATE = 10;
+
+// Corrections smaller than this (world units) are float noise
+const CORRECTION_EPSILON = 1e-3;
+
+// Offsets below this are done fading
+const SETTLED_OFFSET = 1e-3;
+
+// Slack for float error in the tick accumulator
+const TICK_EPSILON = 1e-9;
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+export class MovementPredictor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.world - getBlock(worldX, worldY, worldZ), the client's ChunkManager
+   * @param {number[]} options.position - Where the player stands now
+   * @param {Function} [options.send=null] - Sends a batch of inputs to the server
+   */
+  constructor({ world, position, send = null }) {
+    this.world = world;
+    this.send = send;
+
+    this.state = createMotionState(position);
+    this.seq = 0;
+    this.pending = []; // Inputs the server hasn't applied yet
+    this.offset = [0, 0, 0]; // Rendered position minus predicted position
+    this.stats = { corrections: 0, snaps: 0 };
+
+    this._accumulator = 0;
+    this._jump = false;
+    // The first input tells the server where the player is
+    this._teleport = [...position];
+    this._lastServer = null;
+  }
+
+  /** Where to draw the player: the prediction plus any fading correction */
+  get position() {
+    const [x, y, z] = this.state.position;
+    return [x + this.offset[0], y + this.offset[1], z + this.offset[2]];
+  }
+
+  get velocity() {
+    return this.state.velocity;
+  }
+
+  get grounded() {
+    return this.state.grounded;
+  }
+
+  /**
+   * Put the player somewhere. The next input carries the position, so the
+   * server moves them at the same point in the inputs, but it only takes
+   * one from a player it has no position for yet; later moves are the
+   * server's (GameServer.respawnPlayer), and reconcile() follows them.
+   * @param {number[]} position
+   */
+  teleport(position) {
+    this._teleport = [...position];
+    this.state = createMotionState(position);
+    this.offset = [0, 0, 0];
+  }
+
+  /**
+   * Run the ticks due this frame with the current steering and send them
+   * @param {number} delta - Seconds since the last update
+   * @param {Object} steering
+   * @param {number} steering.vx - Target velocity along x, world units per second
+   * @param {number} steering.vz - Target velocity along z
+   * @param {boolean} [steering.jump=false] - Jump was pressed this frame
+   * @returns {Object[]} The inputs made this frame
+   */
+  update(delta, { vx, vz, jump = false }) {
+    if (jump) this._jump = true;
+    this._accumulator = Math.min(this._accumulator + delta, MOVEMENT_TICK * MAX_TICKS_PER_UPDATE);
+
+    const inputs = [];
+    while (this._accumulator >= MOVEMENT_TICK - TICK_EPSILON) {
+      this._accumulator = Math.max(0, this._accumulator - MOVEMENT_TICK);
+      const input = { seq: ++this.seq, vx, vz, jump: this._jump };
+      if (this._teleport) {
+        input.position = this._teleport;
+        this._teleport = null;
+      }
+      this._jump = false;
+
+      this.state = stepPlayerMotion(this.world, this.state, input);
+      this.pending.push(input);
+      inputs.push(input);
+    }
+    if (this.pending.length > MAX_PENDING_INPUTS) {
+      this.pending.splice(0, this.pending.length - MAX_PENDING_INPUTS);
+    }
+
+    const fade = Math.exp(-delta / MOVEMENT_SMOOTHING);
+    this.offset = this.offset.map((value) => value * fade);
+    if (Math.hypot(...this.offset) < SETTLED_OFFSET) this.offset = [0, 0, 0];
+
+    if (inputs.length > 0 && this.send) this.send(inputs);
+    return inputs;
+  }
+
+  /**
+   * Take the server's state for this player and replay unapplied inputs on it
+   * @param {Object} server - The player's `players` entry:
+   *   { position, velocity, grounded, lastInput }
+   * @returns {boolean} Whether the prediction had to be corrected
+   */
+  reconcile(server) {
+    if (!server || !server.position) return false;
+    // A teleport not sent yet: the server's state is from before it
+    if (this._teleport) return false;
+    // Deltas repeat our entry whenever anyone moves; only new states matter
+    const last = this._lastServer;
+    if (last && last.lastInput === server.lastInput && distance(last.position, server.position) === 0) {
+      return false;
+    }
+    this._lastServer = server;
+
+    // Replaying handles a teleport still in flight: its input resets the position
+    const acked = server.lastInput || 0;
+    this.pending = this.pending.filter((input) => input.seq > acked);
+
+    const shown = this.position;
+    const predicted = this.state.position;
+    let state = {
+      position: [...server.position],
+      velocity: [...(server.velocity || [0, 0, 0])],
+      grounded: !!server.grounded,
+    };
+    for (const input of this.pending) {
+      state = stepPlayerMotion(this.world, state, input);
+    }
+    this.state = state;
+
+    if (distance(predicted, state.position) < CORRECTION_EPSILON) return false;
+    this.stats.corrections++;
+    const error = [0, 1, 2].map((i) => shown[i] - state.position[i]);
+    if (Math.hypot(...error) > MOVEMENT_SNAP_DISTANCE) {
+      this.stats.snaps++;
+      this.offset = [0, 0, 0];
+    } else {
+      this.offset = error;
+    }
+    return true;
+  }
+}
+
+export class InterpolationBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.delay=REMOTE_PLAYER_DELAY_MS] - How far in the past to render
+   * @param {number} [options.capacity=32] - Positions kept
+   */
+  constructor({ delay = REMOTE_PLAYER_DELAY_MS, capacity = 32 } = {}) {
+    this.delay = delay;
+    this.capacity = capacity;
+    this.samples = []; // { time, position }, oldest first
+  }
+
+  /**
+   * Record a position the server sent
+   * @param {number} time - When it arrived, in milliseconds
+   * @param {number[]} position
+   */
+  push(time, position) {
+    const last = this.samples[this.samples.length - 1];
+    if (last && time <= last.time) return;
+    this.samples.push({ time, position: [...position] });
+    if (this.samples.length > this.capacity) this.samples.shift();
+  }
+
+  /**
+   * The position to draw at a moment: `delay` before it, blended between
+   * the positions around that. Holds the oldest or newest past either end.
+   * @param {number} time - Now, in milliseconds
+   * @returns {number[]|null} null before any position arrived
+   */
+  sample(time) {
+    const { samples } = this;
+    if (samples.length === 0) return null;
+    const renderTime = time - this.delay;
+    if (renderTime <= samples[0].time) return [...samples[0].position];
+
+    for (let i = samples.length - 1; i > 0; i--) {
+      const from = samples[i - 1];
+      const to = samples[i];
+      if (renderTime >= from.time && renderTime <= to.time) {
+        const t = (renderTime - from.time) / (to.time - from.time);
+        return from.position.map((value, axis) => value + (to.position[axis] - value) * t);
+      }
+    }
+    return [...samples[samples.length - 1].position];
+  }
+
+  clear() {
+    this.samples = [];
+  }
+}
+
+export default { MovementPredictor, InterpolationBuffer };
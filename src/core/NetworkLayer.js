@@ -3,7 +3,8 @@
  *
  * Phase 0 requirement: "Design for multiplayer from start."
  * Single-player uses LocalNetworkLayer (direct state access, always authoritative).
- * Phase 6 will add RemoteNetworkLayer (WebRTC/WebSocket) with the same interface.
+ * Co-op uses RemoteNetworkLayer (WebSocket, RemoteNetworkLayer.js) against a
+ * GameServer (server/GameServer.js) with the same interface.
  *
  * Pattern: single-player = "multiplayer with one player, no latency."
  */
@@ -53,6 +54,18 @@ export class NetworkLayer {
   disconnect() {}
 }
 
+/**
+ * The final verdict on an action, whether it applied here or went to a server.
+ * A routed store action (RemoteNetworkLayer.bindStore) answers at once with
+ * { pending: true, result }; `result` settles when the server replies.
+ * @param {Object} [answer] - What the action or submitAction returned
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export function actionVerdict(answer) {
+  if (answer?.pending) return answer.result;
+  return Promise.resolve(answer ?? { success: true });
+}
+
 /**
  * LocalNetworkLayer — single-player implementation.
  * Always authoritative. Actions apply directly to the Zustand store.
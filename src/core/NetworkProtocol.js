@@ -0,0 +1,234 @@
+/**
+ * NetworkProtocol.js — Messages between RemoteNetworkLayer and GameServer.
+ *
+ * Messages are JSON objects with a `type`. The server owns the shared world
+ * state: the SHARED_STATE_KEYS slice of the game store plus `players`, one
+ * entry per connected player. Each client keeps its own copy, seeded by the
+ * welcome snapshot and kept current by numbered deltas. Each delta carries
+ * only the top-level keys that changed, replaced whole. A client that sees a
+ * gap in the numbering asks for a fresh snapshot.
+ *
+ * Terrain syncs separately, per chunk. A client asks for the chunks it
+ * loads and gets each one back as a binary frame (encodeChunkFrame) holding
+ * Chunk.serializeBinary() and the chunk's version. From then on it receives
+ * that chunk's block changes in batches, each change stamped with the
+ * version it brings the chunk to. A change at or below the client's version
+ * is stale; one further ahead means changes were missed, and the client asks
+ * for the chunk again. A request names at most MAX_CHUNK_REQUEST_KEYS chunks,
+ * all within MAX_CHUNK_REQUEST_DISTANCE of the player; the server answers the
+ * keys it won't send with chunk_refused. `local: true` on that message means
+ * the server has no world of its own, so the client generates its terrain.
+ * A chunk that generation put structures in comes after a structures
+ * message listing them, as the local generator would report them.
+ *
+ * Clients change the shared state only through the store actions in
+ * REMOTE_STORE_ACTIONS, sent as `action` messages: the action's type is the
+ * store method's name and its payload the arguments (storeActionPayload).
+ * The server calls the method with them plus the sender's player id.
+ *
+ * Players move by input, not by position. Each client sends its movement as
+ * numbered inputs, one per PlayerMotion tick, and predicts the result
+ * locally. The server runs the same simulation and puts the outcome in the
+ * player's `players` entry, with `lastInput`, the number of the last input
+ * it applied. The client rewinds to that, replays the inputs the server
+ * hasn't applied yet, and eases out any difference. Only a player's first
+ * input may say where they stand; the server moves them after that only on
+ * a respawn it picks the spot for. It applies at most MOVEMENT_TICK_RATE
+ * inputs a second, plus MOVEMENT_INPUT_ALLOWANCE of slack.
+ *
+ *   client → server: hello, action, sync, ping, chunk_request, chunk_release, input, respawn
+ *   server → client: welcome, result, delta, snapshot, error, pong, blocks,
+ *                    chunk_refused, structures, and binary chunk frames
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+// Local server defaults — co-op testing runs entirely on this machine
+export const DEFAULT_SERVER_HOST = '127.0.0.1';
+export const DEFAULT_SERVER_PORT = 8787;
+
+export const MessageTypes = {
+  // Client → server
+  HELLO: 'hello', // { protocol, resumeToken?, name? }
+  ACTION: 'action', // { id, action }
+  SYNC: 'sync', // {} — ask for a snapshot
+  PING: 'ping', // { t }
+  CHUNK_REQUEST: 'chunk_request', // { keys } — send these chunks and their changes
+  CHUNK_RELEASE: 'chunk_release', // { keys } — stop sending changes for these
+  INPUT: 'input', // { inputs: [{ seq, vx, vz, jump, position? }] } — see PlayerMotion.js
+  RESPAWN: 'respawn', // {} — the player died; put them back somewhere
+
+  // Server → client
+  WELCOME: 'welcome', // { protocol, playerId, resumeToken, seq, state }
+  RESULT: 'result', // { id, success, error? }
+  DELTA: 'delta', // { seq, changes }
+  SNAPSHOT: 'snapshot', // { seq, state }
+  ERROR: 'error', // { error }
+  PONG: 'pong', // { t }
+  BLOCKS: 'blocks', // { changes: [[chunkKey, version, x, y, z, blockType, state]] }
+  CHUNK_REFUSED: 'chunk_refused', // { keys, error, local? } — these chunks won't come
+  STRUCTURES: 'structures', // { structures } — placed in the chunk that follows (StructurePlacer.stamp)
+};
+
+// Most chunk keys in one chunk_request
+export const MAX_CHUNK_REQUEST_KEYS = 256;
+
+// Farthest a requested chunk may be from the player's chunk, in chunks
+// horizontally. Clears the clients' view distance with room to spare.
+export const MAX_CHUNK_REQUEST_DISTANCE = 16;
+
+// First byte of a binary frame
+const CHUNK_FRAME = 1;
+
+// Game store keys the server is the authority for
+export const SHARED_STATE_KEYS = ['settlement', 'zones', 'constructionSites'];
+
+// Store actions clients may call on the server, with how many arguments each
+// takes before the acting player's id. A one-argument action sends that
+// argument as the payload; the others send the argument list.
+export const REMOTE_STORE_ACTIONS = {
+  addZone: 1,
+  removeZone: 1,
+  setSettlementCenter: 1,
+  inviteSettlementMember: 1,
+  setSettlementMemberRole: 1,
+  removeSettlementMember: 1,
+  depositToStockpile: 3,
+  withdrawFromStockpile: 3,
+  placeConstructionSite: 5,
+};
+
+/**
+ * Serialize a message for the wire
+ * @param {Object} message - { type, ...fields }
+ * @returns {string}
+ */
+export function encodeMessage(message) {
+  return JSON.stringify(message);
+}
+
+/**
+ * Parse a message off the wire
+ * @param {string|Buffer|ArrayBuffer} data
+ * @returns {Object}
+ */
+export function decodeMessage(data) {
+  const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+  const message = JSON.parse(text);
+  if (!message || typeof message.type !== 'string') {
+    throw new Error('NetworkProtocol: message has no type');
+  }
+  return message;
+}
+
+/**
+ * The payload that carries a remote store action's arguments
+ * @param {string} name - Store action name
+ * @param {Array} args - Its arguments, without the player id
+ * @returns {*}
+ */
+export function storeActionPayload(name, args) {
+  const count = REMOTE_STORE_ACTIONS[name] ?? 1;
+  return count === 1 ? args[0] : args.slice(0, count);
+}
+
+/**
+ * A remote store action's arguments from its payload
+ * @param {string} name - Store action name
+ * @param {*} payload
+ * @returns {Array|null} null if the payload doesn't fit the action
+ */
+export function storeActionArgs(name, payload) {
+  const count = REMOTE_STORE_ACTIONS[name] ?? 1;
+  if (count === 1) return [payload];
+  if (!Array.isArray(payload) || payload.length > count) return null;
+  return [...payload, ...new Array(count - payload.length).fill(undefined)];
+}
+
+/**
+ * The shared slice of a state object
+ * @param {Object} state
+ * @param {string[]} [keys=SHARED_STATE_KEYS]
+ * @returns {Object}
+ */
+export function pickSharedState(state, keys = SHARED_STATE_KEYS) {
+  const shared = {};
+  for (const key of keys) {
+    if (key in state) shared[key] = state[key];
+  }
+  return shared;
+}
+
+/**
+ * Top-level keys that changed between two shared states. Store updates are
+ * immutable, so a changed key always holds a new reference.
+ * @param {Object} prev
+ * @param {Object} next
+ * @returns {Object|null} Changed keys with their new values, or null if none
+ */
+export function diffSharedState(prev, next) {
+  let changes = null;
+  for (const key of Object.keys(next)) {
+    if (prev[key] !== next[key]) {
+      changes = changes || {};
+      changes[key] = next[key];
+    }
+  }
+  return changes;
+}
+
+/**
+ * Pack a chunk for the wire: kind byte, version (uint32), key length, key,
+ * then the chunk binary
+ * @param {string} key - Chunk key 'x,y,z'
+ * @param {number} version - Chunk version
+ * @param {ArrayBuffer} data - Chunk.serializeBinary()
+ * @returns {ArrayBuffer}
+ */
+export function encodeChunkFrame(key, version, data) {
+  const keyBytes = new TextEncoder().encode(key);
+  const headerSize = 6 + keyBytes.length;
+  const frame = new Uint8Array(headerSize + data.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, CHUNK_FRAME);
+  view.setUint32(1, version, true);
+  view.setUint8(5, keyBytes.length);
+  frame.set(keyBytes, 6);
+  frame.set(new Uint8Array(data), headerSize);
+  return frame.buffer;
+}
+
+/**
+ * Unpack a binary chunk frame
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{key: string, version: number, data: ArrayBuffer}}
+ */
+export function decodeChunkFrame(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < 6 || view.getUint8(0) !== CHUNK_FRAME) {
+    throw new Error('NetworkProtocol: not a chunk frame');
+  }
+  const keyLength = view.getUint8(5);
+  const headerSize = 6 + keyLength;
+  return {
+    key: new TextDecoder().decode(bytes.subarray(6, headerSize)),
+    version: view.getUint32(1, true),
+    // Copied out so the chunk owns an aligned buffer of its own
+    data: bytes.slice(headerSize).buffer,
+  };
+}
+
+const NetworkProtocol = {
+  PROTOCOL_VERSION,
+  MessageTypes,
+  SHARED_STATE_KEYS,
+  encodeMessage,
+  decodeMessage,
+  pickSharedState,
+  diffSharedState,
+  encodeChunkFrame,
+  decodeChunkFrame,
+};
+
+export default NetworkProtocol;
@@ -0,0 +1,424 @@
+/**
+ * RemoteNetworkLayer.js — WebSocket client for a GameServer.
+ *
+ * Not the authority: actions go to the server, which validates and applies
+ * them, and the shared state (NetworkProtocol.SHARED_STATE_KEYS plus
+ * `players`) comes back as numbered deltas. getState() returns the client's
+ * copy of that shared state. submitAction() can't know the server's verdict
+ * yet, so it answers { success: true, pending: true, id, result }, where
+ * `result` resolves to the server's { success, error? }.
+ *
+ * bindStore() mirrors the shared state into the game store. Other players
+ * go to `remotePlayers`, without this client's own entry. While connected,
+ * the store's REMOTE_STORE_ACTIONS are sent to the server instead of
+ * changing the local copy, which the server's next delta would replace;
+ * the change shows up once the server applies it.
+ * bindChunkManager() loads terrain from the server as well (ChunkSyncClient).
+ * bindMovementPredictor() sends the local player's movement as inputs and
+ * reconciles it with the server's (MovementPrediction.js).
+ *
+ * Usage:
+ *   const layer = new RemoteNetworkLayer({ url: 'ws://127.0.0.1:8787', name: 'Ada' });
+ *   await layer.connect();
+ *   layer.bindStore(useGameStore);
+ *   layer.bindChunkManager(chunkManager);
+ *   const { result } = layer.submitAction({ type: 'addZone', payload: zone });
+ */
+
+import { NetworkLayer } from './NetworkLayer';
+import { ChunkSyncClient } from './ChunkSyncClient';
+import {
+  PROTOCOL_VERSION,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  MessageTypes,
+  REMOTE_STORE_ACTIONS,
+  encodeMessage,
+  decodeMessage,
+  storeActionPayload,
+} from './NetworkProtocol';
+
+// How long an action waits for the server's verdict
+const ACTION_TIMEOUT_MS = 5000;
+
+// WebSocket readyState for an open socket
+const OPEN = 1;
+
+export class RemoteNetworkLayer extends NetworkLayer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Server URL, the local default server if omitted
+   * @param {string} [options.resumeToken] - Token from an earlier welcome, to come
+   *   back as the same player; the server gives out ids (kept across reconnects)
+   * @param {string} [options.name] - Display name
+   * @param {Function} [options.WebSocketImpl=globalThis.WebSocket] - e.g. `ws` under Node
+   * @param {number} [options.actionTimeout=ACTION_TIMEOUT_MS]
+   */
+  constructor({
+    url = `ws://${DEFAULT_SERVER_HOST}:${DEFAULT_SERVER_PORT}`,
+    resumeToken = null,
+    name = null,
+    WebSocketImpl = globalThis.WebSocket,
+    actionTimeout = ACTION_TIMEOUT_MS,
+  } = {}) {
+    super();
+    this.url = url;
+    this.playerId = null;
+    this.resumeToken = resumeToken;
+    this.name = name;
+    this.WebSocketImpl = WebSocketImpl;
+    this.actionTimeout = actionTimeout;
+
+    this._socket = null;
+    this._connecting = null; // { promise, resolve, reject } until welcome
+    this._connected = false;
+    this._state = {};
+    this._seq = 0;
+    this._syncing = false;
+    this._listeners = new Set();
+    this._pending = new Map(); // action id -> { resolve, timer }
+    this._pings = new Map(); // ping id -> { resolve, reject }
+    this._nextActionId = 1;
+    this._nextPingId = 1;
+    this._chunkSync = null;
+  }
+
+  isAuthority() {
+    return false;
+  }
+
+  /** Whether the server has welcomed us and the socket is open */
+  isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * Open the connection and join
+   * @returns {Promise<{ playerId: string, state: Object }>} Resolves on the server's welcome
+   */
+  connect() {
+    if (this._connected) return Promise.resolve({ playerId: this.playerId, state: this._state });
+    if (this._connecting) return this._connecting.promise;
+    if (!this.WebSocketImpl) {
+      return Promise.reject(new Error('RemoteNetworkLayer: no WebSocket implementation available'));
+    }
+
+    const connecting = {};
+    connecting.promise = new Promise((resolve, reject) => {
+      connecting.resolve = resolve;
+      connecting.reject = reject;
+    });
+    this._connecting = connecting;
+
+    const socket = new this.WebSocketImpl(this.url);
+    socket.binaryType = 'arraybuffer'; // Chunk frames
+    this._socket = socket;
+    socket.onopen = () => {
+      this._send({
+        type: MessageTypes.HELLO,
+        protocol: PROTOCOL_VERSION,
+        resumeToken: this.resumeToken,
+        name: this.name,
+      });
+    };
+    socket.onmessage = (event) => {
+      if (typeof event.data !== 'string') {
+        this._handleChunkFrame(event.data);
+        return;
+      }
+      let message;
+      try {
+        message = decodeMessage(event.data);
+      } catch (error) {
+        console.warn('[RemoteNetworkLayer] Dropped malformed message:', error.message);
+        return;
+      }
+      this._handleMessage(message);
+    };
+    socket.onclose = () => this._handleClose(socket);
+    socket.onerror = () => {
+      this._failConnect(new Error(`RemoteNetworkLayer: could not connect to ${this.url}`));
+    };
+
+    return connecting.promise;
+  }
+
+  disconnect() {
+    const socket = this._socket;
+    this._handleClose(socket);
+    if (socket) socket.close();
+    this._listeners.clear();
+  }
+
+  submitAction(action) {
+    if (!action || !action.type) {
+      return { success: false, error: 'Action must have a type' };
+    }
+    if (!this._connected) {
+      return { success: false, error: 'Not connected' };
+    }
+
+    const id = this._nextActionId++;
+    const result = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id);
+        resolve({ success: false, error: 'Timed out waiting for the server' });
+      }, this.actionTimeout);
+      this._pending.set(id, { resolve, timer });
+    });
+    this._send({ type: MessageTypes.ACTION, id, action });
+
+    return { success: true, pending: true, id, result };
+  }
+
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Subscribe to shared state updates
+   * @param {Function} listener - Called with (state, changes); changes is the
+   *   whole state after a welcome or resync
+   * @returns {Function} Unsubscribe function
+   */
+  onStateUpdate(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Mirror the shared state into a game store, and send its remote store
+   * actions to the server while connected
+   * @param {Object} store - zustand store (getState/setState)
+   * @param {string[]} [actions] - Store actions to route, the keys of REMOTE_STORE_ACTIONS by default
+   * @returns {Function} Unbind function; restores the store's own actions
+   */
+  bindStore(store, actions = Object.keys(REMOTE_STORE_ACTIONS)) {
+    const apply = (changes) => {
+      const { players, ...shared } = changes;
+      if (players) {
+        const remotePlayers = { ...players };
+        delete remotePlayers[this.playerId];
+        shared.remotePlayers = remotePlayers;
+      }
+      store.setState(shared);
+    };
+    if (this._connected) apply(this._state);
+    const unsubscribe = this.onStateUpdate((state, changes) => apply(changes));
+
+    // Calls return submitAction()'s answer; `result` has the server's verdict
+    const local = {};
+    const routed = {};
+    for (const name of actions) {
+      const method = store.getState()[name];
+      if (typeof method !== 'function') continue;
+      local[name] = method;
+      routed[name] = (...args) => {
+        if (!this._connected) return method(...args);
+        return this.submitAction({ type: name, payload: storeActionPayload(name, args) });
+      };
+    }
+    store.setState(routed);
+
+    return () => {
+      unsubscribe();
+      store.setState(local);
+    };
+  }
+
+  /**
+   * Load a ChunkManager's terrain from the server and keep it in step with
+   * everyone's block changes (see ChunkSyncClient)
+   * @param {Object} chunkManager - ChunkManager
+   * @returns {Function} Unbind function; the ChunkManager generates locally again
+   */
+  bindChunkManager(chunkManager) {
+    if (this._chunkSync) this._chunkSync.stop();
+    const sync = new ChunkSyncClient({ send: (message) => this._send(message), chunkManager });
+    this._chunkSync = sync;
+    sync.start();
+    return () => {
+      sync.stop();
+      if (this._chunkSync === sync) this._chunkSync = null;
+    };
+  }
+
+  /**
+   * Send a MovementPredictor's inputs to the server and reconcile it with
+   * this player's entry in every state update
+   * @param {MovementPredictor} predictor
+   * @returns {Function} Unbind function
+   */
+  bindMovementPredictor(predictor) {
+    // The server skips inputs numbered at or below the last it applied
+    const own = this._state.players?.[this.playerId];
+    if (own && own.lastInput > predictor.seq) predictor.seq = own.lastInput;
+
+    predictor.send = (inputs) => this._send({ type: MessageTypes.INPUT, inputs });
+    const unsubscribe = this.onStateUpdate((state, changes) => {
+      const player = changes.players?.[this.playerId];
+      if (player) predictor.reconcile(player);
+    });
+    return () => {
+      unsubscribe();
+      predictor.send = null;
+    };
+  }
+
+  /**
+   * Tell the server this player died. It picks where they come back and
+   * moves them there; a bound MovementPredictor follows.
+   */
+  requestRespawn() {
+    this._send({ type: MessageTypes.RESPAWN });
+  }
+
+  /**
+   * Measure the round trip to the server
+   * @returns {Promise<number>} Milliseconds; rejects if the connection closes first
+   */
+  ping() {
+    if (!this._connected) return Promise.reject(new Error('RemoteNetworkLayer: not connected'));
+    const t = this._nextPingId++;
+    const sentAt = Date.now();
+    return new Promise((resolve, reject) => {
+      this._pings.set(t, { resolve: () => resolve(Date.now() - sentAt), reject });
+      this._send({ type: MessageTypes.PING, t });
+    });
+  }
+
+  _handleMessage(message) {
+    switch (message.type) {
+      case MessageTypes.WELCOME:
+        this.playerId = message.playerId;
+        this.resumeToken = message.resumeToken;
+        this._connected = true;
+        this._replaceState(message.seq, message.state);
+        if (this._connecting) {
+          this._connecting.resolve({ playerId: this.playerId, state: this._state });
+          this._connecting = null;
+        }
+        break;
+
+      case MessageTypes.DELTA:
+        if (message.seq <= this._seq || this._syncing) break; // Stale, or a snapshot is coming
+        if (message.seq !== this._seq + 1) {
+          // Missed a delta — the snapshot brings us back in step
+          this._syncing = true;
+          this._send({ type: MessageTypes.SYNC });
+          break;
+        }
+        this._seq = message.seq;
+        this._state = { ...this._state, ...message.changes };
+        this._notify(message.changes);
+        break;
+
+      case MessageTypes.SNAPSHOT:
+        this._syncing = false;
+        this._replaceState(message.seq, message.state);
+        break;
+
+      case MessageTypes.RESULT: {
+        const pending = this._pending.get(message.id);
+        if (!pending) break;
+        clearTimeout(pending.timer);
+        this._pending.delete(message.id);
+        // The verdict is the rest of the message: success, error and what the action returned
+        const verdict = { ...message };
+        delete verdict.type;
+        delete verdict.id;
+        pending.resolve(verdict);
+        break;
+      }
+
+      case MessageTypes.BLOCKS:
+        if (this._chunkSync) this._chunkSync.handleBlockChanges(message.changes);
+        break;
+
+      case MessageTypes.CHUNK_REFUSED:
+        if (this._chunkSync) this._chunkSync.handleRefused(message);
+        break;
+
+      case MessageTypes.STRUCTURES:
+        if (this._chunkSync) this._chunkSync.handleStructures(message.structures);
+        break;
+
+      case MessageTypes.PONG: {
+        const ping = this._pings.get(message.t);
+        this._pings.delete(message.t);
+        if (ping) ping.resolve();
+        break;
+      }
+
+      case MessageTypes.ERROR:
+        if (this._connecting) {
+          this._failConnect(new Error(`RemoteNetworkLayer: ${message.error}`));
+        } else {
+          console.warn('[RemoteNetworkLayer] Server error:', message.error);
+        }
+        break;
+
+      default:
+        console.warn('[RemoteNetworkLayer] Unknown message type:', message.type);
+    }
+  }
+
+  _handleChunkFrame(data) {
+    if (!this._chunkSync) return;
+    try {
+      this._chunkSync.handleChunkFrame(data);
+    } catch (error) {
+      console.warn('[RemoteNetworkLayer] Dropped malformed chunk:', error.message);
+    }
+  }
+
+  _replaceState(seq, state) {
+    this._seq = seq;
+    this._state = state;
+    this._notify(state);
+  }
+
+  _notify(changes) {
+    for (const fn of this._listeners) {
+      fn(this._state, changes);
+    }
+  }
+
+  _failConnect(error) {
+    if (!this._connecting) return;
+    this._connecting.reject(error);
+    this._connecting = null;
+  }
+
+  _handleClose(socket) {
+    if (!socket || socket !== this._socket) return;
+    this._socket = null;
+    this._connected = false;
+    this._syncing = false;
+    this._failConnect(new Error(`RemoteNetworkLayer: connection to ${this.url} closed`));
+
+    for (const { resolve, timer } of this._pending.values()) {
+      clearTimeout(timer);
+      resolve({ success: false, error: 'Disconnected' });
+    }
+    this._pending.clear();
+    for (const { reject } of this._pings.values()) {
+      reject(new Error('RemoteNetworkLayer: disconnected before the server answered'));
+    }
+    this._pings.clear();
+
+    // Terrain goes back to local generation until the next bindChunkManager()
+    if (this._chunkSync) {
+      this._chunkSync.stop();
+      this._chunkSync = null;
+    }
+  }
+
+  _send(message) {
+    if (this._socket && this._socket.readyState === OPEN) {
+      this._socket.send(encodeMessage(message));
+    }
+  }
+}
+
+export default RemoteNetworkLayer;
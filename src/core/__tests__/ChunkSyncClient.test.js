@@ -0,0 +1,157 @@
+import { ChunkSyncClient } from '../ChunkSyncClient';
+import { encodeChunkFrame, MAX_CHUNK_REQUEST_KEYS } from '../NetworkProtocol';
+import { Chunk } from '../../systems/chunks/Chunk';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+
+// The parts of ChunkManager the client uses
+function fakeChunkManager(keys = []) {
+  return {
+    chunkSource: null,
+    chunks: new Map(keys.map((key) => [key, { key }])),
+    setChunkSource(source) { this.chunkSource = source; },
+    getChunkByKey(key) { return this.chunks.get(key) || null; },
+    restoreChunk: vi.fn(),
+    unloadChunk: vi.fn(function unloadChunk(chunk) { this.chunks.delete(chunk.key); }),
+    setBlock: vi.fn(() => true),
+    setBlockState: vi.fn(() => true),
+    onStructuresPlaced: vi.fn(),
+  };
+}
+
+function frame(chunkX, chunkY, chunkZ, version) {
+  const chunk = new Chunk(chunkX, chunkY, chunkZ);
+  chunk.setBlock(0, 0, 0, BlockTypes.STONE);
+  return encodeChunkFrame(chunk.key, version, chunk.serializeBinary());
+}
+
+const flushMicrotasks = () => new Promise((resolve) => queueMicrotask(resolve));
+
+describe('ChunkSyncClient', () => {
+  it('batches chunk requests and resolves them from frames', async () => {
+    const sent = [];
+    const sync = new ChunkSyncClient({ send: (m) => sent.push(m), chunkManager: fakeChunkManager() });
+    sync.start();
+
+    const first = sync.requestChunk(0, 0, 0);
+    expect(sync.requestChunk(0, 0, 0)).toBe(first);
+    const second = sync.requestChunk(1, 0, 0);
+    await flushMicrotasks();
+    expect(sent).toEqual([{ type: 'chunk_request', keys: ['0,0,0', '1,0,0'] }]);
+
+    sync.handleChunkFrame(frame(0, 0, 0, 4));
+    sync.handleChunkFrame(frame(1, 0, 0, 0));
+    const [chunk] = await Promise.all([first, second]);
+    expect(chunk.getBlock(0, 0, 0)).toBe(BlockTypes.STONE);
+    expect(sync.versions.get('0,0,0')).toBe(4);
+  });
+
+  it('reports the structures the server placed, as the local generator would', () => {
+    const chunkManager = fakeChunkManager();
+    const sync = new ChunkSyncClient({ send: () => {}, chunkManager });
+    const placement = { id: 'struct_1_2', templateId: 'small_ruin_1', position: { x: 1, z: 2 }, rotation: 0, baseY: 9, containers: [] };
+
+    sync.handleStructures([placement]);
+    sync.handleStructures([]);
+    expect(chunkManager.onStructuresPlaced).toHaveBeenCalledTimes(1);
+    expect(chunkManager.onStructuresPlaced).toHaveBeenCalledWith([placement]);
+  });
+
+  it('applies the next version, drops stale changes and resyncs after a gap', async () => {
+    const sent = [];
+    const chunkManager = fakeChunkManager();
+    const sync = new ChunkSyncClient({ send: (m) => sent.push(m), chunkManager });
+    sync.start();
+    const loading = sync.requestChunk(0, 0, 0);
+    sync.handleChunkFrame(frame(0, 0, 0, 2));
+    chunkManager.chunks.set('0,0,0', await loading);
+    await flushMicrotasks();
+    sent.length = 0;
+
+    sync.handleBlockChanges([
+      ['0,0,0', 3, 1, 1, 1, BlockTypes.DIRT, null],
+      ['0,0,0', 3, 1, 1, 1, BlockTypes.STONE, null], // Already applied
+      ['0,0,0', 1, 1, 1, 1, BlockTypes.AIR, null], // Older
+      ['5,0,5', 1, 160, 1, 160, BlockTypes.DIRT, null], // Not loaded
+    ]);
+    expect(chunkManager.setBlock).toHaveBeenCalledTimes(1);
+    expect(chunkManager.setBlock).toHaveBeenCalledWith(1, 1, 1, BlockTypes.DIRT, undefined);
+    expect(sync.stats).toMatchObject({ changesApplied: 1, staleChanges: 2, resyncs: 0 });
+
+    // Version 4 never arrived: fetch the chunk again and ignore changes until it does
+    sync.handleBlockChanges([['0,0,0', 5, 3, 1, 1, BlockTypes.DIRT, null]]);
+    sync.handleBlockChanges([['0,0,0', 6, 5, 1, 1, BlockTypes.DIRT, null]]);
+    await flushMicrotasks();
+    expect(sent).toEqual([{ type: 'chunk_request', keys: ['0,0,0'] }]);
+    expect(chunkManager.setBlock).toHaveBeenCalledTimes(1);
+
+    sync.handleChunkFrame(frame(0, 0, 0, 6));
+    expect(chunkManager.restoreChunk).toHaveBeenCalledTimes(1);
+    expect(sync.versions.get('0,0,0')).toBe(6);
+    expect(sync.stats.resyncs).toBe(1);
+  });
+
+  it('fetches the chunk of a refused block change again', async () => {
+    const sent = [];
+    const chunkManager = fakeChunkManager();
+    const sync = new ChunkSyncClient({ send: (m) => sent.push(m), chunkManager });
+    sync.start();
+    const loading = sync.requestChunk(1, 0, 0);
+    sync.handleChunkFrame(frame(1, 0, 0, 3));
+    chunkManager.chunks.set('1,0,0', await loading);
+    await flushMicrotasks();
+    sent.length = 0;
+
+    // World x 33 is in chunk 1; chunk 2 isn't loaded
+    sync.resyncBlock(33, 1, 1);
+    sync.resyncBlock(65, 1, 1);
+    await flushMicrotasks();
+    expect(sent).toEqual([{ type: 'chunk_request', keys: ['1,0,0'] }]);
+    sync.handleChunkFrame(frame(1, 0, 0, 4));
+    expect(chunkManager.restoreChunk).toHaveBeenCalledTimes(1);
+  });
+
+  it('refetches chunks loaded before it started and releases unloaded ones', async () => {
+    const sent = [];
+    const chunkManager = fakeChunkManager(['0,0,0']);
+    const sync = new ChunkSyncClient({ send: (m) => sent.push(m), chunkManager });
+    sync.start();
+    expect(chunkManager.chunkSource).toBe(sync);
+    await flushMicrotasks();
+    expect(sent).toEqual([{ type: 'chunk_request', keys: ['0,0,0'] }]);
+
+    sync.handleChunkFrame(frame(0, 0, 0, 1));
+    expect(chunkManager.restoreChunk).toHaveBeenCalledTimes(1);
+
+    sync.releaseChunk('0,0,0');
+    await flushMicrotasks();
+    expect(sent[1]).toEqual({ type: 'chunk_release', keys: ['0,0,0'] });
+    expect(sync.versions.has('0,0,0')).toBe(false);
+
+    const pending = sync.requestChunk(2, 0, 0);
+    sync.stop();
+    await expect(pending).rejects.toThrow(/stopped/);
+    expect(chunkManager.chunkSource).toBe(null);
+  });
+
+  it('splits big batches and gives up on chunks the server refuses', async () => {
+    const sent = [];
+    const chunkManager = fakeChunkManager(['0,0,0']);
+    const sync = new ChunkSyncClient({ send: (m) => sent.push(m), chunkManager });
+    sync.start();
+    const loads = Array.from({ length: MAX_CHUNK_REQUEST_KEYS }, (_, i) => sync.requestChunk(i + 1, 0, 0));
+    loads.forEach((load) => load.catch(() => {}));
+    await flushMicrotasks();
+    expect(sent.map((m) => m.keys.length)).toEqual([MAX_CHUNK_REQUEST_KEYS, 1]);
+
+    // A refused load fails; a refused refetch drops the stale local copy
+    sync.handleRefused({ keys: ['1,0,0', '0,0,0'], error: 'Too far from the player' });
+    await expect(loads[0]).rejects.toThrow(/Too far from the player/);
+    expect(chunkManager.unloadChunk).toHaveBeenCalledTimes(1);
+    expect(chunkManager.chunks.has('0,0,0')).toBe(false);
+
+    // No world on the server: back to generating locally
+    sync.handleRefused({ keys: ['2,0,0'], error: 'This server has no world', local: true });
+    await expect(loads[1]).rejects.toThrow(/stopped/);
+    expect(chunkManager.chunkSource).toBe(null);
+  });
+});
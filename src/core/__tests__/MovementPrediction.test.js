@@ -0,0 +1,111 @@
+import { MovementPredictor, InterpolationBuffer } from '../MovementPrediction';
+import { MOVEMENT_TICK, createMotionState, stepPlayerMotion } from '../../systems/PlayerMotion';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+
+// Flat ground with its surface at y = 10
+const world = { getBlock: (x, y) => (y < 10 ? BlockTypes.STONE : BlockTypes.AIR) };
+
+// What an honest server does with the inputs it has received
+function serverState(inputs, start) {
+  let state = createMotionState(start);
+  for (const input of inputs) state = stepPlayerMotion(world, state, input);
+  return { ...state, lastInput: inputs[inputs.length - 1].seq };
+}
+
+describe('MovementPredictor', () => {
+  it('turns frames into numbered fixed ticks and sends them', () => {
+    const sent = [];
+    const predictor = new MovementPredictor({ world, position: [5, 10, 5], send: (inputs) => sent.push(inputs) });
+
+    predictor.update(MOVEMENT_TICK * 2.5, { vx: 6, vz: 0, jump: true });
+    predictor.update(MOVEMENT_TICK * 0.5, { vx: 6, vz: 0 });
+    expect(sent.map((batch) => batch.map((input) => input.seq))).toEqual([[1, 2], [3]]);
+    // The first input places the player; a jump goes out once
+    expect(sent[0][0].position).toEqual([5, 10, 5]);
+    expect(sent.flat().map((input) => input.jump)).toEqual([true, false, false]);
+    expect(predictor.pending).toHaveLength(3);
+    expect(predictor.position[0]).toBeGreaterThan(5);
+  });
+
+  it('keeps its prediction when the server agrees', () => {
+    const predictor = new MovementPredictor({ world, position: [5, 10, 5] });
+    for (let i = 0; i < 10; i++) predictor.update(MOVEMENT_TICK, { vx: 6, vz: 0 });
+    const predicted = predictor.position;
+
+    const acked = predictor.pending.slice(0, 6);
+    expect(predictor.reconcile(serverState(acked, [5, 10, 5]))).toBe(false);
+    expect(predictor.pending.map((input) => input.seq)).toEqual([7, 8, 9, 10]);
+    predictor.position.forEach((value, i) => expect(value).toBeCloseTo(predicted[i], 6));
+  });
+
+  it('replays unacknowledged inputs on a correction and eases the difference out', () => {
+    const predictor = new MovementPredictor({ world, position: [5, 10, 5] });
+    for (let i = 0; i < 10; i++) predictor.update(MOVEMENT_TICK, { vx: 6, vz: 0 });
+    const shown = predictor.position;
+
+    // The server had the player two units further along z
+    const server = serverState(predictor.pending.slice(0, 6), [5, 10, 5]);
+    server.position[2] += 2;
+    expect(predictor.reconcile(server)).toBe(true);
+    expect(predictor.stats.corrections).toBe(1);
+    expect(predictor.state.position[2]).toBeCloseTo(7, 4);
+    // Drawn where it was, then sliding over
+    expect(predictor.position[2]).toBeCloseTo(shown[2], 6);
+    predictor.update(0.1, { vx: 0, vz: 0 });
+    const halfway = predictor.position[2];
+    expect(halfway).toBeGreaterThan(5.5);
+    expect(halfway).toBeLessThan(7);
+    for (let i = 0; i < 30; i++) predictor.update(0.05, { vx: 0, vz: 0 });
+    expect(predictor.offset).toEqual([0, 0, 0]);
+
+    // The same server state again changes nothing
+    expect(predictor.reconcile({ ...server, position: [...server.position] })).toBe(false);
+  });
+
+  it('snaps corrections that are too large to glide', () => {
+    const predictor = new MovementPredictor({ world, position: [5, 10, 5] });
+    predictor.update(MOVEMENT_TICK, { vx: 0, vz: 0 });
+    predictor.reconcile({ position: [100, 10, 5], velocity: [0, 0, 0], grounded: true, lastInput: 1 });
+    expect(predictor.stats.snaps).toBe(1);
+    expect(predictor.position).toEqual([100, 10, 5]);
+  });
+
+  it('ignores server states from before a teleport', () => {
+    const predictor = new MovementPredictor({ world, position: [5, 10, 5] });
+    predictor.update(MOVEMENT_TICK * 3, { vx: 0, vz: 0 });
+    const before = serverState(predictor.pending, [5, 10, 5]);
+
+    predictor.teleport([50, 10, 50]);
+    expect(predictor.reconcile(before)).toBe(false);
+    expect(predictor.position).toEqual([50, 10, 50]);
+
+    // Sent, but not yet applied by the server: replaying the teleport input puts us back
+    predictor.update(MOVEMENT_TICK, { vx: 0, vz: 0 });
+    expect(predictor.pending.at(-1).position).toEqual([50, 10, 50]);
+    predictor.reconcile({ ...before, position: [5, 10, 6] });
+    expect(predictor.state.position[0]).toBe(50);
+  });
+});
+
+describe('InterpolationBuffer', () => {
+  it('renders a delay in the past, blending between updates', () => {
+    const buffer = new InterpolationBuffer({ delay: 100 });
+    expect(buffer.sample(0)).toBe(null);
+
+    buffer.push(1000, [0, 0, 0]);
+    buffer.push(1100, [10, 0, 0]);
+    buffer.push(1050, [99, 0, 0]); // Out of order: dropped
+    buffer.push(1300, [10, 0, 20]);
+
+    expect(buffer.sample(1050)).toEqual([0, 0, 0]); // Before the first
+    expect(buffer.sample(1150)).toEqual([5, 0, 0]);
+    expect(buffer.sample(1300)).toEqual([10, 0, 10]);
+    expect(buffer.sample(2000)).toEqual([10, 0, 20]); // Holds the newest
+  });
+
+  it('keeps only the most recent positions', () => {
+    const buffer = new InterpolationBuffer({ capacity: 3 });
+    for (let t = 1; t <= 5; t++) buffer.push(t, [t, 0, 0]);
+    expect(buffer.samples.map((s) => s.time)).toEqual([3, 4, 5]);
+  });
+});
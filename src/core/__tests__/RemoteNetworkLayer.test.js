@@ -0,0 +1,251 @@
+// @vitest-environment node
+import WebSocket from 'ws';
+import { createStore } from 'zustand/vanilla';
+import { RemoteNetworkLayer } from '../RemoteNetworkLayer';
+import { GameServer } from '../../server/GameServer';
+import { MovementPredictor } from '../MovementPrediction';
+import { MOVEMENT_TICK } from '../../systems/PlayerMotion';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+import useGameStore from '../../stores/useGameStore';
+import { SETTLEMENT_ROLES } from '../../modules/settlement/SettlementMembers';
+import { depositMaterials, withdrawMaterials } from '../../systems/settlement/StockpileTransfers';
+
+function makeStore() {
+  return createStore((set) => ({
+    zones: [],
+    settlement: { npcs: [], settlementCenter: null },
+    constructionSites: [],
+    addZone: (zone) => set((state) => ({ zones: [...state.zones, zone] })),
+  }));
+}
+
+// Resolves once a layer's state passes a check
+function waitFor(layer, check) {
+  return new Promise((resolve) => {
+    if (check(layer.getState())) return resolve(layer.getState());
+    const unsub = layer.onStateUpdate((state) => {
+      if (check(state)) {
+        unsub();
+        resolve(state);
+      }
+    });
+  });
+}
+
+describe('RemoteNetworkLayer', () => {
+  let server;
+  let url;
+  const layers = [];
+
+  function join(options = {}) {
+    const layer = new RemoteNetworkLayer({ url, WebSocketImpl: WebSocket, ...options });
+    layers.push(layer);
+    return layer;
+  }
+
+  beforeEach(async () => {
+    server = new GameServer({ store: makeStore() });
+    const { port } = await server.listen({ port: 0 });
+    url = `ws://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    for (const layer of layers.splice(0)) layer.disconnect();
+    await server.close();
+  });
+
+  it('is never the authority', () => {
+    expect(join().isAuthority()).toBe(false);
+  });
+
+  it('joins and receives the shared state', async () => {
+    const layer = join({ name: 'Ada' });
+    const { playerId, state } = await layer.connect();
+
+    expect(layer.isConnected()).toBe(true);
+    expect(state.zones).toEqual([]);
+    expect(state.players[playerId]).toEqual({ id: playerId, name: 'Ada', position: null });
+  });
+
+  it('comes back as the same player after a reconnect', async () => {
+    const layer = join();
+    const { playerId } = await layer.connect();
+    layer.disconnect();
+    await vi.waitFor(() => expect(server.clients.has(playerId)).toBe(false));
+
+    expect((await layer.connect()).playerId).toBe(playerId);
+    expect((await join({ resumeToken: 'guessed' }).connect()).playerId).not.toBe(playerId);
+  });
+
+  it('submits actions and hears the verdict, with every client kept in sync', async () => {
+    const ada = join();
+    const bob = join();
+    await ada.connect();
+    await bob.connect();
+
+    const submitted = ada.submitAction({ type: 'addZone', payload: { id: 'z1' } });
+    expect(submitted).toMatchObject({ success: true, pending: true });
+    expect(await submitted.result).toEqual({ success: true });
+    expect(ada.getState().zones).toEqual([{ id: 'z1' }]);
+    await waitFor(bob, (state) => state.zones.length === 1);
+
+    const refused = await ada.submitAction({ type: 'reset' }).result;
+    expect(refused).toEqual({ success: false, error: 'Action reset is not allowed' });
+  });
+
+  it('refuses actions while disconnected', () => {
+    expect(join().submitAction({ type: 'addZone' })).toEqual({ success: false, error: 'Not connected' });
+  });
+
+  it('resyncs after a gap in the deltas', async () => {
+    const layer = join();
+    await layer.connect();
+    server.store.getState().addZone({ id: 'z1' });
+    // Skip a sequence number, as if a delta were lost
+    server.seq++;
+    server.store.getState().addZone({ id: 'z2' });
+
+    const state = await waitFor(layer, (s) => s.zones.length === 2);
+    expect(state.zones.map((z) => z.id)).toEqual(['z1', 'z2']);
+  });
+
+  it('mirrors shared state and other players into a store', async () => {
+    const ada = join();
+    const bob = join();
+    await ada.connect();
+    const { playerId } = await bob.connect();
+    const gameStore = createStore(() => ({ zones: [], remotePlayers: {} }));
+    ada.bindStore(gameStore);
+
+    await bob.submitAction({ type: 'player/move', payload: { position: [4, 5, 6] } }).result;
+    await waitFor(ada, (state) => state.players[playerId]?.position);
+
+    expect(Object.keys(gameStore.getState().remotePlayers)).toEqual([playerId]);
+    expect(gameStore.getState().remotePlayers[playerId].position).toEqual([4, 5, 6]);
+  });
+
+  it('sends a bound store\'s shared actions to the server instead of the local copy', async () => {
+    const ada = join();
+    await ada.connect();
+    const localAddZone = vi.fn();
+    const gameStore = createStore(() => ({ zones: [], remotePlayers: {}, addZone: localAddZone }));
+    const unbind = ada.bindStore(gameStore);
+
+    const { pending, result } = gameStore.getState().addZone({ id: 'z9' });
+    expect(pending).toBe(true);
+    expect(await result).toEqual({ success: true });
+    await waitFor(ada, (state) => state.zones.length === 1);
+    expect(gameStore.getState().zones).toEqual([{ id: 'z9' }]);
+    expect(localAddZone).not.toHaveBeenCalled();
+
+    // Unbound, or offline, the store's own action runs
+    unbind();
+    gameStore.getState().addZone({ id: 'z10' });
+    expect(localAddZone).toHaveBeenCalledWith({ id: 'z10' });
+  });
+
+  it('moves stockpile materials as the player, between the server\'s stockpile and their own inventory', async () => {
+    // The real game store on the server: ada owns the settlement, bob visits
+    await server.close();
+    server = new GameServer({ store: useGameStore });
+    url = `ws://127.0.0.1:${(await server.listen({ port: 0 })).port}`;
+
+    // Each client's game: its own inventory, with the settlement actions sent to the server
+    const clientGame = async () => {
+      const layer = join();
+      await layer.connect();
+      const game = createStore((set, get) => ({
+        zones: [],
+        remotePlayers: {},
+        inventory: { materials: { stone: 0 } },
+        getLocalPlayerId: () => layer.playerId,
+        addMaterial: (type, amount) => set({ inventory: { materials: { [type]: get().inventory.materials[type] + amount } } }),
+        removeMaterial: (type, amount) => set({ inventory: { materials: { [type]: get().inventory.materials[type] - amount } } }),
+        depositToStockpile: vi.fn(),
+        withdrawFromStockpile: vi.fn(),
+      }));
+      layer.bindStore(game);
+      return game;
+    };
+    const ada = await clientGame();
+    const bob = await clientGame();
+    const adaId = ada.getState().getLocalPlayerId();
+
+    const host = useGameStore.getState();
+    host.reset();
+    host.setSettlementCenter([0, 10, 0], adaId);
+    host.inviteSettlementMember({ playerId: bob.getState().getLocalPlayerId(), role: SETTLEMENT_ROLES.VISITOR }, adaId);
+    host.addZone({ id: 'z1', type: 'STOCKPILE', storage: { capacity: 100, usedCapacity: 5, items: { stone: 5 } } });
+    const hostStone = host.inventory.materials.stone;
+    const serverStone = () => useGameStore.getState().zones[0].storage.items.stone;
+
+    expect(await withdrawMaterials(ada, 'z1', 'stone', 3)).toEqual({ success: true, moved: 3 });
+    expect(serverStone()).toBe(2);
+    expect(ada.getState().inventory.materials.stone).toBe(3);
+    expect(useGameStore.getState().inventory.materials.stone).toBe(hostStone);
+
+    // A deposit is capped by what the player holds
+    expect(await depositMaterials(ada, 'z1', 'stone', 10)).toEqual({ success: true, moved: 3 });
+    expect(serverStone()).toBe(5);
+    expect(ada.getState().inventory.materials.stone).toBe(0);
+    expect(useGameStore.getState().playerMaterials[adaId]).toEqual({});
+
+    // Only what the server saw the player get can go in, whatever their game says they hold
+    ada.setState({ inventory: { materials: { stone: 50 } } });
+    expect(await depositMaterials(ada, 'z1', 'stone', 50)).toEqual({ success: false, error: 'No stone to deposit' });
+    expect(await depositMaterials(ada, 'z1', 'mithril', 1)).toEqual({ success: false, error: 'Unknown material mithril' });
+    expect(serverStone()).toBe(5);
+    ada.setState({ inventory: { materials: { stone: 0 } } });
+
+    expect(await withdrawMaterials(bob, 'z1', 'stone', 1))
+      .toEqual({ success: false, error: 'A visitor may not withdraw from stockpiles' });
+    expect(await withdrawMaterials(ada, 'z1', 'iron', 1)).toMatchObject({ success: false });
+    expect(await depositMaterials(bob, 'z1', 'stone', 1)).toMatchObject({ success: false });
+    expect(bob.getState().inventory.materials.stone).toBe(0);
+
+    const { auditLog } = useGameStore.getState().settlement;
+    expect(auditLog.slice(-2).map((entry) => [entry.playerId, entry.action, entry.details.amount])).toEqual([
+      [adaId, 'withdrawFromStockpile', 3],
+      [adaId, 'depositToStockpile', 3],
+    ]);
+  });
+
+  it('predicts movement and reconciles it with the server', async () => {
+    // Flat ground at y = 10, the same for the server and the client
+    const flat = {
+      getBlock: (x, y) => (y < 10 ? BlockTypes.STONE : BlockTypes.AIR),
+      takeChanges: () => [],
+    };
+    await server.close();
+    server = new GameServer({ store: makeStore(), world: flat });
+    url = `ws://127.0.0.1:${(await server.listen({ port: 0 })).port}`;
+
+    const layer = join();
+    const { playerId } = await layer.connect();
+    const predictor = new MovementPredictor({ world: flat, position: [5, 12, 5] });
+    layer.bindMovementPredictor(predictor);
+
+    for (let i = 0; i < 20; i++) predictor.update(MOVEMENT_TICK, { vx: 6, vz: 0 });
+    const state = await waitFor(layer, (s) => s.players[playerId].lastInput === 20);
+
+    expect(predictor.pending).toEqual([]);
+    expect(predictor.stats.corrections).toBe(0);
+    expect(state.players[playerId].position).toEqual(predictor.state.position);
+    expect(predictor.position[0]).toBeGreaterThan(5);
+  });
+
+  it('rejects connect when the server is not there', async () => {
+    await server.close();
+    await expect(join().connect()).rejects.toThrow(/could not connect|closed/);
+  });
+
+  it('measures round trips', async () => {
+    const layer = join();
+    await layer.connect();
+    expect(await layer.ping()).toBeGreaterThanOrEqual(0);
+
+    const unanswered = layer.ping();
+    layer.disconnect();
+    await expect(unanswered).rejects.toThrow(/disconnected before the server answered/);
+  });
+});
@@ -7,50 +7,36 @@
  *   - chance: probability of dropping (default 1.0)
  *   - bonus: additional rare drop { material, amount, chance }
  *   - requiresTier: minimum TOOL_TIER to get drops (block still breaks without it)
+ *
+ * Drop tables are defined per block in config/blocks/blocks.json.
  */
 
-import { BlockTypes } from '../systems/chunks/blockTypes';
+import { blockRegistry } from '../systems/chunks/BlockRegistry';
 import { TOOL_TIER, APPLE_DROP_CHANCE } from './tuning';
 
-export const BLOCK_DROPS = {
-  [BlockTypes.STONE]: { material: 'stone', min: 1, max: 1 },
-  [BlockTypes.DIRT]: { material: 'dirt', min: 1, max: 1 },
-  [BlockTypes.GRASS]: { material: 'dirt', min: 1, max: 1 },
-  [BlockTypes.SAND]: { material: 'sand', min: 1, max: 1 },
-  [BlockTypes.WOOD]: { material: 'wood', min: 1, max: 2 },
-  [BlockTypes.LEAVES]: {
-    material: null, // No primary drop
-    min: 0,
-    max: 0,
-    bonus: { material: 'berry', amount: 1, chance: APPLE_DROP_CHANCE },
-  },
-  [BlockTypes.GRAVEL]: { material: 'stone', min: 1, max: 1 },
-  [BlockTypes.COAL_ORE]: {
-    material: 'coal',
-    min: 1,
-    max: 3,
-    requiresTier: TOOL_TIER.STONE,
-  },
-  [BlockTypes.IRON_ORE]: {
-    material: 'iron',
-    min: 1,
-    max: 1,
-    requiresTier: TOOL_TIER.IRON,
-  },
-  [BlockTypes.GOLD_ORE]: {
-    material: 'gold_ore',
-    min: 1,
-    max: 1,
-    requiresTier: TOOL_TIER.IRON,
-  },
-  [BlockTypes.CLAY]: { material: 'clay', min: 1, max: 2 },
-  [BlockTypes.SNOW]: { material: 'snow', min: 1, max: 1 },
-  [BlockTypes.ICE]: { material: 'ice', min: 1, max: 1 },
-  [BlockTypes.BERRY_BUSH]: { material: 'berry', min: 1, max: 3 },
-  [BlockTypes.CAMPFIRE]: { material: 'wood', min: 2, max: 2 },
-  [BlockTypes.CORRUPTED_STONE]: { material: 'stone', min: 1, max: 1 },
-  [BlockTypes.CORRUPTED_GRASS]: { material: 'dirt', min: 1, max: 1 },
-};
+// Tuning constants a drop definition in blocks.json may reference by name
+const TUNED_CHANCES = { APPLE_DROP_CHANCE };
+
+/**
+ * Resolve a registry drop definition: tier names become TOOL_TIER values
+ * and named bonus chances are looked up in tuning.
+ */
+function resolveDropDef(drops) {
+  const def = { ...drops };
+  if (typeof def.requiresTier === 'string') {
+    def.requiresTier = TOOL_TIER[def.requiresTier];
+  }
+  if (def.bonus && typeof def.bonus.chance === 'string') {
+    def.bonus = { ...def.bonus, chance: TUNED_CHANCES[def.bonus.chance] ?? 0 };
+  }
+  return def;
+}
+
+export const BLOCK_DROPS = Object.fromEntries(
+  blockRegistry.getAll()
+    .filter(def => def.drops)
+    .map(def => [def.id, resolveDropDef(def.drops)])
+);
 
 /**
  * Calculate drops for a mined block.
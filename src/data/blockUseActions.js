@@ -9,7 +9,8 @@ export const BLOCK_USE_ACTIONS = {
   [BlockTypes.BERRY_BUSH]: {
     action: 'harvest',
     drops: [{ material: 'berry', min: 1, max: 3 }],
-    destroyBlock: true,
+    // Grows its berries back on a random tick (RandomTicker bushRegrowth)
+    replaceWith: BlockTypes.BERRY_BUSH_BARE,
   },
   [BlockTypes.CAMPFIRE]: {
     action: 'pickup',
@@ -389,6 +389,57 @@ export const CRAFTING_RECIPES = {
     icon: '🧪',
   },
 
+  // === EXPLOSIVES ===
+  // Thrown or planted ahead of the player and detonated by ExplosionController
+
+  bomb: {
+    id: 'bomb',
+    name: 'Bomb',
+    type: ITEM_TYPES.CONSUMABLE,
+    rarity: RARITY.UNCOMMON,
+    description: 'Thrown ahead, bursts after a short fuse. Hurts enemies and cracks the ground',
+    requirements: {
+      coal: 3,
+      sand: 2,
+      fiber: 1,
+    },
+    effect: {
+      type: 'explosion',
+      radius: 2.5,
+      power: 3,
+      damage: 60,
+      knockback: 14,
+      dropChance: 0.25,
+      fuse: 1.5,
+      throwDistance: 8,
+    },
+    icon: '💣',
+  },
+  miningCharge: {
+    id: 'miningCharge',
+    name: 'Mining Charge',
+    type: ITEM_TYPES.CONSUMABLE,
+    rarity: RARITY.UNCOMMON,
+    description: 'Planted in front of you, blasts a deep hole through rock and keeps what it breaks',
+    requirements: {
+      coal: 4,
+      iron: 1,
+      stone: 2,
+    },
+    effect: {
+      type: 'explosion',
+      radius: 2.5,
+      radiusY: 4,
+      power: 8,
+      damage: 15,
+      knockback: 6,
+      dropChance: 1,
+      fuse: 3,
+      throwDistance: 3,
+    },
+    icon: '🧨',
+  },
+
   // === HERBAL CONSUMABLES ===
   // Made from harvested herbs, berries, and mushrooms
 
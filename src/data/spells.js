@@ -77,6 +77,7 @@ export const SPELLS = [
     range: 100,
     key: '1',
     description: 'Launch a fireball that explodes on impact.',
+    terrainDamage: { radius: 1.5, power: 2.5 },
   },
   {
     id: 'lightning',
@@ -460,6 +461,7 @@ const executeProjectileSpell = (spell, player, store) => {
           effectDuration: spell.effectDuration,
           aoeRadius: spell.aoeRadius,
           type: spell.type,
+          terrainDamage: spell.terrainDamage,
         });
       }, i * (spell.burstDelay * 1000));
     }
@@ -477,6 +479,7 @@ const executeProjectileSpell = (spell, player, store) => {
       effectDuration: spell.effectDuration,
       aoeRadius: spell.aoeRadius,
       type: spell.type,
+      terrainDamage: spell.terrainDamage,
     });
   }
 
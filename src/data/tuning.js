@@ -14,6 +14,9 @@
 // 20 real minutes = 1 in-game day. Range: 300–3600.
 export const DAY_LENGTH_SECONDS = 1200;
 
+// In-game days per season (spring, summer, autumn, winter). Range: 1–30.
+export const DAYS_PER_SEASON = 3;
+
 // timeOfDay thresholds (0.0 = midnight, 0.5 = noon, 1.0 = next midnight)
 export const SUNRISE_START = 0.20; // ~4:48 AM — sky starts to lighten
 export const SUNRISE_END = 0.30;   // ~7:12 AM — full daylight
@@ -41,6 +44,11 @@ export const SKY_COLORS = {
   NIGHT: '#0a0a2e',
 };
 
+// Distance fog in world units: clear up to FOG_NEAR, sky-colored by FOG_FAR.
+// The far-terrain horizon stretches FOG_FAR out to its own edge. Range: 50–300 / 200–600.
+export const FOG_NEAR = 150;
+export const FOG_FAR = 400;
+
 // ─── Hunger ──────────────────────────────────────────────────
 // Hunger drain: points per real second. 0.5/60 = full depletion in ~200 min (~10 in-game days).
 // Range: 0.002–0.05. Start generous; tighten during balance pass.
@@ -100,6 +108,7 @@ export const RIFT_POP_CAP_DAY = 3;             // Max monsters per rift (daytime
 export const RIFT_POP_CAP_NIGHT = 8;           // Max monsters per rift (nighttime)
 export const RIFT_ACTIVE_RANGE = 80;           // Only tick rifts within physics collider range (~3 chunks)
 export const RIFT_DORMANT_DURATION = 300;      // Seconds of dormancy when blocks destroyed
+export const RIFT_SPAWN_MAX_BLOCK_LIGHT = 7;   // No rift spawns where torch/campfire light is above this
 
 // Rift terrain corruption radii (in blocks, 1 block = 2 world units)
 export const CORRUPTION_RADIUS_FULL = 16;      // Z1: 100% → corrupted stone
@@ -124,6 +133,15 @@ export const RIFT_REINFORCEMENT_COUNT_BASE = 2;     // Base enemies per reinforc
 export const RIFT_REINFORCEMENT_ESCALATION = 1;     // Extra enemies per wave as corruption shrinks
 export const RIFT_VOID_SHARD_DROP_CHANCE = 0.3;     // Chance per corrupted block to drop void shard
 
+// ─── Rift Corruption Spread ────────────────────────────────
+export const RIFT_CORRUPTION_SPREAD_PER_DAY = 4;     // Blocks an open rift's corruption edge advances per game day
+export const RIFT_CORRUPTION_NIGHT_SPREAD_MULT = 3;  // Spread speed multiplier at night
+export const RIFT_CORRUPTION_MAX_RADIUS = 64;        // Blocks — corruption stops growing here
+export const RIFT_CORRUPTION_SPREAD_ATTEMPTS = 24;   // Columns tried per open rift every spread tick
+export const CORRUPTION_SAMPLE_RADIUS = 8;           // World units around a position sampled for its corruption level
+export const CORRUPTION_NPC_HAPPINESS_PENALTY = 25;  // Happiness lost by an NPC on fully corrupted ground
+export const CORRUPTION_CROP_YIELD_PENALTY = 0.75;   // Share of a harvest lost on fully corrupted ground
+
 // ─── Melee Combat ──────────────────────────────────────────
 export const MELEE_RANGE = 3.5;                     // World units — max hit distance
 export const MELEE_CONE_ANGLE = 60;                  // Degrees — attack cone half-angle
@@ -136,6 +154,9 @@ export const RIFT_NOCTURNAL_SPEED_MULT = 1.25; // Night monster speed multiplier
 // Monster aggro ranges (world units)
 export const AGGRO_RANGE_DAY = 8;
 export const AGGRO_RANGE_NIGHT = 16;
+export const SIGHT_EYE_HEIGHT = 1.5;            // World units above the feet that monsters see from
+export const SIGHT_CHECK_INTERVAL = 0.25;      // Seconds between a monster's line-of-sight checks
+export const SIGHT_MEMORY = 3;                 // Seconds a monster keeps chasing after losing sight
 
 // ─── Death Consequences ──────────────────────────────────────
 export const DEATH_MATERIAL_DROP_PERCENT = 0.5;  // Drop 50% of materials
@@ -297,7 +318,8 @@ export const ZONE_MAX_SIDE_VOXELS = 32;     // Max voxels per side (64 world uni
 export const ZONE_MIN_SIDE_VOXELS = 2;      // Min voxels per side (4 world units)
 
 // ─── Stockpile System ────────────────────────────────────────
-export const STOCKPILE_CAPACITY_PER_VOXEL = 10;    // Items per ground voxel in zone
+export const CONTAINER_CAPACITY = 160;              // Items one chest, barrel or crate holds
+export const STOCKPILE_CHEST_SPACING = 4;           // Voxels between the chests a new stockpile sets out
 export const STOCKPILE_INTERACT_RANGE = 6;          // World units — E key range to open panel
 export const ATTRACT_STOCKPILE_FOOD_SCORE = 3;      // Per food item in stockpile
 export const ATTRACT_STOCKPILE_FOOD_CAP = 30;       // Max food items counted for attractiveness
@@ -347,5 +369,43 @@ export const NPC_MINE_TOOL_TIER = 1;          // NPCs mine as if wood pickaxe
 export const NPC_THOUGHT_DURATION = 4;        // Seconds thought bubble shows
 export const NPC_SKILL_GROWTH = 0.01;         // Skill increment per completed task
 
+// ─── Block Physics ─────────────────────────────────────────
+export const MAX_CANTILEVER = 3;              // Built blocks a load path may reach sideways from support
+export const CAVE_IN_MAX_SPAN = 5;            // Voxels of unsupported ceiling before it can cave in
+export const CAVE_IN_CHANCE = 0.05;           // Per unstable cell each time a block is mined (scaled by risk)
+export const CAVE_IN_DAMAGE = 15;             // Damage to anyone under a cave-in
+export const CAVE_IN_REACH = 4;               // Voxels below the cave-in origin that falling rock reaches
+
+// ─── Random Block Ticks ────────────────────────────────────
+export const RANDOM_TICKS_PER_CHUNK = 8;      // Random block ticks per chunk per second (each block ~every 8.5 min)
+export const RANDOM_TICK_CHUNK_RADIUS = 4;    // Chunks around the player (horizontally) that get random ticks
+export const GRASS_SPREAD_MIN_LIGHT = 9;      // Light dirt needs for grass to spread onto it
+export const LEAF_DECAY_DISTANCE = 6;         // Steps through leaves to a log before leaves decay (swamp rims reach 6)
+export const BUSH_REGROWTH_CHANCE = 0.25;     // Chance a random tick grows a harvested berry bush back
+
+// ─── Area Editing ──────────────────────────────────────────
+export const AREA_EDIT_MAX_VOLUME = 32768;    // Largest selection or paste, in blocks
+export const AREA_EDIT_BLOCKS_PER_FRAME = 2048; // Blocks applied per frame (one mesh rebuild per chunk per batch)
+export const AREA_EDIT_HISTORY = 20;          // Area edits kept for undo
+
+// ─── Explosions ────────────────────────────────────────────
+export const EXPLOSION_MAX_RADIUS = 8;        // Blocks — largest blast a single explosion may carve
+export const EXPLOSION_DROP_TOOL_TIER = TOOL_TIER.STONE; // Blasted blocks drop as if mined with this tier
+export const EXPLOSION_UPWARD_KNOCKBACK = 0.4; // Share of knockback thrown upward
+export const TERRAIN_DAMAGE_ENABLED = true;   // Fire/earth spells and boss slams break blocks
+
+// ─── Networked Movement ────────────────────────────────────
+export const MOVEMENT_TICK_RATE = 60;         // Movement inputs per second; client and server simulate each one the same way
+export const MOVEMENT_INPUT_ALLOWANCE = 30;   // Inputs a player may get ahead of real time (bursty connections) before the server drops them
+export const MOVEMENT_GRAVITY = 20;           // Matches the <Physics> gravity in Experience.jsx
+export const MOVEMENT_MAX_SPEED = 20;         // Fastest horizontal steering the server accepts (dodge roll)
+export const MOVEMENT_SMOOTHING = 0.1;        // Seconds for a server correction to fade out of the rendered position
+export const MOVEMENT_SNAP_DISTANCE = 8;      // Corrections larger than this (world units) snap instead
+export const REMOTE_PLAYER_DELAY_MS = 100;    // Other players render this far in the past, between two known positions
+export const MAX_BLOCK_REACH = 50;            // World units from a player the server lets them place or break (the third-person camera's reach)
+
+// ─── Co-op Settlement ──────────────────────────────────────
+export const SETTLEMENT_AUDIT_LOG_SIZE = 200;  // Most recent member actions kept in the settlement's audit log
+
 // ─── Debug ───────────────────────────────────────────────────
 export const DEBUG_TIME_SCALES = [1, 2, 5, 10, 0]; // 0 = paused
@@ -2,7 +2,7 @@
  * wildlifeTypes.js — Definitions for all ambient wildlife animals.
  *
  * Each type specifies rendering, behavior, and spawning properties.
- * hp/xp are stored for future combat integration but unused for now.
+ * hp is worn down by explosions; xp is stored for future combat integration.
  */
 
 export const WILDLIFE_TYPES = {
@@ -202,7 +202,8 @@ const BOSS_CONFIGS = {
         radius: 3,
         cooldown: 6000,
         effect: 'STUN',
-        stunDuration: 1500
+        stunDuration: 1500,
+        terrainDamage: { radius: 2, radiusY: 1.5, power: 2.5 }
       },
       ROCK_THROW: {
         name: 'Rock Throw',
@@ -225,7 +226,8 @@ const BOSS_CONFIGS = {
         radius: 6,
         cooldown: 15000,
         effect: 'KNOCKBACK',
-        knockbackForce: 5
+        knockbackForce: 5,
+        terrainDamage: { radius: 4, radiusY: 2, power: 3 }
       }
     },
     xpReward: 700,
@@ -1,12 +1,17 @@
 /**
  * useChunkSystem - Hook for managing the chunk-based world
  *
- * Sets up ChunkManager and WorkerPool, handles cleanup.
+ * Sets up ChunkManager and WorkerPool, handles cleanup. Structures stamped
+ * into generated chunks are registered with a StructureInteractionSystem.
+ * Seasons for random block ticks follow the world clock's day number.
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { ChunkManager } from '../systems/chunks/ChunkManager.js';
 import { WorkerPool } from '../systems/workers/WorkerPool.js';
+import { StructureInteractionSystem } from '../modules/structures/StructureInteractionSystem.js';
+import { SeasonalSystem } from '../modules/environment/SeasonalSystem.js';
+import { DAYS_PER_SEASON } from '../data/tuning.js';
 
 /**
  * Hook for using the chunk system
@@ -26,21 +31,38 @@ export function useChunkSystem(options = {}) {
 
   const chunkManagerRef = useRef(null);
   const workerPoolRef = useRef(null);
+  const structureSystemRef = useRef(null);
+  const seasonalSystemRef = useRef(null);
   const updateIntervalRef = useRef(null);
 
   // Initialize chunk system
   useEffect(() => {
-    // Create worker pool
+    // Create worker pool. The worker imports the terrain generator, so it
+    // has to be constructed inline for Vite to bundle it as a module worker.
     const workerPool = new WorkerPool(
-      new URL('../workers/chunkWorker.js', import.meta.url),
+      () => new Worker(new URL('../workers/chunkWorker.js', import.meta.url), { type: 'module' }),
       Math.min(navigator.hardwareConcurrency || 4, 4)
     );
     workerPoolRef.current = workerPool;
 
+    // Structures and their loot chests, registered as chunks generate
+    const structureSystem = new StructureInteractionSystem(null);
+    structureSystemRef.current = structureSystem;
+
+    // Seasons, advanced from the world clock in update()
+    const seasonalSystem = new SeasonalSystem({ autoProgress: false, daysPerSeason: DAYS_PER_SEASON });
+    seasonalSystemRef.current = seasonalSystem;
+
     // Create chunk manager
     const chunkManager = new ChunkManager({
       seed,
       viewDistance,
+      seasonalSystem,
+      onStructuresPlaced: (placements) => {
+        for (const placement of placements) {
+          structureSystem.registerPlacedStructure(placement);
+        }
+      },
     });
     chunkManager.setWorkerPool(workerPool);
     chunkManagerRef.current = chunkManager;
@@ -71,18 +93,24 @@ export function useChunkSystem(options = {}) {
         workerPoolRef.current.terminate();
         workerPoolRef.current = null;
       }
+
+      structureSystemRef.current = null;
+      seasonalSystemRef.current = null;
     };
   }, [seed, viewDistance]);
 
   // Update player position
-  const updatePlayerPosition = useCallback((x, z) => {
+  const updatePlayerPosition = useCallback((x, y, z) => {
     if (chunkManagerRef.current) {
-      chunkManagerRef.current.updatePlayerPosition(x, z);
+      chunkManagerRef.current.updatePlayerPosition(x, y, z);
     }
   }, []);
 
-  // Update chunk system (call every frame)
-  const update = useCallback((deltaTime) => {
+  // Update chunk system (call every frame, with the world clock's day number)
+  const update = useCallback((deltaTime, dayNumber) => {
+    if (dayNumber != null && seasonalSystemRef.current) {
+      seasonalSystemRef.current.syncToDay(dayNumber);
+    }
     if (chunkManagerRef.current) {
       chunkManagerRef.current.update(deltaTime);
     }
@@ -105,23 +133,32 @@ export function useChunkSystem(options = {}) {
   }, []);
 
   // Get chunk at coordinates
-  const getChunk = useCallback((chunkX, chunkZ) => {
+  const getChunk = useCallback((chunkX, chunkY, chunkZ) => {
     if (chunkManagerRef.current) {
-      return chunkManagerRef.current.getChunk(chunkX, chunkZ);
+      return chunkManagerRef.current.getChunk(chunkX, chunkY, chunkZ);
     }
     return null;
   }, []);
 
+  // Toggle greedy meshing (rebuilds loaded chunk meshes)
+  const setGreedyMeshing = useCallback((enabled) => {
+    if (chunkManagerRef.current) {
+      chunkManagerRef.current.setGreedyMeshing(enabled);
+    }
+  }, []);
+
   return {
     isReady,
     stats,
     chunkManager: chunkManagerRef.current,
     workerPool: workerPoolRef.current,
+    structureSystem: structureSystemRef.current,
     updatePlayerPosition,
     update,
     getBlock,
     setBlock,
     getChunk,
+    setGreedyMeshing,
   };
 }
 
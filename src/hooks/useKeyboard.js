@@ -32,6 +32,7 @@ const KEYMAP = {
 const TOGGLE_KEYS = {
   Tab: 'buildMode',
   KeyZ: 'zoneMode',
+  KeyT: 'areaEditMode',
 };
 
 // Shared mutable key state — updated synchronously in event handlers,
@@ -57,6 +58,9 @@ export function useKeyboard() {
 
   useEffect(() => {
     const onKeyDown = (e) => {
+      // Ctrl/Cmd combos belong to the area edit tool while it's active (Ctrl+Z is undo)
+      if ((e.ctrlKey || e.metaKey) && useGameStore.getState().areaEditMode) return;
+
       // Toggle keys fire a store action once on keydown
       const toggle = TOGGLE_KEYS[e.code];
       if (toggle) {
@@ -75,6 +79,16 @@ export function useKeyboard() {
             store.setZoneMode(true, 'MINING');
           }
         }
+        if (toggle === 'areaEditMode') {
+          const store = useGameStore.getState();
+          if (store.areaEditMode) {
+            store.setAreaEditMode(false);
+          } else {
+            if (store.zoneMode) store.setZoneMode(false);
+            if (!store.buildMode) store.setBuildMode(true);
+            store.setAreaEditMode(true);
+          }
+        }
         return;
       }
 
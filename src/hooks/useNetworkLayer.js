@@ -0,0 +1,72 @@
+/**
+ * useNetworkLayer.js - Installs the game's NetworkLayer
+ *
+ * Single-player gets a LocalNetworkLayer. With `?server=ws://127.0.0.1:8787`
+ * in the page URL the game joins that GameServer instead
+ * (`npm run server`): a RemoteNetworkLayer connects and mirrors the
+ * server's shared state into the store (sending zone and settlement edits to
+ * the server instead of the local copy), and the world's ChunkManager loads
+ * its terrain from the server once both exist. Player.jsx then predicts the
+ * player's movement and the server corrects it; RemotePlayers.jsx draws
+ * everyone else. Add `&name=Ada` to pick a display name, so two browser
+ * windows on one machine can play co-op.
+ *
+ * Usage:
+ *   useNetworkLayer(); // once, near the root of the app
+ */
+
+import { useEffect } from 'react';
+import { LocalNetworkLayer } from '../core/NetworkLayer';
+import { RemoteNetworkLayer } from '../core/RemoteNetworkLayer';
+import useGameStore from '../stores/useGameStore';
+
+/**
+ * Set up the network layer for this page and tear it down on unmount
+ * @param {string} [search=window.location.search] - Query string to read options from
+ */
+export function useNetworkLayer(search = window.location.search) {
+  useEffect(() => {
+    const params = new URLSearchParams(search);
+    const url = params.get('server');
+
+    if (!url) {
+      const layer = new LocalNetworkLayer();
+      useGameStore.getState().setNetworkLayer(layer);
+      return () => {
+        layer.disconnect();
+        useGameStore.getState().setNetworkLayer(null);
+      };
+    }
+
+    const layer = new RemoteNetworkLayer({ url, name: params.get('name') });
+    let unbind = null;
+    let unbindChunks = null;
+    let unsubChunkManager = null;
+    const bindChunks = (chunkManager) => {
+      if (unbindChunks) unbindChunks();
+      unbindChunks = chunkManager ? layer.bindChunkManager(chunkManager) : null;
+    };
+
+    useGameStore.getState().setNetworkLayer(layer);
+    layer.connect()
+      .then(() => {
+        unbind = layer.bindStore(useGameStore);
+        // The ChunkManager may not exist yet, or may be replaced
+        bindChunks(useGameStore.getState()._chunkManager);
+        unsubChunkManager = useGameStore.subscribe((state, prev) => {
+          if (state._chunkManager !== prev._chunkManager) bindChunks(state._chunkManager);
+        });
+      })
+      .catch((error) => console.error('[Network] Could not join server:', error));
+
+    return () => {
+      if (unsubChunkManager) unsubChunkManager();
+      if (unbindChunks) unbindChunks();
+      if (unbind) unbind();
+      layer.disconnect();
+      useGameStore.getState().setNetworkLayer(null);
+    };
+  }, [search]);
+}
+
+export default useNetworkLayer;
@@ -0,0 +1,46 @@
+/**
+ * useReplayRecorder.js - Records the session for Save Replay
+ *
+ * Starts a ReplayRecorder once the game is playing and its world exists (the
+ * replay needs the world's seed), from the state at that moment, and keeps
+ * it on the store as `_replayRecorder`. No recording runs
+ * while a replay is being watched; a new one starts when the player leaves
+ * it. Loading a save restarts the recording (PauseMenu), since the replay
+ * has to begin from the state the actions were applied to.
+ *
+ * Usage:
+ *   useReplayRecorder(); // once, near the root of the app
+ */
+
+import { useEffect } from 'react';
+import useGameStore, { actionHistory } from '../stores/useGameStore';
+import { ReplayRecorder } from '../systems/state/ReplaySystem';
+
+export function useReplayRecorder() {
+  const gameState = useGameStore((state) => state.gameState);
+  const watchingReplay = useGameStore((state) => state._replayPlayer !== null);
+  const worldSeed = useGameStore((state) => state._chunkManager?.seed ?? null);
+
+  useEffect(() => {
+    const state = useGameStore.getState();
+    if (gameState !== 'playing' || watchingReplay || worldSeed == null || state._replayRecorder) return;
+
+    const recorder = new ReplayRecorder({
+      store: useGameStore,
+      actionHistory,
+      seed: worldSeed,
+    });
+    recorder.start();
+    state.setReplayRecorder(recorder);
+  }, [gameState, watchingReplay, worldSeed]);
+
+  // Stop when a replay starts, and on unmount
+  useEffect(() => () => {
+    const recorder = useGameStore.getState()._replayRecorder;
+    if (!recorder) return;
+    recorder.stop();
+    useGameStore.getState().setReplayRecorder(null);
+  }, [watchingReplay]);
+}
+
+export default useReplayRecorder;
@@ -491,6 +491,16 @@ export class AISystemManager {
     }
   }
 
+  /**
+   * Use the chunk world for line of sight, so terrain blocks vision
+   * @param {Object|null} chunkManager - ChunkManager
+   */
+  setChunkManager(chunkManager) {
+    if (this.perception) {
+      this.perception.setChunkManager(chunkManager);
+    }
+  }
+
   // ============================================
   // QUEST INTERFACE
   // ============================================
@@ -937,6 +937,11 @@ export class EnemyAISystem {
     // Check if player is in range and visible
     const dist = distance(enemy.position, player.position);
 
+    // Terrain between them hides the player
+    if (this.perceptionSystem.hasLineOfSight?.(enemy.position, player.position) === false) {
+      return NodeStatus.FAILURE;
+    }
+
     if (dist <= enemy.aggroRange) {
       // Check faction hostility
       if (this.areHostile(enemy.faction, 'player')) {
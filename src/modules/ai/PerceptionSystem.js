@@ -2,13 +2,31 @@
  * PerceptionSystem.js - AI Perception for Vision, Hearing, and Memory
  *
  * Features:
- * - Vision system with line of sight and view cones
+ * - Vision system with line of sight and view cones; with a chunk world
+ *   set, opaque blocks (hills, walls) block sight (see VoxelQuery.js)
  * - Hearing system for sound detection
  * - Memory system for tracking known entities
  * - Weather-based perception modifiers
  * - Information sharing between allies
  */
 
+import { hasLineOfSight, raycast } from '../../systems/chunks/VoxelQuery.js';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates.js';
+import { SIGHT_EYE_HEIGHT } from '../../data/tuning.js';
+
+/**
+ * Height of the ground under a world (x, z), for positions without a y
+ * @param {Object} chunkManager
+ * @param {number} x
+ * @param {number} z
+ * @returns {number}
+ */
+function groundY(chunkManager, x, z) {
+  const top = WORLD_MAX_Y * VOXEL_SIZE;
+  const hit = raycast(chunkManager, { x, y: top, z }, { x: 0, y: -1, z: 0 }, top - WORLD_MIN_Y * VOXEL_SIZE);
+  return hit ? hit.position.y : 0;
+}
+
 /**
  * Perception event types
  */
@@ -161,6 +179,7 @@ export class PerceptionSystem {
    * @param {number} options.defaultFOV - Default field of view in degrees (default: 120)
    * @param {number} options.memoryDuration - How long memories last (default: 30000ms)
    * @param {number} options.memoryDecayRate - Confidence decay per second (default: 0.1)
+   * @param {Object} options.chunkManager - Chunk world for terrain line of sight
    */
   constructor(options = {}) {
     this.defaultVisionRange = options.defaultVisionRange || 100;
@@ -182,6 +201,9 @@ export class PerceptionSystem {
     // Line of sight checker (can be overridden)
     this.lineOfSightChecker = null;
 
+    // Chunk world that blocks line of sight when no checker is set
+    this.chunkManager = options.chunkManager || null;
+
     // Statistics
     this.stats = {
       visionChecks: 0,
@@ -199,6 +221,34 @@ export class PerceptionSystem {
     this.lineOfSightChecker = checker;
   }
 
+  /**
+   * Set the chunk world whose opaque blocks block line of sight
+   * @param {Object|null} chunkManager - ChunkManager
+   */
+  setChunkManager(chunkManager) {
+    this.chunkManager = chunkManager;
+  }
+
+  /**
+   * Check line of sight between two positions, eye to eye. A custom checker
+   * wins; otherwise the chunk world's opaque blocks are in the way.
+   * Positions without a y stand on the ground.
+   * @param {Object} from - Position {x, y?, z}
+   * @param {Object} to - Position {x, y?, z}
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to) {
+    if (this.lineOfSightChecker) return this.lineOfSightChecker(from, to);
+    if (!this.chunkManager) return true;
+
+    const eye = (pos) => ({
+      x: pos.x,
+      y: (pos.y ?? groundY(this.chunkManager, pos.x, pos.z)) + SIGHT_EYE_HEIGHT,
+      z: pos.z
+    });
+    return hasLineOfSight(this.chunkManager, eye(from), eye(to));
+  }
+
   /**
    * Set current weather
    * @param {string} weather - Weather type
@@ -312,8 +362,7 @@ export class PerceptionSystem {
       }
 
       // Check line of sight
-      if (this.lineOfSightChecker &&
-          !this.lineOfSightChecker(perceiver.position, target.position)) {
+      if (!this.hasLineOfSight(perceiver.position, target.position)) {
         continue;
       }
 
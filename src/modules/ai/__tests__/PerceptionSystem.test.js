@@ -9,6 +9,10 @@ import {
   WeatherPerceptionModifiers,
   MemoryEntry
 } from '../PerceptionSystem.js';
+import { ChunkManager } from '../../../systems/chunks/ChunkManager.js';
+import { Chunk } from '../../../systems/chunks/Chunk.js';
+import { BlockTypes } from '../../../systems/chunks/blockTypes.js';
+import { VOXEL_SIZE } from '../../../systems/chunks/coordinates.js';
 
 describe('PerceptionSystem', () => {
   let perception;
@@ -342,6 +346,32 @@ describe('PerceptionSystem', () => {
       expect(visible[0].id).toBe('visible');
     });
 
+    test('should not see through terrain in the chunk world', () => {
+      // Stone ground two blocks deep with a wall across x = 8
+      const chunkManager = new ChunkManager();
+      const chunk = new Chunk(0, 0, 0);
+      for (let x = 0; x < 16; x++) {
+        for (let z = 0; z < 16; z++) {
+          for (let y = 0; y < 2; y++) chunk.setBlock(x, y, z, BlockTypes.STONE);
+          if (x === 8) {
+            for (let y = 2; y < 6; y++) chunk.setBlock(x, y, z, BlockTypes.STONE);
+          }
+        }
+      }
+      chunkManager.chunks.set(chunk.key, chunk);
+      perception.setChunkManager(chunkManager);
+
+      const at = (vx) => ({ x: vx * VOXEL_SIZE + 1, z: 8 * VOXEL_SIZE + 1 });
+      const perceiver = { id: 'npc1', position: at(2), facingAngle: 0, fov: 360 };
+      const targets = [
+        { id: 'visible', position: at(6) },
+        { id: 'behindWall', position: at(12) }
+      ];
+
+      const visible = perception.checkVision(perceiver, targets);
+      expect(visible.map((t) => t.id)).toEqual(['visible']);
+    });
+
     test('should apply weather modifier to vision range', () => {
       perception.setWeather('FOG');
 
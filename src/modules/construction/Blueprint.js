@@ -9,6 +9,10 @@
  *
  * Part of Phase 4: Blueprint & Construction System
  *
+ * Blueprints are Z-up: relX/relY span the footprint and relZ is the level.
+ * Player designs can be captured from a chunk world region (Y-up), see
+ * Blueprint.fromRegion.
+ *
  * Usage:
  *   const blueprint = new Blueprint({
  *     name: 'Wooden House',
@@ -18,6 +22,7 @@
  */
 
 import { getBlockRequiredMaterial } from '../voxel/BlockTypes.js';
+import { blockRegistry, BLOCK_REGISTRY_VERSION } from '../../systems/chunks/BlockRegistry.js';
 
 /**
  * Blueprint categories
@@ -40,6 +45,15 @@ export const BlueprintTier = {
   KINGDOM: 'KINGDOM'
 };
 
+/**
+ * Rotation axes for Blueprint.rotate90
+ */
+export const RotationAxis = {
+  X: 'x',
+  Y: 'y',
+  Z: 'z'  // Vertical: turns the footprint, keeps levels
+};
+
 /**
  * Blueprint block entry - defines a single block in the blueprint
  */
@@ -268,26 +282,69 @@ export class Blueprint {
   }
 
   /**
-   * Rotate blueprint 90 degrees clockwise
+   * Get the extent of the blocks
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number, minZ: number, maxZ: number}}
+   */
+  getBounds() {
+    if (this.blocks.length === 0) {
+      return { minX: 0, maxX: 0, minY: 0, maxY: 0, minZ: 0, maxZ: 0 };
+    }
+
+    const bounds = {
+      minX: Infinity, maxX: -Infinity,
+      minY: Infinity, maxY: -Infinity,
+      minZ: Infinity, maxZ: -Infinity
+    };
+    for (const block of this.blocks) {
+      bounds.minX = Math.min(bounds.minX, block.relX);
+      bounds.maxX = Math.max(bounds.maxX, block.relX);
+      bounds.minY = Math.min(bounds.minY, block.relY);
+      bounds.maxY = Math.max(bounds.maxY, block.relY);
+      bounds.minZ = Math.min(bounds.minZ, block.relZ);
+      bounds.maxZ = Math.max(bounds.maxZ, block.relZ);
+    }
+    return bounds;
+  }
+
+  /**
+   * Rotate blueprint 90 degrees around an axis. Blocks, work slots and
+   * entry points turn together and stay in the blueprint's bounding box.
+   * Around Z (the default) the footprint turns clockwise, (x, y) -> (y, -x),
+   * and each block's facing turns with it. Around X or Y the structure tips
+   * over, so build order is recomputed from the new levels.
+   * @param {string} axis - RotationAxis value
    * @returns {Blueprint} New rotated blueprint
    */
-  rotate90() {
+  rotate90(axis = RotationAxis.Z) {
+    const bounds = this.getBounds();
+    const turn = (point) => {
+      const { relX: x, relY: y, relZ: z } = point;
+      switch (axis) {
+        case RotationAxis.X:
+          return { relX: x, relY: bounds.minY + (z - bounds.minZ), relZ: bounds.minZ + (bounds.maxY - y) };
+        case RotationAxis.Y:
+          return { relX: bounds.minX + (bounds.maxZ - z), relY: y, relZ: bounds.minZ + (x - bounds.minX) };
+        case RotationAxis.Z:
+          return { relX: bounds.minX + (y - bounds.minY), relY: bounds.minY + (bounds.maxX - x), relZ: z };
+        default:
+          throw new Error(`Blueprint: unknown rotation axis ${axis}`);
+      }
+    };
+
     const rotatedBlocks = this.blocks.map(block => {
-      // Rotate coordinates: (x, y) -> (y, -x)
-      // Adjusted for positive coordinates
-      return new BlueprintBlock({
-        ...block.toJSON(),
-        relX: block.relY,
-        relY: this.dimensions.width - 1 - block.relX,
-        rotation: (block.rotation + 90) % 360
-      });
+      const data = block.toJSON();
+      if (axis === RotationAxis.Z) {
+        return new BlueprintBlock({ ...data, ...turn(block), rotation: (block.rotation + 90) % 360 });
+      }
+      delete data.buildOrder;
+      return new BlueprintBlock({ ...data, ...turn(block) });
     });
 
     return new Blueprint({
       ...this.toJSON(),
       blocks: rotatedBlocks,
-      width: this.dimensions.depth,
-      depth: this.dimensions.width
+      workSlots: this.workSlots.map(slot => ({ ...slot, ...turn(slot) })),
+      entryPoints: this.entryPoints.map(entry => ({ ...entry, ...turn(entry) }))
     });
   }
 
@@ -355,19 +412,63 @@ export class Blueprint {
       requiresFoundation: this.requiresFoundation,
       minTerrainHeight: this.minTerrainHeight,
       maxTerrainSlope: this.maxTerrainSlope,
-      iconColor: this.iconColor
+      iconColor: this.iconColor,
+      blockRegistryVersion: BLOCK_REGISTRY_VERSION
     };
   }
 
+  /**
+   * Capture a blueprint from a chunk world region, such as the area edit
+   * tool's copy. Regions are Y-up, so their Z becomes relY and their Y
+   * becomes relZ. Air and fluids are left out, and the blocks are moved so
+   * the lowest corner of what was built sits at the origin. Material
+   * requirements are calculated from the captured blocks.
+   * @param {{size: {x: number, y: number, z: number}, blocks: Uint8Array}} region -
+   *   Block IDs indexed x + z * size.x + y * size.x * size.z
+   * @param {object} config - Other blueprint fields (name, category, ...)
+   * @returns {Blueprint}
+   */
+  static fromRegion(region, config = {}) {
+    const { size } = region;
+    const cells = [];
+    for (let y = 0; y < size.y; y++) {
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++) {
+          const blockType = region.blocks[x + z * size.x + y * size.x * size.z];
+          const definition = blockRegistry.get(blockType);
+          if (!definition || blockType === 0 || definition.liquid) continue;
+          cells.push({ relX: x, relY: z, relZ: y, blockType });
+        }
+      }
+    }
+
+    const minX = Math.min(...cells.map(c => c.relX));
+    const minY = Math.min(...cells.map(c => c.relY));
+    const minZ = Math.min(...cells.map(c => c.relZ));
+    const blocks = cells.map(c => new BlueprintBlock({
+      ...c,
+      relX: c.relX - minX,
+      relY: c.relY - minY,
+      relZ: c.relZ - minZ
+    }));
+
+    return new Blueprint({ ...config, blocks, requirements: null });
+  }
+
   /**
    * Import from JSON
+   * Blueprints saved before the shared block registry store legacy
+   * voxel-building IDs; those are translated on load.
    * @param {object} data
    * @returns {Blueprint}
    */
   static fromJSON(data) {
+    const isLegacy = data.blockRegistryVersion === undefined;
     return new Blueprint({
       ...data,
-      blocks: data.blocks.map(b => BlueprintBlock.fromJSON(b))
+      blocks: data.blocks.map(b => BlueprintBlock.fromJSON(isLegacy
+        ? { ...b, blockType: blockRegistry.fromLegacyVoxelId(b.blockType) }
+        : b))
     });
   }
 }
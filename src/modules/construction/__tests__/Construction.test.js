@@ -14,6 +14,7 @@ import {
   BlueprintBlock,
   BlueprintCategory,
   BlueprintTier,
+  RotationAxis,
   createBlueprint
 } from '../Blueprint.js';
 import {
@@ -23,6 +24,7 @@ import {
   SiteStatus
 } from '../ConstructionSite.js';
 import { ConstructionManager } from '../ConstructionManager.js';
+import { getAllTemplates, blueprintFromSchematic } from '../templates/index.js';
 import { BlockType } from '../../voxel/BlockTypes.js';
 
 describe('BlueprintBlock', () => {
@@ -96,6 +98,11 @@ describe('BlueprintBlock', () => {
   });
 });
 
+// Sorted "x,y,z:type" strings, for comparing blocks regardless of order
+const cells = (blueprint) => blueprint.blocks
+  .map(b => `${b.relX},${b.relY},${b.relZ}:${b.blockType}`)
+  .sort();
+
 describe('Blueprint', () => {
   describe('Constructor', () => {
     it('should create blueprint with basic properties', () => {
@@ -207,6 +214,88 @@ describe('Blueprint', () => {
     });
   });
 
+  describe('Rotation', () => {
+    // An L on the ground with a post on its corner
+    const makeL = () => new Blueprint({
+      blocks: [
+        { relX: 0, relY: 0, relZ: 0, blockType: BlockType.STONE },
+        { relX: 1, relY: 0, relZ: 0, blockType: BlockType.STONE },
+        { relX: 2, relY: 0, relZ: 0, blockType: BlockType.STONE },
+        { relX: 0, relY: 1, relZ: 0, blockType: BlockType.STONE },
+        { relX: 0, relY: 0, relZ: 1, blockType: BlockType.WOOD_PLANK }
+      ],
+      workSlots: [{ relX: 2, relY: 1, relZ: 0 }],
+      entryPoints: [{ relX: 1, relY: 1, relZ: 0, facing: 'south' }]
+    });
+
+    it('should turn the footprint around Z', () => {
+      const rotated = makeL().rotate90();
+
+      expect(rotated.dimensions).toEqual({ width: 2, depth: 3, height: 2 });
+      expect(cells(rotated)).toContain(`0,0,0:${BlockType.STONE}`);
+      expect(cells(rotated)).toContain(`1,2,0:${BlockType.STONE}`);
+      expect(cells(rotated)).toContain(`0,2,1:${BlockType.WOOD_PLANK}`);
+      expect(rotated.blocks[0].rotation).toBe(90);
+      expect(rotated.workSlots).toEqual([{ relX: 1, relY: 0, relZ: 0 }]);
+      expect(rotated.entryPoints).toEqual([{ relX: 1, relY: 1, relZ: 0, facing: 'south' }]);
+    });
+
+    it('should tip the structure over around X and Y', () => {
+      const aroundX = makeL().rotate90(RotationAxis.X);
+      expect(aroundX.dimensions).toEqual({ width: 3, depth: 2, height: 2 });
+      expect(cells(aroundX)).toContain(`0,1,1:${BlockType.WOOD_PLANK}`);
+      expect(aroundX.workSlots).toEqual([{ relX: 2, relY: 0, relZ: 0 }]);
+
+      const aroundY = makeL().rotate90(RotationAxis.Y);
+      expect(aroundY.dimensions).toEqual({ width: 2, depth: 2, height: 3 });
+      expect(cells(aroundY)).toContain(`0,0,0:${BlockType.WOOD_PLANK}`);
+      expect(aroundY.entryPoints[0]).toMatchObject({ relX: 1, relY: 1, relZ: 1 });
+
+      // Build order follows the new levels
+      const ordered = aroundY.getBlocksInBuildOrder();
+      expect(ordered[ordered.length - 1].relZ).toBe(2);
+    });
+
+    it('should come back after four turns on any axis', () => {
+      for (const axis of Object.values(RotationAxis)) {
+        const original = makeL();
+        let rotated = original;
+        for (let i = 0; i < 4; i++) rotated = rotated.rotate90(axis);
+
+        expect(cells(rotated)).toEqual(cells(original));
+        expect(rotated.workSlots).toEqual(original.workSlots);
+        expect(rotated.entryPoints).toEqual(original.entryPoints);
+      }
+    });
+
+    it('should reject unknown axes', () => {
+      expect(() => makeL().rotate90('w')).toThrow('unknown rotation axis');
+    });
+  });
+
+  describe('Capture from region', () => {
+    it('should capture built blocks with their requirements', () => {
+      // Y-up region 3x2x2 (x, y, z); a stone floor row and one plank on top
+      const size = { x: 3, y: 2, z: 2 };
+      const blocks = new Uint8Array(12);
+      const at = (x, y, z) => x + z * size.x + y * size.x * size.z;
+      blocks[at(1, 0, 1)] = BlockType.STONE;
+      blocks[at(2, 0, 1)] = BlockType.STONE;
+      blocks[at(2, 1, 1)] = BlockType.WOOD_PLANK;
+      blocks[at(0, 0, 0)] = BlockType.WATER;
+
+      const blueprint = Blueprint.fromRegion({ size, blocks }, { name: 'Shed' });
+
+      expect(blueprint.name).toBe('Shed');
+      expect(cells(blueprint)).toEqual([
+        `0,0,0:${BlockType.STONE}`,
+        `1,0,0:${BlockType.STONE}`,
+        `1,0,1:${BlockType.WOOD_PLANK}`
+      ]);
+      expect(blueprint.requirements).toEqual({ stone: 2, wood: 1 });
+    });
+  });
+
   describe('Serialization', () => {
     it('should serialize and deserialize', () => {
       const blueprint = new Blueprint({
@@ -224,6 +313,23 @@ describe('Blueprint', () => {
       expect(restored.blocks.length).toBe(1);
       expect(restored.blocks[0].blockType).toBe(BlockType.STONE);
     });
+
+    it('should translate legacy voxel block IDs on load', () => {
+      // Saved before the shared block registry: STONE was 3, WOOD_LOG 31
+      const legacy = {
+        id: 'old',
+        name: 'Old',
+        blocks: [
+          { relX: 0, relY: 0, relZ: 0, blockType: 3 },
+          { relX: 1, relY: 0, relZ: 0, blockType: 31 }
+        ]
+      };
+
+      const restored = Blueprint.fromJSON(legacy);
+
+      expect(restored.blocks[0].blockType).toBe(BlockType.STONE);
+      expect(restored.blocks[1].blockType).toBe(BlockType.WOOD_LOG);
+    });
   });
 });
 
@@ -614,3 +720,33 @@ describe('ConstructionManager', () => {
     });
   });
 });
+
+describe('Imported templates', () => {
+  it('should load schematics from the templates folder', () => {
+    const well = getAllTemplates().find(t => t.id === 'stone_well');
+
+    expect(well).toBeInstanceOf(Blueprint);
+    expect(well.name).toBe('Stone Well');
+    expect(well.category).toBe(BlueprintCategory.INFRASTRUCTURE);
+    expect(well.dimensions).toEqual({ width: 3, depth: 3, height: 3 });
+    expect(well.getBlocksAtLevel(0).length).toBe(8);
+  });
+
+  it('should let config override schematic metadata', () => {
+    const schematic = {
+      format: 'voxel-schematic',
+      version: 1,
+      name: 'Post',
+      size: { x: 1, y: 2, z: 1 },
+      palette: ['WOOD_LOG'],
+      blocks: [2, 0]
+    };
+
+    const blueprint = blueprintFromSchematic(schematic, { id: 'post', name: 'Tall Post' });
+
+    expect(blueprint.id).toBe('post');
+    expect(blueprint.name).toBe('Tall Post');
+    expect(blueprint.tier).toBe(BlueprintTier.SURVIVAL);
+    expect(blueprint.blocks.length).toBe(2);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * ImportedTemplates.js - Blueprints made outside the game
+ *
+ * JSON schematics dropped into ./schematics are loaded as templates at
+ * build time; their metadata (id, name, description, category, tier)
+ * becomes the blueprint's. MagicaVoxel .vox files are turned into
+ * blueprints when they are imported, see blueprintFromVox.
+ *
+ * The schematic format is documented in docs/SCHEMATIC_FORMAT.md.
+ */
+
+import { Blueprint, BlueprintTier } from '../Blueprint.js';
+import { readSchematic } from '../../../systems/chunks/Schematic.js';
+import { readVox } from '../../../systems/chunks/VoxFile.js';
+
+const schematicFiles = import.meta.glob('./schematics/*.json', { eager: true, import: 'default' });
+
+/**
+ * Create a blueprint from a JSON schematic
+ * @param {Object | string} data - Schematic JSON
+ * @param {Object} config - Blueprint fields that override the schematic's
+ * @returns {Blueprint}
+ */
+export function blueprintFromSchematic(data, config = {}) {
+  const { region, meta } = readSchematic(data);
+  return Blueprint.fromRegion(region, { tier: BlueprintTier.SURVIVAL, ...meta, ...config });
+}
+
+/**
+ * Create a blueprint from a MagicaVoxel .vox file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {Object} config - Blueprint fields (id, name, ...)
+ * @param {Object} voxOptions - Palette mapping and model, see readVox
+ * @returns {Blueprint}
+ */
+export function blueprintFromVox(buffer, config = {}, voxOptions = {}) {
+  return Blueprint.fromRegion(readVox(buffer, voxOptions), config);
+}
+
+// Built once, like the hand-written templates
+const importedBlueprints = Object.entries(schematicFiles).map(([path, data]) =>
+  blueprintFromSchematic(data, { id: data.id || path.split('/').pop().replace(/\.json$/, '') })
+);
+
+/**
+ * Get all blueprints loaded from schematic files
+ * @returns {Array<Blueprint>}
+ */
+export function getImportedBlueprints() {
+  return importedBlueprints;
+}
@@ -6,10 +6,12 @@
 
 import { getSurvivalBlueprints } from './SurvivalTemplates.js';
 import { getSettlementBlueprints } from './SettlementTemplates.js';
+import { getImportedBlueprints } from './ImportedTemplates.js';
 
 // Re-export individual blueprints
 export * from './SurvivalTemplates.js';
 export * from './SettlementTemplates.js';
+export * from './ImportedTemplates.js';
 
 /**
  * Get all blueprints from all tiers
@@ -18,7 +20,8 @@ export * from './SettlementTemplates.js';
 export function getAllTemplates() {
   return [
     ...getSurvivalBlueprints(),
-    ...getSettlementBlueprints()
+    ...getSettlementBlueprints(),
+    ...getImportedBlueprints()
   ];
 }
 
@@ -36,6 +36,17 @@ export const BiomeType = {
   SWAMP: 'swamp'
 };
 
+/**
+ * Options the game world uses for its BiomeManager. Shared by TerrainSystem
+ * and the voxel chunk generator so the minimap and 3D terrain agree.
+ */
+export const WORLD_BIOME_OPTIONS = Object.freeze({
+  useVoronoi: true,
+  voronoiSpacing: 128,
+  distortionStrength: 20,
+  blendRadius: 3
+});
+
 /**
  * Voronoi seed point for biome region
  */
@@ -10,9 +10,14 @@
  * - River width variation based on flow
  * - River merging and tributaries
  * - Delta formation at ocean/lake connections
+ *
+ * Sources are picked with a random stream seeded per region, so a seed always
+ * produces the same rivers. With merging disabled, a region's rivers do not
+ * depend on which other regions were generated first.
  */
 
 import { NoiseGenerator } from './NoiseGenerator.js';
+import SeededRandom from '../../utils/SeededRandom.js';
 
 /**
  * River segment (part of a river path)
@@ -116,7 +121,8 @@ export class RiverSystem {
     this.generatedRegions = new Set(); // Track regions that have been generated
 
     // Noise for source placement
-    this.sourceNoise = new NoiseGenerator(terrainSystem?.seed || Date.now());
+    this.seed = terrainSystem?.seed ?? Date.now();
+    this.sourceNoise = new NoiseGenerator(this.seed);
 
     this.nextRiverId = 0;
 
@@ -154,7 +160,7 @@ export class RiverSystem {
     }
 
     // Find suitable source position (high elevation)
-    const sourcePos = this.findRiverSource(worldX, worldZ, regionSize);
+    const sourcePos = this.findRiverSource(worldX, worldZ, regionSize, this.getRegionRandom(regionX, regionZ));
 
     if (sourcePos) {
       const river = this.generateRiver(sourcePos.x, sourcePos.z);
@@ -178,17 +184,28 @@ export class RiverSystem {
     return rivers;
   }
 
+  /**
+   * Random stream for a region, the same every time the region is generated
+   * @param {number} regionX
+   * @param {number} regionZ
+   * @returns {SeededRandom}
+   */
+  getRegionRandom(regionX, regionZ) {
+    return new SeededRandom((this.seed ^ Math.imul(regionX, 73856093) ^ Math.imul(regionZ, 19349663)) | 0);
+  }
+
   /**
    * Find suitable river source in region
    */
-  findRiverSource(startX, startZ, regionSize) {
+  findRiverSource(startX, startZ, regionSize,
+    random = this.getRegionRandom(Math.floor(startX / regionSize), Math.floor(startZ / regionSize))) {
     const samples = 20;
     let bestPos = null;
     let bestHeight = this.config.minElevation;
 
     for (let i = 0; i < samples; i++) {
-      const x = startX + Math.floor(Math.random() * regionSize);
-      const z = startZ + Math.floor(Math.random() * regionSize);
+      const x = startX + Math.floor(random.next() * regionSize);
+      const z = startZ + Math.floor(random.next() * regionSize);
       const height = this.terrainSystem.getHeight(x, z);
 
       if (height > bestHeight) {
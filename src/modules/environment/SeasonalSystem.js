@@ -433,6 +433,27 @@ export class SeasonalSystem {
     }
   }
 
+  /**
+   * Follow an outside day counter instead of advancing on its own (the 3D
+   * world's TimeManager). Seasons last config.daysPerSeason days, starting
+   * with startSeason on day 1.
+   * @param {number} dayNumber - Day count, 1-based
+   */
+  syncToDay(dayNumber) {
+    const daysPerSeason = this.config.daysPerSeason;
+    const day = Math.max(0, Math.floor(dayNumber) - 1);
+    let season = this.config.startSeason;
+    for (let i = Math.floor(day / daysPerSeason) % 4; i > 0; i--) {
+      season = this.getNextSeason(season);
+    }
+
+    if (season !== this.currentSeason) {
+      this.changeSeason(season);
+    }
+    this.currentDay = day % daysPerSeason;
+    this.transitionProgress = Math.min(1, this.currentDay / this.config.transitionDuration);
+  }
+
   /**
    * Set time in day (0-1)
    */
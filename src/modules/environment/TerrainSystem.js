@@ -17,7 +17,7 @@
 import { WorldGenerator, WorldPresets } from './WorldGenerator.js';
 import { TerrainManager } from './TerrainManager.js';
 import { ChunkManager } from './ChunkManager.js';
-import { BiomeManager } from './BiomeManager.js';
+import { BiomeManager, WORLD_BIOME_OPTIONS } from './BiomeManager.js';
 import { PropManager } from './PropManager.js';
 import { StructureGenerator } from './structures/StructureGenerator.js'; // Phase 3D
 import { MicroBiomeSystem } from './MicroBiomeSystem.js'; // Phase 3C
@@ -64,12 +64,7 @@ export class TerrainSystem {
     // Phase 2: Initialize BiomeManager
     this.biomeManager = null;
     if (this.config.useBiomeManager) {
-      this.biomeManager = new BiomeManager(seed, biomeConfigs, {
-        useVoronoi: true,
-        voronoiSpacing: 128,
-        distortionStrength: 20,
-        blendRadius: 3
-      });
+      this.biomeManager = new BiomeManager(seed, biomeConfigs, WORLD_BIOME_OPTIONS);
     }
 
     // Initialize world generator with preset and biome manager
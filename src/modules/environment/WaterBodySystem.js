@@ -10,9 +10,13 @@
  * - Hot springs in volcanic/mountain areas
  * - Shore detection and beach generation
  * - Water depth calculations
+ *
+ * Placement is seeded per chunk and spacing is resolved against neighbouring
+ * chunks' candidates, so a seed always produces the same water bodies.
  */
 
 import { NoiseGenerator } from './NoiseGenerator.js';
+import SeededRandom from '../../utils/SeededRandom.js';
 
 /**
  * Water body types
@@ -78,6 +82,9 @@ const WATER_BODY_DEFINITIONS = {
   },
 };
 
+// Largest radius of any definition, bounds how far spacing checks look
+const MAX_RADIUS = Math.max(...Object.values(WATER_BODY_DEFINITIONS).map((d) => d.maxRadius));
+
 /**
  * Water body instance
  */
@@ -90,6 +97,7 @@ export class WaterBody {
     this.radius = radius;
     this.depth = depth;
     this.waterLevel = 3; // Default water level
+    this.floodRise = 0; // Levels above normal while flooding
     this.shore = []; // Array of shore tile positions
     this.createdAt = Date.now();
   }
@@ -171,11 +179,15 @@ export class WaterBodySystem {
     // Storage: chunkKey -> Array<WaterBody>
     this.chunkWaterBodies = new Map();
 
+    // chunkKey -> placement candidates, before spacing
+    this.chunkCandidates = new Map();
+
     // Global registry: waterBodyId -> WaterBody
     this.waterBodiesById = new Map();
 
     // Noise for placement variation
-    this.placementNoise = new NoiseGenerator(terrainSystem?.seed || Date.now());
+    this.seed = terrainSystem?.seed ?? Date.now();
+    this.placementNoise = new NoiseGenerator(this.seed);
 
     this.nextWaterBodyId = 0;
 
@@ -200,6 +212,65 @@ export class WaterBodySystem {
     }
 
     const waterBodies = [];
+    const candidates = this.getCandidatesForChunk(chunkX, chunkZ);
+
+    for (let i = 0; i < candidates.length; i++) {
+      const { definition, x, z, radius } = candidates[i];
+      if (!this.hasMinimumDistance(chunkX, chunkZ, i)) continue;
+
+      const waterBody = new WaterBody(
+        `water_${this.nextWaterBodyId++}`,
+        definition.id,
+        definition,
+        { x, z },
+        radius,
+        definition.depth
+      );
+
+      waterBody.waterLevel = this.config.waterLevel;
+
+      // Generate shore if enabled
+      if (this.config.generateShores) {
+        waterBody.shore = this.generateShore(waterBody);
+      }
+
+      waterBodies.push(waterBody);
+      this.waterBodiesById.set(waterBody.id, waterBody);
+
+      // Update stats
+      this.stats.waterBodiesGenerated++;
+      this.stats.byType[definition.id] = (this.stats.byType[definition.id] || 0) + 1;
+    }
+
+    this.chunkWaterBodies.set(chunkKey, waterBodies);
+    return waterBodies;
+  }
+
+  /**
+   * Random stream for a chunk, the same every time the chunk is generated
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {SeededRandom}
+   */
+  getChunkRandom(chunkX, chunkZ) {
+    return new SeededRandom((this.seed ^ Math.imul(chunkX, 83492791) ^ Math.imul(chunkZ, 2971215073)) | 0);
+  }
+
+  /**
+   * Water bodies a chunk would place before spacing is enforced. Depends only
+   * on the seed and terrain, so neighbouring chunks can be checked against it
+   * without generating them.
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {Array<{definition: Object, x: number, z: number, radius: number}>}
+   */
+  getCandidatesForChunk(chunkX, chunkZ) {
+    const chunkKey = `${chunkX},${chunkZ}`;
+    if (this.chunkCandidates.has(chunkKey)) {
+      return this.chunkCandidates.get(chunkKey);
+    }
+
+    const candidates = [];
     const chunkSize = this.config.chunkSize;
     const worldX = chunkX * chunkSize;
     const worldZ = chunkZ * chunkSize;
@@ -213,55 +284,28 @@ export class WaterBodySystem {
     // Get eligible water body types for this biome
     const eligibleTypes = this.getEligibleWaterBodyTypes(biome);
 
-    if (eligibleTypes.length === 0) {
-      this.chunkWaterBodies.set(chunkKey, waterBodies);
-      return waterBodies;
-    }
-
     // Use noise to determine if water bodies should spawn
     const spawnChance = this.placementNoise.noise2D(chunkX * 0.05, chunkZ * 0.05) * 0.5 + 0.5;
+    const random = this.getChunkRandom(chunkX, chunkZ);
 
     for (const definition of eligibleTypes) {
       const adjustedRarity = definition.rarity * this.config.globalRarityMultiplier;
+      if (spawnChance >= adjustedRarity) continue;
 
-      if (spawnChance < adjustedRarity) {
-        // Try to place water body
-        const posX = worldX + Math.floor(Math.random() * chunkSize);
-        const posZ = worldZ + Math.floor(Math.random() * chunkSize);
-        const radius = definition.minRadius +
-          Math.floor(Math.random() * (definition.maxRadius - definition.minRadius + 1));
-        const depth = definition.depth;
-
-        // Check terrain suitability
-        if (this.canPlaceWaterBody(definition, posX, posZ, radius)) {
-          const waterBody = new WaterBody(
-            `water_${this.nextWaterBodyId++}`,
-            definition.id,
-            definition,
-            { x: posX, z: posZ },
-            radius,
-            depth
-          );
-
-          waterBody.waterLevel = this.config.waterLevel;
-
-          // Generate shore if enabled
-          if (this.config.generateShores) {
-            waterBody.shore = this.generateShore(waterBody);
-          }
+      // Try to place water body
+      const x = worldX + Math.floor(random.next() * chunkSize);
+      const z = worldZ + Math.floor(random.next() * chunkSize);
+      const radius = definition.minRadius +
+        Math.floor(random.next() * (definition.maxRadius - definition.minRadius + 1));
 
-          waterBodies.push(waterBody);
-          this.waterBodiesById.set(waterBody.id, waterBody);
-
-          // Update stats
-          this.stats.waterBodiesGenerated++;
-          this.stats.byType[definition.id] = (this.stats.byType[definition.id] || 0) + 1;
-        }
+      // Check terrain suitability
+      if (this.canPlaceWaterBody(definition, x, z)) {
+        candidates.push({ definition, x, z, radius });
       }
     }
 
-    this.chunkWaterBodies.set(chunkKey, waterBodies);
-    return waterBodies;
+    this.chunkCandidates.set(chunkKey, candidates);
+    return candidates;
   }
 
   /**
@@ -282,9 +326,9 @@ export class WaterBodySystem {
   }
 
   /**
-   * Check if water body can be placed at position
+   * Check if the terrain allows a water body at position
    */
-  canPlaceWaterBody(definition, x, z, radius) {
+  canPlaceWaterBody(definition, x, z) {
     if (!this.terrainSystem) return true;
 
     // Check elevation if required
@@ -295,28 +339,36 @@ export class WaterBodySystem {
       }
     }
 
-    // Check distance to other water bodies
-    if (!this.hasMinimumDistance(x, z, radius)) {
-      return false;
-    }
-
     return true;
   }
 
   /**
-   * Check minimum distance to other water bodies
+   * Check that a candidate keeps its distance from every earlier candidate,
+   * placed or not. Chunks are ordered by Z then X, and candidates within a
+   * chunk by type, so the outcome never depends on which chunks loaded first.
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @param {number} index - Candidate index within the chunk
+   * @returns {boolean}
    */
-  hasMinimumDistance(x, z, radius) {
+  hasMinimumDistance(chunkX, chunkZ, index) {
     const minDist = this.config.minDistanceBetweenWaterBodies;
-
-    for (const waterBody of this.waterBodiesById.values()) {
-      const dx = x - waterBody.position.x;
-      const dz = z - waterBody.position.z;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      const combinedRadius = radius + waterBody.radius;
-
-      if (distance < minDist + combinedRadius) {
-        return false;
+    const { x, z, radius } = this.getCandidatesForChunk(chunkX, chunkZ)[index];
+    const reach = Math.ceil((minDist + radius + MAX_RADIUS) / this.config.chunkSize);
+
+    for (let dz = -reach; dz <= 0; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        if (dz === 0 && dx > 0) break;
+
+        const candidates = this.getCandidatesForChunk(chunkX + dx, chunkZ + dz);
+        const count = dz === 0 && dx === 0 ? index : candidates.length;
+        for (let i = 0; i < count; i++) {
+          const other = candidates[i];
+          const distance = Math.sqrt((x - other.x) ** 2 + (z - other.z) ** 2);
+          if (distance < minDist + radius + other.radius) {
+            return false;
+          }
+        }
       }
     }
 
@@ -353,10 +405,11 @@ export class WaterBodySystem {
     const waterBodies = [];
     const chunkSize = this.config.chunkSize;
 
-    const minChunkX = Math.floor(startX / chunkSize);
-    const maxChunkX = Math.floor((startX + width) / chunkSize);
-    const minChunkZ = Math.floor(startZ / chunkSize);
-    const maxChunkZ = Math.floor((startZ + depth) / chunkSize);
+    // Water bodies centred in nearby chunks can reach into the region
+    const minChunkX = Math.floor((startX - MAX_RADIUS) / chunkSize);
+    const maxChunkX = Math.floor((startX + width + MAX_RADIUS) / chunkSize);
+    const minChunkZ = Math.floor((startZ - MAX_RADIUS) / chunkSize);
+    const maxChunkZ = Math.floor((startZ + depth + MAX_RADIUS) / chunkSize);
 
     for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
       for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
@@ -427,6 +480,40 @@ export class WaterBodySystem {
     return waterBody ? waterBody.isShore(x, z) : false;
   }
 
+  /**
+   * Raise a water body above its normal level during a flood
+   * @param {string} waterBodyId
+   * @param {number} rise - Levels above normal (0 restores it)
+   * @returns {WaterBody|null} The water body, if found
+   */
+  setFloodRise(waterBodyId, rise) {
+    const waterBody = this.waterBodiesById.get(waterBodyId);
+    if (!waterBody) return null;
+
+    waterBody.waterLevel += rise - waterBody.floodRise;
+    waterBody.floodRise = rise;
+    return waterBody;
+  }
+
+  /**
+   * Get points spaced evenly around a water body's shore where flood
+   * water spills over into the surrounding land
+   * @param {WaterBody} waterBody
+   * @param {number} maxPoints - Maximum points to return
+   * @returns {Array<{x: number, z: number}>}
+   */
+  getSpillPoints(waterBody, maxPoints = 8) {
+    const shore = waterBody.shore.length > 0 ? waterBody.shore : this.generateShore(waterBody);
+    const step = Math.max(1, Math.floor(shore.length / maxPoints));
+    const points = [];
+
+    for (let i = 0; i < shore.length && points.length < maxPoints; i += step) {
+      points.push(shore[i]);
+    }
+
+    return points;
+  }
+
   /**
    * Get statistics
    */
@@ -443,6 +530,7 @@ export class WaterBodySystem {
    */
   clear() {
     this.chunkWaterBodies.clear();
+    this.chunkCandidates.clear();
     this.waterBodiesById.clear();
     this.nextWaterBodyId = 0;
     this.stats = {
@@ -94,6 +94,20 @@ export class WorldGenerator {
    * @returns {number} Height value (0-10)
    */
   generateHeight(x, z) {
+    // Convert to integer height range [minHeight, maxHeight]
+    const heightRange = this.config.maxHeight - this.config.minHeight;
+    return Math.floor(this.config.minHeight + this.generateElevation(x, z) * heightRange);
+  }
+
+  /**
+   * Generate continuous terrain elevation at world coordinates, before it is
+   * quantized into height levels. The voxel terrain scales this directly.
+   *
+   * @param {number} x - World X coordinate
+   * @param {number} z - World Z coordinate
+   * @returns {number} Elevation [0, 1]
+   */
+  generateElevation(x, z) {
     // Base height (large-scale features)
     const baseHeight = this.heightNoise.height(x, z, {
       type: 'perlin',
@@ -113,14 +127,10 @@ export class WorldGenerator {
     // Combine base and detail
     // detail is [0,1], convert to [-strength, +strength]
     const detailOffset = (detail - 0.5) * 2 * this.config.detailStrength;
-    let finalHeight = baseHeight + detailOffset;
+    const elevation = baseHeight + detailOffset;
 
     // Clamp to valid range [0, 1]
-    finalHeight = Math.max(0, Math.min(1, finalHeight));
-
-    // Convert to integer height range [minHeight, maxHeight]
-    const heightRange = this.config.maxHeight - this.config.minHeight;
-    return Math.floor(this.config.minHeight + finalHeight * heightRange);
+    return Math.max(0, Math.min(1, elevation));
   }
 
   /**
@@ -76,6 +76,28 @@ export class Structure {
     return this.tiles[index] || null;
   }
 
+  /**
+   * Map a template position to its position in the rotated layout
+   * @param {number} localX - X coordinate in the unrotated template
+   * @param {number} localZ - Z coordinate in the unrotated template
+   * @returns {object} {x, z} relative to structure origin
+   */
+  rotatePoint(localX, localZ) {
+    const width = this.template.width;
+    const height = this.template.height;
+
+    switch (this.rotation) {
+      case 90:
+        return { x: height - 1 - localZ, z: localX };
+      case 180:
+        return { x: width - 1 - localX, z: height - 1 - localZ };
+      case 270:
+        return { x: localZ, z: width - 1 - localX };
+      default:
+        return { x: localX, z: localZ };
+    }
+  }
+
   /**
    * Get world coordinates for a local structure position
    * @param {number} localX - Local X coordinate
@@ -129,7 +151,8 @@ export class Structure {
     if (!this.template.lootSpawns) return [];
 
     return this.template.lootSpawns.map(spawn => {
-      const worldPos = this.localToWorld(spawn.x, spawn.z);
+      const local = this.rotatePoint(spawn.x, spawn.z);
+      const worldPos = this.localToWorld(local.x, local.z);
       return {
         ...worldPos,
         lootTable: spawn.lootTable || 'default',
@@ -146,7 +169,8 @@ export class Structure {
     if (!this.template.npcSpawns) return [];
 
     return this.template.npcSpawns.map(spawn => {
-      const worldPos = this.localToWorld(spawn.x, spawn.z);
+      const local = this.rotatePoint(spawn.x, spawn.z);
+      const worldPos = this.localToWorld(local.x, local.z);
       return {
         ...worldPos,
         npcType: spawn.npcType || 'villager',
@@ -163,7 +187,8 @@ export class Structure {
   getEntrancePosition() {
     if (!this.template.entrance) return null;
 
-    return this.localToWorld(this.template.entrance.x, this.template.entrance.z);
+    const local = this.rotatePoint(this.template.entrance.x, this.template.entrance.z);
+    return this.localToWorld(local.x, local.z);
   }
 
   /**
@@ -3,10 +3,14 @@
  * Manages structure generation, placement, and spawning
  *
  * Phase 3D: Structure Generation
+ *
+ * Placement is seeded per chunk and spacing is resolved against neighbouring
+ * chunks' candidates, so a seed always produces the same structures.
  */
 
 import { Structure } from './Structure.js';
 import { NoiseGenerator } from '../NoiseGenerator.js';
+import SeededRandom from '../../../utils/SeededRandom.js';
 
 /**
  * StructureGenerator - Handles structure placement and management
@@ -23,19 +27,25 @@ export class StructureGenerator {
       maxStructuresPerChunk: options.maxStructuresPerChunk || 2,
       structureDensity: options.structureDensity || 0.3, // 0-1, chance to spawn
       spawnProtectionRadius: options.spawnProtectionRadius || 100, // No structures near spawn
+      worldSize: 10000, // Structures stay within [0, worldSize); null for unbounded worlds
       ...options
     };
 
     // Structure storage (chunkKey -> Array<Structure>)
     this.chunkStructures = new Map();
 
+    // Placement candidates before spacing (chunkKey -> Array)
+    this.chunkCandidates = new Map();
+
+    // Largest template footprint, bounds how far lookups reach across chunks
+    this.maxTemplateSize = Math.max(0, ...Object.values(structureTemplates).map(t => Math.max(t.width, t.height)));
+
     // Global structure registry (structureId -> Structure)
     this.structuresById = new Map();
 
     // Noise for structure placement variation
-    this.placementNoise = new NoiseGenerator(terrainSystem?.seed || Date.now());
-
-    this.nextStructureId = 0;
+    this.seed = terrainSystem?.seed ?? Date.now();
+    this.placementNoise = new NoiseGenerator(this.seed);
 
     // Statistics
     this.stats = {
@@ -60,14 +70,72 @@ export class StructureGenerator {
     }
 
     const structures = [];
+    const candidates = this.getCandidatesForChunk(chunkX, chunkZ);
+
+    for (let i = 0; i < candidates.length; i++) {
+      if (structures.length >= this.config.maxStructuresPerChunk) break;
+      if (!this.hasMinimumDistance(chunkX, chunkZ, i)) continue;
+
+      const { template, x, z, rotation, biome } = candidates[i];
+
+      // IDs come from the position so regenerating a chunk gives the same IDs
+      const structure = new Structure(
+        `struct_${x}_${z}`,
+        template.id,
+        template,
+        { x, z },
+        rotation
+      );
+
+      structures.push(structure);
+      this.structuresById.set(structure.id, structure);
+
+      // Update stats
+      this.stats.structuresGenerated++;
+      this.stats.structuresByType[template.id] = (this.stats.structuresByType[template.id] || 0) + 1;
+      this.stats.structuresByBiome[biome] = (this.stats.structuresByBiome[biome] || 0) + 1;
+    }
+
+    // Store structures for this chunk
+    this.chunkStructures.set(chunkKey, structures);
+
+    return structures;
+  }
+
+  /**
+   * Random stream for a chunk, the same every time the chunk is generated
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {SeededRandom}
+   */
+  getChunkRandom(chunkX, chunkZ) {
+    return new SeededRandom((this.seed ^ Math.imul(chunkX, 49979687) ^ Math.imul(chunkZ, 86028121)) | 0);
+  }
+
+  /**
+   * Structures a chunk would place before spacing is enforced. Depends only
+   * on the seed and terrain, so neighbouring chunks can be checked against it
+   * without generating them.
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @returns {Array<{template: object, x: number, z: number, rotation: number, biome: string, priority: number}>}
+   */
+  getCandidatesForChunk(chunkX, chunkZ) {
+    const chunkKey = `${chunkX},${chunkZ}`;
+    if (this.chunkCandidates.has(chunkKey)) {
+      return this.chunkCandidates.get(chunkKey);
+    }
+
+    const candidates = [];
+    this.chunkCandidates.set(chunkKey, candidates);
+
     const chunkSize = this.config.chunkSize;
     const worldX = chunkX * chunkSize;
     const worldZ = chunkZ * chunkSize;
 
     // Check spawn protection
     if (this.isNearSpawn(worldX, worldZ)) {
-      this.chunkStructures.set(chunkKey, structures);
-      return structures;
+      return candidates;
     }
 
     // Get biome at chunk center
@@ -80,70 +148,44 @@ export class StructureGenerator {
     const spawnChance = this.placementNoise.noise2D(chunkX * 0.1, chunkZ * 0.1) * 0.5 + 0.5;
 
     if (spawnChance < this.config.structureDensity) {
-      this.chunkStructures.set(chunkKey, structures);
-      return structures;
+      return candidates;
     }
 
     // Get eligible structure types for this biome
-    const eligibleTemplates = this.getTemplatesForBiome(biome);
+    const random = this.getChunkRandom(chunkX, chunkZ);
+    const eligibleTemplates = this.getTemplatesForBiome(biome, random);
 
     if (eligibleTemplates.length === 0) {
-      this.chunkStructures.set(chunkKey, structures);
-      return structures;
+      return candidates;
     }
 
     // Try to place structures
     const maxAttempts = this.config.maxStructuresPerChunk * 3;
-    let attempts = 0;
-
-    while (structures.length < this.config.maxStructuresPerChunk && attempts < maxAttempts) {
-      attempts++;
-
-      // Random position within chunk
-      const localX = Math.floor(Math.random() * chunkSize);
-      const localZ = Math.floor(Math.random() * chunkSize);
-      const posX = worldX + localX;
-      const posZ = worldZ + localZ;
 
-      // Select random template
-      const template = eligibleTemplates[Math.floor(Math.random() * eligibleTemplates.length)];
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Random position, template, rotation and priority, rolled whether or not they fit
+      const x = worldX + Math.floor(random.next() * chunkSize);
+      const z = worldZ + Math.floor(random.next() * chunkSize);
+      const template = eligibleTemplates[Math.floor(random.next() * eligibleTemplates.length)];
+      const rotation = [0, 90, 180, 270][Math.floor(random.next() * 4)];
+      const priority = random.next();
 
       // Check if valid placement
-      if (this.canPlaceStructure(template, posX, posZ, biome)) {
-        // Random rotation
-        const rotation = [0, 90, 180, 270][Math.floor(Math.random() * 4)];
-
-        // Create structure
-        const structure = new Structure(
-          `struct_${this.nextStructureId++}`,
-          template.id,
-          template,
-          { x: posX, z: posZ },
-          rotation
-        );
-
-        structures.push(structure);
-        this.structuresById.set(structure.id, structure);
-
-        // Update stats
-        this.stats.structuresGenerated++;
-        this.stats.structuresByType[template.id] = (this.stats.structuresByType[template.id] || 0) + 1;
-        this.stats.structuresByBiome[biome] = (this.stats.structuresByBiome[biome] || 0) + 1;
+      if (this.canPlaceStructure(template, x, z, biome)) {
+        candidates.push({ template, x, z, rotation, biome, priority });
       }
     }
 
-    // Store structures for this chunk
-    this.chunkStructures.set(chunkKey, structures);
-
-    return structures;
+    return candidates;
   }
 
   /**
    * Get structure templates eligible for a biome
    * @param {string} biome - Biome name
+   * @param {SeededRandom} random - Stream for the rarity rolls
    * @returns {Array} Array of eligible templates
    */
-  getTemplatesForBiome(biome) {
+  getTemplatesForBiome(biome, random) {
     const templates = [];
 
     for (const templateId in this.structureTemplates) {
@@ -153,7 +195,7 @@ export class StructureGenerator {
       if (!template.biomes || template.biomes.includes(biome) || template.biomes.includes('any')) {
         // Check rarity
         const rarity = template.rarity || 1.0;
-        if (Math.random() < rarity) {
+        if (random.next() < rarity) {
           templates.push(template);
         }
       }
@@ -163,7 +205,7 @@ export class StructureGenerator {
   }
 
   /**
-   * Check if structure can be placed at position
+   * Check if the terrain allows a structure at position
    * @param {object} template - Structure template
    * @param {number} x - World X coordinate
    * @param {number} z - World Z coordinate
@@ -176,14 +218,9 @@ export class StructureGenerator {
       return false;
     }
 
-    // Check distance to other structures
-    if (!this.hasMinimumDistance(x, z, template.width, template.height)) {
-      return false;
-    }
-
-    // Check bounds (must fit within reasonable world bounds)
-    const maxCoord = 10000; // Reasonable world limit
-    if (x < 0 || z < 0 || x + template.width > maxCoord || z + template.height > maxCoord) {
+    // Check bounds (must fit within the world, if it has bounds)
+    const maxCoord = this.config.worldSize;
+    if (maxCoord && (x < 0 || z < 0 || x + template.width > maxCoord || z + template.height > maxCoord)) {
       return false;
     }
 
@@ -238,29 +275,39 @@ export class StructureGenerator {
   }
 
   /**
-   * Check if position has minimum distance to other structures
-   * @param {number} x - World X coordinate
-   * @param {number} z - World Z coordinate
-   * @param {number} width - Structure width
-   * @param {number} height - Structure height
+   * Check that a candidate outranks every other candidate within the minimum
+   * distance, placed or not. Survivors are never too close to each other, and
+   * the outcome never depends on which chunks loaded first.
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkZ - Chunk Z coordinate
+   * @param {number} index - Candidate index within the chunk
    * @returns {boolean}
    */
-  hasMinimumDistance(x, z, width, height) {
+  hasMinimumDistance(chunkX, chunkZ, index) {
     const minDist = this.config.minStructureDistance;
-    const centerX = x + width / 2;
-    const centerZ = z + height / 2;
-
-    // Check all existing structures
-    for (const structure of this.structuresById.values()) {
-      const structCenterX = structure.position.x + structure.width / 2;
-      const structCenterZ = structure.position.z + structure.height / 2;
-
-      const dx = centerX - structCenterX;
-      const dz = centerZ - structCenterZ;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-
-      if (distance < minDist) {
-        return false;
+    const candidate = this.getCandidatesForChunk(chunkX, chunkZ)[index];
+    const centerX = candidate.x + candidate.template.width / 2;
+    const centerZ = candidate.z + candidate.template.height / 2;
+    const reach = Math.ceil((minDist + this.maxTemplateSize) / this.config.chunkSize);
+
+    for (let dz = -reach; dz <= reach; dz++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const others = this.getCandidatesForChunk(chunkX + dx, chunkZ + dz);
+        for (const other of others) {
+          if (other === candidate) continue;
+
+          // Ties go to the candidate with the lower position
+          const outranked = other.priority > candidate.priority ||
+            (other.priority === candidate.priority && (other.z < candidate.z ||
+              (other.z === candidate.z && other.x < candidate.x)));
+          if (!outranked) continue;
+
+          const distX = centerX - (other.x + other.template.width / 2);
+          const distZ = centerZ - (other.z + other.template.height / 2);
+          if (Math.sqrt(distX * distX + distZ * distZ) < minDist) {
+            return false;
+          }
+        }
       }
     }
 
@@ -295,10 +342,10 @@ export class StructureGenerator {
     const structures = [];
     const chunkSize = this.config.chunkSize;
 
-    // Calculate chunk range
-    const minChunkX = Math.floor(startX / chunkSize);
+    // Calculate chunk range, including chunks whose structures reach into the region
+    const minChunkX = Math.floor((startX - this.maxTemplateSize) / chunkSize);
     const maxChunkX = Math.floor((startX + width) / chunkSize);
-    const minChunkZ = Math.floor(startZ / chunkSize);
+    const minChunkZ = Math.floor((startZ - this.maxTemplateSize) / chunkSize);
     const maxChunkZ = Math.floor((startZ + depth) / chunkSize);
 
     // Check each chunk
@@ -410,8 +457,8 @@ export class StructureGenerator {
    */
   clear() {
     this.chunkStructures.clear();
+    this.chunkCandidates.clear();
     this.structuresById.clear();
-    this.nextStructureId = 0;
     this.stats = {
       structuresGenerated: 0,
       structuresByType: {},
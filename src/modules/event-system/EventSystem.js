@@ -211,7 +211,9 @@ export default class EventSystem {
           townManager: this.orchestrator.townManager,
           npcManager: this.orchestrator.npcManager,
           buildingConfig: this.orchestrator.buildingConfig,
-          territoryManager: this.orchestrator.territoryManager
+          territoryManager: this.orchestrator.territoryManager,
+          chunkManager: this.orchestrator.chunkManager,
+          waterBodySystem: this.orchestrator.terrainSystem?.getWaterBodySystem?.() || null
         };
 
         try {
@@ -6,6 +6,10 @@ import WildfireEvent from '../events/WildfireEvent.js';
 import FloodEvent from '../events/FloodEvent.js';
 import EarthquakeEvent from '../events/EarthquakeEvent.js';
 import { EventType, EventState } from '../Event.js';
+import { ChunkManager } from '../../../systems/chunks/ChunkManager.js';
+import { Chunk } from '../../../systems/chunks/Chunk.js';
+import { BlockTypes } from '../../../systems/chunks/blockTypes.js';
+import { VOXEL_SIZE } from '../../../systems/chunks/coordinates.js';
 
 // Mock game state helper
 const createMockGameState = () => ({
@@ -186,6 +190,72 @@ describe('FloodEvent', () => {
     expect(summary).toHaveProperty('totalDamage');
     expect(summary).toHaveProperty('foodSpoiled');
   });
+
+  describe('in the voxel world', () => {
+    // Voxel coordinate -> world coordinate at the voxel's center
+    const w = (v) => v * VOXEL_SIZE + 1;
+
+    const createVoxelGameState = () => {
+      const chunkManager = new ChunkManager();
+      const chunk = new Chunk(0, 0, 0);
+      for (let x = 0; x < 16; x++) {
+        for (let z = 0; z < 16; z++) chunk.setBlock(x, 0, z, BlockTypes.STONE);
+      }
+      chunkManager.chunks.set(chunk.key, chunk);
+      chunkManager.lightEngine.lightChunk(chunk);
+
+      return {
+        ...createMockGameState(),
+        buildings: [
+          { id: 'near', type: 'HOUSE', state: 'COMPLETED', position: { x: w(5), y: 2, z: w(8) }, health: 100 },
+          { id: 'far', type: 'HOUSE', state: 'COMPLETED', position: { x: w(14), y: 2, z: w(14) }, health: 100 },
+        ],
+        chunkManager,
+        waterBodySystem: {
+          getWaterBodiesInRegion: vi.fn(() => [{ id: 'water_0' }]),
+          getSpillPoints: vi.fn(() => [{ x: w(2), z: w(8) }]),
+          setFloodRise: vi.fn(),
+        },
+      };
+    };
+
+    it('spills water from nearby water bodies instead of damaging by elevation', () => {
+      const flood = new FloodEvent();
+      const gameState = createVoxelGameState();
+
+      flood.start(gameState);
+
+      expect(gameState.waterBodySystem.setFloodRise).toHaveBeenCalledWith('water_0', 1);
+      expect(gameState.chunkManager.getBlock(w(2), w(1), w(8))).toBe(BlockTypes.WATER);
+      expect(flood.buildingsDamaged).toHaveLength(0);
+    });
+
+    it('damages buildings once the water reaches them', () => {
+      const flood = new FloodEvent();
+      const gameState = createVoxelGameState();
+      flood.start(gameState);
+
+      for (let i = 0; i < 20; i++) gameState.chunkManager.fluidSimulator.tick();
+      flood.update(1, gameState);
+
+      expect(flood.buildingsDamaged.map(d => d.id)).toEqual(['near']);
+
+      // Damaged only once
+      flood.update(1, gameState);
+      expect(flood.buildingsDamaged).toHaveLength(1);
+    });
+
+    it('removes its sources and lowers the water when it ends', () => {
+      const flood = new FloodEvent();
+      const gameState = createVoxelGameState();
+      flood.start(gameState);
+      flood.end(gameState);
+
+      expect(gameState.chunkManager.getBlock(w(2), w(1), w(8))).toBe(BlockTypes.AIR);
+      expect(gameState.waterBodySystem.setFloodRise).toHaveBeenLastCalledWith('water_0', 0);
+      expect(flood.getSummary().floodSourcesPlaced).toBe(1);
+    });
+  });
 });
 
 describe('EarthquakeEvent', () => {
@@ -5,9 +5,28 @@
  * Duration: 60 seconds
  * Mitigation: Territory on hills safe, farms take 50% damage
  * Impact: -30 food (spoilage), -15 morale
+ *
+ * With a live voxel world (gameState.chunkManager) and nearby water bodies
+ * (gameState.waterBodySystem), the flood instead raises those lakes and
+ * spills water sources over their shores. The water flows through the
+ * settlement via the fluid simulator, and buildings are damaged when it
+ * reaches them. The sources are removed when the flood ends and the
+ * water drains away.
  */
 
 import Event, { EventType } from '../Event.js';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../../systems/chunks/coordinates.js';
+import { blockRegistry } from '../../../systems/chunks/BlockRegistry.js';
+import { BlockTypes } from '../../../systems/chunks/blockTypes.js';
+
+const BASE_DAMAGE = 30; // Base damage to buildings
+const FARM_DAMAGE_MULTIPLIER = 0.5; // Farms take 50% damage (more resilient)
+
+// Voxel world flooding
+const FLOOD_SEARCH_RADIUS = 64; // World units around the settlement searched for water
+const FLOOD_RISE = 1; // Levels flooded water bodies rise
+const MAX_FLOODED_WATER_BODIES = 3;
+const SPILL_POINTS_PER_WATER_BODY = 8;
 
 export default class FloodEvent extends Event {
   constructor(config = {}) {
@@ -28,6 +47,11 @@ export default class FloodEvent extends Event {
     this.buildingsDamaged = [];
     this.totalDamageDealt = 0;
     this.foodSpoiled = 30;
+
+    // Voxel world flood water: placed sources and raised water bodies
+    this.floodSources = [];
+    this.floodedWaterBodies = [];
+    this.floodSourcesPlaced = 0;
   }
 
   /**
@@ -38,22 +62,29 @@ export default class FloodEvent extends Event {
     this._applyFoodSpoilage(gameState);
     this._applyMoralePenalty(gameState);
 
-    // Damage lowland buildings immediately
-    this._damageBuildings(gameState);
+    // Let real water flow in if the voxel world is available; otherwise
+    // damage lowland buildings immediately
+    if (this._releaseFloodWater(gameState) === 0) {
+      this._damageBuildings(gameState);
+    }
   }
 
   /**
    * Called every tick during flood
    */
   onTick(deltaTime, gameState) {
-    // Flood is persistent, no additional effects per tick
-    // All damage is dealt at start
+    // Flood water is still spreading: damage buildings as it reaches them
+    if (this.floodSources.length > 0) {
+      this._damageFloodedBuildings(gameState);
+    }
   }
 
   /**
    * Called when flood ends
    */
   onEnd(gameState) {
+    this._recedeFloodWater(gameState);
+
     // Log flood summary
     // eslint-disable-next-line no-console
     console.log(`Flood damaged ${this.buildingsDamaged.length} buildings, total damage: ${this.totalDamageDealt}`);
@@ -102,8 +133,6 @@ export default class FloodEvent extends Event {
     if (!gameState.buildings) return;
 
     const LOWLAND_THRESHOLD = 10; // Y coordinate threshold
-    const BASE_DAMAGE = 30; // Base damage to buildings
-    const FARM_DAMAGE_MULTIPLIER = 0.5; // Farms take 50% damage (more resilient)
 
     for (const building of gameState.buildings) {
       // Skip incomplete buildings
@@ -113,15 +142,141 @@ export default class FloodEvent extends Event {
       const elevation = building.position?.y || 0;
       if (elevation >= LOWLAND_THRESHOLD) continue; // Safe on high ground
 
-      // Calculate damage
-      let damage = BASE_DAMAGE;
-      if (building.type === 'FARM') {
-        damage = Math.floor(damage * FARM_DAMAGE_MULTIPLIER);
+      // Apply damage
+      this._damageBuilding(building, this._getFloodDamage(building), gameState);
+    }
+  }
+
+  /**
+   * Damage for a building caught by the flood
+   * @private
+   */
+  _getFloodDamage(building) {
+    if (building.type === 'FARM') {
+      return Math.floor(BASE_DAMAGE * FARM_DAMAGE_MULTIPLIER);
+    }
+    return BASE_DAMAGE;
+  }
+
+  /**
+   * Raise water bodies near the settlement and spill water sources over
+   * their shores into the voxel world
+   * @private
+   * @returns {number} Number of water sources placed
+   */
+  _releaseFloodWater(gameState) {
+    const { chunkManager, waterBodySystem, buildings } = gameState;
+    if (!chunkManager?.fluidSimulator || !waterBodySystem || !buildings?.length) return 0;
+    // Terrain from a co-op server isn't ours to flood
+    if (chunkManager.chunkSource) return 0;
+
+    try {
+      // Search around the settlement's footprint
+      let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+      for (const building of buildings) {
+        const x = building.position?.x || 0;
+        const z = building.position?.z || 0;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minZ = Math.min(minZ, z);
+        maxZ = Math.max(maxZ, z);
       }
 
-      // Apply damage
-      this._damageBuilding(building, damage, gameState);
+      const waterBodies = waterBodySystem.getWaterBodiesInRegion(
+        minX - FLOOD_SEARCH_RADIUS,
+        minZ - FLOOD_SEARCH_RADIUS,
+        maxX - minX + FLOOD_SEARCH_RADIUS * 2,
+        maxZ - minZ + FLOOD_SEARCH_RADIUS * 2
+      ).slice(0, MAX_FLOODED_WATER_BODIES);
+
+      for (const waterBody of waterBodies) {
+        waterBodySystem.setFloodRise(waterBody.id, FLOOD_RISE);
+        this.floodedWaterBodies.push(waterBody.id);
+
+        for (const point of waterBodySystem.getSpillPoints(waterBody, SPILL_POINTS_PER_WATER_BODY)) {
+          const y = this._findSurfaceY(chunkManager, point.x, point.z);
+          if (y === null) continue;
+
+          if (chunkManager.fluidSimulator.placeSource(point.x, y, point.z, 'water')) {
+            this.floodSources.push({ x: point.x, y, z: point.z });
+          }
+        }
+      }
+
+      this.floodSourcesPlaced = this.floodSources.length;
+      // eslint-disable-next-line no-console
+      console.log(`[Flood] Released ${this.floodSources.length} water sources from ${waterBodies.length} water bodies`);
+    } catch (error) {
+      console.error('[Flood] Error releasing flood water:', error);
+    }
+
+    return this.floodSources.length;
+  }
+
+  /**
+   * Damage buildings the flood water has reached (once each)
+   * @private
+   */
+  _damageFloodedBuildings(gameState) {
+    const { chunkManager, buildings } = gameState;
+    if (!chunkManager || !buildings) return;
+
+    for (const building of buildings) {
+      if (building.state !== 'COMPLETE' && building.state !== 'COMPLETED') continue;
+      if (this.buildingsDamaged.some(d => d.id === building.id)) continue;
+
+      const x = building.position?.x || 0;
+      const z = building.position?.z || 0;
+      const surfaceY = this._findSurfaceY(chunkManager, x, z);
+      if (surfaceY === null) continue;
+
+      // The topmost block of the column is water: the building is under it
+      const top = chunkManager.getBlock(x, surfaceY - VOXEL_SIZE, z);
+      if (blockRegistry.getFluid(top) !== 'water') continue;
+
+      this._damageBuilding(building, this._getFloodDamage(building), gameState);
+    }
+  }
+
+  /**
+   * Remove placed flood sources and restore water bodies. Flowing water
+   * left behind drains on its own.
+   * @private
+   */
+  _recedeFloodWater(gameState) {
+    const { chunkManager, waterBodySystem } = gameState;
+
+    try {
+      if (chunkManager?.fluidSimulator) {
+        for (const { x, y, z } of this.floodSources) {
+          chunkManager.fluidSimulator.removeSource(x, y, z);
+        }
+      }
+      if (waterBodySystem) {
+        for (const id of this.floodedWaterBodies) {
+          waterBodySystem.setFloodRise(id, 0);
+        }
+      }
+    } catch (error) {
+      console.error('[Flood] Error receding flood water:', error);
+    }
+
+    this.floodSources = [];
+    this.floodedWaterBodies = [];
+  }
+
+  /**
+   * World Y just above the topmost non-air block of a column
+   * @private
+   * @returns {number|null} Null if the column is empty or not loaded
+   */
+  _findSurfaceY(chunkManager, x, z) {
+    for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
+      if (chunkManager.getBlock(x, vy * VOXEL_SIZE, z) !== BlockTypes.AIR) {
+        return (vy + 1) * VOXEL_SIZE;
+      }
     }
+    return null;
   }
 
   /**
@@ -192,6 +347,7 @@ export default class FloodEvent extends Event {
       buildingsDamaged: this.buildingsDamaged.length,
       totalDamage: this.totalDamageDealt,
       foodSpoiled: this.foodSpoiled,
+      floodSourcesPlaced: this.floodSourcesPlaced,
       moraleImpact: this.effects.morale,
       damagedBuildings: this.buildingsDamaged
     };
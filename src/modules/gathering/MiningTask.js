@@ -8,7 +8,7 @@
  * Part of Phase 14: Resource Gathering
  */
 
-import { BlockType, getBlockResources, isMineable } from '../voxel/BlockTypes.js';
+import { BlockType, blockTypeToString, getBlockResources, isMineable } from '../voxel/BlockTypes.js';
 
 /**
  * Mining task status
@@ -38,18 +38,18 @@ export const MiningPriority = {
  * @returns {number} Mining time in ticks
  */
 function getBaseMiningTime(blockType) {
-  // Use hardcoded values to avoid computed property issues
-  switch (blockType) {
-    case 1: return 15;  // DIRT
-    case 2: return 18;  // GRASS
-    case 4: return 12;  // SAND
-    case 3: return 40;  // STONE
-    case 41: return 45; // COBBLESTONE
-    case 31: return 25; // WOOD_LOG
-    case 32: return 20; // WOOD_PLANK
-    case 22: return 60; // IRON_ORE
-    case 23: return 55; // GOLD_ORE
-    case 21: return 50; // COAL_ORE
+  // Keyed by registry key so the table survives block ID changes
+  switch (blockTypeToString(blockType)) {
+    case 'DIRT': return 15;
+    case 'GRASS': return 18;
+    case 'SAND': return 12;
+    case 'STONE': return 40;
+    case 'COBBLESTONE': return 45;
+    case 'WOOD': return 25;
+    case 'WOOD_PLANK': return 20;
+    case 'IRON_ORE': return 60;
+    case 'GOLD_ORE': return 55;
+    case 'COAL_ORE': return 50;
     default: return 30;
   }
 }
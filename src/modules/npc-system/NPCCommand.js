@@ -6,8 +6,14 @@
  * - Command queue management
  * - Command execution and completion
  * - Three-tier control: Strategic, Tactical, Autonomous
+ *
+ * In a co-op settlement a command records the player who gave it
+ * (`issuedBy`), and a queue given the settlement's membership refuses
+ * commands from players not allowed to command NPCs (SettlementMembers.js).
  */
 
+import { SETTLEMENT_PERMISSIONS, permissionError } from '../settlement/SettlementMembers.js';
+
 /**
  * Command Types
  */
@@ -58,12 +64,14 @@ export class Command {
    * @param {string} type - Command type from CommandType
    * @param {Object} params - Command parameters
    * @param {number} priority - Command priority (default NORMAL)
+   * @param {string|null} issuedBy - Player who gave the command (default null, the local player)
    */
-  constructor(type, params = {}, priority = CommandPriority.NORMAL) {
+  constructor(type, params = {}, priority = CommandPriority.NORMAL, issuedBy = null) {
     this.id = `cmd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     this.type = type;
     this.params = params;
     this.priority = priority;
+    this.issuedBy = issuedBy;
     this.status = CommandStatus.QUEUED;
     this.createdAt = Date.now();
     this.startedAt = null;
@@ -137,6 +145,7 @@ export class Command {
       priority: this.priority,
       progress: this.progress,
       params: this.params,
+      issuedBy: this.issuedBy,
       createdAt: this.createdAt,
       startedAt: this.startedAt,
       completedAt: this.completedAt,
@@ -157,11 +166,23 @@ export class CommandQueue {
   /**
    * Add command to queue
    * @param {Command} command - Command to add
+   * @param {Object} membership - Settlement { ownerId, members } to check
+   *   command.issuedBy against (default null: not checked)
+   * @returns {boolean} False if refused; the command is failed with the reason
    */
-  addCommand(command) {
+  addCommand(command, membership = null) {
+    const denied = membership
+      ? permissionError(membership, command.issuedBy, SETTLEMENT_PERMISSIONS.COMMAND_NPCS)
+      : null;
+    if (denied) {
+      command.fail(denied);
+      return false;
+    }
+
     this.commands.push(command);
     // Sort by priority (higher first)
     this.commands.sort((a, b) => b.priority - a.priority);
+    return true;
   }
 
   /**
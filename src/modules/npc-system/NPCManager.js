@@ -310,6 +310,9 @@ class NPCManager {
     // Character System Integration: Reference to character for Leadership bonuses
     this.character = null;
 
+    // Co-op: returns the settlement's { ownerId, members } that commands are checked against
+    this.getMembership = null;
+
     // Initialize pathfinding service if grid manager provided (Phase 2: terrain-aware)
     this.pathfindingService = null;
     if (gridManager) {
@@ -360,6 +363,14 @@ class NPCManager {
     this.character = character;
   }
 
+  /**
+   * Set where co-op settlement membership comes from (for command permissions)
+   * @param {Function|null} getMembership - () → { ownerId, members }
+   */
+  setMembership(getMembership) {
+    this.getMembership = getMembership;
+  }
+
   /**
    * Update buildings map for NPC movement targeting
    * @param {Array} buildings - Array of building objects with id and position
@@ -1038,7 +1049,8 @@ class NPCManager {
   /**
    * Issue a command to an NPC
    * @param {string} npcId - NPC ID
-   * @param {Command} command - Command to issue
+   * @param {Command} command - Command to issue; command.issuedBy is checked
+   *   against the settlement's membership (setMembership)
    * @returns {boolean} Success
    */
   issueCommand(npcId, command) {
@@ -1047,8 +1059,7 @@ class NPCManager {
       return false;
     }
 
-    npc.commandQueue.addCommand(command);
-    return true;
+    return npc.commandQueue.addCommand(command, this.getMembership?.() ?? null);
   }
 
   /**
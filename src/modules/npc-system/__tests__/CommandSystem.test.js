@@ -130,6 +130,20 @@ describe('Command System', () => {
       const status = queue.getStatus();
       expect(status.completedCount).toBe(0);
     });
+
+    test('should refuse commands from players who may not command NPCs', () => {
+      const queue = new CommandQueue();
+      const membership = { ownerId: 'alice', members: { bob: 'builder', dave: 'visitor' } };
+      const fromVisitor = new Command(CommandType.MOVE_TO, {}, CommandPriority.NORMAL, 'dave');
+      const fromBuilder = new Command(CommandType.MOVE_TO, {}, CommandPriority.NORMAL, 'bob');
+
+      expect(queue.addCommand(fromVisitor, membership)).toBe(false);
+      expect(fromVisitor.status).toBe(CommandStatus.FAILED);
+      expect(fromVisitor.error).toBe('A visitor may not command NPCs');
+      expect(queue.addCommand(fromBuilder, membership)).toBe(true);
+      expect(queue.getNextCommand()).toBe(fromBuilder);
+      expect(fromBuilder.getSummary().issuedBy).toBe('bob');
+    });
   });
 
   describe('CommandFactory', () => {
@@ -243,6 +257,19 @@ describe('NPC Command Integration', () => {
     expect(status.queuedCount).toBe(1);
   });
 
+  test('should check who gave a command against the settlement membership', () => {
+    const { npcId } = npcManager.spawnNPC('WORKER', { x: 0, y: 25, z: 0 });
+    let settlement = { ownerId: null, members: {} };
+    npcManager.setMembership(() => settlement);
+    const fromDave = () => new Command(CommandType.MOVE_TO, { position: { x: 5, y: 25, z: 5 } }, CommandPriority.NORMAL, 'dave');
+
+    expect(npcManager.issueCommand(npcId, fromDave())).toBe(true);
+    settlement = { ownerId: 'alice', members: { dave: 'visitor' } };
+    expect(npcManager.issueCommand(npcId, fromDave())).toBe(false);
+    expect(npcManager.issueCommand(npcId, CommandFactory.moveTo({ x: 5, y: 25, z: 5 }))).toBe(true);
+    expect(npcManager.getCommandStatus(npcId).queuedCount).toBe(2);
+  });
+
   test('should execute MOVE_TO command', () => {
     const result = npcManager.spawnNPC('WORKER', { x: 0, y: 25, z: 0 });
     const npcId = result.npcId;
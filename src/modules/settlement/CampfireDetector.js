@@ -5,12 +5,12 @@
  */
 
 import { BlockTypes, isSolid } from '../../systems/chunks/blockTypes';
-import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE } from '../../systems/chunks/coordinates';
+import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../../systems/chunks/coordinates';
 
 /**
  * Scan loaded chunks for a CAMPFIRE block.
  *
- * @param {Object} chunkAdapter - { iterateChunks() → Iterable<{ x, z, blocks }> }
+ * @param {Object} chunkAdapter - { iterateChunks() → Iterable<{ x, y, z, blocks }> }
  * @returns {[number,number,number]|null} World position [x,y,z] or null
  */
 export function scanForCampfire(chunkAdapter) {
@@ -21,7 +21,7 @@ export function scanForCampfire(chunkAdapter) {
         for (let x = 0; x < CHUNK_SIZE; x++) {
           if (chunk.blocks[x + (z << 4) + (y << 8)] === BlockTypes.CAMPFIRE) {
             const wx = (chunk.x * CHUNK_SIZE + x) * VOXEL_SIZE + VOXEL_SIZE / 2;
-            const wy = y * VOXEL_SIZE + VOXEL_SIZE / 2;
+            const wy = (chunk.y * CHUNK_SIZE_Y + y) * VOXEL_SIZE + VOXEL_SIZE / 2;
             const wz = (chunk.z * CHUNK_SIZE + z) * VOXEL_SIZE + VOXEL_SIZE / 2;
             return [wx, wy, wz];
           }
@@ -41,7 +41,7 @@ export function scanForCampfire(chunkAdapter) {
  * @returns {number} Y coordinate of terrain surface (top of highest solid block)
  */
 export function getTerrainYAt(chunkAdapter, wx, wz) {
-  for (let vy = CHUNK_SIZE_Y - 1; vy >= 0; vy--) {
+  for (let vy = WORLD_MAX_Y - 1; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const block = chunkAdapter.getBlock(wx, worldY, wz);
     if (isSolid(block)) {
@@ -4,6 +4,7 @@
  * Farm lifecycle per tile: EMPTY → PLANTED → GROWING → READY → HARVESTED → EMPTY
  * NPCs autonomously plant and harvest crops.
  * Unattended farms auto-collect at 25% rate.
+ * Crops on rift-corrupted ground yield less.
  */
 
 import {
@@ -13,6 +14,7 @@ import {
   FARM_HARVEST_TIME,
   FARM_UNATTENDED_RATE,
   MAX_FARMERS_PER_ZONE,
+  CORRUPTION_CROP_YIELD_PENALTY,
 } from '../../data/tuning.js';
 import { ZONE_TYPES } from './ZoneManager.js';
 
@@ -34,10 +36,12 @@ class FarmingZoneBehavior {
    * @param {Object} deps
    * @param {Object} deps.zoneManager - ZoneManager instance
    * @param {Object} deps.settlementModule - Parent SettlementModule for events
+   * @param {Function} [deps.corruptionAt] - (x, z) → corruption level 0-100 of the ground there
    */
   constructor(deps = {}) {
     this.zoneManager = deps.zoneManager || null;
     this.settlementModule = deps.settlementModule || null;
+    this.corruptionAt = deps.corruptionAt || null;
 
     /** @type {Map<string, Map<string, Object>>} zoneId → Map<tileKey, tileState> */
     this.farmTiles = new Map();
@@ -138,7 +142,7 @@ class FarmingZoneBehavior {
             if (!hasFarmer) {
               tile.growthTimer += deltaSeconds;
               if (tile.growthTimer >= FARM_GROW_TIME) {
-                const autoYield = Math.floor(FARM_HARVEST_YIELD * FARM_UNATTENDED_RATE);
+                const autoYield = this._tileYield(tile.position, FARM_HARVEST_YIELD * FARM_UNATTENDED_RATE);
                 if (autoYield > 0) {
                   totalAutoCollected += autoYield;
                   if (this.settlementModule) {
@@ -224,6 +228,14 @@ class FarmingZoneBehavior {
     return false;
   }
 
+  /**
+   * Harvest yield for a tile, cut by corruption of its ground.
+   */
+  _tileYield(position, baseYield) {
+    const corruption = this.corruptionAt ? this.corruptionAt(position.x, position.z) / 100 : 0;
+    return Math.floor(baseYield * (1 - corruption * CORRUPTION_CROP_YIELD_PENALTY));
+  }
+
   _getTotalTileCount() {
     let count = 0;
     for (const tiles of this.farmTiles.values()) {
@@ -324,7 +336,7 @@ class FarmingZoneBehavior {
       result = {
         type: 'HARVEST',
         position: { ...task.position },
-        yield: FARM_HARVEST_YIELD,
+        yield: this._tileYield(task.position, FARM_HARVEST_YIELD),
       };
 
       if (this.settlementModule) {
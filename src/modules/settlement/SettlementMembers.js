@@ -0,0 +1,235 @@
+/**
+ * SettlementMembers.js - Who may do what in a shared settlement
+ *
+ * A co-op settlement has one owner and the players they invite, each with a
+ * role. A role is a set of permissions; the places that change the
+ * settlement check the acting player against them:
+ *   - zone designation: ZoneManager, the store's addZone/removeZone
+ *   - stockpiles: the store's depositToStockpile/withdrawFromStockpile
+ *   - NPC orders: NPCManager.issueCommand, against its setMembership
+ *   - building placement: the store's placeConstructionSite
+ * and what members do goes into an audit log, newest last. Callers act as
+ * the store's getLocalPlayerId(): null alone, their server id in co-op.
+ *
+ * Membership data shape (JSON-safe, kept on the store's `settlement`):
+ *   { ownerId: string|null, members: { [playerId]: role }, auditLog: [{ playerId, action, details, timestamp }] }
+ * The owner isn't listed in `members`.
+ *
+ * Rules:
+ *   - No player (single-player, server-side systems) is always allowed and isn't logged
+ *   - A settlement nobody owns is open to everyone; the first player to found
+ *     it (setSettlementCenter) becomes the owner
+ *   - Players who aren't members may do nothing
+ *   - Members may leave on their own; the owner can't be removed
+ *
+ * Pure functions: each returns a new settlement object and leaves the given one alone.
+ */
+
+import { SETTLEMENT_AUDIT_LOG_SIZE } from '../../data/tuning.js';
+
+export const SETTLEMENT_ROLES = {
+  OWNER: 'owner',
+  BUILDER: 'builder',
+  QUARTERMASTER: 'quartermaster',
+  VISITOR: 'visitor',
+};
+
+export const SETTLEMENT_PERMISSIONS = {
+  DESIGNATE_ZONES: 'designateZones',
+  PLACE_BUILDINGS: 'placeBuildings',
+  COMMAND_NPCS: 'commandNPCs',
+  DEPOSIT: 'deposit',
+  WITHDRAW: 'withdraw',
+  MANAGE_SETTLEMENT: 'manageSettlement', // Members, roles and the settlement center
+};
+
+const P = SETTLEMENT_PERMISSIONS;
+
+export const ROLE_PERMISSIONS = {
+  [SETTLEMENT_ROLES.OWNER]: new Set(Object.values(P)),
+  [SETTLEMENT_ROLES.BUILDER]: new Set([P.DESIGNATE_ZONES, P.PLACE_BUILDINGS, P.COMMAND_NPCS, P.DEPOSIT]),
+  [SETTLEMENT_ROLES.QUARTERMASTER]: new Set([P.DEPOSIT, P.WITHDRAW]),
+  [SETTLEMENT_ROLES.VISITOR]: new Set([P.DEPOSIT]),
+};
+
+// For error messages: "A visitor may not <label>"
+const PERMISSION_LABELS = {
+  [P.DESIGNATE_ZONES]: 'designate zones',
+  [P.PLACE_BUILDINGS]: 'place buildings',
+  [P.COMMAND_NPCS]: 'command NPCs',
+  [P.DEPOSIT]: 'deposit to stockpiles',
+  [P.WITHDRAW]: 'withdraw from stockpiles',
+  [P.MANAGE_SETTLEMENT]: 'manage the settlement',
+};
+
+// Roles the owner can hand out
+const MEMBER_ROLES = new Set([
+  SETTLEMENT_ROLES.BUILDER,
+  SETTLEMENT_ROLES.QUARTERMASTER,
+  SETTLEMENT_ROLES.VISITOR,
+]);
+
+/**
+ * A player's role in a settlement
+ * @param {Object} settlement - { ownerId, members }
+ * @param {string} playerId
+ * @returns {string|null} One of SETTLEMENT_ROLES, or null for non-members
+ */
+export function getRole(settlement, playerId) {
+  if (!settlement || playerId == null) return null;
+  if (settlement.ownerId === playerId) return SETTLEMENT_ROLES.OWNER;
+  return settlement.members?.[playerId] || null;
+}
+
+/**
+ * Why a player may not do something
+ * @param {Object} settlement - { ownerId, members }
+ * @param {string|null} playerId - null for the local game or server-side systems
+ * @param {string} permission - One of SETTLEMENT_PERMISSIONS
+ * @returns {string|null} null when allowed
+ */
+export function permissionError(settlement, playerId, permission) {
+  if (playerId == null || !settlement?.ownerId) return null;
+  const role = getRole(settlement, playerId);
+  if (!role) return `Player ${playerId} is not a member of this settlement`;
+  if (ROLE_PERMISSIONS[role]?.has(permission)) return null;
+  return `A ${role} may not ${PERMISSION_LABELS[permission] || permission}`;
+}
+
+/**
+ * Whether a player may do something
+ * @param {Object} settlement
+ * @param {string|null} playerId
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function can(settlement, playerId, permission) {
+  return permissionError(settlement, playerId, permission) === null;
+}
+
+/**
+ * Add an entry to the audit log, dropping the oldest past SETTLEMENT_AUDIT_LOG_SIZE.
+ * Does nothing without a player.
+ * @param {Object} settlement
+ * @param {string|null} playerId
+ * @param {string} action - What they did, e.g. 'addZone'
+ * @param {Object} [details={}] - JSON-safe specifics
+ * @param {number} [timestamp=Date.now()]
+ * @returns {Object} The settlement with the entry
+ */
+export function recordAudit(settlement, playerId, action, details = {}, timestamp = Date.now()) {
+  if (playerId == null) return settlement;
+  const auditLog = [...(settlement.auditLog || []), { playerId, action, details, timestamp }];
+  if (auditLog.length > SETTLEMENT_AUDIT_LOG_SIZE) {
+    auditLog.splice(0, auditLog.length - SETTLEMENT_AUDIT_LOG_SIZE);
+  }
+  return { ...settlement, auditLog };
+}
+
+/**
+ * Make a player the owner of a settlement nobody owns yet
+ * @param {Object} settlement
+ * @param {string} playerId
+ * @returns {{ success: boolean, settlement?: Object, error?: string }}
+ */
+export function claimSettlement(settlement, playerId) {
+  if (playerId == null) return { success: false, error: 'A player is required' };
+  if (settlement.ownerId) return { success: false, error: `Player ${settlement.ownerId} already owns this settlement` };
+
+  // Whoever claims it stops being a member; the owner isn't listed
+  const members = { ...settlement.members };
+  delete members[playerId];
+  const claimed = { ...settlement, ownerId: playerId, members };
+  return { success: true, settlement: recordAudit(claimed, playerId, 'claimSettlement') };
+}
+
+/**
+ * Check the common ground for changing someone's membership
+ * @returns {string|null} Why not
+ */
+function memberChangeError(settlement, actorId, playerId) {
+  if (!settlement.ownerId) return 'Nobody owns this settlement yet';
+  const denied = permissionError(settlement, actorId, P.MANAGE_SETTLEMENT);
+  if (denied) return denied;
+  if (typeof playerId !== 'string' || playerId === '') return 'Player id must be a non-empty string';
+  if (playerId === settlement.ownerId) return 'The owner\'s role cannot change';
+  return null;
+}
+
+/**
+ * Invite a player with a role
+ * @param {Object} settlement
+ * @param {string|null} actorId - Who's inviting (must be allowed to manage the settlement)
+ * @param {string} playerId
+ * @param {string} role - builder, quartermaster or visitor
+ * @returns {{ success: boolean, settlement?: Object, error?: string }}
+ */
+export function inviteMember(settlement, actorId, playerId, role) {
+  const error = memberChangeError(settlement, actorId, playerId);
+  if (error) return { success: false, error };
+  if (!MEMBER_ROLES.has(role)) return { success: false, error: `Invalid role: ${role}` };
+  if (settlement.members?.[playerId]) {
+    return { success: false, error: `Player ${playerId} is already a member` };
+  }
+
+  const invited = { ...settlement, members: { ...settlement.members, [playerId]: role } };
+  return { success: true, settlement: recordAudit(invited, actorId, 'inviteMember', { playerId, role }) };
+}
+
+/**
+ * Change a member's role
+ * @param {Object} settlement
+ * @param {string|null} actorId
+ * @param {string} playerId
+ * @param {string} role - builder, quartermaster or visitor
+ * @returns {{ success: boolean, settlement?: Object, error?: string }}
+ */
+export function setMemberRole(settlement, actorId, playerId, role) {
+  const error = memberChangeError(settlement, actorId, playerId);
+  if (error) return { success: false, error };
+  if (!MEMBER_ROLES.has(role)) return { success: false, error: `Invalid role: ${role}` };
+  const previous = settlement.members?.[playerId];
+  if (!previous) return { success: false, error: `Player ${playerId} is not a member` };
+
+  const changed = { ...settlement, members: { ...settlement.members, [playerId]: role } };
+  return {
+    success: true,
+    settlement: recordAudit(changed, actorId, 'setMemberRole', { playerId, role, previous }),
+  };
+}
+
+/**
+ * Remove a member. Members may remove themselves.
+ * @param {Object} settlement
+ * @param {string|null} actorId
+ * @param {string} playerId
+ * @returns {{ success: boolean, settlement?: Object, error?: string }}
+ */
+export function removeMember(settlement, actorId, playerId) {
+  const leaving = actorId != null && actorId === playerId && settlement.members?.[playerId];
+  if (!leaving) {
+    const error = memberChangeError(settlement, actorId, playerId);
+    if (error) return { success: false, error };
+  }
+  const role = settlement.members?.[playerId];
+  if (!role) return { success: false, error: `Player ${playerId} is not a member` };
+
+  const members = { ...settlement.members };
+  delete members[playerId];
+  const removed = { ...settlement, members };
+  return { success: true, settlement: recordAudit(removed, actorId, 'removeMember', { playerId, role }) };
+}
+
+export default {
+  SETTLEMENT_ROLES,
+  SETTLEMENT_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRole,
+  permissionError,
+  can,
+  recordAudit,
+  claimSettlement,
+  inviteMember,
+  setMemberRole,
+  removeMember,
+};
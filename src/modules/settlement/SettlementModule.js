@@ -52,6 +52,8 @@ class SettlementModule {
    * @param {Object} deps.buildingConfig - BuildingConfig instance
    * @param {Object} deps.territoryManager - TerritoryManager instance
    * @param {Object} deps.npcNeedsTracker - NPCNeedsTracker instance (optional)
+   * @param {Function} deps.corruptionAt - (x, z) → rift corruption level 0-100 (optional)
+   * @param {Function} deps.getMembership - () → co-op { ownerId, members } for zone permissions (optional)
    */
   constructor(deps = {}) {
     this.npcManager = deps.npcManager || null;
@@ -61,6 +63,8 @@ class SettlementModule {
     this.buildingConfig = deps.buildingConfig || null;
     this.territoryManager = deps.territoryManager || null;
     this.npcNeedsTracker = deps.npcNeedsTracker || null;
+    this.corruptionAt = deps.corruptionAt || null;
+    this.getMembership = deps.getMembership || null;
 
     // Sub-managers (created in initialize)
     this.attractivenessCalculator = null;
@@ -136,6 +140,7 @@ class SettlementModule {
     this.zoneManager = new ZoneManager({
       grid: this.grid,
       settlementModule: this,
+      getMembership: this.getMembership,
     });
 
     this.miningBehavior = new MiningZoneBehavior({
@@ -147,6 +152,7 @@ class SettlementModule {
     this.farmingBehavior = new FarmingZoneBehavior({
       zoneManager: this.zoneManager,
       settlementModule: this,
+      corruptionAt: this.corruptionAt,
     });
 
     this.stockpileManager = new StockpileManager({
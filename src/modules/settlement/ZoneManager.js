@@ -14,8 +14,14 @@
  *   - FARMING and BUILDING zones follow STOCKPILE rules (no same-type overlap)
  *
  * Performance guard: max 20 zones per type.
+ *
+ * In a co-op settlement only players allowed to designate zones (see
+ * SettlementMembers.js) may create or delete them; calls without a player
+ * aren't checked.
  */
 
+import { SETTLEMENT_PERMISSIONS, permissionError } from './SettlementMembers.js';
+
 export const ZONE_TYPES = {
   MINING: 'MINING',
   STOCKPILE: 'STOCKPILE',
@@ -38,10 +44,13 @@ class ZoneManager {
    * @param {Object} deps
    * @param {Object} deps.grid - GridManager instance
    * @param {Object} deps.settlementModule - Parent SettlementModule (for events)
+   * @param {Function} [deps.getMembership] - Returns the settlement's { ownerId, members };
+   *   without it zone changes aren't checked
    */
   constructor(deps = {}) {
     this.grid = deps.grid || null;
     this.settlementModule = deps.settlementModule || null;
+    this.getMembership = deps.getMembership || null;
 
     /** @type {Map<string, Object>} zone id → zone data */
     this.zones = new Map();
@@ -56,9 +65,15 @@ class ZoneManager {
    * @param {Object} params.bounds - { minX, minZ, maxX, maxZ } (2D ground plane)
    * @param {number} [params.priority=3] - Priority 1 (low) to 5 (high)
    * @param {string} [params.label] - Optional display label
+   * @param {string} [params.playerId] - Player designating it
    * @returns {{ success: boolean, zone?: Object, error?: string }}
    */
-  createZone({ type, bounds, priority = 3, label = '' }) {
+  createZone({ type, bounds, priority = 3, label = '', playerId = null }) {
+    const denied = this._permissionError(playerId);
+    if (denied) {
+      return { success: false, error: denied };
+    }
+
     // Validate type
     if (!ZONE_TYPES[type]) {
       return { success: false, error: `Invalid zone type: ${type}` };
@@ -123,9 +138,15 @@ class ZoneManager {
   /**
    * Delete a zone by ID.
    * @param {string} id
+   * @param {string} [playerId] - Player deleting it
    * @returns {{ success: boolean, error?: string }}
    */
-  deleteZone(id) {
+  deleteZone(id, playerId = null) {
+    const denied = this._permissionError(playerId);
+    if (denied) {
+      return { success: false, error: denied };
+    }
+
     const zone = this.zones.get(id);
     if (!zone) {
       return { success: false, error: `Zone not found: ${id}` };
@@ -288,6 +309,11 @@ class ZoneManager {
 
   // ── Internal helpers ───────────────────────────────────────
 
+  _permissionError(playerId) {
+    if (!this.getMembership) return null;
+    return permissionError(this.getMembership(), playerId, SETTLEMENT_PERMISSIONS.DESIGNATE_ZONES);
+  }
+
   _countByType(type) {
     let count = 0;
     for (const zone of this.zones.values()) {
@@ -14,6 +14,8 @@ vi.mock('../../../systems/chunks/coordinates', () => ({
   CHUNK_SIZE: 16,
   CHUNK_SIZE_Y: 64,
   VOXEL_SIZE: 2,
+  WORLD_MIN_Y: 0,
+  WORLD_MAX_Y: 64,
 }));
 
 function makeChunkAdapter(chunks, getBlockFn) {
@@ -30,7 +32,7 @@ function makeEmptyBlocks() {
 describe('scanForCampfire', () => {
   test('returns null when no chunks have campfires', () => {
     const blocks = makeEmptyBlocks();
-    const chunks = [{ x: 0, z: 0, blocks }];
+    const chunks = [{ x: 0, y: 0, z: 0, blocks }];
     const adapter = makeChunkAdapter(chunks);
     expect(scanForCampfire(adapter)).toBeNull();
   });
@@ -39,7 +41,7 @@ describe('scanForCampfire', () => {
     const blocks = makeEmptyBlocks();
     // Place campfire at local x=2, z=3, y=5 in chunk (0,0)
     blocks[2 + (3 << 4) + (5 << 8)] = 42; // CAMPFIRE
-    const chunks = [{ x: 0, z: 0, blocks }];
+    const chunks = [{ x: 0, y: 0, z: 0, blocks }];
     const adapter = makeChunkAdapter(chunks);
     const result = scanForCampfire(adapter);
     expect(result).not.toBeNull();
@@ -51,14 +53,23 @@ describe('scanForCampfire', () => {
     expect(result[2]).toBe(7);
   });
 
+  test('offsets world Y by the chunk Y coordinate', () => {
+    const blocks = makeEmptyBlocks();
+    blocks[2 + (3 << 4) + (5 << 8)] = 42; // CAMPFIRE
+    const chunks = [{ x: 0, y: 1, z: 0, blocks }];
+    const adapter = makeChunkAdapter(chunks);
+    // wy = (1*64 + 5) * 2 + 1 = 139
+    expect(scanForCampfire(adapter)[1]).toBe(139);
+  });
+
   test('returns first campfire found (early exit)', () => {
     const blocks1 = makeEmptyBlocks();
     const blocks2 = makeEmptyBlocks();
     blocks1[0 + (0 << 4) + (1 << 8)] = 42; // campfire at (0,1,0) in chunk 0
     blocks2[1 + (1 << 4) + (2 << 8)] = 42; // campfire at (1,2,1) in chunk 1
     const chunks = [
-      { x: 0, z: 0, blocks: blocks1 },
-      { x: 1, z: 0, blocks: blocks2 },
+      { x: 0, y: 0, z: 0, blocks: blocks1 },
+      { x: 1, y: 0, z: 0, blocks: blocks2 },
     ];
     const adapter = makeChunkAdapter(chunks);
     const result = scanForCampfire(adapter);
@@ -72,7 +83,7 @@ describe('scanForCampfire', () => {
   });
 
   test('handles chunk with null blocks', () => {
-    const chunks = [{ x: 0, z: 0, blocks: null }];
+    const chunks = [{ x: 0, y: 0, z: 0, blocks: null }];
     const adapter = makeChunkAdapter(chunks);
     expect(scanForCampfire(adapter)).toBeNull();
   });
@@ -4,7 +4,7 @@
 
 import FarmingZoneBehavior, { FARM_TILE_STATUS, FARM_TASK_TYPE } from '../FarmingZoneBehavior.js';
 import { ZONE_TYPES } from '../ZoneManager.js';
-import { FARM_GROW_TIME, FARM_HARVEST_YIELD } from '../../../data/tuning.js';
+import { FARM_GROW_TIME, FARM_HARVEST_YIELD, CORRUPTION_CROP_YIELD_PENALTY } from '../../../data/tuning.js';
 
 describe('FarmingZoneBehavior', () => {
   let farming;
@@ -137,6 +137,27 @@ describe('FarmingZoneBehavior', () => {
       expect(result.type).toBe('HARVEST');
       expect(result.yield).toBe(FARM_HARVEST_YIELD);
     });
+
+    test('should yield less on corrupted ground', () => {
+      farming = new FarmingZoneBehavior({
+        zoneManager: mockZoneManager,
+        settlementModule: mockSettlementModule,
+        corruptionAt: () => 100,
+      });
+      farming.onZoneCreated(farmZone);
+      farming.update(0);
+
+      const plantTask = farming.getAvailableTasks()[0];
+      farming.claimTask(plantTask.id, 'npc_1');
+      farming.completeTask(plantTask.id);
+      farming.update(FARM_GROW_TIME + 1);
+
+      const harvestTask = farming.getAvailableTasks().find(t => t.type === FARM_TASK_TYPE.HARVEST);
+      farming.claimTask(harvestTask.id, 'npc_1');
+      const result = farming.completeTask(harvestTask.id);
+
+      expect(result.yield).toBe(Math.floor(FARM_HARVEST_YIELD * (1 - CORRUPTION_CROP_YIELD_PENALTY)));
+    });
   });
 
   // ── Unattended Auto-Collection ─────────────────────────────
@@ -0,0 +1,157 @@
+/**
+ * SettlementMembers.test.js - Tests for co-op roles, permissions and the audit log
+ */
+
+import {
+  SETTLEMENT_ROLES,
+  SETTLEMENT_PERMISSIONS,
+  getRole,
+  can,
+  permissionError,
+  recordAudit,
+  claimSettlement,
+  inviteMember,
+  setMemberRole,
+  removeMember,
+} from '../SettlementMembers.js';
+import { SETTLEMENT_AUDIT_LOG_SIZE } from '../../../data/tuning.js';
+import useGameStore from '../../../stores/useGameStore';
+
+const { BUILDER, QUARTERMASTER, VISITOR, OWNER } = SETTLEMENT_ROLES;
+const P = SETTLEMENT_PERMISSIONS;
+
+// Owned by alice: bob builds, carol keeps the stores, dave visits
+function coopSettlement() {
+  return {
+    npcs: [],
+    ownerId: 'alice',
+    members: { bob: BUILDER, carol: QUARTERMASTER, dave: VISITOR },
+    auditLog: [],
+  };
+}
+
+describe('SettlementMembers', () => {
+  describe('Permissions', () => {
+    test('grants each role its permissions', () => {
+      const settlement = coopSettlement();
+      expect(getRole(settlement, 'alice')).toBe(OWNER);
+      expect(getRole(settlement, 'eve')).toBeNull();
+
+      expect(Object.values(P).every((permission) => can(settlement, 'alice', permission))).toBe(true);
+      expect(can(settlement, 'bob', P.DESIGNATE_ZONES)).toBe(true);
+      expect(can(settlement, 'bob', P.PLACE_BUILDINGS)).toBe(true);
+      expect(can(settlement, 'bob', P.COMMAND_NPCS)).toBe(true);
+      expect(can(settlement, 'bob', P.WITHDRAW)).toBe(false);
+      expect(can(settlement, 'carol', P.WITHDRAW)).toBe(true);
+      expect(can(settlement, 'carol', P.DESIGNATE_ZONES)).toBe(false);
+      expect(can(settlement, 'dave', P.DEPOSIT)).toBe(true);
+      expect(can(settlement, 'dave', P.WITHDRAW)).toBe(false);
+      expect(permissionError(settlement, 'dave', P.WITHDRAW)).toBe('A visitor may not withdraw from stockpiles');
+      expect(permissionError(settlement, 'eve', P.DEPOSIT)).toMatch(/not a member/);
+    });
+
+    test('lets the local game and unowned settlements do anything', () => {
+      expect(can(coopSettlement(), null, P.WITHDRAW)).toBe(true);
+      expect(can({ ownerId: null, members: {} }, 'eve', P.MANAGE_SETTLEMENT)).toBe(true);
+    });
+  });
+
+  describe('Membership', () => {
+    test('claims an unowned settlement once', () => {
+      const result = claimSettlement({ ownerId: null, members: { bob: VISITOR } }, 'bob');
+      expect(result.success).toBe(true);
+      expect(result.settlement.ownerId).toBe('bob');
+      expect(result.settlement.members).toEqual({});
+      expect(claimSettlement(result.settlement, 'carol').error).toMatch(/already owns/);
+    });
+
+    test('only the owner invites and changes roles', () => {
+      const settlement = coopSettlement();
+      expect(inviteMember(settlement, 'bob', 'eve', BUILDER).error).toBe('A builder may not manage the settlement');
+      expect(inviteMember(settlement, 'alice', 'eve', OWNER).error).toMatch(/Invalid role/);
+      expect(inviteMember(settlement, 'alice', 'bob', VISITOR).error).toMatch(/already a member/);
+      expect(inviteMember(settlement, 'alice', 'alice', VISITOR).error).toMatch(/owner/);
+
+      const invited = inviteMember(settlement, 'alice', 'eve', QUARTERMASTER);
+      expect(invited.settlement.members.eve).toBe(QUARTERMASTER);
+      expect(settlement.members.eve).toBeUndefined();
+
+      const promoted = setMemberRole(invited.settlement, 'alice', 'dave', BUILDER);
+      expect(promoted.settlement.members.dave).toBe(BUILDER);
+      expect(setMemberRole(invited.settlement, 'alice', 'zed', BUILDER).error).toMatch(/not a member/);
+      expect(inviteMember({ ownerId: null, members: {} }, null, 'eve', BUILDER).error).toMatch(/Nobody owns/);
+    });
+
+    test('removes members, who may also leave', () => {
+      const settlement = coopSettlement();
+      expect(removeMember(settlement, 'bob', 'carol').success).toBe(false);
+      expect(removeMember(settlement, 'bob', 'bob').settlement.members.bob).toBeUndefined();
+      expect(removeMember(settlement, 'alice', 'carol').settlement.members.carol).toBeUndefined();
+      expect(removeMember(settlement, 'alice', 'alice').success).toBe(false);
+    });
+  });
+
+  describe('Audit log', () => {
+    test('records who did what, newest last, within its size', () => {
+      let settlement = inviteMember(coopSettlement(), 'alice', 'eve', VISITOR).settlement;
+      expect(settlement.auditLog).toEqual([
+        { playerId: 'alice', action: 'inviteMember', details: { playerId: 'eve', role: VISITOR }, timestamp: expect.any(Number) },
+      ]);
+
+      expect(recordAudit(settlement, null, 'addZone')).toBe(settlement);
+      for (let i = 0; i < SETTLEMENT_AUDIT_LOG_SIZE; i++) {
+        settlement = recordAudit(settlement, 'bob', 'addZone', { zoneId: `z${i}` }, i);
+      }
+      expect(settlement.auditLog).toHaveLength(SETTLEMENT_AUDIT_LOG_SIZE);
+      expect(settlement.auditLog[0].details.zoneId).toBe('z0');
+      expect(settlement.auditLog.at(-1).details.zoneId).toBe(`z${SETTLEMENT_AUDIT_LOG_SIZE - 1}`);
+    });
+  });
+
+  describe('In the game store', () => {
+    beforeEach(() => {
+      useGameStore.getState().reset();
+    });
+
+    test('the founder owns the settlement and gates zones, stockpiles and buildings', () => {
+      const store = useGameStore.getState();
+      expect(store.setSettlementCenter([0, 10, 0], 'alice')).toEqual({ success: true });
+      expect(store.inviteSettlementMember({ playerId: 'bob', role: BUILDER }, 'alice').success).toBe(true);
+      expect(store.inviteSettlementMember({ playerId: 'dave', role: VISITOR }, 'alice').success).toBe(true);
+      expect(store.setSettlementCenter([5, 10, 5], 'bob').success).toBe(false);
+
+      expect(store.addZone({ id: 'z1', type: 'STOCKPILE' }, 'dave').error).toBe('A visitor may not designate zones');
+      expect(store.addZone({ id: 'z1', type: 'STOCKPILE' }, 'bob')).toEqual({ success: true });
+      useGameStore.setState((state) => ({
+        zones: state.zones.map((zone) => ({ ...zone, storage: { capacity: 100, usedCapacity: 5, items: { stone: 5 } } })),
+      }));
+
+      expect(store.withdrawFromStockpile('z1', 'stone', 2, 'bob').success).toBe(false);
+      expect(store.withdrawFromStockpile('z1', 'stone', 2, 'alice').success).toBe(true);
+      expect(store.withdrawFromStockpile('z1', 'stone', 1)).toEqual({ success: true, moved: 1 });
+      expect(store.withdrawFromStockpile('z1', 'iron', 1, 'alice')).toEqual({ success: false, error: 'No iron in the stockpile' });
+      expect(useGameStore.getState().zones[0].storage.items.stone).toBe(2);
+      // Only the local player's inventory is in this store
+      expect(useGameStore.getState().inventory.materials.stone).toBe(1);
+      // Another player's stockpile has nowhere to go
+      expect(store.removeZone('z1', 'bob').error).toBe('Empty the stockpile before removing it');
+
+      expect(store.placeConstructionSite('hut', [0, 10, 0], {}, 10, 'cs_1', 'dave').success).toBe(false);
+      expect(store.placeConstructionSite('hut', [0, 10, 0], {}, 10, 'cs_1', 'bob').success).toBe(true);
+      expect(useGameStore.getState().constructionSites).toHaveLength(1);
+
+      const { settlement } = useGameStore.getState();
+      expect(settlement.ownerId).toBe('alice');
+      expect(settlement.auditLog.map((entry) => [entry.playerId, entry.action])).toEqual([
+        ['alice', 'claimSettlement'],
+        ['alice', 'setSettlementCenter'],
+        ['alice', 'inviteMember'],
+        ['alice', 'inviteMember'],
+        ['bob', 'addZone'],
+        ['alice', 'withdrawFromStockpile'],
+        ['bob', 'placeConstructionSite'],
+      ]);
+      expect(settlement.auditLog[5].details).toEqual({ zoneId: 'z1', materialType: 'stone', amount: 2 });
+    });
+  });
+});
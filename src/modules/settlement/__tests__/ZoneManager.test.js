@@ -337,6 +337,31 @@ describe('ZoneManager', () => {
     });
   });
 
+  // ── Co-op Permissions ───────────────────────────────────────
+
+  describe('Co-op permissions', () => {
+    test('should only let players allowed to designate zones change them', () => {
+      const membership = { ownerId: 'alice', members: { bob: 'builder', carol: 'quartermaster' } };
+      const coopManager = new ZoneManager({ getMembership: () => membership });
+
+      const refused = coopManager.createZone({
+        type: ZONE_TYPES.MINING,
+        bounds: bounds(0, 0, 5, 5),
+        playerId: 'carol',
+      });
+      expect(refused).toEqual({ success: false, error: 'A quartermaster may not designate zones' });
+
+      const { zone } = coopManager.createZone({
+        type: ZONE_TYPES.MINING,
+        bounds: bounds(0, 0, 5, 5),
+        playerId: 'bob',
+      });
+      expect(coopManager.deleteZone(zone.id, 'carol').success).toBe(false);
+      expect(coopManager.deleteZone(zone.id, 'alice').success).toBe(true);
+      expect(coopManager.getZones()).toHaveLength(0);
+    });
+  });
+
   // ── Priority and Active State ───────────────────────────────
 
   describe('Priority and active state', () => {
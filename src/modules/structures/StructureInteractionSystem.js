@@ -17,6 +17,8 @@ ructure(structureId, player);
  */
 
 import { LootTableSystem } from '../environment/structures/LootTableSystem.js';
+import { Structure } from '../environment/structures/Structure.js';
+import { getTemplate } from '../../config/environment/structures/structureTemplates.js';
 
 /**
  * Structure exploration states
@@ -58,7 +60,8 @@ const STRUCTURE_LOOT_TABLES = {
 export class StructureInteractionSystem {
   /**
    * Create structure interaction system
-   * @param {object} structureGenerator - StructureGenerator instance
+   * @param {object|null} structureGenerator - StructureGenerator instance, or
+   *   null when structures come only from registerPlacedStructure
    * @param {object} options - Configuration options
    */
   constructor(structureGenerator, options = {}) {
@@ -81,6 +84,9 @@ export class StructureInteractionSystem {
     // Loot chests (chestId -> chest data)
     this.lootChests = new Map();
 
+    // Structures stamped into the voxel world (structureId -> Structure)
+    this.placedStructures = new Map();
+
     // Player interaction state
     this.playerInteractions = new Map(); // playerId -> { currentChest, interactingWith }
 
@@ -110,7 +116,8 @@ export class StructureInteractionSystem {
    * @returns {object} Discovery result
    */
   discoverStructure(structureId, player) {
-    const structure = this.structureGenerator.structuresById.get(structureId);
+    const structure = this.structureGenerator?.structuresById.get(structureId) ??
+      this.placedStructures.get(structureId);
     if (!structure) {
       return { success: false, reason: 'structure_not_found' };
     }
@@ -123,7 +130,7 @@ export class StructureInteractionSystem {
     // Create exploration state
     const state = {
       structureId,
-      structureType: structure.type,
+      structureType: structure.type ?? structure.template?.type,
       discoveredAt: Date.now(),
       discoveredBy: player.id || 'player',
       explorationState: EXPLORATION_STATE.DISCOVERED,
@@ -132,8 +139,13 @@ export class StructureInteractionSystem {
       lootCollected: [],
     };
 
-    // Generate loot chests for this structure
-    this._generateChestsForStructure(structure, state);
+    // Placed structures already have chests where their containers stand
+    const placedChests = this.getStructureChests(structureId);
+    if (placedChests.length > 0) {
+      state.totalChests = placedChests.length;
+    } else {
+      this._generateChestsForStructure(structure, state);
+    }
 
     this.explorationStates.set(structureId, state);
     this.stats.structuresDiscovered++;
@@ -152,6 +164,44 @@ export class StructureInteractionSystem {
     };
   }
 
+  /**
+   * Register a structure stamped into the voxel world (see
+   * StructurePlacer.stamp), with a chest for each container it placed.
+   * Chest positions are voxel coordinates. Registering a structure again, or
+   * one whose chests were restored from a save, adds no chests.
+   * @param {object} placement - { id, templateId, position, rotation, baseY, containers }
+   * @returns {Structure|null} Registered structure, or null for an unknown template
+   */
+  registerPlacedStructure(placement) {
+    const existing = this.placedStructures.get(placement.id);
+    if (existing) return existing;
+
+    const template = getTemplate(placement.templateId);
+    if (!template) return null;
+
+    const structure = new Structure(placement.id, placement.templateId, template, { ...placement.position }, placement.rotation);
+    structure.baseY = placement.baseY;
+    this.placedStructures.set(structure.id, structure);
+
+    if (this.getStructureChests(structure.id).length > 0) return structure;
+
+    for (const container of placement.containers) {
+      const chest = {
+        id: `chest_${this.nextChestId++}`,
+        structureId: structure.id,
+        position: { x: container.x, y: container.y, z: container.z },
+        lootTable: container.lootTable,
+        opened: false,
+        loot: null, // Generated when opened
+        type: this._determineChestType(template.type),
+      };
+
+      this.lootChests.set(chest.id, chest);
+    }
+
+    return structure;
+  }
+
   /**
    * Generate loot chests for a structure
    * @private
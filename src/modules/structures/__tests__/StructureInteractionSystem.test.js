@@ -241,6 +241,56 @@ describe('StructureInteractionSystem', () => {
     });
   });
 
+  describe('Placed Structures', () => {
+    const placement = {
+      id: 'struct_47_-86',
+      templateId: 'small_ruin_1',
+      position: { x: 47, z: -86 },
+      rotation: 90,
+      baseY: 11,
+      containers: [{ x: 48, y: 12, z: -85, lootTable: 'ruins_common' }],
+    };
+
+    it('should create a chest at each placed container', () => {
+      const structure = interactionSystem.registerPlacedStructure(placement);
+
+      expect(structure.templateId).toBe('small_ruin_1');
+      expect(structure.baseY).toBe(11);
+      const chests = interactionSystem.getStructureChests('struct_47_-86');
+      expect(chests).toHaveLength(1);
+      expect(chests[0].position).toEqual({ x: 48, y: 12, z: -85 });
+      expect(chests[0].lootTable).toBe('ruins_common');
+    });
+
+    it('should not add chests when registered again', () => {
+      interactionSystem.registerPlacedStructure(placement);
+      interactionSystem.registerPlacedStructure(placement);
+
+      const restored = new StructureInteractionSystem(null);
+      restored.deserialize(interactionSystem.serialize());
+      restored.registerPlacedStructure(placement);
+
+      expect(interactionSystem.lootChests.size).toBe(1);
+      expect(restored.lootChests.size).toBe(1);
+    });
+
+    it('should discover placed structures with their placed chests', () => {
+      const system = new StructureInteractionSystem(null);
+      system.registerPlacedStructure(placement);
+
+      const result = system.discoverStructure('struct_47_-86', mockPlayer);
+
+      expect(result.success).toBe(true);
+      expect(result.chestCount).toBe(1);
+      expect(result.state.structureType).toBe('ruin');
+      expect(system.lootChests.size).toBe(1);
+    });
+
+    it('should ignore unknown templates', () => {
+      expect(interactionSystem.registerPlacedStructure({ ...placement, templateId: 'missing' })).toBeNull();
+    });
+  });
+
   describe('Chest Interaction', () => {
     let chestId;
 
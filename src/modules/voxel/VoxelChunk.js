@@ -25,6 +25,7 @@
  */
 
 import { BlockType } from './BlockTypes.js';
+import { blockRegistry, BLOCK_REGISTRY_VERSION } from '../../systems/chunks/BlockRegistry.js';
 
 export class VoxelChunk {
   /**
@@ -504,7 +505,8 @@ export class VoxelChunk {
       chunkY: this.chunkY,
       config: this.config,
       blocks: rleBlocks,
-      stats: this.stats
+      stats: this.stats,
+      blockRegistryVersion: BLOCK_REGISTRY_VERSION
     };
 
     // Only include metadata if it exists and has non-zero values
@@ -529,6 +531,11 @@ export class VoxelChunk {
     // Decode RLE blocks
     chunk.blocks = chunk._runLengthDecode(data.blocks, chunk.totalBlocks);
 
+    // Saves from before the shared block registry use legacy voxel IDs
+    if (data.blockRegistryVersion === undefined) {
+      blockRegistry.translateLegacyBlocks(chunk.blocks);
+    }
+
     // Decode metadata if present
     if (data.metadata) {
       chunk.metadata = chunk._runLengthDecode(data.metadata, chunk.totalBlocks);
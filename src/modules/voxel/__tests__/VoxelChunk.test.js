@@ -308,6 +308,22 @@ describe('VoxelChunk', () => {
 
       expect(restored.stats.nonAirBlocks).toBe(2);
     });
+
+    it('should translate legacy voxel block IDs on load', () => {
+      const chunk = new VoxelChunk(0, 0);
+      chunk.setBlock(0, 0, 0, BlockType.STONE);
+
+      // Saves from before the shared block registry carry no version and
+      // store STONE as 3
+      const json = chunk.toJSON();
+      delete json.blockRegistryVersion;
+      json.blocks = [[3, 1], [0, chunk.totalBlocks - 1]];
+
+      const restored = VoxelChunk.fromJSON(json);
+
+      expect(restored.getBlock(0, 0, 0)).toBe(BlockType.STONE);
+      expect(restored.getBlock(1, 0, 0)).toBe(BlockType.AIR);
+    });
   });
 
   describe('Iteration', () => {
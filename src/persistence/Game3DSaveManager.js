@@ -7,10 +7,16 @@
  * - Game progress
  *
  * Uses binary serialization for chunk data to minimize main-thread overhead.
- * Chunk blocks + heightmap are stored as compact ArrayBuffers in IndexedDB.
+ * Chunk blocks + heightmap are stored as compact ArrayBuffers in IndexedDB,
+ * one record per 16³ chunk so stacked chunks save and load independently.
+ *
+ * Pre-generated worlds (WorldBundle.js) are imported into a slot with
+ * importWorld() and then loaded like a normal save.
  */
 
-import { Chunk } from '../systems/chunks/Chunk';
+import { Chunk, LEGACY_COLUMN_HEIGHT } from '../systems/chunks/Chunk';
+import { createChunkRecord, readWorldBundle } from './WorldBundle';
+import { createSaveData, migrateSaveData, applySaveData } from './SaveData';
 
 // eslint-disable-next-line no-unused-vars
 const SAVE_KEY = 'voxel3d-save';
@@ -64,89 +70,8 @@ class Game3DSaveManager {
       await this.dbReady;
       const state = store.getState ? store.getState() : store;
 
-      // Extract player state
-      const playerState = {
-        position: state.player.position,
-        health: state.player.health,
-        maxHealth: state.player.maxHealth,
-        mana: state.player.mana,
-        maxMana: state.player.maxMana,
-        stamina: state.player.stamina,
-        level: state.player.level,
-        xp: state.player.xp,
-        xpToNext: state.player.xpToNext,
-        damage: state.player.damage,
-        defense: state.player.defense,
-      };
-
-      // Extract inventory
-      const inventoryState = {
-        gold: state.inventory.gold,
-        essence: state.inventory.essence,
-        crystals: state.inventory.crystals,
-        potions: state.inventory.potions,
-        items: state.inventory.items,
-        materials: state.inventory.materials,
-      };
-
-      // Extract equipment
-      const equipmentState = { ...state.equipment };
-
-      // Character progress
-      const characterState = state.character ? { ...state.character } : null;
-
-      // Camera state
-      const cameraState = {
-        firstPerson: state.camera.firstPerson,
-        rotationAngle: state.camera.rotationAngle,
-        distance: state.camera.distance,
-        height: state.camera.height,
-      };
-
-      // Hunger state
-      const hungerState = state.hunger ? { ...state.hunger } : null;
-
-      // World time state
-      const worldTimeState = state.worldTime ? {
-        elapsed: state.worldTime.elapsed,
-        timeOfDay: state.worldTime.timeOfDay,
-        dayNumber: state.worldTime.dayNumber,
-        isNight: state.worldTime.isNight,
-        period: state.worldTime.period,
-        hour: state.worldTime.hour,
-        minute: state.worldTime.minute,
-        timeScale: state.worldTime.timeScale,
-      } : null;
-
-      // Settlement state
-      const settlementState = state.settlement ? {
-        npcs: state.settlement.npcs,
-        settlementCenter: state.settlement.settlementCenter,
-        attractiveness: state.settlement.attractiveness,
-      } : null;
-
-      // Zones state
-      const zonesState = state.zones || [];
-
-      // Construction sites state
-      const constructionSitesState = state.constructionSites || [];
-
       // Main save data
-      const saveData = {
-        slot,
-        version: 5,
-        savedAt: Date.now(),
-        player: playerState,
-        inventory: inventoryState,
-        equipment: equipmentState,
-        character: characterState,
-        camera: cameraState,
-        hunger: hungerState,
-        worldTime: worldTimeState,
-        settlement: settlementState,
-        zones: zonesState,
-        constructionSites: constructionSitesState,
-      };
+      const saveData = createSaveData(state, slot);
 
       // Save main state
       const transaction = this.db.transaction(['saves'], 'readwrite');
@@ -193,15 +118,9 @@ class Game3DSaveManager {
 
     const promises = [];
 
-    for (const [key, chunk] of chunkManager.chunks) {
+    for (const chunk of chunkManager.chunks.values()) {
       if (chunk.isDirty || chunk.lastModified > 0) {
-        const chunkData = {
-          key: `${slot}-${key}`,
-          slot,
-          chunkKey: key,
-          binaryData: chunk.serializeBinary(), // Compact ArrayBuffer
-          lastModified: chunk.lastModified,
-        };
+        const chunkData = createChunkRecord(slot, chunk);
 
         promises.push(new Promise((resolve, reject) => {
           const request = store.put(chunkData);
@@ -241,109 +160,9 @@ class Game3DSaveManager {
         };
       }
 
-      // Migrate V1 saves → V2 (add hunger + worldTime defaults)
-      if (!saveData.version || saveData.version < 2) {
-        saveData.hunger = saveData.hunger || { current: 100, max: 100, drainRate: 1 };
-        saveData.worldTime = saveData.worldTime || null; // Let store defaults handle it
-        saveData.version = 2;
-      }
-
-      // Migrate V2 saves → V3 (add settlement)
-      if (saveData.version < 3) {
-        saveData.settlement = null; // Let store defaults handle it
-        saveData.version = 3;
-      }
-
-      // Migrate V3 saves → V4 (add zones)
-      if (saveData.version < 4) {
-        saveData.zones = [];
-        saveData.version = 4;
-      }
-
-      // Migrate V4 saves → V5 (add construction sites)
-      if (saveData.version < 5) {
-        saveData.constructionSites = [];
-        saveData.version = 5;
-      }
-
-      // Restore player state
-      if (store.updatePlayer) {
-        store.updatePlayer(saveData.player);
-      }
-
-      // Restore inventory
-      if (store.setState) {
-        store.setState({ inventory: saveData.inventory });
-      }
-
-      // Restore equipment
-      if (saveData.equipment && store.setState) {
-        store.setState({ equipment: saveData.equipment });
-      }
-
-      // Restore camera
-      if (saveData.camera && store.updateCamera) {
-        store.updateCamera(saveData.camera);
-      }
-
-      // Restore hunger
-      if (saveData.hunger && store.setState) {
-        store.setState({ hunger: saveData.hunger });
-      }
-
-      // Restore world time
-      if (saveData.worldTime && store.setState) {
-        store.setState({ worldTime: { ...saveData.worldTime, paused: false } });
-      }
-
-      // Restore settlement
-      if (saveData.settlement && store.setState) {
-        // Collect carried items so they can be returned to inventory after state restore
-        const lostItems = [];
-        // Reset ephemeral work fields on all NPCs
-        const npcs = (saveData.settlement.npcs || []).map(npc => {
-          if (npc.carryingItem) {
-            lostItems.push(npc.carryingItem);
-          }
-          return {
-            ...npc,
-            // Reset work-loop ephemeral state
-            ...(npc.state?.startsWith('WORKING_') ? { state: 'IDLE', stateTimer: 0 } : {}),
-            currentTaskId: null,
-            savedTaskId: null,
-            workTimer: 0,
-            carryingItem: null,
-            haulPhase: null,
-            thoughtBubble: null,
-          };
-        });
-        store.setState({
-          settlement: {
-            npcs,
-            attractiveness: saveData.settlement.attractiveness || 0,
-            settlementCenter: saveData.settlement.settlementCenter || null,
-            lastImmigrationCheck: 0,
-            lastAttractivenessCalc: 0,
-            lastNeedsUpdate: 0,
-          },
-        });
-        // Return carried items to player inventory
-        for (const item of lostItems) {
-          if (item.material && item.amount) {
-            store.getState().addMaterial(item.material, item.amount);
-          }
-        }
-      }
-
-      // Restore zones
-      if (saveData.zones && store.setState) {
-        store.setState({ zones: saveData.zones });
-      }
+      migrateSaveData(saveData);
 
-      // Restore construction sites
-      if (saveData.constructionSites && store.setState) {
-        store.setState({ constructionSites: saveData.constructionSites });
-      }
+      applySaveData(store, saveData);
 
       // Load modified chunks
       if (chunkManager) {
@@ -367,7 +186,10 @@ class Game3DSaveManager {
 
   /**
    * Load modified chunks from IndexedDB using binary deserialization.
-   * Supports both binary format (new) and legacy JSON array format.
+   * Supports the stacked binary format, pre-stacking 16x32x16 column
+   * records (split into chunkY 0 and 1) and the legacy JSON array format.
+   * Chunks that aren't loaded yet are handed to the ChunkManager and
+   * applied when they come into range.
    */
   async _loadModifiedChunks(chunkManager, slot) {
     const transaction = this.db.transaction(['chunks'], 'readonly');
@@ -380,29 +202,93 @@ class Game3DSaveManager {
       request.onerror = () => reject(request.error);
     });
 
-    // Apply saved chunk data
+    // Column records predate stacking — apply them first so any stacked
+    // record saved since then for the same chunk wins.
+    const restored = [];
     for (const chunkData of chunks) {
-      if (chunkData.binaryData) {
-        // New binary format
-        const restored = Chunk.deserializeBinary(chunkData.binaryData);
-        const chunk = chunkManager.getChunk(restored.x, restored.z);
-        if (chunk) {
-          chunk.blocks = restored.blocks;
-          chunk.heightMap = restored.heightMap;
-          chunk.lastModified = chunkData.lastModified;
-          chunk.meshDirty = true;
-        }
+      if (chunkData.binaryData && Chunk.isLegacyColumnBinary(chunkData.binaryData)) {
+        restored.unshift(...this._stampModified(
+          Chunk.splitLegacyColumn(chunkData.binaryData), chunkData.lastModified
+        ));
+      } else if (chunkData.binaryData) {
+        restored.push(...this._stampModified(
+          [Chunk.deserializeBinary(chunkData.binaryData)], chunkData.lastModified
+        ));
       } else if (chunkData.blocks) {
-        // Legacy JSON array format
-        const chunk = chunkManager.getChunk(chunkData.x, chunkData.z);
-        if (chunk) {
-          chunk.blocks = new Uint8Array(chunkData.blocks);
-          chunk.heightMap = new Uint8Array(chunkData.heightMap);
-          chunk.lastModified = chunkData.lastModified;
-          chunk.meshDirty = true;
-        }
+        // Legacy JSON array format (16x32x16 column)
+        restored.unshift(...this._stampModified(
+          Chunk.splitLegacyColumn(this._columnToBinary(chunkData.x, chunkData.z, chunkData.blocks)),
+          chunkData.lastModified
+        ));
       }
     }
+
+    for (const chunk of restored) {
+      chunkManager.restoreChunk(chunk);
+    }
+  }
+
+  /**
+   * Carry a record's lastModified onto restored chunks so they keep saving
+   */
+  _stampModified(chunks, lastModified) {
+    for (const chunk of chunks) {
+      chunk.lastModified = lastModified || Date.now();
+    }
+    return chunks;
+  }
+
+  /**
+   * Pack a legacy JSON column into the pre-stacking binary layout
+   */
+  _columnToBinary(x, z, blocks) {
+    const blockCount = LEGACY_COLUMN_HEIGHT * 256;
+    const buffer = new ArrayBuffer(8 + blockCount + 256);
+    const view = new DataView(buffer);
+    view.setInt32(0, x, true);
+    view.setInt32(4, z, true);
+    new Uint8Array(buffer, 8, blockCount).set(blocks.slice(0, blockCount));
+    return buffer;
+  }
+
+  /**
+   * Import a pre-generated world bundle (see WorldBundle.js) into a save
+   * slot, replacing whatever the slot held. Load it with loadGame().
+   * @param {Object} bundle - Parsed world bundle JSON
+   * @param {string} [slot] - Save slot; defaults to the bundle's own
+   * @returns {Promise<Object>} Result with success/error and the slot used
+   */
+  async importWorld(bundle, slot) {
+    try {
+      const { save, chunks } = readWorldBundle(bundle, slot);
+      await this.dbReady;
+      await this.deleteSave(save.slot);
+
+      const transaction = this.db.transaction(['saves', 'chunks'], 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+      transaction.objectStore('saves').put(save);
+      const chunkStore = transaction.objectStore('chunks');
+      for (const record of chunks) {
+        chunkStore.put(record);
+      }
+      await done;
+
+      return {
+        success: true,
+        message: `Imported ${chunks.length} chunks into slot: ${save.slot}`,
+        slot: save.slot,
+      };
+    } catch (error) {
+      console.error('Failed to import world:', error);
+      return {
+        success: false,
+        message: `Import failed: ${error.message}`,
+        error,
+      };
+    }
   }
 
   /**
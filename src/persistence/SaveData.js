@@ -0,0 +1,263 @@
+/**
+ * SaveData - The game's save record, separate from where it is stored
+ *
+ * createSaveData() builds the `saves` record Game3DSaveManager writes to
+ * IndexedDB from the game store; migrateSaveData() brings an older record up
+ * to SAVE_VERSION; applySaveData() puts a record back into the store. Chunks
+ * are stored separately and aren't part of the record.
+ *
+ * Nothing here touches IndexedDB, so replays (ReplaySystem.js) and headless
+ * tools can start from a save too. See docs/SAVE_FILE_FORMAT.md.
+ */
+
+export const SAVE_VERSION = 6;
+
+/**
+ * Build a save record from the game state
+ * @param {Object} state - Game store state
+ * @param {string} [slot='default'] - Save slot name
+ * @returns {Object} `saves` record
+ */
+export function createSaveData(state, slot = 'default') {
+  // Extract player state
+  const playerState = {
+    position: state.player.position,
+    health: state.player.health,
+    maxHealth: state.player.maxHealth,
+    mana: state.player.mana,
+    maxMana: state.player.maxMana,
+    stamina: state.player.stamina,
+    level: state.player.level,
+    xp: state.player.xp,
+    xpToNext: state.player.xpToNext,
+    damage: state.player.damage,
+    defense: state.player.defense,
+  };
+
+  // Extract inventory
+  const inventoryState = {
+    gold: state.inventory.gold,
+    essence: state.inventory.essence,
+    crystals: state.inventory.crystals,
+    potions: state.inventory.potions,
+    items: state.inventory.items,
+    materials: state.inventory.materials,
+  };
+
+  // Extract equipment
+  const equipmentState = { ...state.equipment };
+
+  // Character progress
+  const characterState = state.character ? { ...state.character } : null;
+
+  // Camera state
+  const cameraState = {
+    firstPerson: state.camera.firstPerson,
+    rotationAngle: state.camera.rotationAngle,
+    distance: state.camera.distance,
+    height: state.camera.height,
+  };
+
+  // Hunger state
+  const hungerState = state.hunger ? { ...state.hunger } : null;
+
+  // World time state
+  const worldTimeState = state.worldTime ? {
+    elapsed: state.worldTime.elapsed,
+    timeOfDay: state.worldTime.timeOfDay,
+    dayNumber: state.worldTime.dayNumber,
+    isNight: state.worldTime.isNight,
+    period: state.worldTime.period,
+    hour: state.worldTime.hour,
+    minute: state.worldTime.minute,
+    timeScale: state.worldTime.timeScale,
+  } : null;
+
+  // Settlement state
+  const settlementState = state.settlement ? {
+    npcs: state.settlement.npcs,
+    settlementCenter: state.settlement.settlementCenter,
+    attractiveness: state.settlement.attractiveness,
+    ownerId: state.settlement.ownerId ?? null,
+    members: state.settlement.members || {},
+    auditLog: state.settlement.auditLog || [],
+  } : null;
+
+  // Zones state
+  const zonesState = state.zones || [];
+
+  // Construction sites state
+  const constructionSitesState = state.constructionSites || [];
+
+  // Blueprints captured by the player
+  const playerBlueprintsState = state.playerBlueprints || [];
+
+  // Main save data
+  return {
+    slot,
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    player: playerState,
+    inventory: inventoryState,
+    equipment: equipmentState,
+    character: characterState,
+    camera: cameraState,
+    hunger: hungerState,
+    worldTime: worldTimeState,
+    settlement: settlementState,
+    zones: zonesState,
+    constructionSites: constructionSitesState,
+    playerBlueprints: playerBlueprintsState,
+  };
+}
+
+/**
+ * Bring a save record from an older version up to SAVE_VERSION, in place
+ * @param {Object} saveData
+ * @returns {Object} The same record
+ */
+export function migrateSaveData(saveData) {
+  // Migrate V1 saves → V2 (add hunger + worldTime defaults)
+  if (!saveData.version || saveData.version < 2) {
+    saveData.hunger = saveData.hunger || { current: 100, max: 100, drainRate: 1 };
+    saveData.worldTime = saveData.worldTime || null; // Let store defaults handle it
+    saveData.version = 2;
+  }
+
+  // Migrate V2 saves → V3 (add settlement)
+  if (saveData.version < 3) {
+    saveData.settlement = null; // Let store defaults handle it
+    saveData.version = 3;
+  }
+
+  // Migrate V3 saves → V4 (add zones)
+  if (saveData.version < 4) {
+    saveData.zones = [];
+    saveData.version = 4;
+  }
+
+  // Migrate V4 saves → V5 (add construction sites)
+  if (saveData.version < 5) {
+    saveData.constructionSites = [];
+    saveData.version = 5;
+  }
+
+  // Migrate V5 saves → V6 (add player blueprints)
+  if (saveData.version < 6) {
+    saveData.playerBlueprints = [];
+    saveData.version = 6;
+  }
+
+  return saveData;
+}
+
+/**
+ * Restore a save record into the game store. Sections the record doesn't
+ * have (an imported world carries little more than a position) are left alone.
+ * @param {Object} store - The game store (useGameStore), or its state
+ * @param {Object} saveData - A migrated save record
+ */
+export function applySaveData(store, saveData) {
+  // Store actions live on the state; setState lives on the store itself
+  const actions = store.getState ? store.getState() : store;
+  const storeApi = {
+    updatePlayer: actions.updatePlayer,
+    updateCamera: actions.updateCamera,
+    setState: store.setState,
+    getState: store.getState || (() => store),
+  };
+
+  // Restore player state (imported worlds carry only a position)
+  if (saveData.player && storeApi.updatePlayer) {
+    storeApi.updatePlayer(saveData.player);
+  }
+
+  // Restore inventory
+  if (saveData.inventory && storeApi.setState) {
+    storeApi.setState({ inventory: saveData.inventory });
+  }
+
+  // Restore equipment
+  if (saveData.equipment && storeApi.setState) {
+    storeApi.setState({ equipment: saveData.equipment });
+  }
+
+  // Restore camera
+  if (saveData.camera && storeApi.updateCamera) {
+    storeApi.updateCamera(saveData.camera);
+  }
+
+  // Restore hunger
+  if (saveData.hunger && storeApi.setState) {
+    storeApi.setState({ hunger: saveData.hunger });
+  }
+
+  // Restore world time
+  if (saveData.worldTime && storeApi.setState) {
+    storeApi.setState({ worldTime: { ...saveData.worldTime, paused: false } });
+  }
+
+  // Restore settlement
+  if (saveData.settlement && storeApi.setState) {
+    // Collect carried items so they can be returned to inventory after state restore
+    const lostItems = [];
+    // Reset ephemeral work fields on all NPCs
+    const npcs = (saveData.settlement.npcs || []).map(npc => {
+      if (npc.carryingItem) {
+        lostItems.push(npc.carryingItem);
+      }
+      return {
+        ...npc,
+        // Reset work-loop ephemeral state
+        ...(npc.state?.startsWith('WORKING_') ? { state: 'IDLE', stateTimer: 0 } : {}),
+        currentTaskId: null,
+        savedTaskId: null,
+        workTimer: 0,
+        carryingItem: null,
+        haulPhase: null,
+        thoughtBubble: null,
+      };
+    });
+    storeApi.setState({
+      settlement: {
+        npcs,
+        attractiveness: saveData.settlement.attractiveness || 0,
+        settlementCenter: saveData.settlement.settlementCenter || null,
+        lastImmigrationCheck: 0,
+        lastAttractivenessCalc: 0,
+        lastNeedsUpdate: 0,
+        ownerId: saveData.settlement.ownerId || null,
+        members: saveData.settlement.members || {},
+        auditLog: saveData.settlement.auditLog || [],
+      },
+    });
+    // Return carried items to player inventory
+    for (const item of lostItems) {
+      if (item.material && item.amount) {
+        storeApi.getState().addMaterial(item.material, item.amount);
+      }
+    }
+  }
+
+  // Restore zones
+  if (saveData.zones && storeApi.setState) {
+    storeApi.setState({ zones: saveData.zones });
+  }
+
+  // Restore construction sites
+  if (saveData.constructionSites && storeApi.setState) {
+    storeApi.setState({ constructionSites: saveData.constructionSites });
+  }
+
+  // Restore player blueprints
+  if (saveData.playerBlueprints && storeApi.setState) {
+    storeApi.setState({ playerBlueprints: saveData.playerBlueprints });
+  }
+}
+
+export default {
+  SAVE_VERSION,
+  createSaveData,
+  migrateSaveData,
+  applySaveData,
+};
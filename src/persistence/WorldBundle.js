@@ -0,0 +1,125 @@
+/**
+ * WorldBundle - Pre-generated worlds as portable JSON
+ *
+ * A world bundle holds one save record and the chunk records that
+ * Game3DSaveManager keeps in IndexedDB, with each chunk binary base64-encoded
+ * so the whole thing is plain JSON. scripts/pregen-world.js writes bundles
+ * from Node; Game3DSaveManager.importWorld() writes one into a save slot,
+ * which then loads like any other save. See docs/SAVE_FILE_FORMAT.md.
+ *
+ * Nothing here touches IndexedDB, so it runs headless.
+ */
+
+import { SAVE_VERSION } from './SaveData';
+
+export const WORLD_BUNDLE_FORMAT = 'voxel3d-world';
+export const WORLD_BUNDLE_VERSION = 1;
+
+/**
+ * IndexedDB `chunks` record for a chunk, as Game3DSaveManager stores it
+ * @param {string} slot
+ * @param {Object} chunk - Chunk
+ * @param {ArrayBuffer} [binaryData] - Defaults to chunk.serializeBinary()
+ * @returns {{key: string, slot: string, chunkKey: string, binaryData: ArrayBuffer, lastModified: number}}
+ */
+export function createChunkRecord(slot, chunk, binaryData = chunk.serializeBinary()) {
+  return {
+    key: `${slot}-${chunk.key}`,
+    slot,
+    chunkKey: chunk.key,
+    binaryData, // Compact ArrayBuffer
+    lastModified: chunk.lastModified,
+  };
+}
+
+/**
+ * Encode binary data as base64
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function encodeBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so String.fromCharCode never gets too many arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into binary data
+ * @param {string} base64
+ * @returns {ArrayBuffer}
+ */
+export function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/**
+ * Bundle generated chunks into a new save
+ * @param {Object} options
+ * @param {number} options.seed - Seed the chunks were generated with
+ * @param {Array<Object>} options.chunks - Chunks to store
+ * @param {number[]} options.spawn - Player start position [x, y, z]
+ * @param {string} [options.slot='pregen'] - Slot the save imports into by default
+ * @param {number} [options.createdAt=Date.now()]
+ * @returns {Object} JSON-safe world bundle
+ */
+export function createWorldBundle({ seed, chunks, spawn, slot = 'pregen', createdAt = Date.now() }) {
+  return {
+    format: WORLD_BUNDLE_FORMAT,
+    version: WORLD_BUNDLE_VERSION,
+    seed,
+    createdAt,
+    save: {
+      slot,
+      version: SAVE_VERSION,
+      savedAt: createdAt,
+      world: { seed },
+      player: { position: spawn },
+    },
+    chunks: chunks.map((chunk) => ({
+      chunkKey: chunk.key,
+      // Marked modified so the chunks keep saving once the game loads them
+      lastModified: createdAt,
+      binaryData: encodeBase64(chunk.serializeBinary()),
+    })),
+  };
+}
+
+/**
+ * Unpack a world bundle into IndexedDB records
+ * @param {Object} bundle - From createWorldBundle(), parsed JSON
+ * @param {string} [slot] - Save slot; defaults to the bundle's own
+ * @returns {{save: Object, chunks: Array<Object>}} A `saves` record and `chunks` records
+ */
+export function readWorldBundle(bundle, slot) {
+  if (!bundle || bundle.format !== WORLD_BUNDLE_FORMAT) {
+    throw new Error('WorldBundle: not a world bundle');
+  }
+  if (bundle.version !== WORLD_BUNDLE_VERSION) {
+    throw new Error(`WorldBundle: unsupported bundle version ${bundle.version}`);
+  }
+
+  const saveSlot = slot || bundle.save.slot;
+  return {
+    save: { ...bundle.save, slot: saveSlot },
+    chunks: bundle.chunks.map((record) => createChunkRecord(
+      saveSlot,
+      { key: record.chunkKey, lastModified: record.lastModified },
+      decodeBase64(record.binaryData)
+    )),
+  };
+}
+
+export default {
+  createChunkRecord,
+  createWorldBundle,
+  readWorldBundle,
+  encodeBase64,
+  decodeBase64,
+};
@@ -0,0 +1,39 @@
+import useGameStore from '../../stores/useGameStore';
+import { SAVE_VERSION, createSaveData, migrateSaveData, applySaveData } from '../SaveData';
+
+describe('SaveData', () => {
+  beforeEach(() => {
+    useGameStore.getState().reset();
+  });
+
+  it('round-trips player, camera and inventory through the store', () => {
+    const state = useGameStore.getState();
+    state.updatePlayer({ position: [5, 60, -3], xp: 40 });
+    state.updateCamera({ distance: 22 });
+    state.addMaterial('stone', 9);
+    const saveData = JSON.parse(JSON.stringify(createSaveData(useGameStore.getState(), 'slot-a')));
+    expect(saveData).toMatchObject({ slot: 'slot-a', version: SAVE_VERSION });
+
+    useGameStore.getState().reset();
+    useGameStore.getState().removeMaterial('stone', 9);
+    // The hook itself, as PauseMenu passes it
+    applySaveData(useGameStore, saveData);
+
+    const restored = useGameStore.getState();
+    expect(restored.player.position).toEqual([5, 60, -3]);
+    expect(restored.player.xp).toBe(40);
+    expect(restored.camera.distance).toBe(22);
+    expect(restored.inventory.materials.stone).toBe(saveData.inventory.materials.stone);
+  });
+
+  it('migrates a version 1 save', () => {
+    const saveData = migrateSaveData({ version: 1, player: {} });
+    expect(saveData).toMatchObject({
+      version: SAVE_VERSION,
+      hunger: { current: 100, max: 100 },
+      zones: [],
+      constructionSites: [],
+      playerBlueprints: [],
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import {
+  createWorldBundle, readWorldBundle, createChunkRecord, encodeBase64, decodeBase64,
+} from '../WorldBundle';
+import Game3DSaveManager from '../Game3DSaveManager';
+import { Chunk } from '../../systems/chunks/Chunk';
+import { BlockTypes } from '../../systems/chunks/blockTypes';
+
+function makeChunk(x, y, z) {
+  const chunk = new Chunk(x, y, z);
+  chunk.setBlock(1, 2, 3, BlockTypes.STONE);
+  chunk.setBlock(4, 5, 6, BlockTypes.COAL_ORE);
+  return chunk;
+}
+
+describe('WorldBundle', () => {
+  it('round-trips binary data through base64', () => {
+    const bytes = new Uint8Array(70000).map((_, i) => (i * 31) & 0xff);
+    expect(new Uint8Array(decodeBase64(encodeBase64(bytes.buffer)))).toEqual(bytes);
+  });
+
+  it('survives JSON and unpacks into save and chunk records', () => {
+    const chunk = makeChunk(2, -1, 3);
+    const bundle = JSON.parse(JSON.stringify(
+      createWorldBundle({ seed: 7, chunks: [chunk], spawn: [1, 2, 3], createdAt: 1000 })
+    ));
+    const { save, chunks } = readWorldBundle(bundle, 'starter');
+
+    expect(save).toMatchObject({ slot: 'starter', version: 6, world: { seed: 7 }, player: { position: [1, 2, 3] } });
+    expect(chunks[0]).toMatchObject({ key: 'starter-2,-1,3', slot: 'starter', chunkKey: '2,-1,3', lastModified: 1000 });
+    expect(Chunk.deserializeBinary(chunks[0].binaryData).blocks).toEqual(chunk.blocks);
+  });
+
+  it('builds the same chunk records as a normal save', () => {
+    const chunk = makeChunk(0, 0, 0);
+    chunk.lastModified = 5;
+    const record = createChunkRecord('default', chunk);
+    expect(record).toMatchObject({ key: 'default-0,0,0', slot: 'default', chunkKey: '0,0,0', lastModified: 5 });
+    expect(record.binaryData.byteLength).toBe(chunk.serializeBinary().byteLength);
+  });
+
+  it('rejects files that are not bundles', () => {
+    expect(() => readWorldBundle({ format: 'other' })).toThrow(/not a world bundle/);
+    expect(() => readWorldBundle({ format: 'voxel3d-world', version: 99 })).toThrow(/unsupported bundle version 99/);
+  });
+
+  it('imports into a save slot that loads like a normal save', async () => {
+    const manager = new Game3DSaveManager();
+    const chunk = makeChunk(1, 0, 1);
+    const bundle = createWorldBundle({ seed: 7, chunks: [chunk], spawn: [10, 40, 10] });
+
+    const imported = await manager.importWorld(bundle, 'bundle-test');
+    expect(imported.success).toBe(true);
+
+    const updatePlayer = vi.fn();
+    const setState = vi.fn();
+    const restored = [];
+    const loaded = await manager.loadGame(
+      { updatePlayer, setState },
+      { restoreChunk: (c) => restored.push(c) },
+      'bundle-test'
+    );
+
+    expect(loaded.success).toBe(true);
+    expect(updatePlayer).toHaveBeenCalledWith({ position: [10, 40, 10] });
+    // The bundle has no inventory, so the player keeps theirs
+    expect(setState.mock.calls.some(([state]) => 'inventory' in state)).toBe(false);
+    expect(restored).toHaveLength(1);
+    expect(restored[0].key).toBe(chunk.key);
+    expect(restored[0].blocks).toEqual(chunk.blocks);
+    expect(restored[0].lastModified).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * ChunkAuthority.js — The server's copy of the terrain.
+ *
+ * Generates chunks on demand with the same generateTerrain() the clients'
+ * chunk worker runs, and keeps them, with every block change players make,
+ * for as long as the server runs. Each chunk has a version that starts at 0
+ * when it is generated and goes up by one per accepted block change; the
+ * changes themselves queue up until GameServer takes them to broadcast (see
+ * NetworkProtocol.js). The structures generation stamped into a chunk are
+ * kept with it, for GameServer to send along with the chunk.
+ *
+ * Only player actions change the server's terrain. Clients on it turn off
+ * their own fluids, falling blocks, random ticks, explosion damage, area
+ * edits and corruption, as nothing else would hear of what those did.
+ *
+ * Node-safe: no DOM, workers or sockets.
+ */
+
+import { Chunk } from '../systems/chunks/Chunk.js';
+import { BlockTypes, isSolid } from '../systems/chunks/blockTypes.js';
+import { blockRegistry } from '../systems/chunks/BlockRegistry.js';
+import { placementState } from '../systems/chunks/blockStates.js';
+import { chunkKey, parseChunkKey, worldToLocal, isChunkYInWorld } from '../systems/chunks/coordinates.js';
+import { generateTerrain } from '../systems/chunks/generation/terrainGenerator.js';
+import { ActionTypes } from '../systems/state/ActionSystem.js';
+import { encodeChunkFrame } from '../core/NetworkProtocol.js';
+
+export class ChunkAuthority {
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - World seed; must match the clients'
+   */
+  constructor({ seed }) {
+    if (!Number.isInteger(seed)) {
+      throw new Error('ChunkAuthority: seed must be an integer');
+    }
+    this.seed = seed;
+    this.chunks = new Map(); // key -> { chunk, version, structures }
+    this._changes = []; // [key, version, x, y, z, blockType, state]
+  }
+
+  /**
+   * A chunk, its version and the structures placed in it (StructurePlacer.stamp),
+   * generated on first use
+   * @param {string} key - Chunk key 'x,y,z'
+   * @returns {{chunk: Chunk, version: number, structures: Array<Object>} | null} null outside the world
+   */
+  getChunk(key) {
+    const existing = this.chunks.get(key);
+    if (existing) return existing;
+
+    const { chunkX, chunkY, chunkZ } = parseChunkKey(key);
+    if (![chunkX, chunkY, chunkZ].every(Number.isInteger) || !isChunkYInWorld(chunkY)) {
+      return null;
+    }
+    const chunk = new Chunk(chunkX, chunkY, chunkZ);
+    const { blocks, structures } = generateTerrain({ chunkX, chunkY, chunkZ, seed: this.seed });
+    chunk.blocks = blocks;
+    chunk.rebuildHeightMap();
+
+    const entry = { chunk, version: 0, structures };
+    this.chunks.set(chunk.key, entry);
+    return entry;
+  }
+
+  /**
+   * A chunk packed for the wire (NetworkProtocol.encodeChunkFrame)
+   * @param {string} key
+   * @returns {ArrayBuffer | null} null outside the world
+   */
+  getChunkFrame(key) {
+    const entry = this.getChunk(key);
+    if (!entry) return null;
+    return encodeChunkFrame(entry.chunk.key, entry.version, entry.chunk.serializeBinary());
+  }
+
+  /**
+   * Block at world coordinates, like ChunkManager.getBlock (PlayerMotion
+   * collides against this on the server)
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {number} Block type; air outside the world
+   */
+  getBlock(x, y, z) {
+    const local = worldToLocal(x, y, z);
+    const entry = this.getChunk(chunkKey(local.chunkX, local.chunkY, local.chunkZ));
+    if (!entry) return BlockTypes.AIR;
+    return entry.chunk.getBlock(local.x, local.y, local.z);
+  }
+
+  /**
+   * Apply a block/place or block/break action (already validated by
+   * ActionSystem.validateAction). Only blocks in the BlockRegistry can be
+   * placed, and never air or bedrock; a placed block gets the state
+   * blockStates.placementState gives it for the clicked `face` and where the
+   * player stands, whatever state the client asked for.
+   * @param {Object} action - { type, payload: { position: [x, y, z], blockType?, face? } }
+   * @param {Object} [options]
+   * @param {number[]|null} [options.playerPosition=null] - Where the acting player is
+   * @param {Object|null} [options.materials=null] - { [material]: count } the player has;
+   *   when given, a block with a requiredMaterial takes one of it to place
+   * @returns {{success: boolean, error?: string, cost?: Object, broken?: Object}} A place
+   *   reports the `cost` it took from `materials`; a break reports the block it
+   *   `broken`: { blockType, state }
+   */
+  applyAction({ type, payload }, { playerPosition = null, materials = null } = {}) {
+    const [x, y, z] = payload.position;
+    const local = worldToLocal(x, y, z);
+    const entry = this.getChunk(chunkKey(local.chunkX, local.chunkY, local.chunkZ));
+    if (!entry) return { success: false, error: 'Outside the world' };
+
+    const current = entry.chunk.getBlock(local.x, local.y, local.z);
+    if (type === ActionTypes.BLOCK_PLACE) {
+      const { blockType } = payload;
+      const definition = Number.isInteger(blockType) ? blockRegistry.get(blockType) : null;
+      if (!definition || blockType === BlockTypes.AIR || blockType === BlockTypes.BEDROCK) {
+        return { success: false, error: `Cannot place block type ${blockType}` };
+      }
+      const material = materials ? definition.requiredMaterial : null;
+      if (material && !(materials[material] > 0)) {
+        return { success: false, error: `No ${material} to place` };
+      }
+      if (isSolid(current)) return { success: false, error: 'Block is occupied' };
+      const state = placementState(blockType, {
+        face: payload.face,
+        dx: playerPosition ? playerPosition[0] - x : 0,
+        dz: playerPosition ? playerPosition[2] - z : 0,
+      });
+      const result = this.setBlock(x, y, z, blockType, state);
+      return result.success && material ? { ...result, cost: { [material]: 1 } } : result;
+    }
+    if (type === ActionTypes.BLOCK_BREAK) {
+      if (current === BlockTypes.AIR) return { success: false, error: 'Nothing to break' };
+      if (current === BlockTypes.BEDROCK) return { success: false, error: 'Bedrock cannot be broken' };
+      const state = entry.chunk.getBlockState(local.x, local.y, local.z);
+      const result = this.setBlock(x, y, z, BlockTypes.AIR, null);
+      return result.success ? { ...result, broken: { blockType: current, state } } : result;
+    }
+    return { success: false, error: `Unknown block action ${type}` };
+  }
+
+  /**
+   * Set a block at world coordinates, bump its chunk's version and queue the change
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {number} blockType
+   * @param {Object | null} [state]
+   * @returns {{success: boolean, error?: string}}
+   */
+  setBlock(x, y, z, blockType, state = null) {
+    const local = worldToLocal(x, y, z);
+    const entry = this.getChunk(chunkKey(local.chunkX, local.chunkY, local.chunkZ));
+    if (!entry) return { success: false, error: 'Outside the world' };
+
+    const { chunk } = entry;
+    const changed = chunk.setBlock(local.x, local.y, local.z, blockType);
+    const stateChanged = state ? chunk.setBlockState(local.x, local.y, local.z, state) : false;
+    if (!changed && !stateChanged) return { success: false, error: 'Block is already there' };
+
+    entry.version++;
+    this._changes.push([chunk.key, entry.version, x, y, z, blockType, state]);
+    return { success: true };
+  }
+
+  /**
+   * Take the block changes queued since the last call
+   * @returns {Array<Array>} [key, version, x, y, z, blockType, state]
+   */
+  takeChanges() {
+    const changes = this._changes;
+    this._changes = [];
+    return changes;
+  }
+}
+
+export default ChunkAuthority;
@@ -0,0 +1,638 @@
+/**
+ * GameServer.js — Local authoritative game server for co-op testing.
+ *
+ * Node only. Holds the authoritative game store (the same useGameStore the
+ * browser runs, or any zustand store), accepts RemoteNetworkLayer clients
+ * over WebSocket, validates the actions they submit, applies the ones that
+ * pass and broadcasts the resulting changes to every client as numbered
+ * deltas (see NetworkProtocol.js).
+ *
+ * Clients may only call the store actions in `allowedActions`, each with the
+ * arguments its payload carries (NetworkProtocol.storeActionArgs) plus the
+ * sender's player id. Actions go through ActionSystem.validateAction first,
+ * and the server stamps meta.playerId itself, so a client can't act as
+ * someone else. Ids are the server's to give: a joining client gets a new
+ * one, or the one it had before if it says hello with the resume token the
+ * welcome gave it. The settlement actions check that id against the
+ * settlement's members and roles (SettlementMembers.js); an action that
+ * returns { success: false, error } is reported back as refused.
+ * `player/move` is handled by the server itself: it moves the sender's own
+ * entry in `players`.
+ *
+ * Players with a world move by input instead (submitInputs), and
+ * `player/move` is refused: the server runs each numbered input through
+ * PlayerMotion against its terrain and records the result, and the number
+ * of the last input applied, in the player's entry. Only the first position
+ * an input carries counts; after that a player goes somewhere new only by
+ * walking or by a respawn the server places (respawnPlayer). Inputs are
+ * applied at MOVEMENT_TICK_RATE a second at most, with MOVEMENT_INPUT_ALLOWANCE
+ * to spare for bursts; a client sending faster has the extra dropped.
+ *
+ * With a `world` (ChunkAuthority) the server is also the authority for the
+ * terrain: it sends clients the chunks they ask for, near where they stand,
+ * and applies `block/place` and `block/break` actions from players within
+ * MAX_BLOCK_REACH of the block, streaming each chunk's block changes to the
+ * clients that hold it. Without one it refuses chunk requests with
+ * `local: true`, and clients generate their own terrain. The server doesn't
+ * know what players carry unless told to `trackMaterials`: then it counts
+ * what each gets there (mined blocks, spilled chests, stockpile withdrawals)
+ * and only lets them place and deposit what they have.
+ *
+ * `latency` (plus up to `jitter`) holds every message, each way, for that
+ * many milliseconds, to try prediction and interpolation against a slow
+ * connection on one machine. Messages still arrive in order.
+ *
+ * Usage:
+ *   const server = new GameServer({ store: useGameStore, world: new ChunkAuthority({ seed }) });
+ *   const { port } = await server.listen({ port: 8787 });
+ *   ...
+ *   await server.close();
+ */
+
+import { randomBytes } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import {
+  PROTOCOL_VERSION,
+  DEFAULT_SERVER_HOST,
+  DEFAULT_SERVER_PORT,
+  MessageTypes,
+  SHARED_STATE_KEYS,
+  REMOTE_STORE_ACTIONS,
+  MAX_CHUNK_REQUEST_KEYS,
+  MAX_CHUNK_REQUEST_DISTANCE,
+  storeActionArgs,
+  encodeMessage,
+  decodeMessage,
+  pickSharedState,
+  diffSharedState,
+} from '../core/NetworkProtocol.js';
+import { ActionTypes, validateAction } from '../systems/state/ActionSystem.js';
+import { sanitizeInput, stepPlayerMotion, respawnPosition } from '../systems/PlayerMotion.js';
+import { MOVEMENT_TICK_RATE, MOVEMENT_INPUT_ALLOWANCE, MAX_BLOCK_REACH, TOOL_TIER } from '../data/tuning.js';
+import { calculateDrops } from '../data/blockDrops.js';
+import { isContainerBlock, findStockpileAt } from '../systems/settlement/StockpileChests.js';
+import { parseChunkKey, worldToChunk, chunkDistanceSq } from '../systems/chunks/coordinates.js';
+
+// Actions a ChunkAuthority applies
+const BLOCK_ACTIONS = new Set([ActionTypes.BLOCK_PLACE, ActionTypes.BLOCK_BREAK]);
+
+export { REMOTE_STORE_ACTIONS };
+
+// ws readyState for an open socket
+const OPEN = 1;
+
+// Slack for float error in the input budget
+const BUDGET_EPSILON = 1e-6;
+
+// { material: amount } from a list of drops
+function sumDrops(drops) {
+  const total = {};
+  for (const { material, amount } of drops) total[material] = (total[material] || 0) + amount;
+  return total;
+}
+
+export class GameServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - zustand store (getState/subscribe)
+   * @param {string[]} [options.allowedActions] - Store actions clients may call,
+   *   the keys of REMOTE_STORE_ACTIONS by default
+   * @param {string[]} [options.sharedKeys=SHARED_STATE_KEYS] - Store keys clients mirror
+   * @param {Object} [options.world=null] - ChunkAuthority for the terrain; without
+   *   one, clients keep generating their own and block actions and inputs are refused
+   * @param {boolean} [options.trackMaterials=false] - Keep each player's materials in the
+   *   store's playerMaterials (a useGameStore): mining adds to them, placing takes
+   *   from them, and nobody places a block they haven't the material for
+   * @param {number} [options.latency=0] - Artificial delay each way, in milliseconds
+   * @param {number} [options.jitter=0] - Extra random delay of up to this many milliseconds
+   * @param {Function} [options.now=Date.now] - Clock for the input rate limit, in milliseconds
+   */
+  constructor({
+    store,
+    allowedActions = Object.keys(REMOTE_STORE_ACTIONS),
+    sharedKeys = SHARED_STATE_KEYS,
+    world = null,
+    trackMaterials = false,
+    latency = 0,
+    jitter = 0,
+    now = Date.now,
+  } = {}) {
+    if (!store) {
+      throw new Error('GameServer: a store is required');
+    }
+    this.store = store;
+    this.allowedActions = new Set(allowedActions);
+    this.sharedKeys = sharedKeys;
+    this.world = world;
+    this.trackMaterials = trackMaterials;
+    this.latency = latency;
+    this.jitter = jitter;
+    this.now = now;
+
+    this.clients = new Map(); // playerId -> { socket, playerId, chunks, delayed, timer }
+    this.players = {}; // playerId -> { id, name, position, velocity?, grounded?, lastInput? }
+    this.seq = 0;
+    this._inputBudgets = new Map(); // playerId -> { inputs, at }: how many more may be applied now
+
+    this._shared = this._readShared();
+    this._flushQueued = false;
+    this._nextPlayerNumber = 1;
+    this._resumeTokens = new Map(); // resumeToken -> playerId
+    this._wss = null;
+
+    // Store changes made outside an action (server-side systems) still go out
+    this._unsubStore = store.subscribe(() => this._queueFlush());
+  }
+
+  /**
+   * Start accepting WebSocket connections
+   * @param {Object} [options]
+   * @param {number} [options.port=DEFAULT_SERVER_PORT] - 0 picks a free port
+   * @param {string} [options.host=DEFAULT_SERVER_HOST]
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  listen({ port = DEFAULT_SERVER_PORT, host = DEFAULT_SERVER_HOST } = {}) {
+    return new Promise((resolve, reject) => {
+      this._wss = new WebSocketServer({ port, host });
+      this._wss.once('error', reject);
+      this._wss.once('listening', () => {
+        this._wss.off('error', reject);
+        resolve({ host, port: this._wss.address().port });
+      });
+      this._wss.on('connection', (socket) => this.connect(socket));
+    });
+  }
+
+  /**
+   * Disconnect everyone and stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    this._unsubStore();
+    for (const client of this.clients.values()) {
+      clearTimeout(client.timer);
+      client.socket.close();
+    }
+    this.clients.clear();
+    if (!this._wss) return Promise.resolve();
+    return new Promise((resolve) => {
+      this._wss.close(() => resolve());
+      this._wss = null;
+    });
+  }
+
+  /**
+   * Take over a connected socket. The client joins once it says hello.
+   * @param {Object} socket - ws WebSocket (send, close, on('message'|'close'))
+   */
+  connect(socket) {
+    const client = { socket, playerId: null, chunks: new Set(), delayed: [], timer: null };
+
+    socket.on('message', (data) => this._afterLatency(client, () => {
+      let message;
+      try {
+        message = decodeMessage(data);
+      } catch (error) {
+        this._send(client, { type: MessageTypes.ERROR, error: 'Malformed message' });
+        return;
+      }
+      this._handleMessage(client, message);
+    }));
+
+    socket.on('close', () => {
+      clearTimeout(client.timer);
+      this._leave(client);
+    });
+  }
+
+  /**
+   * Validate and apply an action on behalf of a player
+   * @param {string} playerId
+   * @param {Object} action - { type, payload, meta? }
+   * @returns {{ success: boolean, error?: string }} Plus whatever else a store action returned
+   */
+  submitAction(playerId, action) {
+    if (!action || typeof action.type !== 'string') {
+      return { success: false, error: 'Action must have a type' };
+    }
+
+    const stamped = { ...action, meta: { ...action.meta, playerId, timestamp: Date.now() } };
+    const state = this.store.getState();
+
+    if (action.type === ActionTypes.PLAYER_MOVE) {
+      if (this.world) return { success: false, error: 'Players move by input on this server' };
+      const validation = validateAction({ ...stamped, payload: action.payload || {} }, state);
+      if (!validation.valid) return { success: false, error: validation.reason };
+      this.players = {
+        ...this.players,
+        [playerId]: { ...this.players[playerId], position: action.payload.position },
+      };
+      this._queueFlush();
+      return { success: true };
+    }
+
+    if (BLOCK_ACTIONS.has(action.type)) {
+      if (!this.world) return { success: false, error: 'This server has no world' };
+      const validation = validateAction({ ...stamped, payload: action.payload || {} }, state);
+      if (!validation.valid) return { success: false, error: validation.reason };
+      return this._applyBlockAction(playerId, stamped);
+    }
+
+    if (!this.allowedActions.has(action.type)) {
+      return { success: false, error: `Action ${action.type} is not allowed` };
+    }
+    const handler = state[action.type];
+    if (typeof handler !== 'function') {
+      return { success: false, error: `Unknown action ${action.type}` };
+    }
+    const validation = validateAction(stamped, state);
+    if (!validation.valid) {
+      return { success: false, error: validation.reason };
+    }
+
+    const args = storeActionArgs(action.type, action.payload);
+    if (!args) {
+      return { success: false, error: `Malformed arguments for ${action.type}` };
+    }
+    let result;
+    try {
+      result = handler(...args, playerId);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    if (result && result.success === false) {
+      return { success: false, error: result.error };
+    }
+    // What else the action reports (e.g. how much a deposit moved) goes back too
+    return typeof result === 'object' && result !== null ? { ...result, success: true } : { success: true };
+  }
+
+  /**
+   * Move a player by a batch of movement inputs (see PlayerMotion.js).
+   * Inputs at or below the last one applied are repeats and are skipped.
+   * Until an input carries a `position`, the player has nowhere to move from
+   * and inputs are only counted; once the server knows where they are, a
+   * `position` is ignored. Inputs past the rate limit are dropped.
+   * @param {string} playerId
+   * @param {Object[]} inputs - [{ seq, vx, vz, jump, position? }]
+   * @returns {{ success: boolean, error?: string }}
+   */
+  submitInputs(playerId, inputs) {
+    if (!this.world) return { success: false, error: 'This server has no world' };
+    const player = this.players[playerId];
+    if (!player) return { success: false, error: `Unknown player ${playerId}` };
+    if (!Array.isArray(inputs)) return { success: false, error: 'Inputs must be a list' };
+
+    const budget = this._inputBudget(playerId);
+    let lastInput = player.lastInput || 0;
+    let state = player.position
+      ? { position: player.position, velocity: player.velocity || [0, 0, 0], grounded: !!player.grounded }
+      : null;
+    let error = null;
+    for (const raw of inputs) {
+      const input = sanitizeInput(raw);
+      if (!input) {
+        error = 'Malformed input';
+        continue;
+      }
+      if (input.seq <= lastInput) continue;
+      if (budget.inputs < 1 - BUDGET_EPSILON) {
+        error = 'Too many inputs';
+        break;
+      }
+      budget.inputs--;
+      lastInput = input.seq;
+      if (state) delete input.position;
+      if (state || input.position) state = stepPlayerMotion(this.world, state, input);
+    }
+
+    this.players = {
+      ...this.players,
+      [playerId]: { ...player, ...state, lastInput },
+    };
+    this._queueFlush();
+    return error ? { success: false, error } : { success: true };
+  }
+
+  /**
+   * Put a player somewhere new, as when they respawn. Their next inputs
+   * move them on from there.
+   * @param {string} playerId
+   * @param {number[]} [position] - Where; by default PlayerMotion.respawnPosition
+   *   from where they are
+   * @returns {{ success: boolean, error?: string }}
+   */
+  respawnPlayer(playerId, position) {
+    const player = this.players[playerId];
+    if (!player) return { success: false, error: `Unknown player ${playerId}` };
+    if (!position && !player.position) return { success: false, error: `Player ${playerId} has no position yet` };
+
+    this.players = {
+      ...this.players,
+      [playerId]: {
+        ...player,
+        position: [...(position || respawnPosition(player.position))],
+        velocity: [0, 0, 0],
+        grounded: false,
+      },
+    };
+    this._queueFlush();
+    return { success: true };
+  }
+
+  /**
+   * The shared state clients mirror
+   * @returns {Object}
+   */
+  getSharedState() {
+    return this._shared;
+  }
+
+  /**
+   * Broadcast whatever changed since the last delta
+   */
+  flush() {
+    this._flushQueued = false;
+    this._flushBlocks();
+
+    const next = this._readShared();
+    const changes = diffSharedState(this._shared, next);
+    this._shared = next;
+    if (!changes) return;
+
+    this.seq++;
+    const message = { type: MessageTypes.DELTA, seq: this.seq, changes };
+    for (const client of this.clients.values()) {
+      this._send(client, message);
+    }
+  }
+
+  // Apply a block action for a player within reach of it. The server rolls
+  // a break's drops, plus what a broken container held, and tells the
+  // player's game (`drops`), which can't know them itself; with
+  // trackMaterials they go into the player's playerMaterials, and a place
+  // takes the block's requiredMaterial from there (`cost`). Chests placed in
+  // or broken out of a stockpile join or leave it.
+  _applyBlockAction(playerId, action) {
+    const position = this.players[playerId]?.position;
+    if (!position) return { success: false, error: 'The server does not know where you are yet' };
+    const target = action.payload.position;
+    if (!target.every(Number.isFinite)) return { success: false, error: 'Invalid position' };
+    const [dx, dy, dz] = target.map((v, i) => v - position[i]);
+    if (dx * dx + dy * dy + dz * dz > MAX_BLOCK_REACH * MAX_BLOCK_REACH) {
+      return { success: false, error: 'Out of reach' };
+    }
+
+    const state = this.store.getState();
+    const materials = this.trackMaterials ? state.playerMaterials[playerId] || {} : null;
+    const result = this.world.applyAction(action, { playerPosition: position, materials });
+    if (!result.success) return result;
+    this._queueFlush();
+
+    const [wx, wy, wz] = target;
+    const zone = state.zones ? findStockpileAt(state.zones, wx, wz) : null;
+    if (action.type === ActionTypes.BLOCK_PLACE) {
+      if (result.cost) state.spendPlayerMaterials(playerId, result.cost);
+      if (zone && isContainerBlock(action.payload.blockType)) state.addStockpileChest(zone.id, { wx, wy, wz });
+      return result;
+    }
+
+    const { blockType, state: blockState } = result.broken;
+    const toolTier = Math.min(Math.max(Math.floor(action.payload.toolTier) || 0, TOOL_TIER.NONE), TOOL_TIER.DIAMOND);
+    const gained = calculateDrops(blockType, toolTier);
+    if (this.trackMaterials) {
+      this.store.getState().grantPlayerMaterials(playerId, sumDrops(gained));
+    }
+    if (isContainerBlock(blockType)) {
+      // A stockpile chest spills into playerMaterials itself
+      const spilled = zone
+        ? state.removeStockpileChest(zone.id, { wx, wy, wz }, playerId).spilled
+        : blockState?.items || {};
+      if (!zone && this.trackMaterials) this.store.getState().grantPlayerMaterials(playerId, spilled);
+      for (const [material, amount] of Object.entries(spilled || {})) {
+        if (amount > 0) gained.push({ material, amount });
+      }
+    }
+    return { success: true, drops: gained };
+  }
+
+  // Inputs a player may still send now: MOVEMENT_TICK_RATE a second since
+  // the last batch, saving up at most MOVEMENT_INPUT_ALLOWANCE
+  _inputBudget(playerId) {
+    const now = this.now();
+    let budget = this._inputBudgets.get(playerId);
+    if (!budget) {
+      budget = { inputs: MOVEMENT_INPUT_ALLOWANCE, at: now };
+      this._inputBudgets.set(playerId, budget);
+    }
+    const earned = ((now - budget.at) / 1000) * MOVEMENT_TICK_RATE;
+    budget.inputs = Math.min(budget.inputs + earned, MOVEMENT_INPUT_ALLOWANCE);
+    budget.at = now;
+    return budget;
+  }
+
+  // Each client hears about changes to the chunks it holds
+  _flushBlocks() {
+    if (!this.world) return;
+    const changes = this.world.takeChanges();
+    if (changes.length === 0) return;
+    for (const client of this.clients.values()) {
+      const held = changes.filter(([key]) => client.chunks.has(key));
+      if (held.length > 0) this._send(client, { type: MessageTypes.BLOCKS, changes: held });
+    }
+  }
+
+  _readShared() {
+    return { ...pickSharedState(this.store.getState(), this.sharedKeys), players: this.players };
+  }
+
+  _queueFlush() {
+    if (this._flushQueued) return;
+    this._flushQueued = true;
+    queueMicrotask(() => {
+      if (this._flushQueued) this.flush();
+    });
+  }
+
+  _handleMessage(client, message) {
+    if (message.type === MessageTypes.HELLO) {
+      this._join(client, message);
+      return;
+    }
+    if (!client.playerId) {
+      this._send(client, { type: MessageTypes.ERROR, error: 'Say hello first' });
+      return;
+    }
+
+    switch (message.type) {
+      case MessageTypes.ACTION: {
+        const result = this.submitAction(client.playerId, message.action);
+        // Changes go out before the result, so a client's state is current when it hears back
+        this.flush();
+        this._send(client, { type: MessageTypes.RESULT, id: message.id, ...result });
+        break;
+      }
+      case MessageTypes.SYNC:
+        this._send(client, { type: MessageTypes.SNAPSHOT, seq: this.seq, state: this._shared });
+        break;
+      case MessageTypes.PING:
+        this._send(client, { type: MessageTypes.PONG, t: message.t });
+        break;
+      case MessageTypes.CHUNK_REQUEST:
+        this._sendChunks(client, message.keys);
+        break;
+      case MessageTypes.CHUNK_RELEASE:
+        for (const key of message.keys || []) client.chunks.delete(key);
+        break;
+      case MessageTypes.INPUT: {
+        const result = this.submitInputs(client.playerId, message.inputs);
+        if (!result.success) this._send(client, { type: MessageTypes.ERROR, error: result.error });
+        break;
+      }
+      case MessageTypes.RESPAWN: {
+        const result = this.respawnPlayer(client.playerId);
+        if (!result.success) this._send(client, { type: MessageTypes.ERROR, error: result.error });
+        break;
+      }
+      default:
+        this._send(client, { type: MessageTypes.ERROR, error: `Unknown message type ${message.type}` });
+    }
+  }
+
+  _join(client, { protocol, resumeToken, name }) {
+    if (client.playerId) {
+      this._send(client, { type: MessageTypes.ERROR, error: 'Already joined' });
+      return;
+    }
+    if (protocol !== PROTOCOL_VERSION) {
+      this._send(client, {
+        type: MessageTypes.ERROR,
+        error: `Protocol ${protocol} not supported (server speaks ${PROTOCOL_VERSION})`,
+      });
+      client.socket.close();
+      return;
+    }
+
+    // The server picks ids; a client gets its old one back only with the
+    // token it was given for it, and only while nobody is playing as it
+    let id = this._resumeTokens.get(resumeToken) ?? null;
+    if (!id || this.clients.has(id)) {
+      id = `player-${this._nextPlayerNumber++}`;
+      resumeToken = randomBytes(16).toString('hex');
+      this._resumeTokens.set(resumeToken, id);
+    }
+
+    client.playerId = id;
+    this.players = { ...this.players, [id]: { id, name: name || id, position: null } };
+    // Everyone else hears about the new player; the newcomer gets it in the snapshot
+    this.flush();
+    this.clients.set(id, client);
+
+    this._send(client, {
+      type: MessageTypes.WELCOME,
+      protocol: PROTOCOL_VERSION,
+      playerId: id,
+      resumeToken,
+      seq: this.seq,
+      state: this._shared,
+    });
+  }
+
+  _leave(client) {
+    if (!client.playerId || this.clients.get(client.playerId) !== client) return;
+    this.clients.delete(client.playerId);
+    this._inputBudgets.delete(client.playerId);
+    const players = { ...this.players };
+    delete players[client.playerId];
+    this.players = players;
+    this.flush();
+  }
+
+  _sendChunks(client, keys) {
+    keys = Array.isArray(keys) ? keys.map(String) : [];
+    if (!this.world) {
+      this._refuseChunks(client, keys, 'This server has no world', true);
+      return;
+    }
+    if (keys.length > MAX_CHUNK_REQUEST_KEYS) {
+      this._refuseChunks(client, keys.slice(MAX_CHUNK_REQUEST_KEYS), `At most ${MAX_CHUNK_REQUEST_KEYS} chunks per request`);
+      keys = keys.slice(0, MAX_CHUNK_REQUEST_KEYS);
+    }
+
+    // Queued changes go out first; the chunks sent after already include them
+    this.flush();
+    const tooFar = [];
+    const outside = [];
+    for (const key of keys) {
+      if (!this._isNearPlayer(client.playerId, key)) {
+        tooFar.push(key);
+        continue;
+      }
+      const frame = this.world.getChunkFrame(key);
+      if (!frame) {
+        outside.push(key);
+        continue;
+      }
+      client.chunks.add(key);
+      const { structures } = this.world.getChunk(key);
+      if (structures.length > 0) this._send(client, { type: MessageTypes.STRUCTURES, structures });
+      this._transmit(client, frame);
+    }
+    this._refuseChunks(client, tooFar, 'Too far from the player');
+    this._refuseChunks(client, outside, 'Outside the world');
+  }
+
+  _refuseChunks(client, keys, error, local = false) {
+    if (keys.length === 0) return;
+    this._send(client, { type: MessageTypes.CHUNK_REFUSED, keys, error, ...(local ? { local } : {}) });
+  }
+
+  // Whether a chunk is within MAX_CHUNK_REQUEST_DISTANCE of the player. Until
+  // the server knows where they are (their first input), only the per-request
+  // limit applies.
+  _isNearPlayer(playerId, key) {
+    const position = this.players[playerId]?.position;
+    if (!position) return true;
+    const { chunkX, chunkZ } = parseChunkKey(key);
+    const player = worldToChunk(position[0], position[2]);
+    return chunkDistanceSq(player.chunkX, player.chunkZ, chunkX, chunkZ)
+      <= MAX_CHUNK_REQUEST_DISTANCE * MAX_CHUNK_REQUEST_DISTANCE;
+  }
+
+  _send(client, message) {
+    this._transmit(client, encodeMessage(message));
+  }
+
+  _transmit(client, data) {
+    this._afterLatency(client, () => {
+      if (client.socket.readyState === OPEN) client.socket.send(data);
+    });
+  }
+
+  // Run fn now, or after the artificial latency. Each client's delayed
+  // messages wait in one queue, so jitter can't reorder them.
+  _afterLatency(client, fn) {
+    if (this.latency <= 0 && this.jitter <= 0) {
+      fn();
+      return;
+    }
+    const last = client.delayed[client.delayed.length - 1];
+    const at = Math.max(Date.now() + this.latency + Math.random() * this.jitter, last ? last.at : 0);
+    client.delayed.push({ at, fn });
+    if (!client.timer) this._scheduleDelayed(client);
+  }
+
+  _scheduleDelayed(client) {
+    const next = client.delayed[0];
+    if (!next) return;
+    client.timer = setTimeout(() => {
+      client.timer = null;
+      while (client.delayed.length > 0 && client.delayed[0].at <= Date.now()) {
+        client.delayed.shift().fn();
+      }
+      if (!client.timer) this._scheduleDelayed(client);
+    }, Math.max(0, next.at - Date.now()));
+  }
+}
+
+export default GameServer;
@@ -0,0 +1,418 @@
+// @vitest-environment node
+import { createStore } from 'zustand/vanilla';
+import { GameServer } from '../GameServer';
+import { ChunkAuthority } from '../ChunkAuthority';
+import { decodeChunkFrame, MAX_CHUNK_REQUEST_KEYS, MAX_CHUNK_REQUEST_DISTANCE } from '../../core/NetworkProtocol';
+import { Chunk } from '../../systems/chunks/Chunk';
+import { BlockTypes, isSolid } from '../../systems/chunks/blockTypes';
+import { placementState } from '../../systems/chunks/blockStates';
+import useGameStore from '../../stores/useGameStore';
+import { generateTerrain } from '../../systems/chunks/generation/terrainGenerator';
+import { MOVEMENT_TICK_RATE, MOVEMENT_INPUT_ALLOWANCE } from '../../data/tuning';
+
+function makeStore() {
+  return createStore((set) => ({
+    zones: [],
+    settlement: { npcs: [], settlementCenter: null },
+    constructionSites: [],
+    inventory: { gold: 0 },
+    addZone: (zone) => set((state) => ({ zones: [...state.zones, zone] })),
+    removeZone: (zoneId) => set((state) => ({ zones: state.zones.filter((z) => z.id !== zoneId) })),
+    // Refuses anyone but p1, the way the settlement actions refuse non-members
+    setSettlementCenter: (center, playerId) => {
+      if (playerId !== 'p1') return { success: false, error: `Player ${playerId} is not a member of this settlement` };
+      set((state) => ({ settlement: { ...state.settlement, settlementCenter: center } }));
+      return { success: true };
+    },
+    reset: () => set({ zones: [] }),
+  }));
+}
+
+// Socket stand-in that records what the server sends
+function fakeSocket() {
+  const handlers = {};
+  return {
+    readyState: 1,
+    sent: [],
+    send(data) { this.sent.push(typeof data === 'string' ? JSON.parse(data) : decodeChunkFrame(data)); },
+    close() { handlers.close?.(); },
+    on(event, fn) { handlers[event] = fn; },
+    receive(message) { handlers.message(JSON.stringify(message)); },
+  };
+}
+
+describe('GameServer', () => {
+  let store;
+  let server;
+
+  beforeEach(() => {
+    store = makeStore();
+    server = new GameServer({ store });
+  });
+
+  afterEach(() => server.close());
+
+  it('applies allowed store actions', () => {
+    expect(server.submitAction('p1', { type: 'addZone', payload: { id: 'z1' } })).toEqual({ success: true });
+    expect(store.getState().zones).toEqual([{ id: 'z1' }]);
+  });
+
+  it('passes the sender to store actions and reports their refusals', () => {
+    expect(server.submitAction('p2', { type: 'setSettlementCenter', payload: [1, 2, 3] }))
+      .toEqual({ success: false, error: 'Player p2 is not a member of this settlement' });
+    expect(store.getState().settlement.settlementCenter).toBe(null);
+    expect(server.submitAction('p1', { type: 'setSettlementCenter', payload: [1, 2, 3] })).toEqual({ success: true });
+    expect(store.getState().settlement.settlementCenter).toEqual([1, 2, 3]);
+  });
+
+  it('refuses actions outside the allow list or unknown to the store', () => {
+    expect(server.submitAction('p1', { type: 'reset' }).error).toMatch(/not allowed/);
+    expect(new GameServer({ store, allowedActions: ['nope'] }).submitAction('p1', { type: 'nope' }).error)
+      .toMatch(/Unknown action/);
+    expect(server.submitAction('p1', {}).success).toBe(false);
+  });
+
+  it('moves only the sender, after validating the position', () => {
+    const socket = fakeSocket();
+    server.connect(socket);
+    socket.receive({ type: 'hello', protocol: 1, name: 'Ada' });
+    const { playerId } = socket.sent[0];
+
+    expect(server.submitAction(playerId, { type: 'player/move', payload: { position: [1, NaN, 2] } }).success).toBe(false);
+    expect(server.submitAction(playerId, { type: 'player/move', payload: { position: [1, 2, 3] } }).success).toBe(true);
+    expect(server.players[playerId]).toEqual({ id: playerId, name: 'Ada', position: [1, 2, 3] });
+  });
+
+  it('welcomes players and broadcasts numbered deltas', () => {
+    const a = fakeSocket();
+    const b = fakeSocket();
+    server.connect(a);
+    server.connect(b);
+    a.receive({ type: 'hello', protocol: 1 });
+    b.receive({ type: 'hello', protocol: 1, name: 'Bob' });
+
+    const welcome = b.sent[0];
+    expect(welcome).toMatchObject({ type: 'welcome', playerId: 'player-2', seq: 2 });
+    expect(Object.keys(welcome.state.players)).toEqual(['player-1', 'player-2']);
+    expect(a.sent[1]).toMatchObject({ type: 'delta', seq: 2 });
+
+    a.receive({ type: 'action', id: 7, action: { type: 'addZone', payload: { id: 'z1' } } });
+    expect(b.sent.at(-1)).toEqual({ type: 'delta', seq: 3, changes: { zones: [{ id: 'z1' }] } });
+    // The delta reaches the sender before its result
+    expect(a.sent.slice(-2)).toEqual([
+      { type: 'delta', seq: 3, changes: { zones: [{ id: 'z1' }] } },
+      { type: 'result', id: 7, success: true },
+    ]);
+  });
+
+  it('drops players that disconnect', () => {
+    const a = fakeSocket();
+    const b = fakeSocket();
+    server.connect(a);
+    server.connect(b);
+    a.receive({ type: 'hello', protocol: 1 });
+    b.receive({ type: 'hello', protocol: 1 });
+    a.close();
+
+    expect(Object.keys(server.players)).toEqual(['player-2']);
+    expect(b.sent.at(-1).changes.players).toEqual({ 'player-2': { id: 'player-2', name: 'player-2', position: null } });
+  });
+
+  it('gives out the ids, and a player\'s own back only for their resume token', () => {
+    const a = fakeSocket();
+    server.connect(a);
+    a.receive({ type: 'hello', protocol: 1, playerId: 'p1' });
+    const { playerId, resumeToken } = a.sent[0];
+    expect(playerId).toBe('player-1');
+    expect(resumeToken).toMatch(/^[0-9a-f]{32}$/);
+
+    // Nobody takes over a connected player with their token
+    const thief = fakeSocket();
+    server.connect(thief);
+    thief.receive({ type: 'hello', protocol: 1, resumeToken });
+    expect(thief.sent[0].playerId).toBe('player-2');
+    expect(thief.sent[0].resumeToken).not.toBe(resumeToken);
+
+    a.close();
+    const back = fakeSocket();
+    server.connect(back);
+    back.receive({ type: 'hello', protocol: 1, resumeToken });
+    expect(back.sent[0]).toMatchObject({ playerId: 'player-1', resumeToken });
+    const stranger = fakeSocket();
+    server.connect(stranger);
+    stranger.receive({ type: 'hello', protocol: 1, resumeToken: 'made-up' });
+    expect(stranger.sent[0].playerId).toBe('player-3');
+  });
+
+  it('makes clients say hello with a matching protocol first', () => {
+    const socket = fakeSocket();
+    server.connect(socket);
+    socket.receive({ type: 'sync' });
+    expect(socket.sent[0]).toEqual({ type: 'error', error: 'Say hello first' });
+
+    socket.receive({ type: 'hello', protocol: 99 });
+    expect(socket.sent[1].error).toMatch(/Protocol 99 not supported/);
+  });
+
+  describe('with a world', () => {
+    // World position of the first air block in the top chunk above the origin
+    const AIR = [1, 3 * 16 * 2 + 1, 1]; // voxel (0, 48, 0)
+
+    function joinWorld(world, options = {}) {
+      const worldServer = new GameServer({ store, world, ...options });
+      const socket = fakeSocket();
+      worldServer.connect(socket);
+      socket.receive({ type: 'hello', protocol: 1 });
+      return { worldServer, socket, playerId: socket.sent[0].playerId };
+    }
+
+    it('sends requested chunks as binary frames matching the generator', () => {
+      const { socket } = joinWorld(new ChunkAuthority({ seed: 42 }));
+      socket.receive({ type: 'chunk_request', keys: ['0,0,0', '0,9,0'] });
+
+      const frames = socket.sent.filter((m) => m.key);
+      expect(frames).toHaveLength(1); // 0,9,0 is above the world
+      expect(frames[0]).toMatchObject({ key: '0,0,0', version: 0 });
+      expect(Chunk.deserializeBinary(frames[0].data).blocks)
+        .toEqual(generateTerrain({ chunkX: 0, chunkY: 0, chunkZ: 0, seed: 42 }).blocks);
+    });
+
+    it('lists the structures generated into a chunk just before sending it', () => {
+      const { socket } = joinWorld(new ChunkAuthority({ seed: 42 }));
+      socket.receive({ type: 'chunk_request', keys: ['-5,0,-2', '0,0,0'] });
+
+      const expected = generateTerrain({ chunkX: -5, chunkY: 0, chunkZ: -2, seed: 42 }).structures;
+      expect(expected).toHaveLength(1);
+      const index = socket.sent.findIndex((m) => m.type === 'structures');
+      expect(socket.sent[index].structures).toEqual(expected);
+      expect(socket.sent[index + 1].key).toBe('-5,0,-2');
+      expect(socket.sent.filter((m) => m.type === 'structures')).toHaveLength(1);
+    });
+
+    it('applies block actions and streams versioned changes to clients holding the chunk', () => {
+      const world = new ChunkAuthority({ seed: 42 });
+      const { worldServer, socket: holder, playerId } = joinWorld(world);
+      const other = fakeSocket();
+      worldServer.connect(other);
+      other.receive({ type: 'hello', protocol: 1 });
+      expect(world.getChunk('0,3,0').chunk.getBlock(0, 0, 0)).toBe(BlockTypes.AIR);
+      holder.receive({ type: 'chunk_request', keys: ['0,3,0'] });
+
+      worldServer.players[playerId].position = [1, 100, 1];
+      const place = { type: 'block/place', payload: { position: AIR, blockType: BlockTypes.STONE } };
+      holder.receive({ type: 'action', id: 1, action: place });
+      expect(holder.sent.slice(-2)).toEqual([
+        { type: 'blocks', changes: [['0,3,0', 1, ...AIR, BlockTypes.STONE, null]] },
+        { type: 'result', id: 1, success: true },
+      ]);
+      expect(other.sent.some((m) => m.type === 'blocks')).toBe(false);
+
+      expect(worldServer.submitAction(playerId, place)).toEqual({ success: false, error: 'Block is occupied' });
+      expect(worldServer.submitAction(playerId, { type: 'block/break', payload: { position: AIR } }))
+        .toEqual({ success: true, drops: [{ material: 'stone', amount: 1 }] });
+      worldServer.flush();
+      expect(holder.sent.at(-1).changes).toEqual([['0,3,0', 2, ...AIR, BlockTypes.AIR, null]]);
+
+      // Released chunks stop getting changes; a fresh request carries the current version
+      const batches = () => holder.sent.filter((m) => m.type === 'blocks').length;
+      const before = batches();
+      holder.receive({ type: 'chunk_release', keys: ['0,3,0'] });
+      worldServer.submitAction(playerId, place);
+      worldServer.flush();
+      expect(batches()).toBe(before);
+      holder.receive({ type: 'chunk_request', keys: ['0,3,0'] });
+      expect(holder.sent.at(-1)).toMatchObject({ key: '0,3,0', version: 3 });
+      worldServer.close();
+    });
+
+    it('sends only a capped number of nearby chunks per request', () => {
+      const { worldServer, socket, playerId } = joinWorld(new ChunkAuthority({ seed: 42 }));
+      // Above the world, so nothing has to be generated
+      const keys = Array.from({ length: MAX_CHUNK_REQUEST_KEYS + 2 }, (_, i) => `${i},9,0`);
+      socket.receive({ type: 'chunk_request', keys });
+      expect(socket.sent.filter((m) => m.type === 'chunk_refused')).toEqual([
+        { type: 'chunk_refused', keys: keys.slice(MAX_CHUNK_REQUEST_KEYS), error: `At most ${MAX_CHUNK_REQUEST_KEYS} chunks per request` },
+        { type: 'chunk_refused', keys: keys.slice(0, MAX_CHUNK_REQUEST_KEYS), error: 'Outside the world' },
+      ]);
+
+      // Once the server knows where the player is, far chunks are refused
+      worldServer.players[playerId].position = [1, 100, 1];
+      socket.sent.length = 0;
+      const far = `${MAX_CHUNK_REQUEST_DISTANCE + 1},0,0`;
+      socket.receive({ type: 'chunk_request', keys: ['0,0,0', far] });
+      expect(socket.sent.filter((m) => m.key).map((m) => m.key)).toEqual(['0,0,0']);
+      expect(socket.sent.at(-1)).toEqual({ type: 'chunk_refused', keys: [far], error: 'Too far from the player' });
+      worldServer.close();
+    });
+
+    it('tells clients to generate their own terrain without a world', () => {
+      const socket = fakeSocket();
+      server.connect(socket);
+      socket.receive({ type: 'hello', protocol: 1 });
+      socket.receive({ type: 'chunk_request', keys: ['0,0,0'] });
+      expect(socket.sent.at(-1)).toEqual({
+        type: 'chunk_refused', keys: ['0,0,0'], error: 'This server has no world', local: true,
+      });
+    });
+
+    it('places only registered blocks, within reach, with the state the server works out', () => {
+      const world = new ChunkAuthority({ seed: 42 });
+      const { worldServer, playerId } = joinWorld(world);
+      const place = (blockType, extra = {}) => worldServer.submitAction(playerId, {
+        type: 'block/place', payload: { position: AIR, blockType, ...extra },
+      });
+
+      expect(place(BlockTypes.STONE)).toEqual({ success: false, error: 'The server does not know where you are yet' });
+      worldServer.players[playerId].position = [AIR[0] + 60, AIR[1], AIR[2]];
+      expect(place(BlockTypes.STONE)).toEqual({ success: false, error: 'Out of reach' });
+      expect(worldServer.submitAction(playerId, { type: 'block/place', payload: { position: [NaN, 0, 0], blockType: 1 } }))
+        .toEqual({ success: false, error: 'Invalid position' });
+
+      worldServer.players[playerId].position = [AIR[0], AIR[1], AIR[2] + 8];
+      expect(place(250)).toEqual({ success: false, error: 'Cannot place block type 250' });
+      expect(place(BlockTypes.AIR).success).toBe(false);
+      expect(place(BlockTypes.BEDROCK).success).toBe(false);
+      expect(place('1').success).toBe(false);
+      // A log lies along the clicked face's normal, whatever state the client sends
+      expect(place(BlockTypes.WOOD, { face: 'east', state: { axis: 'y' } })).toEqual({ success: true });
+      expect(world.getChunk('0,3,0').chunk.getBlockState(0, 0, 0))
+        .toEqual(placementState(BlockTypes.WOOD, { face: 'east', dx: 0, dz: 8 }));
+
+      const broken = worldServer.submitAction(playerId, { type: 'block/break', payload: { position: AIR } });
+      expect(broken.success).toBe(true);
+      expect(broken.drops.every(({ material }) => material === 'wood')).toBe(true);
+      worldServer.close();
+    });
+
+    it('keeps count of what players mine and spend when tracking materials', () => {
+      const game = useGameStore.getState();
+      game.reset();
+      const world = new ChunkAuthority({ seed: 42 });
+      const { worldServer, playerId } = joinWorld(world, { store: useGameStore, trackMaterials: true });
+      worldServer.players[playerId].position = [AIR[0], AIR[1], AIR[2] + 8];
+      const act = (type, blockType) => worldServer.submitAction(playerId, { type, payload: { position: AIR, blockType } });
+      const held = () => useGameStore.getState().playerMaterials[playerId];
+
+      expect(act('block/place', BlockTypes.STONE)).toEqual({ success: false, error: 'No stone to place' });
+      world.setBlock(...AIR, BlockTypes.STONE);
+      expect(act('block/break')).toEqual({ success: true, drops: [{ material: 'stone', amount: 1 }] });
+      expect(held()).toEqual({ stone: 1 });
+      expect(act('block/place', BlockTypes.STONE)).toEqual({ success: true, cost: { stone: 1 } });
+      expect(held()).toEqual({});
+
+      // A chest spills what it held
+      world.setBlock(...AIR, BlockTypes.CHEST, { items: { iron: 3 } });
+      act('block/break');
+      expect(held()).toEqual({ iron: 3 });
+      // Blocks without a required material are free
+      expect(act('block/place', BlockTypes.LEAVES).success).toBe(true);
+      expect(useGameStore.getState().inventory.materials).toEqual(game.inventory.materials);
+      worldServer.close();
+    });
+
+    it('refuses block actions without a world', () => {
+      const result = server.submitAction('p1', { type: 'block/place', payload: { position: AIR, blockType: 1 } });
+      expect(result).toEqual({ success: false, error: 'This server has no world' });
+    });
+
+    it('moves players by their inputs against the terrain', () => {
+      const world = new ChunkAuthority({ seed: 42 });
+      let clock = 0;
+      const { worldServer, socket, playerId } = joinWorld(world, { now: () => clock });
+      const spawn = [1, 3 * 16 * 2, 1]; // Above everything at the top of the world
+      const inputs = [{ seq: 1, vx: 0, vz: 0, position: spawn }];
+      for (let seq = 2; seq <= 240; seq++) inputs.push({ seq, vx: 0, vz: 0 });
+
+      // Ten ticks' worth at a time, as fast as they're due
+      for (let i = 0; i < inputs.length; i += 10) {
+        clock += (10 / MOVEMENT_TICK_RATE) * 1000;
+        socket.receive({ type: 'input', inputs: inputs.slice(i, i + 10) });
+      }
+      worldServer.flush();
+      const me = socket.sent.at(-1).changes.players[playerId];
+      expect(me).toMatchObject({ lastInput: 240, grounded: true });
+      // Standing on a solid block's top face
+      expect(me.position[1]).toBeLessThan(spawn[1]);
+      expect(me.position[1] % 2).toBeCloseTo(0, 4);
+      expect(isSolid(world.getBlock(1, me.position[1] - 1, 1))).toBe(true);
+
+      // Repeats are skipped; malformed inputs are reported
+      worldServer.submitInputs(playerId, [{ seq: 100, vx: 20, vz: 0 }]);
+      expect(worldServer.players[playerId].position).toEqual(me.position);
+      expect(worldServer.submitInputs(playerId, [{ seq: 'x' }])).toEqual({ success: false, error: 'Malformed input' });
+      expect(server.submitInputs('p1', inputs)).toEqual({ success: false, error: 'This server has no world' });
+      worldServer.close();
+    });
+
+    it('takes a position from inputs only until it knows where the player is', () => {
+      let clock = 0;
+      const { worldServer, socket, playerId } = joinWorld(new ChunkAuthority({ seed: 42 }), { now: () => clock });
+      const spawn = [1, 3 * 16 * 2, 1];
+      worldServer.submitInputs(playerId, [{ seq: 1, vx: 0, vz: 0, position: spawn }]);
+      const placed = worldServer.players[playerId].position;
+      expect(placed[0]).toBe(1);
+
+      // A later position is ignored: the input only steers
+      clock += 1000;
+      expect(worldServer.submitInputs(playerId, [{ seq: 2, vx: 0, vz: 0, position: [500, 90, 500] }]))
+        .toEqual({ success: true });
+      expect(worldServer.players[playerId].position[0]).toBeCloseTo(1, 6);
+      expect(worldServer.players[playerId].lastInput).toBe(2);
+
+      // Respawns are the server's to place, and inputs carry on from there
+      expect(worldServer.submitAction(playerId, { type: 'player/move', payload: { position: [500, 90, 500] } }).success)
+        .toBe(false);
+      socket.receive({ type: 'respawn' });
+      const respawned = worldServer.players[playerId].position;
+      expect(Math.hypot(respawned[0] - 1, respawned[2] - 1)).toBeGreaterThanOrEqual(40);
+      worldServer.respawnPlayer(playerId, [9, 90, 9]);
+      worldServer.submitInputs(playerId, [{ seq: 3, vx: 0, vz: 0 }]);
+      expect(worldServer.players[playerId].position[0]).toBeCloseTo(9, 6);
+      worldServer.close();
+    });
+
+    it('applies inputs no faster than the tick rate plus an allowance', () => {
+      let clock = 0;
+      const { worldServer, playerId } = joinWorld(new ChunkAuthority({ seed: 42 }), { now: () => clock });
+      const batch = (from, count) => Array.from({ length: count }, (_, i) => ({ seq: from + i, vx: 0, vz: 0 }));
+
+      // A burst up to the allowance goes through; the rest is dropped
+      expect(worldServer.submitInputs(playerId, batch(1, MOVEMENT_INPUT_ALLOWANCE + 5)))
+        .toEqual({ success: false, error: 'Too many inputs' });
+      expect(worldServer.players[playerId].lastInput).toBe(MOVEMENT_INPUT_ALLOWANCE);
+
+      // Half a second earns half a second of ticks, never more than the allowance
+      clock += 500;
+      const next = MOVEMENT_INPUT_ALLOWANCE + 1;
+      expect(worldServer.submitInputs(playerId, batch(next, MOVEMENT_TICK_RATE)).success).toBe(false);
+      expect(worldServer.players[playerId].lastInput).toBe(next - 1 + Math.min(MOVEMENT_TICK_RATE / 2, MOVEMENT_INPUT_ALLOWANCE));
+
+      clock += 1000 / MOVEMENT_TICK_RATE;
+      const last = worldServer.players[playerId].lastInput;
+      expect(worldServer.submitInputs(playerId, batch(last + 1, 1))).toEqual({ success: true });
+      worldServer.close();
+    });
+  });
+
+  it('holds messages each way for the artificial latency, in order', () => {
+    vi.useFakeTimers();
+    try {
+      const slow = new GameServer({ store, latency: 100, jitter: 50 });
+      const socket = fakeSocket();
+      slow.connect(socket);
+      socket.receive({ type: 'hello', protocol: 1 });
+      socket.receive({ type: 'ping', t: 1 });
+      socket.receive({ type: 'ping', t: 2 });
+      expect(socket.sent).toEqual([]);
+
+      vi.advanceTimersByTime(150); // Arrived, answers on their way
+      expect(socket.sent).toEqual([]);
+      vi.advanceTimersByTime(150);
+      expect(socket.sent.map((m) => m.type)).toEqual(['welcome', 'pong', 'pong']);
+      expect(socket.sent.slice(1).map((m) => m.t)).toEqual([1, 2]);
+      slow.close();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
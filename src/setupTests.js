@@ -76,7 +76,9 @@ afterAll(() => {
 
 // Mock HTMLCanvasElement.getContext for JSDOM (which returns null for '2d').
 // This must be in beforeEach so it survives vi.clearAllMocks() in afterEach.
+// Tests under `@vitest-environment node` have no DOM and skip it.
 beforeEach(() => {
+  if (typeof HTMLCanvasElement === 'undefined') return;
   HTMLCanvasElement.prototype.getContext = vi.fn(function () {
     return {
       fillRect: vi.fn(),
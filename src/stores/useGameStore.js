@@ -14,15 +14,71 @@ import {
   calculateDerivedStats,
 } from '../modules/character/CharacterSystem';
 import { DAY_LENGTH_SECONDS, ZONE_MAX_COUNT } from '../data/tuning';
-import { ActionHistory, createActionMiddleware } from '../systems/state/ActionSystem';
+import { ActionHistory, createActionMiddleware, logStoreActions } from '../systems/state/ActionSystem';
+import { chestStorage, distributeItems, writeChestContents } from '../systems/settlement/StockpileChests';
+import { respawnPosition } from '../systems/PlayerMotion';
+import { BLOCK_DROPS } from '../data/blockDrops';
+import {
+  SETTLEMENT_PERMISSIONS,
+  permissionError,
+  recordAudit,
+  claimSettlement,
+  inviteMember,
+  setMemberRole,
+  removeMember,
+} from '../modules/settlement/SettlementMembers';
 
 // Action history for replay/rollback/debugging
 export const actionHistory = new ActionHistory(1000);
 
+// Gameplay store actions logged to actionHistory as 'store/<name>' (see ReplaySystem).
+// Each must be deterministic given its arguments and the state, with JSON-safe arguments.
+export const LOGGED_STORE_ACTIONS = [
+  'healPlayer', 'addXP', 'addGold',
+  'addItem', 'removeItem', 'addMaterial', 'removeMaterial', 'craftItem',
+  'equipItem', 'unequipItem', 'equipItemWithStats', 'unequipItemWithStats',
+  'eatFood', 'eatMaterial', 'addRage', 'useRage', 'unlockSpell',
+  'addZone', 'removeZone', 'updateZone', 'depositToStockpile', 'withdrawFromStockpile',
+  'placeConstructionSite', 'deliverToConstruction', 'addPlayerBlueprint', 'setSettlementCenter',
+  'inviteSettlementMember', 'setSettlementMemberRole', 'removeSettlementMember',
+  'respawnPlayer', 'removeStockpileChest', 'removeConstructionSite',
+  'grantPlayerMaterials', 'spendPlayerMaterials',
+];
+
 // Monotonic counter for unique entity IDs (avoids React duplicate key warnings)
 let _entityIdCounter = 0;
 const nextEntityId = () => `e${Date.now()}_${++_entityIdCounter}`;
 
+// Id for a new construction site. Made by the caller and passed to
+// placeConstructionSite, so a replayed placement gets the same id.
+export const createConstructionSiteId = () => `cs_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+
+const STARTING_MATERIALS = { wood: 10, stone: 0, iron: 5, coal: 0, dirt: 0, sand: 0, clay: 0, gold_ore: 0, leather: 8, crystal: 2, berry: 0, meat: 0, bone: 0, fiber: 0 };
+
+// Materials a player can hold: the starting ones and whatever blocks drop
+const KNOWN_MATERIALS = new Set([
+  ...Object.keys(STARTING_MATERIALS),
+  ...Object.values(BLOCK_DROPS).flatMap((drop) => [drop.material, drop.bonus?.material]).filter(Boolean),
+]);
+
+// Whether a settlement action's player is the one whose inventory this store
+// holds: no player (the local game) or our own id while connected
+const isLocalActor = (state, actorId) => actorId == null || actorId === state.getLocalPlayerId();
+
+// playerMaterials with one player's count of a material changed
+const adjustPlayerMaterials = (playerMaterials, playerId, materialType, change) => {
+  const held = { ...playerMaterials[playerId] };
+  held[materialType] = (held[materialType] || 0) + change;
+  if (held[materialType] <= 0) delete held[materialType];
+  return { ...playerMaterials, [playerId]: held };
+};
+
+// playerMaterials with several of one player's materials changed
+const addPlayerMaterials = (playerMaterials, playerId, materials) => Object.entries(materials).reduce(
+  (all, [materialType, change]) => adjustPlayerMaterials(all, playerId, materialType, change),
+  playerMaterials,
+);
+
 const useGameStore = create((rawSet, get, api) => {
   // Wrap set with action middleware - intercepts action objects for validation/history
   // Regular set() calls (functions/plain objects without .type) pass through unchanged
@@ -110,7 +166,7 @@ const useGameStore = create((rawSet, get, api) => {
     crystals: 3,
     potions: 3,
     items: [],
-    materials: { wood: 10, stone: 0, iron: 5, coal: 0, dirt: 0, sand: 0, clay: 0, gold_ore: 0, leather: 8, crystal: 2, berry: 0, meat: 0, bone: 0, fiber: 0 },
+    materials: { ...STARTING_MATERIALS },
   },
 
   // Enemies/Monsters (rift-spawned)
@@ -150,6 +206,7 @@ const useGameStore = create((rawSet, get, api) => {
   selectedBlockType: 3, // GRASS by default
   blockPlacementMode: false, // false = mining, true = placing
   buildMode: false, // Toggle build mode (Tab key) — gates all block interaction
+  areaEditMode: false, // Area selection tool (T key) — clicks pick box corners instead of mining/placing
 
   // World time state (Phase 1) — start at 05:00 (dawn)
   worldTime: {
@@ -178,6 +235,8 @@ const useGameStore = create((rawSet, get, api) => {
     isPartialShelter: false,
     isExposed: true,
     tier: 'exposed',     // 'full'|'partial'|'exposed'
+    skyLight: 15,        // Voxel light at the player (0-15)
+    blockLight: 0,
   },
 
   // Death tracking (Phase 1)
@@ -197,6 +256,10 @@ const useGameStore = create((rawSet, get, api) => {
     lastImmigrationCheck: 0,
     lastAttractivenessCalc: 0,
     lastNeedsUpdate: 0,
+    // Co-op membership (see SettlementMembers.js)
+    ownerId: null,          // Player who founded the settlement (null: single-player)
+    members: {},            // playerId -> role
+    auditLog: [],           // What members did, newest last
   },
 
   // Zone designation state (Phase 2.2)
@@ -205,16 +268,21 @@ const useGameStore = create((rawSet, get, api) => {
   zoneTypeToPlace: null,
   zoneDragStart: null,    // [worldX, worldZ] of first corner
   activeStockpileZoneId: null,  // Zone ID of open stockpile panel (or null)
+  editingSign: null,            // {wx, wy, wz} of the sign being edited (or null)
 
   // Construction system state (Phase 2.4)
   constructionSites: [],          // Array of construction site objects
   activeBuildingCatalog: false,   // Whether building catalog is open
   placingBuildingId: null,        // Building ID being placed (preview mode)
   activeConstructionSiteId: null, // Site ID of open construction panel
+  playerBlueprints: [],           // Blueprint JSON captured with the area edit tool
 
   // Actions
   setGameState: (state) => set({ gameState: state }),
 
+  // Apply an ActionSystem action object (validated and logged to actionHistory)
+  dispatch: (action) => set(action),
+
   updateCamera: (updates) =>
     set((state) => ({
       camera: { ...state.camera, ...updates },
@@ -262,6 +330,7 @@ const useGameStore = create((rawSet, get, api) => {
   toggleBlockPlacementMode: () => set((state) => ({ blockPlacementMode: !state.blockPlacementMode })),
   toggleBuildMode: () => set((state) => ({ buildMode: !state.buildMode })),
   setBuildMode: (mode) => set({ buildMode: mode }),
+  setAreaEditMode: (active) => set({ areaEditMode: active }),
 
   // World time actions (Phase 1) — called by TimeManager integration each frame
   updateWorldTime: (timeData) =>
@@ -365,6 +434,23 @@ const useGameStore = create((rawSet, get, api) => {
   setSettlementModule: (mod) => set({ _settlementModule: mod }),
   _networkLayer: null,
   setNetworkLayer: (layer) => set({ _networkLayer: layer }),
+  // This player's id on the server while connected, else null (the local game).
+  // Settlement actions take it as their actor, so the server can check and log it.
+  getLocalPlayerId: () => {
+    const layer = get()._networkLayer;
+    return layer?.isConnected?.() ? layer.playerId ?? null : null;
+  },
+  // Other players on a co-op server, keyed by player id (RemoteNetworkLayer.bindStore)
+  remotePlayers: {},
+  // On a server (GameServer), the materials each player has gained there, by
+  // player id: all it lets them put into stockpiles
+  playerMaterials: {},
+  // Session recording (useReplayRecorder) and the replay being watched, if any (ReplaySystem)
+  _replayRecorder: null,
+  setReplayRecorder: (recorder) => set({ _replayRecorder: recorder }),
+  _replayPlayer: null,
+  _replayReturnSave: null, // The live game, put back when the replay is closed
+  setReplayPlayer: (player, returnSave = null) => set({ _replayPlayer: player, _replayReturnSave: returnSave }),
   _riftManager: null,
   setRiftManager: (rm) => set({ _riftManager: rm }),
 
@@ -403,6 +489,29 @@ const useGameStore = create((rawSet, get, api) => {
   // Live enemy positions (mutable Map, written by Enemy.jsx each frame, read by spell auto-aim)
   _enemyPositions: new Map(),
 
+  // Explosions waiting to go off (mutable, detonated by ExplosionController).
+  // Each is { position: [x, y, z], radius, radiusY, power, damage, knockback,
+  // dropChance, fuse, grounded, hurtsPlayer, source }. A grounded blast goes
+  // off on the ground below its position (or the surface, when y is null).
+  _explosionQueue: [],
+  queueExplosion: (explosion) => {
+    get()._explosionQueue.push({ fuse: 0, ...explosion });
+  },
+
+  // Blast knockback waiting to be applied to the player body by Player.jsx
+  _playerKnockback: null,
+  knockbackPlayer: (impulse) => {
+    const state = get();
+    const prev = state._playerKnockback || { x: 0, y: 0, z: 0 };
+    state._playerKnockback = { x: prev.x + impulse.x, y: prev.y + impulse.y, z: prev.z + impulse.z };
+  },
+  takePlayerKnockback: () => {
+    const state = get();
+    const impulse = state._playerKnockback;
+    state._playerKnockback = null;
+    return impulse;
+  },
+
   // Rift actions (Phase 1)
   setRifts: (rifts) => set({ rifts }),
 
@@ -1252,6 +1361,19 @@ const useGameStore = create((rawSet, get, api) => {
           case 'rage':
             updates.rage = Math.min(state.player.maxRage, state.player.rage + item.effect.value);
             break;
+          case 'explosion': {
+            // Thrown or planted ahead of the player, then left to its fuse
+            const { throwDistance = 0, ...blast } = item.effect;
+            const [px, py, pz] = state.player.position;
+            const yaw = state.player.facingAngle || 0;
+            state.queueExplosion({
+              ...blast,
+              position: [px + Math.sin(yaw) * throwDistance, py + 1, pz + Math.cos(yaw) * throwDistance],
+              grounded: true,
+              source: `Blown up by ${item.name}`,
+            });
+            break;
+          }
           case 'food': {
             // Food items restore hunger instead of health
             const newHunger = Math.min(state.hunger.max, state.hunger.current + item.effect.value);
@@ -1283,7 +1405,8 @@ const useGameStore = create((rawSet, get, api) => {
     }),
 
   // Respawn player after death — apply tuning penalties
-  respawnPlayer: () =>
+  // spawn from respawnPosition(); pass it so a replay puts the player in the same place
+  respawnPlayer: (spawn = null) =>
     set((state) => {
       // Reduce each material by death penalty (50%), floored
       const penalizedMaterials = {};
@@ -1291,20 +1414,14 @@ const useGameStore = create((rawSet, get, api) => {
         penalizedMaterials[key] = Math.floor(val * (1 - 0.5));
       }
 
-      // Spawn far from death position to avoid enemy clusters
-      const deathPos = state.player.position;
-      const angle = Math.random() * Math.PI * 2;
-      const dist = 40 + Math.random() * 20; // 40-60 units away from death
-      const spawnX = deathPos[0] + Math.cos(angle) * dist;
-      const spawnZ = deathPos[2] + Math.sin(angle) * dist;
-
       return {
         player: {
           ...state.player,
           health: Math.ceil(state.player.maxHealth * 0.5),
           mana: state.player.maxMana,
           stamina: Math.ceil(state.player.maxStamina * 0.5),
-          position: [spawnX, 70, spawnZ],
+          // Far from the death position, away from the enemies there
+          position: spawn ?? respawnPosition(state.player.position),
           velocity: [0, 0, 0],
           targetPosition: null,
           navPath: null,
@@ -1330,10 +1447,42 @@ const useGameStore = create((rawSet, get, api) => {
     }),
 
   // Settlement actions (Phase 2)
-  setSettlementCenter: (center) =>
-    set((state) => ({
-      settlement: { ...state.settlement, settlementCenter: center },
-    })),
+  // Actions a co-op player can be refused take the acting player's id last
+  // (null: the local game) and return { success, error? }; see SettlementMembers.js.
+  // The first player to found an unowned settlement owns it.
+  setSettlementCenter: (center, actorId = null) => {
+    const error = permissionError(get().settlement, actorId, SETTLEMENT_PERMISSIONS.MANAGE_SETTLEMENT);
+    if (error) return { success: false, error };
+    set((state) => {
+      let settlement = state.settlement;
+      if (actorId != null && !settlement.ownerId) settlement = claimSettlement(settlement, actorId).settlement;
+      return {
+        settlement: recordAudit({ ...settlement, settlementCenter: center }, actorId, 'setSettlementCenter', { center }),
+      };
+    });
+    return { success: true };
+  },
+
+  inviteSettlementMember: ({ playerId, role } = {}, actorId = null) => {
+    const result = inviteMember(get().settlement, actorId, playerId, role);
+    if (!result.success) return result;
+    set({ settlement: result.settlement });
+    return { success: true };
+  },
+
+  setSettlementMemberRole: ({ playerId, role } = {}, actorId = null) => {
+    const result = setMemberRole(get().settlement, actorId, playerId, role);
+    if (!result.success) return result;
+    set({ settlement: result.settlement });
+    return { success: true };
+  },
+
+  removeSettlementMember: ({ playerId } = {}, actorId = null) => {
+    const result = removeMember(get().settlement, actorId, playerId);
+    if (!result.success) return result;
+    set({ settlement: result.settlement });
+    return { success: true };
+  },
 
   addSettlementNPC: (npc) =>
     set((state) => ({
@@ -1381,25 +1530,44 @@ const useGameStore = create((rawSet, get, api) => {
     })),
 
   // Zone designation actions (Phase 2.2)
-  addZone: (zone) => set((state) => {
-    if (state.zones.length >= ZONE_MAX_COUNT) return state;
-    return { zones: [...state.zones, zone] };
-  }),
-  removeZone: (zoneId) => set((state) => {
-    const zone = state.zones.find(z => z.id === zoneId);
-    let newMaterials = state.inventory.materials;
-    if (zone?.storage?.items) {
-      newMaterials = { ...newMaterials };
-      for (const [mat, qty] of Object.entries(zone.storage.items)) {
-        newMaterials[mat] = (newMaterials[mat] || 0) + qty;
-      }
+  addZone: (zone, actorId = null) => {
+    const error = permissionError(get().settlement, actorId, SETTLEMENT_PERMISSIONS.DESIGNATE_ZONES);
+    if (error) return { success: false, error };
+    if (get().zones.length >= ZONE_MAX_COUNT) return { success: false, error: `Maximum ${ZONE_MAX_COUNT} zones reached` };
+    set((state) => ({
+      zones: [...state.zones, zone],
+      settlement: recordAudit(state.settlement, actorId, 'addZone', { zoneId: zone.id, type: zone.type }),
+    }));
+    return { success: true };
+  },
+  removeZone: (zoneId, actorId = null) => {
+    const error = permissionError(get().settlement, actorId, SETTLEMENT_PERMISSIONS.DESIGNATE_ZONES);
+    if (error) return { success: false, error };
+    // What's left in a stockpile goes to the local player; anyone else empties it first
+    const stored = get().zones.find(z => z.id === zoneId)?.storage?.items || {};
+    if (!isLocalActor(get(), actorId) && Object.values(stored).some(qty => qty > 0)) {
+      return { success: false, error: 'Empty the stockpile before removing it' };
     }
-    return {
-      zones: state.zones.filter(z => z.id !== zoneId),
-      inventory: { ...state.inventory, materials: newMaterials },
-      activeStockpileZoneId: state.activeStockpileZoneId === zoneId ? null : state.activeStockpileZoneId,
-    };
-  }),
+    set((state) => {
+      const zone = state.zones.find(z => z.id === zoneId);
+      let newMaterials = state.inventory.materials;
+      if (zone?.storage?.items) {
+        newMaterials = { ...newMaterials };
+        for (const [mat, qty] of Object.entries(zone.storage.items)) {
+          newMaterials[mat] = (newMaterials[mat] || 0) + qty;
+        }
+        // The chests stay behind, empty
+        writeChestContents(state._chunkManager, { ...zone.storage, items: {} });
+      }
+      return {
+        zones: state.zones.filter(z => z.id !== zoneId),
+        inventory: { ...state.inventory, materials: newMaterials },
+        activeStockpileZoneId: state.activeStockpileZoneId === zoneId ? null : state.activeStockpileZoneId,
+        settlement: zone ? recordAudit(state.settlement, actorId, 'removeZone', { zoneId }) : state.settlement,
+      };
+    });
+    return { success: true };
+  },
   syncZones: (moduleZones) => set({
     zones: Array.isArray(moduleZones) ? moduleZones : Array.from(moduleZones.values()),
   }),
@@ -1415,43 +1583,81 @@ const useGameStore = create((rawSet, get, api) => {
   setActiveStockpileZone: (zoneId) => set({ activeStockpileZoneId: zoneId }),
   closeStockpilePanel: () => set({ activeStockpileZoneId: null }),
 
-  depositToStockpile: (zoneId, materialType, amount) => set((state) => {
+  // Sign text editing (text is stored in the sign's block state)
+  openSignEditor: (position) => set({ editingSign: position }),
+  closeSignEditor: () => set({ editingSign: null }),
+
+  // Deposits and withdrawals move materials between a stockpile and the
+  // actor's inventory. Only the local player's inventory is in this store: for
+  // anyone else (players on a server) their `playerMaterials` entry moves
+  // instead, and their game moves its own inventory by the returned `moved`.
+  depositToStockpile: (zoneId, materialType, amount, actorId = null) => {
+    const state = get();
+    const error = permissionError(state.settlement, actorId, SETTLEMENT_PERMISSIONS.DEPOSIT);
+    if (error) return { success: false, error };
+    if (!KNOWN_MATERIALS.has(materialType)) return { success: false, error: `Unknown material ${materialType}` };
+    if (!Number.isInteger(amount) || amount <= 0) return { success: false, error: 'Amount must be a positive whole number' };
     const zone = state.zones.find(z => z.id === zoneId);
-    if (!zone?.storage) return state;
-    const available = state.inventory.materials[materialType] || 0;
+    if (!zone?.storage) return { success: false, error: 'No such stockpile' };
+    const ownInventory = isLocalActor(state, actorId);
+    const available = (ownInventory ? state.inventory.materials : state.playerMaterials[actorId])?.[materialType] || 0;
     const spaceLeft = zone.storage.capacity - zone.storage.usedCapacity;
-    const toDeposit = Math.min(amount, available, spaceLeft);
-    if (toDeposit <= 0) return state;
-    const newItems = { ...zone.storage.items };
-    newItems[materialType] = (newItems[materialType] || 0) + toDeposit;
-    return {
-      zones: state.zones.map(z => z.id === zoneId ? {
-        ...z, storage: { ...z.storage, items: newItems, usedCapacity: zone.storage.usedCapacity + toDeposit }
-      } : z),
-      inventory: { ...state.inventory, materials: {
-        ...state.inventory.materials, [materialType]: available - toDeposit,
-      }},
-    };
-  }),
+    const moved = Math.min(amount, available, spaceLeft);
+    if (!(moved > 0)) return { success: false, error: spaceLeft > 0 ? `No ${materialType} to deposit` : 'The stockpile is full' };
+
+    set((state) => {
+      const newItems = { ...zone.storage.items };
+      newItems[materialType] = (newItems[materialType] || 0) + moved;
+      const storage = { ...zone.storage, items: newItems, usedCapacity: zone.storage.usedCapacity + moved };
+      writeChestContents(state._chunkManager, storage);
+      return {
+        zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
+        ...(ownInventory
+          ? { inventory: { ...state.inventory, materials: {
+            ...state.inventory.materials, [materialType]: state.inventory.materials[materialType] - moved,
+          }} }
+          : { playerMaterials: adjustPlayerMaterials(state.playerMaterials, actorId, materialType, -moved) }),
+        settlement: recordAudit(state.settlement, actorId, 'depositToStockpile', {
+          zoneId, materialType, amount: moved,
+        }),
+      };
+    });
+    return { success: true, moved };
+  },
 
-  withdrawFromStockpile: (zoneId, materialType, amount) => set((state) => {
+  withdrawFromStockpile: (zoneId, materialType, amount, actorId = null) => {
+    const state = get();
+    const error = permissionError(state.settlement, actorId, SETTLEMENT_PERMISSIONS.WITHDRAW);
+    if (error) return { success: false, error };
+    if (!KNOWN_MATERIALS.has(materialType)) return { success: false, error: `Unknown material ${materialType}` };
+    if (!Number.isInteger(amount) || amount <= 0) return { success: false, error: 'Amount must be a positive whole number' };
     const zone = state.zones.find(z => z.id === zoneId);
-    if (!zone?.storage) return state;
+    if (!zone?.storage) return { success: false, error: 'No such stockpile' };
     const stored = zone.storage.items[materialType] || 0;
-    const toWithdraw = Math.min(amount, stored);
-    if (toWithdraw <= 0) return state;
-    const newItems = { ...zone.storage.items };
-    newItems[materialType] = stored - toWithdraw;
-    if (newItems[materialType] <= 0) delete newItems[materialType];
-    return {
-      zones: state.zones.map(z => z.id === zoneId ? {
-        ...z, storage: { ...z.storage, items: newItems, usedCapacity: Math.max(0, zone.storage.usedCapacity - toWithdraw) }
-      } : z),
-      inventory: { ...state.inventory, materials: {
-        ...state.inventory.materials, [materialType]: (state.inventory.materials[materialType] || 0) + toWithdraw,
-      }},
-    };
-  }),
+    const moved = Math.min(amount, stored);
+    if (!(moved > 0)) return { success: false, error: `No ${materialType} in the stockpile` };
+    const ownInventory = isLocalActor(state, actorId);
+
+    set((state) => {
+      const newItems = { ...zone.storage.items };
+      newItems[materialType] = stored - moved;
+      if (newItems[materialType] <= 0) delete newItems[materialType];
+      const storage = { ...zone.storage, items: newItems, usedCapacity: Math.max(0, zone.storage.usedCapacity - moved) };
+      writeChestContents(state._chunkManager, storage);
+      return {
+        zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
+        ...(ownInventory
+          ? { inventory: { ...state.inventory, materials: {
+            ...state.inventory.materials, [materialType]: (state.inventory.materials[materialType] || 0) + moved,
+          }} }
+          : { playerMaterials: adjustPlayerMaterials(state.playerMaterials, actorId, materialType, moved) }),
+        settlement: recordAudit(state.settlement, actorId, 'withdrawFromStockpile', {
+          zoneId, materialType, amount: moved,
+        }),
+      };
+    });
+    return { success: true, moved };
+  },
 
   consumeFromStockpile: (zoneId, materialType, amount) => set((state) => {
     const zone = state.zones.find(z => z.id === zoneId);
@@ -1462,13 +1668,74 @@ const useGameStore = create((rawSet, get, api) => {
     const newItems = { ...zone.storage.items };
     newItems[materialType] = stored - toConsume;
     if (newItems[materialType] <= 0) delete newItems[materialType];
+    const storage = { ...zone.storage, items: newItems, usedCapacity: Math.max(0, zone.storage.usedCapacity - toConsume) };
+    writeChestContents(state._chunkManager, storage);
     return {
-      zones: state.zones.map(z => z.id === zoneId ? {
-        ...z, storage: { ...z.storage, items: newItems, usedCapacity: Math.max(0, zone.storage.usedCapacity - toConsume) }
-      } : z),
+      zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
     };
   }),
 
+  // A chest placed inside a stockpile adds its capacity
+  addStockpileChest: (zoneId, position) => set((state) => {
+    const zone = state.zones.find(z => z.id === zoneId);
+    if (!zone?.storage?.chests) return state;
+    const storage = chestStorage([...zone.storage.chests, position], zone.storage.items);
+    writeChestContents(state._chunkManager, storage);
+    return {
+      zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
+    };
+  }),
+
+  // A broken stockpile chest spills its share of the items to the player who
+  // broke it: the local player, or on a server their playerMaterials entry
+  removeStockpileChest: (zoneId, position, actorId = null) => {
+    const zone = get().zones.find(z => z.id === zoneId);
+    const chests = zone?.storage?.chests;
+    const index = chests ? chests.findIndex(c => c.wx === position.wx && c.wy === position.wy && c.wz === position.wz) : -1;
+    if (index < 0) return { success: false, error: 'No such stockpile chest' };
+
+    const share = distributeItems(zone.storage.items, chests.length)[index];
+    set((state) => {
+      const newItems = { ...zone.storage.items };
+      for (const [mat, qty] of Object.entries(share)) {
+        newItems[mat] -= qty;
+        if (newItems[mat] <= 0) delete newItems[mat];
+      }
+      const storage = chestStorage(chests.filter((_, i) => i !== index), newItems);
+      writeChestContents(state._chunkManager, storage);
+      if (!isLocalActor(state, actorId)) {
+        return {
+          zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
+          playerMaterials: addPlayerMaterials(state.playerMaterials, actorId, share),
+        };
+      }
+      const newMaterials = { ...state.inventory.materials };
+      for (const [mat, qty] of Object.entries(share)) newMaterials[mat] = (newMaterials[mat] || 0) + qty;
+      return {
+        zones: state.zones.map(z => z.id === zoneId ? { ...z, storage } : z),
+        inventory: { ...state.inventory, materials: newMaterials },
+      };
+    });
+    return { success: true, spilled: share };
+  },
+
+  // What a player on a server gains and spends there (GameServer): mined
+  // blocks and spilled containers add, placed blocks take
+  grantPlayerMaterials: (playerId, materials) => set((state) => ({
+    playerMaterials: addPlayerMaterials(state.playerMaterials, playerId, materials),
+  })),
+  spendPlayerMaterials: (playerId, materials) => {
+    const held = get().playerMaterials[playerId] || {};
+    const short = Object.keys(materials).find(mat => (held[mat] || 0) < materials[mat]);
+    if (short) return { success: false, error: `No ${short} to spend` };
+    set((state) => ({
+      playerMaterials: addPlayerMaterials(state.playerMaterials, playerId, Object.fromEntries(
+        Object.entries(materials).map(([mat, qty]) => [mat, -qty])
+      )),
+    }));
+    return { success: true };
+  },
+
   // Construction system actions (Phase 2.4)
   toggleBuildingCatalog: () => set((state) => ({
     activeBuildingCatalog: !state.activeBuildingCatalog,
@@ -1478,19 +1745,32 @@ const useGameStore = create((rawSet, get, api) => {
   startPlacingBuilding: (buildingId) => set({ placingBuildingId: buildingId, activeBuildingCatalog: false }),
   cancelPlacingBuilding: () => set({ placingBuildingId: null }),
 
-  placeConstructionSite: (buildingId, position, materialsRequired, totalBlocks) => set((state) => ({
-    constructionSites: [...state.constructionSites, {
-      id: `cs_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-      buildingId,
-      position,
-      status: 'PLACED',
-      materialsDelivered: {},
-      materialsRequired,
-      blocksPlaced: 0,
-      totalBlocks,
-      createdAt: Date.now(),
-    }],
-    placingBuildingId: null,
+  // siteId from createConstructionSiteId()
+  placeConstructionSite: (buildingId, position, materialsRequired, totalBlocks, siteId, actorId = null) => {
+    const error = permissionError(get().settlement, actorId, SETTLEMENT_PERMISSIONS.PLACE_BUILDINGS);
+    if (error) return { success: false, error };
+    if (typeof siteId !== 'string' || siteId === '') return { success: false, error: 'A site id is required' };
+    if (get().constructionSites.some(s => s.id === siteId)) return { success: false, error: `Site ${siteId} already exists` };
+    set((state) => ({
+      constructionSites: [...state.constructionSites, {
+        id: siteId,
+        buildingId,
+        position,
+        status: 'PLACED',
+        materialsDelivered: {},
+        materialsRequired,
+        blocksPlaced: 0,
+        totalBlocks,
+        createdAt: Date.now(),
+      }],
+      placingBuildingId: null,
+      settlement: recordAudit(state.settlement, actorId, 'placeConstructionSite', { siteId, buildingId, position }),
+    }));
+    return { success: true, siteId };
+  },
+
+  addPlayerBlueprint: (blueprint) => set((state) => ({
+    playerBlueprints: [...state.playerBlueprints, blueprint],
   })),
 
   setActiveConstructionSite: (siteId) => set({ activeConstructionSiteId: siteId }),
@@ -1638,10 +1918,13 @@ const useGameStore = create((rawSet, get, api) => {
       settlement: {
         npcs: [], attractiveness: 0, wallCount: 0, settlementCenter: null,
         lastImmigrationCheck: 0, lastAttractivenessCalc: 0, lastNeedsUpdate: 0,
+        ownerId: null, members: {}, auditLog: [],
       },
-      buildMode: false,
+      buildMode: false, areaEditMode: false,
       zones: [], zoneMode: false, zoneTypeToPlace: null, zoneDragStart: null, activeStockpileZoneId: null,
+      editingSign: null,
       constructionSites: [], activeBuildingCatalog: false, placingBuildingId: null, activeConstructionSiteId: null,
+      playerBlueprints: [], playerMaterials: {},
     }),
 
   // Character system actions
@@ -1649,4 +1932,6 @@ const useGameStore = create((rawSet, get, api) => {
 });
 });
 
+logStoreActions(useGameStore, LOGGED_STORE_ACTIONS, actionHistory);
+
 export default useGameStore;
@@ -7,9 +7,12 @@
  * - Target priority for abilities
  * - Summon coordination
  * - Special attack patterns
+ * - Terrain damage (abilities with terrainDamage crater the ground
+ *   around the boss, see ExplosionController)
  */
 
 import useGameStore from '../stores/useGameStore.js';
+import { TERRAIN_DAMAGE_ENABLED } from '../data/tuning.js';
 
 /**
  * Calculate distance between two positions
@@ -409,6 +412,17 @@ export class BossAI {
       boss.heal(Math.floor(damage * ability.healPercent));
     }
 
+    // Slams break the ground around the boss; the hit itself was dealt above
+    if (ability.terrainDamage && TERRAIN_DAMAGE_ENABLED) {
+      useGameStore.getState().queueExplosion?.({
+        ...ability.terrainDamage,
+        position: [boss.position.x, null, boss.position.y],
+        grounded: true,
+        dropChance: 0,
+        hurtsPlayer: false,
+      });
+    }
+
     boss.emit('ability:executed', {
       bossId: boss.id,
       ability: ability.name,
@@ -0,0 +1,204 @@
+/**
+ * PlayerMotion - Deterministic player movement against voxel terrain
+ *
+ * Networked play can't trust the rapier body in Player.jsx: the server has
+ * no physics engine and two clients' physics never agree exactly. Instead the
+ * moving client and the GameServer both run this fixed-step simulation, so
+ * the same inputs from the same state end in the same place. The client
+ * predicts with it; the server's result is the one that counts.
+ *
+ * The player is an upright box the size of Player.jsx's capsule. Each tick it
+ * moves one axis at a time (vertical first) and stops against the first
+ * solid block on that axis, so it slides along walls and lands on floors.
+ *
+ * An input is one tick:
+ *   { seq, vx, vz, jump, position? }
+ * vx/vz are the horizontal velocity the player steers toward, in world units
+ * per second (camera-relative keys already turned into world directions).
+ * Velocity eases toward it the way Player.jsx damps it. `jump` only works on
+ * the ground. `position` puts the player there before the tick (spawn,
+ * respawn), so the move is ordered with the inputs around it. A server only
+ * takes it from a player it has no position for yet; after that, only the
+ * server moves players other than by steering (GameServer.respawnPlayer).
+ *
+ * `world` is anything with getBlock(worldX, worldY, worldZ): ChunkManager on
+ * the client, ChunkAuthority on the server. Unloaded terrain reads as air.
+ *
+ * Node-safe: no DOM or three.js.
+ */
+
+import { isSolid } from './chunks/blockTypes.js';
+import { VOXEL_SIZE } from './chunks/coordinates.js';
+import { JUMP_IMPULSE, MOVEMENT_TICK_RATE, MOVEMENT_GRAVITY, MOVEMENT_MAX_SPEED } from '../data/tuning.js';
+
+// Seconds per input
+export const MOVEMENT_TICK = 1 / MOVEMENT_TICK_RATE;
+
+// Player.jsx's capsule: radius 0.6, 2.8 tall, feet at the body position
+export const PLAYER_HALF_WIDTH = 0.6;
+export const PLAYER_HEIGHT = 2.8;
+
+// Share of the gap to the steering velocity closed per tick (Player.jsx's lerp)
+const STEERING = 0.2;
+
+// Terminal fall speed, so a long fall can't skip through a floor
+const MAX_FALL_SPEED = 50;
+
+// How far the box stays from a block it stopped against, so float error
+// can't put it inside the block
+const SKIN = 1e-6;
+
+// Respawns land this far from where the player died, away from whatever killed them
+const RESPAWN_MIN_DISTANCE = 40;
+const RESPAWN_DISTANCE_SPREAD = 20;
+// Dropped in from above the terrain
+const RESPAWN_HEIGHT = 70;
+
+/**
+ * Motion state for a player standing at a position
+ * @param {number[]} position - [x, y, z] of the feet
+ * @returns {{position: number[], velocity: number[], grounded: boolean}}
+ */
+export function createMotionState(position) {
+  return { position: [...position], velocity: [0, 0, 0], grounded: false };
+}
+
+/**
+ * Check and clamp an input from the network
+ * @param {Object} input
+ * @returns {Object|null} The input with steering capped at MOVEMENT_MAX_SPEED, or null if malformed
+ */
+export function sanitizeInput(input) {
+  if (!input || !Number.isInteger(input.seq) || input.seq < 1) return null;
+  let vx = Number(input.vx) || 0;
+  let vz = Number(input.vz) || 0;
+  if (!Number.isFinite(vx) || !Number.isFinite(vz)) return null;
+
+  const speed = Math.hypot(vx, vz);
+  if (speed > MOVEMENT_MAX_SPEED) {
+    vx *= MOVEMENT_MAX_SPEED / speed;
+    vz *= MOVEMENT_MAX_SPEED / speed;
+  }
+
+  const clean = { seq: input.seq, vx, vz, jump: input.jump === true };
+  if (input.position !== undefined) {
+    if (!Array.isArray(input.position) || input.position.length !== 3 || !input.position.every(Number.isFinite)) {
+      return null;
+    }
+    clean.position = [...input.position];
+  }
+  return clean;
+}
+
+/**
+ * Whether any block in a voxel box is solid
+ */
+function anySolid(world, axis, layer, ranges) {
+  const [a, b] = [0, 1, 2].filter((i) => i !== axis);
+  const voxel = [0, 0, 0];
+  voxel[axis] = layer;
+  for (let i = ranges[a][0]; i <= ranges[a][1]; i++) {
+    for (let j = ranges[b][0]; j <= ranges[b][1]; j++) {
+      voxel[a] = i;
+      voxel[b] = j;
+      // Sample the voxel's centre; getBlock takes world coordinates
+      const block = world.getBlock(
+        (voxel[0] + 0.5) * VOXEL_SIZE,
+        (voxel[1] + 0.5) * VOXEL_SIZE,
+        (voxel[2] + 0.5) * VOXEL_SIZE
+      );
+      if (isSolid(block)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * How far the box can move along one axis before hitting a solid block
+ * @returns {number} The allowed part of delta
+ */
+function sweepAxis(world, position, axis, delta) {
+  const min = [position[0] - PLAYER_HALF_WIDTH, position[1], position[2] - PLAYER_HALF_WIDTH];
+  const max = [position[0] + PLAYER_HALF_WIDTH, position[1] + PLAYER_HEIGHT, position[2] + PLAYER_HALF_WIDTH];
+
+  // Voxels the box covers on each axis (touching a face doesn't count)
+  const ranges = [0, 1, 2].map((i) => [
+    Math.floor(min[i] / VOXEL_SIZE),
+    Math.ceil(max[i] / VOXEL_SIZE) - 1,
+  ]);
+
+  // Voxel layers the leading face passes into; the ones the box already
+  // overlaps are skipped, so a block placed on the player can't trap them
+  if (delta > 0) {
+    const target = max[axis] + delta;
+    for (let layer = ranges[axis][1] + 1; layer <= Math.ceil(target / VOXEL_SIZE) - 1; layer++) {
+      if (anySolid(world, axis, layer, ranges)) {
+        return Math.max(0, layer * VOXEL_SIZE - SKIN - max[axis]);
+      }
+    }
+  } else {
+    const target = min[axis] + delta;
+    for (let layer = ranges[axis][0] - 1; layer >= Math.floor(target / VOXEL_SIZE); layer--) {
+      if (anySolid(world, axis, layer, ranges)) {
+        return Math.min(0, (layer + 1) * VOXEL_SIZE + SKIN - min[axis]);
+      }
+    }
+  }
+  return delta;
+}
+
+/**
+ * Advance a player by one input
+ * @param {Object} world - getBlock(worldX, worldY, worldZ)
+ * @param {{position: number[], velocity: number[], grounded: boolean}} state
+ * @param {{vx: number, vz: number, jump?: boolean, position?: number[]}} input
+ * @param {number} [dt=MOVEMENT_TICK] - Seconds
+ * @returns {{position: number[], velocity: number[], grounded: boolean}} The next state (state is not changed)
+ */
+export function stepPlayerMotion(world, state, input, dt = MOVEMENT_TICK) {
+  const start = input.position ? createMotionState(input.position) : state;
+  const position = [...start.position];
+  const velocity = [...start.velocity];
+
+  velocity[0] += (input.vx - velocity[0]) * STEERING;
+  velocity[2] += (input.vz - velocity[2]) * STEERING;
+  if (input.jump && start.grounded) velocity[1] = JUMP_IMPULSE;
+  velocity[1] = Math.max(velocity[1] - MOVEMENT_GRAVITY * dt, -MAX_FALL_SPEED);
+
+  let grounded = false;
+  for (const axis of [1, 0, 2]) {
+    const delta = velocity[axis] * dt;
+    if (delta === 0) continue;
+    const moved = sweepAxis(world, position, axis, delta);
+    if (moved !== delta) {
+      if (axis === 1 && delta < 0) grounded = true;
+      velocity[axis] = 0;
+    }
+    position[axis] += moved;
+  }
+
+  return { position, velocity, grounded };
+}
+
+/**
+ * Where a player who died at a position comes back
+ * @param {number[]} position - Where they died
+ * @param {Function} [random=Math.random]
+ * @returns {number[]} A point RESPAWN_MIN_DISTANCE to RESPAWN_MIN_DISTANCE + RESPAWN_DISTANCE_SPREAD
+ *   away horizontally, at RESPAWN_HEIGHT
+ */
+export function respawnPosition(position, random = Math.random) {
+  const angle = random() * Math.PI * 2;
+  const dist = RESPAWN_MIN_DISTANCE + random() * RESPAWN_DISTANCE_SPREAD;
+  return [position[0] + Math.cos(angle) * dist, RESPAWN_HEIGHT, position[2] + Math.sin(angle) * dist];
+}
+
+export default {
+  MOVEMENT_TICK,
+  PLAYER_HALF_WIDTH,
+  PLAYER_HEIGHT,
+  createMotionState,
+  sanitizeInput,
+  stepPlayerMotion,
+  respawnPosition,
+};
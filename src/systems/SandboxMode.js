@@ -154,4 +154,7 @@ class SandboxMode {
   }
 }
 
+// Singleton for systems that check the active sandbox settings
+export const sandboxMode = new SandboxMode();
+
 export default SandboxMode;
@@ -6,12 +6,14 @@ import { BossAI, BOSS_AI_STATES } from '../BossAI.js';
 import { BossMonster } from '../../entities/BossMonster.js';
 
 // Mock the game store
+const storeState = vi.hoisted(() => ({
+  dealDamageToPlayer: vi.fn(),
+  queueExplosion: vi.fn()
+}));
 vi.mock('../../stores/useGameStore.js', () => ({
   __esModule: true,
   default: {
-    getState: () => ({
-      dealDamageToPlayer: vi.fn()
-    })
+    getState: () => storeState
   }
 }));
 
@@ -300,6 +302,19 @@ describe('BossAI', () => {
 
       expect(boss.aiState).toBe(BOSS_AI_STATES.SUMMONING);
     });
+
+    it('should crater the ground under the boss for slams', () => {
+      const golem = new BossMonster('STONE_GOLEM', { x: 4, y: 6 });
+      storeState.queueExplosion.mockClear();
+
+      bossAI._executeAbility(golem, golem.abilities.GROUND_SLAM, gameState.player, gameState.player.position);
+
+      expect(storeState.queueExplosion).toHaveBeenCalledWith(expect.objectContaining({
+        position: [4, null, 6],
+        grounded: true,
+        hurtsPlayer: false
+      }));
+    });
   });
 
   describe('summon creation', () => {
@@ -0,0 +1,75 @@
+import {
+  MOVEMENT_TICK,
+  createMotionState,
+  sanitizeInput,
+  stepPlayerMotion,
+} from '../PlayerMotion';
+import { BlockTypes } from '../chunks/blockTypes';
+import { JUMP_IMPULSE, MOVEMENT_MAX_SPEED } from '../../data/tuning';
+
+// Flat ground with its surface at y = 10, and a wall at x >= 20
+const world = {
+  getBlock: (x, y) => (y < 10 || (x >= 20 && y < 16) ? BlockTypes.STONE : BlockTypes.AIR),
+};
+
+function run(state, input, ticks) {
+  let next = state;
+  for (let i = 0; i < ticks; i++) next = stepPlayerMotion(world, next, input);
+  return next;
+}
+
+const still = { vx: 0, vz: 0 };
+
+describe('PlayerMotion', () => {
+  it('falls onto the ground and stays there', () => {
+    const landed = run(createMotionState([5, 14, 5]), still, 60);
+    expect(landed.position[1]).toBeCloseTo(10, 4);
+    expect(landed.grounded).toBe(true);
+    expect(landed.velocity[1]).toBe(0);
+
+    const after = run(landed, still, 30);
+    expect(after.position).toEqual(landed.position);
+  });
+
+  it('eases toward the steering velocity and stops at walls', () => {
+    const start = run(createMotionState([5, 10, 5]), still, 2);
+    const walking = run(start, { vx: 6, vz: 0 }, 20);
+    expect(walking.velocity[0]).toBeGreaterThan(5.9);
+    expect(walking.position[0]).toBeGreaterThan(5);
+    expect(walking.position[1]).toBeCloseTo(10, 4);
+
+    const blocked = run(walking, { vx: 6, vz: 0 }, 300);
+    expect(blocked.position[0] + 0.6).toBeCloseTo(20, 4); // Box edge flush with the wall
+    expect(blocked.velocity[0]).toBe(0);
+  });
+
+  it('only jumps from the ground', () => {
+    const grounded = run(createMotionState([5, 10, 5]), still, 2);
+    const jumping = stepPlayerMotion(world, grounded, { vx: 0, vz: 0, jump: true });
+    expect(jumping.velocity[1]).toBeCloseTo(JUMP_IMPULSE - 20 * MOVEMENT_TICK, 6);
+    expect(jumping.grounded).toBe(false);
+
+    const again = stepPlayerMotion(world, jumping, { vx: 0, vz: 0, jump: true });
+    expect(again.velocity[1]).toBeLessThan(jumping.velocity[1]);
+  });
+
+  it('starts from an input position and leaves the given state alone', () => {
+    const state = createMotionState([5, 10, 5]);
+    const moved = stepPlayerMotion(world, state, { vx: 0, vz: 0, position: [40, 30, 40] });
+    expect(moved.position[0]).toBe(40);
+    expect(moved.position[1]).toBeLessThan(30);
+    expect(state.position).toEqual([5, 10, 5]);
+  });
+
+  it('checks and clamps inputs from the network', () => {
+    const fast = sanitizeInput({ seq: 3, vx: 300, vz: 400, jump: 'yes' });
+    expect(Math.hypot(fast.vx, fast.vz)).toBeCloseTo(MOVEMENT_MAX_SPEED);
+    expect(fast.jump).toBe(false);
+
+    expect(sanitizeInput({ seq: 0, vx: 0, vz: 0 })).toBe(null);
+    expect(sanitizeInput({ seq: 1.5, vx: 0, vz: 0 })).toBe(null);
+    expect(sanitizeInput({ seq: 1, vx: Infinity, vz: 0 })).toBe(null);
+    expect(sanitizeInput({ seq: 1, vx: 0, vz: 0, position: [1, 'a', 3] })).toBe(null);
+    expect(sanitizeInput({ seq: 1, position: [1, 2, 3] })).toEqual({ seq: 1, vx: 0, vz: 0, jump: false, position: [1, 2, 3] });
+  });
+});
@@ -0,0 +1,493 @@
+/**
+ * AreaEditor - Box selection and bulk edits for the chunk world
+ *
+ * Select a box by its two corners, then fill it, hollow it out, replace one
+ * block type with another, or copy it to a clipboard and paste it elsewhere,
+ * rotated in 90° steps around Y and mirrored. Every edit can be undone and
+ * redone.
+ *
+ * Edits are queued and applied through ChunkManager.setBlock a batch per
+ * update() call, so lighting, fluids and block physics see them like any
+ * other change. The renderer sees a whole batch as one mesh rebuild per dirty
+ * chunk. Each block records what it replaced as it is applied, so undo puts
+ * back what was really there.
+ *
+ * Placed blocks cost their `requiredMaterial` and removed blocks refund it,
+ * unless the editor has no material source or sandbox mode skips costs.
+ * Unbreakable blocks (bedrock) are never touched. Nothing is edited while
+ * the terrain comes from a co-op server (ChunkManager.chunkSource).
+ *
+ * All coordinates are voxel coordinates (world position / VOXEL_SIZE).
+ *
+ * Usage:
+ *   const editor = new AreaEditor(chunkManager, { getMaterials, spendMaterials, refundMaterials, sandbox });
+ *   editor.setCorner(0, a); editor.setCorner(1, b);
+ *   editor.fill(BlockTypes.STONE);
+ *   editor.copy(); editor.paste(origin, { rotation: 90, mirrorX: true });
+ *   editor.update();                             // every frame
+ */
+
+import { VOXEL_SIZE } from './coordinates.js';
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { AREA_EDIT_MAX_VOLUME, AREA_EDIT_BLOCKS_PER_FRAME, AREA_EDIT_HISTORY } from '../../data/tuning.js';
+
+/**
+ * Normalize two corners into an inclusive box
+ * @param {{x: number, y: number, z: number}} a
+ * @param {{x: number, y: number, z: number}} b
+ * @returns {{min: Object, max: Object, size: Object}}
+ */
+export function makeBox(a, b) {
+  const min = { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) };
+  const max = { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) };
+  return {
+    min,
+    max,
+    size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 },
+  };
+}
+
+/**
+ * Index of a cell in a region's block array (X fastest, then Z, then Y,
+ * like a chunk)
+ * @param {{x: number, y: number, z: number}} size - Region size
+ * @returns {number}
+ */
+export function regionIndex(size, x, y, z) {
+  return x + z * size.x + y * size.x * size.z;
+}
+
+/**
+ * Rotate and mirror a region. Mirroring flips the region in place before
+ * it is rotated around Y, each 90° step turning +X toward +Z.
+ * @param {{size: Object, blocks: Uint8Array}} region
+ * @param {Object} transform
+ * @param {number} transform.rotation - 0, 90, 180 or 270 degrees
+ * @param {boolean} transform.mirrorX - Flip along X
+ * @param {boolean} transform.mirrorZ - Flip along Z
+ * @returns {{size: Object, blocks: Uint8Array}}
+ */
+export function transformRegion(region, { rotation = 0, mirrorX = false, mirrorZ = false } = {}) {
+  const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+  const { size } = region;
+  const outSize = turns % 2 === 0 ? { ...size } : { x: size.z, y: size.y, z: size.x };
+  const blocks = new Uint8Array(region.blocks.length);
+
+  for (let y = 0; y < size.y; y++) {
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++) {
+        const mx = mirrorX ? size.x - 1 - x : x;
+        const mz = mirrorZ ? size.z - 1 - z : z;
+        let ox = mx;
+        let oz = mz;
+        if (turns === 1) {
+          ox = size.z - 1 - mz;
+          oz = mx;
+        } else if (turns === 2) {
+          ox = size.x - 1 - mx;
+          oz = size.z - 1 - mz;
+        } else if (turns === 3) {
+          ox = mz;
+          oz = size.x - 1 - mx;
+        }
+        blocks[regionIndex(outSize, ox, y, oz)] = region.blocks[regionIndex(size, x, y, z)];
+      }
+    }
+  }
+
+  return { size: outSize, blocks };
+}
+
+/**
+ * Material ledger for a list of changes: +1 requiredMaterial per block
+ * placed, -1 per block removed
+ * @param {Array<{before: number, after: number}>} changes
+ * @returns {Object} material -> net amount (negative = refund)
+ */
+export function getEditCost(changes) {
+  const cost = {};
+  const add = (blockType, amount) => {
+    const material = blockRegistry.get(blockType)?.requiredMaterial;
+    if (material) cost[material] = (cost[material] || 0) + amount;
+  };
+  for (const { before, after } of changes) {
+    add(after, 1);
+    add(before, -1);
+  }
+  for (const material of Object.keys(cost)) {
+    if (cost[material] === 0) delete cost[material];
+  }
+  return cost;
+}
+
+/**
+ * AreaEditor class
+ */
+export class AreaEditor {
+  /**
+   * @param {ChunkManager} chunkManager - World to edit
+   * @param {Object} options
+   * @param {Function} options.getMaterials - Returns the player's materials (material -> amount).
+   *   Without it, edits are free.
+   * @param {Function} options.spendMaterials - Called with material -> amount to take
+   * @param {Function} options.refundMaterials - Called with material -> amount to give back
+   * @param {SandboxMode} options.sandbox - Edits are free while it skips costs
+   * @param {number} options.blocksPerUpdate - Blocks applied per update() (default AREA_EDIT_BLOCKS_PER_FRAME)
+   */
+  constructor(chunkManager, options = {}) {
+    this.chunkManager = chunkManager;
+    this.getMaterials = options.getMaterials ?? null;
+    this.spendMaterials = options.spendMaterials ?? (() => {});
+    this.refundMaterials = options.refundMaterials ?? (() => {});
+    this.sandbox = options.sandbox ?? null;
+    this.blocksPerUpdate = options.blocksPerUpdate ?? AREA_EDIT_BLOCKS_PER_FRAME;
+
+    // Selection corners, voxel coordinates
+    this.corners = [null, null];
+    // Last copied region: { size, blocks }
+    this.clipboard = null;
+
+    // Edits waiting to be applied: { edit, cells: [[x, y, z, blockType]], next }
+    this.queue = [];
+    // Applied (or applying) edits: { label, changes: [{x, y, z, before, after}] }
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Set one corner of the selection
+   * @param {number} index - 0 or 1
+   * @param {{x: number, y: number, z: number}} voxel
+   */
+  setCorner(index, voxel) {
+    this.corners[index] = { x: voxel.x, y: voxel.y, z: voxel.z };
+  }
+
+  /**
+   * Clear the selection
+   */
+  clearSelection() {
+    this.corners = [null, null];
+  }
+
+  /**
+   * Current selection box, once both corners are set
+   * @returns {{min: Object, max: Object, size: Object} | null}
+   */
+  getSelection() {
+    if (!this.corners[0] || !this.corners[1]) return null;
+    return makeBox(this.corners[0], this.corners[1]);
+  }
+
+  /**
+   * Fill the selection with a block (AIR clears it)
+   * @param {number} blockType
+   * @returns {{success: boolean, reason: string|null, blocks: number}}
+   */
+  fill(blockType) {
+    return this._editSelection('Fill', () => blockType);
+  }
+
+  /**
+   * Turn the selection into a shell of a block, cleared inside
+   * @param {number} blockType
+   * @returns {{success: boolean, reason: string|null, blocks: number}}
+   */
+  hollow(blockType) {
+    const box = this.getSelection();
+    return this._editSelection('Hollow', (x, y, z) => {
+      const onShell = x === box.min.x || x === box.max.x ||
+        y === box.min.y || y === box.max.y ||
+        z === box.min.z || z === box.max.z;
+      return onShell ? blockType : BlockTypes.AIR;
+    });
+  }
+
+  /**
+   * Replace every block of one type in the selection with another
+   * @param {number} fromType
+   * @param {number} toType
+   * @returns {{success: boolean, reason: string|null, blocks: number}}
+   */
+  replace(fromType, toType) {
+    return this._editSelection('Replace', (x, y, z, current) => (current === fromType ? toType : current));
+  }
+
+  /**
+   * Copy the selection to the clipboard
+   * @returns {{size: Object, blocks: Uint8Array} | null}
+   */
+  copy() {
+    const box = this.getSelection();
+    if (!box || this._volume(box.size) > AREA_EDIT_MAX_VOLUME) return null;
+    this.flush();
+
+    const { min, size } = box;
+    const blocks = new Uint8Array(this._volume(size));
+    for (let y = 0; y < size.y; y++) {
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++) {
+          blocks[regionIndex(size, x, y, z)] = this._getBlock(min.x + x, min.y + y, min.z + z);
+        }
+      }
+    }
+
+    this.clipboard = { size, blocks };
+    return this.clipboard;
+  }
+
+  /**
+   * Paste the clipboard with its minimum corner at a voxel position
+   * @param {{x: number, y: number, z: number}} origin
+   * @param {Object} transform - { rotation, mirrorX, mirrorZ }, see transformRegion
+   * @param {Object} options
+   * @param {boolean} options.includeAir - Clear cells that are air in the clipboard (default false)
+   * @returns {{success: boolean, reason: string|null, blocks: number}}
+   */
+  paste(origin, transform = {}, { includeAir = false } = {}) {
+    if (!this.clipboard) return { success: false, reason: 'Nothing copied', blocks: 0 };
+    return this.pasteRegion(transformRegion(this.clipboard, transform), origin, { includeAir });
+  }
+
+  /**
+   * Paste any region (clipboard, blueprint, schematic) at a voxel position
+   * @param {{size: Object, blocks: Uint8Array}} region
+   * @param {{x: number, y: number, z: number}} origin - Minimum corner
+   * @param {Object} options - { includeAir }
+   * @returns {{success: boolean, reason: string|null, blocks: number}}
+   */
+  pasteRegion(region, origin, { includeAir = false } = {}) {
+    const { size } = region;
+    if (this._volume(size) > AREA_EDIT_MAX_VOLUME) {
+      return { success: false, reason: 'Region is too large', blocks: 0 };
+    }
+    this.flush();
+
+    const cells = [];
+    for (let y = 0; y < size.y; y++) {
+      for (let z = 0; z < size.z; z++) {
+        for (let x = 0; x < size.x; x++) {
+          const blockType = region.blocks[regionIndex(size, x, y, z)];
+          if (blockType === BlockTypes.AIR && !includeAir) continue;
+          cells.push([origin.x + x, origin.y + y, origin.z + z, blockType]);
+        }
+      }
+    }
+    return this._submit('Paste', cells);
+  }
+
+  /**
+   * Undo the last edit, refunding what its blocks cost. Undoing a clear puts
+   * the blocks back, so it costs them again, if the player can still afford it.
+   * @returns {boolean}
+   */
+  undo() {
+    this.flush();
+    const edit = this.undoStack[this.undoStack.length - 1];
+    if (!edit || !this.isAvailable()) return false;
+    const cost = this._negate(getEditCost(edit.changes));
+    if (!this._canAfford(cost)) return false;
+
+    this.undoStack.pop();
+    for (let i = edit.changes.length - 1; i >= 0; i--) {
+      const { x, y, z, before } = edit.changes[i];
+      this._setBlock(x, y, z, before);
+    }
+    this._settle(cost);
+    this.redoStack.push(edit);
+    return true;
+  }
+
+  /**
+   * Redo the last undone edit, if the player can still afford it
+   * @returns {boolean}
+   */
+  redo() {
+    this.flush();
+    const edit = this.redoStack[this.redoStack.length - 1];
+    if (!edit || !this.isAvailable()) return false;
+    const cost = getEditCost(edit.changes);
+    if (!this._canAfford(cost)) return false;
+
+    this.redoStack.pop();
+    for (const { x, y, z, after } of edit.changes) {
+      this._setBlock(x, y, z, after);
+    }
+    this._settle(cost);
+    this.undoStack.push(edit);
+    return true;
+  }
+
+  /**
+   * Whether edits can be made: not while a co-op server owns the terrain
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !this.chunkManager.chunkSource;
+  }
+
+  /**
+   * Check if undo is available
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if redo is available
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Apply the next batch of queued blocks - call every frame
+   * @returns {number} Blocks applied
+   */
+  update() {
+    let budget = this.blocksPerUpdate;
+    while (budget > 0 && this.queue.length > 0) {
+      const job = this.queue[0];
+      const start = job.next;
+      const end = Math.min(job.cells.length, start + budget);
+      for (; job.next < end; job.next++) {
+        const [x, y, z, blockType] = job.cells[job.next];
+        const before = this._getBlock(x, y, z);
+        if (before === blockType || !this._isEditable(before)) continue;
+        if (this._setBlock(x, y, z, blockType)) {
+          job.edit.changes.push({ x, y, z, before, after: blockType });
+        }
+      }
+      budget -= end - start;
+      if (job.next >= job.cells.length) this.queue.shift();
+    }
+    return this.blocksPerUpdate - budget;
+  }
+
+  /**
+   * Apply everything still queued right away
+   */
+  flush() {
+    while (this.queue.length > 0) this.update();
+  }
+
+  /**
+   * Blocks still waiting to be applied
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.queue.reduce((total, job) => total + job.cells.length - job.next, 0);
+  }
+
+  /**
+   * Drop the clipboard, queue and history
+   */
+  clear() {
+    this.clearSelection();
+    this.clipboard = null;
+    this.queue = [];
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Edit each cell of the selection: fn(x, y, z, current) -> new block type
+   */
+  _editSelection(label, fn) {
+    const box = this.getSelection();
+    if (!box) return { success: false, reason: 'Select two corners first', blocks: 0 };
+    if (this._volume(box.size) > AREA_EDIT_MAX_VOLUME) {
+      return { success: false, reason: 'Selection is too large', blocks: 0 };
+    }
+    // Edits build on each other: finish the previous one first
+    this.flush();
+
+    const cells = [];
+    for (let y = box.min.y; y <= box.max.y; y++) {
+      for (let z = box.min.z; z <= box.max.z; z++) {
+        for (let x = box.min.x; x <= box.max.x; x++) {
+          cells.push([x, y, z, fn(x, y, z, this._getBlock(x, y, z))]);
+        }
+      }
+    }
+    return this._submit(label, cells);
+  }
+
+  /**
+   * Charge for a list of cells and queue them as one undoable edit
+   */
+  _submit(label, cells) {
+    if (!this.isAvailable()) return { success: false, reason: 'No area edits on a co-op server', blocks: 0 };
+    const changed = cells.filter(([x, y, z, blockType]) => {
+      const current = this._getBlock(x, y, z);
+      return current !== blockType && this._isEditable(current);
+    });
+    if (changed.length === 0) return { success: false, reason: 'Nothing to change', blocks: 0 };
+
+    const cost = getEditCost(changed.map(([x, y, z, after]) => ({ before: this._getBlock(x, y, z), after })));
+    if (!this._canAfford(cost)) return { success: false, reason: 'Not enough materials', blocks: 0 };
+    this._settle(cost);
+
+    const edit = { label, changes: [] };
+    this.undoStack.push(edit);
+    if (this.undoStack.length > AREA_EDIT_HISTORY) this.undoStack.shift();
+    this.redoStack = [];
+
+    this.queue.push({ edit, cells: changed, next: 0 });
+    return { success: true, reason: null, blocks: changed.length };
+  }
+
+  _isFree() {
+    return !this.getMaterials || (this.sandbox?.shouldSkipCosts() ?? false);
+  }
+
+  _canAfford(cost) {
+    if (this._isFree()) return true;
+    const materials = this.getMaterials();
+    return Object.entries(cost).every(([material, amount]) => amount <= 0 || (materials[material] || 0) >= amount);
+  }
+
+  // Take positive amounts, give back negative ones
+  _settle(cost) {
+    if (this._isFree()) return;
+    const spend = {};
+    const refund = {};
+    for (const [material, amount] of Object.entries(cost)) {
+      if (amount > 0) spend[material] = amount;
+      else refund[material] = -amount;
+    }
+    if (Object.keys(spend).length > 0) this.spendMaterials(spend);
+    if (Object.keys(refund).length > 0) this.refundMaterials(refund);
+  }
+
+  _negate(cost) {
+    const negated = {};
+    for (const [material, amount] of Object.entries(cost)) negated[material] = -amount;
+    return negated;
+  }
+
+  _isEditable(blockType) {
+    return blockRegistry.get(blockType)?.hardness !== Infinity;
+  }
+
+  _volume(size) {
+    return size.x * size.y * size.z;
+  }
+
+  _getBlock(x, y, z) {
+    return this.chunkManager.getBlock(
+      (x + 0.5) * VOXEL_SIZE, (y + 0.5) * VOXEL_SIZE, (z + 0.5) * VOXEL_SIZE
+    );
+  }
+
+  _setBlock(x, y, z, blockType) {
+    return this.chunkManager.setBlock(
+      (x + 0.5) * VOXEL_SIZE, (y + 0.5) * VOXEL_SIZE, (z + 0.5) * VOXEL_SIZE, blockType
+    );
+  }
+}
+
+export default AreaEditor;
@@ -0,0 +1,444 @@
+/**
+ * BlockPhysics - Falling blocks, structural collapse and cave-ins for the chunk world
+ *
+ * Blocks opt in through their `physics` property in blocks.json:
+ * - gravity: sand and gravel fall one voxel per tick until they land
+ * - supported: built blocks, logs and trunks need a load path to the ground.
+ *   Straight down through other supported blocks is free, each sideways step
+ *   (StructuralValidator's wall and cantilever support) costs one, and the
+ *   path may not cost more than the validator's cantilever limit. Blocks
+ *   that lose their path fall.
+ * - fragile: like supported, but breaks instead of falling (leaves)
+ *
+ * Removing a solid block runs CaveInManager's span check around it. A
+ * ceiling left spanning too far may cave in: the rock above drops into the
+ * gap and onCaveIn reports it, so callers can hurt whoever is underneath.
+ * Wood and stone construction blocks count as supports, so shoring a
+ * tunnel with planks or pillars makes it safe.
+ *
+ * StructuralValidator and CaveInManager come from the voxel-building
+ * module, which is Z-up with its floor at z = 0. They see the chunk world
+ * through adapters that swap Y and Z and lift the world floor to 0.
+ *
+ * Like FluidSimulator, all edits go through ChunkManager.setBlock, which
+ * reports back through onBlockChanged. Checks are queued and run on a fixed
+ * tick with a per-tick budget; everything that moves in one tick reaches the
+ * renderer as a single mesh rebuild per chunk.
+ *
+ * Usage:
+ *   const physics = new BlockPhysics(chunkManager);
+ *   physics.onCaveIn = (event) => { ... getCaveInDamage(event, x, y, z) ... };
+ *   physics.update(deltaTime);                   // every frame
+ */
+
+import { VOXEL_SIZE, WORLD_MIN_Y, blockIndex } from './coordinates.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { BlockTypes } from './blockTypes.js';
+import { StructuralValidator, SupportType } from '../../modules/voxel-building/StructuralValidator.js';
+import { CaveInManager } from '../../modules/voxel-building/MiningPatterns.js';
+import {
+  MAX_CANTILEVER,
+  CAVE_IN_MAX_SPAN,
+  CAVE_IN_CHANCE,
+  CAVE_IN_DAMAGE,
+  CAVE_IN_REACH,
+} from '../../data/tuning.js';
+
+// Per-block tables, indexed by block ID
+const PHYSICS = new Array(256).fill(null);
+const SOLID = new Uint8Array(256);
+// Blocks that carry load for others: static solids and settled gravity blocks
+const ANCHOR = new Uint8Array(256);
+// Blocks a falling block crushes or displaces (air, plants, torches, fluids)
+const REPLACEABLE = new Uint8Array(256);
+// What CaveInManager sees for each block
+const CAVE_VIEW = new Array(256).fill(null);
+for (let id = 0; id < 256; id++) {
+  const def = blockRegistry.get(id);
+  if (!def) continue;
+  PHYSICS[id] = def.physics ?? null;
+  SOLID[id] = def.solid ? 1 : 0;
+  ANCHOR[id] = def.solid && (!def.physics || def.physics === 'gravity') ? 1 : 0;
+  REPLACEABLE[id] = id === BlockTypes.AIR || def.liquid || (!def.solid && def.hardness !== Infinity) ? 1 : 0;
+  CAVE_VIEW[id] = { type: def.solid ? def.key.toLowerCase() : 'air' };
+}
+
+// Returned for cells in chunks that aren't loaded; they hold everything up
+const UNLOADED = -1;
+const UNLOADED_VIEW = { type: 'bedrock' };
+
+// Cave-in supports: anything built that is sturdy enough to prop a ceiling
+const CAVE_IN_SUPPORTS = new Set(
+  blockRegistry.getAll()
+    .filter(def => def.physics === 'supported' && def.solid && !def.transparent)
+    .map(def => def.key.toLowerCase())
+);
+
+/**
+ * CaveInManager whose ceilings only count as held up by walls and by props:
+ * air standing on a support block. The base class also counts any column
+ * that reaches the floor of its world, which holds up every tunnel dug into
+ * solid ground.
+ */
+class ChunkCaveIns extends CaveInManager {
+  _hasColumnSupport(x, y, z) {
+    const below = this.voxelWorld.getBlock(x, y, z - 1);
+    return this.supportBlocks.has(below.type);
+  }
+}
+
+const SIDEWAYS = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+const NEIGHBORS = [...SIDEWAYS, [0, 1, 0], [0, -1, 0]];
+
+// Load path search gives up (and calls the block supported) past this many cells
+const MAX_SEARCH_CELLS = 4096;
+
+// Physics ticks allowed to catch up in a single update after a long frame
+const MAX_TICKS_PER_UPDATE = 4;
+
+function cellKey(vx, vy, vz) {
+  return `${vx},${vy},${vz}`;
+}
+
+/**
+ * Damage a cave-in deals at a world position: full damage in the columns
+ * under and beside the falling rock, down to CAVE_IN_REACH below the origin
+ * @param {{origin: Object, blocks: Array<Object>, damage: number}} event - onCaveIn event
+ * @param {number} worldX
+ * @param {number} worldY
+ * @param {number} worldZ
+ * @returns {number} Damage (0 if out of reach)
+ */
+export function getCaveInDamage(event, worldX, worldY, worldZ) {
+  const vx = Math.floor(worldX / VOXEL_SIZE);
+  const vy = Math.floor(worldY / VOXEL_SIZE);
+  const vz = Math.floor(worldZ / VOXEL_SIZE);
+  if (vy < event.origin.y - CAVE_IN_REACH) return 0;
+
+  for (const block of event.blocks) {
+    if (Math.abs(block.x - vx) <= 1 && Math.abs(block.z - vz) <= 1 && vy <= block.y) {
+      return event.damage;
+    }
+  }
+  return 0;
+}
+
+/**
+ * BlockPhysics class
+ */
+export class BlockPhysics {
+  /**
+   * @param {ChunkManager} chunkManager - World the blocks live in
+   * @param {Object} options
+   * @param {number} options.maxCantilever - Sideways steps a load path may take (default MAX_CANTILEVER)
+   * @param {boolean} options.caveIns - Roll for cave-ins when blocks are removed (default true)
+   * @param {Function} options.onCaveIn - Callback with each cave-in:
+   *   { origin: {x, y, z}, blocks: Array<{x, y, z}>, damage } in voxel coordinates
+   */
+  constructor(chunkManager, options = {}) {
+    this.chunkManager = chunkManager;
+    this.onCaveIn = options.onCaveIn ?? (() => {});
+
+    // Voxel-building rules, looking at the chunk world Z-up
+    this.validator = new StructuralValidator({
+      voxelWorld: {
+        getBlock: (x, y, z) => {
+          const blockType = this._blockAt(x, z + WORLD_MIN_Y, y);
+          return blockType === UNLOADED ? BlockTypes.BEDROCK : blockType;
+        },
+      },
+      maxCantilever: options.maxCantilever ?? MAX_CANTILEVER,
+    });
+    this.caveIns = new ChunkCaveIns({
+      voxelWorld: {
+        getBlock: (x, y, z) => {
+          const blockType = this._blockAt(x, z + WORLD_MIN_Y, y);
+          return blockType === UNLOADED ? UNLOADED_VIEW : CAVE_VIEW[blockType];
+        },
+      },
+      enabled: options.caveIns !== false,
+      maxUnsupportedSpan: CAVE_IN_MAX_SPAN,
+      caveInProbability: CAVE_IN_CHANCE,
+    });
+    this.caveIns.supportBlocks = CAVE_IN_SUPPORTS;
+
+    // Cells to check next tick (key -> [vx, vy, vz]), in the order queued
+    this.queue = new Map();
+    // Collapsed blocks still on their way down (keys of their current cell)
+    this.falling = new Set();
+
+    this.accumulator = 0;
+    // True while BlockPhysics itself is editing, so its edits don't cave in
+    this._applying = false;
+
+    // Cell lookup result (avoids allocating per lookup)
+    this._chunk = null;
+    this._index = 0;
+
+    this.stats = {
+      blocksFallen: 0,
+      blocksCollapsed: 0,
+      caveIns: 0,
+    };
+
+    // Configuration
+    this.tickInterval = 0.1; // Seconds per physics tick
+    this.maxUpdatesPerTick = 256;
+  }
+
+  /**
+   * Advance the simulation - call every frame
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    this.accumulator = Math.min(
+      this.accumulator + deltaTime,
+      this.tickInterval * MAX_TICKS_PER_UPDATE
+    );
+    while (this.accumulator >= this.tickInterval) {
+      this.accumulator -= this.tickInterval;
+      this.tick();
+    }
+  }
+
+  /**
+   * Run one physics tick: check the queued cells, up to the per-tick budget.
+   * Cells queued during the tick, or over budget, wait for the next one.
+   * @returns {number} Cells checked
+   */
+  tick() {
+    const cells = this.queue;
+    this.queue = new Map();
+
+    let checked = 0;
+    for (const [key, cell] of cells) {
+      if (checked >= this.maxUpdatesPerTick) {
+        this.queue.set(key, cell);
+        continue;
+      }
+      this._updateCell(cell[0], cell[1], cell[2]);
+      checked++;
+    }
+    return checked;
+  }
+
+  /**
+   * Called by ChunkManager.setBlock after a block changed. Wakes up the
+   * cell and its neighbors, and rolls for a cave-in if a solid block was
+   * removed.
+   * @param {Chunk} chunk
+   * @param {number} x - Local X
+   * @param {number} y - Local Y
+   * @param {number} z - Local Z
+   * @param {number} previous - Block type before the change
+   */
+  onBlockChanged(chunk, x, y, z, previous) {
+    const vx = chunk.x * 16 + x;
+    const vy = chunk.y * 16 + y;
+    const vz = chunk.z * 16 + z;
+
+    this._scheduleAround(vx, vy, vz);
+
+    if (!this._applying && SOLID[previous] && !SOLID[chunk.blocks[blockIndex(x, y, z)]]) {
+      this._rollCaveIn(vx, vy, vz);
+    }
+  }
+
+  /**
+   * Queue a cell check for the next tick
+   * @param {number} vx - Voxel X
+   * @param {number} vy - Voxel Y
+   * @param {number} vz - Voxel Z
+   */
+  schedule(vx, vy, vz) {
+    const key = cellKey(vx, vy, vz);
+    if (!this.queue.has(key)) this.queue.set(key, [vx, vy, vz]);
+  }
+
+  /**
+   * Check whether a supported or fragile block has a load path to the
+   * ground within the cantilever limit
+   * @param {number} vx - Voxel X
+   * @param {number} vy - Voxel Y
+   * @param {number} vz - Voxel Z
+   * @returns {boolean}
+   */
+  isSupported(vx, vy, vz) {
+    // Nothing below or beside it at all: no need to search
+    const support = this.validator.getSupportType(vx, vz, vy - WORLD_MIN_Y);
+    if (support === SupportType.NONE || support === SupportType.CANTILEVER) return false;
+
+    // 0-1 BFS: stepping down is free, stepping sideways costs one
+    const maxCost = this.validator.maxCantilever;
+    const costs = new Map([[cellKey(vx, vy, vz), 0]]);
+    const deque = [[vx, vy, vz, 0]];
+
+    while (deque.length > 0) {
+      if (costs.size > MAX_SEARCH_CELLS) return true;
+      const [x, y, z, cost] = deque.shift();
+
+      const below = this._blockAt(x, y - 1, z);
+      if (below === UNLOADED || ANCHOR[below]) return true;
+      if (PHYSICS[below] === 'supported' || PHYSICS[below] === 'fragile') {
+        const key = cellKey(x, y - 1, z);
+        if (!(costs.get(key) <= cost)) {
+          costs.set(key, cost);
+          deque.unshift([x, y - 1, z, cost]);
+        }
+      }
+
+      if (cost >= maxCost) continue;
+      for (const [dx, , dz] of SIDEWAYS) {
+        const nx = x + dx;
+        const nz = z + dz;
+        const side = this._blockAt(nx, y, nz);
+        if (side === UNLOADED || ANCHOR[side]) return true;
+        if (PHYSICS[side] !== 'supported' && PHYSICS[side] !== 'fragile') continue;
+        const key = cellKey(nx, y, nz);
+        if (costs.get(key) <= cost + 1) continue;
+        costs.set(key, cost + 1);
+        deque.push([nx, y, nz, cost + 1]);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Get simulation stats
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingChecks: this.queue.size,
+      fallingBlocks: this.falling.size,
+    };
+  }
+
+  /**
+   * Drop all queued checks and falling blocks
+   */
+  clear() {
+    this.queue.clear();
+    this.falling.clear();
+    this.accumulator = 0;
+  }
+
+  /**
+   * Let a cell fall or collapse if nothing holds it up
+   */
+  _updateCell(vx, vy, vz) {
+    const blockType = this._blockAt(vx, vy, vz);
+    const key = cellKey(vx, vy, vz);
+    const falling = this.falling.delete(key);
+    if (blockType === UNLOADED || blockType === BlockTypes.AIR) return;
+
+    const physics = PHYSICS[blockType];
+    if (physics === 'gravity' || falling) {
+      this._fall(vx, vy, vz, blockType, falling);
+      return;
+    }
+    if (physics !== 'supported' && physics !== 'fragile') return;
+    if (this.isSupported(vx, vy, vz)) return;
+
+    this.stats.blocksCollapsed++;
+    if (physics === 'fragile' || !SOLID[blockType]) {
+      this._setCell(vx, vy, vz, BlockTypes.AIR);
+    } else {
+      this._fall(vx, vy, vz, blockType, true);
+    }
+  }
+
+  /**
+   * Move a block down one voxel if there is room. Collapsed blocks stay
+   * marked as falling until they land.
+   */
+  _fall(vx, vy, vz, blockType, collapsed) {
+    const below = this._blockAt(vx, vy - 1, vz);
+    if (below === UNLOADED || !REPLACEABLE[below]) return;
+
+    this._setCell(vx, vy - 1, vz, blockType);
+    this._setCell(vx, vy, vz, BlockTypes.AIR);
+    this.stats.blocksFallen++;
+
+    if (collapsed) {
+      this.falling.add(cellKey(vx, vy - 1, vz));
+      this.schedule(vx, vy - 1, vz);
+    }
+  }
+
+  /**
+   * Roll CaveInManager's span check around a removed block. Rock that caves
+   * in falls bottom first, so stacked blocks follow each other down.
+   */
+  _rollCaveIn(vx, vy, vz) {
+    const event = this.caveIns.onBlockMined(vx, vz, vy - WORLD_MIN_Y);
+    if (!event) return;
+
+    const blocks = [];
+    for (const block of event.affectedBlocks) {
+      const x = block.x;
+      const y = block.z + WORLD_MIN_Y;
+      const z = block.y;
+      const blockType = this._blockAt(x, y, z);
+      // Built blocks, trees and sand already follow their own rules
+      if (blockType === UNLOADED || !SOLID[blockType] || PHYSICS[blockType]) continue;
+      if (blockType === BlockTypes.BEDROCK) continue;
+      blocks.push({ x, y, z });
+    }
+    if (blocks.length === 0) return;
+
+    blocks.sort((a, b) => a.y - b.y);
+    for (const { x, y, z } of blocks) {
+      this.falling.add(cellKey(x, y, z));
+      this.schedule(x, y, z);
+    }
+
+    this.stats.caveIns++;
+    this.onCaveIn({
+      origin: { x: event.origin.x, y: event.origin.z + WORLD_MIN_Y, z: event.origin.y },
+      blocks,
+      damage: CAVE_IN_DAMAGE,
+    });
+  }
+
+  /**
+   * Apply a block through ChunkManager.setBlock
+   */
+  _setCell(vx, vy, vz, blockType) {
+    this._applying = true;
+    try {
+      this.chunkManager.setBlock(vx * VOXEL_SIZE, vy * VOXEL_SIZE, vz * VOXEL_SIZE, blockType);
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  /**
+   * Wake up a cell and its neighbors, if they can fall or collapse
+   */
+  _scheduleAround(vx, vy, vz) {
+    if (PHYSICS[this._blockAt(vx, vy, vz)]) this.schedule(vx, vy, vz);
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      const blockType = this._blockAt(vx + dx, vy + dy, vz + dz);
+      if (blockType !== UNLOADED && PHYSICS[blockType]) this.schedule(vx + dx, vy + dy, vz + dz);
+    }
+  }
+
+  /**
+   * Look up the block at voxel coordinates. Leaves the cell in
+   * _chunk/_index for the caller.
+   * @returns {number} Block ID, or UNLOADED
+   */
+  _blockAt(vx, vy, vz) {
+    // CHUNK_SIZE is 16: shift/mask also handle negative coordinates
+    const chunk = this.chunkManager.getChunk(vx >> 4, vy >> 4, vz >> 4);
+    if (!chunk || !chunk.blocks) return UNLOADED;
+    this._chunk = chunk;
+    this._index = blockIndex(vx & 0x0f, vy & 0x0f, vz & 0x0f);
+    return chunk.blocks[this._index];
+  }
+}
+
+export default BlockPhysics;
@@ -0,0 +1,307 @@
+/**
+ * BlockRegistry - Single source of truth for voxel block definitions
+ *
+ * Loads block definitions from config/blocks/blocks.json and builds the
+ * lookup tables used by the live chunk world, the chunk worker, the
+ * voxel-building module and the drop tables.
+ *
+ * Each definition carries:
+ * - id / key / name: numeric ID stored in chunk Uint8Arrays, enum key, display name
+ * - color: [r, g, b] in 0-1 range, used by the mesher
+ * - solid / transparent / liquid / walkable / climbable: physical behavior
+ * - hardness: break time in seconds with bare hands (null = unbreakable)
+ * - blastResistance: blast strength an explosion needs to break the block
+ *   (defaults to hardness, see Explosion.js)
+ * - lightLevel: light emitted (0-15)
+ * - lightFilter: extra light lost passing through a transparent block (default 0)
+ * - fluid: fluid kind simulated by FluidSimulator ('water' | 'lava'), if any
+ * - physics: how BlockPhysics treats the block once the world changes around
+ *   it ('gravity' | 'supported' | 'fragile'), if at all
+ * - state: kind of per-block state the block carries (orientation, door
+ *   open flag, sign text, inventory), see blockStates.js
+ * - randomTick: names of the RandomTicker handlers random block ticks run
+ *   on the block (e.g. ['grassSpread']), if any
+ * - wardRadius: blocks around a purification ward that rift corruption
+ *   cannot spread into (see CorruptionManager.js), if any
+ * - drops: player mining drop table (see data/blockDrops.js)
+ * - dropItem / requiredMaterial: settlement resources for NPC gathering and building
+ * - category: BlockCategory value for filtering and UI
+ * - aliases: alternate enum keys (e.g. WOOD_LOG for WOOD)
+ * - legacyVoxelId: ID this block had in the old voxel-building scheme
+ *
+ * Usage:
+ *   import { blockRegistry } from './BlockRegistry.js';
+ *   const stone = blockRegistry.getId('STONE');
+ *   blockRegistry.isSolid(stone); // true
+ */
+
+import blockData from '../../config/blocks/blocks.json';
+
+/**
+ * Registry data version. Saves and blueprints written with this version
+ * store registry IDs; anything older stores legacy voxel-building IDs.
+ */
+export const BLOCK_REGISTRY_VERSION = blockData.version;
+
+/**
+ * BlockRegistry class
+ */
+export class BlockRegistry {
+  /**
+   * Create a registry from raw definition data
+   * @param {{version: number, blocks: Array<Object>}} data
+   */
+  constructor(data) {
+    this.version = data.version;
+
+    // id -> definition
+    this.definitions = new Map();
+
+    // key (and alias) -> id
+    this.ids = {};
+
+    // legacy voxel-building id -> registry id, and back
+    this.legacyToId = new Map();
+    this.idToLegacy = new Map();
+
+    for (const raw of data.blocks) {
+      this.register(raw);
+    }
+  }
+
+  /**
+   * Register a block definition
+   * @param {Object} raw - Definition from blocks.json
+   */
+  register(raw) {
+    if (this.definitions.has(raw.id)) {
+      throw new Error(`BlockRegistry: duplicate block id ${raw.id} (${raw.key})`);
+    }
+    if (raw.id < 0 || raw.id > 255) {
+      throw new Error(`BlockRegistry: block id ${raw.id} (${raw.key}) does not fit in a Uint8Array`);
+    }
+
+    const definition = Object.freeze({
+      ...raw,
+      // JSON has no Infinity — unbreakable blocks store null
+      hardness: raw.hardness === null ? Infinity : (raw.hardness ?? 1.0),
+      aliases: raw.aliases || [],
+    });
+
+    this.definitions.set(raw.id, definition);
+    this.ids[raw.key] = raw.id;
+    for (const alias of definition.aliases) {
+      this.ids[alias] = raw.id;
+    }
+
+    if (raw.legacyVoxelId !== undefined) {
+      this.legacyToId.set(raw.legacyVoxelId, raw.id);
+      this.idToLegacy.set(raw.id, raw.legacyVoxelId);
+    }
+  }
+
+  /**
+   * Get a block definition by ID
+   * @param {number} id - Block ID
+   * @returns {Object | null}
+   */
+  get(id) {
+    return this.definitions.get(id) || null;
+  }
+
+  /**
+   * Get a block ID by key or alias
+   * @param {string} key - Block key (e.g. 'STONE')
+   * @returns {number | undefined}
+   */
+  getId(key) {
+    return this.ids[key];
+  }
+
+  /**
+   * Get a block definition by key or alias
+   * @param {string} key - Block key
+   * @returns {Object | null}
+   */
+  getByKey(key) {
+    const id = this.ids[key];
+    return id === undefined ? null : this.get(id);
+  }
+
+  /**
+   * Get all block definitions, ordered by ID
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    return Array.from(this.definitions.values()).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Get all block definitions in a category
+   * @param {string} category
+   * @returns {Array<Object>}
+   */
+  getByCategory(category) {
+    return this.getAll().filter(def => def.category === category);
+  }
+
+  /**
+   * Check if a block is solid (blocks movement)
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isSolid(id) {
+    return this.definitions.get(id)?.solid ?? false;
+  }
+
+  /**
+   * Check if a block is transparent (neighbors render faces against it)
+   * @param {number} id
+   * @returns {boolean}
+   */
+  isTransparent(id) {
+    return this.definitions.get(id)?.transparent ?? true;
+  }
+
+  /**
+   * Get block color as RGB array [0-1]
+   * @param {number} id
+   * @returns {Array<number>}
+   */
+  getColor(id) {
+    return this.definitions.get(id)?.color ?? [1, 0, 1]; // Magenta for unknown
+  }
+
+  /**
+   * Get block hardness (break time in seconds with bare hands)
+   * @param {number} id
+   * @returns {number}
+   */
+  getHardness(id) {
+    return this.definitions.get(id)?.hardness ?? 1.0;
+  }
+
+  /**
+   * Get light emitted by a block
+   * @param {number} id
+   * @returns {number} Light level (0-15)
+   */
+  getLightLevel(id) {
+    return this.definitions.get(id)?.lightLevel ?? 0;
+  }
+
+  /**
+   * Get extra light a transparent block absorbs on top of the normal
+   * one-level falloff. Sky light only travels straight down unchanged
+   * through blocks with no filter.
+   * @param {number} id
+   * @returns {number}
+   */
+  getLightFilter(id) {
+    return this.definitions.get(id)?.lightFilter ?? 0;
+  }
+
+  /**
+   * Get the fluid kind a block belongs to
+   * @param {number} id
+   * @returns {string | null} 'water', 'lava', or null for non-fluids
+   */
+  getFluid(id) {
+    return this.definitions.get(id)?.fluid ?? null;
+  }
+
+  /**
+   * Get how a block reacts to losing what holds it up
+   * @param {number} id
+   * @returns {string | null} 'gravity', 'supported', 'fragile', or null for static blocks
+   */
+  getPhysics(id) {
+    return this.definitions.get(id)?.physics ?? null;
+  }
+
+  /**
+   * Get the kind of per-block state a block carries
+   * @param {number} id
+   * @returns {string | null} StateKind value (see blockStates.js), or null for plain blocks
+   */
+  getStateKind(id) {
+    return this.definitions.get(id)?.state ?? null;
+  }
+
+  /**
+   * Get the player mining drop table for a block
+   * @param {number} id
+   * @returns {Object | null}
+   */
+  getDrops(id) {
+    return this.definitions.get(id)?.drops ?? null;
+  }
+
+  /**
+   * Translate a legacy voxel-building block ID to a registry ID
+   * @param {number} legacyId
+   * @returns {number} Registry ID (INVALID if the legacy ID is unknown)
+   */
+  fromLegacyVoxelId(legacyId) {
+    const id = this.legacyToId.get(legacyId);
+    return id === undefined ? this.ids.INVALID : id;
+  }
+
+  /**
+   * Translate a registry ID to its legacy voxel-building block ID
+   * @param {number} id
+   * @returns {number | null} Legacy ID, or null for blocks that never had one
+   */
+  toLegacyVoxelId(id) {
+    return this.idToLegacy.get(id) ?? null;
+  }
+
+  /**
+   * Translate a whole block array from legacy voxel IDs to registry IDs
+   * @param {Uint8Array} blocks - Array to translate in place
+   * @returns {Uint8Array} The same array
+   */
+  translateLegacyBlocks(blocks) {
+    const lookup = new Uint8Array(256).fill(this.ids.INVALID);
+    for (const [legacyId, id] of this.legacyToId) {
+      lookup[legacyId] = id;
+    }
+    for (let i = 0; i < blocks.length; i++) {
+      blocks[i] = lookup[blocks[i]];
+    }
+    return blocks;
+  }
+
+  /**
+   * Build the flat lookup tables the chunk worker's mesher reads per face
+   * (plain objects and arrays keyed by block ID, cheaper in its hot loops
+   * than definition lookups).
+   * @returns {{ids: Object, colors: Object, transparent: Array<number>, fluids: Object, states: Object}}
+   */
+  toWorkerTable() {
+    const colors = {};
+    const transparent = [];
+    const fluids = {};
+    const states = {};
+    for (const def of this.definitions.values()) {
+      colors[def.id] = def.color;
+      if (def.transparent) transparent.push(def.id);
+      if (def.fluid) fluids[def.id] = def.fluid;
+      if (def.state) states[def.id] = def.state;
+    }
+    return {
+      ids: { ...this.ids },
+      colors,
+      transparent,
+      fluids,
+      states,
+    };
+  }
+}
+
+/**
+ * Shared registry instance loaded from config/blocks/blocks.json
+ */
+export const blockRegistry = new BlockRegistry(blockData);
+
+export default blockRegistry;
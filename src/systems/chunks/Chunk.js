@@ -2,7 +2,10 @@
  * Chunk - A 16x16x16 voxel container
  *
  * Stores block data in a flat Uint8Array for memory efficiency.
- * Includes heightmap for fast surface queries.
+ * Includes heightmap for fast surface queries. Chunks stack vertically;
+ * the heightmap is local to this chunk (0 = column empty in this chunk).
+ * Blocks that carry more than an ID (door open flags, sign text, chest
+ * inventories, see blockStates.js) keep it in a sparse state map.
  */
 
 import {
@@ -14,6 +17,17 @@ import {
   isInBounds,
 } from './coordinates.js';
 import { BlockTypes } from './blockTypes.js';
+import { getStateKind, packState } from './blockStates.js';
+
+// Binary header: chunk x, y, z as Int32LE
+const BINARY_HEADER_SIZE = 12;
+
+// Header + blocks + heightmap; block states, if any, follow
+const BINARY_BASE_SIZE = BINARY_HEADER_SIZE + CHUNK_SIZE_CUBED + CHUNK_SIZE_SQ;
+
+// Pre-stacking saves stored 16x32x16 columns with an x, z header
+export const LEGACY_COLUMN_HEIGHT = 32;
+const LEGACY_COLUMN_BINARY_SIZE = 8 + LEGACY_COLUMN_HEIGHT * CHUNK_SIZE_SQ + CHUNK_SIZE_SQ;
 
 // Chunk states
 export const ChunkState = {
@@ -31,15 +45,17 @@ export class Chunk {
   /**
    * Create a new chunk
    * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
    * @param {number} chunkZ - Chunk Z coordinate
    */
-  constructor(chunkX, chunkZ) {
+  constructor(chunkX, chunkY, chunkZ) {
     // Chunk coordinates (not world coordinates)
     this.x = chunkX;
+    this.y = chunkY;
     this.z = chunkZ;
 
     // Unique key for this chunk
-    this.key = `${chunkX},${chunkZ}`;
+    this.key = `${chunkX},${chunkY},${chunkZ}`;
 
     // Block data - flat Uint8Array (4KB for 16³)
     this.blocks = new Uint8Array(CHUNK_SIZE_CUBED);
@@ -47,6 +63,18 @@ export class Chunk {
     // Heightmap for fast surface queries (256 bytes for 16x16)
     this.heightMap = new Uint8Array(CHUNK_SIZE_SQ);
 
+    // Light levels, same layout as blocks: sky light in the high nibble,
+    // block light in the low nibble. Filled by LightEngine, never saved.
+    this.light = new Uint8Array(CHUNK_SIZE_CUBED);
+
+    // Fluid flow level per voxel (see FluidSimulator). Owned by the
+    // simulator and rebuilt from the blocks on load, never saved.
+    this.fluidLevels = new Uint8Array(CHUNK_SIZE_CUBED);
+
+    // Block index -> state object for blocks that carry one. Replacing a
+    // block drops its state.
+    this.blockStates = new Map();
+
     // State tracking
     this.state = ChunkState.EMPTY;
     this.isDirty = false;
@@ -64,6 +92,8 @@ export class Chunk {
       south: null,  // -Z
       east: null,   // +X
       west: null,   // -X
+      up: null,     // +Y
+      down: null,   // -Y
     };
   }
 
@@ -99,6 +129,7 @@ export class Chunk {
 
     if (oldBlock !== blockType) {
       this.blocks[index] = blockType;
+      this.blockStates.delete(index);
       this.isDirty = true;
       this.meshDirty = true;
       this.lastModified = Date.now();
@@ -111,6 +142,109 @@ export class Chunk {
     return false;
   }
 
+  /**
+   * Get the state of the block at local coordinates
+   * @param {number} x - Local X (0-15)
+   * @param {number} y - Local Y (0-15)
+   * @param {number} z - Local Z (0-15)
+   * @returns {Object | null} State object (see blockStates.js), or null
+   */
+  getBlockState(x, y, z) {
+    if (!isInBounds(x, y, z)) {
+      return null;
+    }
+    return this.blockStates.get(blockIndex(x, y, z)) ?? null;
+  }
+
+  /**
+   * Set the state of the block at local coordinates. The state belongs to
+   * the block there now and is dropped when that block is replaced. The
+   * mesh is only redrawn if the block looks different (an inventory
+   * change doesn't show).
+   * @param {number} x - Local X (0-15)
+   * @param {number} y - Local Y (0-15)
+   * @param {number} z - Local Z (0-15)
+   * @param {Object | null} state - State object, or null to clear it
+   * @returns {boolean} True if the state was set
+   */
+  setBlockState(x, y, z, state) {
+    if (!isInBounds(x, y, z)) {
+      return false;
+    }
+
+    const index = blockIndex(x, y, z);
+    const previous = this.blockStates.get(index);
+    if (state) {
+      this.blockStates.set(index, state);
+    } else if (!this.blockStates.delete(index)) {
+      return false;
+    }
+
+    const kind = getStateKind(this.blocks[index]);
+    if (packState(kind, previous) !== packState(kind, state)) {
+      this.meshDirty = true;
+    }
+    this.isDirty = true;
+    this.lastModified = Date.now();
+    return true;
+  }
+
+  /**
+   * Pack block states into one byte per block for the mesher
+   * (see blockStates.packState)
+   * @returns {Uint8Array | null} Packed states, or null if no block has one
+   */
+  packStates() {
+    if (this.blockStates.size === 0) return null;
+    const packed = new Uint8Array(CHUNK_SIZE_CUBED);
+    for (const [index, state] of this.blockStates) {
+      packed[index] = packState(getStateKind(this.blocks[index]), state);
+    }
+    return packed;
+  }
+
+  /**
+   * Get sky light at local coordinates
+   * @param {number} x - Local X (0-15)
+   * @param {number} y - Local Y (0-15)
+   * @param {number} z - Local Z (0-15)
+   * @returns {number} Sky light (0-15)
+   */
+  getSkyLight(x, y, z) {
+    if (!isInBounds(x, y, z)) {
+      return 0;
+    }
+    return this.light[blockIndex(x, y, z)] >> 4;
+  }
+
+  /**
+   * Get block light at local coordinates
+   * @param {number} x - Local X (0-15)
+   * @param {number} y - Local Y (0-15)
+   * @param {number} z - Local Z (0-15)
+   * @returns {number} Block light (0-15)
+   */
+  getBlockLight(x, y, z) {
+    if (!isInBounds(x, y, z)) {
+      return 0;
+    }
+    return this.light[blockIndex(x, y, z)] & 0x0f;
+  }
+
+  /**
+   * Get fluid flow level at local coordinates
+   * @param {number} x - Local X (0-15)
+   * @param {number} y - Local Y (0-15)
+   * @param {number} z - Local Z (0-15)
+   * @returns {number} Flow level (0 = no fluid)
+   */
+  getFluidLevel(x, y, z) {
+    if (!isInBounds(x, y, z)) {
+      return 0;
+    }
+    return this.fluidLevels[blockIndex(x, y, z)];
+  }
+
   /**
    * Set multiple blocks at once (more efficient for terrain generation)
    * @param {Array<{x: number, y: number, z: number, type: number}>} blocks
@@ -118,7 +252,9 @@ export class Chunk {
   setBlocks(blocks) {
     for (const { x, y, z, type } of blocks) {
       if (isInBounds(x, y, z)) {
-        this.blocks[blockIndex(x, y, z)] = type;
+        const index = blockIndex(x, y, z);
+        if (this.blocks[index] !== type) this.blockStates.delete(index);
+        this.blocks[index] = type;
       }
     }
     this.isDirty = true;
@@ -133,6 +269,7 @@ export class Chunk {
    */
   fill(blockType) {
     this.blocks.fill(blockType);
+    this.blockStates.clear();
     this.isDirty = true;
     this.meshDirty = true;
     this.rebuildHeightMap();
@@ -216,27 +353,44 @@ export class Chunk {
   serialize() {
     return {
       x: this.x,
+      y: this.y,
       z: this.z,
       // Convert Uint8Array to regular array for JSON
       blocks: Array.from(this.blocks),
       heightMap: Array.from(this.heightMap),
+      blockStates: Array.from(this.blockStates),
       lastModified: this.lastModified,
     };
   }
 
   /**
    * Serialize to binary format (more compact)
+   *
+   * Header (x, y, z as Int32LE), blocks and heightmap, then, only if some
+   * block has a state, a Uint32LE length and that many bytes of UTF-8 JSON
+   * holding [[blockIndex, state], ...].
+   *
    * @returns {ArrayBuffer}
    */
   serializeBinary() {
-    // Header: 2 int32s for coordinates + blocks + heightmap
-    const headerSize = 8; // 2 * 4 bytes
-    const buffer = new ArrayBuffer(headerSize + CHUNK_SIZE_CUBED + CHUNK_SIZE_SQ);
+    // Header: 3 int32s for coordinates + blocks + heightmap
+    const headerSize = BINARY_HEADER_SIZE;
+    let stateBytes = null;
+    if (this.blockStates.size > 0) {
+      const json = JSON.stringify(Array.from(this.blockStates));
+      stateBytes = new TextEncoder().encode(json);
+      // A record as long as a pre-stacking column would load as one; pad it
+      if (BINARY_BASE_SIZE + 4 + stateBytes.length === LEGACY_COLUMN_BINARY_SIZE) {
+        stateBytes = new TextEncoder().encode(`${json} `);
+      }
+    }
+    const buffer = new ArrayBuffer(BINARY_BASE_SIZE + (stateBytes ? 4 + stateBytes.length : 0));
     const view = new DataView(buffer);
 
     // Write coordinates
     view.setInt32(0, this.x, true);
-    view.setInt32(4, this.z, true);
+    view.setInt32(4, this.y, true);
+    view.setInt32(8, this.z, true);
 
     // Copy blocks
     const blocksView = new Uint8Array(buffer, headerSize, CHUNK_SIZE_CUBED);
@@ -246,6 +400,12 @@ export class Chunk {
     const heightView = new Uint8Array(buffer, headerSize + CHUNK_SIZE_CUBED, CHUNK_SIZE_SQ);
     heightView.set(this.heightMap);
 
+    // Block states
+    if (stateBytes) {
+      view.setUint32(BINARY_BASE_SIZE, stateBytes.length, true);
+      new Uint8Array(buffer, BINARY_BASE_SIZE + 4).set(stateBytes);
+    }
+
     return buffer;
   }
 
@@ -255,9 +415,10 @@ export class Chunk {
    * @returns {Chunk}
    */
   static deserialize(data) {
-    const chunk = new Chunk(data.x, data.z);
+    const chunk = new Chunk(data.x, data.y ?? 0, data.z);
     chunk.blocks = new Uint8Array(data.blocks);
     chunk.heightMap = new Uint8Array(data.heightMap);
+    chunk.blockStates = new Map(data.blockStates || []);
     chunk.lastModified = data.lastModified || 0;
     chunk.state = ChunkState.READY;
     chunk.isDirty = false;
@@ -272,14 +433,21 @@ export class Chunk {
    */
   static deserializeBinary(buffer) {
     const view = new DataView(buffer);
-    const headerSize = 8;
+    const headerSize = BINARY_HEADER_SIZE;
 
     const x = view.getInt32(0, true);
-    const z = view.getInt32(4, true);
+    const y = view.getInt32(4, true);
+    const z = view.getInt32(8, true);
 
-    const chunk = new Chunk(x, z);
+    const chunk = new Chunk(x, y, z);
     chunk.blocks = new Uint8Array(buffer, headerSize, CHUNK_SIZE_CUBED);
     chunk.heightMap = new Uint8Array(buffer, headerSize + CHUNK_SIZE_CUBED, CHUNK_SIZE_SQ);
+    // Chunks saved before block states end at the heightmap
+    if (buffer.byteLength > BINARY_BASE_SIZE) {
+      const length = view.getUint32(BINARY_BASE_SIZE, true);
+      const json = new TextDecoder().decode(new Uint8Array(buffer, BINARY_BASE_SIZE + 4, length));
+      chunk.blockStates = new Map(JSON.parse(json));
+    }
     chunk.state = ChunkState.READY;
     chunk.isDirty = false;
     chunk.meshDirty = true;
@@ -287,9 +455,47 @@ export class Chunk {
     return chunk;
   }
 
+  /**
+   * Check if a binary buffer holds a pre-stacking 16x32x16 column chunk
+   * @param {ArrayBuffer} buffer
+   * @returns {boolean}
+   */
+  static isLegacyColumnBinary(buffer) {
+    return buffer.byteLength === LEGACY_COLUMN_BINARY_SIZE;
+  }
+
+  /**
+   * Split a pre-stacking column chunk (8-byte x,z header, 32 blocks tall)
+   * into the stacked chunks at chunkY 0 and 1 that now cover the same space.
+   * @param {ArrayBuffer} buffer
+   * @returns {Array<Chunk>}
+   */
+  static splitLegacyColumn(buffer) {
+    const view = new DataView(buffer);
+    const x = view.getInt32(0, true);
+    const z = view.getInt32(4, true);
+    const legacyBlocks = new Uint8Array(buffer, 8, LEGACY_COLUMN_HEIGHT * CHUNK_SIZE_SQ);
+
+    const chunks = [];
+    for (let chunkY = 0; chunkY * CHUNK_SIZE_Y < LEGACY_COLUMN_HEIGHT; chunkY++) {
+      const chunk = new Chunk(x, chunkY, z);
+      // XZY order puts Y highest, so each chunk is one contiguous slice
+      chunk.blocks.set(legacyBlocks.subarray(
+        chunkY * CHUNK_SIZE_CUBED,
+        (chunkY + 1) * CHUNK_SIZE_CUBED
+      ));
+      chunk.rebuildHeightMap();
+      chunk.state = ChunkState.READY;
+      chunk.isDirty = false;
+      chunk.meshDirty = true;
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
   /**
    * Set neighbor reference
-   * @param {'north' | 'south' | 'east' | 'west'} direction
+   * @param {'north' | 'south' | 'east' | 'west' | 'up' | 'down'} direction
    * @param {Chunk | null} chunk
    */
   setNeighbor(direction, chunk) {
@@ -301,14 +507,17 @@ export class Chunk {
   /**
    * Get block from neighbor if coordinates are out of bounds
    * @param {number} x - Local X (can be -1 or 16)
-   * @param {number} y - Local Y
+   * @param {number} y - Local Y (can be -1 or 16)
    * @param {number} z - Local Z (can be -1 or 16)
    * @returns {number} Block type
    */
   getBlockWithNeighbors(x, y, z) {
-    // Out of Y bounds
-    if (y < 0 || y >= CHUNK_SIZE_Y) {
-      return BlockTypes.AIR;
+    // Check Y bounds
+    if (y < 0) {
+      return this.neighbors.down?.getBlock(x, CHUNK_SIZE_Y - 1, z) ?? BlockTypes.AIR;
+    }
+    if (y >= CHUNK_SIZE_Y) {
+      return this.neighbors.up?.getBlock(x, 0, z) ?? BlockTypes.AIR;
     }
 
     // Check X bounds
@@ -351,11 +560,14 @@ export class Chunk {
     }
 
     // Clear neighbor references
-    this.neighbors = { north: null, south: null, east: null, west: null };
+    this.neighbors = { north: null, south: null, east: null, west: null, up: null, down: null };
 
     // Help GC
     this.blocks = null;
     this.heightMap = null;
+    this.light = null;
+    this.fluidLevels = null;
+    this.blockStates = null;
     this.state = ChunkState.UNLOADING;
   }
 }
@@ -6,20 +6,26 @@
  */
 
 import { Chunk, ChunkState } from './Chunk.js';
+import { LightEngine, MAX_LIGHT } from './LightEngine.js';
+import { FluidSimulator } from './FluidSimulator.js';
+import { BlockPhysics } from './BlockPhysics.js';
+import { RandomTicker } from './RandomTicker.js';
+import { explode } from './Explosion.js';
+import { raycast, hasLineOfSight, queryBox, querySphere, findNearestBlock } from './VoxelQuery.js';
+import { generateTerrain } from './generation/terrainGenerator.js';
 import {
   chunkKey,
   worldToChunk,
+  worldToChunkY,
+  worldToLocal,
   chunkDistanceSq,
   getChunksInRadiusSorted,
+  isChunkYInWorld,
   CHUNK_SIZE,
   CHUNK_SIZE_Y,
-  VOXEL_SIZE,
+  WORLD_MIN_CHUNK_Y,
+  WORLD_MAX_CHUNK_Y,
 } from './coordinates.js';
-import { BlockTypes } from './blockTypes.js';
-
-// Campfire glow extends this many blocks — neighbors must rebuild when
-// a campfire is placed/removed within this distance of a chunk edge.
-const CAMPFIRE_GLOW_RADIUS = 5;
 
 /**
  * Priority queue for chunk loading
@@ -29,8 +35,8 @@ class LoadQueue {
     this.items = [];
   }
 
-  enqueue(chunkX, chunkZ, priority) {
-    const key = chunkKey(chunkX, chunkZ);
+  enqueue(chunkX, chunkY, chunkZ, priority) {
+    const key = chunkKey(chunkX, chunkY, chunkZ);
 
     // Check if already in queue
     const existing = this.items.findIndex(item => item.key === key);
@@ -43,7 +49,7 @@ class LoadQueue {
       return;
     }
 
-    this.items.push({ key, chunkX, chunkZ, priority });
+    this.items.push({ key, chunkX, chunkY, chunkZ, priority });
     this.sort();
   }
 
@@ -83,15 +89,24 @@ export class ChunkManager {
    * Create a new ChunkManager
    * @param {Object} options
    * @param {number} options.viewDistance - View distance in chunks (default 8)
+   * @param {number} options.verticalViewDistance - Chunks loaded above/below the player (default 2)
    * @param {number} options.seed - World seed for generation
+   * @param {boolean} options.greedyMeshing - Merge coplanar faces when meshing (default true)
    * @param {Function} options.onChunkReady - Callback when chunk is ready
    * @param {Function} options.onChunkUnload - Callback when chunk unloads
+   * @param {Function} options.onStructuresPlaced - Callback with the structures
+   *   (see StructurePlacer.stamp) anchored in a freshly generated chunk
+   * @param {Object} options.seasonalSystem - SeasonalSystem for seasonal
+   *   random ticks (snowfall, freezing)
    */
   constructor(options = {}) {
     this.viewDistance = options.viewDistance ?? 8;
+    this.verticalViewDistance = options.verticalViewDistance ?? 2;
     this.seed = options.seed ?? Math.floor(Math.random() * 2147483647);
     this.onChunkReady = options.onChunkReady ?? (() => {});
     this.onChunkUnload = options.onChunkUnload ?? (() => {});
+    this.onStructuresPlaced = options.onStructuresPlaced ?? (() => {});
+    this.greedyMeshing = options.greedyMeshing ?? true;
 
     // Active chunks
     this.chunks = new Map();
@@ -105,15 +120,37 @@ export class ChunkManager {
 
     // Player position tracking (use invalid values to force initial update)
     this.playerChunkX = Number.MAX_SAFE_INTEGER;
+    this.playerChunkY = Number.MAX_SAFE_INTEGER;
     this.playerChunkZ = Number.MAX_SAFE_INTEGER;
     this.initialized = false;
 
     // Mesh rebuild queue
     this.meshRebuildQueue = new Set();
 
+    // Vertex counts of the current mesh per chunk (key -> {vertexCount, naiveVertexCount})
+    this.meshStats = new Map();
+
+    // Sky/block light propagation across loaded chunks
+    this.lightEngine = new LightEngine();
+
+    // Water and lava flow, ticked from update()
+    this.fluidSimulator = new FluidSimulator(this);
+
+    // Falling sand, structural collapse and cave-ins, ticked from update()
+    this.blockPhysics = new BlockPhysics(this);
+
+    // Grass spread, leaf decay, regrowth, snow and ice, ticked from update()
+    this.randomTicker = new RandomTicker(this, { seasonalSystem: options.seasonalSystem });
+
+    // Saved chunks waiting for their chunk to load (key -> Chunk)
+    this.savedChunks = new Map();
+
     // Worker reference (set externally)
     this.workerPool = null;
 
+    // Remote terrain, e.g. ChunkSyncClient (set externally); replaces generation
+    this.chunkSource = null;
+
     // Performance tracking
     this.stats = {
       chunksLoaded: 0,
@@ -135,17 +172,36 @@ export class ChunkManager {
     this.workerPool = pool;
   }
 
+  /**
+   * Load chunks from somewhere other than the local generator, such as a
+   * co-op server. The source provides requestChunk(chunkX, chunkY, chunkZ),
+   * resolving to a Chunk, and releaseChunk(key), called when one unloads.
+   * The source owns the terrain then: fluids, block physics and random ticks
+   * stop here, as the server's copy would never see what they did.
+   * @param {Object | null} source - null to generate locally again
+   */
+  setChunkSource(source) {
+    this.chunkSource = source;
+    if (source) {
+      this.fluidSimulator.clear();
+      this.blockPhysics.clear();
+    }
+  }
+
   /**
    * Update player position and trigger chunk loading/unloading
    * @param {number} worldX - Player world X position
+   * @param {number} worldY - Player world Y position
    * @param {number} worldZ - Player world Z position
    */
-  updatePlayerPosition(worldX, worldZ) {
+  updatePlayerPosition(worldX, worldY, worldZ) {
     const { chunkX, chunkZ } = worldToChunk(worldX, worldZ);
+    const chunkY = worldToChunkY(worldY);
 
     // Check if player moved to a new chunk
-    if (chunkX !== this.playerChunkX || chunkZ !== this.playerChunkZ) {
+    if (chunkX !== this.playerChunkX || chunkY !== this.playerChunkY || chunkZ !== this.playerChunkZ) {
       this.playerChunkX = chunkX;
+      this.playerChunkY = chunkY;
       this.playerChunkZ = chunkZ;
       this.updateChunkQueues();
     }
@@ -155,23 +211,25 @@ export class ChunkManager {
    * Update load and unload queues based on player position
    */
   updateChunkQueues() {
-    const { playerChunkX, playerChunkZ, viewDistance } = this;
+    const { playerChunkX, playerChunkY, playerChunkZ, viewDistance, verticalViewDistance } = this;
 
     // Get chunks that should be loaded
     const chunksNeeded = getChunksInRadiusSorted(
       playerChunkX,
+      playerChunkY,
       playerChunkZ,
-      viewDistance
+      viewDistance,
+      verticalViewDistance
     );
 
-    const neededKeys = new Set(chunksNeeded.map(c => chunkKey(c.chunkX, c.chunkZ)));
+    const neededKeys = new Set(chunksNeeded.map(c => chunkKey(c.chunkX, c.chunkY, c.chunkZ)));
 
     // Queue chunks that need loading
-    for (const { chunkX, chunkZ, distanceSq } of chunksNeeded) {
-      const key = chunkKey(chunkX, chunkZ);
+    for (const { chunkX, chunkY, chunkZ, distanceSq } of chunksNeeded) {
+      const key = chunkKey(chunkX, chunkY, chunkZ);
 
       if (!this.chunks.has(key) && !this.loading.has(key) && !this.loadQueue.has(key)) {
-        this.loadQueue.enqueue(chunkX, chunkZ, distanceSq);
+        this.loadQueue.enqueue(chunkX, chunkY, chunkZ, distanceSq);
       }
     }
 
@@ -211,6 +269,19 @@ export class ChunkManager {
     // Process loads
     this.processLoadQueue();
 
+    // Terrain from a server changes only by what the server sends
+    if (!this.chunkSource) {
+      // Flow water and lava (throttled to a fixed tick inside the simulator)
+      this.fluidSimulator.update(deltaTime);
+
+      // Drop unsupported blocks (same fixed-tick throttling). Everything that
+      // moves in one tick only marks chunks dirty, so each gets one rebuild.
+      this.blockPhysics.update(deltaTime);
+
+      // Random block ticks around the player
+      this.randomTicker.update(deltaTime);
+    }
+
     // Note: Mesh rebuilds are handled by ChunkRenderer, which detects
     // dirty chunks via getDirtyChunks() and rebuilds them via the worker pool.
 
@@ -250,16 +321,11 @@ export class ChunkManager {
       if (!item) break;
 
       // Double-check we still need this chunk
-      const distSq = chunkDistanceSq(
-        this.playerChunkX, this.playerChunkZ,
-        item.chunkX, item.chunkZ
-      );
-
-      if (distSq > (this.viewDistance + 1) * (this.viewDistance + 1)) {
+      if (!this.isWithinLoadRange(item.chunkX, item.chunkY, item.chunkZ)) {
         continue; // Too far now, skip
       }
 
-      this.startLoadingChunk(item.chunkX, item.chunkZ);
+      this.startLoadingChunk(item.chunkX, item.chunkY, item.chunkZ);
       loaded++;
     }
   }
@@ -283,13 +349,33 @@ export class ChunkManager {
     }
   }
 
+  /**
+   * Check if a chunk is still close enough to the player to keep
+   * (view distance plus one chunk of slack, horizontally and vertically)
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {boolean}
+   */
+  isWithinLoadRange(chunkX, chunkY, chunkZ) {
+    const distSq = chunkDistanceSq(
+      this.playerChunkX, this.playerChunkZ,
+      chunkX, chunkZ
+    );
+    if (distSq > (this.viewDistance + 1) * (this.viewDistance + 1)) {
+      return false;
+    }
+    return Math.abs(chunkY - this.playerChunkY) <= this.verticalViewDistance + 1;
+  }
+
   /**
    * Start loading a chunk (async)
    * @param {number} chunkX
+   * @param {number} chunkY
    * @param {number} chunkZ
    */
-  async startLoadingChunk(chunkX, chunkZ) {
-    const key = chunkKey(chunkX, chunkZ);
+  async startLoadingChunk(chunkX, chunkY, chunkZ) {
+    const key = chunkKey(chunkX, chunkY, chunkZ);
 
     // Already loading or loaded
     if (this.loading.has(key) || this.chunks.has(key)) {
@@ -300,34 +386,49 @@ export class ChunkManager {
 
     try {
       let chunk;
-
-      if (this.workerPool) {
+      let structures = [];
+      const saved = this.chunkSource ? null : this.savedChunks.get(key);
+
+      if (this.chunkSource) {
+        // The server's copy, with everyone's changes
+        chunk = await this.chunkSource.requestChunk(chunkX, chunkY, chunkZ);
+      } else if (saved) {
+        // Player-modified chunk from a save — skip generation
+        chunk = saved;
+        this.savedChunks.delete(key);
+      } else if (this.workerPool) {
         // Use worker for terrain generation
         const result = await this.workerPool.execute({
           type: 'generateTerrain',
           chunkX,
+          chunkY,
           chunkZ,
           seed: this.seed,
         });
 
         // Create chunk from worker result
-        chunk = new Chunk(chunkX, chunkZ);
+        chunk = new Chunk(chunkX, chunkY, chunkZ);
         chunk.blocks = new Uint8Array(result.blocks);
         chunk.rebuildHeightMap();
+        structures = result.structures ?? [];
       } else {
         // Fallback: generate synchronously (for testing)
-        chunk = this.generateChunkSync(chunkX, chunkZ);
+        const result = generateTerrain({ chunkX, chunkY, chunkZ, seed: this.seed });
+        chunk = new Chunk(chunkX, chunkY, chunkZ);
+        chunk.blocks = result.blocks;
+        chunk.rebuildHeightMap();
+        structures = result.structures;
       }
 
       // Check if we still need this chunk
-      const distSq = chunkDistanceSq(
-        this.playerChunkX, this.playerChunkZ,
-        chunkX, chunkZ
-      );
-
-      if (distSq > (this.viewDistance + 1) * (this.viewDistance + 1)) {
-        // No longer needed
-        chunk.dispose();
+      if (!this.isWithinLoadRange(chunkX, chunkY, chunkZ)) {
+        // No longer needed — keep saved chunks around for next time
+        if (saved) {
+          this.savedChunks.set(key, saved);
+        } else {
+          chunk.dispose();
+          if (this.chunkSource) this.chunkSource.releaseChunk(key);
+        }
         this.loading.delete(key);
         return;
       }
@@ -341,11 +442,19 @@ export class ChunkManager {
       // Update neighbor references
       this.updateNeighbors(chunk);
 
+      // Light needs linked neighbors to flow across seams
+      this.lightEngine.lightChunk(chunk);
+      this.flushLightChanges();
+
+      // Flow levels aren't saved; rebuild them from the blocks
+      this.fluidSimulator.onChunkLoaded(chunk);
+
       // Queue mesh build
       this.meshRebuildQueue.add(key);
 
-      // Callback
+      // Callbacks
       this.onChunkReady(chunk);
+      if (structures.length > 0) this.onStructuresPlaced(structures);
 
       this.stats.chunksLoaded++;
 
@@ -356,48 +465,16 @@ export class ChunkManager {
   }
 
   /**
-   * Generate chunk synchronously (fallback/testing)
+   * Generate chunk synchronously (fallback/testing). Runs the same generator
+   * as the chunk worker, so the result matches a worker-built chunk.
    * @param {number} chunkX
+   * @param {number} chunkY
    * @param {number} chunkZ
    * @returns {Chunk}
    */
-  generateChunkSync(chunkX, chunkZ) {
-    const chunk = new Chunk(chunkX, chunkZ);
-
-    // Simple terrain generation
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      for (let z = 0; z < CHUNK_SIZE; z++) {
-        const worldX = chunkX * CHUNK_SIZE + x;
-        const worldZ = chunkZ * CHUNK_SIZE + z;
-
-        // Simple height based on sine waves
-        const height = Math.floor(
-          24 +
-          Math.sin(worldX * 0.1) * 2 +
-          Math.cos(worldZ * 0.1) * 2 +
-          Math.sin(worldX * 0.05 + worldZ * 0.05) * 3
-        );
-
-        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-          let blockType = 0; // Air
-
-          if (y === 0) {
-            blockType = 8; // Bedrock
-          } else if (y < height - 3) {
-            blockType = 1; // Stone
-          } else if (y < height) {
-            blockType = 2; // Dirt
-          } else if (y === height) {
-            blockType = 3; // Grass
-          }
-
-          if (blockType !== 0) {
-            chunk.setBlock(x, y, z, blockType);
-          }
-        }
-      }
-    }
-
+  generateChunkSync(chunkX, chunkY, chunkZ) {
+    const chunk = new Chunk(chunkX, chunkY, chunkZ);
+    chunk.blocks = generateTerrain({ chunkX, chunkY, chunkZ, seed: this.seed }).blocks;
     chunk.rebuildHeightMap();
     return chunk;
   }
@@ -407,19 +484,23 @@ export class ChunkManager {
    * @param {Chunk} chunk
    */
   updateNeighbors(chunk) {
-    const { x, z } = chunk;
+    const { x, y, z } = chunk;
 
     // Get neighbors
-    const north = this.chunks.get(chunkKey(x, z + 1));
-    const south = this.chunks.get(chunkKey(x, z - 1));
-    const east = this.chunks.get(chunkKey(x + 1, z));
-    const west = this.chunks.get(chunkKey(x - 1, z));
+    const north = this.chunks.get(chunkKey(x, y, z + 1));
+    const south = this.chunks.get(chunkKey(x, y, z - 1));
+    const east = this.chunks.get(chunkKey(x + 1, y, z));
+    const west = this.chunks.get(chunkKey(x - 1, y, z));
+    const up = this.chunks.get(chunkKey(x, y + 1, z));
+    const down = this.chunks.get(chunkKey(x, y - 1, z));
 
     // Set references
     chunk.setNeighbor('north', north || null);
     chunk.setNeighbor('south', south || null);
     chunk.setNeighbor('east', east || null);
     chunk.setNeighbor('west', west || null);
+    chunk.setNeighbor('up', up || null);
+    chunk.setNeighbor('down', down || null);
 
     // Update neighbors to reference this chunk
     if (north) {
@@ -438,6 +519,14 @@ export class ChunkManager {
       west.setNeighbor('east', chunk);
       this.meshRebuildQueue.add(west.key);
     }
+    if (up) {
+      up.setNeighbor('down', chunk);
+      this.meshRebuildQueue.add(up.key);
+    }
+    if (down) {
+      down.setNeighbor('up', chunk);
+      this.meshRebuildQueue.add(down.key);
+    }
   }
 
   /**
@@ -450,25 +539,31 @@ export class ChunkManager {
     const south = chunk.neighbors.south;
     const east = chunk.neighbors.east;
     const west = chunk.neighbors.west;
+    const up = chunk.neighbors.up;
+    const down = chunk.neighbors.down;
 
     if (north) north.setNeighbor('south', null);
     if (south) south.setNeighbor('north', null);
     if (east) east.setNeighbor('west', null);
     if (west) west.setNeighbor('east', null);
+    if (up) up.setNeighbor('down', null);
+    if (down) down.setNeighbor('up', null);
 
     // Callback before disposing
     this.onChunkUnload(chunk);
+    if (this.chunkSource) this.chunkSource.releaseChunk(chunk.key);
 
     // Clean up
     chunk.dispose();
     this.chunks.delete(chunk.key);
     this.meshRebuildQueue.delete(chunk.key);
+    this.meshStats.delete(chunk.key);
 
     this.stats.chunksUnloaded++;
   }
 
   /**
-   * Rebuild mesh for a chunk (placeholder - actual building done by meshBuilder)
+   * Rebuild mesh for a chunk (placeholder - actual building done by chunkWorker)
    * @param {Chunk} chunk
    */
   rebuildChunkMesh(chunk) {
@@ -480,11 +575,64 @@ export class ChunkManager {
   /**
    * Get a chunk by coordinates
    * @param {number} chunkX
+   * @param {number} chunkY
    * @param {number} chunkZ
    * @returns {Chunk | undefined}
    */
-  getChunk(chunkX, chunkZ) {
-    return this.chunks.get(chunkKey(chunkX, chunkZ));
+  getChunk(chunkX, chunkY, chunkZ) {
+    return this.chunks.get(chunkKey(chunkX, chunkY, chunkZ));
+  }
+
+  /**
+   * Get the loaded chunks of a column, top to bottom
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {Array<Chunk>}
+   */
+  getColumn(chunkX, chunkZ) {
+    const column = [];
+    for (let chunkY = WORLD_MAX_CHUNK_Y; chunkY >= WORLD_MIN_CHUNK_Y; chunkY--) {
+      const chunk = this.chunks.get(chunkKey(chunkX, chunkY, chunkZ));
+      if (chunk) column.push(chunk);
+    }
+    return column;
+  }
+
+  /**
+   * Check if any chunk of a column is loaded
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {boolean}
+   */
+  hasColumn(chunkX, chunkZ) {
+    for (let chunkY = WORLD_MIN_CHUNK_Y; chunkY <= WORLD_MAX_CHUNK_Y; chunkY++) {
+      if (this.chunks.has(chunkKey(chunkX, chunkY, chunkZ))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Restore a player-modified chunk from a save. Replaces the loaded chunk
+   * if present, otherwise holds it until that chunk comes into range.
+   * @param {Chunk} saved - Deserialized chunk
+   */
+  restoreChunk(saved) {
+    if (!isChunkYInWorld(saved.y)) return;
+
+    const chunk = this.chunks.get(saved.key);
+    if (chunk) {
+      chunk.blocks = saved.blocks;
+      chunk.heightMap = saved.heightMap;
+      chunk.blockStates = saved.blockStates;
+      chunk.lastModified = saved.lastModified;
+      chunk.meshDirty = true;
+      this.meshRebuildQueue.add(chunk.key);
+      this.lightEngine.lightChunk(chunk);
+      this.flushLightChanges();
+      this.fluidSimulator.onChunkLoaded(chunk);
+    } else {
+      this.savedChunks.set(saved.key, saved);
+    }
   }
 
   /**
@@ -504,21 +652,12 @@ export class ChunkManager {
    * @returns {number} Block type
    */
   getBlock(worldX, worldY, worldZ) {
-    const { chunkX, chunkZ } = worldToChunk(worldX, worldZ);
-    const chunk = this.getChunk(chunkX, chunkZ);
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
 
     if (!chunk) return 0; // Air if chunk not loaded
 
-    // Convert to local coordinates
-    const voxelX = Math.floor(worldX / VOXEL_SIZE);
-    const voxelY = Math.floor(worldY / VOXEL_SIZE);
-    const voxelZ = Math.floor(worldZ / VOXEL_SIZE);
-
-    const localX = ((voxelX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    const localY = Math.max(0, Math.min(CHUNK_SIZE_Y - 1, voxelY));
-    const localZ = ((voxelZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-
-    return chunk.getBlock(localX, localY, localZ);
+    return chunk.getBlock(local.x, local.y, local.z);
   }
 
   /**
@@ -527,56 +666,230 @@ export class ChunkManager {
    * @param {number} worldY
    * @param {number} worldZ
    * @param {number} blockType
+   * @param {Object} [state] - Block state for the new block (see blockStates.js)
    * @returns {boolean} True if block was set
    */
-  setBlock(worldX, worldY, worldZ, blockType) {
-    const { chunkX, chunkZ } = worldToChunk(worldX, worldZ);
-    const chunk = this.getChunk(chunkX, chunkZ);
+  setBlock(worldX, worldY, worldZ, blockType, state) {
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
 
     if (!chunk) return false; // Can't modify unloaded chunks
 
-    // Convert to local coordinates
-    const voxelX = Math.floor(worldX / VOXEL_SIZE);
-    const voxelY = Math.floor(worldY / VOXEL_SIZE);
-    const voxelZ = Math.floor(worldZ / VOXEL_SIZE);
-
-    const localX = ((voxelX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    const localY = Math.max(0, Math.min(CHUNK_SIZE_Y - 1, voxelY));
-    const localZ = ((voxelZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const { x: localX, y: localY, z: localZ } = local;
 
+    const previous = chunk.getBlock(localX, localY, localZ);
     const result = chunk.setBlock(localX, localY, localZ, blockType);
+    if (result && state) {
+      chunk.setBlockState(localX, localY, localZ, state);
+    }
 
     if (result) {
       // Mark chunk as dirty so ChunkRenderer will rebuild its mesh
       chunk.meshDirty = true;
       this.meshRebuildQueue.add(chunk.key);
 
-      // Campfire glow extends across chunk boundaries — use wider margin
-      const edgeMargin = (blockType === BlockTypes.CAMPFIRE || blockType === BlockTypes.AIR)
-        ? CAMPFIRE_GLOW_RADIUS : 0;
-
-      // Check if we need to rebuild neighbor meshes (edge block or glow radius)
-      if (localX < 1 + edgeMargin && chunk.neighbors.west) {
+      // Check if we need to rebuild neighbor meshes (edge block)
+      if (localX < 1 && chunk.neighbors.west) {
         chunk.neighbors.west.meshDirty = true;
         this.meshRebuildQueue.add(chunk.neighbors.west.key);
       }
-      if (localX > CHUNK_SIZE - 2 - edgeMargin && chunk.neighbors.east) {
+      if (localX > CHUNK_SIZE - 2 && chunk.neighbors.east) {
         chunk.neighbors.east.meshDirty = true;
         this.meshRebuildQueue.add(chunk.neighbors.east.key);
       }
-      if (localZ < 1 + edgeMargin && chunk.neighbors.south) {
+      if (localZ < 1 && chunk.neighbors.south) {
         chunk.neighbors.south.meshDirty = true;
         this.meshRebuildQueue.add(chunk.neighbors.south.key);
       }
-      if (localZ > CHUNK_SIZE - 2 - edgeMargin && chunk.neighbors.north) {
+      if (localZ > CHUNK_SIZE - 2 && chunk.neighbors.north) {
         chunk.neighbors.north.meshDirty = true;
         this.meshRebuildQueue.add(chunk.neighbors.north.key);
       }
+      if (localY < 1 && chunk.neighbors.down) {
+        chunk.neighbors.down.meshDirty = true;
+        this.meshRebuildQueue.add(chunk.neighbors.down.key);
+      }
+      if (localY > CHUNK_SIZE_Y - 2 && chunk.neighbors.up) {
+        chunk.neighbors.up.meshDirty = true;
+        this.meshRebuildQueue.add(chunk.neighbors.up.key);
+      }
+
+      // Relight around the change; light may spill into other chunks
+      this.lightEngine.updateBlock(chunk, localX, localY, localZ);
+      this.flushLightChanges();
+
+      if (!this.chunkSource) {
+        // Nearby water and lava may start (or stop) flowing
+        this.fluidSimulator.onBlockChanged(chunk, localX, localY, localZ);
+
+        // Nearby blocks may lose their support; mining may cave in the ceiling
+        this.blockPhysics.onBlockChanged(chunk, localX, localY, localZ, previous);
+      }
     }
 
     return result;
   }
 
+  /**
+   * Get the state of the block at world coordinates
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {Object | null} State object (see blockStates.js), or null
+   */
+  getBlockState(worldX, worldY, worldZ) {
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
+
+    if (!chunk) return null;
+
+    return chunk.getBlockState(local.x, local.y, local.z);
+  }
+
+  /**
+   * Set the state of the block at world coordinates, redrawing it if it
+   * looks different. Air never has a state.
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @param {Object | null} state - State object, or null to clear it
+   * @returns {boolean} True if the state was set
+   */
+  setBlockState(worldX, worldY, worldZ, state) {
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
+
+    if (!chunk) return false;
+    if (state && chunk.getBlock(local.x, local.y, local.z) === 0) return false;
+
+    const result = chunk.setBlockState(local.x, local.y, local.z, state);
+    if (result && chunk.meshDirty) {
+      this.meshRebuildQueue.add(chunk.key);
+    }
+    return result;
+  }
+
+  /**
+   * Blow a hole in the world around a point (see Explosion.js)
+   * @param {number} worldX - Blast center
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @param {Object} [options] - radius, radiusY, power, dropChance, toolTier
+   * @returns {{destroyed: number, drops: Object<string, number>}}
+   */
+  explode(worldX, worldY, worldZ, options) {
+    return explode(this, worldX, worldY, worldZ, options);
+  }
+
+  /**
+   * Cast a ray through loaded blocks (see VoxelQuery.js)
+   * @param {{x: number, y: number, z: number}} origin
+   * @param {{x: number, y: number, z: number}} direction
+   * @param {number} maxDistance - World units
+   * @param {Object} [options] - match, skipOrigin
+   * @returns {Object | null} First block hit, or null
+   */
+  raycast(origin, direction, maxDistance, options) {
+    return raycast(this, origin, direction, maxDistance, options);
+  }
+
+  /**
+   * Whether nothing opaque stands between two world points
+   * @param {{x: number, y: number, z: number}} from
+   * @param {{x: number, y: number, z: number}} to
+   * @param {Object} [options] - match
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to, options) {
+    return hasLineOfSight(this, from, to, options);
+  }
+
+  /**
+   * Blocks overlapping a world-space box
+   * @param {{x: number, y: number, z: number}} min
+   * @param {{x: number, y: number, z: number}} max
+   * @param {number|number[]|Set<number>|Function} [match] - Defaults to solid blocks
+   * @returns {Array<{blockType: number, voxel: Object}>}
+   */
+  queryBox(min, max, match) {
+    return queryBox(this, min, max, match);
+  }
+
+  /**
+   * Blocks overlapping a world-space sphere
+   * @param {{x: number, y: number, z: number}} center
+   * @param {number} radius - World units
+   * @param {number|number[]|Set<number>|Function} [match] - Defaults to solid blocks
+   * @returns {Array<{blockType: number, voxel: Object}>}
+   */
+  querySphere(center, radius, match) {
+    return querySphere(this, center, radius, match);
+  }
+
+  /**
+   * Closest block of a type within a radius
+   * @param {{x: number, y: number, z: number}} center
+   * @param {number} radius - World units
+   * @param {number|number[]|Set<number>|Function} match
+   * @returns {Object | null}
+   */
+  findNearestBlock(center, radius, match) {
+    return findNearestBlock(this, center, radius, match);
+  }
+
+  /**
+   * Queue mesh rebuilds for every loaded chunk whose light changed
+   */
+  flushLightChanges() {
+    for (const chunk of this.lightEngine.takeChangedChunks()) {
+      if (this.chunks.get(chunk.key) !== chunk) continue;
+      chunk.meshDirty = true;
+      this.meshRebuildQueue.add(chunk.key);
+    }
+  }
+
+  /**
+   * Get sky light at world coordinates
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {number} Sky light (0-15); unloaded space counts as open sky
+   */
+  getSkyLight(worldX, worldY, worldZ) {
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
+    if (!chunk) return MAX_LIGHT;
+    return chunk.getSkyLight(local.x, local.y, local.z);
+  }
+
+  /**
+   * Get block light (torches, campfires, glowing ores) at world coordinates
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {number} Block light (0-15)
+   */
+  getBlockLight(worldX, worldY, worldZ) {
+    const local = worldToLocal(worldX, worldY, worldZ);
+    const chunk = this.getChunk(local.chunkX, local.chunkY, local.chunkZ);
+    if (!chunk) return 0;
+    return chunk.getBlockLight(local.x, local.y, local.z);
+  }
+
+  /**
+   * Get combined light level (brighter of sky and block light)
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {number} Light level (0-15)
+   */
+  getLightLevel(worldX, worldY, worldZ) {
+    return Math.max(
+      this.getSkyLight(worldX, worldY, worldZ),
+      this.getBlockLight(worldX, worldY, worldZ)
+    );
+  }
+
   /**
    * Mark a chunk for mesh rebuild
    * @param {string} key - Chunk key
@@ -589,6 +902,31 @@ export class ChunkManager {
     }
   }
 
+  /**
+   * Enable or disable greedy meshing. Rebuilds every loaded chunk.
+   * @param {boolean} enabled
+   */
+  setGreedyMeshing(enabled) {
+    if (this.greedyMeshing === enabled) return;
+    this.greedyMeshing = enabled;
+    for (const key of this.chunks.keys()) {
+      this.markMeshDirty(key);
+    }
+  }
+
+  /**
+   * Record vertex counts of a chunk's freshly built mesh
+   * @param {string} key - Chunk key
+   * @param {{vertexCount: number, naiveVertexCount?: number}} meshData - Worker mesh result
+   */
+  recordMeshStats(key, meshData) {
+    if (!this.chunks.has(key)) return;
+    this.meshStats.set(key, {
+      vertexCount: meshData.vertexCount,
+      naiveVertexCount: meshData.naiveVertexCount ?? meshData.vertexCount,
+    });
+  }
+
   /**
    * Get all active chunks
    * @returns {Map<string, Chunk>}
@@ -610,13 +948,27 @@ export class ChunkManager {
    * @returns {Object}
    */
   getStats() {
+    let meshVertices = 0;
+    let naiveMeshVertices = 0;
+    for (const entry of this.meshStats.values()) {
+      meshVertices += entry.vertexCount;
+      naiveMeshVertices += entry.naiveVertexCount;
+    }
+
     return {
       ...this.stats,
+      greedyMeshing: this.greedyMeshing,
+      meshVertices,
+      naiveMeshVertices,
+      verticesSaved: naiveMeshVertices - meshVertices,
       activeChunks: this.chunks.size,
       loadQueueSize: this.loadQueue.length,
       loadingCount: this.loading.size,
       unloadQueueSize: this.unloadQueue.size,
       meshRebuildQueue: this.meshRebuildQueue.size,
+      fluidUpdatesPending: this.fluidSimulator.pending.size,
+      physicsChecksPending: this.blockPhysics.queue.size,
+      randomTicks: this.randomTicker.stats.randomTicks,
     };
   }
 
@@ -634,6 +986,10 @@ export class ChunkManager {
     this.unloadQueue.clear();
     this.loading.clear();
     this.meshRebuildQueue.clear();
+    this.meshStats.clear();
+    this.savedChunks.clear();
+    this.fluidSimulator.clear();
+    this.blockPhysics.clear();
   }
 }
 
@@ -0,0 +1,153 @@
+/**
+ * Explosion - Blasting holes in the chunk world
+ *
+ * explode() carves a sphere, or an ellipsoid when radiusY differs from
+ * radius, out of the world around a point. Each block inside feels the blast
+ * at the explosion's power, fading linearly to nothing at the edge, and
+ * breaks if that beats its blast resistance (`blastResistance` in
+ * blocks.json, falling back to its hardness). Strong blocks therefore leave
+ * a ragged, smaller crater than soft ones.
+ *
+ * Air, fluids and unbreakable blocks (bedrock) are never touched. Neither
+ * are containers, whose contents belong to stockpiles and the player.
+ * Broken blocks roll their mining drops (data/blockDrops.js) at the
+ * explosion's dropChance, as if mined with an EXPLOSION_DROP_TOOL_TIER tool.
+ *
+ * Blocks are removed through ChunkManager.setBlock, so lighting, fluids and
+ * block physics see them like any other change — sand above a crater falls
+ * in and water pours into it.
+ *
+ * explosionImpact() gives the damage and knockback an entity takes from a
+ * blast, both fading linearly to nothing at the blast radius.
+ *
+ * Positions are world coordinates; radii are in blocks.
+ *
+ * Usage:
+ *   const { destroyed, drops } = chunkManager.explode(x, y, z, { radius: 3, power: 4 });
+ *   const hit = explosionImpact({ position: [x, y, z], radius: 3, damage: 40, knockback: 12 }, enemyPos);
+ */
+
+import { VOXEL_SIZE } from './coordinates.js';
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { StateKind } from './blockStates.js';
+import { calculateDrops } from '../../data/blockDrops.js';
+import { EXPLOSION_MAX_RADIUS, EXPLOSION_DROP_TOOL_TIER, EXPLOSION_UPWARD_KNOCKBACK } from '../../data/tuning.js';
+
+/**
+ * Blast strength needed to break a block
+ * @param {number} blockType
+ * @returns {number} Infinity for blocks explosions never break
+ */
+export function getBlastResistance(blockType) {
+  const def = blockRegistry.get(blockType);
+  if (!def || blockType === BlockTypes.AIR || def.liquid) return Infinity;
+  if (def.state === StateKind.CONTAINER) return Infinity;
+  return def.blastResistance ?? def.hardness;
+}
+
+/**
+ * Carve an explosion out of the world
+ * @param {import('./ChunkManager.js').ChunkManager} chunkManager
+ * @param {number} worldX - Blast center
+ * @param {number} worldY
+ * @param {number} worldZ
+ * @param {Object} [options]
+ * @param {number} [options.radius=3] - Horizontal radius in blocks
+ * @param {number} [options.radiusY] - Vertical radius in blocks (default radius)
+ * @param {number} [options.power=4] - Blast strength at the center
+ * @param {number} [options.dropChance=1] - Chance each broken block drops its items
+ * @param {number} [options.toolTier] - Tool tier drops are rolled with
+ * @param {() => number} [options.random] - Random source for drop rolls
+ * @returns {{destroyed: number, drops: Object<string, number>}} Blocks broken
+ *   and materials dropped by them
+ */
+export function explode(chunkManager, worldX, worldY, worldZ, options = {}) {
+  const {
+    power = 4,
+    dropChance = 1,
+    toolTier = EXPLOSION_DROP_TOOL_TIER,
+    random = Math.random,
+  } = options;
+  const radius = Math.min(options.radius ?? 3, EXPLOSION_MAX_RADIUS);
+  const radiusY = Math.min(options.radiusY ?? radius, EXPLOSION_MAX_RADIUS);
+  const result = { destroyed: 0, drops: {} };
+  if (radius <= 0 || radiusY <= 0 || power <= 0) return result;
+
+  // Blast center in voxel units
+  const cx = worldX / VOXEL_SIZE;
+  const cy = worldY / VOXEL_SIZE;
+  const cz = worldZ / VOXEL_SIZE;
+
+  // Find everything the blast breaks before touching the world, so falling
+  // blocks and flowing fluids can't shift cells under the scan
+  const broken = [];
+  for (let vy = Math.floor(cy - radiusY); vy <= Math.floor(cy + radiusY); vy++) {
+    for (let vz = Math.floor(cz - radius); vz <= Math.floor(cz + radius); vz++) {
+      for (let vx = Math.floor(cx - radius); vx <= Math.floor(cx + radius); vx++) {
+        const dx = (vx + 0.5 - cx) / radius;
+        const dy = (vy + 0.5 - cy) / radiusY;
+        const dz = (vz + 0.5 - cz) / radius;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (d >= 1) continue;
+
+        const wx = vx * VOXEL_SIZE + VOXEL_SIZE / 2;
+        const wy = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
+        const wz = vz * VOXEL_SIZE + VOXEL_SIZE / 2;
+        const blockType = chunkManager.getBlock(wx, wy, wz);
+        if (power * (1 - d) > getBlastResistance(blockType)) {
+          broken.push({ wx, wy, wz, blockType });
+        }
+      }
+    }
+  }
+
+  for (const { wx, wy, wz, blockType } of broken) {
+    if (chunkManager.getBlock(wx, wy, wz) !== blockType) continue;
+    if (!chunkManager.setBlock(wx, wy, wz, BlockTypes.AIR)) continue;
+    result.destroyed++;
+
+    if (random() >= dropChance) continue;
+    for (const { material, amount } of calculateDrops(blockType, toolTier)) {
+      result.drops[material] = (result.drops[material] || 0) + amount;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Damage and knockback an entity takes from an explosion
+ * @param {Object} explosion
+ * @param {number[]} explosion.position - Blast center [x, y, z]
+ * @param {number} explosion.radius - Blast radius in blocks
+ * @param {number} [explosion.damage=0] - Damage at the center
+ * @param {number} [explosion.knockback=0] - Knockback impulse at the center
+ * @param {number[]} position - Entity position [x, y, z]
+ * @returns {{damage: number, impulse: {x: number, y: number, z: number}} | null}
+ *   null when the entity is out of reach
+ */
+export function explosionImpact(explosion, position) {
+  const { damage = 0, knockback = 0 } = explosion;
+  const [cx, cy, cz] = explosion.position;
+  const reach = explosion.radius * VOXEL_SIZE;
+  const dx = position[0] - cx;
+  const dy = position[1] - cy;
+  const dz = position[2] - cz;
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (reach <= 0 || dist >= reach) return null;
+
+  const falloff = 1 - dist / reach;
+  const horizontal = Math.sqrt(dx * dx + dz * dz);
+  const push = knockback * falloff;
+  const side = horizontal > 0 ? push * (1 - EXPLOSION_UPWARD_KNOCKBACK) / horizontal : 0;
+
+  return {
+    damage: Math.round(damage * falloff),
+    impulse: {
+      x: dx * side,
+      y: horizontal > 0 ? push * EXPLOSION_UPWARD_KNOCKBACK : push,
+      z: dz * side,
+    },
+  };
+}
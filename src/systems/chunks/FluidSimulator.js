@@ -0,0 +1,492 @@
+/**
+ * FluidSimulator - Cellular water and lava flow for the chunk world
+ *
+ * Every fluid voxel has a flow level in `chunk.fluidLevels`. Sources hold
+ * FLUID_LEVEL_MAX and never drain. Flowing blocks lose their fluid's
+ * falloff for each block they spread sideways. Fluid falls first: a block
+ * with room below pours straight down at full strength and only spreads
+ * sideways once it lands. A flowing block's level is always derived from
+ * its neighbors, so cutting off a source drains everything it fed.
+ *
+ * Water meets lava:
+ * - lava sources touching water turn to obsidian, flowing lava to cobblestone
+ * - a cell fed by both fluids at once becomes stone
+ * - water fed by two sources on solid ground becomes a source itself
+ *
+ * All edits go through ChunkManager.setBlock, which reports back through
+ * onBlockChanged, so remeshing, relighting and saves work as for any other
+ * edit. Cell updates are queued and run on a fixed tick with a per-tick
+ * budget, so a burst dam can't stall a frame.
+ *
+ * Usage:
+ *   const fluids = new FluidSimulator(chunkManager);
+ *   fluids.update(deltaTime);                   // every frame
+ *   fluids.placeSource(x, y, z, 'water');       // world coordinates
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y, CHUNK_SIZE_CUBED, VOXEL_SIZE, blockIndex } from './coordinates.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { BlockTypes } from './blockTypes.js';
+
+// Level of a source block, and of fluid falling from above
+export const FLUID_LEVEL_MAX = 8;
+
+/**
+ * Fluid kinds: source/flowing block pair, level lost per block of sideways
+ * spread, and ticks between updates (lava is thick and slow)
+ */
+export const FLUIDS = {
+  water: {
+    source: BlockTypes.WATER,
+    flowing: BlockTypes.WATER_FLOWING,
+    falloff: 1,
+    tickDelay: 2,
+    renewable: true,
+  },
+  lava: {
+    source: BlockTypes.LAVA,
+    flowing: BlockTypes.LAVA_FLOWING,
+    falloff: 2,
+    tickDelay: 8,
+    renewable: false,
+  },
+};
+
+// Per-block tables, indexed by block ID
+const FLUID_OF = new Array(256).fill(null);
+const IS_SOURCE = new Uint8Array(256);
+// Blocks fluid may flow into, washing them away (air, plants, torches)
+const REPLACEABLE = new Uint8Array(256);
+for (let id = 0; id < 256; id++) {
+  const def = blockRegistry.get(id);
+  if (!def) continue;
+  FLUID_OF[id] = def.fluid ? FLUIDS[def.fluid] : null;
+  REPLACEABLE[id] = id === BlockTypes.AIR || (!def.solid && !def.liquid && def.breakable) ? 1 : 0;
+}
+for (const fluid of Object.values(FLUIDS)) {
+  IS_SOURCE[fluid.source] = 1;
+}
+
+// Returned for cells in chunks that aren't loaded; fluid treats them as walls
+const UNLOADED = -1;
+
+// Neighbor steps: the four sideways directions, then up and down
+const SIDEWAYS = [[1, 0, 0], [-1, 0, 0], [0, 0, 1], [0, 0, -1]];
+const NEIGHBORS = [...SIDEWAYS, [0, 1, 0], [0, -1, 0]];
+
+// Fluid ticks allowed to catch up in a single update after a long frame
+const MAX_TICKS_PER_UPDATE = 4;
+
+function cellKey(vx, vy, vz) {
+  return `${vx},${vy},${vz}`;
+}
+
+/**
+ * FluidSimulator class
+ */
+export class FluidSimulator {
+  /**
+   * @param {ChunkManager} chunkManager - World the fluids live in
+   */
+  constructor(chunkManager) {
+    this.chunkManager = chunkManager;
+
+    // Scheduled cell updates: tick -> flat [vx, vy, vz, ...]
+    this.scheduled = new Map();
+    // Cell key -> tick it is due. Entries left behind in scheduled when a
+    // cell is moved to an earlier tick are skipped.
+    this.pending = new Map();
+
+    this.currentTick = 0;
+    this.accumulator = 0;
+
+    // Cell lookup result (avoids allocating per lookup)
+    this._chunk = null;
+    this._index = 0;
+
+    this.stats = {
+      cellUpdates: 0,
+      cellChanges: 0,
+    };
+
+    // Configuration
+    this.tickInterval = 0.1; // Seconds per fluid tick
+    this.maxUpdatesPerTick = 256;
+  }
+
+  /**
+   * Advance the simulation - call every frame
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    this.accumulator = Math.min(
+      this.accumulator + deltaTime,
+      this.tickInterval * MAX_TICKS_PER_UPDATE
+    );
+    while (this.accumulator >= this.tickInterval) {
+      this.accumulator -= this.tickInterval;
+      this.tick();
+    }
+  }
+
+  /**
+   * Run one fluid tick: update the cells due now, up to the per-tick budget.
+   * Cells over budget carry over to the next tick.
+   * @returns {number} Cells updated
+   */
+  tick() {
+    this.currentTick++;
+    const queue = this.scheduled.get(this.currentTick);
+    if (!queue) return 0;
+    this.scheduled.delete(this.currentTick);
+
+    let i = 0;
+    let updated = 0;
+    for (; i < queue.length && updated < this.maxUpdatesPerTick; i += 3) {
+      const vx = queue[i];
+      const vy = queue[i + 1];
+      const vz = queue[i + 2];
+      const key = cellKey(vx, vy, vz);
+      if (this.pending.get(key) !== this.currentTick) continue;
+      this.pending.delete(key);
+      this._updateCell(vx, vy, vz);
+      updated++;
+    }
+
+    if (i < queue.length) {
+      const carried = [];
+      for (; i < queue.length; i += 3) {
+        const key = cellKey(queue[i], queue[i + 1], queue[i + 2]);
+        if (this.pending.get(key) !== this.currentTick) continue;
+        this.pending.set(key, this.currentTick + 1);
+        carried.push(queue[i], queue[i + 1], queue[i + 2]);
+      }
+      const next = this.scheduled.get(this.currentTick + 1) || [];
+      this.scheduled.set(this.currentTick + 1, carried.concat(next));
+    }
+
+    this.stats.cellUpdates += updated;
+    return updated;
+  }
+
+  /**
+   * Called by ChunkManager.setBlock after a block changed. Normalizes the
+   * cell's flow level and wakes up the cell and its neighbors.
+   * @param {Chunk} chunk
+   * @param {number} x - Local X
+   * @param {number} y - Local Y
+   * @param {number} z - Local Z
+   */
+  onBlockChanged(chunk, x, y, z) {
+    const index = blockIndex(x, y, z);
+    const blockType = chunk.blocks[index];
+    const fluid = FLUID_OF[blockType];
+
+    if (!fluid) {
+      chunk.fluidLevels[index] = 0;
+    } else if (IS_SOURCE[blockType]) {
+      chunk.fluidLevels[index] = FLUID_LEVEL_MAX;
+    } else if (chunk.fluidLevels[index] === 0) {
+      // Flowing block placed by hand
+      chunk.fluidLevels[index] = FLUID_LEVEL_MAX - fluid.falloff;
+    }
+
+    this._scheduleAround(
+      chunk.x * CHUNK_SIZE + x,
+      chunk.y * CHUNK_SIZE_Y + y,
+      chunk.z * CHUNK_SIZE + z
+    );
+  }
+
+  /**
+   * Rebuild flow levels for a freshly loaded chunk. Levels aren't saved, so
+   * flowing blocks start high and are queued to settle against their sources.
+   * @param {Chunk} chunk
+   */
+  onChunkLoaded(chunk) {
+    const { blocks, fluidLevels } = chunk;
+    fluidLevels.fill(0);
+
+    for (let i = 0; i < CHUNK_SIZE_CUBED; i++) {
+      const fluid = FLUID_OF[blocks[i]];
+      if (!fluid) continue;
+
+      if (IS_SOURCE[blocks[i]]) {
+        fluidLevels[i] = FLUID_LEVEL_MAX;
+      } else {
+        fluidLevels[i] = FLUID_LEVEL_MAX - fluid.falloff;
+        this.schedule(
+          chunk.x * CHUNK_SIZE + (i & 0x0f),
+          chunk.y * CHUNK_SIZE_Y + (i >> 8),
+          chunk.z * CHUNK_SIZE + ((i >> 4) & 0x0f),
+          fluid.tickDelay
+        );
+      }
+    }
+  }
+
+  /**
+   * Queue a cell update
+   * @param {number} vx - Voxel X
+   * @param {number} vy - Voxel Y
+   * @param {number} vz - Voxel Z
+   * @param {number} delay - Ticks from now
+   */
+  schedule(vx, vy, vz, delay) {
+    const key = cellKey(vx, vy, vz);
+    const tick = this.currentTick + delay;
+    const due = this.pending.get(key);
+    if (due !== undefined && due <= tick) return;
+    this.pending.set(key, tick);
+
+    let queue = this.scheduled.get(tick);
+    if (!queue) {
+      queue = [];
+      this.scheduled.set(tick, queue);
+    }
+    queue.push(vx, vy, vz);
+  }
+
+  /**
+   * Place a fluid source
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @param {string} kind - 'water' or 'lava'
+   * @returns {boolean} True if the source was placed
+   */
+  placeSource(worldX, worldY, worldZ, kind = 'water') {
+    const fluid = FLUIDS[kind];
+    if (!fluid) return false;
+
+    const blockType = this._worldBlock(worldX, worldY, worldZ);
+    if (blockType === UNLOADED) return false;
+    if (!REPLACEABLE[blockType] && FLUID_OF[blockType] !== fluid) return false;
+
+    return this.chunkManager.setBlock(worldX, worldY, worldZ, fluid.source);
+  }
+
+  /**
+   * Remove a fluid source. Whatever it fed drains away over the next ticks.
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {boolean} True if a source was removed
+   */
+  removeSource(worldX, worldY, worldZ) {
+    const blockType = this._worldBlock(worldX, worldY, worldZ);
+    if (blockType === UNLOADED || !IS_SOURCE[blockType]) return false;
+    return this.chunkManager.setBlock(worldX, worldY, worldZ, BlockTypes.AIR);
+  }
+
+  /**
+   * Get the fluid at world coordinates
+   * @param {number} worldX
+   * @param {number} worldY
+   * @param {number} worldZ
+   * @returns {{kind: string, level: number, source: boolean} | null}
+   */
+  getFluidAt(worldX, worldY, worldZ) {
+    const blockType = this._worldBlock(worldX, worldY, worldZ);
+    if (blockType === UNLOADED || !FLUID_OF[blockType]) return null;
+    return {
+      kind: blockRegistry.getFluid(blockType),
+      level: this._chunk.fluidLevels[this._index],
+      source: IS_SOURCE[blockType] === 1,
+    };
+  }
+
+  /**
+   * Get simulation stats
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingUpdates: this.pending.size,
+    };
+  }
+
+  /**
+   * Drop all queued updates
+   */
+  clear() {
+    this.scheduled.clear();
+    this.pending.clear();
+    this.accumulator = 0;
+  }
+
+  /**
+   * Recompute one cell from its neighbors and apply the result
+   */
+  _updateCell(vx, vy, vz) {
+    const blockType = this._blockAt(vx, vy, vz);
+    if (blockType === UNLOADED) return;
+    const fluid = FLUID_OF[blockType];
+
+    // Lava touching water hardens
+    if (fluid === FLUIDS.lava && this._touches(vx, vy, vz, FLUIDS.water)) {
+      this._setCell(vx, vy, vz, IS_SOURCE[blockType] ? BlockTypes.OBSIDIAN : BlockTypes.COBBLESTONE, 0);
+      return;
+    }
+
+    // Sources never drain; the cells around them do the spreading
+    if (IS_SOURCE[blockType]) return;
+    if (!fluid && !REPLACEABLE[blockType]) return;
+
+    const water = this._inflow(vx, vy, vz, FLUIDS.water);
+    const lava = this._inflow(vx, vy, vz, FLUIDS.lava);
+
+    if (!fluid && water > 0 && lava > 0) {
+      this._setCell(vx, vy, vz, BlockTypes.STONE, 0);
+      return;
+    }
+
+    // Keep the current fluid while it is still fed, otherwise take whatever flows in
+    let next = fluid;
+    if (!next || (next === FLUIDS.water ? water : lava) === 0) {
+      next = water > 0 ? FLUIDS.water : FLUIDS.lava;
+    }
+    const level = next === FLUIDS.water ? water : lava;
+
+    if (level <= 0) {
+      if (fluid) this._setCell(vx, vy, vz, BlockTypes.AIR, 0);
+      return;
+    }
+
+    if (next.renewable && this._isRenewed(vx, vy, vz, next)) {
+      this._setCell(vx, vy, vz, next.source, FLUID_LEVEL_MAX);
+      return;
+    }
+
+    this._setCell(vx, vy, vz, next.flowing, level);
+  }
+
+  /**
+   * Level a fluid would reach in a cell: full when falling from above,
+   * otherwise the strongest sideways neighbor that can spread, less falloff
+   */
+  _inflow(vx, vy, vz, fluid) {
+    if (FLUID_OF[this._blockAt(vx, vy + 1, vz)] === fluid) return FLUID_LEVEL_MAX;
+
+    let best = 0;
+    for (const [dx, , dz] of SIDEWAYS) {
+      const nx = vx + dx;
+      const nz = vz + dz;
+      if (FLUID_OF[this._blockAt(nx, vy, nz)] !== fluid) continue;
+      const level = this._chunk.fluidLevels[this._index] - fluid.falloff;
+      if (level > best && this._isSupported(nx, vy, nz, fluid)) best = level;
+    }
+    return best;
+  }
+
+  /**
+   * A fluid block spreads sideways only if it has nowhere to fall
+   */
+  _isSupported(vx, vy, vz, fluid) {
+    const below = this._blockAt(vx, vy - 1, vz);
+    if (below === UNLOADED) return true;
+    if (REPLACEABLE[below]) return false;
+    return !(FLUID_OF[below] === fluid && !IS_SOURCE[below]);
+  }
+
+  /**
+   * Renewable fluid between two sources on solid ground (or more source)
+   * becomes a source itself
+   */
+  _isRenewed(vx, vy, vz, fluid) {
+    let sources = 0;
+    for (const [dx, , dz] of SIDEWAYS) {
+      if (this._blockAt(vx + dx, vy, vz + dz) === fluid.source) sources++;
+    }
+    if (sources < 2) return false;
+
+    const below = this._blockAt(vx, vy - 1, vz);
+    return below === fluid.source || (below !== UNLOADED && !REPLACEABLE[below] && !FLUID_OF[below]);
+  }
+
+  /**
+   * Check if any neighbor holds the given fluid
+   */
+  _touches(vx, vy, vz, fluid) {
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      if (FLUID_OF[this._blockAt(vx + dx, vy + dy, vz + dz)] === fluid) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Apply a new block and level to a cell
+   */
+  _setCell(vx, vy, vz, blockType, level) {
+    if (this._blockAt(vx, vy, vz) === UNLOADED) return;
+    const chunk = this._chunk;
+    const index = this._index;
+
+    if (chunk.blocks[index] !== blockType) {
+      // Level first: setBlock reports back through onBlockChanged
+      chunk.fluidLevels[index] = level;
+      this.chunkManager.setBlock(vx * VOXEL_SIZE, vy * VOXEL_SIZE, vz * VOXEL_SIZE, blockType);
+      this.stats.cellChanges++;
+    } else if (chunk.fluidLevels[index] !== level) {
+      chunk.fluidLevels[index] = level;
+      this._scheduleAround(vx, vy, vz);
+      this.stats.cellChanges++;
+    }
+  }
+
+  /**
+   * Wake up a cell and its neighbors, each at its fluid's pace
+   */
+  _scheduleAround(vx, vy, vz) {
+    const self = this._delayAt(vx, vy, vz);
+    if (self > 0) this.schedule(vx, vy, vz, self);
+
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      const delay = this._delayAt(vx + dx, vy + dy, vz + dz);
+      if (delay > 0) this.schedule(vx + dx, vy + dy, vz + dz, delay);
+    }
+  }
+
+  /**
+   * Ticks until a cell should update: its own fluid's delay, or for an
+   * empty cell the fastest fluid next to it. 0 if nothing can change.
+   */
+  _delayAt(vx, vy, vz) {
+    const blockType = this._blockAt(vx, vy, vz);
+    if (blockType === UNLOADED) return 0;
+    if (FLUID_OF[blockType]) return FLUID_OF[blockType].tickDelay;
+    if (!REPLACEABLE[blockType]) return 0;
+
+    let delay = 0;
+    for (const [dx, dy, dz] of NEIGHBORS) {
+      const fluid = FLUID_OF[this._blockAt(vx + dx, vy + dy, vz + dz)];
+      if (fluid && (delay === 0 || fluid.tickDelay < delay)) delay = fluid.tickDelay;
+    }
+    return delay;
+  }
+
+  /**
+   * Look up the block at voxel coordinates. Leaves the cell in
+   * _chunk/_index for the caller.
+   * @returns {number} Block ID, or UNLOADED
+   */
+  _blockAt(vx, vy, vz) {
+    // CHUNK_SIZE is 16: shift/mask also handle negative coordinates
+    const chunk = this.chunkManager.getChunk(vx >> 4, vy >> 4, vz >> 4);
+    if (!chunk || !chunk.blocks) return UNLOADED;
+    this._chunk = chunk;
+    this._index = blockIndex(vx & 0x0f, vy & 0x0f, vz & 0x0f);
+    return chunk.blocks[this._index];
+  }
+
+  _worldBlock(worldX, worldY, worldZ) {
+    return this._blockAt(
+      Math.floor(worldX / VOXEL_SIZE),
+      Math.floor(worldY / VOXEL_SIZE),
+      Math.floor(worldZ / VOXEL_SIZE)
+    );
+  }
+}
+
+export default FluidSimulator;
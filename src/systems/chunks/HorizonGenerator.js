@@ -0,0 +1,289 @@
+/**
+ * HorizonGenerator - Far terrain beyond the chunk load radius
+ *
+ * Loaded chunks stop at the view distance. Past it, the horizon is drawn as
+ * heightmap tiles sampled straight from the terrain generator's surface
+ * heights (BiomeTerrain.getSurface), so far mountains cost a few thousand
+ * vertices and no block storage at all.
+ *
+ * Tiles come in LOD levels (HORIZON_LEVELS). Each level covers the square of
+ * HORIZON_TILE_RADIUS tiles around the player's tile at that level; tiles of
+ * a coarser level that reach into a finer level's square are split into the
+ * finer tiles instead. The rings therefore nest without gaps or overlap, and
+ * every tile keeps the same sample count while its spacing doubles per level.
+ * Tiles entirely inside the loaded world are left out.
+ *
+ * Neighbouring tiles of different levels don't share every edge vertex, so
+ * each tile hangs a skirt down from its edges to hide the cracks.
+ *
+ * Only the surface is sampled: the sea shows as a flat plane, but rivers,
+ * lakes, trees and caves are not drawn.
+ *
+ * Usage:
+ *   for (const tile of planHorizonTiles(playerChunkX, playerChunkZ, viewDistance)) {
+ *     const mesh = buildHorizonMesh({ seed, ...tile });
+ *   }
+ */
+
+import { CHUNK_SIZE, VOXEL_SIZE } from './coordinates.js';
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { getSamplers, SEA_LEVEL } from './generation/terrainGenerator.js';
+import generationConfig from '../../config/terrain/generation.json';
+
+/**
+ * LOD levels, finest first. Each level's tiles span a whole number of the
+ * previous level's tiles; `step` is the sample spacing in voxels.
+ */
+export const HORIZON_LEVELS = [
+  { tileChunks: 4, step: 2 },
+  { tileChunks: 8, step: 4 },
+  { tileChunks: 16, step: 8 },
+];
+
+/**
+ * Tiles each level reaches out from the player's tile (Chebyshev)
+ */
+export const HORIZON_TILE_RADIUS = 2;
+
+/**
+ * Chunks inside the view distance left to the horizon, so it still covers
+ * the ragged edge of the loaded world
+ */
+export const HORIZON_HOLE_MARGIN = 1;
+
+/**
+ * How far skirts hang below a tile's edges (voxels)
+ */
+export const HORIZON_SKIRT_DEPTH = 8;
+
+// Height range (in voxels) over which the chunk mesher brightens faces
+const HEIGHT_SHADE_RANGE = 32;
+
+// World units per chunk, horizontally
+const CHUNK_WORLD_SIZE = CHUNK_SIZE * VOXEL_SIZE;
+
+/**
+ * Radius (world units) around the player's chunk center that loaded chunks
+ * cover and the horizon leaves open
+ * @param {number} viewDistance - Chunk view distance
+ * @returns {number}
+ */
+export function getHorizonHoleRadius(viewDistance) {
+  return Math.max(0, viewDistance - HORIZON_HOLE_MARGIN) * CHUNK_WORLD_SIZE;
+}
+
+/**
+ * Distance (world units) the horizon is guaranteed to reach in every direction
+ * @param {Array<{tileChunks: number}>} [levels=HORIZON_LEVELS]
+ * @param {number} [tileRadius=HORIZON_TILE_RADIUS]
+ * @returns {number}
+ */
+export function getHorizonDistance(levels = HORIZON_LEVELS, tileRadius = HORIZON_TILE_RADIUS) {
+  return tileRadius * levels[levels.length - 1].tileChunks * CHUNK_WORLD_SIZE;
+}
+
+/**
+ * Tiles to draw around the player
+ * @param {number} playerChunkX
+ * @param {number} playerChunkZ
+ * @param {number} viewDistance - Chunk view distance; tiles wholly inside it are skipped
+ * @param {Array<{tileChunks: number, step: number}>} [levels=HORIZON_LEVELS]
+ * @param {number} [tileRadius=HORIZON_TILE_RADIUS]
+ * @returns {Array<{key: string, level: number, chunkX: number, chunkZ: number,
+ *   sizeChunks: number, step: number}>} Tiles by their corner chunk
+ */
+export function planHorizonTiles(
+  playerChunkX, playerChunkZ, viewDistance, levels = HORIZON_LEVELS, tileRadius = HORIZON_TILE_RADIUS
+) {
+  for (let level = 1; level < levels.length; level++) {
+    if (levels[level].tileChunks % levels[level - 1].tileChunks !== 0) {
+      throw new Error(`HorizonGenerator: level ${level} tiles must span whole level ${level - 1} tiles`);
+    }
+  }
+
+  // Hole around the player's chunk center, in chunk units
+  const holeRadius = getHorizonHoleRadius(viewDistance) / CHUNK_WORLD_SIZE;
+  const cx = playerChunkX + 0.5;
+  const cz = playerChunkZ + 0.5;
+  const insideHole = (x0, z0, size) => {
+    const dx = Math.max(Math.abs(x0 - cx), Math.abs(x0 + size - cx));
+    const dz = Math.max(Math.abs(z0 - cz), Math.abs(z0 + size - cz));
+    return dx * dx + dz * dz <= holeRadius * holeRadius;
+  };
+
+  const tiles = [];
+  const visit = (level, tx, tz) => {
+    const { tileChunks, step } = levels[level];
+
+    if (level > 0) {
+      // Split when any finer tile falls in the finer level's square
+      const child = levels[level - 1].tileChunks;
+      const per = tileChunks / child;
+      const px = Math.floor(playerChunkX / child);
+      const pz = Math.floor(playerChunkZ / child);
+      const overlapsX = tx * per <= px + tileRadius && tx * per + per - 1 >= px - tileRadius;
+      const overlapsZ = tz * per <= pz + tileRadius && tz * per + per - 1 >= pz - tileRadius;
+      if (overlapsX && overlapsZ) {
+        for (let i = 0; i < per; i++) {
+          for (let j = 0; j < per; j++) visit(level - 1, tx * per + i, tz * per + j);
+        }
+        return;
+      }
+    }
+
+    const chunkX = tx * tileChunks;
+    const chunkZ = tz * tileChunks;
+    if (insideHole(chunkX, chunkZ, tileChunks)) return;
+    tiles.push({ key: `${level}:${tx},${tz}`, level, chunkX, chunkZ, sizeChunks: tileChunks, step });
+  };
+
+  const top = levels.length - 1;
+  const size = levels[top].tileChunks;
+  const px = Math.floor(playerChunkX / size);
+  const pz = Math.floor(playerChunkZ / size);
+  for (let tx = px - tileRadius; tx <= px + tileRadius; tx++) {
+    for (let tz = pz - tileRadius; tz <= pz + tileRadius; tz++) visit(top, tx, tz);
+  }
+  return tiles;
+}
+
+/**
+ * Top block and its height for a surface sample, as terrainGenerator would
+ * place them: sea over low ground, shore blocks by the water, snow up high
+ */
+function surfaceBlock(height, biome) {
+  if (height < SEA_LEVEL) return { blockType: BlockTypes.WATER, top: SEA_LEVEL };
+  if (height <= SEA_LEVEL + 1 && biome.shore !== null) return { blockType: biome.shore, top: height };
+  if (height >= generationConfig.terrain.snowLine) return { blockType: BlockTypes.SNOW, top: height };
+  return { blockType: biome.surface, top: height };
+}
+
+/**
+ * Build the heightmap mesh for one horizon tile
+ * @param {Object} params
+ * @param {number} params.seed - World seed
+ * @param {number} params.chunkX - Tile corner chunk
+ * @param {number} params.chunkZ
+ * @param {number} params.sizeChunks - Tile width in chunks
+ * @param {number} params.step - Sample spacing in voxels
+ * @param {number} [params.skirtDepth=HORIZON_SKIRT_DEPTH] - Skirt depth in voxels
+ * @returns {{positions: Float32Array, normals: Float32Array, colors: Float32Array,
+ *   indices: Uint32Array, vertexCount: number}} Positions relative to the
+ *   tile's corner horizontally and absolute vertically
+ */
+export function buildHorizonMesh(params) {
+  const { seed, chunkX, chunkZ, sizeChunks, step, skirtDepth = HORIZON_SKIRT_DEPTH } = params;
+  const { biomes } = getSamplers(seed);
+  const cells = (sizeChunks * CHUNK_SIZE) / step;
+  if (!Number.isInteger(cells)) {
+    throw new Error(`HorizonGenerator: step ${step} does not divide a ${sizeChunks} chunk tile`);
+  }
+  const side = cells + 1;
+  const x0 = chunkX * CHUNK_SIZE;
+  const z0 = chunkZ * CHUNK_SIZE;
+
+  // Surface grid, then one skirt vertex under each edge sample
+  const edgeCount = 4 * cells;
+  const vertexCount = side * side + edgeCount;
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const colors = new Float32Array(vertexCount * 3);
+  const heights = new Float32Array(side * side);
+
+  for (let j = 0; j < side; j++) {
+    for (let i = 0; i < side; i++) {
+      const { height, biome } = biomes.getSurface(x0 + i * step, z0 + j * step);
+      const { blockType, top } = surfaceBlock(height, biome);
+      const v = i + j * side;
+      // Half a voxel under the block tops, so real terrain wins where they meet
+      heights[v] = (top + 0.5) * VOXEL_SIZE;
+
+      positions[v * 3] = i * step * VOXEL_SIZE;
+      positions[v * 3 + 1] = heights[v];
+      positions[v * 3 + 2] = j * step * VOXEL_SIZE;
+
+      const color = blockRegistry.get(blockType)?.color || [1, 0, 1];
+      const shade = 0.88 + Math.max(0, Math.min(1, top / HEIGHT_SHADE_RANGE)) * 0.20;
+      colors[v * 3] = Math.min(1, color[0] * shade);
+      colors[v * 3 + 1] = Math.min(1, color[1] * shade);
+      colors[v * 3 + 2] = Math.min(1, color[2] * shade);
+    }
+  }
+
+  // Normals from central differences across the grid
+  const spacing = step * VOXEL_SIZE;
+  for (let j = 0; j < side; j++) {
+    for (let i = 0; i < side; i++) {
+      const v = i + j * side;
+      const hx = heights[Math.min(i + 1, cells) + j * side] - heights[Math.max(i - 1, 0) + j * side];
+      const hz = heights[i + Math.min(j + 1, cells) * side] - heights[i + Math.max(j - 1, 0) * side];
+      const run = (i > 0 && i < cells ? 2 : 1) * spacing;
+      const runZ = (j > 0 && j < cells ? 2 : 1) * spacing;
+      const nx = -hx / run;
+      const nz = -hz / runZ;
+      const len = Math.sqrt(nx * nx + 1 + nz * nz);
+      normals[v * 3] = nx / len;
+      normals[v * 3 + 1] = 1 / len;
+      normals[v * 3 + 2] = nz / len;
+    }
+  }
+
+  const indices = [];
+  for (let j = 0; j < cells; j++) {
+    for (let i = 0; i < cells; i++) {
+      const a = i + j * side;
+      const b = a + 1;
+      const c = a + side;
+      const d = c + 1;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  // Skirts: walk the tile's edge and drop a wall from every segment
+  const edge = [];
+  for (let i = 0; i < cells; i++) edge.push(i);
+  for (let j = 0; j < cells; j++) edge.push(cells + j * side);
+  for (let i = cells; i > 0; i--) edge.push(i + cells * side);
+  for (let j = cells; j > 0; j--) edge.push(j * side);
+
+  const drop = skirtDepth * VOXEL_SIZE;
+  for (let k = 0; k < edgeCount; k++) {
+    const src = edge[k];
+    const dst = side * side + k;
+    positions[dst * 3] = positions[src * 3];
+    positions[dst * 3 + 1] = positions[src * 3 + 1] - drop;
+    positions[dst * 3 + 2] = positions[src * 3 + 2];
+    normals.copyWithin(dst * 3, src * 3, src * 3 + 3);
+    colors.copyWithin(dst * 3, src * 3, src * 3 + 3);
+  }
+  for (let k = 0; k < edgeCount; k++) {
+    const next = (k + 1) % edgeCount;
+    const top0 = edge[k];
+    const top1 = edge[next];
+    const bottom0 = side * side + k;
+    const bottom1 = side * side + next;
+    indices.push(top0, bottom0, top1, top1, bottom0, bottom1);
+  }
+
+  return {
+    positions,
+    normals,
+    colors,
+    indices: new Uint32Array(indices),
+    vertexCount,
+  };
+}
+
+const HorizonGenerator = {
+  HORIZON_LEVELS,
+  HORIZON_TILE_RADIUS,
+  HORIZON_HOLE_MARGIN,
+  HORIZON_SKIRT_DEPTH,
+  getHorizonHoleRadius,
+  getHorizonDistance,
+  planHorizonTiles,
+  buildHorizonMesh,
+};
+
+export default HorizonGenerator;
@@ -4,6 +4,9 @@
  * LOD 0: Full detail (16³ blocks)
  * LOD 1: 2x2x2 merged (8³ blocks) - 1/8 detail
  * LOD 2: 4x4x4 merged (4³ blocks) - 1/64 detail
+ *
+ * These only downsample loaded chunks. Terrain past the load radius is drawn
+ * from heightmaps by HorizonGenerator.js.
  */
 
 import { CHUNK_SIZE, CHUNK_SIZE_Y } from './coordinates.js';
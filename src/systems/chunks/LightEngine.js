@@ -0,0 +1,308 @@
+/**
+ * LightEngine - Flood-fill sky light and block light for the chunk world
+ *
+ * Each chunk stores a light byte per voxel in `chunk.light`: sky light in the
+ * high nibble, block light in the low nibble (0-15 each). Light spreads by
+ * breadth-first flood fill, losing one level per step plus the block's
+ * lightFilter. Sky light at full strength travels straight down without
+ * loss, so open columns stay at 15 and caves fall off to darkness.
+ *
+ * Propagation walks `chunk.neighbors`, so light crosses chunk seams as long
+ * as ChunkManager has linked the neighbors. Every chunk whose light changed
+ * is collected in `changedChunks` for the caller to remesh.
+ *
+ * Usage:
+ *   const engine = new LightEngine();
+ *   engine.lightChunk(chunk);               // after the chunk is linked
+ *   engine.updateBlock(chunk, x, y, z);     // after chunk.setBlock
+ *   for (const c of engine.takeChangedChunks()) c.meshDirty = true;
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y, CHUNK_SIZE_CUBED, blockIndex } from './coordinates.js';
+import { blockRegistry } from './BlockRegistry.js';
+
+export const MAX_LIGHT = 15;
+
+// Light channels: bit offset into the packed light byte
+const SKY = 4;
+const BLOCK = 0;
+
+// Per-block light tables, indexed by block ID
+const EMISSION = new Uint8Array(256);
+const OPAQUE = new Uint8Array(256);
+const FILTER = new Uint8Array(256);
+for (let id = 0; id < 256; id++) {
+  EMISSION[id] = blockRegistry.getLightLevel(id);
+  OPAQUE[id] = blockRegistry.isTransparent(id) ? 0 : 1;
+  FILTER[id] = blockRegistry.getLightFilter(id);
+}
+
+// Neighbor steps: [dx, dy, dz, neighbor name]
+const DIRECTIONS = [
+  [1, 0, 0, 'east'],
+  [-1, 0, 0, 'west'],
+  [0, 1, 0, 'up'],
+  [0, -1, 0, 'down'],
+  [0, 0, 1, 'north'],
+  [0, 0, -1, 'south'],
+];
+const DOWN = 3;
+
+/**
+ * LightEngine class
+ */
+export class LightEngine {
+  constructor() {
+    // Chunks whose light changed since the last takeChangedChunks()
+    this.changedChunks = new Set();
+
+    // Neighbor lookup result (avoids allocating per step)
+    this._stepChunk = null;
+    this._stepIndex = 0;
+  }
+
+  /**
+   * Compute light for a freshly loaded chunk, pull in light from loaded
+   * neighbors and push its own light out across the seams.
+   *
+   * A chunk with nothing loaded above is assumed open to the sky. When the
+   * chunk above loads later, the columns it shades are darkened again.
+   * @param {Chunk} chunk - Chunk with neighbors already linked
+   */
+  lightChunk(chunk) {
+    const { blocks, light } = chunk;
+    light.fill(0);
+    this.changedChunks.add(chunk);
+
+    const skyQueue = [];
+    const blockQueue = [];
+
+    // Open sky enters through the top layer
+    if (!chunk.neighbors.up) {
+      const top = (CHUNK_SIZE_Y - 1) << 8;
+      for (let i = top; i < CHUNK_SIZE_CUBED; i++) {
+        if (!OPAQUE[blocks[i]]) {
+          light[i] = (MAX_LIGHT - FILTER[blocks[i]]) << SKY;
+          skyQueue.push(chunk, i);
+        }
+      }
+    }
+
+    // Emitters
+    for (let i = 0; i < CHUNK_SIZE_CUBED; i++) {
+      const emission = EMISSION[blocks[i]];
+      if (emission > 0) {
+        light[i] = (light[i] & 0xf0) | emission;
+        blockQueue.push(chunk, i);
+      }
+    }
+
+    // Light already present in the neighbors' facing layers flows in
+    for (let d = 0; d < DIRECTIONS.length; d++) {
+      const neighbor = chunk.neighbors[DIRECTIONS[d][3]];
+      if (!neighbor) continue;
+      this._forEachFacingCell(d, (x, y, z) => {
+        const ni = blockIndex(x, y, z);
+        const packed = neighbor.light[ni];
+        if ((packed >> SKY) > 1) skyQueue.push(neighbor, ni);
+        if ((packed & 0x0f) > 1) blockQueue.push(neighbor, ni);
+      });
+    }
+
+    this._propagate(SKY, skyQueue);
+    this._propagate(BLOCK, blockQueue);
+
+    // The chunk below may have assumed open sky before this one loaded
+    const below = chunk.neighbors.down;
+    if (below) {
+      const removal = [];
+      const bottomLayerOffset = (CHUNK_SIZE_Y - 1) << 8;
+      for (let i = 0; i < CHUNK_SIZE * CHUNK_SIZE; i++) {
+        const bi = bottomLayerOffset + i;
+        if ((below.light[bi] >> SKY) !== MAX_LIGHT) continue;
+        const above = blocks[i];
+        if ((light[i] >> SKY) === MAX_LIGHT && !FILTER[above]) continue;
+        this._set(below, bi, SKY, 0);
+        removal.push(below, bi, MAX_LIGHT);
+      }
+      if (removal.length > 0) {
+        this._propagate(SKY, this._remove(SKY, removal));
+      }
+    }
+  }
+
+  /**
+   * Relight around a block that just changed
+   * @param {Chunk} chunk
+   * @param {number} x - Local X
+   * @param {number} y - Local Y
+   * @param {number} z - Local Z
+   */
+  updateBlock(chunk, x, y, z) {
+    const index = blockIndex(x, y, z);
+    const blockType = chunk.blocks[index];
+
+    for (const channel of [SKY, BLOCK]) {
+      const removal = [];
+      const oldLevel = this._get(chunk, index, channel);
+      if (oldLevel > 0) {
+        this._set(chunk, index, channel, 0);
+        removal.push(chunk, index, oldLevel);
+      }
+      const queue = this._remove(channel, removal);
+
+      if (channel === BLOCK && EMISSION[blockType] > 0) {
+        this._set(chunk, index, BLOCK, EMISSION[blockType]);
+        queue.push(chunk, index);
+      }
+
+      // Let surrounding light flow back into the cell
+      if (!OPAQUE[blockType]) {
+        for (let d = 0; d < DIRECTIONS.length; d++) {
+          if (this._step(chunk, index, d) && this._get(this._stepChunk, this._stepIndex, channel) > 0) {
+            queue.push(this._stepChunk, this._stepIndex);
+          }
+        }
+      }
+
+      this._propagate(channel, queue);
+    }
+  }
+
+  /**
+   * Return and reset the set of chunks whose light changed
+   * @returns {Set<Chunk>}
+   */
+  takeChangedChunks() {
+    const changed = this.changedChunks;
+    this.changedChunks = new Set();
+    return changed;
+  }
+
+  /**
+   * Visit the layer of a neighbor chunk that touches this chunk
+   * @param {number} d - Direction index from this chunk to the neighbor
+   * @param {Function} fn - (x, y, z) in the neighbor's local coordinates
+   */
+  _forEachFacingCell(d, fn) {
+    const [dx, dy, dz] = DIRECTIONS[d];
+    for (let a = 0; a < CHUNK_SIZE; a++) {
+      for (let b = 0; b < CHUNK_SIZE; b++) {
+        if (dx !== 0) fn(dx > 0 ? 0 : CHUNK_SIZE - 1, a, b);
+        else if (dy !== 0) fn(a, dy > 0 ? 0 : CHUNK_SIZE_Y - 1, b);
+        else fn(a, b, dz > 0 ? 0 : CHUNK_SIZE - 1);
+      }
+    }
+  }
+
+  /**
+   * Find the cell next to (chunk, index) in direction d, crossing into
+   * neighbor chunks. Result is left in _stepChunk/_stepIndex.
+   * @returns {boolean} False if the neighbor chunk isn't loaded
+   */
+  _step(chunk, index, d) {
+    const dir = DIRECTIONS[d];
+    let x = (index & 0x0f) + dir[0];
+    let y = (index >> 8) + dir[1];
+    let z = ((index >> 4) & 0x0f) + dir[2];
+    let target = chunk;
+
+    if (x < 0 || x >= CHUNK_SIZE || y < 0 || y >= CHUNK_SIZE_Y || z < 0 || z >= CHUNK_SIZE) {
+      target = chunk.neighbors[dir[3]];
+      if (!target || !target.light) return false;
+      x = (x + CHUNK_SIZE) % CHUNK_SIZE;
+      y = (y + CHUNK_SIZE_Y) % CHUNK_SIZE_Y;
+      z = (z + CHUNK_SIZE) % CHUNK_SIZE;
+    }
+
+    this._stepChunk = target;
+    this._stepIndex = blockIndex(x, y, z);
+    return true;
+  }
+
+  _get(chunk, index, channel) {
+    return (chunk.light[index] >> channel) & 0x0f;
+  }
+
+  _set(chunk, index, channel, level) {
+    chunk.light[index] = (chunk.light[index] & ~(0x0f << channel)) | (level << channel);
+    this.changedChunks.add(chunk);
+  }
+
+  /**
+   * Spread light outward from queued cells
+   * @param {number} channel - SKY or BLOCK
+   * @param {Array} queue - Flat [chunk, index, chunk, index, ...]
+   */
+  _propagate(channel, queue) {
+    for (let head = 0; head < queue.length; head += 2) {
+      const chunk = queue[head];
+      const index = queue[head + 1];
+      if (!chunk.light) continue; // Unloaded mid-update
+      const level = this._get(chunk, index, channel);
+      if (level <= 1) continue;
+
+      for (let d = 0; d < DIRECTIONS.length; d++) {
+        if (!this._step(chunk, index, d)) continue;
+        const target = this._stepChunk;
+        const ti = this._stepIndex;
+        const blockType = target.blocks[ti];
+        if (OPAQUE[blockType]) continue;
+
+        const filter = FILTER[blockType];
+        const next = (channel === SKY && d === DOWN && level === MAX_LIGHT && filter === 0)
+          ? MAX_LIGHT
+          : level - 1 - filter;
+        if (next > this._get(target, ti, channel)) {
+          this._set(target, ti, channel, next);
+          queue.push(target, ti);
+        }
+      }
+    }
+  }
+
+  /**
+   * Darken cells that were lit by removed light. Cells lit from some other
+   * source are returned so the caller can propagate from them again.
+   * @param {number} channel - SKY or BLOCK
+   * @param {Array} queue - Flat [chunk, index, oldLevel, ...], already zeroed
+   * @returns {Array} Propagation queue
+   */
+  _remove(channel, queue) {
+    const relight = [];
+
+    for (let head = 0; head < queue.length; head += 3) {
+      const chunk = queue[head];
+      const index = queue[head + 1];
+      const oldLevel = queue[head + 2];
+      if (!chunk.light) continue;
+
+      for (let d = 0; d < DIRECTIONS.length; d++) {
+        if (!this._step(chunk, index, d)) continue;
+        const target = this._stepChunk;
+        const ti = this._stepIndex;
+        const level = this._get(target, ti, channel);
+        if (level === 0) continue;
+
+        const straightSky = channel === SKY && d === DOWN && oldLevel === MAX_LIGHT;
+        if (level < oldLevel || straightSky) {
+          this._set(target, ti, channel, 0);
+          queue.push(target, ti, level);
+
+          // Emitters keep their own light
+          const emission = channel === BLOCK ? EMISSION[target.blocks[ti]] : 0;
+          if (emission > 0) {
+            this._set(target, ti, BLOCK, emission);
+            relight.push(target, ti);
+          }
+        } else {
+          relight.push(target, ti);
+        }
+      }
+    }
+
+    return relight;
+  }
+}
+
+export default LightEngine;
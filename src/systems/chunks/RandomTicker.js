@@ -0,0 +1,330 @@
+/**
+ * RandomTicker - Slow changes to the chunk world from random block ticks
+ *
+ * Every chunk near the player gets a few random ticks per second. Each
+ * tick picks one block of the chunk at random and runs the handlers named
+ * in that block's `randomTick` property in blocks.json:
+ * - grassSpread: grass spreads onto lit dirt next to it (up to one block up
+ *   or down) and dies back to dirt under an opaque block
+ * - leafDecay: leaves with no log within LEAF_DECAY_DISTANCE steps through
+ *   other leaves break, so a canopy falls apart after its trunk is cut.
+ *   Leaves the player placed are persistent (see blockStates.js).
+ * - bushRegrowth: harvested berry bushes grow their berries back
+ * - snowfall: in winter, grass and dirt open to the sky in the tundra are
+ *   covered with snow
+ * - freeze: still water open to the sky freezes over in the tundra, and in
+ *   the mountains in winter
+ *
+ * The season comes from a SeasonalSystem; without one it is never winter.
+ * A block is ticked every CHUNK_SIZE_CUBED / ticksPerChunk seconds on
+ * average, so changes creep across the world over minutes rather than
+ * sweeping it.
+ *
+ * Like FluidSimulator, all edits go through ChunkManager.setBlock, so
+ * remeshing, relighting and saves work as for any other edit.
+ *
+ * Usage:
+ *   const ticker = new RandomTicker(chunkManager, { seasonalSystem });
+ *   ticker.update(deltaTime);                   // every frame
+ */
+
+import { CHUNK_SIZE_CUBED, VOXEL_SIZE, blockIndex } from './coordinates.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { BlockTypes } from './blockTypes.js';
+import { StateKind } from './blockStates.js';
+import { MAX_LIGHT } from './LightEngine.js';
+import { getSamplers } from './generation/terrainGenerator.js';
+import { SeasonType } from '../../modules/environment/SeasonalSystem.js';
+import {
+  RANDOM_TICKS_PER_CHUNK,
+  RANDOM_TICK_CHUNK_RADIUS,
+  GRASS_SPREAD_MIN_LIGHT,
+  LEAF_DECAY_DISTANCE,
+  BUSH_REGROWTH_CHANCE,
+} from '../../data/tuning.js';
+
+// Returned for cells in chunks that aren't loaded
+export const UNLOADED = -1;
+
+// Biomes where water freezes in winter; the tundra freezes all year
+const COLD_BIOMES = new Set(['tundra', 'mountains']);
+
+// Random ticks allowed to catch up in a single update after a long frame
+const MAX_TICKS_PER_UPDATE = 4;
+
+const NEIGHBORS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+/**
+ * Random tick handlers by name, as referenced from blocks.json. Each is
+ * called as handler(ticker, vx, vy, vz) for a block of a type that names it.
+ */
+export const RANDOM_TICK_HANDLERS = {
+  grassSpread(ticker, vx, vy, vz) {
+    const above = ticker.blockAt(vx, vy + 1, vz);
+    if (above !== UNLOADED && OPAQUE[above]) {
+      ticker.setCell(vx, vy, vz, BlockTypes.DIRT);
+      return;
+    }
+
+    const tx = vx + ticker.randomInt(-1, 1);
+    const ty = vy + ticker.randomInt(-1, 1);
+    const tz = vz + ticker.randomInt(-1, 1);
+    if (ticker.blockAt(tx, ty, tz) !== BlockTypes.DIRT) return;
+    const cover = ticker.blockAt(tx, ty + 1, tz);
+    if (cover === UNLOADED || OPAQUE[cover]) return;
+    if (ticker.lightAt(tx, ty + 1, tz) < GRASS_SPREAD_MIN_LIGHT) return;
+    ticker.setCell(tx, ty, tz, BlockTypes.GRASS);
+  },
+
+  leafDecay(ticker, vx, vy, vz) {
+    if (ticker.stateAt(vx, vy, vz)?.persistent) return;
+    if (ticker.reachesLog(vx, vy, vz)) return;
+    ticker.setCell(vx, vy, vz, BlockTypes.AIR);
+  },
+
+  bushRegrowth(ticker, vx, vy, vz) {
+    if (ticker.random() >= BUSH_REGROWTH_CHANCE) return;
+    ticker.setCell(vx, vy, vz, BlockTypes.BERRY_BUSH);
+  },
+
+  snowfall(ticker, vx, vy, vz) {
+    if (ticker.season !== SeasonType.WINTER) return;
+    if (!ticker.isOpenSky(vx, vy + 1, vz)) return;
+    if (ticker.biomeAt(vx, vz) !== 'tundra') return;
+    ticker.setCell(vx, vy, vz, BlockTypes.SNOW);
+  },
+
+  freeze(ticker, vx, vy, vz) {
+    if (!ticker.isOpenSky(vx, vy + 1, vz)) return;
+    const biome = ticker.biomeAt(vx, vz);
+    const winter = ticker.season === SeasonType.WINTER;
+    if (biome !== 'tundra' && !(winter && COLD_BIOMES.has(biome))) return;
+    ticker.setCell(vx, vy, vz, BlockTypes.ICE);
+  },
+};
+
+// Per-block tables, indexed by block ID
+const HANDLERS = new Array(256).fill(null);
+const OPAQUE = new Uint8Array(256);
+const LOG = new Uint8Array(256);
+const LEAF = new Uint8Array(256);
+for (let id = 0; id < 256; id++) {
+  const def = blockRegistry.get(id);
+  if (!def) continue;
+  OPAQUE[id] = def.solid && !def.transparent ? 1 : 0;
+  LOG[id] = def.state === StateKind.LOG ? 1 : 0;
+  LEAF[id] = def.state === StateKind.LEAVES ? 1 : 0;
+  if (!def.randomTick) continue;
+  HANDLERS[id] = def.randomTick.map((name) => {
+    const handler = RANDOM_TICK_HANDLERS[name];
+    if (!handler) {
+      throw new Error(`RandomTicker: unknown randomTick handler "${name}" on ${def.key}`);
+    }
+    return handler;
+  });
+}
+
+/**
+ * RandomTicker class
+ */
+export class RandomTicker {
+  /**
+   * @param {ChunkManager} chunkManager - World the blocks live in
+   * @param {Object} options
+   * @param {Object} options.seasonalSystem - SeasonalSystem giving the current season
+   * @param {number} options.ticksPerChunk - Random ticks per chunk per second (default RANDOM_TICKS_PER_CHUNK)
+   * @param {number} options.chunkRadius - Chunks around the player that get ticks (default RANDOM_TICK_CHUNK_RADIUS)
+   * @param {Function} options.random - Random source returning [0, 1) (default Math.random)
+   */
+  constructor(chunkManager, options = {}) {
+    this.chunkManager = chunkManager;
+    this.seasonalSystem = options.seasonalSystem ?? null;
+    this.random = options.random ?? Math.random;
+
+    this.accumulator = 0;
+    // Fraction of a random tick per chunk carried to the next tick
+    this._carry = 0;
+
+    // Cell lookup result (avoids allocating per lookup)
+    this._chunk = null;
+    this._index = 0;
+
+    this._biomes = null;
+
+    this.stats = {
+      randomTicks: 0,
+      blocksChanged: 0,
+    };
+
+    // Configuration
+    this.ticksPerChunk = options.ticksPerChunk ?? RANDOM_TICKS_PER_CHUNK;
+    this.chunkRadius = options.chunkRadius ?? RANDOM_TICK_CHUNK_RADIUS;
+    this.tickInterval = 0.25; // Seconds between rounds of random ticks
+  }
+
+  /**
+   * Current season, or null without a SeasonalSystem
+   * @returns {string | null} SeasonType value
+   */
+  get season() {
+    return this.seasonalSystem?.getCurrentSeason() ?? null;
+  }
+
+  /**
+   * Advance the ticker - call every frame
+   * @param {number} deltaTime - Seconds since last frame
+   */
+  update(deltaTime) {
+    this.accumulator = Math.min(
+      this.accumulator + deltaTime,
+      this.tickInterval * MAX_TICKS_PER_UPDATE
+    );
+    while (this.accumulator >= this.tickInterval) {
+      this.accumulator -= this.tickInterval;
+      this.tick();
+    }
+  }
+
+  /**
+   * Run one round: every chunk within chunkRadius of the player gets its
+   * share of random ticks
+   * @returns {number} Random ticks run
+   */
+  tick() {
+    this._carry += this.ticksPerChunk * this.tickInterval;
+    const perChunk = Math.floor(this._carry);
+    this._carry -= perChunk;
+    if (perChunk === 0) return 0;
+
+    const { playerChunkX, playerChunkZ } = this.chunkManager;
+    let ticks = 0;
+    for (const chunk of this.chunkManager.chunks.values()) {
+      if (!chunk.blocks) continue;
+      if (Math.abs(chunk.x - playerChunkX) > this.chunkRadius) continue;
+      if (Math.abs(chunk.z - playerChunkZ) > this.chunkRadius) continue;
+      for (let i = 0; i < perChunk; i++) {
+        this.tickBlock(chunk, Math.floor(this.random() * CHUNK_SIZE_CUBED));
+        ticks++;
+      }
+    }
+    return ticks;
+  }
+
+  /**
+   * Run the handlers of one block. Stops once a handler has changed it.
+   * @param {Chunk} chunk
+   * @param {number} index - Block index in the chunk
+   */
+  tickBlock(chunk, index) {
+    this.stats.randomTicks++;
+    const blockType = chunk.blocks[index];
+    const handlers = HANDLERS[blockType];
+    if (!handlers) return;
+
+    // Index layout is x + z*16 + y*256
+    const vx = chunk.x * 16 + (index & 0x0f);
+    const vy = chunk.y * 16 + (index >> 8);
+    const vz = chunk.z * 16 + ((index >> 4) & 0x0f);
+    for (const handler of handlers) {
+      handler(this, vx, vy, vz);
+      if (chunk.blocks[index] !== blockType) return;
+    }
+  }
+
+  /**
+   * Look up the block at voxel coordinates. Leaves the cell in
+   * _chunk/_index for the caller.
+   * @returns {number} Block ID, or UNLOADED
+   */
+  blockAt(vx, vy, vz) {
+    // CHUNK_SIZE is 16: shift/mask also handle negative coordinates
+    const chunk = this.chunkManager.getChunk(vx >> 4, vy >> 4, vz >> 4);
+    if (!chunk || !chunk.blocks) return UNLOADED;
+    this._chunk = chunk;
+    this._index = blockIndex(vx & 0x0f, vy & 0x0f, vz & 0x0f);
+    return chunk.blocks[this._index];
+  }
+
+  /**
+   * Get the block state at voxel coordinates
+   * @returns {Object | null}
+   */
+  stateAt(vx, vy, vz) {
+    if (this.blockAt(vx, vy, vz) === UNLOADED) return null;
+    return this._chunk.blockStates?.get(this._index) ?? null;
+  }
+
+  /**
+   * Get the combined sky and block light at voxel coordinates
+   * @returns {number} Light level (0-15)
+   */
+  lightAt(vx, vy, vz) {
+    return this.chunkManager.getLightLevel(vx * VOXEL_SIZE, vy * VOXEL_SIZE, vz * VOXEL_SIZE);
+  }
+
+  /**
+   * Check whether a cell is empty and lit by the open sky
+   * @returns {boolean}
+   */
+  isOpenSky(vx, vy, vz) {
+    if (this.blockAt(vx, vy, vz) !== BlockTypes.AIR) return false;
+    return this.chunkManager.getSkyLight(vx * VOXEL_SIZE, vy * VOXEL_SIZE, vz * VOXEL_SIZE) === MAX_LIGHT;
+  }
+
+  /**
+   * Get the biome of a voxel column
+   * @param {number} vx
+   * @param {number} vz
+   * @returns {string} Biome ID
+   */
+  biomeAt(vx, vz) {
+    if (!this._biomes) this._biomes = getSamplers(this.chunkManager.seed).biomes;
+    return this._biomes.getBiome(vx, vz);
+  }
+
+  /**
+   * Check whether leaves connect to a log within LEAF_DECAY_DISTANCE steps
+   * through other leaves. Unloaded chunks count as holding a log.
+   * @returns {boolean}
+   */
+  reachesLog(vx, vy, vz) {
+    const seen = new Set([`${vx},${vy},${vz}`]);
+    let frontier = [[vx, vy, vz]];
+    for (let distance = 1; distance <= LEAF_DECAY_DISTANCE; distance++) {
+      const next = [];
+      for (const [x, y, z] of frontier) {
+        for (const [dx, dy, dz] of NEIGHBORS) {
+          const nx = x + dx, ny = y + dy, nz = z + dz;
+          const key = `${nx},${ny},${nz}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          const blockType = this.blockAt(nx, ny, nz);
+          if (blockType === UNLOADED || LOG[blockType]) return true;
+          if (LEAF[blockType]) next.push([nx, ny, nz]);
+        }
+      }
+      if (next.length === 0) return false;
+      frontier = next;
+    }
+    return false;
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @returns {number}
+   */
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Apply a block through ChunkManager.setBlock
+   */
+  setCell(vx, vy, vz, blockType) {
+    if (this.chunkManager.setBlock(vx * VOXEL_SIZE, vy * VOXEL_SIZE, vz * VOXEL_SIZE, blockType)) {
+      this.stats.blocksChanged++;
+    }
+  }
+}
+
+export default RandomTicker;
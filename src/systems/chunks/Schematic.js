@@ -0,0 +1,268 @@
+/**
+ * Schematic - Save chunk world regions as JSON or binary schematics
+ *
+ * A schematic is a region of blocks plus optional metadata (id, name,
+ * description, category, tier) for using it as a construction template.
+ * Blocks are stored by registry key through a palette, so schematics keep
+ * working when block IDs are renumbered. The format is documented in
+ * docs/SCHEMATIC_FORMAT.md.
+ *
+ * JSON schematics run-length encode their palette indices and are meant to
+ * be diffed and checked in (modules/construction/templates/schematics).
+ * Binary schematics store one palette index per block and are what the
+ * area edit tool exports.
+ *
+ * Regions are Y-up, indexed like AreaEditor regions (X fastest, then Z,
+ * then Y).
+ *
+ * Usage:
+ *   const json = writeSchematic(editor.copy(), { name: 'Well' });
+ *   const { region, meta } = readSchematic(json);
+ *   const { region } = readRegionFile(arrayBuffer); // .vox, binary or JSON
+ */
+
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { readVox } from './VoxFile.js';
+
+export const SCHEMATIC_FORMAT = 'voxel-schematic';
+export const SCHEMATIC_VERSION = 1;
+
+// Magic bytes at the start of a binary schematic
+const BINARY_MAGIC = 'VSCH';
+
+// Metadata fields carried by a schematic
+const META_FIELDS = ['id', 'name', 'description', 'category', 'tier'];
+
+function pickMeta(source) {
+  const meta = {};
+  for (const field of META_FIELDS) {
+    if (source[field] !== undefined) meta[field] = source[field];
+  }
+  return meta;
+}
+
+/**
+ * Build the palette (block keys) and palette index array for a region
+ * @private
+ */
+function toPalette(region) {
+  const palette = [blockRegistry.get(BlockTypes.AIR).key];
+  const indexOf = new Map([[BlockTypes.AIR, 0]]);
+  const indices = new Uint8Array(region.blocks.length);
+
+  for (let i = 0; i < region.blocks.length; i++) {
+    const id = region.blocks[i];
+    if (!indexOf.has(id)) {
+      const def = blockRegistry.get(id);
+      if (!def) throw new Error(`Schematic: unknown block id ${id}`);
+      indexOf.set(id, palette.length);
+      palette.push(def.key);
+    }
+    indices[i] = indexOf.get(id);
+  }
+  return { palette, indices };
+}
+
+/**
+ * Turn palette keys back into block IDs
+ * @private
+ */
+function fromPalette(palette) {
+  return palette.map(key => {
+    const id = blockRegistry.getId(key);
+    if (id === undefined) throw new Error(`Schematic: unknown block ${key}`);
+    return id;
+  });
+}
+
+function checkSize(size, length) {
+  const volume = size.x * size.y * size.z;
+  if (!(volume > 0) || volume !== length) {
+    throw new Error(`Schematic: ${length} blocks don't fill a ${size.x}x${size.y}x${size.z} region`);
+  }
+}
+
+/**
+ * Write a region as a JSON schematic
+ * @param {{size: Object, blocks: Uint8Array}} region
+ * @param {Object} meta - id, name, description, category, tier
+ * @returns {Object} JSON-serializable schematic
+ */
+export function writeSchematic(region, meta = {}) {
+  const { palette, indices } = toPalette(region);
+
+  // [count, paletteIndex] pairs
+  const runs = [];
+  for (let i = 0; i < indices.length; i++) {
+    const last = runs.length - 2;
+    if (last >= 0 && runs[last + 1] === indices[i]) {
+      runs[last]++;
+    } else {
+      runs.push(1, indices[i]);
+    }
+  }
+
+  return {
+    format: SCHEMATIC_FORMAT,
+    version: SCHEMATIC_VERSION,
+    ...pickMeta(meta),
+    size: { ...region.size },
+    palette,
+    blocks: runs,
+  };
+}
+
+/**
+ * Read a JSON schematic
+ * @param {Object | string} data - Parsed schematic or its JSON text
+ * @returns {{region: {size: Object, blocks: Uint8Array}, meta: Object}}
+ */
+export function readSchematic(data) {
+  const schematic = typeof data === 'string' ? JSON.parse(data) : data;
+  if (schematic.format !== SCHEMATIC_FORMAT) {
+    throw new Error('Schematic: not a schematic');
+  }
+  if (schematic.version > SCHEMATIC_VERSION) {
+    throw new Error(`Schematic: version ${schematic.version} is newer than this game supports`);
+  }
+
+  const ids = fromPalette(schematic.palette);
+  const { size } = schematic;
+  const blocks = new Uint8Array(size.x * size.y * size.z);
+  let at = 0;
+  for (let i = 0; i < schematic.blocks.length; i += 2) {
+    const count = schematic.blocks[i];
+    const id = ids[schematic.blocks[i + 1]];
+    if (id === undefined || at + count > blocks.length) {
+      throw new Error('Schematic: block data does not match its palette and size');
+    }
+    blocks.fill(id, at, at + count);
+    at += count;
+  }
+  checkSize(size, at);
+
+  return { region: { size: { ...size }, blocks }, meta: pickMeta(schematic) };
+}
+
+/**
+ * Write a region as a binary schematic
+ *
+ * Layout (little-endian): 'VSCH', uint8 version, uint16 size x, y, z,
+ * uint32 metadata length + UTF-8 metadata JSON, uint16 palette length,
+ * then per entry uint8 key length + ASCII key, then one uint8 palette
+ * index per block.
+ *
+ * @param {{size: Object, blocks: Uint8Array}} region
+ * @param {Object} meta - id, name, description, category, tier
+ * @returns {ArrayBuffer}
+ */
+export function encodeSchematic(region, meta = {}) {
+  const { palette, indices } = toPalette(region);
+  const encoder = new TextEncoder();
+  const metaBytes = encoder.encode(JSON.stringify(pickMeta(meta)));
+  const keyBytes = palette.map(key => encoder.encode(key));
+  const paletteBytes = 2 + keyBytes.reduce((sum, bytes) => sum + 1 + bytes.length, 0);
+
+  const buffer = new ArrayBuffer(11 + 4 + metaBytes.length + paletteBytes + indices.length);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  for (let i = 0; i < 4; i++) view.setUint8(i, BINARY_MAGIC.charCodeAt(i));
+  view.setUint8(4, SCHEMATIC_VERSION);
+  view.setUint16(5, region.size.x, true);
+  view.setUint16(7, region.size.y, true);
+  view.setUint16(9, region.size.z, true);
+
+  let offset = 11;
+  view.setUint32(offset, metaBytes.length, true);
+  bytes.set(metaBytes, offset + 4);
+  offset += 4 + metaBytes.length;
+
+  view.setUint16(offset, palette.length, true);
+  offset += 2;
+  for (const key of keyBytes) {
+    view.setUint8(offset++, key.length);
+    bytes.set(key, offset);
+    offset += key.length;
+  }
+
+  bytes.set(indices, offset);
+  return buffer;
+}
+
+/**
+ * Check if a buffer holds a binary schematic
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isBinarySchematic(buffer) {
+  if (buffer.byteLength < 4) return false;
+  const bytes = new Uint8Array(buffer, 0, 4);
+  return String.fromCharCode(...bytes) === BINARY_MAGIC;
+}
+
+/**
+ * Read a binary schematic
+ * @param {ArrayBuffer} buffer
+ * @returns {{region: {size: Object, blocks: Uint8Array}, meta: Object}}
+ */
+export function decodeSchematic(buffer) {
+  if (!isBinarySchematic(buffer)) {
+    throw new Error('Schematic: not a binary schematic');
+  }
+  const view = new DataView(buffer);
+  const version = view.getUint8(4);
+  if (version > SCHEMATIC_VERSION) {
+    throw new Error(`Schematic: version ${version} is newer than this game supports`);
+  }
+
+  const size = {
+    x: view.getUint16(5, true),
+    y: view.getUint16(7, true),
+    z: view.getUint16(9, true),
+  };
+  const decoder = new TextDecoder();
+
+  let offset = 11;
+  const metaLength = view.getUint32(offset, true);
+  const meta = pickMeta(JSON.parse(decoder.decode(new Uint8Array(buffer, offset + 4, metaLength))));
+  offset += 4 + metaLength;
+
+  const palette = [];
+  const paletteLength = view.getUint16(offset, true);
+  offset += 2;
+  for (let i = 0; i < paletteLength; i++) {
+    const length = view.getUint8(offset++);
+    palette.push(decoder.decode(new Uint8Array(buffer, offset, length)));
+    offset += length;
+  }
+  const ids = fromPalette(palette);
+
+  const indices = new Uint8Array(buffer, offset);
+  checkSize(size, indices.length);
+  const blocks = new Uint8Array(indices.length);
+  for (let i = 0; i < indices.length; i++) {
+    const id = ids[indices[i]];
+    if (id === undefined) throw new Error('Schematic: block data does not match its palette');
+    blocks[i] = id;
+  }
+
+  return { region: { size, blocks }, meta };
+}
+
+/**
+ * Read any supported region file: MagicaVoxel .vox, binary schematic or
+ * JSON schematic, told apart by their first bytes
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {Object} voxOptions - Passed to readVox (mapping, model)
+ * @returns {{region: {size: Object, blocks: Uint8Array}, meta: Object}}
+ */
+export function readRegionFile(buffer, voxOptions = {}) {
+  if (isBinarySchematic(buffer)) return decodeSchematic(buffer);
+
+  const head = String.fromCharCode(...new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength)));
+  if (head === 'VOX ') return { region: readVox(buffer, voxOptions), meta: {} };
+
+  return readSchematic(new TextDecoder().decode(buffer));
+}
@@ -0,0 +1,282 @@
+/**
+ * VoxFile - Read and write MagicaVoxel .vox files as chunk world regions
+ *
+ * A .vox file stores palette colors, not blocks. On import each of the 255
+ * palette entries is turned into a block: first through an optional mapping
+ * table (palette index -> block key or ID), then by an exact match with a
+ * block's registry color, and finally by the nearest color among plain
+ * building blocks (terrain, wood, stone, brick). Export writes one palette
+ * entry per block type in the region, colored from the registry, so
+ * exporting and importing again gives back the same blocks wherever two
+ * blocks don't share a color. Files with no RGBA chunk use MagicaVoxel's
+ * default palette, which isn't bundled, so every index they use must be in
+ * the mapping table. Use a schematic (Schematic.js) to move
+ * regions between games losslessly.
+ *
+ * MagicaVoxel is Z-up and the chunk world is Y-up. Voxels are turned -90°
+ * around X on import, (x, y, z) -> (x, z, -y), and back on export, so
+ * models keep their handedness instead of coming in mirrored.
+ *
+ * Only the first model of a file is read unless another is asked for. The
+ * scene graph (nTRN/nGRP/nSHP), materials and layers are ignored.
+ *
+ * File layout (all integers little-endian):
+ *   'VOX ' int32 version
+ *   chunk: id[4] int32 contentBytes int32 childrenBytes content children
+ *   MAIN > [PACK] (SIZE XYZI)+ [RGBA] ...
+ *   SIZE: int32 x, y, z      XYZI: int32 count, then count * (x, y, z, colorIndex) bytes
+ *   RGBA: 256 * (r, g, b, a) bytes, entry i holding color index i + 1
+ *
+ * Usage:
+ *   const region = readVox(arrayBuffer, { mapping: { 12: 'THATCH' } });
+ *   editor.pasteRegion(region, origin);
+ *   const buffer = writeVox(editor.copy());
+ */
+
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { regionIndex } from './AreaEditor.js';
+
+const VOX_VERSION = 150;
+
+// Largest model MagicaVoxel can hold along each axis
+const MAX_VOX_SIZE = 256;
+
+// Block categories a palette color may be matched to by nearest color
+const NEAREST_COLOR_CATEGORIES = new Set(['terrain', 'wood', 'stone_construction', 'building']);
+
+function readId(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
+
+function writeId(view, offset, id) {
+  for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+}
+
+function toRgb255(color) {
+  return color.map(c => Math.round(c * 255));
+}
+
+function colorDistanceSq(a, b) {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Find the block for a palette color: an exact registry color match if
+ * there is one, else the nearest plain building block
+ * @param {Array<number>} rgb - [r, g, b] in 0-255
+ * @returns {number} Block ID
+ */
+export function matchBlockColor(rgb) {
+  let nearest = BlockTypes.STONE;
+  let nearestDistance = Infinity;
+
+  for (const def of blockRegistry.getAll()) {
+    if (def.id === BlockTypes.AIR || def.category === 'special') continue;
+    const distance = colorDistanceSq(rgb, toRgb255(def.color));
+    if (distance === 0) return def.id;
+
+    const plain = NEAREST_COLOR_CATEGORIES.has(def.category) &&
+      def.solid && !def.liquid && def.hardness !== Infinity;
+    if (plain && distance < nearestDistance) {
+      nearest = def.id;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Resolve a mapping table entry to a block ID
+ * @private
+ */
+function resolveMapping(value, colorIndex) {
+  const id = typeof value === 'number' ? value : blockRegistry.getId(value);
+  if (id === undefined || !blockRegistry.get(id)) {
+    throw new Error(`VoxFile: palette index ${colorIndex} maps to unknown block ${value}`);
+  }
+  return id;
+}
+
+/**
+ * Split a .vox file into its models and palette
+ * @param {ArrayBuffer} buffer
+ * @returns {{models: Array<{size: Object, voxels: Uint8Array}>, palette: Array<Array<number>> | null}}
+ */
+export function parseVox(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || readId(view, 0) !== 'VOX ') {
+    throw new Error('VoxFile: not a MagicaVoxel file');
+  }
+  if (readId(view, 8) !== 'MAIN') {
+    throw new Error('VoxFile: missing MAIN chunk');
+  }
+
+  const models = [];
+  let palette = null;
+  let size = null;
+  const end = Math.min(buffer.byteLength, 20 + view.getInt32(12, true) + view.getInt32(16, true));
+  let offset = 20 + view.getInt32(12, true);
+
+  while (offset + 12 <= end) {
+    const id = readId(view, offset);
+    const contentBytes = view.getInt32(offset + 4, true);
+    const childrenBytes = view.getInt32(offset + 8, true);
+    const content = offset + 12;
+    if (content + contentBytes > end) {
+      throw new Error(`VoxFile: ${id} chunk runs past the end of the file`);
+    }
+
+    if (id === 'SIZE') {
+      size = {
+        x: view.getInt32(content, true),
+        y: view.getInt32(content + 4, true),
+        z: view.getInt32(content + 8, true),
+      };
+    } else if (id === 'XYZI') {
+      if (!size) throw new Error('VoxFile: XYZI chunk without a SIZE');
+      const count = view.getInt32(content, true);
+      models.push({ size, voxels: new Uint8Array(buffer.slice(content + 4, content + 4 + count * 4)) });
+      size = null;
+    } else if (id === 'RGBA') {
+      palette = [];
+      for (let i = 0; i < 256; i++) {
+        const at = content + i * 4;
+        palette.push([view.getUint8(at), view.getUint8(at + 1), view.getUint8(at + 2)]);
+      }
+    }
+
+    offset = content + contentBytes + childrenBytes;
+  }
+
+  return { models, palette };
+}
+
+/**
+ * Read a .vox file into a region the area editor can paste or
+ * Blueprint.fromRegion can capture
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options
+ * @param {Object} options.mapping - Palette index (1-255) -> block key or ID,
+ *   checked before any color matching
+ * @param {number} options.model - Which model to read (default 0)
+ * @returns {{size: {x: number, y: number, z: number}, blocks: Uint8Array}}
+ */
+export function readVox(buffer, { mapping = {}, model = 0 } = {}) {
+  const { models, palette } = parseVox(buffer);
+  const source = models[model];
+  if (!source) {
+    throw new Error(`VoxFile: file has no model ${model}`);
+  }
+
+  // Palette index -> block ID, resolved once per index that is used
+  const lookup = new Map();
+  const blockFor = (colorIndex) => {
+    if (lookup.has(colorIndex)) return lookup.get(colorIndex);
+    let id;
+    if (mapping[colorIndex] !== undefined) {
+      id = resolveMapping(mapping[colorIndex], colorIndex);
+    } else if (palette) {
+      id = matchBlockColor(palette[colorIndex - 1]);
+    } else {
+      throw new Error(`VoxFile: file has no palette and index ${colorIndex} is not mapped`);
+    }
+    lookup.set(colorIndex, id);
+    return id;
+  };
+
+  const { size: voxSize, voxels } = source;
+  const size = { x: voxSize.x, y: voxSize.z, z: voxSize.y };
+  const blocks = new Uint8Array(size.x * size.y * size.z);
+
+  for (let i = 0; i < voxels.length; i += 4) {
+    const vx = voxels[i];
+    const vy = voxels[i + 1];
+    const vz = voxels[i + 2];
+    if (vx >= voxSize.x || vy >= voxSize.y || vz >= voxSize.z) continue;
+    blocks[regionIndex(size, vx, vz, voxSize.y - 1 - vy)] = blockFor(voxels[i + 3]);
+  }
+
+  return { size, blocks };
+}
+
+/**
+ * Write a region as a .vox file
+ * @param {{size: {x: number, y: number, z: number}, blocks: Uint8Array}} region
+ * @returns {ArrayBuffer}
+ */
+export function writeVox(region) {
+  const { size } = region;
+  if (size.x > MAX_VOX_SIZE || size.y > MAX_VOX_SIZE || size.z > MAX_VOX_SIZE) {
+    throw new Error(`VoxFile: regions larger than ${MAX_VOX_SIZE} blocks on a side don't fit in a .vox file`);
+  }
+
+  // One palette entry per block type, in order of first appearance
+  const colorIndex = new Map();
+  let count = 0;
+  for (const id of region.blocks) {
+    if (id === BlockTypes.AIR) continue;
+    count++;
+    if (!colorIndex.has(id)) colorIndex.set(id, colorIndex.size + 1);
+  }
+
+  const sizeBytes = 12 + 12;
+  const xyziBytes = 12 + 4 + count * 4;
+  const rgbaBytes = 12 + 256 * 4;
+  const buffer = new ArrayBuffer(8 + 12 + sizeBytes + xyziBytes + rgbaBytes);
+  const view = new DataView(buffer);
+
+  writeId(view, 0, 'VOX ');
+  view.setInt32(4, VOX_VERSION, true);
+  writeId(view, 8, 'MAIN');
+  view.setInt32(12, 0, true);
+  view.setInt32(16, sizeBytes + xyziBytes + rgbaBytes, true);
+
+  let offset = 20;
+  writeId(view, offset, 'SIZE');
+  view.setInt32(offset + 4, 12, true);
+  view.setInt32(offset + 8, 0, true);
+  view.setInt32(offset + 12, size.x, true);
+  view.setInt32(offset + 16, size.z, true);
+  view.setInt32(offset + 20, size.y, true);
+  offset += sizeBytes;
+
+  writeId(view, offset, 'XYZI');
+  view.setInt32(offset + 4, 4 + count * 4, true);
+  view.setInt32(offset + 8, 0, true);
+  view.setInt32(offset + 12, count, true);
+  let at = offset + 16;
+  for (let y = 0; y < size.y; y++) {
+    for (let z = 0; z < size.z; z++) {
+      for (let x = 0; x < size.x; x++) {
+        const id = region.blocks[regionIndex(size, x, y, z)];
+        if (id === BlockTypes.AIR) continue;
+        view.setUint8(at, x);
+        view.setUint8(at + 1, size.z - 1 - z);
+        view.setUint8(at + 2, y);
+        view.setUint8(at + 3, colorIndex.get(id));
+        at += 4;
+      }
+    }
+  }
+  offset += xyziBytes;
+
+  writeId(view, offset, 'RGBA');
+  view.setInt32(offset + 4, 256 * 4, true);
+  view.setInt32(offset + 8, 0, true);
+  for (const [id, index] of colorIndex) {
+    const [r, g, b] = toRgb255(blockRegistry.getColor(id));
+    const entry = offset + 12 + (index - 1) * 4;
+    view.setUint8(entry, r);
+    view.setUint8(entry + 1, g);
+    view.setUint8(entry + 2, b);
+    view.setUint8(entry + 3, 255);
+  }
+
+  return buffer;
+}
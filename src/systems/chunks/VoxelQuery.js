@@ -0,0 +1,278 @@
+/**
+ * VoxelQuery - Ray and spatial queries against the chunk world
+ *
+ * raycast() walks a ray through the voxel grid with a DDA (Amanatides & Woo)
+ * traversal: it visits every voxel the ray passes through, in order, and
+ * reports the first one that matches with the exact distance, entry point
+ * and face normal. hasLineOfSight() is a raycast between two points that
+ * only opaque blocks stop. querySphere() and queryBox() list the blocks
+ * overlapping a volume, and findNearestBlock() finds the closest block of a
+ * type around a point.
+ *
+ * Every query only reads ChunkManager.getBlock, so unloaded chunks read as
+ * air. Positions and distances are world coordinates ({x, y, z} objects,
+ * THREE.Vector3 works); voxel results are voxel coordinates.
+ *
+ * A `match` is a block type, a list or Set of block types, or a
+ * predicate (blockType) => boolean.
+ *
+ * Usage:
+ *   const hit = chunkManager.raycast(camera.position, direction, 12);
+ *   if (hit) console.log(hit.voxel, hit.face, hit.distance);
+ *   chunkManager.hasLineOfSight(enemyEye, playerEye);
+ *   chunkManager.findNearestBlock(position, 16, BlockTypes.CAMPFIRE);
+ */
+
+import { VOXEL_SIZE } from './coordinates.js';
+import { isSolid, isTransparent } from './blockTypes.js';
+
+// Face names by normal, matching the mesher's face names
+const FACES = {
+  '1,0,0': 'east',
+  '-1,0,0': 'west',
+  '0,1,0': 'top',
+  '0,-1,0': 'bottom',
+  '0,0,1': 'north',
+  '0,0,-1': 'south',
+};
+
+/**
+ * Turn a match argument into a predicate
+ * @param {number|number[]|Set<number>|Function} match
+ * @returns {(blockType: number) => boolean}
+ */
+function toPredicate(match) {
+  if (typeof match === 'function') return match;
+  if (match instanceof Set) return (blockType) => match.has(blockType);
+  if (Array.isArray(match)) return (blockType) => match.includes(blockType);
+  return (blockType) => blockType === match;
+}
+
+/**
+ * Whether a block stops sight (solid and not see-through)
+ * @param {number} blockType
+ * @returns {boolean}
+ */
+export function isOpaque(blockType) {
+  return isSolid(blockType) && !isTransparent(blockType);
+}
+
+/**
+ * Face name for a unit axis normal
+ * @param {{x: number, y: number, z: number}} normal
+ * @returns {string}
+ */
+export function faceFromNormal(normal) {
+  return FACES[`${normal.x},${normal.y},${normal.z}`];
+}
+
+/**
+ * World position of a voxel's center
+ * @param {{x: number, y: number, z: number}} voxel
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function voxelCenter(voxel) {
+  return {
+    x: voxel.x * VOXEL_SIZE + VOXEL_SIZE / 2,
+    y: voxel.y * VOXEL_SIZE + VOXEL_SIZE / 2,
+    z: voxel.z * VOXEL_SIZE + VOXEL_SIZE / 2,
+  };
+}
+
+function blockAt(chunkManager, vx, vy, vz) {
+  return chunkManager.getBlock(
+    vx * VOXEL_SIZE + VOXEL_SIZE / 2,
+    vy * VOXEL_SIZE + VOXEL_SIZE / 2,
+    vz * VOXEL_SIZE + VOXEL_SIZE / 2
+  );
+}
+
+/**
+ * Cast a ray through the voxel grid
+ * @param {Object} chunkManager - Anything with getBlock(worldX, worldY, worldZ)
+ * @param {{x: number, y: number, z: number}} origin
+ * @param {{x: number, y: number, z: number}} direction - Need not be normalized
+ * @param {number} maxDistance - World units
+ * @param {Object} [options]
+ * @param {number|number[]|Set<number>|Function} [options.match=isSolid] - Blocks that stop the ray
+ * @param {boolean} [options.skipOrigin=false] - Ignore the voxel the ray starts in
+ * @returns {{blockType: number, voxel: Object, position: Object, distance: number,
+ *   normal: Object, face: string, adjacent: Object | null} | null} The first
+ *   matching voxel: where the ray entered it, the normal of the face it
+ *   entered through, and the voxel it came from (null when the ray started
+ *   inside the block, whose normal then faces back along the ray)
+ */
+export function raycast(chunkManager, origin, direction, maxDistance, options = {}) {
+  const { match = isSolid, skipOrigin = false } = options;
+  const hits = toPredicate(match);
+  const len = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+  if (len === 0) return null;
+  const dx = direction.x / len;
+  const dy = direction.y / len;
+  const dz = direction.z / len;
+
+  let vx = Math.floor(origin.x / VOXEL_SIZE);
+  let vy = Math.floor(origin.y / VOXEL_SIZE);
+  let vz = Math.floor(origin.z / VOXEL_SIZE);
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  const stepZ = Math.sign(dz);
+
+  // Ray distance to the next voxel boundary on each axis, and between boundaries
+  const boundary = (v, step, o, d) => {
+    if (step === 0) return Infinity;
+    const edge = (step > 0 ? v + 1 : v) * VOXEL_SIZE;
+    return (edge - o) / d;
+  };
+  let tMaxX = boundary(vx, stepX, origin.x, dx);
+  let tMaxY = boundary(vy, stepY, origin.y, dy);
+  let tMaxZ = boundary(vz, stepZ, origin.z, dz);
+  const tDeltaX = stepX === 0 ? Infinity : VOXEL_SIZE / Math.abs(dx);
+  const tDeltaY = stepY === 0 ? Infinity : VOXEL_SIZE / Math.abs(dy);
+  const tDeltaZ = stepZ === 0 ? Infinity : VOXEL_SIZE / Math.abs(dz);
+
+  let t = 0;
+  let normal = null;
+  let adjacent = null;
+
+  while (t <= maxDistance) {
+    if (normal || !skipOrigin) {
+      const blockType = blockAt(chunkManager, vx, vy, vz);
+      if (hits(blockType)) {
+        if (!normal) {
+          // Started inside the block: face the way the ray came from
+          const ax = Math.abs(dx);
+          const ay = Math.abs(dy);
+          const az = Math.abs(dz);
+          if (ay >= ax && ay >= az) normal = { x: 0, y: -stepY, z: 0 };
+          else if (ax >= az) normal = { x: -stepX, y: 0, z: 0 };
+          else normal = { x: 0, y: 0, z: -stepZ };
+        }
+        return {
+          blockType,
+          voxel: { x: vx, y: vy, z: vz },
+          position: { x: origin.x + dx * t, y: origin.y + dy * t, z: origin.z + dz * t },
+          distance: t,
+          normal,
+          face: faceFromNormal(normal),
+          adjacent,
+        };
+      }
+    }
+
+    adjacent = { x: vx, y: vy, z: vz };
+    if (tMaxX <= tMaxY && tMaxX <= tMaxZ) {
+      vx += stepX;
+      t = tMaxX;
+      tMaxX += tDeltaX;
+      normal = { x: -stepX, y: 0, z: 0 };
+    } else if (tMaxY <= tMaxZ) {
+      vy += stepY;
+      t = tMaxY;
+      tMaxY += tDeltaY;
+      normal = { x: 0, y: -stepY, z: 0 };
+    } else {
+      vz += stepZ;
+      t = tMaxZ;
+      tMaxZ += tDeltaZ;
+      normal = { x: 0, y: 0, z: -stepZ };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether nothing opaque stands between two points. The voxels the two
+ * points are in don't count, so an entity half inside a block still sees out.
+ * @param {Object} chunkManager - Anything with getBlock(worldX, worldY, worldZ)
+ * @param {{x: number, y: number, z: number}} from
+ * @param {{x: number, y: number, z: number}} to
+ * @param {Object} [options]
+ * @param {number|number[]|Set<number>|Function} [options.match=isOpaque] - Blocks that block sight
+ * @returns {boolean}
+ */
+export function hasLineOfSight(chunkManager, from, to, options = {}) {
+  const { match = isOpaque } = options;
+  const direction = { x: to.x - from.x, y: to.y - from.y, z: to.z - from.z };
+  const distance = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+  if (distance === 0) return true;
+
+  const hit = raycast(chunkManager, from, direction, distance, { match, skipOrigin: true });
+  if (!hit) return true;
+  return hit.voxel.x === Math.floor(to.x / VOXEL_SIZE)
+    && hit.voxel.y === Math.floor(to.y / VOXEL_SIZE)
+    && hit.voxel.z === Math.floor(to.z / VOXEL_SIZE);
+}
+
+/**
+ * Blocks whose voxel overlaps a box
+ * @param {Object} chunkManager - Anything with getBlock(worldX, worldY, worldZ)
+ * @param {{x: number, y: number, z: number}} min - Box corner (world)
+ * @param {{x: number, y: number, z: number}} max - Opposite corner (world)
+ * @param {number|number[]|Set<number>|Function} [match=isSolid]
+ * @returns {Array<{blockType: number, voxel: Object}>}
+ */
+export function queryBox(chunkManager, min, max, match = isSolid) {
+  const hits = toPredicate(match);
+  const results = [];
+  for (let vy = Math.floor(min.y / VOXEL_SIZE); vy <= Math.floor(max.y / VOXEL_SIZE); vy++) {
+    for (let vz = Math.floor(min.z / VOXEL_SIZE); vz <= Math.floor(max.z / VOXEL_SIZE); vz++) {
+      for (let vx = Math.floor(min.x / VOXEL_SIZE); vx <= Math.floor(max.x / VOXEL_SIZE); vx++) {
+        const blockType = blockAt(chunkManager, vx, vy, vz);
+        if (hits(blockType)) results.push({ blockType, voxel: { x: vx, y: vy, z: vz } });
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Blocks whose voxel overlaps a sphere
+ * @param {Object} chunkManager - Anything with getBlock(worldX, worldY, worldZ)
+ * @param {{x: number, y: number, z: number}} center
+ * @param {number} radius - World units
+ * @param {number|number[]|Set<number>|Function} [match=isSolid]
+ * @returns {Array<{blockType: number, voxel: Object}>}
+ */
+export function querySphere(chunkManager, center, radius, match = isSolid) {
+  const min = { x: center.x - radius, y: center.y - radius, z: center.z - radius };
+  const max = { x: center.x + radius, y: center.y + radius, z: center.z + radius };
+
+  // Distance from the center to the closest point of a voxel, on one axis
+  const gap = (v, c) => {
+    const lo = v * VOXEL_SIZE;
+    if (c < lo) return lo - c;
+    if (c > lo + VOXEL_SIZE) return c - lo - VOXEL_SIZE;
+    return 0;
+  };
+
+  return queryBox(chunkManager, min, max, match).filter(({ voxel }) => {
+    const gx = gap(voxel.x, center.x);
+    const gy = gap(voxel.y, center.y);
+    const gz = gap(voxel.z, center.z);
+    return gx * gx + gy * gy + gz * gz <= radius * radius;
+  });
+}
+
+/**
+ * Closest block of a type around a point, measured to voxel centers
+ * @param {Object} chunkManager - Anything with getBlock(worldX, worldY, worldZ)
+ * @param {{x: number, y: number, z: number}} center
+ * @param {number} radius - World units
+ * @param {number|number[]|Set<number>|Function} match
+ * @returns {{blockType: number, voxel: Object, position: Object, distance: number} | null}
+ */
+export function findNearestBlock(chunkManager, center, radius, match) {
+  let nearest = null;
+  for (const { blockType, voxel } of querySphere(chunkManager, center, radius, match)) {
+    const position = voxelCenter(voxel);
+    const distance = Math.sqrt(
+      (position.x - center.x) ** 2 + (position.y - center.y) ** 2 + (position.z - center.z) ** 2
+    );
+    if (distance <= radius && (!nearest || distance < nearest.distance)) {
+      nearest = { blockType, voxel, position, distance };
+    }
+  }
+  return nearest;
+}
@@ -0,0 +1,185 @@
+/**
+ * WorldPregen - Headless world pre-generation and inspection
+ *
+ * Generates every chunk in a disc of columns around a point with the same
+ * generateTerrain() the chunk worker runs, top to bottom of the world. It
+ * needs no DOM, WebGL or workers, so it runs under plain Node
+ * (scripts/pregen-world.js) and in node-environment tests.
+ *
+ * collectWorldStats() sums up a generated world: a block histogram, ore
+ * counts, the structures placed and the rifts the seed opens. To save the
+ * chunks, hand them to WorldBundle.createWorldBundle().
+ *
+ * Usage:
+ *   const world = pregenerateWorld({ seed: 12345, radius: 4 });
+ *   const stats = collectWorldStats(world);
+ */
+
+import { Chunk } from './Chunk.js';
+import { BlockTypes } from './blockTypes.js';
+import { blockRegistry } from './BlockRegistry.js';
+import {
+  CHUNK_SIZE,
+  VOXEL_SIZE,
+  WORLD_MIN_CHUNK_Y,
+  WORLD_MAX_CHUNK_Y,
+  chunkKey,
+  chunkDistanceSq,
+} from './coordinates.js';
+import { generateTerrain } from './generation/terrainGenerator.js';
+import { RiftManager } from '../survival/RiftManager.js';
+import generationConfig from '../../config/terrain/generation.json';
+
+/**
+ * Chunk columns within a radius, nearest first
+ * @param {number} radius - In chunks
+ * @param {number} [centerX=0] - Center chunk X
+ * @param {number} [centerZ=0] - Center chunk Z
+ * @returns {Array<{chunkX: number, chunkZ: number}>}
+ */
+export function getPregenColumns(radius, centerX = 0, centerZ = 0) {
+  const columns = [];
+  for (let chunkX = centerX - radius; chunkX <= centerX + radius; chunkX++) {
+    for (let chunkZ = centerZ - radius; chunkZ <= centerZ + radius; chunkZ++) {
+      if (chunkDistanceSq(chunkX, chunkZ, centerX, centerZ) <= radius * radius) {
+        columns.push({ chunkX, chunkZ });
+      }
+    }
+  }
+  return columns.sort((a, b) =>
+    chunkDistanceSq(a.chunkX, a.chunkZ, centerX, centerZ) - chunkDistanceSq(b.chunkX, b.chunkZ, centerX, centerZ)
+  );
+}
+
+/**
+ * Generate the world around a center column
+ * @param {Object} options
+ * @param {number} options.seed
+ * @param {number} options.radius - In chunks
+ * @param {number} [options.centerX=0] - Center chunk X
+ * @param {number} [options.centerZ=0] - Center chunk Z
+ * @param {Function} [options.onProgress] - (columnsDone, columnsTotal) after each column
+ * @returns {{seed: number, radius: number, centerX: number, centerZ: number,
+ *   chunks: Chunk[], structures: Object[], spawn: number[]}} spawn is a world
+ *   position just above the surface at the middle of the center column
+ */
+export function pregenerateWorld({ seed, radius, centerX = 0, centerZ = 0, onProgress }) {
+  if (!Number.isInteger(seed)) {
+    throw new Error(`WorldPregen: seed must be an integer, got ${seed}`);
+  }
+  if (!Number.isInteger(radius) || radius < 0) {
+    throw new Error(`WorldPregen: radius must be a whole number of chunks, got ${radius}`);
+  }
+
+  const columns = getPregenColumns(radius, centerX, centerZ);
+  const chunks = [];
+  const structures = [];
+
+  columns.forEach(({ chunkX, chunkZ }, i) => {
+    for (let chunkY = WORLD_MIN_CHUNK_Y; chunkY <= WORLD_MAX_CHUNK_Y; chunkY++) {
+      const result = generateTerrain({ chunkX, chunkY, chunkZ, seed });
+      const chunk = new Chunk(chunkX, chunkY, chunkZ);
+      chunk.blocks = result.blocks;
+      chunk.rebuildHeightMap();
+      chunks.push(chunk);
+      structures.push(...result.structures);
+    }
+    if (onProgress) onProgress(i + 1, columns.length);
+  });
+
+  return {
+    seed,
+    radius,
+    centerX,
+    centerZ,
+    chunks,
+    structures,
+    spawn: findSpawn(chunks, centerX, centerZ),
+  };
+}
+
+/**
+ * World position one voxel above the highest solid block at the middle of a column
+ */
+function findSpawn(chunks, chunkX, chunkZ) {
+  const local = CHUNK_SIZE / 2;
+  const byKey = new Map(chunks.map((chunk) => [chunk.key, chunk]));
+  let top = WORLD_MIN_CHUNK_Y * CHUNK_SIZE;
+
+  for (let chunkY = WORLD_MAX_CHUNK_Y; chunkY >= WORLD_MIN_CHUNK_Y; chunkY--) {
+    const chunk = byKey.get(chunkKey(chunkX, chunkY, chunkZ));
+    const y = chunk ? findTopSolid(chunk, local, local) : -1;
+    if (y >= 0) {
+      top = chunkY * CHUNK_SIZE + y;
+      break;
+    }
+  }
+
+  return [
+    (chunkX * CHUNK_SIZE + local + 0.5) * VOXEL_SIZE,
+    (top + 2) * VOXEL_SIZE,
+    (chunkZ * CHUNK_SIZE + local + 0.5) * VOXEL_SIZE,
+  ];
+}
+
+function findTopSolid(chunk, x, z) {
+  for (let y = CHUNK_SIZE - 1; y >= 0; y--) {
+    if (blockRegistry.isSolid(chunk.getBlock(x, y, z))) return y;
+  }
+  return -1;
+}
+
+/**
+ * Summarise a generated world
+ * @param {Object} world - From pregenerateWorld()
+ * @returns {{seed: number, radius: number, center: {chunkX: number, chunkZ: number},
+ *   columns: number, chunks: number, blocks: Object<string, number>,
+ *   ores: Object<string, number>, structures: Object[], rifts: Object[],
+ *   spawn: number[]}} blocks counts every block type present by key, most
+ *   common first; ores counts each ore in generation.json, found or not.
+ *   Structure positions are voxels, rift and spawn positions world units.
+ */
+export function collectWorldStats(world) {
+  const histogram = new Uint32Array(256);
+  for (const chunk of world.chunks) {
+    for (const blockType of chunk.blocks) histogram[blockType]++;
+  }
+
+  const blocks = {};
+  Array.from(histogram.keys())
+    .filter((blockType) => histogram[blockType] > 0)
+    .sort((a, b) => histogram[b] - histogram[a])
+    .forEach((blockType) => {
+      blocks[blockRegistry.get(blockType)?.key ?? `#${blockType}`] = histogram[blockType];
+    });
+
+  const ores = {};
+  for (const ore of generationConfig.ores) {
+    ores[ore.block] = histogram[BlockTypes[ore.block]];
+  }
+
+  return {
+    seed: world.seed,
+    radius: world.radius,
+    center: { chunkX: world.centerX, chunkZ: world.centerZ },
+    columns: world.chunks.length / (WORLD_MAX_CHUNK_Y - WORLD_MIN_CHUNK_Y + 1),
+    chunks: world.chunks.length,
+    blocks,
+    ores,
+    structures: world.structures.map((s) => ({
+      id: s.id,
+      templateId: s.templateId,
+      x: s.position.x,
+      z: s.position.z,
+      baseY: s.baseY,
+    })),
+    rifts: new RiftManager(world.seed).getRiftPositions(),
+    spawn: world.spawn,
+  };
+}
+
+export default {
+  getPregenColumns,
+  pregenerateWorld,
+  collectWorldStats,
+};
@@ -0,0 +1,240 @@
+import { AreaEditor, transformRegion, getEditCost, regionIndex } from '../AreaEditor';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE } from '../coordinates';
+import SandboxMode from '../../SandboxMode';
+
+// One chunk with a stone floor at voxel y=0
+function makeWorld() {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  for (let lx = 0; lx < 16; lx++) {
+    for (let lz = 0; lz < 16; lz++) chunk.setBlock(lx, 0, lz, BlockTypes.STONE);
+  }
+  manager.chunks.set(chunk.key, chunk);
+  manager.updateNeighbors(chunk);
+  manager.lightEngine.lightChunk(chunk);
+  return manager;
+}
+
+const block = (manager, x, y, z) => manager.getBlock(x * VOXEL_SIZE, y * VOXEL_SIZE, z * VOXEL_SIZE);
+
+function select(editor, a, b) {
+  editor.setCorner(0, a);
+  editor.setCorner(1, b);
+}
+
+describe('AreaEditor', () => {
+  let manager;
+  let editor;
+
+  beforeEach(() => {
+    manager = makeWorld();
+    // Keep sand and planks where they are put
+    manager.blockPhysics.caveIns.enabled = false;
+    editor = new AreaEditor(manager);
+  });
+
+  it('fills a selection, whichever order its corners were picked in', () => {
+    select(editor, { x: 5, y: 3, z: 6 }, { x: 3, y: 1, z: 4 });
+    expect(editor.getSelection().size).toEqual({ x: 3, y: 3, z: 3 });
+
+    const result = editor.fill(BlockTypes.STONE_BRICK);
+    expect(result).toEqual({ success: true, reason: null, blocks: 27 });
+    expect(block(manager, 3, 1, 4)).toBe(BlockTypes.AIR);
+
+    editor.update();
+    expect(block(manager, 3, 1, 4)).toBe(BlockTypes.STONE_BRICK);
+    expect(block(manager, 5, 3, 6)).toBe(BlockTypes.STONE_BRICK);
+    expect(block(manager, 6, 3, 6)).toBe(BlockTypes.AIR);
+  });
+
+  it('applies large edits in batches', () => {
+    editor.blocksPerUpdate = 10;
+    select(editor, { x: 2, y: 1, z: 2 }, { x: 4, y: 3, z: 4 });
+    editor.fill(BlockTypes.COBBLESTONE);
+
+    expect(editor.update()).toBe(10);
+    expect(editor.getPendingCount()).toBe(17);
+    editor.update();
+    editor.update();
+    expect(editor.getPendingCount()).toBe(0);
+    expect(block(manager, 4, 3, 4)).toBe(BlockTypes.COBBLESTONE);
+  });
+
+  it('hollows a selection into a shell', () => {
+    select(editor, { x: 2, y: 1, z: 2 }, { x: 6, y: 5, z: 6 });
+    editor.fill(BlockTypes.STONE_BRICK);
+    editor.hollow(BlockTypes.BRICK);
+    editor.flush();
+
+    expect(block(manager, 2, 3, 4)).toBe(BlockTypes.BRICK);
+    expect(block(manager, 4, 5, 4)).toBe(BlockTypes.BRICK);
+    expect(block(manager, 4, 3, 4)).toBe(BlockTypes.AIR);
+    expect(block(manager, 3, 2, 5)).toBe(BlockTypes.AIR);
+  });
+
+  it('replaces one block type and leaves the rest', () => {
+    select(editor, { x: 2, y: 0, z: 2 }, { x: 5, y: 1, z: 5 });
+    editor.replace(BlockTypes.STONE, BlockTypes.COBBLESTONE);
+    editor.flush();
+
+    expect(block(manager, 3, 0, 3)).toBe(BlockTypes.COBBLESTONE);
+    expect(block(manager, 3, 1, 3)).toBe(BlockTypes.AIR);
+    expect(block(manager, 6, 0, 3)).toBe(BlockTypes.STONE);
+  });
+
+  it('never touches bedrock', () => {
+    manager.setBlock(3 * VOXEL_SIZE, VOXEL_SIZE, 3 * VOXEL_SIZE, BlockTypes.BEDROCK);
+    select(editor, { x: 3, y: 1, z: 3 }, { x: 4, y: 1, z: 3 });
+    expect(editor.fill(BlockTypes.AIR).blocks).toBe(0);
+    editor.fill(BlockTypes.STONE_BRICK);
+    editor.flush();
+
+    expect(block(manager, 3, 1, 3)).toBe(BlockTypes.BEDROCK);
+    expect(block(manager, 4, 1, 3)).toBe(BlockTypes.STONE_BRICK);
+  });
+
+  it('copies and pastes a region, rotated', () => {
+    // An L of planks: two along X, one along Z
+    manager.setBlock(2 * VOXEL_SIZE, VOXEL_SIZE, 2 * VOXEL_SIZE, BlockTypes.WOOD_PLANK);
+    manager.setBlock(3 * VOXEL_SIZE, VOXEL_SIZE, 2 * VOXEL_SIZE, BlockTypes.WOOD_PLANK);
+    manager.setBlock(2 * VOXEL_SIZE, VOXEL_SIZE, 3 * VOXEL_SIZE, BlockTypes.BRICK);
+    select(editor, { x: 2, y: 1, z: 2 }, { x: 3, y: 1, z: 3 });
+    editor.copy();
+
+    editor.paste({ x: 8, y: 1, z: 8 }, { rotation: 90 });
+    editor.flush();
+
+    // +X turns toward +Z: the planks now run along Z, the brick sits on the -X side
+    expect(block(manager, 9, 1, 8)).toBe(BlockTypes.WOOD_PLANK);
+    expect(block(manager, 9, 1, 9)).toBe(BlockTypes.WOOD_PLANK);
+    expect(block(manager, 8, 1, 8)).toBe(BlockTypes.BRICK);
+    expect(block(manager, 8, 1, 9)).toBe(BlockTypes.AIR);
+  });
+
+  it('undoes and redoes edits', () => {
+    select(editor, { x: 2, y: 1, z: 2 }, { x: 3, y: 2, z: 3 });
+    editor.fill(BlockTypes.COBBLESTONE);
+    editor.fill(BlockTypes.BRICK);
+
+    expect(editor.undo()).toBe(true);
+    expect(block(manager, 2, 1, 2)).toBe(BlockTypes.COBBLESTONE);
+    expect(editor.undo()).toBe(true);
+    expect(block(manager, 2, 1, 2)).toBe(BlockTypes.AIR);
+    expect(editor.undo()).toBe(false);
+
+    expect(editor.redo()).toBe(true);
+    expect(block(manager, 3, 2, 3)).toBe(BlockTypes.COBBLESTONE);
+    editor.fill(BlockTypes.STONE_BRICK);
+    expect(editor.canRedo()).toBe(false);
+  });
+
+  it('edits nothing while a co-op server owns the terrain', () => {
+    select(editor, { x: 2, y: 1, z: 2 }, { x: 3, y: 1, z: 3 });
+    editor.fill(BlockTypes.COBBLESTONE);
+    manager.chunkSource = {};
+
+    expect(editor.fill(BlockTypes.BRICK)).toEqual({ success: false, reason: 'No area edits on a co-op server', blocks: 0 });
+    expect(editor.undo()).toBe(false);
+    expect(editor.canUndo()).toBe(true);
+    expect(block(manager, 2, 1, 2)).toBe(BlockTypes.COBBLESTONE);
+  });
+
+  describe('costs', () => {
+    let materials;
+
+    beforeEach(() => {
+      materials = { stone: 10, wood: 0 };
+      editor = new AreaEditor(manager, {
+        getMaterials: () => materials,
+        spendMaterials: (costs) => {
+          for (const [m, n] of Object.entries(costs)) materials[m] -= n;
+        },
+        refundMaterials: (costs) => {
+          for (const [m, n] of Object.entries(costs)) materials[m] = (materials[m] || 0) + n;
+        },
+        sandbox: new SandboxMode(),
+      });
+    });
+
+    it('spends the materials of placed blocks', () => {
+      select(editor, { x: 2, y: 1, z: 2 }, { x: 4, y: 1, z: 4 });
+      expect(editor.fill(BlockTypes.STONE).success).toBe(true);
+      expect(materials.stone).toBe(1);
+
+      const result = editor.fill(BlockTypes.WOOD_PLANK);
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('Not enough materials');
+    });
+
+    it('refunds removed blocks and undone edits', () => {
+      select(editor, { x: 2, y: 1, z: 2 }, { x: 3, y: 1, z: 3 });
+      editor.fill(BlockTypes.STONE);
+      expect(materials.stone).toBe(6);
+
+      editor.undo();
+      expect(materials.stone).toBe(10);
+      editor.redo();
+      expect(materials.stone).toBe(6);
+
+      editor.fill(BlockTypes.AIR);
+      editor.flush();
+      expect(materials.stone).toBe(10);
+    });
+
+    it('only undoes a clear while the player can pay for the blocks again', () => {
+      select(editor, { x: 2, y: 1, z: 2 }, { x: 3, y: 1, z: 3 });
+      editor.fill(BlockTypes.STONE);
+      editor.fill(BlockTypes.AIR);
+      editor.flush();
+      materials.stone = 3;
+
+      expect(editor.undo()).toBe(false);
+      expect(materials.stone).toBe(3);
+      expect(editor.canUndo()).toBe(true);
+      materials.stone = 4;
+      expect(editor.undo()).toBe(true);
+      expect(materials.stone).toBe(0);
+    });
+
+    it('is free in sandbox mode', () => {
+      editor.sandbox.activate();
+      select(editor, { x: 2, y: 1, z: 2 }, { x: 4, y: 2, z: 4 });
+      expect(editor.fill(BlockTypes.WOOD_PLANK).success).toBe(true);
+      expect(materials.wood).toBe(0);
+    });
+
+    it('prices a list of changes', () => {
+      expect(getEditCost([
+        { before: BlockTypes.AIR, after: BlockTypes.STONE },
+        { before: BlockTypes.DIRT, after: BlockTypes.STONE },
+        { before: BlockTypes.STONE, after: BlockTypes.AIR },
+      ])).toEqual({ stone: 1, dirt: -1 });
+    });
+  });
+
+  describe('transformRegion', () => {
+    const size = { x: 3, y: 1, z: 2 };
+    const region = { size, blocks: Uint8Array.from([1, 2, 3, 4, 5, 6]) };
+
+    it('mirrors along X', () => {
+      const mirrored = transformRegion(region, { mirrorX: true });
+      expect(Array.from(mirrored.blocks)).toEqual([3, 2, 1, 6, 5, 4]);
+    });
+
+    it('swaps the footprint on quarter turns and round-trips after four', () => {
+      const turned = transformRegion(region, { rotation: 90 });
+      expect(turned.size).toEqual({ x: 2, y: 1, z: 3 });
+      expect(turned.blocks[regionIndex(turned.size, 1, 0, 0)]).toBe(1);
+
+      let back = region;
+      for (let i = 0; i < 4; i++) back = transformRegion(back, { rotation: 90 });
+      expect(back.size).toEqual(size);
+      expect(Array.from(back.blocks)).toEqual(Array.from(region.blocks));
+      expect(Array.from(transformRegion(region, { rotation: -90 }).blocks))
+        .toEqual(Array.from(transformRegion(region, { rotation: 270 }).blocks));
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { BlockPhysics, getCaveInDamage } from '../BlockPhysics';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE } from '../coordinates';
+
+// Voxel coordinate -> world coordinate
+const w = (v) => v * VOXEL_SIZE;
+
+// One chunk with a stone floor at voxel y=0; fill(chunk) adds more before lighting
+function makeWorld(fill = () => {}) {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  for (let lx = 0; lx < 16; lx++) {
+    for (let lz = 0; lz < 16; lz++) chunk.setBlock(lx, 0, lz, BlockTypes.STONE);
+  }
+  fill(chunk);
+  manager.chunks.set(chunk.key, chunk);
+  manager.updateNeighbors(chunk);
+  manager.lightEngine.lightChunk(chunk);
+  return manager;
+}
+
+function run(physics, ticks) {
+  for (let i = 0; i < ticks; i++) physics.tick();
+}
+
+const block = (manager, x, y, z) => manager.getBlock(w(x), w(y), w(z));
+const place = (manager, x, y, z, blockType) => manager.setBlock(w(x), w(y), w(z), blockType);
+
+function plantTree(manager) {
+  for (let y = 1; y <= 4; y++) place(manager, 8, y, 8, BlockTypes.WOOD);
+  for (let x = 7; x <= 9; x++) {
+    for (let z = 7; z <= 9; z++) place(manager, x, 5, z, BlockTypes.LEAVES);
+  }
+  place(manager, 8, 6, 8, BlockTypes.LEAVES);
+}
+
+describe('BlockPhysics', () => {
+  let manager;
+  let physics;
+
+  beforeEach(() => {
+    manager = makeWorld();
+    physics = manager.blockPhysics;
+    physics.caveIns.enabled = false;
+  });
+
+  it('is created and ticked by ChunkManager', () => {
+    expect(physics).toBeInstanceOf(BlockPhysics);
+    place(manager, 8, 5, 8, BlockTypes.SAND);
+    manager.update(1);
+    expect(physics.stats.blocksFallen).toBeGreaterThan(0);
+  });
+
+  it('drops sand and gravel until they land', () => {
+    place(manager, 8, 6, 8, BlockTypes.SAND);
+    place(manager, 8, 9, 8, BlockTypes.GRAVEL);
+    run(physics, 12);
+
+    expect(block(manager, 8, 1, 8)).toBe(BlockTypes.SAND);
+    expect(block(manager, 8, 2, 8)).toBe(BlockTypes.GRAVEL);
+    expect(block(manager, 8, 6, 8)).toBe(BlockTypes.AIR);
+    expect(physics.getStats().pendingChecks).toBe(0);
+  });
+
+  it('lets sand crush plants', () => {
+    place(manager, 5, 1, 5, BlockTypes.TALL_GRASS);
+    place(manager, 5, 4, 5, BlockTypes.SAND);
+    run(physics, 6);
+    expect(block(manager, 5, 1, 5)).toBe(BlockTypes.SAND);
+  });
+
+  it('collapses blocks built out past the cantilever limit', () => {
+    for (let y = 1; y <= 3; y++) place(manager, 4, y, 8, BlockTypes.WOOD_PLANK);
+    for (let x = 5; x <= 8; x++) place(manager, x, 3, 8, BlockTypes.WOOD_PLANK);
+    run(physics, 8);
+
+    expect(block(manager, 7, 3, 8)).toBe(BlockTypes.WOOD_PLANK);
+    expect(block(manager, 8, 3, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 8, 1, 8)).toBe(BlockTypes.WOOD_PLANK);
+    expect(physics.stats.blocksCollapsed).toBe(1);
+  });
+
+  it('brings a structure down when its pillar is knocked out', () => {
+    for (let y = 1; y <= 3; y++) place(manager, 4, y, 8, BlockTypes.STONE_BRICK);
+    for (let x = 5; x <= 6; x++) place(manager, x, 3, 8, BlockTypes.STONE_BRICK);
+    run(physics, 4);
+    expect(block(manager, 6, 3, 8)).toBe(BlockTypes.STONE_BRICK);
+
+    place(manager, 4, 1, 8, BlockTypes.AIR);
+    run(physics, 20);
+
+    for (let x = 4; x <= 6; x++) expect(block(manager, x, 3, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 4, 1, 8)).toBe(BlockTypes.STONE_BRICK);
+    expect(physics.getStats().fallingBlocks).toBe(0);
+  });
+
+  it('keeps the leaves on a standing tree', () => {
+    plantTree(manager);
+    run(physics, 10);
+    expect(block(manager, 7, 5, 7)).toBe(BlockTypes.LEAVES);
+    expect(block(manager, 8, 6, 8)).toBe(BlockTypes.LEAVES);
+    expect(physics.stats.blocksCollapsed).toBe(0);
+  });
+
+  it('fells a cut tree and breaks its leaves', () => {
+    plantTree(manager);
+    run(physics, 10);
+
+    place(manager, 8, 1, 8, BlockTypes.AIR);
+    run(physics, 30);
+
+    expect(block(manager, 8, 1, 8)).toBe(BlockTypes.WOOD);
+    expect(block(manager, 8, 3, 8)).toBe(BlockTypes.WOOD);
+    expect(block(manager, 8, 4, 8)).toBe(BlockTypes.AIR);
+    for (let x = 7; x <= 9; x++) {
+      for (let z = 7; z <= 9; z++) expect(block(manager, x, 5, z)).toBe(BlockTypes.AIR);
+    }
+    expect(block(manager, 8, 6, 8)).toBe(BlockTypes.AIR);
+  });
+
+  describe('cave-ins', () => {
+    const onCaveIn = vi.fn();
+
+    beforeEach(() => {
+      // Solid rock from y=1 to y=6, with a tunnel dug along x at y=2
+      manager = makeWorld((chunk) => {
+        for (let x = 1; x <= 14; x++) {
+          for (let z = 1; z <= 14; z++) {
+            for (let y = 1; y <= 6; y++) chunk.setBlock(x, y, z, BlockTypes.STONE);
+          }
+        }
+      });
+      physics = manager.blockPhysics;
+      physics.onCaveIn = onCaveIn;
+      onCaveIn.mockClear();
+
+      // Dig without caving anything in
+      vi.spyOn(Math, 'random').mockReturnValue(1);
+      for (let x = 3; x <= 10; x++) place(manager, x, 2, 8, BlockTypes.AIR);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('caves in a long unsupported tunnel', () => {
+      Math.random.mockReturnValue(0);
+      place(manager, 11, 2, 8, BlockTypes.AIR);
+
+      expect(onCaveIn).toHaveBeenCalledTimes(1);
+      const event = onCaveIn.mock.calls[0][0];
+      expect(event.damage).toBeGreaterThan(0);
+      expect(event.blocks.every(({ y }) => y > event.origin.y)).toBe(true);
+
+      run(physics, 10);
+      const { x, y, z } = event.origin;
+      expect(block(manager, x, y, z)).toBe(BlockTypes.STONE);
+      expect(physics.getStats().fallingBlocks).toBe(0);
+    });
+
+    it('holds a tunnel shored up with planks', () => {
+      for (const x of [4, 6, 8, 10]) {
+        place(manager, x, 1, 8, BlockTypes.WOOD_PLANK);
+      }
+      Math.random.mockReturnValue(0);
+      place(manager, 11, 2, 8, BlockTypes.AIR);
+
+      expect(onCaveIn).not.toHaveBeenCalled();
+    });
+
+    it('never caves in from its own falling blocks', () => {
+      Math.random.mockReturnValue(0);
+      place(manager, 8, 4, 3, BlockTypes.SAND);
+      place(manager, 8, 3, 3, BlockTypes.AIR);
+      onCaveIn.mockClear();
+
+      run(physics, 5);
+      expect(block(manager, 8, 3, 3)).toBe(BlockTypes.SAND);
+      expect(onCaveIn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCaveInDamage', () => {
+    const event = {
+      origin: { x: 10, y: 2, z: 8 },
+      blocks: [{ x: 10, y: 3, z: 8 }, { x: 11, y: 4, z: 8 }],
+      damage: 15,
+    };
+
+    it('hurts anything in or beside the falling columns', () => {
+      expect(getCaveInDamage(event, w(10), w(2), w(8))).toBe(15);
+      expect(getCaveInDamage(event, w(12) + 1, w(2), w(9))).toBe(15);
+    });
+
+    it('spares anything out of reach', () => {
+      expect(getCaveInDamage(event, w(14), w(2), w(8))).toBe(0);
+      expect(getCaveInDamage(event, w(10), w(5), w(8))).toBe(0);
+      expect(getCaveInDamage(event, w(10), w(-10), w(8))).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { BlockRegistry, blockRegistry } from '../BlockRegistry';
+import { BlockTypes, BlockProperties, CORRUPTION_REVERSE } from '../blockTypes';
+import { BlockType, BLOCK_PROPERTIES } from '../../../modules/voxel/BlockTypes';
+import { BLOCK_DROPS } from '../../../data/blockDrops';
+import { TOOL_TIER, APPLE_DROP_CHANCE } from '../../../data/tuning';
+
+describe('BlockRegistry', () => {
+  describe('shared registry', () => {
+    it('keeps the live world IDs stable', () => {
+      expect(blockRegistry.getId('AIR')).toBe(0);
+      expect(blockRegistry.getId('STONE')).toBe(1);
+      expect(blockRegistry.getId('GRASS')).toBe(3);
+      expect(blockRegistry.getId('DEAD_WOOD')).toBe(21);
+    });
+
+    it('fits every ID in a Uint8Array', () => {
+      for (const def of blockRegistry.getAll()) {
+        expect(def.id).toBeGreaterThanOrEqual(0);
+        expect(def.id).toBeLessThanOrEqual(255);
+      }
+    });
+
+    it('resolves aliases to the same block', () => {
+      expect(blockRegistry.getId('WOOD_LOG')).toBe(blockRegistry.getId('WOOD'));
+      expect(blockRegistry.getByKey('WOOD_LOG').key).toBe('WOOD');
+    });
+
+    it('stores unbreakable hardness as Infinity', () => {
+      expect(blockRegistry.getHardness(BlockTypes.BEDROCK)).toBe(Infinity);
+    });
+
+    it('returns fallbacks for unknown IDs', () => {
+      expect(blockRegistry.get(200)).toBeNull();
+      expect(blockRegistry.isSolid(200)).toBe(false);
+      expect(blockRegistry.isTransparent(200)).toBe(true);
+      expect(blockRegistry.getColor(200)).toEqual([1, 0, 1]);
+      expect(blockRegistry.getPhysics(200)).toBeNull();
+    });
+
+    it('reports block physics', () => {
+      expect(blockRegistry.getPhysics(BlockTypes.SAND)).toBe('gravity');
+      expect(blockRegistry.getPhysics(BlockTypes.WOOD_PLANK)).toBe('supported');
+      expect(blockRegistry.getPhysics(BlockTypes.LEAVES)).toBe('fragile');
+      expect(blockRegistry.getPhysics(BlockTypes.STONE)).toBeNull();
+    });
+  });
+
+  describe('consumers', () => {
+    it('gives chunk and voxel-building enums the same IDs', () => {
+      expect(BlockType.STONE).toBe(BlockTypes.STONE);
+      expect(BlockType.DIRT).toBe(BlockTypes.DIRT);
+      expect(BlockType.CAMPFIRE).toBe(BlockTypes.CAMPFIRE);
+      expect(BlockType.WATER).toBe(BlockTypes.WATER);
+    });
+
+    it('exposes one property table to both modules', () => {
+      expect(BLOCK_PROPERTIES[BlockTypes.STONE]).toBe(BlockProperties[BlockTypes.STONE]);
+    });
+
+    it('derives purification targets from data', () => {
+      expect(CORRUPTION_REVERSE[BlockTypes.CORRUPTED_STONE]).toBe(BlockTypes.STONE);
+      expect(CORRUPTION_REVERSE[BlockTypes.DEAD_WOOD]).toBe(BlockTypes.WOOD);
+    });
+
+    it('resolves tier names and tuned chances in drop tables', () => {
+      expect(BLOCK_DROPS[BlockTypes.IRON_ORE].requiresTier).toBe(TOOL_TIER.IRON);
+      expect(BLOCK_DROPS[BlockTypes.LEAVES].bonus.chance).toBe(APPLE_DROP_CHANCE);
+    });
+  });
+
+  describe('legacy voxel IDs', () => {
+    it('translates old voxel-building IDs to registry IDs', () => {
+      expect(blockRegistry.fromLegacyVoxelId(3)).toBe(BlockTypes.STONE);
+      expect(blockRegistry.fromLegacyVoxelId(31)).toBe(BlockTypes.WOOD);
+      expect(blockRegistry.fromLegacyVoxelId(96)).toBe(BlockTypes.WATER);
+    });
+
+    it('round-trips through toLegacyVoxelId', () => {
+      expect(blockRegistry.toLegacyVoxelId(BlockType.COBBLESTONE)).toBe(41);
+      expect(blockRegistry.fromLegacyVoxelId(41)).toBe(BlockType.COBBLESTONE);
+    });
+
+    it('maps unknown legacy IDs to INVALID', () => {
+      expect(blockRegistry.fromLegacyVoxelId(200)).toBe(BlockTypes.INVALID);
+    });
+
+    it('translates block arrays in place', () => {
+      const blocks = new Uint8Array([0, 1, 3, 98]);
+      blockRegistry.translateLegacyBlocks(blocks);
+      expect(Array.from(blocks)).toEqual([
+        BlockTypes.AIR, BlockTypes.DIRT, BlockTypes.STONE, BlockTypes.LEAVES,
+      ]);
+    });
+  });
+
+  describe('worker table', () => {
+    it('includes IDs, colors and transparent blocks', () => {
+      const table = blockRegistry.toWorkerTable();
+      expect(table.ids.STONE).toBe(BlockTypes.STONE);
+      expect(table.colors[BlockTypes.GRASS]).toEqual(BlockProperties[BlockTypes.GRASS].color);
+      expect(table.transparent).toContain(BlockTypes.WATER);
+      expect(table.transparent).not.toContain(BlockTypes.STONE);
+    });
+
+    it('groups source and flowing fluid blocks by kind', () => {
+      const table = blockRegistry.toWorkerTable();
+      expect(table.fluids[BlockTypes.WATER]).toBe('water');
+      expect(table.fluids[BlockTypes.WATER_FLOWING]).toBe('water');
+      expect(table.fluids[BlockTypes.LAVA_FLOWING]).toBe('lava');
+      expect(table.fluids[BlockTypes.STONE]).toBeUndefined();
+    });
+
+    it('lists the state kind of stateful blocks', () => {
+      const table = blockRegistry.toWorkerTable();
+      expect(table.states[BlockTypes.WOOD_DOOR]).toBe('door');
+      expect(table.states[BlockTypes.WOOD]).toBe('log');
+      expect(table.states[BlockTypes.STONE]).toBeUndefined();
+    });
+  });
+
+  describe('validation', () => {
+    it('rejects duplicate IDs', () => {
+      expect(() => new BlockRegistry({
+        version: 1,
+        blocks: [{ id: 1, key: 'A' }, { id: 1, key: 'B' }],
+      })).toThrow(/duplicate/);
+    });
+
+    it('rejects IDs that do not fit in a byte', () => {
+      expect(() => new BlockRegistry({
+        version: 1,
+        blocks: [{ id: 300, key: 'BIG' }],
+      })).toThrow(/Uint8Array/);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { Chunk, ChunkState } from '../Chunk';
+import { Chunk, ChunkState, LEGACY_COLUMN_HEIGHT } from '../Chunk';
 import { BlockTypes } from '../blockTypes';
 import { CHUNK_SIZE, CHUNK_SIZE_Y, CHUNK_SIZE_CUBED, CHUNK_SIZE_SQ } from '../coordinates';
 
@@ -6,17 +6,18 @@ describe('Chunk', () => {
   let chunk;
 
   beforeEach(() => {
-    chunk = new Chunk(3, -2);
+    chunk = new Chunk(3, 1, -2);
   });
 
   describe('constructor', () => {
     it('sets chunk coordinates', () => {
       expect(chunk.x).toBe(3);
+      expect(chunk.y).toBe(1);
       expect(chunk.z).toBe(-2);
     });
 
     it('creates unique key', () => {
-      expect(chunk.key).toBe('3,-2');
+      expect(chunk.key).toBe('3,1,-2');
     });
 
     it('initializes blocks array with correct size', () => {
@@ -169,6 +170,7 @@ describe('Chunk', () => {
     it('serializes to JSON-compatible object', () => {
       const data = chunk.serialize();
       expect(data.x).toBe(3);
+      expect(data.y).toBe(1);
       expect(data.z).toBe(-2);
       expect(Array.isArray(data.blocks)).toBe(true);
       expect(data.blocks.length).toBe(CHUNK_SIZE_CUBED);
@@ -178,6 +180,7 @@ describe('Chunk', () => {
       const data = chunk.serialize();
       const restored = Chunk.deserialize(data);
       expect(restored.x).toBe(3);
+      expect(restored.y).toBe(1);
       expect(restored.z).toBe(-2);
       expect(restored.getBlock(5, 10, 3)).toBe(BlockTypes.STONE);
       expect(restored.getBlock(0, 0, 0)).toBe(BlockTypes.BEDROCK);
@@ -187,18 +190,107 @@ describe('Chunk', () => {
     it('serializes to binary format', () => {
       const buffer = chunk.serializeBinary();
       expect(buffer).toBeInstanceOf(ArrayBuffer);
-      // 8 bytes header + 4096 blocks + 256 heightmap
-      expect(buffer.byteLength).toBe(8 + CHUNK_SIZE_CUBED + CHUNK_SIZE_SQ);
+      // 12 bytes header + 4096 blocks + 256 heightmap
+      expect(buffer.byteLength).toBe(12 + CHUNK_SIZE_CUBED + CHUNK_SIZE_SQ);
     });
 
     it('round-trips through binary serialization', () => {
       const buffer = chunk.serializeBinary();
       const restored = Chunk.deserializeBinary(buffer);
       expect(restored.x).toBe(3);
+      expect(restored.y).toBe(1);
       expect(restored.z).toBe(-2);
       expect(restored.getBlock(5, 10, 3)).toBe(BlockTypes.STONE);
       expect(restored.getBlock(0, 0, 0)).toBe(BlockTypes.BEDROCK);
     });
+
+    it('does not mistake stacked chunks for legacy columns', () => {
+      expect(Chunk.isLegacyColumnBinary(chunk.serializeBinary())).toBe(false);
+    });
+  });
+
+  describe('block states', () => {
+    beforeEach(() => {
+      chunk.setBlock(2, 3, 4, BlockTypes.WOOD_DOOR);
+      chunk.setBlockState(2, 3, 4, { facing: 1, open: true });
+    });
+
+    it('stores state per block', () => {
+      expect(chunk.getBlockState(2, 3, 4)).toEqual({ facing: 1, open: true });
+      expect(chunk.getBlockState(2, 4, 4)).toBeNull();
+    });
+
+    it('drops the state when the block is replaced', () => {
+      chunk.setBlock(2, 3, 4, BlockTypes.STONE);
+      expect(chunk.getBlockState(2, 3, 4)).toBeNull();
+    });
+
+    it('marks the mesh dirty only when the drawn state changes', () => {
+      chunk.meshDirty = false;
+      chunk.setBlockState(2, 3, 4, { facing: 1, open: true, note: 'x' });
+      expect(chunk.meshDirty).toBe(false);
+      chunk.setBlockState(2, 3, 4, { facing: 1, open: false });
+      expect(chunk.meshDirty).toBe(true);
+    });
+
+    it('packs states for the mesher', () => {
+      const packed = chunk.packStates();
+      expect(packed[2 + (4 << 4) + (3 << 8)]).toBe(1 | 4);
+      expect(new Chunk(0, 0, 0).packStates()).toBeNull();
+    });
+
+    it('round-trips through JSON serialization', () => {
+      const restored = Chunk.deserialize(chunk.serialize());
+      expect(restored.getBlockState(2, 3, 4)).toEqual({ facing: 1, open: true });
+    });
+
+    it('round-trips through binary serialization', () => {
+      chunk.setBlock(0, 0, 0, BlockTypes.SIGN);
+      chunk.setBlockState(0, 0, 0, { facing: 2, text: 'Hällo' });
+      const buffer = chunk.serializeBinary();
+      expect(buffer.byteLength).toBeGreaterThan(12 + CHUNK_SIZE_CUBED + CHUNK_SIZE_SQ);
+      expect(Chunk.isLegacyColumnBinary(buffer)).toBe(false);
+
+      const restored = Chunk.deserializeBinary(buffer);
+      expect(restored.getBlock(2, 3, 4)).toBe(BlockTypes.WOOD_DOOR);
+      expect(restored.getBlockState(2, 3, 4)).toEqual({ facing: 1, open: true });
+      expect(restored.getBlockState(0, 0, 0)).toEqual({ facing: 2, text: 'Hällo' });
+    });
+
+    it('loads records saved without states', () => {
+      const plain = new Chunk(1, 0, 1);
+      plain.setBlock(1, 1, 1, BlockTypes.STONE);
+      const restored = Chunk.deserializeBinary(plain.serializeBinary());
+      expect(restored.blockStates.size).toBe(0);
+      expect(restored.getBlock(1, 1, 1)).toBe(BlockTypes.STONE);
+    });
+  });
+
+  describe('legacy column saves', () => {
+    function makeColumnBuffer(x, z) {
+      const blockCount = LEGACY_COLUMN_HEIGHT * CHUNK_SIZE_SQ;
+      const buffer = new ArrayBuffer(8 + blockCount + CHUNK_SIZE_SQ);
+      const view = new DataView(buffer);
+      view.setInt32(0, x, true);
+      view.setInt32(4, z, true);
+      const blocks = new Uint8Array(buffer, 8, blockCount);
+      blocks[2 + (3 << 4) + (4 << 8)] = BlockTypes.STONE;   // y=4
+      blocks[2 + (3 << 4) + (20 << 8)] = BlockTypes.WOOD;   // y=20
+      return buffer;
+    }
+
+    it('recognizes pre-stacking column buffers', () => {
+      expect(Chunk.isLegacyColumnBinary(makeColumnBuffer(3, -2))).toBe(true);
+    });
+
+    it('splits a column into stacked chunks at the same position', () => {
+      const [lower, upper] = Chunk.splitLegacyColumn(makeColumnBuffer(3, -2));
+      expect(lower.key).toBe('3,0,-2');
+      expect(upper.key).toBe('3,1,-2');
+      expect(lower.getBlock(2, 4, 3)).toBe(BlockTypes.STONE);
+      expect(upper.getBlock(2, 20 - CHUNK_SIZE_Y, 3)).toBe(BlockTypes.WOOD);
+      expect(upper.getHeight(2, 3)).toBe(20 - CHUNK_SIZE_Y + 1);
+    });
   });
 
   describe('neighbors', () => {
@@ -207,17 +299,19 @@ describe('Chunk', () => {
       expect(chunk.neighbors.south).toBeNull();
       expect(chunk.neighbors.east).toBeNull();
       expect(chunk.neighbors.west).toBeNull();
+      expect(chunk.neighbors.up).toBeNull();
+      expect(chunk.neighbors.down).toBeNull();
     });
 
     it('sets neighbor reference', () => {
-      const neighbor = new Chunk(3, -1);
+      const neighbor = new Chunk(3, 1, -1);
       chunk.setNeighbor('north', neighbor);
       expect(chunk.neighbors.north).toBe(neighbor);
     });
 
     it('marks mesh dirty when neighbor changes', () => {
       chunk.meshDirty = false;
-      chunk.setNeighbor('north', new Chunk(3, -1));
+      chunk.setNeighbor('north', new Chunk(3, 1, -1));
       expect(chunk.meshDirty).toBe(true);
     });
   });
@@ -228,13 +322,27 @@ describe('Chunk', () => {
       expect(chunk.getBlockWithNeighbors(5, 5, 5)).toBe(BlockTypes.STONE);
     });
 
-    it('returns AIR for out-of-Y-bounds', () => {
+    it('returns AIR above and below when vertical neighbors are missing', () => {
       expect(chunk.getBlockWithNeighbors(0, -1, 0)).toBe(BlockTypes.AIR);
       expect(chunk.getBlockWithNeighbors(0, CHUNK_SIZE_Y, 0)).toBe(BlockTypes.AIR);
     });
 
+    it('queries down neighbor for y < 0', () => {
+      const down = new Chunk(3, 0, -2);
+      down.setBlock(4, CHUNK_SIZE_Y - 1, 6, BlockTypes.COAL_ORE);
+      chunk.setNeighbor('down', down);
+      expect(chunk.getBlockWithNeighbors(4, -1, 6)).toBe(BlockTypes.COAL_ORE);
+    });
+
+    it('queries up neighbor for y >= CHUNK_SIZE_Y', () => {
+      const up = new Chunk(3, 2, -2);
+      up.setBlock(4, 0, 6, BlockTypes.LEAVES);
+      chunk.setNeighbor('up', up);
+      expect(chunk.getBlockWithNeighbors(4, CHUNK_SIZE_Y, 6)).toBe(BlockTypes.LEAVES);
+    });
+
     it('queries west neighbor for x < 0', () => {
-      const west = new Chunk(2, -2);
+      const west = new Chunk(2, 1, -2);
       west.setBlock(CHUNK_SIZE - 1, 5, 5, BlockTypes.IRON_ORE);
       chunk.setNeighbor('west', west);
       expect(chunk.getBlockWithNeighbors(-1, 5, 5)).toBe(BlockTypes.IRON_ORE);
@@ -1,6 +1,6 @@
 import { ChunkManager } from '../ChunkManager';
 import { Chunk, ChunkState } from '../Chunk';
-import { chunkKey, CHUNK_SIZE, VOXEL_SIZE } from '../coordinates';
+import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE, WORLD_MIN_CHUNK_Y } from '../coordinates';
 import { BlockTypes } from '../blockTypes';
 
 describe('ChunkManager', () => {
@@ -39,42 +39,76 @@ describe('ChunkManager', () => {
 
   describe('updatePlayerPosition', () => {
     it('updates player chunk coordinates', () => {
-      manager.updatePlayerPosition(0, 0);
+      manager.updatePlayerPosition(0, 0, 0);
       expect(manager.playerChunkX).toBe(0);
+      expect(manager.playerChunkY).toBe(0);
       expect(manager.playerChunkZ).toBe(0);
     });
 
     it('queues chunks for loading', () => {
-      manager.updatePlayerPosition(0, 0);
+      manager.updatePlayerPosition(0, 0, 0);
       expect(manager.loadQueue.length).toBeGreaterThan(0);
     });
 
+    it('queues chunks above and below within the vertical view distance', () => {
+      manager.verticalViewDistance = 1;
+      manager.updatePlayerPosition(0, 0, 0);
+      const layers = new Set(manager.loadQueue.items.map(item => item.chunkY));
+      expect([...layers].sort()).toEqual([-1, 0, 1]);
+    });
+
+    it('loads the player layer before layers above and below', () => {
+      manager.updatePlayerPosition(0, 0, 0);
+      expect(manager.loadQueue.items[0].chunkY).toBe(0);
+    });
+
+    it('re-queues when player changes vertical layer', () => {
+      manager.verticalViewDistance = 0;
+      manager.updatePlayerPosition(0, 0, 0);
+      manager.loadQueue.clear();
+      manager.updatePlayerPosition(0, CHUNK_SIZE_Y * VOXEL_SIZE, 0);
+      expect(manager.playerChunkY).toBe(1);
+      expect(manager.loadQueue.items.every(item => item.chunkY === 1)).toBe(true);
+    });
+
     it('does not re-queue when player stays in same chunk', () => {
-      manager.updatePlayerPosition(0, 0);
+      manager.updatePlayerPosition(0, 0, 0);
       const initialQueueLength = manager.loadQueue.length;
-      manager.updatePlayerPosition(1, 1); // still in chunk 0,0
+      manager.updatePlayerPosition(1, 1, 1); // still in chunk 0,0,0
       expect(manager.loadQueue.length).toBe(initialQueueLength);
     });
   });
 
   describe('getChunk', () => {
     it('returns undefined for unloaded chunks', () => {
-      expect(manager.getChunk(0, 0)).toBeUndefined();
+      expect(manager.getChunk(0, 0, 0)).toBeUndefined();
     });
 
     it('returns chunk after it is loaded', () => {
-      const chunk = new Chunk(0, 0);
+      const chunk = new Chunk(0, 0, 0);
       chunk.state = ChunkState.READY;
       manager.chunks.set(chunk.key, chunk);
-      expect(manager.getChunk(0, 0)).toBe(chunk);
+      expect(manager.getChunk(0, 0, 0)).toBe(chunk);
+    });
+  });
+
+  describe('getColumn / hasColumn', () => {
+    it('returns loaded chunks of a column top to bottom', () => {
+      const lower = new Chunk(2, -1, 3);
+      const upper = new Chunk(2, 1, 3);
+      manager.chunks.set(lower.key, lower);
+      manager.chunks.set(upper.key, upper);
+      expect(manager.getColumn(2, 3)).toEqual([upper, lower]);
+      expect(manager.hasColumn(2, 3)).toBe(true);
+      expect(manager.hasColumn(3, 3)).toBe(false);
     });
   });
 
   describe('getChunkByKey', () => {
     it('returns chunk by key string', () => {
-      const chunk = new Chunk(1, 2);
+      const chunk = new Chunk(1, 0, 2);
       manager.chunks.set(chunk.key, chunk);
-      expect(manager.getChunkByKey('1,2')).toBe(chunk);
+      expect(manager.getChunkByKey('1,0,2')).toBe(chunk);
     });
   });
 
@@ -82,7 +116,7 @@ describe('ChunkManager', () => {
     let chunk;
 
     beforeEach(() => {
-      chunk = new Chunk(0, 0);
+      chunk = new Chunk(0, 0, 0);
       chunk.state = ChunkState.READY;
       // Set a test block: local (5, 3, 7) → world position depends on VOXEL_SIZE
       chunk.setBlock(5, 3, 7, BlockTypes.STONE);
@@ -100,6 +134,13 @@ describe('ChunkManager', () => {
       expect(manager.getBlock(1000, 0, 1000)).toBe(0);
     });
 
+    it('reads blocks from stacked chunks below y=0', () => {
+      const below = new Chunk(0, -1, 0);
+      below.setBlock(5, CHUNK_SIZE_Y - 1, 7, BlockTypes.IRON_ORE);
+      manager.chunks.set(below.key, below);
+      expect(manager.getBlock(5 * VOXEL_SIZE, -1, 7 * VOXEL_SIZE)).toBe(BlockTypes.IRON_ORE);
+    });
+
     it('sets block at world coordinates', () => {
       const worldX = 10 * VOXEL_SIZE;
       const worldY = 5 * VOXEL_SIZE;
@@ -124,7 +165,7 @@ describe('ChunkManager', () => {
 
     it('marks neighbor dirty for edge blocks', () => {
       // Set up east neighbor
-      const eastChunk = new Chunk(1, 0);
+      const eastChunk = new Chunk(1, 0, 0);
       eastChunk.state = ChunkState.READY;
       manager.chunks.set(eastChunk.key, eastChunk);
       chunk.setNeighbor('east', eastChunk);
@@ -135,18 +176,49 @@ describe('ChunkManager', () => {
       manager.setBlock(worldX, 0, 0, BlockTypes.STONE);
       expect(eastChunk.meshDirty).toBe(true);
     });
+
+    it('marks vertical neighbors dirty for seam blocks', () => {
+      const upChunk = new Chunk(0, 1, 0);
+      const downChunk = new Chunk(0, -1, 0);
+      manager.chunks.set(upChunk.key, upChunk);
+      manager.chunks.set(downChunk.key, downChunk);
+      manager.updateNeighbors(chunk);
+
+      upChunk.meshDirty = false;
+      downChunk.meshDirty = false;
+      // Top layer of chunk 0 touches chunk 1
+      manager.setBlock(8 * VOXEL_SIZE, (CHUNK_SIZE_Y - 1) * VOXEL_SIZE, 8 * VOXEL_SIZE, BlockTypes.STONE);
+      expect(upChunk.meshDirty).toBe(true);
+      expect(downChunk.meshDirty).toBe(false);
+
+      // Bottom layer touches chunk -1
+      manager.setBlock(8 * VOXEL_SIZE, 0, 8 * VOXEL_SIZE, BlockTypes.STONE);
+      expect(downChunk.meshDirty).toBe(true);
+    });
+
+    it('leaves fluids and falling blocks to the server that owns the terrain', () => {
+      manager.setChunkSource({ requestChunk: vi.fn(), releaseChunk: vi.fn() });
+      manager.setBlock(5 * VOXEL_SIZE, 5 * VOXEL_SIZE, 7 * VOXEL_SIZE, BlockTypes.SAND);
+      manager.setBlock(6 * VOXEL_SIZE, 3 * VOXEL_SIZE, 7 * VOXEL_SIZE, BlockTypes.WATER);
+      manager.update(1);
+
+      expect(manager.fluidSimulator.pending.size).toBe(0);
+      expect(manager.blockPhysics.queue.size).toBe(0);
+      expect(manager.getBlock(5 * VOXEL_SIZE, 5 * VOXEL_SIZE, 7 * VOXEL_SIZE)).toBe(BlockTypes.SAND);
+      expect(manager.getBlock(6 * VOXEL_SIZE, 2 * VOXEL_SIZE, 7 * VOXEL_SIZE)).toBe(BlockTypes.AIR);
+    });
   });
 
   describe('getDirtyChunks', () => {
     it('returns empty array when no dirty chunks', () => {
-      const chunk = new Chunk(0, 0);
+      const chunk = new Chunk(0, 0, 0);
       chunk.meshDirty = false;
       manager.chunks.set(chunk.key, chunk);
       expect(manager.getDirtyChunks()).toHaveLength(0);
     });
 
     it('returns dirty chunks', () => {
-      const chunk = new Chunk(0, 0);
+      const chunk = new Chunk(0, 0, 0);
       chunk.meshDirty = true;
       manager.chunks.set(chunk.key, chunk);
       const dirty = manager.getDirtyChunks();
@@ -157,17 +229,28 @@ describe('ChunkManager', () => {
 
   describe('generateChunkSync', () => {
     it('generates a chunk with terrain', () => {
-      const chunk = manager.generateChunkSync(0, 0);
+      const chunk = manager.generateChunkSync(0, 1, 0);
       expect(chunk).toBeInstanceOf(Chunk);
       expect(chunk.x).toBe(0);
+      expect(chunk.y).toBe(1);
       expect(chunk.z).toBe(0);
       // Should have some non-air blocks (terrain)
       expect(chunk.getBlockCount()).toBeGreaterThan(0);
     });
 
-    it('includes bedrock at y=0', () => {
-      const chunk = manager.generateChunkSync(0, 0);
-      // At least some x,z positions should have bedrock at y=0
+    it('fills chunks below the surface with stone', () => {
+      const chunk = manager.generateChunkSync(0, -1, 0);
+      expect(chunk.getBlock(8, 8, 8)).toBe(BlockTypes.STONE);
+    });
+
+    it('leaves chunks above the surface empty', () => {
+      const chunk = manager.generateChunkSync(0, 3, 0);
+      expect(chunk.isEmpty()).toBe(true);
+    });
+
+    it('includes bedrock at the bottom of the world', () => {
+      const chunk = manager.generateChunkSync(0, WORLD_MIN_CHUNK_Y, 0);
+      // At least some x,z positions should have bedrock at local y=0
       let hasBedrock = false;
       for (let x = 0; x < CHUNK_SIZE; x++) {
         for (let z = 0; z < CHUNK_SIZE; z++) {
@@ -184,12 +267,16 @@ describe('ChunkManager', () => {
 
   describe('updateNeighbors', () => {
     it('links chunks to their neighbors', () => {
-      const center = new Chunk(0, 0);
-      const north = new Chunk(0, 1);
-      const south = new Chunk(0, -1);
-      const east = new Chunk(1, 0);
-      const west = new Chunk(-1, 0);
-
+      const center = new Chunk(0, 0, 0);
+      const north = new Chunk(0, 0, 1);
+      const south = new Chunk(0, 0, -1);
+      const east = new Chunk(1, 0, 0);
+      const west = new Chunk(-1, 0, 0);
+      const up = new Chunk(0, 1, 0);
+      const down = new Chunk(0, -1, 0);
+
+      manager.chunks.set(up.key, up);
+      manager.chunks.set(down.key, down);
       manager.chunks.set(center.key, center);
       manager.chunks.set(north.key, north);
       manager.chunks.set(south.key, south);
@@ -203,15 +290,112 @@ describe('ChunkManager', () => {
       expect(center.neighbors.east).toBe(east);
       expect(center.neighbors.west).toBe(west);
 
+      expect(center.neighbors.up).toBe(up);
+      expect(center.neighbors.down).toBe(down);
+
       // Bidirectional
       expect(north.neighbors.south).toBe(center);
       expect(south.neighbors.north).toBe(center);
+      expect(up.neighbors.down).toBe(center);
+      expect(down.neighbors.up).toBe(center);
+    });
+
+    it('queues vertical neighbors for a seam rebuild', () => {
+      const center = new Chunk(0, 0, 0);
+      const up = new Chunk(0, 1, 0);
+      manager.chunks.set(up.key, up);
+      manager.chunks.set(center.key, center);
+      manager.meshRebuildQueue.clear();
+
+      manager.updateNeighbors(center);
+      expect(manager.meshRebuildQueue.has(up.key)).toBe(true);
+    });
+  });
+
+  describe('unloadChunk', () => {
+    it('clears vertical neighbor links', () => {
+      const center = new Chunk(0, 0, 0);
+      const up = new Chunk(0, 1, 0);
+      manager.chunks.set(up.key, up);
+      manager.chunks.set(center.key, center);
+      manager.updateNeighbors(center);
+
+      manager.unloadChunk(center);
+      expect(up.neighbors.down).toBeNull();
+    });
+  });
+
+  describe('restoreChunk', () => {
+    function makeSaved(x, y, z) {
+      const saved = new Chunk(x, y, z);
+      saved.setBlock(1, 2, 3, BlockTypes.COBBLESTONE);
+      saved.lastModified = 42;
+      return saved;
+    }
+
+    it('replaces blocks of a loaded chunk', () => {
+      const chunk = new Chunk(0, 1, 0);
+      manager.chunks.set(chunk.key, chunk);
+      manager.restoreChunk(makeSaved(0, 1, 0));
+      expect(chunk.getBlock(1, 2, 3)).toBe(BlockTypes.COBBLESTONE);
+      expect(chunk.lastModified).toBe(42);
+      expect(manager.meshRebuildQueue.has(chunk.key)).toBe(true);
+    });
+
+    it('holds chunks that are not loaded until they load', async () => {
+      manager.restoreChunk(makeSaved(0, -1, 0));
+      expect(manager.savedChunks.has('0,-1,0')).toBe(true);
+
+      manager.updatePlayerPosition(0, 0, 0);
+      await manager.startLoadingChunk(0, -1, 0);
+      const chunk = manager.getChunk(0, -1, 0);
+      expect(chunk.getBlock(1, 2, 3)).toBe(BlockTypes.COBBLESTONE);
+      expect(manager.savedChunks.has('0,-1,0')).toBe(false);
+    });
+
+    it('ignores chunks outside the world bounds', () => {
+      manager.restoreChunk(makeSaved(0, WORLD_MIN_CHUNK_Y - 1, 0));
+      expect(manager.savedChunks.size).toBe(0);
+    });
+  });
+
+  describe('lighting', () => {
+    it('lights chunks when they load', async () => {
+      manager.updatePlayerPosition(0, 0, 0);
+      await manager.startLoadingChunk(0, 3, 0);
+      const chunk = manager.getChunk(0, 3, 0);
+      expect(chunk.getSkyLight(4, 4, 4)).toBe(15);
+    });
+
+    it('treats unloaded space as open sky with no block light', () => {
+      expect(manager.getSkyLight(1000, 0, 1000)).toBe(15);
+      expect(manager.getBlockLight(1000, 0, 1000)).toBe(0);
+    });
+
+    it('relights and remeshes neighbors when a light source is placed', () => {
+      const chunk = new Chunk(0, 0, 0);
+      const east = new Chunk(1, 0, 0);
+      manager.chunks.set(chunk.key, chunk);
+      manager.chunks.set(east.key, east);
+      manager.updateNeighbors(chunk);
+      manager.updateNeighbors(east);
+      manager.lightEngine.lightChunk(chunk);
+      manager.lightEngine.lightChunk(east);
+      manager.lightEngine.takeChangedChunks();
+      east.meshDirty = false;
+
+      // Campfire 3 blocks from the east edge — light reaches the next chunk
+      manager.setBlock(12 * VOXEL_SIZE, 4 * VOXEL_SIZE, 4 * VOXEL_SIZE, BlockTypes.CAMPFIRE);
+      expect(manager.getBlockLight(13 * VOXEL_SIZE, 4 * VOXEL_SIZE, 4 * VOXEL_SIZE)).toBe(14);
+      expect(east.getBlockLight(0, 4, 4)).toBe(11);
+      expect(east.meshDirty).toBe(true);
+      expect(manager.getLightLevel(13 * VOXEL_SIZE, 4 * VOXEL_SIZE, 4 * VOXEL_SIZE)).toBe(15);
     });
   });
 
   describe('markMeshDirty', () => {
     it('marks chunk mesh dirty and adds to rebuild queue', () => {
-      const chunk = new Chunk(0, 0);
+      const chunk = new Chunk(0, 0, 0);
       chunk.meshDirty = false;
       manager.chunks.set(chunk.key, chunk);
 
@@ -233,13 +417,68 @@ describe('ChunkManager', () => {
       expect(stats).toHaveProperty('loadingCount');
       expect(stats).toHaveProperty('chunksLoaded');
     });
+
+    it('reports vertices saved by greedy meshing', () => {
+      const a = new Chunk(0, 0, 0);
+      const b = new Chunk(1, 0, 0);
+      manager.chunks.set(a.key, a);
+      manager.chunks.set(b.key, b);
+      manager.recordMeshStats(a.key, { vertexCount: 100, naiveVertexCount: 400 });
+      manager.recordMeshStats(b.key, { vertexCount: 20, naiveVertexCount: 20 });
+
+      const stats = manager.getStats();
+      expect(stats.greedyMeshing).toBe(true);
+      expect(stats.meshVertices).toBe(120);
+      expect(stats.naiveMeshVertices).toBe(420);
+      expect(stats.verticesSaved).toBe(300);
+    });
+
+    it('ignores mesh stats for chunks that are not loaded', () => {
+      manager.recordMeshStats('5,0,5', { vertexCount: 4, naiveVertexCount: 8 });
+      expect(manager.getStats().meshVertices).toBe(0);
+    });
+
+    it('drops mesh stats when a chunk unloads', () => {
+      const chunk = new Chunk(0, 0, 0);
+      manager.chunks.set(chunk.key, chunk);
+      manager.recordMeshStats(chunk.key, { vertexCount: 4, naiveVertexCount: 8 });
+      manager.unloadChunk(chunk);
+      expect(manager.getStats().verticesSaved).toBe(0);
+    });
+  });
+
+  describe('setGreedyMeshing', () => {
+    it('defaults to enabled and can be disabled by option', () => {
+      expect(manager.greedyMeshing).toBe(true);
+      expect(new ChunkManager({ greedyMeshing: false }).greedyMeshing).toBe(false);
+    });
+
+    it('marks loaded chunks for rebuild when toggled', () => {
+      const chunk = new Chunk(0, 0, 0);
+      chunk.meshDirty = false;
+      manager.chunks.set(chunk.key, chunk);
+
+      manager.setGreedyMeshing(false);
+      expect(manager.greedyMeshing).toBe(false);
+      expect(chunk.meshDirty).toBe(true);
+      expect(manager.meshRebuildQueue.has(chunk.key)).toBe(true);
+    });
+
+    it('does nothing when the setting is unchanged', () => {
+      const chunk = new Chunk(0, 0, 0);
+      chunk.meshDirty = false;
+      manager.chunks.set(chunk.key, chunk);
+
+      manager.setGreedyMeshing(true);
+      expect(chunk.meshDirty).toBe(false);
+    });
   });
 
   describe('dispose', () => {
     it('clears all chunks and queues', () => {
-      const chunk = new Chunk(0, 0);
+      const chunk = new Chunk(0, 0, 0);
       manager.chunks.set(chunk.key, chunk);
-      manager.loadQueue.enqueue(1, 1, 0);
+      manager.loadQueue.enqueue(1, 0, 1, 0);
       manager.meshRebuildQueue.add(chunk.key);
 
       manager.dispose();
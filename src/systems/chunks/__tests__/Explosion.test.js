@@ -0,0 +1,109 @@
+import { explode, explosionImpact, getBlastResistance } from '../Explosion';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE } from '../coordinates';
+
+// Voxel coordinate -> world coordinate (voxel center)
+const w = (v) => v * VOXEL_SIZE + VOXEL_SIZE / 2;
+
+// One chunk of solid stone; fill(chunk) swaps in other blocks before lighting
+function makeWorld(fill = () => {}) {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  for (let lx = 0; lx < 16; lx++) {
+    for (let lz = 0; lz < 16; lz++) {
+      for (let y = 0; y < 16; y++) chunk.setBlock(lx, y, lz, BlockTypes.STONE);
+    }
+  }
+  fill(chunk);
+  manager.chunks.set(chunk.key, chunk);
+  manager.updateNeighbors(chunk);
+  manager.lightEngine.lightChunk(chunk);
+  return manager;
+}
+
+const block = (manager, x, y, z) => manager.getBlock(w(x), w(y), w(z));
+
+describe('Explosion', () => {
+  it('carves a sphere out of the world', () => {
+    const manager = makeWorld();
+    const result = manager.explode(w(8), w(8), w(8), { radius: 3, power: 10 });
+
+    expect(block(manager, 8, 8, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 10, 8, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 8, 6, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 12, 8, 8)).toBe(BlockTypes.STONE);
+    expect(block(manager, 10, 10, 10)).toBe(BlockTypes.STONE);
+    expect(result.destroyed).toBeGreaterThan(20);
+    expect(result.drops).toEqual({ stone: result.destroyed });
+  });
+
+  it('stretches into an ellipsoid', () => {
+    const manager = makeWorld();
+    explode(manager, w(8), w(8), w(8), { radius: 1.5, radiusY: 4, power: 10 });
+
+    expect(block(manager, 8, 5, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 8, 11, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 10, 8, 8)).toBe(BlockTypes.STONE);
+  });
+
+  it('fades toward the edge so soft blocks break further out', () => {
+    const manager = makeWorld((c) => c.setBlock(10, 8, 8, BlockTypes.DIRT));
+    // Dirt and stone both sit two thirds of the way out, where the blast has 1.33 left
+    explode(manager, w(8), w(8), w(8), { radius: 3, power: 4 });
+
+    expect(block(manager, 10, 8, 8)).toBe(BlockTypes.AIR);
+    expect(block(manager, 8, 8, 10)).toBe(BlockTypes.STONE);
+  });
+
+  it('is held back by blast resistance', () => {
+    expect(getBlastResistance(BlockTypes.STONE)).toBe(1.5);
+    expect(getBlastResistance(BlockTypes.REINFORCED_STONE)).toBe(20);
+
+    const manager = makeWorld((c) => c.setBlock(8, 8, 8, BlockTypes.OBSIDIAN));
+    explode(manager, w(8), w(8), w(8), { radius: 3, power: 10 });
+    expect(block(manager, 8, 8, 8)).toBe(BlockTypes.OBSIDIAN);
+    expect(block(manager, 9, 8, 8)).toBe(BlockTypes.AIR);
+  });
+
+  it('never breaks bedrock, fluids or containers', () => {
+    const manager = makeWorld((c) => {
+      c.setBlock(8, 8, 8, BlockTypes.BEDROCK);
+      c.setBlock(9, 8, 8, BlockTypes.CHEST);
+      c.setBlock(7, 8, 8, BlockTypes.WATER);
+    });
+    explode(manager, w(8), w(8), w(8), { radius: 3, power: 10 });
+
+    expect(block(manager, 8, 8, 8)).toBe(BlockTypes.BEDROCK);
+    expect(block(manager, 9, 8, 8)).toBe(BlockTypes.CHEST);
+    expect(getBlastResistance(BlockTypes.WATER)).toBe(Infinity);
+  });
+
+  it('rolls drops at the drop chance', () => {
+    const manager = makeWorld();
+    const result = explode(manager, w(8), w(8), w(8), { radius: 2, power: 10, dropChance: 0.5, random: () => 0.9 });
+    expect(result.destroyed).toBeGreaterThan(0);
+    expect(result.drops).toEqual({});
+  });
+
+  describe('explosionImpact', () => {
+    const blast = { position: [0, 0, 0], radius: 3, damage: 60, knockback: 10 };
+
+    it('falls off with distance', () => {
+      const near = explosionImpact(blast, [1.5, 0, 0]);
+      const far = explosionImpact(blast, [4.5, 0, 0]);
+      expect(near.damage).toBe(45);
+      expect(far.damage).toBe(15);
+      expect(explosionImpact(blast, [6, 0, 0])).toBeNull();
+    });
+
+    it('pushes away from the center and up', () => {
+      const { impulse } = explosionImpact(blast, [0, 0, -3]);
+      expect(impulse.x).toBeCloseTo(0);
+      expect(impulse.z).toBeLessThan(0);
+      expect(impulse.y).toBeGreaterThan(0);
+      expect(explosionImpact(blast, [0, 0, 0]).impulse).toEqual({ x: 0, y: 10, z: 0 });
+    });
+  });
+});
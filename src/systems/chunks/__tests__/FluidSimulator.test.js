@@ -0,0 +1,225 @@
+import { FluidSimulator, FLUID_LEVEL_MAX } from '../FluidSimulator';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE } from '../coordinates';
+
+// Voxel coordinate -> world coordinate
+const w = (v) => v * VOXEL_SIZE;
+
+function makeWorld(chunkCoords = [[0, 0, 0]]) {
+  const manager = new ChunkManager();
+  for (const [x, y, z] of chunkCoords) {
+    const chunk = new Chunk(x, y, z);
+    // Stone floor at voxel y=0 of the bottom chunk
+    if (y === 0) {
+      for (let lx = 0; lx < 16; lx++) {
+        for (let lz = 0; lz < 16; lz++) chunk.setBlock(lx, 0, lz, BlockTypes.STONE);
+      }
+    }
+    manager.chunks.set(chunk.key, chunk);
+  }
+  for (const chunk of manager.chunks.values()) {
+    manager.updateNeighbors(chunk);
+    manager.lightEngine.lightChunk(chunk);
+  }
+  return manager;
+}
+
+function run(sim, ticks) {
+  for (let i = 0; i < ticks; i++) sim.tick();
+}
+
+const block = (manager, x, y, z) => manager.getBlock(w(x), w(y), w(z));
+const level = (manager, x, y, z) => manager.fluidSimulator.getFluidAt(w(x), w(y), w(z))?.level ?? 0;
+
+describe('FluidSimulator', () => {
+  let manager;
+  let sim;
+
+  beforeEach(() => {
+    manager = makeWorld();
+    sim = manager.fluidSimulator;
+  });
+
+  it('is created and ticked by ChunkManager', () => {
+    expect(sim).toBeInstanceOf(FluidSimulator);
+    sim.placeSource(w(8), w(1), w(8));
+    manager.update(1);
+    expect(sim.stats.cellUpdates).toBeGreaterThan(0);
+  });
+
+  describe('water', () => {
+    it('spreads sideways across a floor, losing a level per block', () => {
+      sim.placeSource(w(3), w(1), w(8));
+      run(sim, 40);
+
+      expect(level(manager, 3, 1, 8)).toBe(FLUID_LEVEL_MAX);
+      expect(block(manager, 4, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(level(manager, 4, 1, 8)).toBe(FLUID_LEVEL_MAX - 1);
+      expect(level(manager, 10, 1, 8)).toBe(1);
+      expect(block(manager, 11, 1, 8)).toBe(BlockTypes.AIR);
+      expect(block(manager, 3, 2, 8)).toBe(BlockTypes.AIR);
+    });
+
+    it('falls straight down before spreading', () => {
+      manager.setBlock(w(8), w(1), w(8), BlockTypes.STONE);
+      manager.setBlock(w(8), w(10), w(8), BlockTypes.STONE);
+      sim.placeSource(w(8), w(11), w(8));
+      run(sim, 10);
+      // Sideways off the pillar, then down the side
+      expect(block(manager, 9, 11, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(block(manager, 9, 10, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(level(manager, 9, 10, 8)).toBe(FLUID_LEVEL_MAX);
+      // A falling stream doesn't fan out
+      expect(block(manager, 10, 10, 8)).toBe(BlockTypes.AIR);
+
+      run(sim, 60);
+      expect(block(manager, 9, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(level(manager, 10, 1, 8)).toBe(FLUID_LEVEL_MAX - 1);
+    });
+
+    it('drains when its source is removed', () => {
+      sim.placeSource(w(8), w(1), w(8));
+      run(sim, 40);
+      expect(block(manager, 12, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+
+      expect(sim.removeSource(w(8), w(1), w(8))).toBe(true);
+      run(sim, 200);
+      for (let x = 0; x < 16; x++) {
+        expect(block(manager, x, 1, 8)).toBe(BlockTypes.AIR);
+      }
+      expect(sim.pending.size).toBe(0);
+    });
+
+    it('pours through a wall that is broken', () => {
+      // Pool held in by a wall at x=6
+      for (let z = 0; z < 16; z++) manager.setBlock(w(6), w(1), w(z), BlockTypes.STONE);
+      sim.placeSource(w(4), w(1), w(8));
+      run(sim, 40);
+      expect(block(manager, 7, 1, 8)).toBe(BlockTypes.AIR);
+
+      manager.setBlock(w(6), w(1), w(8), BlockTypes.AIR);
+      run(sim, 20);
+      expect(block(manager, 6, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(block(manager, 7, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+    });
+
+    it('fills a gap between two sources with a new source', () => {
+      for (let x = 2; x <= 6; x++) {
+        manager.setBlock(w(x), w(1), w(7), BlockTypes.STONE);
+        manager.setBlock(w(x), w(1), w(9), BlockTypes.STONE);
+      }
+      sim.placeSource(w(3), w(1), w(8));
+      sim.placeSource(w(5), w(1), w(8));
+      run(sim, 10);
+      expect(block(manager, 4, 1, 8)).toBe(BlockTypes.WATER);
+    });
+
+    it('washes away plants but not solid blocks', () => {
+      manager.setBlock(w(9), w(1), w(8), BlockTypes.TALL_GRASS);
+      manager.setBlock(w(8), w(1), w(9), BlockTypes.WOOD_PLANK);
+      sim.placeSource(w(8), w(1), w(8));
+      run(sim, 10);
+      expect(block(manager, 9, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(block(manager, 8, 1, 9)).toBe(BlockTypes.WOOD_PLANK);
+    });
+
+    it('does not flow into unloaded chunks', () => {
+      sim.placeSource(w(0), w(1), w(8));
+      run(sim, 20);
+      expect(block(manager, 1, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(manager.getChunk(-1, 0, 0)).toBeUndefined();
+    });
+  });
+
+  describe('lava', () => {
+    it('spreads a shorter distance and more slowly than water', () => {
+      sim.placeSource(w(3), w(1), w(8), 'lava');
+      run(sim, 8);
+      expect(block(manager, 4, 1, 8)).toBe(BlockTypes.LAVA_FLOWING);
+      expect(block(manager, 5, 1, 8)).toBe(BlockTypes.AIR);
+
+      run(sim, 80);
+      expect(level(manager, 4, 1, 8)).toBe(FLUID_LEVEL_MAX - 2);
+      expect(level(manager, 6, 1, 8)).toBe(2);
+      expect(block(manager, 7, 1, 8)).toBe(BlockTypes.AIR);
+    });
+
+    it('glows', () => {
+      sim.placeSource(w(8), w(1), w(8), 'lava');
+      expect(manager.getBlockLight(w(8), w(2), w(8))).toBe(14);
+    });
+
+    it('turns to obsidian when water pours onto a lava source', () => {
+      sim.placeSource(w(8), w(1), w(8), 'lava');
+      sim.placeSource(w(8), w(3), w(8));
+      run(sim, 20);
+      expect(block(manager, 8, 2, 8)).toBe(BlockTypes.WATER_FLOWING);
+      expect(block(manager, 8, 1, 8)).toBe(BlockTypes.OBSIDIAN);
+    });
+
+    describe('in a corridor', () => {
+      beforeEach(() => {
+        for (let x = 0; x < 16; x++) {
+          manager.setBlock(w(x), w(1), w(7), BlockTypes.STONE);
+          manager.setBlock(w(x), w(1), w(9), BlockTypes.STONE);
+        }
+        sim.placeSource(w(2), w(1), w(8), 'lava');
+      });
+
+      it('turns flowing lava touched by water to cobblestone', () => {
+        run(sim, 8);
+        expect(block(manager, 3, 1, 8)).toBe(BlockTypes.LAVA_FLOWING);
+
+        sim.placeSource(w(4), w(1), w(8));
+        run(sim, 10);
+        expect(block(manager, 3, 1, 8)).toBe(BlockTypes.COBBLESTONE);
+        expect(block(manager, 2, 1, 8)).toBe(BlockTypes.LAVA);
+      });
+
+      it('turns a cell fed by both fluids to stone', () => {
+        sim.placeSource(w(6), w(1), w(8));
+        run(sim, 40);
+        expect(block(manager, 3, 1, 8)).toBe(BlockTypes.STONE);
+        expect(block(manager, 2, 1, 8)).toBe(BlockTypes.LAVA);
+        expect(block(manager, 4, 1, 8)).toBe(BlockTypes.WATER_FLOWING);
+      });
+    });
+  });
+
+  describe('scheduling', () => {
+    it('caps cell updates per tick and carries the rest over', () => {
+      sim.maxUpdatesPerTick = 3;
+      sim.placeSource(w(8), w(1), w(8));
+      const scheduled = sim.pending.size;
+      expect(scheduled).toBeGreaterThan(3);
+
+      run(sim, 2);
+      expect(sim.stats.cellUpdates).toBe(3);
+      run(sim, 1);
+      expect(sim.stats.cellUpdates).toBe(6);
+    });
+
+    it('runs a fixed tick rate regardless of frame time', () => {
+      sim.update(sim.tickInterval * 2.5);
+      expect(sim.currentTick).toBe(2);
+      sim.update(sim.tickInterval);
+      expect(sim.currentTick).toBe(3);
+      // Long frames only catch up a few ticks
+      sim.update(60);
+      expect(sim.currentTick).toBeLessThan(10);
+    });
+
+    it('rebuilds flow levels and settles flowing water on load', () => {
+      const chunk = manager.getChunk(0, 0, 0);
+      chunk.setBlock(8, 1, 8, BlockTypes.WATER_FLOWING);
+      sim.onChunkLoaded(chunk);
+      expect(chunk.getFluidLevel(8, 1, 8)).toBe(FLUID_LEVEL_MAX - 1);
+
+      // No source feeds it, so it dries up
+      run(sim, 40);
+      expect(block(manager, 8, 1, 8)).toBe(BlockTypes.AIR);
+    });
+  });
+});
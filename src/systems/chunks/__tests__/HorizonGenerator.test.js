@@ -0,0 +1,120 @@
+import {
+  HORIZON_LEVELS,
+  HORIZON_TILE_RADIUS,
+  HORIZON_SKIRT_DEPTH,
+  planHorizonTiles,
+  buildHorizonMesh,
+  getHorizonHoleRadius,
+  getHorizonDistance,
+} from '../HorizonGenerator';
+import { getSamplers, SEA_LEVEL } from '../generation/terrainGenerator';
+import { CHUNK_SIZE, VOXEL_SIZE } from '../coordinates';
+
+const SEED = 12345;
+
+describe('HorizonGenerator', () => {
+  describe('planHorizonTiles', () => {
+    // Count how many tiles cover each chunk column
+    function coverage(tiles) {
+      const counts = new Map();
+      for (const { chunkX, chunkZ, sizeChunks } of tiles) {
+        for (let x = chunkX; x < chunkX + sizeChunks; x++) {
+          for (let z = chunkZ; z < chunkZ + sizeChunks; z++) {
+            counts.set(`${x},${z}`, (counts.get(`${x},${z}`) || 0) + 1);
+          }
+        }
+      }
+      return counts;
+    }
+
+    it('covers the ring around the loaded world once, without gaps', () => {
+      const [px, pz, viewDistance] = [3, -5, 8];
+      const counts = coverage(planHorizonTiles(px, pz, viewDistance));
+      const reach = getHorizonDistance() / (CHUNK_SIZE * VOXEL_SIZE);
+      const hole = getHorizonHoleRadius(viewDistance) / (CHUNK_SIZE * VOXEL_SIZE);
+
+      for (const count of counts.values()) expect(count).toBe(1);
+      for (let x = px - reach; x <= px + reach; x++) {
+        for (let z = pz - reach; z <= pz + reach; z++) {
+          // Chunks reaching past the hole need a tile
+          const dx = Math.abs(x + 0.5 - (px + 0.5)) + 0.5;
+          const dz = Math.abs(z + 0.5 - (pz + 0.5)) + 0.5;
+          if (dx * dx + dz * dz > hole * hole) expect(counts.has(`${x},${z}`)).toBe(true);
+        }
+      }
+    });
+
+    it('uses finer tiles near the player', () => {
+      const tiles = planHorizonTiles(0, 0, 8);
+      const nearest = (level) => Math.min(...tiles
+        .filter((t) => t.level === level)
+        .map((t) => Math.max(Math.abs(t.chunkX + t.sizeChunks / 2), Math.abs(t.chunkZ + t.sizeChunks / 2))));
+
+      for (let level = 1; level < HORIZON_LEVELS.length; level++) {
+        expect(nearest(level)).toBeGreaterThan(nearest(level - 1));
+      }
+      expect(tiles.every((t) => t.step === HORIZON_LEVELS[t.level].step)).toBe(true);
+    });
+
+    it('leaves out tiles inside the loaded world', () => {
+      const tiles = planHorizonTiles(0, 0, 8);
+      const hole = getHorizonHoleRadius(8) / (CHUNK_SIZE * VOXEL_SIZE);
+      expect(hole).toBeGreaterThan(0);
+      expect(tiles.some((t) => t.chunkX === 0 && t.chunkZ === 0)).toBe(false);
+      expect(planHorizonTiles(0, 0, 0).some((t) => t.chunkX === 0 && t.chunkZ === 0)).toBe(true);
+    });
+
+    it('rejects levels whose tiles do not nest', () => {
+      const levels = [{ tileChunks: 4, step: 2 }, { tileChunks: 6, step: 4 }];
+      expect(() => planHorizonTiles(0, 0, 8, levels, HORIZON_TILE_RADIUS)).toThrow(/whole level 0 tiles/);
+    });
+  });
+
+  describe('buildHorizonMesh', () => {
+    const tile = { seed: SEED, chunkX: 4, chunkZ: -2, sizeChunks: 4, step: 4 };
+
+    it('builds a heightmap grid with a skirt around it', () => {
+      const mesh = buildHorizonMesh(tile);
+      const cells = (tile.sizeChunks * CHUNK_SIZE) / tile.step;
+      expect(mesh.vertexCount).toBe((cells + 1) ** 2 + 4 * cells);
+      expect(mesh.positions.length).toBe(mesh.vertexCount * 3);
+      expect(mesh.indices.length).toBe(cells * cells * 6 + 4 * cells * 6);
+      expect(Math.max(...mesh.indices)).toBe(mesh.vertexCount - 1);
+    });
+
+    it('follows the terrain generator surface, with the sea flat', () => {
+      const mesh = buildHorizonMesh(tile);
+      const { biomes } = getSamplers(SEED);
+      const side = (tile.sizeChunks * CHUNK_SIZE) / tile.step + 1;
+
+      for (const [i, j] of [[0, 0], [3, 7], [16, 16]]) {
+        const v = i + j * side;
+        const { height } = biomes.getSurface(tile.chunkX * CHUNK_SIZE + i * tile.step, tile.chunkZ * CHUNK_SIZE + j * tile.step);
+        const top = Math.max(height, SEA_LEVEL);
+        expect(mesh.positions[v * 3]).toBe(i * tile.step * VOXEL_SIZE);
+        expect(mesh.positions[v * 3 + 1]).toBe((top + 0.5) * VOXEL_SIZE);
+        expect(mesh.positions[v * 3 + 2]).toBe(j * tile.step * VOXEL_SIZE);
+      }
+    });
+
+    it('hangs skirts below the edge vertices', () => {
+      const mesh = buildHorizonMesh(tile);
+      const side = (tile.sizeChunks * CHUNK_SIZE) / tile.step + 1;
+      // First skirt vertex sits under the tile's first corner
+      const skirt = side * side;
+      expect(mesh.positions[skirt * 3]).toBe(mesh.positions[0]);
+      expect(mesh.positions[skirt * 3 + 1]).toBe(mesh.positions[1] - HORIZON_SKIRT_DEPTH * VOXEL_SIZE);
+    });
+
+    it('points every normal upward', () => {
+      const { normals, vertexCount } = buildHorizonMesh(tile);
+      for (let v = 0; v < vertexCount; v++) {
+        expect(normals[v * 3 + 1]).toBeGreaterThan(0);
+      }
+    });
+
+    it('rejects a step that does not divide the tile', () => {
+      expect(() => buildHorizonMesh({ ...tile, step: 7 })).toThrow(/does not divide/);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { LightEngine, MAX_LIGHT } from '../LightEngine';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { blockRegistry } from '../BlockRegistry';
+
+function link(lower, upper) {
+  lower.setNeighbor('up', upper);
+  upper.setNeighbor('down', lower);
+}
+
+function fillLayer(chunk, y, blockType) {
+  for (let x = 0; x < 16; x++) {
+    for (let z = 0; z < 16; z++) {
+      chunk.setBlock(x, y, z, blockType);
+    }
+  }
+}
+
+describe('LightEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new LightEngine();
+  });
+
+  describe('sky light', () => {
+    it('fills open air with full sky light', () => {
+      const chunk = new Chunk(0, 0, 0);
+      engine.lightChunk(chunk);
+      expect(chunk.getSkyLight(0, 0, 0)).toBe(MAX_LIGHT);
+      expect(chunk.getSkyLight(8, 15, 8)).toBe(MAX_LIGHT);
+    });
+
+    it('leaves space under a solid roof dark', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 10, BlockTypes.STONE);
+      engine.lightChunk(chunk);
+      expect(chunk.getSkyLight(8, 11, 8)).toBe(MAX_LIGHT);
+      expect(chunk.getSkyLight(8, 10, 8)).toBe(0);
+      expect(chunk.getSkyLight(8, 5, 8)).toBe(0);
+    });
+
+    it('falls off sideways from a hole in the roof', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 10, BlockTypes.STONE);
+      chunk.setBlock(8, 10, 8, BlockTypes.AIR);
+      engine.lightChunk(chunk);
+      expect(chunk.getSkyLight(8, 5, 8)).toBe(MAX_LIGHT);
+      expect(chunk.getSkyLight(10, 5, 8)).toBe(MAX_LIGHT - 2);
+    });
+
+    it('is dimmed by filtering blocks', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 10, BlockTypes.WATER);
+      engine.lightChunk(chunk);
+      expect(chunk.getSkyLight(8, 10, 8)).toBe(MAX_LIGHT - 3);
+      expect(chunk.getSkyLight(8, 9, 8)).toBe(MAX_LIGHT - 4);
+    });
+  });
+
+  describe('block light', () => {
+    it('spreads from emitters and fades with distance', () => {
+      const chunk = new Chunk(0, 0, 0);
+      chunk.setBlock(8, 8, 8, BlockTypes.TORCH);
+      engine.lightChunk(chunk);
+      const torch = blockRegistry.getLightLevel(BlockTypes.TORCH);
+      expect(chunk.getBlockLight(8, 8, 8)).toBe(torch);
+      expect(chunk.getBlockLight(9, 8, 8)).toBe(torch - 1);
+      expect(chunk.getBlockLight(8, 8, 12)).toBe(torch - 4);
+    });
+
+    it('does not pass through opaque blocks', () => {
+      const chunk = new Chunk(0, 0, 0);
+      chunk.fill(BlockTypes.STONE);
+      chunk.setBlock(8, 8, 8, BlockTypes.CAMPFIRE);
+      chunk.setBlock(9, 8, 8, BlockTypes.AIR);
+      engine.lightChunk(chunk);
+      expect(chunk.getBlockLight(9, 8, 8)).toBe(MAX_LIGHT - 1);
+      expect(chunk.getBlockLight(10, 8, 8)).toBe(0);
+    });
+  });
+
+  describe('across chunks', () => {
+    it('carries block light into a neighbor chunk', () => {
+      const west = new Chunk(0, 0, 0);
+      const east = new Chunk(1, 0, 0);
+      west.setNeighbor('east', east);
+      east.setNeighbor('west', west);
+      west.setBlock(15, 4, 4, BlockTypes.CAMPFIRE);
+
+      engine.lightChunk(east);
+      engine.lightChunk(west);
+      expect(east.getBlockLight(0, 4, 4)).toBe(MAX_LIGHT - 1);
+      expect(engine.takeChangedChunks().has(east)).toBe(true);
+    });
+
+    it('pulls light in from neighbors already lit', () => {
+      const west = new Chunk(0, 0, 0);
+      const east = new Chunk(1, 0, 0);
+      west.setBlock(15, 4, 4, BlockTypes.CAMPFIRE);
+      engine.lightChunk(west);
+
+      west.setNeighbor('east', east);
+      east.setNeighbor('west', west);
+      engine.lightChunk(east);
+      expect(east.getBlockLight(2, 4, 4)).toBe(MAX_LIGHT - 3);
+    });
+
+    it('darkens the chunk below once a roofed chunk loads above it', () => {
+      const lower = new Chunk(0, 0, 0);
+      engine.lightChunk(lower);
+      expect(lower.getSkyLight(8, 0, 8)).toBe(MAX_LIGHT);
+
+      const upper = new Chunk(0, 1, 0);
+      fillLayer(upper, 0, BlockTypes.STONE);
+      link(lower, upper);
+      engine.lightChunk(upper);
+      expect(lower.getSkyLight(8, 15, 8)).toBe(0);
+      expect(lower.getSkyLight(8, 0, 8)).toBe(0);
+    });
+  });
+
+  describe('updateBlock', () => {
+    it('darkens the column below a placed block', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 0, BlockTypes.STONE);
+      engine.lightChunk(chunk);
+
+      chunk.setBlock(8, 12, 8, BlockTypes.STONE);
+      engine.updateBlock(chunk, 8, 12, 8);
+      expect(chunk.getSkyLight(8, 12, 8)).toBe(0);
+      expect(chunk.getSkyLight(8, 11, 8)).toBe(MAX_LIGHT - 1);
+      expect(chunk.getSkyLight(8, 1, 8)).toBe(MAX_LIGHT - 1);
+    });
+
+    it('restores sky light when a roof block is broken', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 10, BlockTypes.STONE);
+      engine.lightChunk(chunk);
+
+      chunk.setBlock(3, 10, 3, BlockTypes.AIR);
+      engine.updateBlock(chunk, 3, 10, 3);
+      expect(chunk.getSkyLight(3, 2, 3)).toBe(MAX_LIGHT);
+      expect(chunk.getSkyLight(4, 2, 3)).toBe(MAX_LIGHT - 1);
+    });
+
+    it('adds and removes block light for emitters', () => {
+      const chunk = new Chunk(0, 0, 0);
+      fillLayer(chunk, 10, BlockTypes.STONE);
+      engine.lightChunk(chunk);
+
+      chunk.setBlock(5, 5, 5, BlockTypes.CAMPFIRE);
+      engine.updateBlock(chunk, 5, 5, 5);
+      expect(chunk.getBlockLight(5, 5, 7)).toBe(MAX_LIGHT - 2);
+
+      chunk.setBlock(5, 5, 5, BlockTypes.AIR);
+      engine.updateBlock(chunk, 5, 5, 5);
+      expect(chunk.getBlockLight(5, 5, 5)).toBe(0);
+      expect(chunk.getBlockLight(5, 5, 7)).toBe(0);
+    });
+
+    it('keeps light from other emitters when one is removed', () => {
+      const chunk = new Chunk(0, 0, 0);
+      chunk.setBlock(2, 5, 5, BlockTypes.CAMPFIRE);
+      chunk.setBlock(8, 5, 5, BlockTypes.CAMPFIRE);
+      engine.lightChunk(chunk);
+
+      chunk.setBlock(8, 5, 5, BlockTypes.AIR);
+      engine.updateBlock(chunk, 8, 5, 5);
+      expect(chunk.getBlockLight(2, 5, 5)).toBe(MAX_LIGHT);
+      expect(chunk.getBlockLight(5, 5, 5)).toBe(MAX_LIGHT - 3);
+    });
+  });
+});
+
@@ -0,0 +1,177 @@
+import { RandomTicker } from '../RandomTicker';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE, blockIndex } from '../coordinates';
+import { SeasonalSystem, SeasonType } from '../../../modules/environment/SeasonalSystem';
+
+// Voxel coordinate -> world coordinate
+const w = (v) => v * VOXEL_SIZE;
+
+// One chunk with a stone floor at voxel y=0; fill(chunk) adds more before lighting
+function makeWorld(fill = () => {}) {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  for (let lx = 0; lx < 16; lx++) {
+    for (let lz = 0; lz < 16; lz++) chunk.setBlock(lx, 0, lz, BlockTypes.STONE);
+  }
+  fill(chunk);
+  manager.chunks.set(chunk.key, chunk);
+  manager.updateNeighbors(chunk);
+  manager.lightEngine.lightChunk(chunk);
+  manager.playerChunkX = 0;
+  manager.playerChunkZ = 0;
+  return { manager, chunk };
+}
+
+// Random source that plays back the given values, then 0.5
+function sequence(...values) {
+  return () => (values.length > 0 ? values.shift() : 0.5);
+}
+
+const block = (manager, x, y, z) => manager.getBlock(w(x), w(y), w(z));
+
+describe('RandomTicker', () => {
+  it('is created and ticked by ChunkManager', () => {
+    const { manager } = makeWorld();
+    expect(manager.randomTicker).toBeInstanceOf(RandomTicker);
+    manager.update(1);
+    expect(manager.randomTicker.stats.randomTicks).toBeGreaterThan(0);
+  });
+
+  it('only ticks chunks near the player', () => {
+    const { manager } = makeWorld();
+    const ticker = manager.randomTicker;
+    expect(ticker.tick()).toBe(ticker.ticksPerChunk * ticker.tickInterval);
+    manager.playerChunkX = ticker.chunkRadius + 1;
+    expect(ticker.tick()).toBe(0);
+  });
+
+  describe('grass', () => {
+    it('spreads onto lit dirt next to it', () => {
+      const { manager, chunk } = makeWorld((c) => {
+        c.setBlock(5, 1, 5, BlockTypes.DIRT);
+        c.setBlock(6, 1, 5, BlockTypes.GRASS);
+      });
+      const ticker = manager.randomTicker;
+      // Offset (-1, 0, 0) from the grass
+      ticker.random = sequence(0, 0.5, 0.5);
+      ticker.tickBlock(chunk, blockIndex(6, 1, 5));
+      expect(block(manager, 5, 1, 5)).toBe(BlockTypes.GRASS);
+    });
+
+    it('does not spread onto dirt in the dark', () => {
+      const { manager, chunk } = makeWorld((c) => {
+        c.setBlock(5, 1, 5, BlockTypes.DIRT);
+        c.setBlock(6, 1, 5, BlockTypes.GRASS);
+        // Sealed stone room around them
+        for (let x = 3; x <= 8; x++) {
+          for (let z = 3; z <= 7; z++) {
+            for (let y = 1; y <= 3; y++) {
+              const wall = x === 3 || x === 8 || z === 3 || z === 7 || y === 3;
+              if (wall) c.setBlock(x, y, z, BlockTypes.STONE);
+            }
+          }
+        }
+      });
+      const ticker = manager.randomTicker;
+      ticker.random = sequence(0, 0.5, 0.5);
+      ticker.tickBlock(chunk, blockIndex(6, 1, 5));
+      expect(block(manager, 5, 1, 5)).toBe(BlockTypes.DIRT);
+    });
+
+    it('dies back to dirt under an opaque block', () => {
+      const { manager, chunk } = makeWorld((c) => {
+        c.setBlock(5, 1, 5, BlockTypes.GRASS);
+        c.setBlock(5, 2, 5, BlockTypes.STONE);
+      });
+      manager.randomTicker.tickBlock(chunk, blockIndex(5, 1, 5));
+      expect(block(manager, 5, 1, 5)).toBe(BlockTypes.DIRT);
+    });
+  });
+
+  describe('leaves', () => {
+    function tree(c, withTrunk) {
+      if (withTrunk) {
+        for (let y = 1; y <= 4; y++) c.setBlock(8, y, 8, BlockTypes.WOOD);
+      }
+      for (let x = 6; x <= 10; x++) c.setBlock(x, 5, 8, BlockTypes.LEAVES);
+    }
+
+    it('stay while a log is in reach', () => {
+      const { manager, chunk } = makeWorld((c) => tree(c, true));
+      manager.randomTicker.tickBlock(chunk, blockIndex(10, 5, 8));
+      expect(block(manager, 10, 5, 8)).toBe(BlockTypes.LEAVES);
+    });
+
+    it('decay once their trunk is gone', () => {
+      const { manager, chunk } = makeWorld((c) => tree(c, false));
+      manager.randomTicker.tickBlock(chunk, blockIndex(10, 5, 8));
+      expect(block(manager, 10, 5, 8)).toBe(BlockTypes.AIR);
+    });
+
+    it('never decay when placed by the player', () => {
+      const { manager, chunk } = makeWorld((c) => {
+        tree(c, false);
+        c.setBlockState(10, 5, 8, { persistent: true });
+      });
+      manager.randomTicker.tickBlock(chunk, blockIndex(10, 5, 8));
+      expect(block(manager, 10, 5, 8)).toBe(BlockTypes.LEAVES);
+    });
+  });
+
+  it('grows harvested berry bushes back', () => {
+    const { manager, chunk } = makeWorld((c) => c.setBlock(4, 1, 4, BlockTypes.BERRY_BUSH_BARE));
+    const ticker = manager.randomTicker;
+    ticker.random = sequence(0.99);
+    ticker.tickBlock(chunk, blockIndex(4, 1, 4));
+    expect(block(manager, 4, 1, 4)).toBe(BlockTypes.BERRY_BUSH_BARE);
+    ticker.random = sequence(0);
+    ticker.tickBlock(chunk, blockIndex(4, 1, 4));
+    expect(block(manager, 4, 1, 4)).toBe(BlockTypes.BERRY_BUSH);
+  });
+
+  describe('seasons', () => {
+    let manager;
+    let chunk;
+    let seasons;
+
+    beforeEach(() => {
+      ({ manager, chunk } = makeWorld((c) => {
+        c.setBlock(2, 1, 2, BlockTypes.DIRT);
+        c.setBlock(3, 1, 3, BlockTypes.WATER);
+      }));
+      seasons = new SeasonalSystem({ autoProgress: false, daysPerSeason: 2 });
+      manager.randomTicker.seasonalSystem = seasons;
+      manager.randomTicker.biomeAt = () => 'tundra';
+    });
+
+    it('follow the world day number', () => {
+      seasons.syncToDay(1);
+      expect(manager.randomTicker.season).toBe(SeasonType.SPRING);
+      seasons.syncToDay(7);
+      expect(manager.randomTicker.season).toBe(SeasonType.WINTER);
+      seasons.syncToDay(9);
+      expect(manager.randomTicker.season).toBe(SeasonType.SPRING);
+    });
+
+    it('cover tundra ground with snow in winter only', () => {
+      manager.randomTicker.tickBlock(chunk, blockIndex(2, 1, 2));
+      expect(block(manager, 2, 1, 2)).toBe(BlockTypes.DIRT);
+
+      seasons.syncToDay(7);
+      manager.randomTicker.tickBlock(chunk, blockIndex(2, 1, 2));
+      expect(block(manager, 2, 1, 2)).toBe(BlockTypes.SNOW);
+    });
+
+    it('freeze open water in the tundra', () => {
+      manager.randomTicker.biomeAt = () => 'plains';
+      manager.randomTicker.tickBlock(chunk, blockIndex(3, 1, 3));
+      expect(block(manager, 3, 1, 3)).toBe(BlockTypes.WATER);
+
+      manager.randomTicker.biomeAt = () => 'tundra';
+      manager.randomTicker.tickBlock(chunk, blockIndex(3, 1, 3));
+      expect(block(manager, 3, 1, 3)).toBe(BlockTypes.ICE);
+    });
+  });
+});
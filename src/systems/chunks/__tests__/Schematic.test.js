@@ -0,0 +1,72 @@
+import {
+  writeSchematic,
+  readSchematic,
+  encodeSchematic,
+  decodeSchematic,
+  readRegionFile,
+} from '../Schematic';
+import { writeVox } from '../VoxFile';
+import { regionIndex } from '../AreaEditor';
+import { BlockTypes } from '../blockTypes';
+
+// A 3x2x2 region: a stone floor row with a plank on top, the rest air
+function makeRegion() {
+  const size = { x: 3, y: 2, z: 2 };
+  const blocks = new Uint8Array(12);
+  for (let x = 0; x < 3; x++) blocks[regionIndex(size, x, 0, 0)] = BlockTypes.STONE;
+  blocks[regionIndex(size, 1, 1, 0)] = BlockTypes.WOOD_PLANK;
+  return { size, blocks };
+}
+
+describe('Schematic', () => {
+  it('writes blocks by key, run-length encoded', () => {
+    const schematic = writeSchematic(makeRegion(), { name: 'Bench', author: 'ignored' });
+
+    expect(schematic).toMatchObject({ format: 'voxel-schematic', version: 1, name: 'Bench' });
+    expect(schematic.author).toBeUndefined();
+    expect(schematic.palette).toEqual(['AIR', 'STONE', 'WOOD_PLANK']);
+    expect(schematic.blocks).toEqual([3, 1, 4, 0, 1, 2, 4, 0]);
+  });
+
+  it('round-trips through JSON text', () => {
+    const region = makeRegion();
+    const json = JSON.stringify(writeSchematic(region, { id: 'bench', tier: 'SURVIVAL' }));
+    const { region: back, meta } = readSchematic(json);
+
+    expect(back.size).toEqual(region.size);
+    expect(Array.from(back.blocks)).toEqual(Array.from(region.blocks));
+    expect(meta).toEqual({ id: 'bench', tier: 'SURVIVAL' });
+  });
+
+  it('round-trips through the binary format', () => {
+    const region = makeRegion();
+    const { region: back, meta } = decodeSchematic(encodeSchematic(region, { name: 'Bänk' }));
+
+    expect(back.size).toEqual(region.size);
+    expect(Array.from(back.blocks)).toEqual(Array.from(region.blocks));
+    expect(meta).toEqual({ name: 'Bänk' });
+  });
+
+  it('rejects unknown blocks and mismatched data', () => {
+    const schematic = writeSchematic(makeRegion());
+    expect(() => readSchematic({ ...schematic, palette: ['AIR', 'UNOBTAINIUM', 'WOOD_PLANK'] }))
+      .toThrow('unknown block UNOBTAINIUM');
+    expect(() => readSchematic({ ...schematic, blocks: [3, 1] })).toThrow("don't fill");
+    expect(() => readSchematic({ ...schematic, version: 99 })).toThrow('newer');
+    expect(() => readSchematic({ size: schematic.size })).toThrow('not a schematic');
+  });
+
+  it('reads any region file by its contents', () => {
+    const region = makeRegion();
+    const files = [
+      encodeSchematic(region),
+      new TextEncoder().encode(JSON.stringify(writeSchematic(region))).buffer,
+      writeVox(region),
+    ];
+
+    for (const buffer of files) {
+      const { region: back } = readRegionFile(buffer);
+      expect(Array.from(back.blocks)).toEqual(Array.from(region.blocks));
+    }
+  });
+});
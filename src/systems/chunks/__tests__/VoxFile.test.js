@@ -0,0 +1,103 @@
+import { readVox, writeVox, parseVox, matchBlockColor } from '../VoxFile';
+import { regionIndex } from '../AreaEditor';
+import { BlockTypes } from '../blockTypes';
+
+// A 2x2x2 (Y-up) region: two planks along X, a brick on one, stone behind the other
+function makeRegion() {
+  const size = { x: 2, y: 2, z: 2 };
+  const blocks = new Uint8Array(8);
+  blocks[regionIndex(size, 0, 0, 0)] = BlockTypes.WOOD_PLANK;
+  blocks[regionIndex(size, 1, 0, 0)] = BlockTypes.WOOD_PLANK;
+  blocks[regionIndex(size, 0, 1, 0)] = BlockTypes.BRICK;
+  blocks[regionIndex(size, 1, 0, 1)] = BlockTypes.STONE;
+  return { size, blocks };
+}
+
+// Hand-built file: one model with the given voxels and optional palette
+function makeVox(size, voxels, palette = null) {
+  const chunks = [];
+  const chunk = (id, content) => {
+    const bytes = new Uint8Array(12 + content.length);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < 4; i++) bytes[i] = id.charCodeAt(i);
+    view.setInt32(4, content.length, true);
+    bytes.set(content, 12);
+    chunks.push(bytes);
+  };
+  chunk('SIZE', new Uint8Array(new Int32Array([size.x, size.y, size.z]).buffer));
+  chunk('XYZI', new Uint8Array([...new Uint8Array(new Int32Array([voxels.length]).buffer), ...voxels.flat()]));
+  if (palette) {
+    const rgba = new Uint8Array(1024);
+    palette.forEach(([r, g, b], i) => rgba.set([r, g, b, 255], i * 4));
+    chunk('RGBA', rgba);
+  }
+
+  const children = chunks.reduce((sum, c) => sum + c.length, 0);
+  const out = new Uint8Array(20 + children);
+  const view = new DataView(out.buffer);
+  out.set([86, 79, 88, 32], 0); // 'VOX '
+  view.setInt32(4, 150, true);
+  out.set([77, 65, 73, 78], 8); // 'MAIN'
+  view.setInt32(16, children, true);
+  let offset = 20;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out.buffer;
+}
+
+describe('VoxFile', () => {
+  it('round-trips a region through a .vox file', () => {
+    const region = makeRegion();
+    const buffer = writeVox(region);
+
+    const { models, palette } = parseVox(buffer);
+    expect(models).toHaveLength(1);
+    // Z-up on disk
+    expect(models[0].size).toEqual({ x: 2, y: 2, z: 2 });
+    expect(palette).toHaveLength(256);
+
+    const back = readVox(buffer);
+    expect(back.size).toEqual(region.size);
+    expect(Array.from(back.blocks)).toEqual(Array.from(region.blocks));
+  });
+
+  it('stands Z-up models upright without mirroring them', () => {
+    // Voxel at x=1, y=0 (front), z=2 (top) of a 2x3x3 model
+    const buffer = makeVox({ x: 2, y: 3, z: 3 }, [[1, 0, 2, 1]], [[128, 128, 128]]);
+    const region = readVox(buffer);
+
+    expect(region.size).toEqual({ x: 2, y: 3, z: 3 });
+    // -90° around X: (x, y, z) -> (x, z, -y)
+    expect(region.blocks[regionIndex(region.size, 1, 2, 2)]).toBe(BlockTypes.STONE);
+  });
+
+  it('maps palette colors to the nearest building block', () => {
+    expect(matchBlockColor([128, 128, 128])).toBe(BlockTypes.STONE);
+    expect(matchBlockColor([180, 80, 70])).toBe(BlockTypes.BRICK);
+    // Never a liquid, ore or marker
+    expect(matchBlockColor([40, 100, 210])).not.toBe(BlockTypes.WATER);
+    expect(matchBlockColor([200, 180, 40])).not.toBe(BlockTypes.GOLD_ORE);
+  });
+
+  it('prefers the mapping table over colors', () => {
+    const buffer = makeVox({ x: 1, y: 1, z: 2 }, [[0, 0, 0, 1], [0, 0, 1, 2]], [[128, 128, 128], [128, 128, 128]]);
+    const region = readVox(buffer, { mapping: { 2: 'THATCH' } });
+
+    expect(region.blocks[regionIndex(region.size, 0, 0, 0)]).toBe(BlockTypes.STONE);
+    expect(region.blocks[regionIndex(region.size, 0, 1, 0)]).toBe(BlockTypes.THATCH);
+    expect(() => readVox(buffer, { mapping: { 2: 'NOT_A_BLOCK' } })).toThrow('unknown block');
+  });
+
+  it('needs a mapping for files without a palette', () => {
+    const buffer = makeVox({ x: 1, y: 1, z: 1 }, [[0, 0, 0, 7]]);
+    expect(() => readVox(buffer)).toThrow('no palette');
+    expect(readVox(buffer, { mapping: { 7: BlockTypes.COBBLESTONE } }).blocks[0]).toBe(BlockTypes.COBBLESTONE);
+  });
+
+  it('rejects non-.vox files and regions too big for one', () => {
+    expect(() => readVox(new ArrayBuffer(32))).toThrow('not a MagicaVoxel file');
+    expect(() => writeVox({ size: { x: 300, y: 1, z: 1 }, blocks: new Uint8Array(300) })).toThrow();
+  });
+});
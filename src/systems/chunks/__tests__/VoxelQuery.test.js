@@ -0,0 +1,121 @@
+import {
+  raycast, hasLineOfSight, queryBox, querySphere, findNearestBlock, faceFromNormal, voxelCenter,
+} from '../VoxelQuery';
+import { ChunkManager } from '../ChunkManager';
+import { Chunk } from '../Chunk';
+import { BlockTypes } from '../blockTypes';
+import { VOXEL_SIZE } from '../coordinates';
+
+// Voxel coordinate -> world coordinate (voxel center)
+const w = (v) => v * VOXEL_SIZE + VOXEL_SIZE / 2;
+const at = (x, y, z) => ({ x: w(x), y: w(y), z: w(z) });
+
+// One chunk with a stone floor at voxel y=0; fill(chunk) adds more
+function makeWorld(fill = () => {}) {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  for (let lx = 0; lx < 16; lx++) {
+    for (let lz = 0; lz < 16; lz++) chunk.setBlock(lx, 0, lz, BlockTypes.STONE);
+  }
+  fill(chunk);
+  manager.chunks.set(chunk.key, chunk);
+  return manager;
+}
+
+describe('VoxelQuery', () => {
+  describe('raycast', () => {
+    it('hits the first solid block with its face and entry point', () => {
+      const manager = makeWorld((c) => c.setBlock(8, 2, 4, BlockTypes.DIRT));
+      const hit = manager.raycast(at(2, 2, 4), { x: 1, y: 0, z: 0 }, 40);
+
+      expect(hit.blockType).toBe(BlockTypes.DIRT);
+      expect(hit.voxel).toEqual({ x: 8, y: 2, z: 4 });
+      expect(hit.face).toBe('west');
+      expect(hit.normal).toEqual({ x: -1, y: 0, z: 0 });
+      expect(hit.adjacent).toEqual({ x: 7, y: 2, z: 4 });
+      expect(hit.position.x).toBeCloseTo(8 * VOXEL_SIZE);
+      expect(hit.distance).toBeCloseTo(5.5 * VOXEL_SIZE);
+    });
+
+    it('stops at the max distance', () => {
+      const manager = makeWorld((c) => c.setBlock(8, 2, 4, BlockTypes.DIRT));
+      expect(raycast(manager, at(2, 2, 4), { x: 1, y: 0, z: 0 }, 5 * VOXEL_SIZE)).toBeNull();
+    });
+
+    it('finds the floor on a steep diagonal without skipping corners', () => {
+      const manager = makeWorld();
+      const hit = raycast(manager, at(4, 5, 4), { x: 0.3, y: -1, z: 0.2 }, 40);
+      expect(hit.voxel.y).toBe(0);
+      expect(hit.face).toBe('top');
+    });
+
+    it('reports a start inside a block as facing back along the ray', () => {
+      const manager = makeWorld();
+      const hit = raycast(manager, at(4, 0, 4), { x: 0, y: 1, z: 0 }, 10);
+      expect(hit.distance).toBe(0);
+      expect(hit.adjacent).toBeNull();
+      expect(hit.face).toBe('bottom');
+      expect(raycast(manager, at(4, 0, 4), { x: 0, y: -1, z: 0 }, 10, { skipOrigin: true })).toBeNull();
+    });
+
+    it('matches block types, lists and predicates', () => {
+      const manager = makeWorld((c) => {
+        c.setBlock(5, 1, 4, BlockTypes.DIRT);
+        c.setBlock(7, 1, 4, BlockTypes.SAND);
+      });
+      const ray = [at(2, 1, 4), { x: 1, y: 0, z: 0 }, 40];
+      expect(raycast(manager, ...ray, { match: BlockTypes.SAND }).voxel.x).toBe(7);
+      expect(raycast(manager, ...ray, { match: [BlockTypes.SAND, BlockTypes.DIRT] }).voxel.x).toBe(5);
+      expect(raycast(manager, ...ray, { match: (b) => b === BlockTypes.SAND }).voxel.x).toBe(7);
+    });
+  });
+
+  describe('hasLineOfSight', () => {
+    it('is blocked by opaque blocks but not glass', () => {
+      const manager = makeWorld((c) => c.setBlock(6, 2, 4, BlockTypes.STONE));
+      expect(hasLineOfSight(manager, at(2, 2, 4), at(10, 2, 4))).toBe(false);
+      expect(hasLineOfSight(manager, at(2, 3, 4), at(10, 3, 4))).toBe(true);
+
+      const glassWorld = makeWorld((c) => c.setBlock(6, 2, 4, BlockTypes.GLASS));
+      expect(glassWorld.hasLineOfSight(at(2, 2, 4), at(10, 2, 4))).toBe(true);
+    });
+
+    it('ignores the blocks the two ends stand in', () => {
+      const manager = makeWorld();
+      expect(hasLineOfSight(manager, at(2, 0, 4), at(10, 0, 4))).toBe(false);
+      expect(hasLineOfSight(manager, at(2, 0, 4), at(3, 0, 4))).toBe(true);
+    });
+  });
+
+  describe('volume queries', () => {
+    it('lists the blocks overlapping a box', () => {
+      const manager = makeWorld((c) => c.setBlock(4, 1, 4, BlockTypes.DIRT));
+      const blocks = queryBox(manager, { x: w(3), y: w(1), z: w(3) }, { x: w(5), y: w(2), z: w(5) });
+      expect(blocks).toEqual([{ blockType: BlockTypes.DIRT, voxel: { x: 4, y: 1, z: 4 } }]);
+    });
+
+    it('lists the blocks overlapping a sphere', () => {
+      const manager = makeWorld();
+      // Touches the floor voxel under its center only
+      const blocks = manager.querySphere(at(4, 1, 4), VOXEL_SIZE * 0.6);
+      expect(blocks.map((b) => b.voxel)).toEqual([{ x: 4, y: 0, z: 4 }]);
+      expect(querySphere(manager, at(4, 3, 4), VOXEL_SIZE)).toEqual([]);
+    });
+
+    it('finds the nearest block of a type', () => {
+      const manager = makeWorld((c) => {
+        c.setBlock(2, 1, 2, BlockTypes.CAMPFIRE);
+        c.setBlock(6, 1, 6, BlockTypes.CAMPFIRE);
+      });
+      const nearest = findNearestBlock(manager, at(7, 1, 7), 10 * VOXEL_SIZE, BlockTypes.CAMPFIRE);
+      expect(nearest.voxel).toEqual({ x: 6, y: 1, z: 6 });
+      expect(nearest.position).toEqual(voxelCenter({ x: 6, y: 1, z: 6 }));
+      expect(manager.findNearestBlock(at(12, 1, 12), 2 * VOXEL_SIZE, BlockTypes.CAMPFIRE)).toBeNull();
+    });
+  });
+
+  it('names faces by normal', () => {
+    expect(faceFromNormal({ x: 0, y: 0, z: 1 })).toBe('north');
+    expect(faceFromNormal({ x: 0, y: -1, z: 0 })).toBe('bottom');
+  });
+});
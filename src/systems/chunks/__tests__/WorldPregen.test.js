@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { getPregenColumns, pregenerateWorld, collectWorldStats } from '../WorldPregen';
+import { generateTerrain } from '../generation/terrainGenerator';
+import { getRiftPositions } from '../generation/riftCorruption';
+import { CHUNK_SIZE_CUBED, WORLD_MIN_CHUNK_Y, WORLD_MAX_CHUNK_Y } from '../coordinates';
+
+const SEED = 12345;
+const LAYERS = WORLD_MAX_CHUNK_Y - WORLD_MIN_CHUNK_Y + 1;
+
+describe('WorldPregen', () => {
+  it('lists the columns in a disc, nearest first', () => {
+    const columns = getPregenColumns(2, 5, -3);
+    expect(columns).toHaveLength(13);
+    expect(columns[0]).toEqual({ chunkX: 5, chunkZ: -3 });
+    expect(columns.some((c) => c.chunkX === 7 && c.chunkZ === -1)).toBe(false);
+  });
+
+  it('generates every layer of each column with the chunk generator', () => {
+    const world = pregenerateWorld({ seed: SEED, radius: 1 });
+    expect(world.chunks).toHaveLength(5 * LAYERS);
+
+    const chunk = world.chunks.find((c) => c.x === 1 && c.y === 0 && c.z === 0);
+    expect(chunk.blocks).toEqual(generateTerrain({ chunkX: 1, chunkY: 0, chunkZ: 0, seed: SEED }).blocks);
+  });
+
+  it('spawns the player in the air above the center column', () => {
+    const { spawn, chunks } = pregenerateWorld({ seed: SEED, radius: 0, centerX: 2, centerZ: -1 });
+    expect(chunks).toHaveLength(LAYERS);
+    expect(spawn[0]).toBeGreaterThan(2 * 32);
+    expect(spawn[0]).toBeLessThan(3 * 32);
+    expect(spawn[2]).toBeLessThan(0);
+    expect(spawn[1]).toBeGreaterThan(0);
+  });
+
+  it('rejects a bad seed or radius', () => {
+    expect(() => pregenerateWorld({ seed: 1.5, radius: 1 })).toThrow(/seed must be an integer/);
+    expect(() => pregenerateWorld({ seed: SEED, radius: -1 })).toThrow(/radius/);
+  });
+
+  it('counts blocks, ores, structures and rifts', () => {
+    const world = pregenerateWorld({ seed: SEED, radius: 1 });
+    const stats = collectWorldStats(world);
+
+    expect(stats.columns).toBe(5);
+    expect(Object.values(stats.blocks).reduce((sum, n) => sum + n, 0)).toBe(world.chunks.length * CHUNK_SIZE_CUBED);
+    expect(Object.keys(stats.blocks)[0]).toBe('AIR');
+    expect(stats.ores.COAL_ORE).toBe(stats.blocks.COAL_ORE ?? 0);
+    expect(Object.keys(stats.ores)).toEqual(expect.arrayContaining(['COAL_ORE', 'IRON_ORE']));
+    expect(stats.blocks.BEDROCK).toBeGreaterThan(0);
+
+    // Same rifts the terrain corruption pass uses
+    expect(stats.rifts.map(({ x, z }) => ({ x, z }))).toEqual(getRiftPositions(SEED).map(({ x, z }) => ({ x, z })));
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  StateKind, Facing, Axis, SIGN_TEXT_MAX_LENGTH,
+  getStateKind, createBlockState, facingFromDirection, placementState, packState, sanitizeSignText,
+} from '../blockStates';
+import { BlockTypes } from '../blockTypes';
+
+describe('blockStates', () => {
+  it('reads state kinds from the block registry', () => {
+    expect(getStateKind(BlockTypes.WOOD_STAIRS)).toBe(StateKind.STAIRS);
+    expect(getStateKind(BlockTypes.CHEST)).toBe(StateKind.CONTAINER);
+    expect(getStateKind(BlockTypes.STONE)).toBeNull();
+  });
+
+  it('creates fresh states per kind', () => {
+    expect(createBlockState(StateKind.DOOR, { facing: Facing.WEST })).toEqual({ facing: Facing.WEST, open: false });
+    expect(createBlockState(StateKind.LOG, { axis: Axis.X })).toEqual({ axis: Axis.X });
+    expect(createBlockState(StateKind.CONTAINER).items).toEqual({});
+    expect(createBlockState('unknown')).toBeNull();
+  });
+
+  it('picks the facing closest to a direction', () => {
+    expect(facingFromDirection(0, 5)).toBe(Facing.NORTH);
+    expect(facingFromDirection(5, 1)).toBe(Facing.EAST);
+    expect(facingFromDirection(0, -5)).toBe(Facing.SOUTH);
+    expect(facingFromDirection(-5, 1)).toBe(Facing.WEST);
+  });
+
+  describe('placementState', () => {
+    it('turns doors toward the player and stairs away', () => {
+      expect(placementState(BlockTypes.WOOD_DOOR, { dx: 4, dz: 0 }).facing).toBe(Facing.EAST);
+      expect(placementState(BlockTypes.WOOD_STAIRS, { dx: 4, dz: 0 }).facing).toBe(Facing.WEST);
+    });
+
+    it('lays logs along the clicked face', () => {
+      expect(placementState(BlockTypes.WOOD, { face: 'east' }).axis).toBe(Axis.X);
+      expect(placementState(BlockTypes.WOOD, { face: 'top' }).axis).toBe(Axis.Y);
+    });
+
+    it('returns null for plain blocks', () => {
+      expect(placementState(BlockTypes.STONE, { face: 'top' })).toBeNull();
+    });
+  });
+
+  it('packs orientation and open flag into a byte', () => {
+    expect(packState(StateKind.DOOR, { facing: Facing.SOUTH, open: true })).toBe(2 | 4);
+    expect(packState(StateKind.LOG, { axis: Axis.Y })).toBe(0);
+    expect(packState(StateKind.LOG, { axis: Axis.Z })).toBe(2);
+    expect(packState(StateKind.CONTAINER, { items: { wood: 3 } })).toBe(0);
+  });
+
+  it('cleans up sign text', () => {
+    expect(sanitizeSignText('  Town\nHall ')).toBe('Town Hall');
+    expect(sanitizeSignText('x'.repeat(100))).toHaveLength(SIGN_TEXT_MAX_LENGTH);
+    expect(sanitizeSignText(null)).toBe('');
+  });
+});
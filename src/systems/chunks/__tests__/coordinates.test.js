@@ -2,12 +2,18 @@ import {
   CHUNK_SIZE,
   CHUNK_SIZE_Y,
   VOXEL_SIZE,
+  WORLD_MIN_CHUNK_Y,
+  WORLD_MAX_CHUNK_Y,
+  WORLD_MIN_Y,
+  WORLD_MAX_Y,
   worldToChunk,
+  worldToChunkY,
   worldToLocal,
   localToWorld,
   chunkOriginWorld,
   chunkKey,
   parseChunkKey,
+  isChunkYInWorld,
   blockIndex,
   indexToLocal,
   chunkDistance,
@@ -21,9 +27,25 @@ describe('coordinates', () => {
   describe('constants', () => {
     it('has expected chunk dimensions', () => {
       expect(CHUNK_SIZE).toBe(16);
-      expect(CHUNK_SIZE_Y).toBe(32);
+      expect(CHUNK_SIZE_Y).toBe(16);
       expect(VOXEL_SIZE).toBe(2);
     });
+
+    it('derives voxel world bounds from chunk bounds', () => {
+      expect(WORLD_MIN_Y).toBe(WORLD_MIN_CHUNK_Y * CHUNK_SIZE_Y);
+      expect(WORLD_MAX_Y).toBe((WORLD_MAX_CHUNK_Y + 1) * CHUNK_SIZE_Y);
+      expect(WORLD_MIN_Y).toBeLessThan(0);
+    });
+  });
+
+  describe('worldToChunkY', () => {
+    it('maps world Y to stacked chunk layers', () => {
+      // One chunk is 16 voxels = 32 world units tall
+      expect(worldToChunkY(0)).toBe(0);
+      expect(worldToChunkY(31)).toBe(0);
+      expect(worldToChunkY(32)).toBe(1);
+      expect(worldToChunkY(-1)).toBe(-1);
+    });
   });
 
   describe('worldToChunk', () => {
@@ -53,6 +75,7 @@ describe('coordinates', () => {
       expect(result.y).toBe(0);
       expect(result.z).toBe(0);
       expect(result.chunkX).toBe(0);
+      expect(result.chunkY).toBe(0);
       expect(result.chunkZ).toBe(0);
     });
 
@@ -65,50 +88,68 @@ describe('coordinates', () => {
       expect(result.z).toBe(1);
     });
 
-    it('clamps Y to valid range', () => {
-      const result = worldToLocal(0, -10, 0);
-      expect(result.y).toBe(0);
+    it('wraps Y into stacked chunks', () => {
+      // World -2 → voxel -1 → chunk -1, local 15
+      const below = worldToLocal(0, -2, 0);
+      expect(below.chunkY).toBe(-1);
+      expect(below.y).toBe(CHUNK_SIZE_Y - 1);
 
+      // World 100 → voxel 50 → chunk 3, local 2
       const high = worldToLocal(0, 100, 0);
-      expect(high.y).toBe(CHUNK_SIZE_Y - 1);
+      expect(high.chunkY).toBe(3);
+      expect(high.y).toBe(2);
     });
   });
 
   describe('localToWorld', () => {
     it('converts chunk 0,0 local 0,0,0 to world center of voxel', () => {
-      const result = localToWorld(0, 0, 0, 0, 0);
+      const result = localToWorld(0, 0, 0, 0, 0, 0);
       expect(result.x).toBe(VOXEL_SIZE / 2);
       expect(result.y).toBe(VOXEL_SIZE / 2);
       expect(result.z).toBe(VOXEL_SIZE / 2);
     });
 
-    it('converts chunk 1,1 local 0,0,0', () => {
-      const result = localToWorld(1, 1, 0, 0, 0);
+    it('converts chunk 1,1,1 local 0,0,0', () => {
+      const result = localToWorld(1, 1, 1, 0, 0, 0);
       expect(result.x).toBe(CHUNK_SIZE * VOXEL_SIZE + VOXEL_SIZE / 2);
+      expect(result.y).toBe(CHUNK_SIZE_Y * VOXEL_SIZE + VOXEL_SIZE / 2);
       expect(result.z).toBe(CHUNK_SIZE * VOXEL_SIZE + VOXEL_SIZE / 2);
     });
   });
 
   describe('chunkOriginWorld', () => {
-    it('returns origin for chunk 0,0', () => {
-      expect(chunkOriginWorld(0, 0)).toEqual({ x: 0, y: 0, z: 0 });
+    it('returns origin for chunk 0,0,0', () => {
+      expect(chunkOriginWorld(0, 0, 0)).toEqual({ x: 0, y: 0, z: 0 });
     });
 
     it('scales by chunk size and voxel size', () => {
-      const result = chunkOriginWorld(1, 2);
+      const result = chunkOriginWorld(1, -1, 2);
       expect(result.x).toBe(CHUNK_SIZE * VOXEL_SIZE);
+      expect(result.y).toBe(-CHUNK_SIZE_Y * VOXEL_SIZE);
       expect(result.z).toBe(2 * CHUNK_SIZE * VOXEL_SIZE);
     });
   });
 
   describe('chunkKey / parseChunkKey', () => {
     it('creates key from coordinates', () => {
-      expect(chunkKey(3, -5)).toBe('3,-5');
+      expect(chunkKey(3, 1, -5)).toBe('3,1,-5');
     });
 
     it('round-trips through parse', () => {
-      const key = chunkKey(7, -2);
-      expect(parseChunkKey(key)).toEqual({ chunkX: 7, chunkZ: -2 });
+      const key = chunkKey(7, -1, -2);
+      expect(parseChunkKey(key)).toEqual({ chunkX: 7, chunkY: -1, chunkZ: -2 });
+    });
+  });
+
+  describe('isChunkYInWorld', () => {
+    it('accepts layers inside the world bounds', () => {
+      expect(isChunkYInWorld(WORLD_MIN_CHUNK_Y)).toBe(true);
+      expect(isChunkYInWorld(WORLD_MAX_CHUNK_Y)).toBe(true);
+    });
+
+    it('rejects layers outside the world bounds', () => {
+      expect(isChunkYInWorld(WORLD_MIN_CHUNK_Y - 1)).toBe(false);
+      expect(isChunkYInWorld(WORLD_MAX_CHUNK_Y + 1)).toBe(false);
     });
   });
 
@@ -132,7 +173,7 @@ describe('coordinates', () => {
 
     it('handles all corners', () => {
       expect(indexToLocal(blockIndex(0, 0, 0))).toEqual({ x: 0, y: 0, z: 0 });
-      expect(indexToLocal(blockIndex(15, 31, 15))).toEqual({ x: 15, y: 31, z: 15 });
+      expect(indexToLocal(blockIndex(15, 15, 15))).toEqual({ x: 15, y: 15, z: 15 });
     });
   });
 
@@ -153,7 +194,7 @@ describe('coordinates', () => {
   describe('isInBounds', () => {
     it('accepts valid coordinates', () => {
       expect(isInBounds(0, 0, 0)).toBe(true);
-      expect(isInBounds(15, 31, 15)).toBe(true);
+      expect(isInBounds(15, 15, 15)).toBe(true);
       expect(isInBounds(8, 8, 8)).toBe(true);
     });
 
@@ -162,29 +203,37 @@ describe('coordinates', () => {
       expect(isInBounds(0, -1, 0)).toBe(false);
       expect(isInBounds(0, 0, -1)).toBe(false);
       expect(isInBounds(16, 0, 0)).toBe(false);
-      expect(isInBounds(0, 32, 0)).toBe(false);
+      expect(isInBounds(0, 16, 0)).toBe(false);
       expect(isInBounds(0, 0, 16)).toBe(false);
     });
   });
 
   describe('getChunksInRadius', () => {
     it('returns correct count for radius 1', () => {
-      const chunks = getChunksInRadius(0, 0, 1);
-      // (2*1+1)^2 = 9
-      expect(chunks).toHaveLength(9);
+      const chunks = getChunksInRadius(0, 0, 0, 1, 1);
+      // (2*1+1)^3 = 27
+      expect(chunks).toHaveLength(27);
     });
 
     it('includes center chunk', () => {
-      const chunks = getChunksInRadius(5, 5, 1);
-      expect(chunks).toContainEqual({ chunkX: 5, chunkZ: 5 });
+      const chunks = getChunksInRadius(5, 0, 5, 1, 1);
+      expect(chunks).toContainEqual({ chunkX: 5, chunkY: 0, chunkZ: 5 });
+    });
+
+    it('clamps the vertical range to the world bounds', () => {
+      const chunks = getChunksInRadius(0, WORLD_MAX_CHUNK_Y, 0, 0, 2);
+      const layers = chunks.map(c => c.chunkY);
+      expect(Math.max(...layers)).toBe(WORLD_MAX_CHUNK_Y);
+      expect(layers).toHaveLength(3);
     });
   });
 
   describe('getChunksInRadiusSorted', () => {
     it('sorts by distance from center', () => {
-      const chunks = getChunksInRadiusSorted(0, 0, 2);
+      const chunks = getChunksInRadiusSorted(0, 0, 0, 2, 1);
       // First should be center (distance 0)
       expect(chunks[0].chunkX).toBe(0);
+      expect(chunks[0].chunkY).toBe(0);
       expect(chunks[0].chunkZ).toBe(0);
       expect(chunks[0].distanceSq).toBe(0);
 
@@ -0,0 +1,194 @@
+/**
+ * Block states - Per-block data that doesn't fit in a block ID
+ *
+ * Some blocks carry data next to their ID: which way stairs, doors, signs
+ * and furnaces face, whether a door is open, which way a log lies, a
+ * sign's text and a container's inventory. Chunks keep it in a sparse map
+ * from block index to a plain object (Chunk.getBlockState), saved with the
+ * chunk and dropped when the block is replaced. The kind of state a block
+ * has comes from its `state` field in config/blocks/blocks.json.
+ *
+ * States by kind:
+ *   stairs    { facing }              - facing is the side the steps climb toward
+ *   log       { axis }                - 'x', 'y' or 'z'; logs without a state stand upright
+ *   door      { facing, open }
+ *   trapdoor  { facing, open }
+ *   sign      { facing, text }
+ *   furnace   { facing }
+ *   container { items, capacity }     - items is { material: amount }
+ *   leaves    { persistent }          - placed by the player, so they never decay
+ *
+ * The mesher only needs orientation, so chunks hand the worker one byte
+ * per block (packState): bits 0-1 facing or axis, bit 2 open.
+ */
+
+import { blockRegistry } from './BlockRegistry.js';
+import { CONTAINER_CAPACITY } from '../../data/tuning.js';
+
+export const StateKind = {
+  STAIRS: 'stairs',
+  LOG: 'log',
+  DOOR: 'door',
+  TRAPDOOR: 'trapdoor',
+  SIGN: 'sign',
+  FURNACE: 'furnace',
+  CONTAINER: 'container',
+  LEAVES: 'leaves',
+};
+
+// Horizontal directions, clockwise from north (+Z)
+export const Facing = {
+  NORTH: 0,
+  EAST: 1,
+  SOUTH: 2,
+  WEST: 3,
+};
+
+export const Axis = {
+  X: 'x',
+  Y: 'y',
+  Z: 'z',
+};
+
+// Longest sign text, in characters
+export const SIGN_TEXT_MAX_LENGTH = 64;
+
+// Axis -> packed bits; Y is 0 so logs without a state stand upright
+const AXIS_BITS = { y: 0, x: 1, z: 2 };
+
+// Kinds whose orientation is a facing
+const FACING_KINDS = new Set([
+  StateKind.STAIRS, StateKind.DOOR, StateKind.TRAPDOOR, StateKind.SIGN, StateKind.FURNACE,
+]);
+
+/**
+ * Get the kind of state a block carries
+ * @param {number} blockType
+ * @returns {string | null} StateKind value, or null for plain blocks
+ */
+export function getStateKind(blockType) {
+  return blockRegistry.getStateKind(blockType);
+}
+
+/**
+ * Create the state a freshly placed block starts with
+ * @param {string} kind - StateKind value
+ * @param {Object} options
+ * @param {number} options.facing - Facing value (default NORTH)
+ * @param {string} options.axis - Axis value (default Y)
+ * @returns {Object | null} New state, or null for unknown kinds
+ */
+export function createBlockState(kind, { facing = Facing.NORTH, axis = Axis.Y } = {}) {
+  switch (kind) {
+    case StateKind.STAIRS:
+    case StateKind.FURNACE:
+      return { facing };
+    case StateKind.LOG:
+      return { axis };
+    case StateKind.DOOR:
+    case StateKind.TRAPDOOR:
+      return { facing, open: false };
+    case StateKind.SIGN:
+      return { facing, text: '' };
+    case StateKind.CONTAINER:
+      return { items: {}, capacity: CONTAINER_CAPACITY };
+    case StateKind.LEAVES:
+      return { persistent: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the facing closest to a horizontal direction
+ * @param {number} dx - World X component
+ * @param {number} dz - World Z component
+ * @returns {number} Facing value
+ */
+export function facingFromDirection(dx, dz) {
+  if (Math.abs(dx) > Math.abs(dz)) {
+    return dx > 0 ? Facing.EAST : Facing.WEST;
+  }
+  return dz >= 0 ? Facing.NORTH : Facing.SOUTH;
+}
+
+/**
+ * Get the facing on the other side of a block
+ * @param {number} facing
+ * @returns {number}
+ */
+export function oppositeFacing(facing) {
+  return (facing + 2) & 3;
+}
+
+/**
+ * Get the axis a block face's normal lies along
+ * @param {string} face - 'top' | 'bottom' | 'north' | 'south' | 'east' | 'west'
+ * @returns {string} Axis value
+ */
+export function axisFromFace(face) {
+  if (face === 'east' || face === 'west') return Axis.X;
+  if (face === 'north' || face === 'south') return Axis.Z;
+  return Axis.Y;
+}
+
+/**
+ * Work out the state for a block the player is placing: doors, signs and
+ * furnaces face the player, stairs climb away from them, logs lie along
+ * the clicked face's normal, containers start empty, leaves never decay
+ * @param {number} blockType
+ * @param {Object} placement
+ * @param {string} placement.face - Face of the block clicked to place against
+ * @param {number} placement.dx - X offset from the new block to the player
+ * @param {number} placement.dz - Z offset from the new block to the player
+ * @returns {Object | null} State, or null for blocks without one
+ */
+export function placementState(blockType, { face = 'top', dx = 0, dz = 0 } = {}) {
+  const kind = getStateKind(blockType);
+  if (!kind) return null;
+  const towardPlayer = facingFromDirection(dx, dz);
+  return createBlockState(kind, {
+    facing: kind === StateKind.STAIRS ? oppositeFacing(towardPlayer) : towardPlayer,
+    axis: axisFromFace(face),
+  });
+}
+
+/**
+ * Pack the parts of a state the mesher draws into one byte
+ * @param {string} kind - StateKind value
+ * @param {Object} state
+ * @returns {number} Bits 0-1 facing or axis, bit 2 open
+ */
+export function packState(kind, state) {
+  if (!state) return 0;
+  if (kind === StateKind.LOG) return AXIS_BITS[state.axis] ?? 0;
+  if (!FACING_KINDS.has(kind)) return 0;
+  return (state.facing & 3) | (state.open ? 4 : 0);
+}
+
+/**
+ * Count the items in a container state
+ * @param {Object} state - Container state
+ * @returns {number}
+ */
+export function containerUsed(state) {
+  let used = 0;
+  for (const amount of Object.values(state?.items ?? {})) used += amount;
+  return used;
+}
+
+/**
+ * Clean up sign text typed by the player
+ * @param {string} text
+ * @returns {string}
+ */
+export function sanitizeSignText(text) {
+  // Control characters (newlines, tabs, ...) become spaces
+  const printable = Array.from(String(text ?? ''), ch => {
+    const code = ch.charCodeAt(0);
+    return code < 32 || code === 127 ? ' ' : ch;
+  }).join('');
+  return printable
+    .trim()
+    .slice(0, SIGN_TEXT_MAX_LENGTH);
+}
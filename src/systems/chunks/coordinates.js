@@ -3,16 +3,27 @@
  *
  * Three coordinate spaces:
  * 1. World coordinates (float) - Used by physics, rendering
- * 2. Chunk coordinates (int) - Identifies which chunk
+ * 2. Chunk coordinates (int) - Identifies which chunk (x, y, z)
  * 3. Local coordinates (int, 0-15) - Position within chunk
+ *
+ * Chunks are 16³ cubes stacked vertically. A "column" is every chunk
+ * sharing the same chunkX/chunkZ.
  */
 
 // Chunk dimensions
 export const CHUNK_SIZE = 16;
-export const CHUNK_SIZE_Y = 32; // Taller chunks for proper underground depth
+export const CHUNK_SIZE_Y = 16; // Cubic chunks — stack vertically for height
 export const CHUNK_SIZE_SQ = CHUNK_SIZE * CHUNK_SIZE;
 export const CHUNK_SIZE_CUBED = CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE_Y;
 
+// Vertical world bounds (in chunks, inclusive)
+export const WORLD_MIN_CHUNK_Y = -2;
+export const WORLD_MAX_CHUNK_Y = 3;
+
+// Vertical world bounds (in voxels, max is exclusive)
+export const WORLD_MIN_Y = WORLD_MIN_CHUNK_Y * CHUNK_SIZE_Y;
+export const WORLD_MAX_Y = (WORLD_MAX_CHUNK_Y + 1) * CHUNK_SIZE_Y;
+
 // World scale
 export const VOXEL_SIZE = 2; // World units per voxel
 
@@ -33,12 +44,21 @@ export function worldToChunk(worldX, worldZ) {
   };
 }
 
+/**
+ * Convert world Y position to chunk Y coordinate
+ * @param {number} worldY - World Y position
+ * @returns {number}
+ */
+export function worldToChunkY(worldY) {
+  return Math.floor(Math.floor(worldY / VOXEL_SIZE) / CHUNK_SIZE_Y);
+}
+
 /**
  * Convert world position to local block coordinates within a chunk
  * @param {number} worldX - World X position
  * @param {number} worldY - World Y position
  * @param {number} worldZ - World Z position
- * @returns {{x: number, y: number, z: number, chunkX: number, chunkZ: number}}
+ * @returns {{x: number, y: number, z: number, chunkX: number, chunkY: number, chunkZ: number}}
  */
 export function worldToLocal(worldX, worldY, worldZ) {
   // Convert to voxel space
@@ -48,14 +68,16 @@ export function worldToLocal(worldX, worldY, worldZ) {
 
   // Get chunk coordinates
   const chunkX = Math.floor(voxelX / CHUNK_SIZE);
+  const chunkY = Math.floor(voxelY / CHUNK_SIZE_Y);
   const chunkZ = Math.floor(voxelZ / CHUNK_SIZE);
 
   // Get local coordinates (handle negative correctly with modulo)
   return {
     x: ((voxelX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE,
-    y: Math.max(0, Math.min(CHUNK_SIZE_Y - 1, voxelY)),
+    y: ((voxelY % CHUNK_SIZE_Y) + CHUNK_SIZE_Y) % CHUNK_SIZE_Y,
     z: ((voxelZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE,
     chunkX,
+    chunkY,
     chunkZ,
   };
 }
@@ -63,16 +85,17 @@ export function worldToLocal(worldX, worldY, worldZ) {
 /**
  * Convert chunk + local coordinates to world position (block center)
  * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkY - Chunk Y coordinate
  * @param {number} chunkZ - Chunk Z coordinate
  * @param {number} localX - Local X (0-15)
  * @param {number} localY - Local Y (0-15)
  * @param {number} localZ - Local Z (0-15)
  * @returns {{x: number, y: number, z: number}}
  */
-export function localToWorld(chunkX, chunkZ, localX, localY, localZ) {
+export function localToWorld(chunkX, chunkY, chunkZ, localX, localY, localZ) {
   return {
     x: (chunkX * CHUNK_SIZE + localX) * VOXEL_SIZE + VOXEL_SIZE / 2,
-    y: localY * VOXEL_SIZE + VOXEL_SIZE / 2,
+    y: (chunkY * CHUNK_SIZE_Y + localY) * VOXEL_SIZE + VOXEL_SIZE / 2,
     z: (chunkZ * CHUNK_SIZE + localZ) * VOXEL_SIZE + VOXEL_SIZE / 2,
   };
 }
@@ -80,13 +103,14 @@ export function localToWorld(chunkX, chunkZ, localX, localY, localZ) {
 /**
  * Get chunk origin in world coordinates (corner, not center)
  * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkY - Chunk Y coordinate
  * @param {number} chunkZ - Chunk Z coordinate
  * @returns {{x: number, y: number, z: number}}
  */
-export function chunkOriginWorld(chunkX, chunkZ) {
+export function chunkOriginWorld(chunkX, chunkY, chunkZ) {
   return {
     x: chunkX * CHUNK_SIZE * VOXEL_SIZE,
-    y: 0,
+    y: chunkY * CHUNK_SIZE_Y * VOXEL_SIZE,
     z: chunkZ * CHUNK_SIZE * VOXEL_SIZE,
   };
 }
@@ -94,21 +118,31 @@ export function chunkOriginWorld(chunkX, chunkZ) {
 /**
  * Create a unique string key for a chunk
  * @param {number} chunkX - Chunk X coordinate
+ * @param {number} chunkY - Chunk Y coordinate
  * @param {number} chunkZ - Chunk Z coordinate
  * @returns {string}
  */
-export function chunkKey(chunkX, chunkZ) {
-  return `${chunkX},${chunkZ}`;
+export function chunkKey(chunkX, chunkY, chunkZ) {
+  return `${chunkX},${chunkY},${chunkZ}`;
 }
 
 /**
  * Parse a chunk key back to coordinates
  * @param {string} key - Chunk key string
- * @returns {{chunkX: number, chunkZ: number}}
+ * @returns {{chunkX: number, chunkY: number, chunkZ: number}}
  */
 export function parseChunkKey(key) {
-  const [x, z] = key.split(',').map(Number);
-  return { chunkX: x, chunkZ: z };
+  const [x, y, z] = key.split(',').map(Number);
+  return { chunkX: x, chunkY: y, chunkZ: z };
+}
+
+/**
+ * Check if a chunk Y coordinate lies within the world's vertical bounds
+ * @param {number} chunkY - Chunk Y coordinate
+ * @returns {boolean}
+ */
+export function isChunkYInWorld(chunkY) {
+  return chunkY >= WORLD_MIN_CHUNK_Y && chunkY <= WORLD_MAX_CHUNK_Y;
 }
 
 /**
@@ -177,18 +211,25 @@ export function isInBounds(x, y, z) {
 }
 
 /**
- * Get all chunk coordinates within a square radius of a center chunk
+ * Get all chunk coordinates within a box around a center chunk.
+ * Vertical range is clamped to the world's chunk Y bounds.
  * @param {number} centerX - Center chunk X
+ * @param {number} centerY - Center chunk Y
  * @param {number} centerZ - Center chunk Z
- * @param {number} radius - Radius in chunks
- * @returns {Array<{chunkX: number, chunkZ: number}>}
+ * @param {number} radius - Horizontal radius in chunks
+ * @param {number} verticalRadius - Vertical radius in chunks
+ * @returns {Array<{chunkX: number, chunkY: number, chunkZ: number}>}
  */
-export function getChunksInRadius(centerX, centerZ, radius) {
+export function getChunksInRadius(centerX, centerY, centerZ, radius, verticalRadius) {
   const chunks = [];
+  const minY = Math.max(WORLD_MIN_CHUNK_Y, centerY - verticalRadius);
+  const maxY = Math.min(WORLD_MAX_CHUNK_Y, centerY + verticalRadius);
 
   for (let x = centerX - radius; x <= centerX + radius; x++) {
     for (let z = centerZ - radius; z <= centerZ + radius; z++) {
-      chunks.push({ chunkX: x, chunkZ: z });
+      for (let y = minY; y <= maxY; y++) {
+        chunks.push({ chunkX: x, chunkY: y, chunkZ: z });
+      }
     }
   }
 
@@ -196,20 +237,26 @@ export function getChunksInRadius(centerX, centerZ, radius) {
 }
 
 /**
- * Get chunks in radius, sorted by distance from center
+ * Get chunks in radius, sorted by distance from center.
+ * distanceSq includes the vertical offset so the player's own layer loads first.
  * @param {number} centerX - Center chunk X
+ * @param {number} centerY - Center chunk Y
  * @param {number} centerZ - Center chunk Z
- * @param {number} radius - Radius in chunks
- * @returns {Array<{chunkX: number, chunkZ: number, distanceSq: number}>}
+ * @param {number} radius - Horizontal radius in chunks
+ * @param {number} verticalRadius - Vertical radius in chunks
+ * @returns {Array<{chunkX: number, chunkY: number, chunkZ: number, distanceSq: number}>}
  */
-export function getChunksInRadiusSorted(centerX, centerZ, radius) {
-  const chunks = getChunksInRadius(centerX, centerZ, radius);
+export function getChunksInRadiusSorted(centerX, centerY, centerZ, radius, verticalRadius) {
+  const chunks = getChunksInRadius(centerX, centerY, centerZ, radius, verticalRadius);
 
   // Add distance and sort
   return chunks
-    .map(c => ({
-      ...c,
-      distanceSq: chunkDistanceSq(centerX, centerZ, c.chunkX, c.chunkZ),
-    }))
+    .map(c => {
+      const dy = c.chunkY - centerY;
+      return {
+        ...c,
+        distanceSq: chunkDistanceSq(centerX, centerZ, c.chunkX, c.chunkZ) + dy * dy,
+      };
+    })
     .sort((a, b) => a.distanceSq - b.distanceSq);
 }
@@ -0,0 +1,126 @@
+import { BiomeTerrain, resolveBiomes } from '../biomeTerrain';
+import { TREE_SHAPES } from '../trees';
+import { SeededRandom } from '../noise';
+import { TerrainSystem } from '../../../../modules/environment/TerrainSystem';
+import { BlockTypes } from '../../blockTypes';
+import { CHUNK_SIZE, CHUNK_SIZE_CUBED } from '../../coordinates';
+import generationConfig from '../../../../config/terrain/generation.json';
+
+const SEED = 12345;
+
+describe('BiomeTerrain', () => {
+  let terrain;
+
+  beforeEach(() => {
+    terrain = new BiomeTerrain(SEED, generationConfig);
+  });
+
+  it('reports the same biomes as the minimap terrain system', () => {
+    const terrainSystem = new TerrainSystem({ seed: SEED });
+    for (let x = -600; x < 600; x += 40) {
+      for (let z = -600; z < 600; z += 40) {
+        expect(terrain.getBiome(x, z)).toBe(terrainSystem.getBiome(x, z));
+      }
+    }
+  });
+
+  it('covers several biomes', () => {
+    const seen = new Set();
+    for (let x = -1024; x < 1024; x += 32) {
+      for (let z = -1024; z < 1024; z += 32) seen.add(terrain.getBiome(x, z));
+    }
+    expect(seen.size).toBeGreaterThanOrEqual(4);
+  });
+
+  it('uses the column biome for most surface columns', () => {
+    let matches = 0;
+    for (let cx = 0; cx < 4; cx++) {
+      const { biomes } = terrain.getColumn(cx, 0);
+      for (let i = 0; i < biomes.length; i++) {
+        if (biomes[i].id === terrain.getBiome(cx * CHUNK_SIZE + (i % CHUNK_SIZE), Math.floor(i / CHUNK_SIZE))) matches++;
+      }
+    }
+    expect(matches / (4 * CHUNK_SIZE * CHUNK_SIZE)).toBeGreaterThan(0.8);
+  });
+
+  it('blends heights smoothly across biome borders and chunk seams', () => {
+    const size = 16;
+    const row = [];
+    const biomes = new Set();
+    for (let cx = -size / 2; cx < size / 2; cx++) {
+      const column = terrain.getColumn(cx, 0);
+      for (let x = 0; x < CHUNK_SIZE; x++) {
+        row.push(column.heights[x]);
+        biomes.add(column.biomes[x].id);
+      }
+    }
+    expect(biomes.size).toBeGreaterThan(1);
+    for (let i = 1; i < row.length; i++) {
+      expect(Math.abs(row[i] - row[i - 1])).toBeLessThanOrEqual(2);
+    }
+  });
+
+  it('is deterministic regardless of cache state', () => {
+    const first = terrain.getColumn(3, -2);
+    terrain.getColumn(4, -2);
+    const fresh = new BiomeTerrain(SEED, generationConfig).getColumn(3, -2);
+    expect(fresh.heights).toEqual(first.heights);
+    expect(fresh.biomes.map((b) => b.id)).toEqual(first.biomes.map((b) => b.id));
+  });
+
+  it('samples single columns exactly as whole chunk columns', () => {
+    const column = terrain.getColumn(5, -3);
+    for (const i of [0, 17, 130, 255]) {
+      const surface = terrain.getSurface(5 * CHUNK_SIZE + (i % CHUNK_SIZE), -3 * CHUNK_SIZE + Math.floor(i / CHUNK_SIZE));
+      expect(surface.height).toBe(column.heights[i]);
+      expect(surface.biome).toBe(column.biomes[i]);
+    }
+  });
+
+  it('keeps each height profile inside its biome range', () => {
+    const { seaLevel } = generationConfig.terrain;
+    const { ocean, plains, mountains } = terrain.biomes;
+    expect(terrain.profileHeight(ocean, 5, 0)).toBeLessThanOrEqual(seaLevel);
+    expect(terrain.profileHeight(plains, 5, 0)).toBeGreaterThan(seaLevel);
+    expect(terrain.profileHeight(mountains, 5, 0)).toBeGreaterThan(terrain.profileHeight(plains, 5, 0));
+  });
+
+  it('rejects unknown blocks and tree shapes', () => {
+    expect(() => resolveBiomes({ plains: { surface: 'MARBLE', subsurface: 'DIRT', soilDepth: 1 } }))
+      .toThrow(/unknown block MARBLE/);
+    expect(() => resolveBiomes({
+      plains: { surface: 'GRASS', subsurface: 'DIRT', soilDepth: 1, trees: { chance: 1, shapes: ['palm'] } },
+    })).toThrow(/unknown tree shape palm/);
+  });
+});
+
+describe('TREE_SHAPES', () => {
+  function grow(shape, chunkBaseY = 0) {
+    const blocks = new Uint8Array(CHUNK_SIZE_CUBED);
+    const random = new SeededRandom(7);
+    TREE_SHAPES[shape](blocks, 8, 1, 8, random, chunkBaseY);
+    return { blocks, random };
+  }
+
+  const column = (blocks, blockType) => {
+    let top = -1;
+    for (let y = 0; y < 16; y++) if (blocks[8 + (8 << 4) + (y << 8)] === blockType) top = y;
+    return top;
+  };
+
+  it('grows pines taller than oaks', () => {
+    expect(column(grow('pine').blocks, BlockTypes.LEAVES)).toBeGreaterThan(column(grow('oak').blocks, BlockTypes.WOOD));
+  });
+
+  it('grows dead trees without leaves', () => {
+    const { blocks } = grow('dead');
+    expect(column(blocks, BlockTypes.DEAD_WOOD)).toBeGreaterThan(0);
+    expect(blocks.includes(BlockTypes.LEAVES)).toBe(false);
+  });
+
+  it('consumes the same random stream in every chunk of the column', () => {
+    for (const shape of Object.keys(TREE_SHAPES)) {
+      expect(grow(shape, 0).random.seed).toBe(grow(shape, 16).random.seed);
+    }
+  });
+});
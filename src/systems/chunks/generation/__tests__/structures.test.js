@@ -0,0 +1,120 @@
+import { StructurePlacer, resolveTilePalette } from '../structures';
+import { WaterFeatures } from '../waterFeatures';
+import { BiomeTerrain } from '../biomeTerrain';
+import { generateTerrain } from '../terrainGenerator';
+import { Structure } from '../../../../modules/environment/structures/Structure';
+import { CHUNK_SIZE, CHUNK_SIZE_Y } from '../../coordinates';
+import generationConfig from '../../../../config/terrain/generation.json';
+import structureTemplates from '../../../../config/environment/structures/structureTemplates';
+
+const SEED = 12345;
+
+function createPlacer() {
+  const biomes = new BiomeTerrain(SEED, generationConfig);
+  return new StructurePlacer(SEED, generationConfig, new WaterFeatures(SEED, generationConfig, biomes));
+}
+
+function blockAt(chunks, wx, y, wz) {
+  const chunkX = Math.floor(wx / CHUNK_SIZE);
+  const chunkY = Math.floor(y / CHUNK_SIZE_Y);
+  const chunkZ = Math.floor(wz / CHUNK_SIZE);
+  const key = `${chunkX},${chunkY},${chunkZ}`;
+  if (!chunks.has(key)) {
+    chunks.set(key, generateTerrain({ chunkX, chunkY, chunkZ, seed: SEED }));
+  }
+  const lx = wx - chunkX * CHUNK_SIZE;
+  const ly = y - chunkY * CHUNK_SIZE_Y;
+  const lz = wz - chunkZ * CHUNK_SIZE;
+  return chunks.get(key).blocks[lx + (lz << 4) + (ly << 8)];
+}
+
+describe('StructurePlacer', () => {
+  let placer;
+
+  beforeEach(() => {
+    placer = createPlacer();
+  });
+
+  it('places the same structures regardless of generation order', () => {
+    const direct = placer.getStructuresInChunk(2, -6).map((s) => [s.id, s.templateId, s.rotation]);
+    expect(direct.length).toBeGreaterThan(0);
+
+    const shuffled = createPlacer();
+    shuffled.getStructuresInChunk(8, 5);
+    shuffled.getStructuresInChunk(-7, -9);
+    shuffled.getStructuresInChunk(3, -6);
+    const later = shuffled.getStructuresInChunk(2, -6).map((s) => [s.id, s.templateId, s.rotation]);
+
+    expect(later).toEqual(direct);
+  });
+
+  it('stamps template floors across chunk borders', () => {
+    // Straddles the border between chunk columns (2, -6) and (3, -6)
+    const structure = placer.getStructuresInChunk(2, -6).find((s) => s.position.x + s.width > 48);
+    expect(structure).toBeDefined();
+
+    const { baseY } = placer.getLayout(structure);
+    const chunks = new Map();
+    for (let lx = 0; lx < structure.width; lx++) {
+      for (let lz = 0; lz < structure.height; lz++) {
+        const { type } = structure.getTileAt(lx, lz);
+        const wx = structure.position.x + lx;
+        const wz = structure.position.z + lz;
+        expect(blockAt(chunks, wx, baseY, wz)).toBe(placer.palette[type].floor);
+        expect(blockAt(chunks, wx, baseY + placer.clearance, wz)).toBe(placer.palette[type].column[placer.clearance - 1] ?? 0);
+      }
+    }
+  });
+
+  it('reports each structure once, from the chunk holding its floor', () => {
+    const reported = [];
+    for (let chunkX = 1; chunkX <= 3; chunkX++) {
+      for (let chunkY = -1; chunkY <= 2; chunkY++) {
+        reported.push(...generateTerrain({ chunkX, chunkY, chunkZ: -6, seed: SEED }).structures);
+      }
+    }
+
+    const ids = reported.map((p) => p.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    const placement = reported.find((p) => p.id === 'struct_47_-86');
+    expect(placement).toBeDefined();
+    expect(Math.floor(placement.baseY / CHUNK_SIZE_Y)).toBe(0);
+  });
+
+  it('puts a container block at every reported container', () => {
+    const chunks = new Map();
+    let containers = 0;
+    for (let chunkX = -12; chunkX < 12; chunkX++) {
+      for (let chunkZ = -12; chunkZ < 12; chunkZ++) {
+        for (const structure of placer.getStructuresInChunk(chunkX, chunkZ)) {
+          for (const { x, y, z } of placer.getLayout(structure).containers) {
+            if (Math.floor(x / CHUNK_SIZE) !== chunkX || Math.floor(z / CHUNK_SIZE) !== chunkZ) continue;
+            expect(placer.containerBlocks.has(blockAt(chunks, x, y, z))).toBe(true);
+            containers++;
+          }
+        }
+      }
+    }
+    expect(containers).toBeGreaterThan(0);
+  });
+
+  it('rotates loot spawns with the template tiles', () => {
+    const template = structureTemplates.large_ruin;
+    const spawn = template.lootSpawns[1];
+    const tile = template.tiles[spawn.x + spawn.z * template.width];
+
+    for (const rotation of [0, 90, 180, 270]) {
+      const structure = new Structure('s', template.id, template, { x: 100, z: 200 }, rotation);
+      const point = structure.getLootSpawnPoints()[1];
+      expect(point.lootTable).toBe(spawn.lootTable);
+      expect(structure.getTileAt(point.x - 100, point.z - 200)).toEqual(tile);
+    }
+  });
+
+  it('rejects templates with tiles missing from the palette', () => {
+    const tiles = { ...generationConfig.structures.tiles };
+    delete tiles.stone_wall;
+    expect(() => resolveTilePalette(tiles, structureTemplates)).toThrow(/no structure tile stone_wall/);
+    expect(() => resolveTilePalette({ rock: { floor: 'MARBLE' } }, {})).toThrow(/unknown block MARBLE/);
+  });
+});
@@ -0,0 +1,155 @@
+import { generateTerrain } from '../terrainGenerator';
+import { CaveCarver } from '../caves';
+import { resolveOres, placeOreVeins } from '../oreVeins';
+import { ChunkManager } from '../../ChunkManager';
+import { BlockTypes } from '../../blockTypes';
+import { CHUNK_SIZE, CHUNK_SIZE_CUBED, WORLD_MIN_CHUNK_Y } from '../../coordinates';
+import generationConfig from '../../../../config/terrain/generation.json';
+
+const SEED = 12345;
+
+// Underground layers of a 4x4 patch of columns
+function* undergroundChunks(seed = SEED) {
+  for (let cx = -2; cx < 2; cx++) {
+    for (let cz = -2; cz < 2; cz++) {
+      for (let cy = WORLD_MIN_CHUNK_Y; cy <= 0; cy++) {
+        yield { cy, ...generateTerrain({ chunkX: cx, chunkY: cy, chunkZ: cz, seed }) };
+      }
+    }
+  }
+}
+
+function countBlocks(blocks, blockType) {
+  let count = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    if (blocks[i] === blockType) count++;
+  }
+  return count;
+}
+
+describe('terrainGenerator', () => {
+  it('is deterministic per seed', () => {
+    const a = generateTerrain({ chunkX: 3, chunkY: -1, chunkZ: -2, seed: SEED });
+    const b = generateTerrain({ chunkX: 3, chunkY: -1, chunkZ: -2, seed: SEED });
+    const other = generateTerrain({ chunkX: 3, chunkY: -1, chunkZ: -2, seed: SEED + 1 });
+    expect(a.blocks).toEqual(b.blocks);
+    expect(a.blocks).not.toEqual(other.blocks);
+  });
+
+  it('backs ChunkManager.generateChunkSync', () => {
+    const manager = new ChunkManager({ seed: SEED });
+    const chunk = manager.generateChunkSync(1, -1, 1);
+    const { blocks } = generateTerrain({ chunkX: 1, chunkY: -1, chunkZ: 1, seed: SEED });
+    expect(chunk.blocks).toEqual(blocks);
+    manager.dispose();
+  });
+
+  it('carves caves underground and keeps the bedrock floor', () => {
+    let carved = 0;
+    for (const { cy, blocks } of undergroundChunks()) {
+      carved += countBlocks(blocks, BlockTypes.AIR);
+      if (cy === WORLD_MIN_CHUNK_Y) {
+        for (let i = 0; i < CHUNK_SIZE * CHUNK_SIZE; i++) {
+          expect(blocks[i]).toBe(BlockTypes.BEDROCK);
+        }
+      }
+    }
+    expect(carved).toBeGreaterThan(0);
+  });
+
+  it('keeps ores inside their configured depth range', () => {
+    const ores = resolveOres(generationConfig.ores);
+    const found = new Set();
+    for (const { cy, blocks } of undergroundChunks()) {
+      for (let i = 0; i < CHUNK_SIZE_CUBED; i++) {
+        const ore = ores.find((o) => o.blockType === blocks[i]);
+        if (!ore) continue;
+        found.add(ore.block);
+        const y = cy * 16 + (i >> 8);
+        expect(y).toBeGreaterThanOrEqual(ore.minY);
+        expect(y).toBeLessThanOrEqual(ore.maxY);
+      }
+    }
+    expect(found).toContain('COAL_ORE');
+    expect(found).toContain('IRON_ORE');
+  });
+});
+
+describe('CaveCarver', () => {
+  const carver = new CaveCarver(SEED, generationConfig.caves, generationConfig.aquifers);
+
+  it('leaves a crust under the surface and the world floor solid', () => {
+    const { worms, caverns } = generationConfig.caves;
+    const crust = Math.min(worms.minDepth, caverns.minDepth);
+    for (let x = 0; x < 64; x++) {
+      for (let z = 0; z < 64; z++) {
+        expect(carver.isCave(x, 20 - crust + 1, z, 20)).toBe(false);
+        expect(carver.isCave(x, generationConfig.caves.floorY, z, 20)).toBe(false);
+      }
+    }
+  });
+
+  it('gives each aquifer a flat water table', () => {
+    const { cellSize, waterTableMin, waterTableMax } = generationConfig.aquifers;
+    let aquifers = 0;
+    for (let cell = 0; cell < 32; cell++) {
+      const x = cell * cellSize;
+      const table = carver.getWaterTable(x, 0);
+      expect(carver.getWaterTable(x + cellSize - 1, cellSize - 1)).toBe(table);
+      if (table !== null) {
+        aquifers++;
+        expect(table).toBeGreaterThanOrEqual(waterTableMin);
+        expect(table).toBeLessThanOrEqual(waterTableMax);
+      }
+    }
+    expect(aquifers).toBeGreaterThan(0);
+  });
+
+  it('floods carved cells below the water table', () => {
+    const heights = new Int16Array(CHUNK_SIZE * CHUNK_SIZE).fill(60);
+    for (let cx = 0; cx < 8; cx++) {
+      const blocks = new Uint8Array(CHUNK_SIZE_CUBED).fill(BlockTypes.STONE);
+      carver.carve(blocks, cx, -1, 0, heights);
+      for (let i = 0; i < CHUNK_SIZE_CUBED; i++) {
+        if (blocks[i] === BlockTypes.STONE) continue;
+        const wx = cx * CHUNK_SIZE + (i & 0x0f);
+        const wz = (i >> 4) & 0x0f;
+        const y = -16 + (i >> 8);
+        const table = carver.getWaterTable(wx, wz);
+        const flooded = table !== null && y <= table;
+        expect(blocks[i]).toBe(flooded ? BlockTypes.WATER : BlockTypes.AIR);
+      }
+    }
+  });
+});
+
+describe('placeOreVeins', () => {
+  const gold = resolveOres([
+    { block: 'GOLD_ORE', minY: -32, maxY: 15, veinSize: 6, veinsPerChunk: 1, biomeBias: { desert: 3 } },
+  ]);
+
+  function goldIn(biome) {
+    let count = 0;
+    for (let cx = 0; cx < 8; cx++) {
+      const blocks = new Uint8Array(CHUNK_SIZE_CUBED).fill(BlockTypes.STONE);
+      placeOreVeins(blocks, cx, 0, 0, SEED, gold, () => biome);
+      count += countBlocks(blocks, BlockTypes.GOLD_ORE);
+    }
+    return count;
+  }
+
+  it('places more veins in biomes the ore is biased toward', () => {
+    expect(goldIn('desert')).toBeGreaterThan(goldIn('plains') * 2);
+  });
+
+  it('only replaces stone', () => {
+    const blocks = new Uint8Array(CHUNK_SIZE_CUBED).fill(BlockTypes.DIRT);
+    placeOreVeins(blocks, 0, 0, 0, SEED, gold, () => 'desert');
+    expect(countBlocks(blocks, BlockTypes.GOLD_ORE)).toBe(0);
+  });
+
+  it('rejects unknown ore blocks', () => {
+    expect(() => resolveOres([{ block: 'UNOBTAINIUM', minY: 0, maxY: 1, veinSize: 1, veinsPerChunk: 1 }]))
+      .toThrow(/unknown ore block/);
+  });
+});
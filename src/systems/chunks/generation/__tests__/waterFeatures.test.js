@@ -0,0 +1,115 @@
+import { WaterFeatures, NO_WATER } from '../waterFeatures';
+import { BiomeTerrain } from '../biomeTerrain';
+import { generateTerrain } from '../terrainGenerator';
+import { BlockTypes } from '../../blockTypes';
+import { CHUNK_SIZE } from '../../coordinates';
+import generationConfig from '../../../../config/terrain/generation.json';
+
+const SEED = 12345;
+
+function createFeatures() {
+  return new WaterFeatures(SEED, generationConfig, new BiomeTerrain(SEED, generationConfig));
+}
+
+describe('WaterFeatures', () => {
+  let features;
+
+  beforeEach(() => {
+    features = createFeatures();
+  });
+
+  function columnAt(wx, wz) {
+    const chunkX = Math.floor(wx / CHUNK_SIZE);
+    const chunkZ = Math.floor(wz / CHUNK_SIZE);
+    const column = features.getColumn(chunkX, chunkZ);
+    const i = (wx - chunkX * CHUNK_SIZE) + (wz - chunkZ * CHUNK_SIZE) * CHUNK_SIZE;
+    return { height: column.heights[i], water: column.water[i], surface: column.surface[i] };
+  }
+
+  it('gives the same columns regardless of generation order', () => {
+    const direct = features.getColumn(-13, -2);
+
+    const shuffled = createFeatures();
+    shuffled.getColumn(10, -16);
+    shuffled.getColumn(-5, -11);
+    shuffled.getColumn(-14, -2);
+    const later = shuffled.getColumn(-13, -2);
+
+    expect(later.heights).toEqual(direct.heights);
+    expect(later.water).toEqual(direct.water);
+    expect(later.surface).toEqual(direct.surface);
+  });
+
+  it('carves lake basins below their rim', () => {
+    features.getColumn(-10, -4);
+    const [pond] = features.waterBodySystem.getWaterBodiesInRegion(-160, -64, 16, 16);
+    expect(pond).toBeDefined();
+
+    const level = features.getLakeLevel(pond);
+    const centre = columnAt(pond.position.x, pond.position.z);
+    expect(centre.water).toBe(level);
+    expect(centre.height).toBeLessThan(level);
+    expect(centre.surface).toBe(features.floors[pond.type]);
+
+    const rim = columnAt(pond.position.x + pond.radius + 1, pond.position.z);
+    expect(rim.water).toBe(NO_WATER);
+    expect(rim.height).toBeGreaterThan(level);
+  });
+
+  it('carves river beds with banks along river paths', () => {
+    features.getColumn(0, 0);
+    const river = [...features.riverSystem.rivers.values()].find((r) => r.length > 10);
+    expect(river).toBeDefined();
+
+    const segment = river.segments[Math.floor(river.segments.length / 2)];
+    const bed = columnAt(segment.x, segment.z);
+    if (bed.surface === BlockTypes.GRAVEL) {
+      expect(bed.water).toBeLessThanOrEqual(features.getRiverLevel(segment));
+      expect(bed.height).toBeLessThan(bed.water);
+    } else {
+      // Rivers give way to lakes and the sea where they meet
+      expect(bed.water).not.toBe(NO_WATER);
+    }
+
+    const banks = river.segments.flatMap((s) => [-3, 3].map((d) => columnAt(s.x + d, s.z)));
+    expect(banks.some((c) => c.surface === BlockTypes.SAND)).toBe(true);
+  });
+
+  it('walls in every body of water, across chunk seams', () => {
+    for (let wx = -260; wx < -100; wx++) {
+      for (let wz = -260; wz < 0; wz++) {
+        const { water } = columnAt(wx, wz);
+        if (water === NO_WATER) continue;
+        for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const neighbor = columnAt(wx + dx, wz + dz);
+          if (neighbor.water === NO_WATER) {
+            expect(neighbor.height).toBeGreaterThanOrEqual(water);
+          }
+        }
+      }
+    }
+  });
+
+  it('rejects unknown blocks', () => {
+    const config = { ...generationConfig, rivers: { ...generationConfig.rivers, bed: 'SILT' } };
+    expect(() => new WaterFeatures(SEED, config, new BiomeTerrain(SEED, config)))
+      .toThrow(/unknown block SILT in rivers/);
+  });
+});
+
+describe('generateTerrain water', () => {
+  it('fills carved rivers and lakes with water above their bed', () => {
+    const features = createFeatures();
+    const column = features.getColumn(-10, -4);
+    const i = column.water.findIndex((w, idx) => w !== NO_WATER && column.heights[idx] >= 0 && w < 15);
+    expect(i).toBeGreaterThanOrEqual(0);
+
+    const { blocks } = generateTerrain({ chunkX: -10, chunkY: 0, chunkZ: -4, seed: SEED });
+    const x = i % CHUNK_SIZE;
+    const z = Math.floor(i / CHUNK_SIZE);
+    const at = (y) => blocks[x + (z << 4) + (y << 8)];
+    expect(at(column.heights[i])).not.toBe(BlockTypes.WATER);
+    expect(at(column.water[i])).toBe(BlockTypes.WATER);
+    expect(at(column.water[i] + 1)).not.toBe(BlockTypes.WATER);
+  });
+});
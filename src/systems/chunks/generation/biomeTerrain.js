@@ -0,0 +1,230 @@
+/**
+ * Biome-aware column sampling for voxel terrain
+ *
+ * Biomes come from the same WorldGenerator + BiomeManager model that
+ * TerrainSystem builds for the minimap (same seed, same options, one tile per
+ * voxel), so the 3D world shows the biomes the map does.
+ *
+ * Surface height blends the height profile of every biome within
+ * `biomeBlend.radius` voxels. Biomes are sampled on a coarse lattice aligned
+ * to world coordinates, so every chunk sees the same weights at its seams.
+ * The surface biome of a column is picked from those weights with a per-column
+ * hash, which dithers surface blocks and vegetation across borders.
+ *
+ * Height profiles use the biome JSON `heightRange` and `heightVariation`
+ * (in 0-10 map height units); generation.json supplies voxel settings and
+ * profiles for the elevation biomes (ocean, beach, hills) that have no JSON.
+ */
+
+import { CHUNK_SIZE } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { SimplexNoise, blockRoll } from './noise.js';
+import { TREE_SHAPES } from './trees.js';
+import { BiomeManager, WORLD_BIOME_OPTIONS } from '../../../modules/environment/BiomeManager.js';
+import { WorldGenerator, WorldPresets } from '../../../modules/environment/WorldGenerator.js';
+import biomeConfigs from '../../../config/environment/biomeConfigs.js';
+
+// Columns kept per BiomeTerrain; stacked chunks of a column reuse them
+const COLUMN_CACHE_SIZE = 64;
+
+// BiomeManager caches every tile it is asked about; reset it past this size
+const BIOME_CACHE_LIMIT = 8192;
+
+const DETAIL_SEED = 505;
+const DITHER_SEED = 606;
+
+function resolveBlock(key, biomeId) {
+  const blockType = BlockTypes[key];
+  if (blockType === undefined) {
+    throw new Error(`generation.json: unknown block ${key} in biome ${biomeId}`);
+  }
+  return blockType;
+}
+
+/**
+ * Resolve generation.json biome settings to block IDs and shape functions,
+ * merging in height profiles from the biome JSON configs
+ * @param {Object} biomes - `biomes` section of generation.json
+ * @returns {Object} Biome ID -> resolved settings
+ */
+export function resolveBiomes(biomes) {
+  const resolved = {};
+  for (const [id, settings] of Object.entries(biomes)) {
+    const profile = biomeConfigs[id] || settings;
+    if (!profile.heightRange) {
+      throw new Error(`generation.json: biome ${id} has no height profile`);
+    }
+    const trees = settings.trees || { chance: 0, shapes: [] };
+    resolved[id] = {
+      id,
+      surface: resolveBlock(settings.surface, id),
+      subsurface: resolveBlock(settings.subsurface, id),
+      floor: resolveBlock(settings.floor || 'SAND', id),
+      shore: settings.shore ? resolveBlock(settings.shore, id) : null,
+      soilDepth: settings.soilDepth,
+      heightRange: profile.heightRange,
+      heightVariation: profile.heightVariation ?? 1,
+      treeChance: trees.chance,
+      treeShapes: trees.shapes.map((name) => {
+        if (!TREE_SHAPES[name]) throw new Error(`generation.json: unknown tree shape ${name}`);
+        return TREE_SHAPES[name];
+      }),
+      bushChance: settings.bushChance || 0,
+      plants: (settings.plants || []).map((p) => ({ blockType: resolveBlock(p.block, id), chance: p.chance })),
+    };
+  }
+  return resolved;
+}
+
+/**
+ * Seeded biome and height sampler for one world
+ */
+export class BiomeTerrain {
+  /**
+   * @param {number} seed - World seed
+   * @param {Object} config - Parsed generation.json
+   */
+  constructor(seed, config) {
+    this.seed = seed;
+    this.terrain = config.terrain;
+    this.blend = config.biomeBlend;
+    this.biomes = resolveBiomes(config.biomes);
+
+    this.biomeManager = new BiomeManager(seed, biomeConfigs, WORLD_BIOME_OPTIONS);
+    this.worldGenerator = new WorldGenerator(seed, WorldPresets.DEFAULT, this.biomeManager);
+    this.detailNoise = new SimplexNoise(seed + DETAIL_SEED);
+
+    // "chunkX,chunkZ" -> { heights, biomes }
+    this.columns = new Map();
+  }
+
+  /**
+   * Biome ID at a voxel column, exactly as the minimap reports it
+   * @param {number} wx - Voxel X
+   * @param {number} wz - Voxel Z
+   * @returns {string}
+   */
+  getBiome(wx, wz) {
+    if (this.biomeManager.biomeCache.size > BIOME_CACHE_LIMIT) {
+      this.biomeManager.clearCache();
+    }
+    const biome = this.worldGenerator.getBiome(wx, wz);
+    return this.biomes[biome] ? biome : 'plains';
+  }
+
+  /**
+   * Surface height of one biome's profile at a column
+   * @param {Object} biome - Resolved biome settings
+   * @param {number} mapHeight - Continuous map height (0-10)
+   * @param {number} detail - Detail noise (-1 to 1)
+   * @returns {number} Voxel Y (fractional)
+   */
+  profileHeight(biome, mapHeight, detail) {
+    const { seaLevel, waterTile, voxelsPerTile, detailVoxels } = this.terrain;
+    const [low, high] = biome.heightRange;
+    const clamped = Math.min(high, Math.max(low, mapHeight));
+    return seaLevel + (clamped - waterTile) * voxelsPerTile + detail * biome.heightVariation * detailVoxels;
+  }
+
+  /**
+   * Surface heights and surface biomes for the 16x16 columns of a chunk
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {{heights: Int16Array, biomes: Array<Object>}} Indexed x + z * 16
+   */
+  getColumn(chunkX, chunkZ) {
+    const key = `${chunkX},${chunkZ}`;
+    const cached = this.columns.get(key);
+    if (cached) return cached;
+
+    const { radius, spacing } = this.blend;
+    const minX = chunkX * CHUNK_SIZE;
+    const minZ = chunkZ * CHUNK_SIZE;
+
+    // Biome lattice covering the chunk plus the blend radius
+    const latticeX0 = Math.floor((minX - radius) / spacing);
+    const latticeZ0 = Math.floor((minZ - radius) / spacing);
+    const latticeSize = Math.ceil((CHUNK_SIZE + 2 * radius) / spacing) + 1;
+    const lattice = new Array(latticeSize * latticeSize);
+    for (let i = 0; i < latticeSize; i++) {
+      for (let j = 0; j < latticeSize; j++) {
+        lattice[i + j * latticeSize] = this.biomes[this.getBiome((latticeX0 + i) * spacing, (latticeZ0 + j) * spacing)];
+      }
+    }
+
+    const latticeBiome = (i, j) => lattice[(i - latticeX0) + (j - latticeZ0) * latticeSize];
+    const heights = new Int16Array(CHUNK_SIZE * CHUNK_SIZE);
+    const biomes = new Array(CHUNK_SIZE * CHUNK_SIZE);
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const surface = this.blendSurface(minX + x, minZ + z, latticeBiome);
+        heights[x + z * CHUNK_SIZE] = surface.height;
+        biomes[x + z * CHUNK_SIZE] = surface.biome;
+      }
+    }
+
+    const column = { heights, biomes };
+    this.columns.set(key, column);
+    if (this.columns.size > COLUMN_CACHE_SIZE) {
+      this.columns.delete(this.columns.keys().next().value);
+    }
+    return column;
+  }
+
+  /**
+   * Surface height and surface biome of a single voxel column, exactly as
+   * getColumn() reports it but without generating the rest of the chunk.
+   * Used where the world is sampled sparsely (the far-terrain horizon).
+   * @param {number} wx - Voxel X
+   * @param {number} wz - Voxel Z
+   * @returns {{height: number, biome: Object}}
+   */
+  getSurface(wx, wz) {
+    const { spacing } = this.blend;
+    return this.blendSurface(wx, wz, (i, j) => this.biomes[this.getBiome(i * spacing, j * spacing)]);
+  }
+
+  /**
+   * Blend the height profiles of the lattice biomes around a column
+   * @param {number} wx - Voxel X
+   * @param {number} wz - Voxel Z
+   * @param {(i: number, j: number) => Object} latticeBiome - Resolved biome
+   *   at lattice point (i, j), in lattice units
+   * @returns {{height: number, biome: Object}}
+   */
+  blendSurface(wx, wz, latticeBiome) {
+    const { radius, spacing } = this.blend;
+    const { detailFrequency } = this.terrain;
+
+    // Weight each lattice biome by distance, tapering to zero at the radius
+    const weights = new Map();
+    let total = 0;
+    for (let i = Math.ceil((wx - radius) / spacing); i * spacing <= wx + radius; i++) {
+      for (let j = Math.ceil((wz - radius) / spacing); j * spacing <= wz + radius; j++) {
+        const dx = i * spacing - wx;
+        const dz = j * spacing - wz;
+        const w = 1 - Math.sqrt(dx * dx + dz * dz) / (radius + 1);
+        if (w <= 0) continue;
+        const biome = latticeBiome(i, j);
+        weights.set(biome, (weights.get(biome) || 0) + w);
+        total += w;
+      }
+    }
+
+    const mapHeight = this.worldGenerator.generateElevation(wx, wz) * 10;
+    const detail = this.detailNoise.fbm(wx * detailFrequency, wz * detailFrequency, 3);
+    let height = 0;
+    let pick = blockRoll(wx, 0, wz, this.seed + DITHER_SEED) * total;
+    let surfaceBiome = null;
+    for (const [biome, w] of weights) {
+      height += this.profileHeight(biome, mapHeight, detail) * (w / total);
+      pick -= w;
+      if (surfaceBiome === null && pick <= 0) surfaceBiome = biome;
+    }
+
+    return { height: Math.floor(height), biome: surfaceBiome || weights.keys().next().value };
+  }
+}
+
+export default BiomeTerrain;
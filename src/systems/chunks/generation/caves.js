@@ -0,0 +1,145 @@
+/**
+ * Cave carving and aquifers
+ *
+ * Caves are carved from 3D noise, voxel by voxel, so they run seamlessly
+ * through stacked and neighboring chunks without any cross-chunk state:
+ *
+ * - Worm tunnels follow the lines where two independent noise fields are
+ *   both near zero, giving long winding tubes.
+ * - Caverns are pockets where a third, lower-frequency field is high. They
+ *   are squashed vertically and fade out toward `caverns.maxY`.
+ *
+ * Carved cells inside an aquifer fill with water up to that aquifer's water
+ * table. Aquifers are laid out on a coarse grid so each one has a flat water
+ * surface. Carved cells near the world floor fill with lava instead.
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { SimplexNoise } from './noise.js';
+
+// Seed offsets keep cave fields independent of the height map
+const WORM_SEED_A = 101;
+const WORM_SEED_B = 202;
+const CAVERN_SEED = 303;
+const AQUIFER_SEED = 404;
+
+// Blocks a cave may cut through. Surface soil, water and trees stay intact.
+const CARVABLE = new Set([
+  BlockTypes.STONE,
+  BlockTypes.DIRT,
+  BlockTypes.COAL_ORE,
+  BlockTypes.IRON_ORE,
+  BlockTypes.GOLD_ORE,
+  BlockTypes.CRYSTAL_ORE,
+]);
+
+/**
+ * Seeded cave and aquifer sampler for one world
+ */
+export class CaveCarver {
+  /**
+   * @param {number} seed - World seed
+   * @param {Object} caveConfig - `caves` section of generation.json
+   * @param {Object} aquiferConfig - `aquifers` section of generation.json
+   */
+  constructor(seed, caveConfig, aquiferConfig) {
+    this.caves = caveConfig;
+    this.aquifers = aquiferConfig;
+    this.wormA = new SimplexNoise(seed + WORM_SEED_A);
+    this.wormB = new SimplexNoise(seed + WORM_SEED_B);
+    this.cavern = new SimplexNoise(seed + CAVERN_SEED);
+    this.aquifer = new SimplexNoise(seed + AQUIFER_SEED);
+  }
+
+  /**
+   * Check whether a voxel is hollowed out by a cave
+   * @param {number} wx - Voxel X
+   * @param {number} y - Voxel Y
+   * @param {number} wz - Voxel Z
+   * @param {number} surfaceY - Column surface height
+   * @returns {boolean}
+   */
+  isCave(wx, y, wz, surfaceY) {
+    if (y <= this.caves.floorY) return false;
+    const depth = surfaceY - y;
+
+    const worms = this.caves.worms;
+    if (depth >= worms.minDepth) {
+      const f = worms.frequency;
+      const fy = f * worms.verticalSquash;
+      const a = this.wormA.noise3D(wx * f, y * fy, wz * f);
+      const b = this.wormB.noise3D(wx * f, y * fy, wz * f);
+      if (a * a + b * b < worms.radius * worms.radius) return true;
+    }
+
+    const caverns = this.caves.caverns;
+    if (depth >= caverns.minDepth && y < caverns.maxY) {
+      // Raise the bar near the top of the cavern band so caverns taper off
+      const fadeStart = caverns.maxY - caverns.fadeRange;
+      const fade = y > fadeStart ? (y - fadeStart) / caverns.fadeRange : 0;
+      const f = caverns.frequency;
+      const n = this.cavern.fbm3D(wx * f, y * f * caverns.verticalSquash, wz * f, 2);
+      if (n > caverns.threshold + fade * (1 - caverns.threshold)) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Water table of the aquifer covering a column, or null if the column
+   * isn't in an aquifer
+   * @param {number} wx - Voxel X
+   * @param {number} wz - Voxel Z
+   * @returns {number|null}
+   */
+  getWaterTable(wx, wz) {
+    const { cellSize, frequency, threshold, waterTableMin, waterTableMax } = this.aquifers;
+    // Sample at cell centers: grid points of gradient noise are always zero
+    const cx = Math.floor(wx / cellSize) + 0.5;
+    const cz = Math.floor(wz / cellSize) + 0.5;
+    if (this.aquifer.noise2D(cx * frequency, cz * frequency) < threshold) return null;
+
+    const t = (this.aquifer.noise2D(cx * frequency + 100, cz * frequency + 100) + 1) / 2;
+    return Math.floor(waterTableMin + t * (waterTableMax - waterTableMin));
+  }
+
+  /**
+   * Carve caves into a generated chunk, in place
+   * @param {Uint8Array} blocks - Chunk blocks
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @param {Int16Array|number[]} heights - Surface height per column, x + z * 16
+   */
+  carve(blocks, chunkX, chunkY, chunkZ, heights) {
+    const baseY = chunkY * CHUNK_SIZE_Y;
+    const { lavaBelowY } = this.aquifers;
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const wx = chunkX * CHUNK_SIZE + x;
+        const wz = chunkZ * CHUNK_SIZE + z;
+        const surfaceY = heights[x + z * CHUNK_SIZE];
+        let waterTable;
+
+        for (let ly = 0; ly < CHUNK_SIZE_Y; ly++) {
+          const index = x + (z << 4) + (ly << 8);
+          if (!CARVABLE.has(blocks[index])) continue;
+
+          const y = baseY + ly;
+          if (!this.isCave(wx, y, wz, surfaceY)) continue;
+
+          if (y <= lavaBelowY) {
+            blocks[index] = BlockTypes.LAVA;
+            continue;
+          }
+          if (waterTable === undefined) waterTable = this.getWaterTable(wx, wz);
+          blocks[index] = waterTable !== null && y <= waterTable ? BlockTypes.WATER : BlockTypes.AIR;
+        }
+      }
+    }
+  }
+}
+
+export default CaveCarver;
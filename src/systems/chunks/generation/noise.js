@@ -0,0 +1,161 @@
+/**
+ * Seeded noise and hashing for terrain generation
+ *
+ * Everything here is a pure function of the seed and the coordinates, so the
+ * worker, ChunkManager.generateChunkSync and tests all see the same world.
+ */
+
+/**
+ * Linear congruential generator. Streams are consumed in a fixed order per
+ * column, so the same seed always replays the same features.
+ */
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+  }
+
+  next() {
+    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+    return this.seed / 0x7fffffff;
+  }
+
+  nextInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+}
+
+/**
+ * Gradient noise in 2D and 3D over a seeded permutation table
+ */
+export class SimplexNoise {
+  constructor(seed) {
+    this.seed = seed;
+    this.permutation = this.buildPermutation(seed);
+  }
+
+  buildPermutation(seed) {
+    const perm = new Uint8Array(512);
+    const random = new SeededRandom(seed);
+    const p = new Uint8Array(256);
+
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = random.nextInt(0, i);
+      [p[i], p[j]] = [p[j], p[i]];
+    }
+    for (let i = 0; i < 512; i++) {
+      perm[i] = p[i & 255];
+    }
+    return perm;
+  }
+
+  fade(t) {
+    return t * t * t * (t * (t * 6 - 15) + 10);
+  }
+
+  lerp(a, b, t) {
+    return a + t * (b - a);
+  }
+
+  grad(hash, x, y) {
+    const h = hash & 7;
+    const u = h < 4 ? x : y;
+    const v = h < 4 ? y : x;
+    return ((h & 1) ? -u : u) + ((h & 2) ? -2.0 * v : 2.0 * v);
+  }
+
+  grad3(hash, x, y, z) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+    return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
+  }
+
+  noise2D(x, y) {
+    const perm = this.permutation;
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    const u = this.fade(x);
+    const v = this.fade(y);
+    const A = perm[X] + Y;
+    const B = perm[X + 1] + Y;
+    return this.lerp(
+      this.lerp(this.grad(perm[A], x, y), this.grad(perm[B], x - 1, y), u),
+      this.lerp(this.grad(perm[A + 1], x, y - 1), this.grad(perm[B + 1], x - 1, y - 1), u),
+      v
+    );
+  }
+
+  noise3D(x, y, z) {
+    const perm = this.permutation;
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    x -= Math.floor(x);
+    y -= Math.floor(y);
+    z -= Math.floor(z);
+    const u = this.fade(x);
+    const v = this.fade(y);
+    const w = this.fade(z);
+    const A = perm[X] + Y;
+    const AA = perm[A] + Z;
+    const AB = perm[A + 1] + Z;
+    const B = perm[X + 1] + Y;
+    const BA = perm[B] + Z;
+    const BB = perm[B + 1] + Z;
+    return this.lerp(
+      this.lerp(
+        this.lerp(this.grad3(perm[AA], x, y, z), this.grad3(perm[BA], x - 1, y, z), u),
+        this.lerp(this.grad3(perm[AB], x, y - 1, z), this.grad3(perm[BB], x - 1, y - 1, z), u),
+        v
+      ),
+      this.lerp(
+        this.lerp(this.grad3(perm[AA + 1], x, y, z - 1), this.grad3(perm[BA + 1], x - 1, y, z - 1), u),
+        this.lerp(this.grad3(perm[AB + 1], x, y - 1, z - 1), this.grad3(perm[BB + 1], x - 1, y - 1, z - 1), u),
+        v
+      ),
+      w
+    );
+  }
+
+  fbm(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxValue = 0;
+    for (let i = 0; i < octaves; i++) {
+      value += amplitude * this.noise2D(x * frequency, y * frequency);
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    return value / maxValue;
+  }
+
+  fbm3D(x, y, z, octaves = 2, lacunarity = 2, persistence = 0.5) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxValue = 0;
+    for (let i = 0; i < octaves; i++) {
+      value += amplitude * this.noise3D(x * frequency, y * frequency, z * frequency);
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+    return value / maxValue;
+  }
+}
+
+/**
+ * Deterministic 3D hash so per-block rolls don't depend on which
+ * vertical chunk of a column is being generated
+ * @returns {number} 0-1
+ */
+export function blockRoll(wx, wy, wz, seed) {
+  let h = (wx * 374761393 + wy * 668265263 + wz * 1274126177 + seed * 2246822519) | 0;
+  h = ((h ^ (h >> 13)) * 1103515245) | 0;
+  return (h & 0x7fffffff) / 0x7fffffff;
+}
@@ -0,0 +1,117 @@
+/**
+ * Ore vein placement
+ *
+ * The world is split into 16³ vein cells that line up with chunks. Each
+ * cell seeds its own veins from the world seed and its coordinates, so a
+ * vein straddling a chunk seam is rebuilt identically from either side.
+ * When generating a chunk, veins from the surrounding cells are replayed and
+ * only the blocks inside the chunk are written.
+ *
+ * Ore definitions come from the `ores` section of generation.json:
+ *   block          - BlockRegistry key of the ore
+ *   minY, maxY     - Voxel Y range the ore can appear in
+ *   veinSize       - Maximum blocks per vein (at most 16)
+ *   veinsPerChunk  - Average veins per 16³ cell (fractions roll)
+ *   biomeBias      - Optional multiplier on veinsPerChunk per biome
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { SeededRandom } from './noise.js';
+
+// Veins can reach this far from their cell, so neighbor cells are replayed
+const MAX_VEIN_SIZE = CHUNK_SIZE;
+
+// Random walk steps: ±x, ±y, ±z
+const STEPS = [
+  [1, 0, 0], [-1, 0, 0],
+  [0, 1, 0], [0, -1, 0],
+  [0, 0, 1], [0, 0, -1],
+];
+
+/**
+ * Resolve ore definitions to block IDs
+ * @param {Array<Object>} ores - `ores` section of generation.json
+ * @returns {Array<Object>}
+ */
+export function resolveOres(ores) {
+  return ores.map((ore) => {
+    const blockType = BlockTypes[ore.block];
+    if (blockType === undefined) {
+      throw new Error(`generation.json: unknown ore block ${ore.block}`);
+    }
+    if (ore.veinSize > MAX_VEIN_SIZE) {
+      throw new Error(`generation.json: ${ore.block} veinSize exceeds ${MAX_VEIN_SIZE}`);
+    }
+    return { ...ore, blockType, biomeBias: ore.biomeBias || {} };
+  });
+}
+
+// Stable seed for one (cell, ore) pair
+function cellSeed(seed, cx, cy, cz, oreIndex) {
+  let h = (cx * 73856093) ^ (cy * 19349663) ^ (cz * 83492791) ^ (oreIndex * 2654435761) ^ seed;
+  h = Math.imul(h ^ (h >>> 16), 0x45d9f3b);
+  return (h ^ (h >>> 16)) & 0x7fffffff;
+}
+
+/**
+ * Write ore veins into a chunk, replacing stone only
+ * @param {Uint8Array} blocks - Chunk blocks
+ * @param {number} chunkX
+ * @param {number} chunkY
+ * @param {number} chunkZ
+ * @param {number} seed - World seed
+ * @param {Array<Object>} ores - From resolveOres()
+ * @param {Function} biomeAt - (wx, wz) => biome id
+ */
+export function placeOreVeins(blocks, chunkX, chunkY, chunkZ, seed, ores, biomeAt) {
+  const minX = chunkX * CHUNK_SIZE;
+  const minY = chunkY * CHUNK_SIZE_Y;
+  const minZ = chunkZ * CHUNK_SIZE;
+
+  for (let cx = chunkX - 1; cx <= chunkX + 1; cx++) {
+    for (let cz = chunkZ - 1; cz <= chunkZ + 1; cz++) {
+      // One biome per cell column, sampled at its center
+      const biome = biomeAt(cx * CHUNK_SIZE + CHUNK_SIZE / 2, cz * CHUNK_SIZE + CHUNK_SIZE / 2);
+
+      for (let cy = chunkY - 1; cy <= chunkY + 1; cy++) {
+        const cellMinY = cy * CHUNK_SIZE_Y;
+        const cellMaxY = cellMinY + CHUNK_SIZE_Y - 1;
+
+        for (let o = 0; o < ores.length; o++) {
+          const ore = ores[o];
+          const lowY = Math.max(ore.minY, cellMinY);
+          const highY = Math.min(ore.maxY, cellMaxY);
+          if (lowY > highY) continue;
+
+          const random = new SeededRandom(cellSeed(seed, cx, cy, cz, o));
+          const rate = ore.veinsPerChunk * (ore.biomeBias[biome] ?? 1);
+          let count = Math.floor(rate);
+          if (random.next() < rate - count) count++;
+
+          for (let v = 0; v < count; v++) {
+            let x = cx * CHUNK_SIZE + random.nextInt(0, CHUNK_SIZE - 1);
+            let y = random.nextInt(lowY, highY);
+            let z = cz * CHUNK_SIZE + random.nextInt(0, CHUNK_SIZE - 1);
+            const size = random.nextInt(Math.ceil(ore.veinSize / 2), ore.veinSize);
+
+            for (let i = 0; i < size; i++) {
+              const lx = x - minX;
+              const ly = y - minY;
+              const lz = z - minZ;
+              if (lx >= 0 && lx < CHUNK_SIZE && ly >= 0 && ly < CHUNK_SIZE_Y &&
+                  lz >= 0 && lz < CHUNK_SIZE && y >= ore.minY && y <= ore.maxY) {
+                const index = lx + (lz << 4) + (ly << 8);
+                if (blocks[index] === BlockTypes.STONE) blocks[index] = ore.blockType;
+              }
+              const step = STEPS[random.nextInt(0, STEPS.length - 1)];
+              x += step[0];
+              y += step[1];
+              z += step[2];
+            }
+          }
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Rift corruption pass for generated chunks
+ *
+ * Rift positions come from the same mulberry32 sequence as RiftManager, so
+ * the corrupted ground always lines up with the rifts the game spawns.
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y, VOXEL_SIZE } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import {
+  RIFT_DENSITY,
+  RIFT_MIN_SPAWN_DISTANCE,
+  RIFT_MIN_SEPARATION,
+  CORRUPTION_RADIUS_FULL,
+  CORRUPTION_RADIUS_HEAVY,
+  CORRUPTION_RADIUS_LIGHT,
+} from '../../../data/tuning.js';
+
+const RIFT_CHUNK_SIZE_WORLD = 32; // world units per chunk (16 blocks * 2 voxel size)
+const RIFT_GRID_RANGE = 8;
+
+// Chunk early-rejection distance in world units (CORRUPTION_RADIUS_LIGHT * VOXEL_SIZE + chunk diagonal)
+const CORRUPTION_REJECT_DIST = 96;
+
+// Ground that turns to corrupted stone or grass
+const CORRUPTIBLE_GROUND = new Set([
+  BlockTypes.GRASS, BlockTypes.DIRT, BlockTypes.SAND, BlockTypes.SNOW,
+  BlockTypes.CLAY, BlockTypes.STONE, BlockTypes.MUD, BlockTypes.GRAVEL,
+]);
+
+// Vegetation that dies outright near a rift
+const PLANTS = new Set([BlockTypes.BERRY_BUSH, BlockTypes.TALL_GRASS, BlockTypes.FLOWER]);
+
+// mulberry32 PRNG — identical to RiftManager.js
+function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Cache rift positions per seed (only ever one seed in practice)
+let _cachedRiftSeed = null;
+let _cachedRiftPositions = null;
+
+/**
+ * Rift positions for a seed, in world units
+ * @param {number} seed
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function getRiftPositions(seed) {
+  if (_cachedRiftSeed === seed) return _cachedRiftPositions;
+
+  const rand = mulberry32(seed);
+  const candidates = [];
+
+  for (let cx = -RIFT_GRID_RANGE; cx <= RIFT_GRID_RANGE; cx++) {
+    for (let cz = -RIFT_GRID_RANGE; cz <= RIFT_GRID_RANGE; cz++) {
+      if (rand() > RIFT_DENSITY) continue;
+      const x = cx * RIFT_CHUNK_SIZE_WORLD + rand() * RIFT_CHUNK_SIZE_WORLD;
+      const z = cz * RIFT_CHUNK_SIZE_WORLD + rand() * RIFT_CHUNK_SIZE_WORLD;
+
+      // Check min distance from player spawn (0,0)
+      if (Math.sqrt(x * x + z * z) < RIFT_MIN_SPAWN_DISTANCE) continue;
+      candidates.push({ x, z });
+    }
+  }
+
+  // Filter by minimum separation
+  const accepted = [];
+  for (const c of candidates) {
+    let tooClose = false;
+    for (const a of accepted) {
+      const dx = c.x - a.x;
+      const dz = c.z - a.z;
+      if (Math.sqrt(dx * dx + dz * dz) < RIFT_MIN_SEPARATION) {
+        tooClose = true;
+        break;
+      }
+    }
+    if (!tooClose) accepted.push(c);
+  }
+
+  _cachedRiftSeed = seed;
+  _cachedRiftPositions = accepted;
+  return accepted;
+}
+
+/**
+ * Rifts close enough to a chunk column to corrupt any of it
+ */
+export function getRiftsNearChunk(riftPositions, chunkX, chunkZ) {
+  // Chunk center in world units
+  const centerX = chunkX * CHUNK_SIZE * VOXEL_SIZE + CHUNK_SIZE;
+  const centerZ = chunkZ * CHUNK_SIZE * VOXEL_SIZE + CHUNK_SIZE;
+  const nearby = [];
+  for (const rift of riftPositions) {
+    const dx = rift.x - centerX;
+    const dz = rift.z - centerZ;
+    if (Math.abs(dx) < CORRUPTION_REJECT_DIST && Math.abs(dz) < CORRUPTION_REJECT_DIST) {
+      nearby.push(rift);
+    }
+  }
+  return nearby;
+}
+
+// Deterministic hash for corruption probability (stable across chunk boundaries)
+function corruptionHash(wx, wz) {
+  let h = (wx * 374761393 + wz * 1274126177) | 0;
+  h = ((h ^ (h >> 13)) * 1103515245) | 0;
+  return (h & 0x7fffffff) / 0x7fffffff;
+}
+
+/**
+ * Corrupt ground and vegetation around nearby rifts, in place
+ */
+export function applyCorruption(blocks, chunkX, chunkZ, nearbyRifts) {
+  if (nearbyRifts.length === 0) return;
+
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      // World position in blocks, then convert to world units for distance
+      const worldX = (chunkX * CHUNK_SIZE + x) * VOXEL_SIZE;
+      const worldZ = (chunkZ * CHUNK_SIZE + z) * VOXEL_SIZE;
+
+      // Find minimum distance to any rift (in blocks)
+      let minDist = Infinity;
+      for (const rift of nearbyRifts) {
+        const dx = worldX - rift.x;
+        const dz = worldZ - rift.z;
+        const distWorld = Math.sqrt(dx * dx + dz * dz);
+        const distBlocks = distWorld / VOXEL_SIZE;
+        if (distBlocks < minDist) minDist = distBlocks;
+      }
+
+      if (minDist > CORRUPTION_RADIUS_LIGHT) continue;
+
+      const wx = chunkX * CHUNK_SIZE + x;
+      const wz = chunkZ * CHUNK_SIZE + z;
+
+      // Z1: 0-16 blocks, 100% → CORRUPTED_STONE
+      if (minDist <= CORRUPTION_RADIUS_FULL) {
+        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
+          const index = x + (z << 4) + (y << 8);
+          const block = blocks[index];
+          if (CORRUPTIBLE_GROUND.has(block)) {
+            blocks[index] = BlockTypes.CORRUPTED_STONE;
+          } else if (block === BlockTypes.WOOD) {
+            blocks[index] = BlockTypes.DEAD_WOOD;
+          } else if (block === BlockTypes.LEAVES || PLANTS.has(block)) {
+            blocks[index] = BlockTypes.AIR;
+          }
+        }
+        continue;
+      }
+
+      // Z2: 17-28 blocks — 80% CORRUPTED_STONE / 20% CORRUPTED_GRASS, gray trunks, no leaves
+      if (minDist <= CORRUPTION_RADIUS_HEAVY) {
+        const roll2 = corruptionHash(wx, wz);
+        const toCorruptedStone = roll2 < 0.80;
+        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
+          const index = x + (z << 4) + (y << 8);
+          const block = blocks[index];
+          if (CORRUPTIBLE_GROUND.has(block)) {
+            blocks[index] = toCorruptedStone ? BlockTypes.CORRUPTED_STONE : BlockTypes.CORRUPTED_GRASS;
+          } else if (block === BlockTypes.WOOD) {
+            blocks[index] = BlockTypes.DEAD_WOOD;
+          } else if (block === BlockTypes.LEAVES || PLANTS.has(block)) {
+            blocks[index] = BlockTypes.AIR;
+          }
+        }
+      }
+
+      // Z3: 29-32 blocks — all leaves/bushes die, 50% ground → CORRUPTED_GRASS
+      if (minDist > CORRUPTION_RADIUS_HEAVY) {
+        const roll3 = corruptionHash(wx + 7919, wz + 31337);
+        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
+          const index = x + (z << 4) + (y << 8);
+          const block = blocks[index];
+          if (block === BlockTypes.LEAVES || block === BlockTypes.BERRY_BUSH) {
+            blocks[index] = BlockTypes.DEAD_LEAVES;
+          } else if (PLANTS.has(block)) {
+            blocks[index] = BlockTypes.AIR;
+          } else if (roll3 < 0.50 && (block === BlockTypes.GRASS || block === BlockTypes.DIRT ||
+              block === BlockTypes.SAND || block === BlockTypes.SNOW || block === BlockTypes.MUD)) {
+            blocks[index] = BlockTypes.CORRUPTED_GRASS;
+          }
+        }
+      }
+    }
+  }
+}
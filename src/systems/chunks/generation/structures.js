@@ -0,0 +1,250 @@
+/**
+ * World structures for voxel terrain
+ *
+ * Runs StructureGenerator over the carved voxel surface (one template tile
+ * per voxel) and stamps each template into the chunks it overlaps. A tile
+ * becomes a floor block at the structure's base height plus an optional
+ * column of blocks above it, per the `structures.tiles` palette in
+ * generation.json. Loot spawns roll against a position hash and become
+ * containers.
+ *
+ * Placement is seeded per chunk, base heights and containers depend only on
+ * the structure, so every chunk a structure overlaps stamps the same blocks.
+ * Each structure is reported once, by the chunk holding its origin and floor.
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { blockRoll } from './noise.js';
+import { NO_WATER } from './waterFeatures.js';
+import { StructureGenerator } from '../../../modules/environment/structures/StructureGenerator.js';
+import structureTemplates from '../../../config/environment/structures/structureTemplates.js';
+
+const LOOT_SEED = 707;
+
+function resolveBlock(key) {
+  const blockType = BlockTypes[key];
+  if (blockType === undefined) {
+    throw new Error(`generation.json: unknown block ${key} in structures`);
+  }
+  return blockType;
+}
+
+/**
+ * Resolve the structure tile palette to block IDs, checking every tile the
+ * templates use has an entry
+ * @param {Object} tiles - `structures.tiles` section of generation.json
+ * @param {Object} templates - Structure templates by ID
+ * @returns {Object} Tile type -> { floor, column }
+ */
+export function resolveTilePalette(tiles, templates) {
+  const palette = {};
+  for (const [type, tile] of Object.entries(tiles)) {
+    palette[type] = {
+      floor: resolveBlock(tile.floor),
+      column: (tile.column || []).map(resolveBlock),
+    };
+  }
+
+  for (const template of Object.values(templates)) {
+    for (const tile of template.tiles) {
+      if (!palette[tile.type]) {
+        throw new Error(`generation.json: no structure tile ${tile.type} for template ${template.id}`);
+      }
+    }
+  }
+  return palette;
+}
+
+/**
+ * Seeded structure placement and stamping for one world
+ */
+export class StructurePlacer {
+  /**
+   * @param {number} seed - World seed
+   * @param {Object} config - Parsed generation.json
+   * @param {WaterFeatures} waterFeatures - Carved surface for the seed
+   */
+  constructor(seed, config, waterFeatures) {
+    const { tiles, foundation, container, containerBlocks, clearance, ...settings } = config.structures;
+    this.seed = seed;
+    this.waterFeatures = waterFeatures;
+
+    this.palette = resolveTilePalette(tiles, structureTemplates);
+    this.foundation = resolveBlock(foundation);
+    this.container = resolveBlock(container);
+    this.containerBlocks = new Set(containerBlocks.map(resolveBlock));
+
+    // Clear enough air above the floor for the tallest tile column
+    const tallest = Math.max(...Object.values(this.palette).map((tile) => tile.column.length));
+    this.clearance = Math.max(clearance, tallest + 1);
+
+    // Voxel surface for the generator; water columns are unbuildable
+    const terrain = {
+      seed,
+      config: { chunkSize: settings.chunkSize, waterLevel: config.terrain.seaLevel },
+      getHeight: (x, z) => {
+        const column = this.getSurface(x, z);
+        return column.water === NO_WATER ? column.height : null;
+      },
+      getBiome: (x, z) => waterFeatures.biomeTerrain.getBiome(x, z),
+    };
+    this.generator = new StructureGenerator(
+      terrain,
+      waterFeatures.biomeTerrain.biomeManager,
+      structureTemplates,
+      { ...settings, worldSize: null }
+    );
+
+    // Structure -> { baseY, containers }
+    this.layouts = new Map();
+  }
+
+  /**
+   * Carved surface height and water level at a voxel column
+   */
+  getSurface(wx, wz) {
+    const chunkX = Math.floor(wx / CHUNK_SIZE);
+    const chunkZ = Math.floor(wz / CHUNK_SIZE);
+    const column = this.waterFeatures.getColumn(chunkX, chunkZ);
+    const i = (wx - chunkX * CHUNK_SIZE) + (wz - chunkZ * CHUNK_SIZE) * CHUNK_SIZE;
+    return { height: column.heights[i], water: column.water[i] };
+  }
+
+  /**
+   * Structures whose footprint overlaps a chunk column
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {Array<Structure>}
+   */
+  getStructuresInChunk(chunkX, chunkZ) {
+    return this.generator.getStructuresInRegion(chunkX * CHUNK_SIZE, chunkZ * CHUNK_SIZE, CHUNK_SIZE, CHUNK_SIZE);
+  }
+
+  /**
+   * Floor height and loot containers of a structure. The floor sits at the
+   * rounded mean height of its footprint.
+   * @param {Structure} structure
+   * @returns {{baseY: number, containers: Array<{x: number, y: number, z: number, lootTable: string}>}}
+   */
+  getLayout(structure) {
+    let layout = this.layouts.get(structure);
+    if (layout) return layout;
+
+    let total = 0;
+    for (let lx = 0; lx < structure.width; lx++) {
+      for (let lz = 0; lz < structure.height; lz++) {
+        total += this.getSurface(structure.position.x + lx, structure.position.z + lz).height;
+      }
+    }
+    const baseY = Math.round(total / (structure.width * structure.height));
+
+    const containers = [];
+    for (const spawn of structure.getLootSpawnPoints()) {
+      if (blockRoll(spawn.x, baseY + 1, spawn.z, this.seed + LOOT_SEED) < spawn.chance) {
+        containers.push({ x: spawn.x, y: baseY + 1, z: spawn.z, lootTable: spawn.lootTable });
+      }
+    }
+
+    layout = { baseY, containers };
+    this.layouts.set(structure, layout);
+    return layout;
+  }
+
+  /**
+   * Mask of the columns structures cover in a chunk column, 1 where covered
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {Uint8Array} Indexed x + z * 16
+   */
+  getFootprint(chunkX, chunkZ) {
+    const footprint = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    for (const structure of this.getStructuresInChunk(chunkX, chunkZ)) {
+      this.forEachColumn(structure, chunkX, chunkZ, (x, z) => {
+        footprint[x + z * CHUNK_SIZE] = 1;
+      });
+    }
+    return footprint;
+  }
+
+  // Call fn(localX, localZ, tile, wx, wz) for each footprint column inside the chunk
+  forEachColumn(structure, chunkX, chunkZ, fn) {
+    const minX = chunkX * CHUNK_SIZE;
+    const minZ = chunkZ * CHUNK_SIZE;
+    for (let lx = 0; lx < structure.width; lx++) {
+      for (let lz = 0; lz < structure.height; lz++) {
+        const wx = structure.position.x + lx;
+        const wz = structure.position.z + lz;
+        const x = wx - minX;
+        const z = wz - minZ;
+        if (x < 0 || x >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE) continue;
+        fn(x, z, structure.getTileAt(lx, lz), wx, wz);
+      }
+    }
+  }
+
+  /**
+   * Stamp every structure overlapping a chunk into its blocks, in place
+   * @param {Uint8Array} blocks
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {number} chunkZ
+   * @returns {Array<Object>} Structures anchored in this chunk, as plain data:
+   *   { id, templateId, position: {x, z}, rotation, baseY, containers }
+   */
+  stamp(blocks, chunkX, chunkY, chunkZ) {
+    const baseY = chunkY * CHUNK_SIZE_Y;
+    const placed = [];
+
+    const put = (x, y, z, blockType) => {
+      const ly = y - baseY;
+      if (ly >= 0 && ly < CHUNK_SIZE_Y) blocks[x + (z << 4) + (ly << 8)] = blockType;
+    };
+
+    for (const structure of this.getStructuresInChunk(chunkX, chunkZ)) {
+      const layout = this.getLayout(structure);
+      const floorY = layout.baseY;
+      if (floorY + this.clearance < baseY) continue;
+
+      this.forEachColumn(structure, chunkX, chunkZ, (x, z, tile, wx, wz) => {
+        const { floor, column } = this.palette[tile.type];
+        const ground = this.getSurface(wx, wz).height;
+
+        // Foundation up to the floor, then open air above it
+        for (let y = ground + 1; y < floorY; y++) put(x, y, z, this.foundation);
+        put(x, floorY, z, floor);
+        for (let dy = 1; dy <= this.clearance; dy++) {
+          put(x, floorY + dy, z, column[dy - 1] ?? BlockTypes.AIR);
+        }
+      });
+
+      for (const { x, y, z } of layout.containers) {
+        const lx = x - chunkX * CHUNK_SIZE;
+        const lz = z - chunkZ * CHUNK_SIZE;
+        if (lx < 0 || lx >= CHUNK_SIZE || lz < 0 || lz >= CHUNK_SIZE) continue;
+        const ly = y - baseY;
+        if (ly < 0 || ly >= CHUNK_SIZE_Y) continue;
+        const index = lx + (lz << 4) + (ly << 8);
+        if (!this.containerBlocks.has(blocks[index])) blocks[index] = this.container;
+      }
+
+      // Report from the chunk holding the origin column and the floor
+      if (Math.floor(structure.position.x / CHUNK_SIZE) === chunkX &&
+          Math.floor(structure.position.z / CHUNK_SIZE) === chunkZ &&
+          Math.floor(floorY / CHUNK_SIZE_Y) === chunkY) {
+        placed.push({
+          id: structure.id,
+          templateId: structure.templateId,
+          position: { ...structure.position },
+          rotation: structure.rotation,
+          baseY: floorY,
+          containers: layout.containers.map((c) => ({ ...c })),
+        });
+      }
+    }
+
+    return placed;
+  }
+}
+
+export default StructurePlacer;
@@ -0,0 +1,152 @@
+/**
+ * Terrain generator - Builds the blocks of one 16³ chunk from the world seed
+ *
+ * Shared by the chunk worker and ChunkManager.generateChunkSync, so both
+ * paths produce the same world. Pure function of (seed, chunk coordinates):
+ * no state carries between calls except per-seed caches.
+ *
+ * Passes, in order:
+ *   1. Height map fill from blended biome profiles (biomeTerrain.js) with
+ *      rivers and lakes stamped in (waterFeatures.js): bedrock, stone, soil,
+ *      surface block, sea, river and lake water
+ *   2. Trees, bushes and plants from the column random stream
+ *   3. Ore veins (oreVeins.js)
+ *   4. Caves and aquifers (caves.js)
+ *   5. Structures with their loot containers (structures.js)
+ *   6. Rift corruption (riftCorruption.js)
+ *
+ * Biome, water, cave, aquifer, ore and structure tuning lives in
+ * config/terrain/generation.json.
+ */
+
+import { CHUNK_SIZE, CHUNK_SIZE_Y, CHUNK_SIZE_CUBED, WORLD_MIN_Y, WORLD_MAX_Y } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { SeededRandom } from './noise.js';
+import { BiomeTerrain } from './biomeTerrain.js';
+import { WaterFeatures } from './waterFeatures.js';
+import { CaveCarver } from './caves.js';
+import { StructurePlacer } from './structures.js';
+import { resolveOres, placeOreVeins } from './oreVeins.js';
+import { getRiftPositions, getRiftsNearChunk, applyCorruption } from './riftCorruption.js';
+import generationConfig from '../../../config/terrain/generation.json';
+
+export const SEA_LEVEL = generationConfig.terrain.seaLevel;
+
+const ORES = resolveOres(generationConfig.ores);
+
+// Per-seed samplers (only ever one seed in practice)
+let _cachedSeed = null;
+let _cachedBiomes = null;
+let _cachedWater = null;
+let _cachedCaves = null;
+let _cachedStructures = null;
+
+/**
+ * Biome, water, cave and structure samplers for a seed, shared across chunks
+ * @param {number} seed
+ * @returns {{biomes: BiomeTerrain, water: WaterFeatures, caves: CaveCarver, structures: StructurePlacer}}
+ */
+export function getSamplers(seed) {
+  if (_cachedSeed !== seed) {
+    _cachedSeed = seed;
+    _cachedBiomes = new BiomeTerrain(seed, generationConfig);
+    _cachedWater = new WaterFeatures(seed, generationConfig, _cachedBiomes);
+    _cachedCaves = new CaveCarver(seed, generationConfig.caves, generationConfig.aquifers);
+    _cachedStructures = new StructurePlacer(seed, generationConfig, _cachedWater);
+  }
+  return { biomes: _cachedBiomes, water: _cachedWater, caves: _cachedCaves, structures: _cachedStructures };
+}
+
+/**
+ * Generate one 16³ chunk. Column features (height, trees, plants) are
+ * computed in absolute Y and then clipped to this chunk, and the column
+ * random stream is consumed identically for every chunkY, so stacked
+ * chunks always line up at their seams.
+ * @param {{chunkX: number, chunkY: number, chunkZ: number, seed: number}} params
+ * @returns {{blocks: Uint8Array, chunkX: number, chunkY: number, chunkZ: number, structures: Array<Object>}}
+ *   `structures` lists the structures whose floor lies in this chunk
+ *   (see StructurePlacer.stamp)
+ */
+export function generateTerrain(params) {
+  const { chunkX, chunkY, chunkZ, seed } = params;
+  const { biomes, water, caves, structures } = getSamplers(seed);
+  const random = new SeededRandom(seed + chunkX * 31337 + chunkZ * 7919);
+  const blocks = new Uint8Array(CHUNK_SIZE_CUBED);
+  const column = water.getColumn(chunkX, chunkZ);
+  const footprint = structures.getFootprint(chunkX, chunkZ);
+  const baseY = chunkY * CHUNK_SIZE_Y;
+  const { snowLine } = generationConfig.terrain;
+
+  for (let x = 0; x < CHUNK_SIZE; x++) {
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+      const height = column.heights[x + z * CHUNK_SIZE];
+      const biome = column.biomes[x + z * CHUNK_SIZE];
+      const waterTop = column.water[x + z * CHUNK_SIZE];
+      const override = column.surface[x + z * CHUNK_SIZE];
+
+      let surfaceBlock = biome.surface;
+      if (override !== BlockTypes.AIR) {
+        surfaceBlock = override;
+      } else if (height < SEA_LEVEL) {
+        surfaceBlock = biome.floor;
+      } else if (height <= SEA_LEVEL + 1 && biome.shore !== null) {
+        surfaceBlock = biome.shore;
+      } else if (height >= snowLine) {
+        surfaceBlock = BlockTypes.SNOW;
+      }
+
+      for (let ly = 0; ly < CHUNK_SIZE_Y; ly++) {
+        const y = baseY + ly;
+        const index = x + (z << 4) + (ly << 8);
+        let blockType = BlockTypes.AIR;
+
+        if (y === WORLD_MIN_Y) {
+          blockType = BlockTypes.BEDROCK;
+        } else if (y < height - biome.soilDepth) {
+          blockType = BlockTypes.STONE;
+        } else if (y < height) {
+          blockType = biome.subsurface;
+        } else if (y === height) {
+          blockType = surfaceBlock;
+        } else if (y <= waterTop) {
+          blockType = BlockTypes.WATER;
+        }
+
+        blocks[index] = blockType;
+      }
+
+      // Vegetation only grows on dry land below the snow line, off beaches, banks and structures
+      if (height <= SEA_LEVEL || height >= snowLine || height + 1 >= WORLD_MAX_Y) continue;
+      if (override !== BlockTypes.AIR || footprint[x + z * CHUNK_SIZE]) continue;
+
+      // Trees
+      if (random.next() < biome.treeChance &&
+          x >= 2 && x < CHUNK_SIZE - 2 && z >= 2 && z < CHUNK_SIZE - 2) {
+        const shape = biome.treeShapes[random.nextInt(0, biome.treeShapes.length - 1)];
+        if (shape(blocks, x, height + 1, z, random, baseY)) continue;
+      }
+
+      // Bushes and plants: the first roll that succeeds wins
+      let plant = random.next() < biome.bushChance ? BlockTypes.BERRY_BUSH : BlockTypes.AIR;
+      for (const option of biome.plants) {
+        if (random.next() < option.chance && plant === BlockTypes.AIR) plant = option.blockType;
+      }
+      const plantY = height + 1 - baseY;
+      if (plant !== BlockTypes.AIR && plantY >= 0 && plantY < CHUNK_SIZE_Y &&
+          blocks[x + (z << 4) + (plantY << 8)] === BlockTypes.AIR) {
+        blocks[x + (z << 4) + (plantY << 8)] = plant;
+      }
+    }
+  }
+
+  placeOreVeins(blocks, chunkX, chunkY, chunkZ, seed, ORES, (wx, wz) => biomes.getBiome(wx, wz));
+  caves.carve(blocks, chunkX, chunkY, chunkZ, column.heights);
+  const placed = structures.stamp(blocks, chunkX, chunkY, chunkZ);
+
+  // Rift corruption pass — runs after trees + bushes so dead trees emerge naturally
+  const riftPositions = getRiftPositions(seed);
+  const nearbyRifts = getRiftsNearChunk(riftPositions, chunkX, chunkZ);
+  applyCorruption(blocks, chunkX, chunkZ, nearbyRifts);
+
+  return { blocks, chunkX, chunkY, chunkZ, structures: placed };
+}
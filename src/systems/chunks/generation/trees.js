@@ -0,0 +1,118 @@
+/**
+ * Tree shapes for voxel terrain
+ *
+ * Each shape places a tree rooted at absolute height baseY, writing only the
+ * blocks that fall inside the chunk starting at chunkBaseY. Every random roll
+ * is made whether or not its block lands in the chunk, so the column random
+ * stream stays identical for every chunkY. Trees reach at most 2 blocks from
+ * the trunk; callers keep trunks 2 blocks away from the chunk's X/Z edges.
+ */
+
+import { CHUNK_SIZE_Y, WORLD_MAX_Y } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+
+// Write a block if it falls inside the chunk. Leaves never replace blocks.
+function put(blocks, x, y, z, chunkBaseY, blockType) {
+  const ly = y - chunkBaseY;
+  if (ly < 0 || ly >= CHUNK_SIZE_Y) return;
+  const index = x + (z << 4) + (ly << 8);
+  if (blockType === BlockTypes.LEAVES && blocks[index] !== BlockTypes.AIR) return;
+  blocks[index] = blockType;
+}
+
+function trunk(blocks, x, baseY, z, height, chunkBaseY, blockType = BlockTypes.WOOD) {
+  for (let y = 0; y < height; y++) {
+    put(blocks, x, baseY + y, z, chunkBaseY, blockType);
+  }
+}
+
+/**
+ * Round broadleaf tree: short trunk, two wide leaf layers and a cap
+ */
+function oak(blocks, x, baseY, z, random, chunkBaseY) {
+  const trunkHeight = random.nextInt(3, 5);
+  if (baseY + trunkHeight + 2 >= WORLD_MAX_Y) return false;
+  trunk(blocks, x, baseY, z, trunkHeight, chunkBaseY);
+
+  const leafY = baseY + trunkHeight;
+  for (let dy = 0; dy <= 2; dy++) {
+    const radius = dy === 2 ? 1 : 2;
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        const dist = Math.abs(dx) + Math.abs(dz);
+        // Roll for every leaf so the random stream matches in every chunk
+        if (dist <= radius && random.next() > 0.2) {
+          put(blocks, x + dx, leafY + dy, z + dz, chunkBaseY, BlockTypes.LEAVES);
+        }
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Conifer: tall trunk wrapped in alternating narrow and wide rings
+ */
+function pine(blocks, x, baseY, z, random, chunkBaseY) {
+  const trunkHeight = random.nextInt(5, 7);
+  const top = baseY + trunkHeight;
+  if (top + 1 >= WORLD_MAX_Y) return false;
+  trunk(blocks, x, baseY, z, trunkHeight, chunkBaseY);
+
+  put(blocks, x, top, z, chunkBaseY, BlockTypes.LEAVES);
+  for (let y = top - 1, ring = 0; y >= baseY + 2; y--, ring++) {
+    const radius = ring % 2 === 0 ? 1 : 2;
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dz = -radius; dz <= radius; dz++) {
+        if ((dx !== 0 || dz !== 0) && Math.abs(dx) + Math.abs(dz) <= radius) {
+          put(blocks, x + dx, y, z + dz, chunkBaseY, BlockTypes.LEAVES);
+        }
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Swamp tree: low flat canopy with leaves hanging from its rim
+ */
+function swamp(blocks, x, baseY, z, random, chunkBaseY) {
+  const trunkHeight = random.nextInt(3, 4);
+  const canopyY = baseY + trunkHeight;
+  if (canopyY + 1 >= WORLD_MAX_Y) return false;
+  trunk(blocks, x, baseY, z, trunkHeight, chunkBaseY);
+
+  for (let dx = -2; dx <= 2; dx++) {
+    for (let dz = -2; dz <= 2; dz++) {
+      const rim = Math.max(Math.abs(dx), Math.abs(dz)) === 2;
+      put(blocks, x + dx, canopyY, z + dz, chunkBaseY, BlockTypes.LEAVES);
+      if (!rim) {
+        put(blocks, x + dx, canopyY + 1, z + dz, chunkBaseY, BlockTypes.LEAVES);
+      } else if (random.next() < 0.3) {
+        put(blocks, x + dx, canopyY - 1, z + dz, chunkBaseY, BlockTypes.LEAVES);
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Bare dead trunk with an occasional stub branch
+ */
+function dead(blocks, x, baseY, z, random, chunkBaseY) {
+  const trunkHeight = random.nextInt(2, 4);
+  if (baseY + trunkHeight >= WORLD_MAX_Y) return false;
+  trunk(blocks, x, baseY, z, trunkHeight, chunkBaseY, BlockTypes.DEAD_WOOD);
+
+  const branch = random.nextInt(0, 3);
+  if (trunkHeight > 2 && random.next() < 0.5) {
+    const [dx, dz] = [[1, 0], [-1, 0], [0, 1], [0, -1]][branch];
+    put(blocks, x + dx, baseY + trunkHeight - 1, z + dz, chunkBaseY, BlockTypes.DEAD_WOOD);
+  }
+  return true;
+}
+
+/**
+ * Tree shape functions by name, as referenced from generation.json
+ */
+export const TREE_SHAPES = { oak, pine, swamp, dead };
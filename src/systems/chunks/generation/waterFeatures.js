@@ -0,0 +1,341 @@
+/**
+ * Rivers, lakes and beaches for voxel terrain
+ *
+ * Runs RiverSystem and WaterBodySystem over the same map-scale terrain the
+ * minimap uses (one tile per voxel), then stamps the results into chunk
+ * columns: river beds and banks, lake basins and beaches. Both systems are
+ * seeded per region/chunk, and every chunk generates all regions whose rivers
+ * could reach it before reading them, so the result never depends on which
+ * chunks were generated first or in which worker.
+ *
+ * Lakes fill to one below the lowest column of their rim. River water sits one
+ * below the ground at each segment, taking the lowest level where segments
+ * overlap, so channels step down with the terrain. Dry columns beside water
+ * are finally raised to its surface so every body of water stays walled in.
+ */
+
+import { CHUNK_SIZE } from '../coordinates.js';
+import { BlockTypes } from '../blockTypes.js';
+import { RiverSystem } from '../../../modules/environment/RiverSystem.js';
+import { WaterBodySystem } from '../../../modules/environment/WaterBodySystem.js';
+
+// Water surface value for columns without water
+export const NO_WATER = -32768;
+
+// Columns kept per WaterFeatures; stacked chunks of a column reuse them
+const COLUMN_CACHE_SIZE = 64;
+
+function resolveBlock(key, section) {
+  const blockType = BlockTypes[key];
+  if (blockType === undefined) {
+    throw new Error(`generation.json: unknown block ${key} in ${section}`);
+  }
+  return blockType;
+}
+
+function cacheColumn(cache, key, column) {
+  cache.set(key, column);
+  if (cache.size > COLUMN_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  return column;
+}
+
+/**
+ * Seeded river and lake stamping for one world
+ */
+export class WaterFeatures {
+  /**
+   * @param {number} seed - World seed
+   * @param {Object} config - Parsed generation.json
+   * @param {BiomeTerrain} biomeTerrain - Surface heights and biomes for the seed
+   */
+  constructor(seed, config, biomeTerrain) {
+    const { rivers, waterBodies } = config;
+    this.biomeTerrain = biomeTerrain;
+    this.seaLevel = config.terrain.seaLevel;
+
+    this.riverBed = resolveBlock(rivers.bed, 'rivers');
+    this.riverBank = resolveBlock(rivers.bank, 'rivers');
+    this.bankWidth = rivers.bankWidth;
+    this.widthScale = rivers.widthScale;
+
+    this.depthVoxels = waterBodies.depthVoxels;
+    this.beach = resolveBlock(waterBodies.beach, 'waterBodies');
+    this.beachWidth = waterBodies.beachWidth;
+    this.beachMaxRise = waterBodies.beachMaxRise;
+    this.floors = {};
+    for (const [type, key] of Object.entries(waterBodies.floors)) {
+      this.floors[type] = resolveBlock(key, 'waterBodies');
+    }
+
+    // Map-scale terrain for both systems. Heights stay continuous (0-10) so
+    // steepest-descent river paths don't stall on integer plateaus.
+    const terrain = {
+      seed,
+      getHeight: (x, z) => biomeTerrain.worldGenerator.generateElevation(x, z) * 10,
+      getBiome: (x, z) => biomeTerrain.getBiome(x, z),
+    };
+    // Merging makes a river depend on rivers from other regions, so it is off
+    this.riverSystem = new RiverSystem(terrain, { ...rivers, allowMerging: false });
+    this.waterBodySystem = new WaterBodySystem(terrain, biomeTerrain.biomeManager, waterBodies);
+
+    // Furthest a river can reach from its region, in voxels
+    this.riverReach = rivers.maxRiverLength + (rivers.maxRiverWidth * this.widthScale) / 2 + this.bankWidth;
+
+    // "chunkX,chunkZ" -> river segments reaching into that chunk column
+    this.segmentsByChunk = new Map();
+    // River segment / water body -> water surface Y
+    this.levels = new Map();
+    // "chunkX,chunkZ" -> { heights, biomes, water, surface }, before and after sealing
+    this.carved = new Map();
+    this.columns = new Map();
+  }
+
+  /**
+   * Surface height of a column before any water is carved
+   * @param {number} wx - Voxel X
+   * @param {number} wz - Voxel Z
+   * @returns {number}
+   */
+  getBaseHeight(wx, wz) {
+    const chunkX = Math.floor(wx / CHUNK_SIZE);
+    const chunkZ = Math.floor(wz / CHUNK_SIZE);
+    const column = this.biomeTerrain.getColumn(chunkX, chunkZ);
+    return column.heights[(wx - chunkX * CHUNK_SIZE) + (wz - chunkZ * CHUNK_SIZE) * CHUNK_SIZE];
+  }
+
+  /**
+   * Generate every river region that could reach a chunk column and index
+   * the new segments by the chunk columns they touch
+   */
+  ensureRivers(chunkX, chunkZ) {
+    const { regionSize } = this.riverSystem.config;
+    const minRegionX = Math.floor((chunkX * CHUNK_SIZE - this.riverReach) / regionSize);
+    const maxRegionX = Math.floor(((chunkX + 1) * CHUNK_SIZE + this.riverReach) / regionSize);
+    const minRegionZ = Math.floor((chunkZ * CHUNK_SIZE - this.riverReach) / regionSize);
+    const maxRegionZ = Math.floor(((chunkZ + 1) * CHUNK_SIZE + this.riverReach) / regionSize);
+
+    for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+      for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+        if (this.riverSystem.generatedRegions.has(`${regionX},${regionZ}`)) continue;
+
+        for (const river of this.riverSystem.generateRiversForRegion(regionX, regionZ)) {
+          for (const segment of river.segments) {
+            const reach = (segment.width * this.widthScale) / 2 + this.bankWidth;
+            const cx0 = Math.floor((segment.x - reach) / CHUNK_SIZE);
+            const cx1 = Math.floor((segment.x + reach) / CHUNK_SIZE);
+            const cz0 = Math.floor((segment.z - reach) / CHUNK_SIZE);
+            const cz1 = Math.floor((segment.z + reach) / CHUNK_SIZE);
+            for (let cz = cz0; cz <= cz1; cz++) {
+              for (let cx = cx0; cx <= cx1; cx++) {
+                const key = `${cx},${cz}`;
+                if (!this.segmentsByChunk.has(key)) this.segmentsByChunk.set(key, []);
+                this.segmentsByChunk.get(key).push(segment);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Water surface of a lake: one below the lowest column of the ring just
+   * outside it, so water never sits above the ground that holds it in
+   * @param {WaterBody} waterBody
+   * @returns {number}
+   */
+  getLakeLevel(waterBody) {
+    let level = this.levels.get(waterBody);
+    if (level === undefined) {
+      const { x: cx, z: cz } = waterBody.position;
+      const outer = waterBody.radius + 1.5;
+      const reach = Math.ceil(outer);
+      level = Infinity;
+      for (let dx = -reach; dx <= reach; dx++) {
+        for (let dz = -reach; dz <= reach; dz++) {
+          const dist = Math.sqrt(dx * dx + dz * dz);
+          if (dist > waterBody.radius && dist <= outer) {
+            level = Math.min(level, this.getBaseHeight(cx + dx, cz + dz) - 1);
+          }
+        }
+      }
+      this.levels.set(waterBody, level);
+    }
+    return level;
+  }
+
+  /**
+   * Water surface of a river segment: one below the ground at its centre
+   * @param {RiverSegment} segment
+   * @returns {number}
+   */
+  getRiverLevel(segment) {
+    let level = this.levels.get(segment);
+    if (level === undefined) {
+      level = this.getBaseHeight(segment.x, segment.z) - 1;
+      this.levels.set(segment, level);
+    }
+    return level;
+  }
+
+  /**
+   * Surface heights, biomes, water surfaces and surface block overrides for
+   * the 16x16 columns of a chunk
+   * @param {number} chunkX
+   * @param {number} chunkZ
+   * @returns {{heights: Int16Array, biomes: Array<Object>, water: Int16Array, surface: Uint8Array}}
+   *   Indexed x + z * 16. `water` is NO_WATER for dry columns; `surface` is
+   *   0 (AIR) where the biome surface applies.
+   */
+  getColumn(chunkX, chunkZ) {
+    const key = `${chunkX},${chunkZ}`;
+    const cached = this.columns.get(key);
+    if (cached) return cached;
+
+    const carved = this.getCarvedColumn(chunkX, chunkZ);
+    const column = { ...carved, heights: this.sealShores(chunkX, chunkZ, carved) };
+    return cacheColumn(this.columns, key, column);
+  }
+
+  /**
+   * Columns with sea, lakes and rivers carved in, before shores are sealed
+   */
+  getCarvedColumn(chunkX, chunkZ) {
+    const key = `${chunkX},${chunkZ}`;
+    const cached = this.carved.get(key);
+    if (cached) return cached;
+
+    const base = this.biomeTerrain.getColumn(chunkX, chunkZ);
+    const heights = Int16Array.from(base.heights);
+    const water = new Int16Array(CHUNK_SIZE * CHUNK_SIZE);
+    const surface = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    for (let i = 0; i < heights.length; i++) {
+      water[i] = heights[i] < this.seaLevel ? this.seaLevel : NO_WATER;
+    }
+
+    this.carveLakes(chunkX, chunkZ, heights, water, surface);
+    this.carveRivers(chunkX, chunkZ, heights, water, surface);
+
+    return cacheColumn(this.carved, key, { heights, biomes: base.biomes, water, surface });
+  }
+
+  /**
+   * Raise dry columns to the water beside them. Banks and beaches cut for one
+   * feature can drop below the water of another; this keeps every body of
+   * water walled in, including across chunk seams.
+   * @returns {Int16Array} Sealed heights
+   */
+  sealShores(chunkX, chunkZ, carved) {
+    const heights = Int16Array.from(carved.heights);
+    const waterAt = (x, z) => {
+      if (x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE) {
+        return carved.water[x + z * CHUNK_SIZE];
+      }
+      const dx = Math.floor(x / CHUNK_SIZE);
+      const dz = Math.floor(z / CHUNK_SIZE);
+      const neighbor = this.getCarvedColumn(chunkX + dx, chunkZ + dz);
+      return neighbor.water[(x - dx * CHUNK_SIZE) + (z - dz * CHUNK_SIZE) * CHUNK_SIZE];
+    };
+
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      for (let z = 0; z < CHUNK_SIZE; z++) {
+        const i = x + z * CHUNK_SIZE;
+        if (carved.water[i] !== NO_WATER) continue;
+        const top = Math.max(waterAt(x - 1, z), waterAt(x + 1, z), waterAt(x, z - 1), waterAt(x, z + 1));
+        if (top > heights[i]) heights[i] = top;
+      }
+    }
+    return heights;
+  }
+
+  carveLakes(chunkX, chunkZ, heights, water, surface) {
+    const minX = chunkX * CHUNK_SIZE;
+    const minZ = chunkZ * CHUNK_SIZE;
+    const waterBodies = this.waterBodySystem.getWaterBodiesInRegion(
+      minX - this.beachWidth,
+      minZ - this.beachWidth,
+      CHUNK_SIZE + 2 * this.beachWidth,
+      CHUNK_SIZE + 2 * this.beachWidth
+    );
+
+    for (const waterBody of waterBodies) {
+      const level = this.getLakeLevel(waterBody);
+      const beachRadius = waterBody.radius + this.beachWidth;
+
+      for (let x = 0; x < CHUNK_SIZE; x++) {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+          const i = x + z * CHUNK_SIZE;
+          const dx = minX + x - waterBody.position.x;
+          const dz = minZ + z - waterBody.position.z;
+          const dist = Math.sqrt(dx * dx + dz * dz);
+
+          if (dist <= waterBody.radius) {
+            const depth = Math.max(1, Math.round(waterBody.getDepthAt(minX + x, minZ + z) * this.depthVoxels));
+            heights[i] = Math.min(heights[i], level - depth);
+            water[i] = Math.max(water[i], level);
+            surface[i] = this.floors[waterBody.type] ?? this.beach;
+          } else if (dist <= beachRadius && water[i] === NO_WATER && heights[i] <= level + this.beachMaxRise) {
+            heights[i] = Math.min(heights[i], level + 1);
+            surface[i] = this.beach;
+          }
+        }
+      }
+    }
+  }
+
+  carveRivers(chunkX, chunkZ, heights, water, surface) {
+    this.ensureRivers(chunkX, chunkZ);
+    const segments = this.segmentsByChunk.get(`${chunkX},${chunkZ}`);
+    if (!segments) return;
+
+    const minX = chunkX * CHUNK_SIZE;
+    const minZ = chunkZ * CHUNK_SIZE;
+    const riverLevel = new Int16Array(CHUNK_SIZE * CHUNK_SIZE).fill(NO_WATER);
+    const riverDepth = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    const bankLevel = new Int16Array(CHUNK_SIZE * CHUNK_SIZE).fill(NO_WATER);
+
+    for (const segment of segments) {
+      const level = this.getRiverLevel(segment);
+      const halfWidth = (segment.width * this.widthScale) / 2;
+      const depth = Math.max(1, Math.round(halfWidth));
+      const reach = halfWidth + this.bankWidth;
+      const x0 = Math.max(0, Math.ceil(segment.x - reach - minX));
+      const x1 = Math.min(CHUNK_SIZE - 1, Math.floor(segment.x + reach - minX));
+      const z0 = Math.max(0, Math.ceil(segment.z - reach - minZ));
+      const z1 = Math.min(CHUNK_SIZE - 1, Math.floor(segment.z + reach - minZ));
+
+      for (let x = x0; x <= x1; x++) {
+        for (let z = z0; z <= z1; z++) {
+          const i = x + z * CHUNK_SIZE;
+          // Same square footprint as River.containsPosition
+          const dist = Math.max(Math.abs(minX + x - segment.x), Math.abs(minZ + z - segment.z));
+          if (dist <= halfWidth) {
+            riverLevel[i] = riverLevel[i] === NO_WATER ? level : Math.min(riverLevel[i], level);
+            riverDepth[i] = Math.max(riverDepth[i], depth);
+          } else {
+            bankLevel[i] = bankLevel[i] === NO_WATER ? level : Math.min(bankLevel[i], level);
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < heights.length; i++) {
+      // Lakes and the sea already hold water here
+      if (water[i] !== NO_WATER) continue;
+
+      if (riverLevel[i] !== NO_WATER) {
+        const top = Math.min(riverLevel[i], heights[i] - 1);
+        heights[i] = top - riverDepth[i];
+        water[i] = top;
+        surface[i] = this.riverBed;
+      } else if (bankLevel[i] !== NO_WATER) {
+        heights[i] = Math.min(heights[i], bankLevel[i] + 1);
+        surface[i] = this.riverBank;
+      }
+    }
+  }
+}
+
+export default WaterFeatures;
@@ -10,13 +10,19 @@ export {
   CHUNK_SIZE_Y,
   CHUNK_SIZE_SQ,
   CHUNK_SIZE_CUBED,
+  WORLD_MIN_CHUNK_Y,
+  WORLD_MAX_CHUNK_Y,
+  WORLD_MIN_Y,
+  WORLD_MAX_Y,
   VOXEL_SIZE,
   worldToChunk,
+  worldToChunkY,
   worldToLocal,
   localToWorld,
   chunkOriginWorld,
   chunkKey,
   parseChunkKey,
+  isChunkYInWorld,
   blockIndex,
   indexToLocal,
   chunkDistance,
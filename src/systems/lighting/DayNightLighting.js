@@ -2,7 +2,7 @@
  * DayNightLighting.js — Pure logic for day/night lighting calculations
  *
  * No React, no Three.js — just math. Takes timeOfDay (0–1) and returns
- * light intensities, colors, sun position, sky color, and fog color.
+ * light intensities, colors, sun position, sky color, and fog color and range.
  *
  * Lighting is composed multiplicatively:
  *   finalIntensity = baseLighting(timeOfDay) × weatherModifier × shelterModifier
@@ -17,6 +17,8 @@ import {
   LIGHT_AMBIENT_DAY,
   LIGHT_DIRECTIONAL_NIGHT,
   LIGHT_DIRECTIONAL_DAY,
+  FOG_NEAR,
+  FOG_FAR,
 } from '../../data/tuning.js';
 
 /**
@@ -171,6 +173,17 @@ export function getFogColor(timeOfDay) {
   return getSkyColor(timeOfDay);
 }
 
+/**
+ * Fog distances. Past the loaded chunks the far-terrain horizon keeps going,
+ * so fog thins out to reach its edge and distant mountains fade into the sky
+ * instead of vanishing at FOG_FAR.
+ * @param {number} [horizonDistance=0] - World units the horizon reaches, 0 when off
+ * @returns {{ near: number, far: number }}
+ */
+export function getFogRange(horizonDistance = 0) {
+  return { near: FOG_NEAR, far: Math.max(FOG_FAR, horizonDistance) };
+}
+
 /**
  * Ambient light color (warm at sunrise/sunset, cool at night, white at noon).
  * @param {number} timeOfDay - 0.0–1.0
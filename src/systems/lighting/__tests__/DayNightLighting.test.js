@@ -6,6 +6,7 @@ import {
   getSkyColor,
   getAmbientColor,
   getLightingState,
+  getFogRange,
 } from '../DayNightLighting';
 
 import {
@@ -13,6 +14,8 @@ import {
   LIGHT_AMBIENT_DAY,
   LIGHT_DIRECTIONAL_NIGHT,
   LIGHT_DIRECTIONAL_DAY,
+  FOG_NEAR,
+  FOG_FAR,
 } from '../../../data/tuning';
 
 describe('DayNightLighting', () => {
@@ -141,6 +144,17 @@ describe('DayNightLighting', () => {
     });
   });
 
+  describe('getFogRange', () => {
+    test('uses the default range without a horizon', () => {
+      expect(getFogRange()).toEqual({ near: FOG_NEAR, far: FOG_FAR });
+    });
+
+    test('reaches out to the horizon edge', () => {
+      expect(getFogRange(1024)).toEqual({ near: FOG_NEAR, far: 1024 });
+      expect(getFogRange(100).far).toBe(FOG_FAR);
+    });
+  });
+
   describe('getLightingState', () => {
     test('returns all fields', () => {
       const state = getLightingState(0.5);
@@ -2,11 +2,11 @@
  * MiningZoneScanner - Scans solid blocks within zone bounds and returns a task list.
  *
  * Pure function: iterates XZ within bounds (step by VOXEL_SIZE), top-down per column.
- * Skips AIR, WATER, CAMPFIRE, BERRY_BUSH, BEDROCK.
+ * Skips AIR, WATER, CAMPFIRE, berry bushes (harvested or not), BEDROCK.
  * Returns array of { wx, wy, wz, blockType, status: 'pending' }.
  */
 
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../chunks/coordinates';
 import { BlockTypes, isSolid } from '../chunks/blockTypes';
 
 const SKIP_BLOCKS = new Set([
@@ -14,6 +14,7 @@ const SKIP_BLOCKS = new Set([
   BlockTypes.WATER,
   BlockTypes.CAMPFIRE,
   BlockTypes.BERRY_BUSH,
+  BlockTypes.BERRY_BUSH_BARE,
   BlockTypes.BEDROCK,
 ]);
 
@@ -27,12 +28,12 @@ export function scanMiningZone(bounds, chunkManager) {
   if (!chunkManager) return [];
 
   const tasks = [];
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
+  const maxVoxelY = WORLD_MAX_Y - 1;
 
   for (let wx = bounds.minX + VOXEL_SIZE / 2; wx < bounds.maxX; wx += VOXEL_SIZE) {
     for (let wz = bounds.minZ + VOXEL_SIZE / 2; wz < bounds.maxZ; wz += VOXEL_SIZE) {
       // Scan top-down to find blocks
-      for (let vy = maxVoxelY; vy >= 0; vy--) {
+      for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
         const wy = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
         const blockType = chunkManager.getBlock(wx, wy, wz);
 
@@ -0,0 +1,146 @@
+/**
+ * StockpileChests - The chests that hold a stockpile zone's items
+ *
+ * A stockpile's capacity comes from the chests standing in it. A new
+ * stockpile sets out a grid of chests and takes over any already there;
+ * chests the player places or breaks inside the zone add or take away
+ * capacity.
+ *
+ * zone.storage stays the summary everything else reads ({ items, capacity,
+ * usedCapacity }) and lists its chests' world positions in storage.chests.
+ * Items fill the chests in order (distributeItems) and are copied into the
+ * chests' block states whenever the stockpile changes, so each chest holds
+ * its share. Zones saved before stockpiles had chests have no
+ * storage.chests and keep the capacity they were created with.
+ */
+
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../chunks/coordinates';
+import { BlockTypes, isSolid } from '../chunks/blockTypes';
+import { blockRegistry } from '../chunks/BlockRegistry';
+import { StateKind, createBlockState, getStateKind } from '../chunks/blockStates';
+import { CONTAINER_CAPACITY, STOCKPILE_CHEST_SPACING } from '../../data/tuning';
+
+/**
+ * Check if a block is a chest, barrel or crate
+ * @param {number} blockType
+ * @returns {boolean}
+ */
+export function isContainerBlock(blockType) {
+  return getStateKind(blockType) === StateKind.CONTAINER;
+}
+
+/**
+ * Find the stockpile zone with chests whose bounds hold a world position
+ * @param {Array<Object>} zones
+ * @param {number} wx
+ * @param {number} wz
+ * @returns {Object | null}
+ */
+export function findStockpileAt(zones, wx, wz) {
+  for (const zone of zones) {
+    if (zone.type !== 'STOCKPILE' || !zone.storage?.chests) continue;
+    const { minX, minZ, maxX, maxZ } = zone.bounds;
+    if (wx >= minX && wx <= maxX && wz >= minZ && wz <= maxZ) return zone;
+  }
+  return null;
+}
+
+/**
+ * Set out chests for a new stockpile: one on the ground every
+ * STOCKPILE_CHEST_SPACING voxels, plus any chest already standing in the zone
+ * @param {{minX: number, minZ: number, maxX: number, maxZ: number}} bounds
+ * @param {Object} chunkManager
+ * @returns {Array<{wx: number, wy: number, wz: number}>} Chest positions
+ */
+export function placeStockpileChests(bounds, chunkManager) {
+  if (!chunkManager) return [];
+
+  const chests = [];
+  const spacing = STOCKPILE_CHEST_SPACING * VOXEL_SIZE;
+  const maxVoxelY = WORLD_MAX_Y - 1;
+
+  for (let wx = bounds.minX + VOXEL_SIZE / 2; wx < bounds.maxX; wx += VOXEL_SIZE) {
+    for (let wz = bounds.minZ + VOXEL_SIZE / 2; wz < bounds.maxZ; wz += VOXEL_SIZE) {
+      // Top-most block of the column
+      let vy = maxVoxelY;
+      while (vy >= WORLD_MIN_Y && chunkManager.getBlock(wx, vy * VOXEL_SIZE + VOXEL_SIZE / 2, wz) === BlockTypes.AIR) {
+        vy--;
+      }
+      if (vy < WORLD_MIN_Y) continue;
+
+      const wy = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
+      const ground = chunkManager.getBlock(wx, wy, wz);
+      if (isContainerBlock(ground)) {
+        chests.push({ wx, wy, wz });
+        continue;
+      }
+
+      const onGrid = (wx - bounds.minX - VOXEL_SIZE / 2) % spacing === 0 &&
+        (wz - bounds.minZ - VOXEL_SIZE / 2) % spacing === 0;
+      if (!onGrid || !isSolid(ground) || blockRegistry.get(ground)?.liquid) continue;
+
+      const chestY = wy + VOXEL_SIZE;
+      if (chunkManager.setBlock(wx, chestY, wz, BlockTypes.CHEST, createBlockState(StateKind.CONTAINER))) {
+        chests.push({ wx, wy: chestY, wz });
+      }
+    }
+  }
+
+  return chests;
+}
+
+/**
+ * Split a stockpile's items between its chests, filling each before the next
+ * @param {Object} items - { material: amount }
+ * @param {number} chestCount
+ * @returns {Array<Object>} Items per chest, in chest order
+ */
+export function distributeItems(items, chestCount) {
+  const shares = Array.from({ length: chestCount }, () => ({}));
+  let chest = 0;
+  let room = CONTAINER_CAPACITY;
+
+  for (const [material, amount] of Object.entries(items)) {
+    let left = amount;
+    while (left > 0 && chest < chestCount) {
+      const put = Math.min(left, room);
+      shares[chest][material] = (shares[chest][material] || 0) + put;
+      left -= put;
+      room -= put;
+      if (room === 0) {
+        chest++;
+        room = CONTAINER_CAPACITY;
+      }
+    }
+  }
+  return shares;
+}
+
+/**
+ * Build a stockpile's storage summary for a list of chests
+ * @param {Array<{wx: number, wy: number, wz: number}>} chests
+ * @param {Object} items - { material: amount }
+ * @returns {{items: Object, capacity: number, usedCapacity: number, chests: Array}}
+ */
+export function chestStorage(chests, items = {}) {
+  let usedCapacity = 0;
+  for (const amount of Object.values(items)) usedCapacity += amount;
+  return { items, capacity: chests.length * CONTAINER_CAPACITY, usedCapacity, chests };
+}
+
+/**
+ * Copy a stockpile's items into its chests' block states. Chests in
+ * chunks that aren't loaded are caught up the next time this runs.
+ * @param {Object} chunkManager
+ * @param {Object} storage - zone.storage
+ */
+export function writeChestContents(chunkManager, storage) {
+  if (!chunkManager || !storage?.chests) return;
+
+  const shares = distributeItems(storage.items, storage.chests.length);
+  storage.chests.forEach(({ wx, wy, wz }, i) => {
+    if (!isContainerBlock(chunkManager.getBlock(wx, wy, wz))) return;
+    const state = chunkManager.getBlockState(wx, wy, wz) || createBlockState(StateKind.CONTAINER);
+    chunkManager.setBlockState(wx, wy, wz, { ...state, items: shares[i] });
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * StockpileTransfers - Moving the player's materials in and out of stockpiles
+ *
+ * The store's depositToStockpile/withdrawFromStockpile move materials between
+ * a stockpile and the acting player's inventory, checking their role in the
+ * settlement. Alone, they do it all in one go. On a co-op server the
+ * stockpile is the server's and the inventory this game's: the store sends
+ * the action there (RemoteNetworkLayer.bindStore), the server moves the
+ * stockpile side and says how much moved, and these move the inventory side
+ * to match once it agrees. The server only takes deposits of what it saw the
+ * player get there (the store's playerMaterials), not what this game says
+ * they hold.
+ */
+
+import { actionVerdict } from '../../core/NetworkLayer';
+
+/**
+ * Put some of the player's materials into a stockpile
+ * @param {Object} store - The game store (getState)
+ * @param {string} zoneId
+ * @param {string} materialType
+ * @param {number} amount - At most this many; no more than the player has
+ * @returns {Promise<{ success: boolean, moved?: number, error?: string }>}
+ */
+export async function depositMaterials(store, zoneId, materialType, amount) {
+  const state = store.getState();
+  const held = state.inventory.materials[materialType] || 0;
+  const answer = state.depositToStockpile(zoneId, materialType, Math.min(amount, held), state.getLocalPlayerId());
+  const verdict = await actionVerdict(answer);
+  if (answer?.pending && verdict.success) store.getState().removeMaterial(materialType, verdict.moved);
+  return verdict;
+}
+
+/**
+ * Take materials out of a stockpile into the player's inventory
+ * @param {Object} store - The game store (getState)
+ * @param {string} zoneId
+ * @param {string} materialType
+ * @param {number} amount - At most this many
+ * @returns {Promise<{ success: boolean, moved?: number, error?: string }>}
+ */
+export async function withdrawMaterials(store, zoneId, materialType, amount) {
+  const state = store.getState();
+  const answer = state.withdrawFromStockpile(zoneId, materialType, amount, state.getLocalPlayerId());
+  const verdict = await actionVerdict(answer);
+  if (answer?.pending && verdict.success) store.getState().addMaterial(materialType, verdict.moved);
+  return verdict;
+}
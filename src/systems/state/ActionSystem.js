@@ -80,7 +80,8 @@ export function validateAction(action, state) {
   switch (type) {
     case ActionTypes.PLAYER_MOVE:
       // Validate position is reasonable
-      if (!payload.position || payload.position.length !== 3) {
+      if (!Array.isArray(payload.position) || payload.position.length !== 3
+        || !payload.position.every(Number.isFinite)) {
         return { valid: false, reason: 'Invalid position format' };
       }
       return { valid: true };
@@ -135,6 +136,7 @@ export class ActionHistory {
   constructor(maxSize = 1000) {
     this.actions = [];
     this.maxSize = maxSize;
+    this._listeners = new Set();
   }
 
   push(action) {
@@ -142,6 +144,19 @@ export class ActionHistory {
     if (this.actions.length > this.maxSize) {
       this.actions.shift();
     }
+    for (const fn of this._listeners) {
+      fn(action);
+    }
+  }
+
+  /**
+   * Listen for actions as they are pushed (after they have been applied)
+   * @param {Function} listener - Called with the action
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
   }
 
   getRecent(count) {
@@ -207,11 +222,10 @@ export function createActionMiddleware(actionHistory) {
         return;
       }
 
-      // Track in history
+      // Apply action (reducer-style), then track in history
+      const result = set(applyAction(action, state));
       actionHistory.push(action);
-
-      // Apply action (reducer-style)
-      return set(applyAction(action, state));
+      return result;
     }
 
     // Otherwise, pass through to regular set
@@ -219,6 +233,47 @@ export function createActionMiddleware(actionHistory) {
   };
 }
 
+// Type prefix for store method calls logged by logStoreActions()
+export const STORE_ACTION_PREFIX = 'store/';
+
+/**
+ * Log calls to store methods as actions, so the history covers gameplay that
+ * doesn't go through action objects. Each call becomes
+ * { type: 'store/<name>', payload: [...args] } once it returns. Calls made
+ * from inside another logged call aren't logged separately, since replaying
+ * the outer call makes them again.
+ * @param {Object} store - zustand store (getState/setState)
+ * @param {string[]} names - Store methods to log; their arguments must be JSON-safe
+ * @param {ActionHistory} actionHistory
+ */
+export function logStoreActions(store, names, actionHistory) {
+  const state = store.getState();
+  const wrapped = {};
+  let depth = 0;
+
+  for (const name of names) {
+    const method = state[name];
+    if (typeof method !== 'function') {
+      throw new Error(`ActionSystem: store has no action ${name}`);
+    }
+    wrapped[name] = (...args) => {
+      depth++;
+      let result;
+      try {
+        result = method(...args);
+      } finally {
+        depth--;
+      }
+      if (depth === 0) {
+        actionHistory.push(createAction(STORE_ACTION_PREFIX + name, args));
+      }
+      return result;
+    };
+  }
+
+  store.setState(wrapped);
+}
+
 /**
  * Apply an action to state (reducer pattern)
  * @param {Object} action - Action to apply
@@ -305,6 +360,7 @@ const ActionSystem = {
   ActionHistory,
   StateSnapshot,
   createActionMiddleware,
+  logStoreActions,
 };
 
 export default ActionSystem;
@@ -0,0 +1,355 @@
+/**
+ * ReplaySystem - Record a session from the action log and play it back
+ *
+ * A replay is the world seed, the save the session started from and every
+ * action pushed to the ActionHistory while recording: reducer actions from
+ * the store's dispatch() and the gameplay store calls in
+ * LOGGED_STORE_ACTIONS. Every few actions the recorder also stores a
+ * checksum of the state the actions drive (DEFAULT_CHECKSUM_FIELDS).
+ *
+ * ReplayPlayer restores the starting save into a store and re-applies the
+ * actions in order, at any speed or straight to a point on the timeline.
+ * Wherever the recording has a checksum it compares, and throws on the first
+ * mismatch: either the game no longer behaves the way it did when the replay
+ * was recorded, or something outside the action log changed that state.
+ *
+ * A replay only plays in a world generated from the seed it was recorded
+ * with; ReplayPlayer refuses one from another world.
+ *
+ * Replays are plain JSON, for bug reports and regression tests:
+ *   const recorder = new ReplayRecorder({ store: useGameStore, actionHistory, seed });
+ *   recorder.start();
+ *   ...
+ *   const replay = recorder.toReplay();
+ *
+ *   const player = new ReplayPlayer(replay, { store: useGameStore });
+ *   player.runToEnd(); // throws if the replay diverges
+ */
+
+import { STORE_ACTION_PREFIX } from './ActionSystem';
+import { createSaveData, migrateSaveData, applySaveData } from '../../persistence/SaveData';
+
+export const REPLAY_FORMAT = 'voxel3d-replay';
+export const REPLAY_VERSION = 1;
+
+// State the logged actions decide. Position, health and the like also move
+// with the frame loop, so they'd diverge between any two runs.
+export const DEFAULT_CHECKSUM_FIELDS = [
+  'player.level',
+  'player.xp',
+  'player.xpToNext',
+  'inventory.gold',
+  'inventory.materials',
+  'equipment',
+  'playerBlueprints',
+];
+
+// Checksum after every Nth action
+const DEFAULT_CHECKSUM_INTERVAL = 10;
+
+/**
+ * JSON with object keys sorted, so equal values always serialize the same
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Checksum of selected state fields (FNV-1a over their stable JSON)
+ * @param {Object} state - Game store state
+ * @param {string[]} [fields=DEFAULT_CHECKSUM_FIELDS] - Dot paths into the state
+ * @returns {string} 8 hex digits
+ */
+export function checksumState(state, fields = DEFAULT_CHECKSUM_FIELDS) {
+  const values = fields.map((path) => path.split('.').reduce((obj, key) => obj?.[key], state));
+  const text = stableStringify(values);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Apply one recorded action to a store
+ * @param {Object} store - zustand store with the game's actions
+ * @param {{type: string, payload: *}} action
+ */
+export function applyReplayAction(store, { type, payload }) {
+  const state = store.getState();
+
+  if (type.startsWith(STORE_ACTION_PREFIX)) {
+    const name = type.slice(STORE_ACTION_PREFIX.length);
+    if (typeof state[name] !== 'function') {
+      throw new Error(`Replay: store has no action ${name}`);
+    }
+    state[name](...payload);
+    return;
+  }
+
+  if (typeof state.dispatch !== 'function') {
+    throw new Error('Replay: store has no dispatch()');
+  }
+  state.dispatch({ type, payload, meta: { replay: true } });
+}
+
+/**
+ * ReplayRecorder - Records the action log into a replay
+ */
+export class ReplayRecorder {
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - The game store (useGameStore)
+   * @param {Object} options.actionHistory - ActionHistory the store logs to
+   * @param {number|null} [options.seed=null] - World seed
+   * @param {string[]} [options.checksumFields=DEFAULT_CHECKSUM_FIELDS]
+   * @param {number} [options.checksumInterval=DEFAULT_CHECKSUM_INTERVAL]
+   * @param {Function} [options.now=Date.now] - Clock, in milliseconds
+   */
+  constructor({
+    store,
+    actionHistory,
+    seed = null,
+    checksumFields = DEFAULT_CHECKSUM_FIELDS,
+    checksumInterval = DEFAULT_CHECKSUM_INTERVAL,
+    now = Date.now,
+  }) {
+    if (!store || !actionHistory) {
+      throw new Error('ReplayRecorder: a store and an actionHistory are required');
+    }
+    this.store = store;
+    this.actionHistory = actionHistory;
+    this.seed = seed;
+    this.checksumFields = checksumFields;
+    this.checksumInterval = Math.max(1, checksumInterval);
+    this.now = now;
+
+    this.startedAt = null;
+    this.initialSave = null;
+    this.actions = []; // [t, type, payload]
+    this.checksums = []; // [action index, checksum]
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Snapshot the current state as the starting save and start listening
+   */
+  start() {
+    if (this._unsubscribe) return;
+    this.startedAt = this.now();
+    this.initialSave = createSaveData(this.store.getState(), 'replay');
+    this.actions = [];
+    this.checksums = [];
+    this._unsubscribe = this.actionHistory.subscribe((action) => this._record(action));
+  }
+
+  stop() {
+    if (!this._unsubscribe) return;
+    this._unsubscribe();
+    this._unsubscribe = null;
+    this._checksumLast();
+  }
+
+  isRecording() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * The recording so far as a JSON-safe replay
+   * @returns {Object}
+   */
+  toReplay() {
+    if (!this.initialSave) {
+      throw new Error('ReplayRecorder: nothing recorded yet');
+    }
+    this._checksumLast();
+    const last = this.actions[this.actions.length - 1];
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      recordedAt: this.startedAt,
+      duration: last ? last[0] : 0,
+      initialSave: this.initialSave,
+      checksumFields: this.checksumFields,
+      actions: this.actions.map((entry) => [...entry]),
+      checksums: this.checksums.map((entry) => [...entry]),
+    };
+  }
+
+  _record(action) {
+    // Round-trip now so the recording can't share objects with live state
+    const payload = action.payload === undefined ? null : JSON.parse(JSON.stringify(action.payload));
+    this.actions.push([this.now() - this.startedAt, action.type, payload]);
+    if (this.actions.length % this.checksumInterval === 0) {
+      this._checksumLast();
+    }
+  }
+
+  // Checksum the state after the latest action, unless that's done already
+  _checksumLast() {
+    const index = this.actions.length - 1;
+    if (index < 0) return;
+    const lastChecked = this.checksums[this.checksums.length - 1];
+    if (lastChecked && lastChecked[0] === index) return;
+    this.checksums.push([index, checksumState(this.store.getState(), this.checksumFields)]);
+  }
+}
+
+/**
+ * ReplayPlayer - Plays a replay back into a store
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - From ReplayRecorder.toReplay(), parsed JSON
+   * @param {Object} options
+   * @param {Object} options.store - Store to play into (useGameStore)
+   * @param {number} [options.speed=1] - Playback speed multiplier for update()
+   * @param {number|null} [options.worldSeed=null] - Seed of the world it plays in; a replay
+   *   recorded in another world, or without a seed, is refused, since its actions assumed that terrain
+   */
+  constructor(replay, { store, speed = 1, worldSeed = null }) {
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+      throw new Error('Replay: not a replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+      throw new Error(`Replay: unsupported replay version ${replay.version}`);
+    }
+    if (!store) {
+      throw new Error('Replay: a store is required');
+    }
+    if (worldSeed != null && replay.seed == null) {
+      throw new Error('Replay: recorded without a world seed');
+    }
+    if (worldSeed != null && replay.seed !== worldSeed) {
+      throw new Error(`Replay: recorded with world seed ${replay.seed}, this world is ${worldSeed}`);
+    }
+    this.replay = replay;
+    this.store = store;
+    this.speed = speed;
+    this.checksums = new Map(replay.checksums);
+
+    this.index = 0; // Next action to apply
+    this.time = 0; // Playback position in milliseconds
+    this.playing = false;
+  }
+
+  get seed() {
+    return this.replay.seed;
+  }
+
+  get duration() {
+    return this.replay.duration;
+  }
+
+  get actionCount() {
+    return this.replay.actions.length;
+  }
+
+  get finished() {
+    return this.index >= this.replay.actions.length;
+  }
+
+  /**
+   * Restore the starting save and rewind to the beginning
+   */
+  reset() {
+    const save = migrateSaveData(JSON.parse(JSON.stringify(this.replay.initialSave)));
+    applySaveData(this.store, save);
+    this.index = 0;
+    this.time = 0;
+  }
+
+  play() {
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  /**
+   * Apply the next action and verify its checksum, if it has one
+   * @returns {Object|null} The applied { t, type, payload }, or null at the end
+   */
+  step() {
+    if (this.finished) return null;
+    const i = this.index;
+    const [t, type, payload] = this.replay.actions[i];
+
+    applyReplayAction(this.store, { type, payload });
+    this.index++;
+    this.time = Math.max(this.time, t);
+
+    if (this.checksums.has(i)) {
+      const expected = this.checksums.get(i);
+      const actual = checksumState(this.store.getState(), this.replay.checksumFields);
+      if (actual !== expected) {
+        this.playing = false;
+        throw new Error(
+          `Replay: diverged at action ${i} (${type}) at ${t} ms: `
+          + `checksum ${actual}, recorded ${expected}`
+        );
+      }
+    }
+    return { t, type, payload };
+  }
+
+  /**
+   * Move the playback position, applying every action up to it. Seeking
+   * backwards restores the starting save and plays forward from there.
+   * @param {number} timeMs
+   */
+  seek(timeMs) {
+    const target = Math.max(0, Math.min(timeMs, this.duration));
+    if (target < this.time) this.reset();
+
+    const { actions } = this.replay;
+    while (!this.finished && actions[this.index][0] <= target) {
+      this.step();
+    }
+    this.time = target;
+  }
+
+  /**
+   * Advance playback by real elapsed time, scaled by the speed. Does nothing while paused.
+   * @param {number} deltaMs
+   */
+  update(deltaMs) {
+    if (!this.playing) return;
+    this.seek(this.time + deltaMs * this.speed);
+    if (this.finished) this.playing = false;
+  }
+
+  /**
+   * Apply every remaining action
+   */
+  runToEnd() {
+    while (!this.finished) {
+      this.step();
+    }
+    this.time = this.duration;
+  }
+}
+
+export default {
+  REPLAY_FORMAT,
+  REPLAY_VERSION,
+  DEFAULT_CHECKSUM_FIELDS,
+  checksumState,
+  applyReplayAction,
+  ReplayRecorder,
+  ReplayPlayer,
+};
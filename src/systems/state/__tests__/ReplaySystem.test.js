@@ -0,0 +1,190 @@
+import { createStore } from 'zustand/vanilla';
+import useGameStore, { actionHistory } from '../../../stores/useGameStore';
+import { ActionHistory, ActionTypes, createAction, logStoreActions } from '../ActionSystem';
+import { ReplayRecorder, ReplayPlayer, checksumState } from '../ReplaySystem';
+
+// A session: some logged store calls and a reducer action, 100 ms apart
+function recordSession({ checksumInterval = 1 } = {}) {
+  let clock = 1000;
+  const recorder = new ReplayRecorder({
+    store: useGameStore,
+    actionHistory,
+    seed: 12345,
+    checksumInterval,
+    now: () => clock,
+  });
+  recorder.start();
+
+  const steps = [
+    () => useGameStore.getState().addGold(25),
+    () => useGameStore.getState().addMaterial('wood', 4),
+    () => useGameStore.getState().dispatch(createAction(ActionTypes.PLAYER_GAIN_XP, { amount: 150 })),
+    () => useGameStore.getState().removeMaterial('wood', 1),
+  ];
+  for (const step of steps) {
+    clock += 100;
+    step();
+  }
+  recorder.stop();
+  return JSON.parse(JSON.stringify(recorder.toReplay()));
+}
+
+describe('ReplaySystem', () => {
+  beforeEach(() => {
+    useGameStore.getState().reset();
+    const { inventory } = useGameStore.getState();
+    useGameStore.setState({ inventory: { ...inventory, gold: 0, materials: {} } });
+    actionHistory.clear();
+  });
+
+  it('logs outermost store calls only, after they apply', () => {
+    const history = new ActionHistory();
+    const store = createStore((set, get) => ({
+      gold: 0,
+      addGold: (amount) => set({ gold: get().gold + amount }),
+      sellItem: (price) => get().addGold(price),
+    }));
+    logStoreActions(store, ['addGold', 'sellItem'], history);
+
+    const seen = [];
+    history.subscribe((action) => seen.push([action.type, action.payload, store.getState().gold]));
+    store.getState().sellItem(7);
+
+    expect(seen).toEqual([['store/sellItem', [7], 7]]);
+    expect(() => logStoreActions(store, ['missing'], history)).toThrow(/no action missing/);
+  });
+
+  it('records actions with timestamps, the seed and the starting save', () => {
+    const replay = recordSession();
+
+    expect(replay).toMatchObject({ format: 'voxel3d-replay', version: 1, seed: 12345, duration: 400 });
+    expect(replay.initialSave.inventory.gold).toBe(0);
+    expect(replay.actions.map(([t, type]) => [t, type])).toEqual([
+      [100, 'store/addGold'],
+      [200, 'store/addMaterial'],
+      [300, ActionTypes.PLAYER_GAIN_XP],
+      [400, 'store/removeMaterial'],
+    ]);
+    expect(replay.checksums.map(([index]) => index)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('replays to the recorded state from anywhere the session went', () => {
+    const replay = recordSession({ checksumInterval: 3 });
+    const recorded = checksumState(useGameStore.getState());
+    expect(replay.checksums.map(([index]) => index)).toEqual([2, 3]);
+
+    // Wander off, then play the session back over it
+    useGameStore.getState().addGold(999);
+    const player = new ReplayPlayer(replay, { store: useGameStore });
+    player.reset();
+    expect(useGameStore.getState().inventory.gold).toBe(0);
+
+    player.runToEnd();
+    expect(player.finished).toBe(true);
+    expect(checksumState(useGameStore.getState())).toBe(recorded);
+    expect(useGameStore.getState().player.level).toBe(2);
+    expect(useGameStore.getState().inventory.materials.wood).toBe(3);
+  });
+
+  it('scrubs backwards and forwards and plays at any speed', () => {
+    const player = new ReplayPlayer(recordSession(), { store: useGameStore });
+    player.reset();
+
+    player.seek(250);
+    expect(player.index).toBe(2);
+    expect(useGameStore.getState().inventory.materials.wood).toBe(4);
+
+    player.seek(150);
+    expect(player.index).toBe(1);
+    expect(useGameStore.getState().inventory.gold).toBe(25);
+    expect(useGameStore.getState().inventory.materials.wood).toBeUndefined();
+
+    player.setSpeed(4);
+    player.play();
+    player.update(50); // 150 ms + 50 ms at 4x
+    expect(player.time).toBe(350);
+    expect(player.index).toBe(3);
+    player.update(1000);
+    expect(player.finished).toBe(true);
+    expect(player.playing).toBe(false);
+  });
+
+  it('replays building placement and deliveries to the same site', () => {
+    let clock = 1000;
+    const recorder = new ReplayRecorder({ store: useGameStore, actionHistory, seed: 12345, now: () => clock });
+    recorder.start();
+    const store = useGameStore.getState();
+    store.addMaterial('wood', 5);
+    clock += 100;
+    store.placeConstructionSite('hut', [0, 10, 0], { wood: 4 }, 4, 'cs_replay');
+    clock += 100;
+    store.deliverToConstruction('cs_replay', 'wood', 4);
+    recorder.stop();
+    const replay = JSON.parse(JSON.stringify(recorder.toReplay()));
+
+    expect(replay.actions.map(([, type]) => type)).toEqual([
+      'store/addMaterial', 'store/placeConstructionSite', 'store/deliverToConstruction',
+    ]);
+
+    const player = new ReplayPlayer(replay, { store: useGameStore });
+    player.reset();
+    expect(useGameStore.getState().constructionSites).toEqual([]);
+    expect(() => player.runToEnd()).not.toThrow();
+    const [site] = useGameStore.getState().constructionSites;
+    expect(site).toMatchObject({ id: 'cs_replay', materialsDelivered: { wood: 4 }, status: 'BUILDING' });
+    expect(useGameStore.getState().inventory.materials.wood).toBe(1);
+  });
+
+  it('fails loudly when playback diverges from a checksum', () => {
+    const replay = recordSession();
+    // As if addMaterial had behaved differently when the replay was recorded
+    replay.checksums[1][1] = '00000000';
+
+    const player = new ReplayPlayer(replay, { store: useGameStore });
+    player.reset();
+    player.step();
+    expect(() => player.step()).toThrow(/diverged at action 1 \(store\/addMaterial\) at 200 ms/);
+  });
+
+  it('rejects files that are not replays', () => {
+    expect(() => new ReplayPlayer({ format: 'other' }, { store: useGameStore })).toThrow(/not a replay file/);
+    expect(() => new ReplayPlayer({ format: 'voxel3d-replay', version: 9 }, { store: useGameStore }))
+      .toThrow(/unsupported replay version 9/);
+  });
+
+  it('only plays in a world with the seed it was recorded in', () => {
+    const replay = recordSession();
+    expect(() => new ReplayPlayer(replay, { store: useGameStore, worldSeed: 999 }))
+      .toThrow(/recorded with world seed 12345, this world is 999/);
+    expect(new ReplayPlayer(replay, { store: useGameStore, worldSeed: 12345 }).seed).toBe(12345);
+    expect(() => new ReplayPlayer({ ...replay, seed: null }, { store: useGameStore, worldSeed: 12345 }))
+      .toThrow(/recorded without a world seed/);
+  });
+
+  it('replays deaths and demolished sites without diverging', () => {
+    let clock = 1000;
+    const recorder = new ReplayRecorder({ store: useGameStore, actionHistory, seed: 12345, now: () => clock });
+    recorder.start();
+    const steps = [
+      () => useGameStore.getState().addMaterial('wood', 9),
+      () => useGameStore.getState().placeConstructionSite('hut', [0, 10, 0], { wood: 4 }, 4, 'cs_gone'),
+      () => useGameStore.getState().deliverToConstruction('cs_gone', 'wood', 4),
+      () => useGameStore.getState().removeConstructionSite('cs_gone'),
+      () => useGameStore.getState().respawnPlayer([50, 70, 0]),
+    ];
+    for (const step of steps) {
+      clock += 100;
+      step();
+    }
+    recorder.stop();
+    const replay = JSON.parse(JSON.stringify(recorder.toReplay()));
+    const recorded = checksumState(useGameStore.getState());
+    expect(useGameStore.getState().inventory.materials.wood).toBe(4);
+
+    const player = new ReplayPlayer(replay, { store: useGameStore });
+    player.reset();
+    expect(() => player.runToEnd()).not.toThrow();
+    expect(checksumState(useGameStore.getState())).toBe(recorded);
+    expect(useGameStore.getState().player.position).toEqual([50, 70, 0]);
+  });
+});
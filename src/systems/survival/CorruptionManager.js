@@ -1,24 +1,267 @@
 /**
- * CorruptionManager.js — Manages dynamic corruption fade during rift closing.
+ * CorruptionManager.js — Manages dynamic corruption around rifts.
+ *
+ * While a rift is open (ACTIVE or WOUNDED) its corruption spreads outward:
+ * ground, trees and plants at the corruption edge turn to corrupted stone,
+ * corrupted grass and dead wood, out to the rift's growing corruptionRadius.
+ * Columns within a purification ward's wardRadius never corrupt.
  *
  * When a rift enters CLOSING state, corruption around it fades from the outer
  * edge inward. Corrupted blocks are replaced with their original types.
  * Dissolving blocks may drop void shards.
  *
  * Corruption fade speed depends on player proximity and NPC defenders.
+ *
+ * On terrain from a co-op server (chunkManager.chunkSource) rifts still
+ * spread and fade, but the blocks are left alone: the server's copy would
+ * never see the change.
  */
 
-import { CORRUPTION_REVERSE, isCorrupted } from '../chunks/blockTypes';
-import { VOXEL_SIZE } from '../chunks/coordinates';
+import { BlockTypes, CORRUPTION_REVERSE, isCorrupted, isSolid } from '../chunks/blockTypes';
+import { blockRegistry } from '../chunks/BlockRegistry';
+import { CHUNK_SIZE, VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../chunks/coordinates';
 import {
+  CORRUPTION_RADIUS_FULL,
   CORRUPTION_RADIUS_LIGHT,
   RIFT_VOID_SHARD_DROP_CHANCE,
+  RIFT_CORRUPTION_SPREAD_ATTEMPTS,
 } from '../../data/tuning';
 
+// Voxel Y band scanned for corrupted blocks: the whole world height
+const SCAN_MIN_VY = WORLD_MIN_Y;
+const SCAN_MAX_VY = WORLD_MAX_Y;
+
+// What spreading corruption turns each block into
+const SPREADS_TO = {
+  [BlockTypes.GRASS]: BlockTypes.CORRUPTED_GRASS,
+  [BlockTypes.DIRT]: BlockTypes.CORRUPTED_GRASS,
+  [BlockTypes.SAND]: BlockTypes.CORRUPTED_GRASS,
+  [BlockTypes.SNOW]: BlockTypes.CORRUPTED_GRASS,
+  [BlockTypes.MUD]: BlockTypes.CORRUPTED_GRASS,
+  [BlockTypes.STONE]: BlockTypes.CORRUPTED_STONE,
+  [BlockTypes.GRAVEL]: BlockTypes.CORRUPTED_STONE,
+  [BlockTypes.CLAY]: BlockTypes.CORRUPTED_STONE,
+  [BlockTypes.WOOD]: BlockTypes.DEAD_WOOD,
+  [BlockTypes.LEAVES]: BlockTypes.DEAD_LEAVES,
+};
+
+// Tree blocks the spread passes down through to reach the ground
+const TREE = new Set([BlockTypes.WOOD, BlockTypes.LEAVES, BlockTypes.DEAD_WOOD, BlockTypes.DEAD_LEAVES]);
+
+// Vegetation that dies outright when corruption reaches it
+const PLANTS = new Set([BlockTypes.BERRY_BUSH, BlockTypes.BERRY_BUSH_BARE, BlockTypes.TALL_GRASS, BlockTypes.FLOWER]);
+
+// Purification ward block type → protected radius in world units
+const WARD_RADIUS = new Map(
+  blockRegistry.getAll()
+    .filter(def => def.wardRadius)
+    .map(def => [def.id, def.wardRadius * VOXEL_SIZE])
+);
+const MAX_WARD_RADIUS = Math.max(0, ...WARD_RADIUS.values());
+
+// Voxel-center world coordinate for a world position
+function snapToVoxel(w) {
+  return Math.floor(w / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
+}
+
+/**
+ * Voxel Y of the ground under any trees and plants in a column
+ * @returns {number | null} null when the column has no ground in the scan band
+ */
+function groundVoxelY(chunkManager, wx, wz) {
+  for (let vy = SCAN_MAX_VY - 1; vy >= SCAN_MIN_VY; vy--) {
+    const block = chunkManager.getBlock(wx, vy * VOXEL_SIZE + VOXEL_SIZE / 2, wz);
+    if (!isSolid(block) || TREE.has(block) || PLANTS.has(block)) continue;
+    return vy;
+  }
+  return null;
+}
+
+/**
+ * Find purification wards in loaded chunks that could cover a circle
+ * @param {Object} chunkManager
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} radius - World units
+ * @returns {Array<{x: number, z: number, radius: number}>}
+ */
+export function findWards(chunkManager, x, z, radius) {
+  const wards = [];
+  if (WARD_RADIUS.size === 0 || !chunkManager?.chunks) return wards;
+
+  const chunkWorld = CHUNK_SIZE * VOXEL_SIZE;
+  const reach = radius + MAX_WARD_RADIUS;
+
+  for (const chunk of chunkManager.chunks.values()) {
+    if (!chunk.blocks) continue;
+    // Nearest point of the chunk's footprint to the circle center
+    const minX = chunk.x * chunkWorld;
+    const minZ = chunk.z * chunkWorld;
+    const dx = Math.max(minX - x, 0, x - (minX + chunkWorld));
+    const dz = Math.max(minZ - z, 0, z - (minZ + chunkWorld));
+    if (dx * dx + dz * dz > reach * reach) continue;
+
+    for (const [wardType, wardRadius] of WARD_RADIUS) {
+      for (let i = chunk.blocks.indexOf(wardType); i !== -1; i = chunk.blocks.indexOf(wardType, i + 1)) {
+        wards.push({
+          x: minX + (i & 15) * VOXEL_SIZE + VOXEL_SIZE / 2,
+          z: minZ + ((i >> 4) & 15) * VOXEL_SIZE + VOXEL_SIZE / 2,
+          radius: wardRadius,
+        });
+      }
+    }
+  }
+
+  return wards;
+}
+
+/**
+ * Get corruption level near a position (0-100 scale): the share of ground
+ * columns sampled in a radius whose surface is corrupted.
+ *
+ * @param {Object} chunkManager
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @param {number} radius - Search radius in world units
+ * @returns {number} Corruption level 0-100
+ */
+export function getCorruptionLevel(chunkManager, x, z, radius) {
+  if (!chunkManager) return 0;
+
+  let corruptedCount = 0;
+  let totalChecked = 0;
+  const step = VOXEL_SIZE * 4; // Coarse sampling for performance
+
+  for (let dx = -radius; dx <= radius; dx += step) {
+    for (let dz = -radius; dz <= radius; dz += step) {
+      if (dx * dx + dz * dz > radius * radius) continue;
+      const vy = groundVoxelY(chunkManager, x + dx, z + dz);
+      if (vy == null) continue;
+      totalChecked++;
+      const block = chunkManager.getBlock(x + dx, vy * VOXEL_SIZE + VOXEL_SIZE / 2, z + dz);
+      if (isCorrupted(block)) {
+        corruptedCount++;
+      }
+    }
+  }
+
+  if (totalChecked === 0) return 0;
+  return Math.round((corruptedCount / totalChecked) * 100);
+}
+
 class CorruptionManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {() => number} [options.random] - Random source for where corruption spreads
+   */
+  constructor(options = {}) {
     this._fadeAccum = 0;
     this._fadeInterval = 2; // Process corruption fade every 2 seconds
+    this._spreadAccum = 0;
+    this._spreadInterval = 2; // Spread corruption every 2 seconds
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Tick corruption spread for all open rifts.
+   * Grows each rift's corruptionRadius, then corrupts columns inside it that
+   * border corrupted ground.
+   *
+   * @param {number} delta - seconds since last call
+   * @param {Array} spreadingRifts - rifts with state ACTIVE or WOUNDED
+   * @param {Object} chunkManager - for block read/write
+   * @param {Object} riftManager - for updating corruptionRadius
+   * @param {{ isNight: boolean }} worldTime
+   * @returns {{ blocksCorrupted: number }}
+   */
+  spread(delta, spreadingRifts, chunkManager, riftManager, worldTime) {
+    this._spreadAccum += delta;
+    if (this._spreadAccum < this._spreadInterval) {
+      return { blocksCorrupted: 0 };
+    }
+    const elapsed = this._spreadAccum;
+    this._spreadAccum = 0;
+
+    if (!chunkManager || !spreadingRifts || spreadingRifts.length === 0) {
+      return { blocksCorrupted: 0 };
+    }
+
+    let totalCorrupted = 0;
+
+    for (const rift of spreadingRifts) {
+      const radius = riftManager.tickCorruptionSpread(rift, elapsed, !!worldTime?.isNight) * VOXEL_SIZE;
+      if (chunkManager.chunkSource) continue;
+      const wards = findWards(chunkManager, rift.x, rift.z, radius);
+
+      for (let i = 0; i < RIFT_CORRUPTION_SPREAD_ATTEMPTS; i++) {
+        // Uniform over the corruption disk
+        const angle = this.random() * Math.PI * 2;
+        const dist = Math.sqrt(this.random()) * radius;
+        const wx = snapToVoxel(rift.x + Math.cos(angle) * dist);
+        const wz = snapToVoxel(rift.z + Math.sin(angle) * dist);
+
+        if (wards.some(w => (wx - w.x) ** 2 + (wz - w.z) ** 2 <= w.radius * w.radius)) continue;
+
+        // Near the rift corruption takes hold anywhere; further out it
+        // only creeps in from corrupted ground next door
+        const core = dist <= CORRUPTION_RADIUS_FULL * VOXEL_SIZE;
+        totalCorrupted += this._corruptColumn(chunkManager, wx, wz, core);
+      }
+    }
+
+    return { blocksCorrupted: totalCorrupted };
+  }
+
+  /**
+   * Corrupt the ground of a column and the trees and plants on it.
+   * Stops at the first block corruption doesn't take (built blocks, water),
+   * so roofs and floors shelter what's under them.
+   *
+   * @param {Object} chunkManager
+   * @param {number} wx - Voxel-center world X
+   * @param {number} wz - Voxel-center world Z
+   * @param {boolean} core - Inside the rift's core, where no corrupted neighbor is needed
+   * @returns {number} Blocks changed
+   */
+  _corruptColumn(chunkManager, wx, wz, core) {
+    const groundY = groundVoxelY(chunkManager, wx, wz);
+    if (groundY == null) return 0;
+    if (!core && !this._bordersCorruption(chunkManager, wx, wz, groundY)) return 0;
+
+    let changed = 0;
+    for (let vy = SCAN_MAX_VY - 1; vy >= groundY; vy--) {
+      const wy = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
+      const block = chunkManager.getBlock(wx, wy, wz);
+      if (block === BlockTypes.AIR || isCorrupted(block)) continue;
+
+      if (PLANTS.has(block)) {
+        chunkManager.setBlock(wx, wy, wz, BlockTypes.AIR);
+        changed++;
+        continue;
+      }
+
+      const corrupted = SPREADS_TO[block];
+      if (corrupted == null) break;
+      chunkManager.setBlock(wx, wy, wz, corrupted);
+      changed++;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Check the four neighboring columns for corrupted ground near a height
+   */
+  _bordersCorruption(chunkManager, wx, wz, groundY) {
+    const offsets = [[VOXEL_SIZE, 0], [-VOXEL_SIZE, 0], [0, VOXEL_SIZE], [0, -VOXEL_SIZE]];
+    for (const [dx, dz] of offsets) {
+      for (let vy = groundY - 1; vy <= groundY + 1; vy++) {
+        if (isCorrupted(chunkManager.getBlock(wx + dx, vy * VOXEL_SIZE + VOXEL_SIZE / 2, wz + dz))) {
+          return true;
+        }
+      }
+    }
+    return false;
   }
 
   /**
@@ -56,17 +299,18 @@ class CorruptionManager {
 
       // Determine current corruption radius based on progress
       // progress 1.0 = full radius, 0.0 = no corruption
-      const maxRadius = CORRUPTION_RADIUS_LIGHT * VOXEL_SIZE;
+      const maxRadius = (rift.corruptionRadius ?? CORRUPTION_RADIUS_LIGHT) * VOXEL_SIZE;
       const currentRadius = maxRadius * progress;
 
       // Find and restore corrupted blocks between currentRadius and maxRadius
       // (the outer ring that should now be clean)
-      const result = this._restoreBlocksInRing(
-        chunkManager, rift.x, rift.z, currentRadius, maxRadius
-      );
-
-      totalRestored += result.restored;
-      totalShards += result.shards;
+      if (!chunkManager.chunkSource) {
+        const result = this._restoreBlocksInRing(
+          chunkManager, rift.x, rift.z, currentRadius, maxRadius
+        );
+        totalRestored += result.restored;
+        totalShards += result.shards;
+      }
 
       // Check if fully purified
       if (progress <= 0) {
@@ -112,7 +356,7 @@ class CorruptionManager {
         const wz = cz + dz;
 
         // Scan the Y column for corrupted blocks
-        for (let vy = 0; vy < 32; vy++) {
+        for (let vy = SCAN_MIN_VY; vy < SCAN_MAX_VY; vy++) {
           const wy = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
           const block = chunkManager.getBlock(wx, wy, wz);
 
@@ -137,7 +381,7 @@ class CorruptionManager {
 
   /**
    * Get corruption level near a position (0-100 scale).
-   * Counts corrupted blocks in a radius for attractiveness scoring.
+   * See the getCorruptionLevel export.
    *
    * @param {Object} chunkManager
    * @param {number} x - World X
@@ -146,26 +390,7 @@ class CorruptionManager {
    * @returns {number} Corruption level 0-100
    */
   getCorruptionLevel(chunkManager, x, z, radius) {
-    if (!chunkManager) return 0;
-
-    let corruptedCount = 0;
-    let totalChecked = 0;
-    const step = VOXEL_SIZE * 4; // Coarse sampling for performance
-    const surfaceY = 10 * VOXEL_SIZE + VOXEL_SIZE / 2; // Check near surface
-
-    for (let dx = -radius; dx <= radius; dx += step) {
-      for (let dz = -radius; dz <= radius; dz += step) {
-        if (dx * dx + dz * dz > radius * radius) continue;
-        totalChecked++;
-        const block = chunkManager.getBlock(x + dx, surfaceY, z + dz);
-        if (isCorrupted(block)) {
-          corruptedCount++;
-        }
-      }
-    }
-
-    if (totalChecked === 0) return 0;
-    return Math.round((corruptedCount / totalChecked) * 100);
+    return getCorruptionLevel(chunkManager, x, z, radius);
   }
 }
 
@@ -30,6 +30,11 @@ import {
   RIFT_NPC_DEFENDER_SPEED_BONUS,
   RIFT_REINFORCEMENT_COUNT_BASE,
   RIFT_REINFORCEMENT_ESCALATION,
+  CORRUPTION_RADIUS_LIGHT,
+  RIFT_CORRUPTION_SPREAD_PER_DAY,
+  RIFT_CORRUPTION_NIGHT_SPREAD_MULT,
+  RIFT_CORRUPTION_MAX_RADIUS,
+  DAY_LENGTH_SECONDS,
 } from '../../data/tuning';
 
 // Rift states
@@ -141,6 +146,7 @@ export class RiftManager {
       state: RiftState.ACTIVE,
       anchorHealth: 0,
       corruptionProgress: 1.0, // 1.0 = full corruption, 0.0 = purified
+      corruptionRadius: CORRUPTION_RADIUS_LIGHT, // Blocks — grows while the rift is open
       lastReinforcementTime: 0,
     }));
   }
@@ -356,6 +362,26 @@ export class RiftManager {
     return rift.corruptionProgress;
   }
 
+  /**
+   * Grow the corruption radius of an open rift.
+   * Advances RIFT_CORRUPTION_SPREAD_PER_DAY blocks per game day, faster at night.
+   * @param {Object} rift
+   * @param {number} delta - seconds
+   * @param {boolean} isNight
+   * @returns {number} New corruptionRadius in blocks
+   */
+  tickCorruptionSpread(rift, delta, isNight = false) {
+    if (rift.state !== RiftState.ACTIVE && rift.state !== RiftState.WOUNDED) {
+      return rift.corruptionRadius;
+    }
+
+    const nightMult = isNight ? RIFT_CORRUPTION_NIGHT_SPREAD_MULT : 1;
+    const growth = RIFT_CORRUPTION_SPREAD_PER_DAY * (delta / DAY_LENGTH_SECONDS) * nightMult;
+
+    rift.corruptionRadius = Math.min(RIFT_CORRUPTION_MAX_RADIUS, rift.corruptionRadius + growth);
+    return rift.corruptionRadius;
+  }
+
   /**
    * Get reinforcement spawn requests from nearby active rifts for a closing rift.
    * Escalates enemy types as corruption shrinks.
@@ -454,6 +480,22 @@ export class RiftManager {
     return this.rifts.filter(r => r.state === RiftState.CLOSING);
   }
 
+  /**
+   * Get all open rifts whose corruption is still spreading.
+   * @returns {Object[]}
+   */
+  getSpreadingRifts() {
+    return this.rifts.filter(r => r.state === RiftState.ACTIVE || r.state === RiftState.WOUNDED);
+  }
+
+  /**
+   * Get every rift's position, closed or not, in placement order.
+   * @returns {Array<{ id: string, x: number, z: number }>}
+   */
+  getRiftPositions() {
+    return this.rifts.map(r => ({ id: r.id, x: r.x, z: r.z }));
+  }
+
   /**
    * Get rift positions for rendering (nearest N to player).
    */
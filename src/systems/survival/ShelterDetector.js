@@ -1,14 +1,17 @@
 /**
  * ShelterDetector.js — Detects if the player is inside a sheltered area
  *
- * Uses raycasts in 6 directions to check for enclosure.
- * Full shelter: roof + 4 walls (or underground)
+ * Uses voxel raycasts (VoxelQuery) in 6 directions to check for enclosure,
+ * plus the voxel light engine's sky light: no sky light at all means fully
+ * enclosed.
+ * Full shelter: roof + 4 walls (or underground, or no sky light)
  * Partial shelter: roof + 3 walls
  * Exposed: no roof or < 3 walls
  */
 
-import { isSolid } from '../chunks/blockTypes';
 import { VOXEL_SIZE } from '../chunks/coordinates';
+import { raycast } from '../chunks/VoxelQuery';
+import { MAX_LIGHT } from '../chunks/LightEngine';
 import {
   SHELTER_RAY_RANGE_UP,
   SHELTER_RAY_RANGE_HORIZ,
@@ -17,9 +20,9 @@ import {
 /**
  * Check if there's a solid block along a direction from a position
  * @param {object} chunkManager
- * @param {number} startX - World position X
- * @param {number} startY - World position Y
- * @param {number} startZ - World position Z
+ * @param {number} startX - World position X (block center)
+ * @param {number} startY - World position Y (block center)
+ * @param {number} startZ - World position Z (block center)
  * @param {number} dx - Direction X (0 or ±1)
  * @param {number} dy - Direction Y (0 or ±1)
  * @param {number} dz - Direction Z (0 or ±1)
@@ -27,25 +30,29 @@ import {
  * @returns {boolean} true if a solid block was found
  */
 function hasSolidInDirection(chunkManager, startX, startY, startZ, dx, dy, dz, maxBlocks) {
-  for (let i = 1; i <= maxBlocks; i++) {
-    const wx = startX + dx * i * VOXEL_SIZE;
-    const wy = startY + dy * i * VOXEL_SIZE;
-    const wz = startZ + dz * i * VOXEL_SIZE;
-    const blockType = chunkManager.getBlock(wx, wy, wz);
-    if (isSolid(blockType)) return true;
-  }
-  return false;
+  const hit = raycast(
+    chunkManager,
+    { x: startX, y: startY, z: startZ },
+    { x: dx, y: dy, z: dz },
+    maxBlocks * VOXEL_SIZE,
+    { skipOrigin: true }
+  );
+  return hit !== null;
 }
 
 /**
  * Check shelter status at the player's position.
  * @param {number[]} playerPos - [x, y, z] world position
- * @param {object} chunkManager - ChunkManager with getBlock()
- * @returns {{ isFullShelter: boolean, isPartialShelter: boolean, isExposed: boolean, tier: string }}
+ * @param {object} chunkManager - ChunkManager with getBlock(), getSkyLight() and getBlockLight()
+ * @returns {{ isFullShelter: boolean, isPartialShelter: boolean, isExposed: boolean, tier: string,
+ *   skyLight: number, blockLight: number }}
  */
 export function checkShelter(playerPos, chunkManager) {
   if (!chunkManager || !playerPos) {
-    return { isFullShelter: false, isPartialShelter: false, isExposed: true, tier: 'exposed' };
+    return {
+      isFullShelter: false, isPartialShelter: false, isExposed: true, tier: 'exposed',
+      skyLight: MAX_LIGHT, blockLight: 0,
+    };
   }
 
   // Convert player world pos to block center
@@ -53,6 +60,16 @@ export function checkShelter(playerPos, chunkManager) {
   const py = Math.floor(playerPos[1] / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
   const pz = Math.floor(playerPos[2] / VOXEL_SIZE) * VOXEL_SIZE + VOXEL_SIZE / 2;
 
+  const light = {
+    skyLight: chunkManager.getSkyLight?.(px, py, pz) ?? MAX_LIGHT,
+    blockLight: chunkManager.getBlockLight?.(px, py, pz) ?? 0,
+  };
+
+  // Sealed in: no path to open sky reaches the player
+  if (light.skyLight === 0) {
+    return { isFullShelter: true, isPartialShelter: false, isExposed: false, tier: 'full', ...light };
+  }
+
   // Check roof (solid block above within range)
   const hasRoof = hasSolidInDirection(chunkManager, px, py, pz, 0, 1, 0, SHELTER_RAY_RANGE_UP);
 
@@ -69,19 +86,19 @@ export function checkShelter(playerPos, chunkManager) {
 
   // Underground = solid above AND below → full shelter
   if (hasRoof && hasFloor && wallCount >= 2) {
-    return { isFullShelter: true, isPartialShelter: false, isExposed: false, tier: 'full' };
+    return { isFullShelter: true, isPartialShelter: false, isExposed: false, tier: 'full', ...light };
   }
 
   // Full shelter: roof + 4 walls
   if (hasRoof && wallCount >= 4) {
-    return { isFullShelter: true, isPartialShelter: false, isExposed: false, tier: 'full' };
+    return { isFullShelter: true, isPartialShelter: false, isExposed: false, tier: 'full', ...light };
   }
 
   // Partial shelter: roof + 3 walls
   if (hasRoof && wallCount >= 3) {
-    return { isFullShelter: false, isPartialShelter: true, isExposed: false, tier: 'partial' };
+    return { isFullShelter: false, isPartialShelter: true, isExposed: false, tier: 'partial', ...light };
   }
 
   // Exposed
-  return { isFullShelter: false, isPartialShelter: false, isExposed: true, tier: 'exposed' };
+  return { isFullShelter: false, isPartialShelter: false, isExposed: true, tier: 'exposed', ...light };
 }
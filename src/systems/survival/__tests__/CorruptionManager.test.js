@@ -14,14 +14,20 @@ vi.mock('../../chunks/blockTypes', () => ({
   },
   CORRUPTION_REVERSE: { 18: 1, 19: 3, 20: 7, 21: 6 },
   isCorrupted: (b) => b >= 18 && b <= 21,
+  isSolid: (b) => b !== 0,
 }));
 
 vi.mock('../../chunks/coordinates', () => ({
+  CHUNK_SIZE: 16,
   VOXEL_SIZE: 2,
+  WORLD_MIN_Y: -32,
+  WORLD_MAX_Y: 64,
 }));
 
 vi.mock('../../../data/tuning', () => ({
+  CORRUPTION_RADIUS_FULL: 16,
   CORRUPTION_RADIUS_LIGHT: 32,
+  RIFT_CORRUPTION_SPREAD_ATTEMPTS: 24,
   RIFT_VOID_SHARD_DROP_CHANCE: 0.5, // High for testing
 }));
 
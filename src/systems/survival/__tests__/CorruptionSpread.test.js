@@ -0,0 +1,168 @@
+/**
+ * CorruptionSpread.test.js — Tests for corruption spreading from open rifts.
+ */
+
+import CorruptionManager, { findWards, getCorruptionLevel } from '../CorruptionManager';
+import { ChunkManager } from '../../chunks/ChunkManager';
+import { Chunk } from '../../chunks/Chunk';
+import { BlockTypes } from '../../chunks/blockTypes';
+import { VOXEL_SIZE } from '../../chunks/coordinates';
+
+// Voxel coordinate -> world coordinate (voxel center)
+const w = (v) => v * VOXEL_SIZE + VOXEL_SIZE / 2;
+
+// Two chunks (voxel x 0-31, z 0-15): stone, dirt at y=4, grass at y=5
+function makeWorld(fill = () => {}) {
+  const manager = new ChunkManager();
+  for (const cx of [0, 1]) {
+    const chunk = new Chunk(cx, 0, 0);
+    for (let lx = 0; lx < 16; lx++) {
+      for (let lz = 0; lz < 16; lz++) {
+        for (let y = 0; y < 4; y++) chunk.setBlock(lx, y, lz, BlockTypes.STONE);
+        chunk.setBlock(lx, 4, lz, BlockTypes.DIRT);
+        chunk.setBlock(lx, 5, lz, BlockTypes.GRASS);
+      }
+    }
+    manager.chunks.set(chunk.key, chunk);
+  }
+  fill((x, y, z, type) => manager.setBlock(w(x), w(y), w(z), type));
+  return manager;
+}
+
+const block = (manager, x, y, z) => manager.getBlock(w(x), w(y), w(z));
+
+// Rift over voxel (8, 8) with its corruption out to 32 blocks
+function makeRift() {
+  return { id: 'rift-0', x: w(8), z: w(8), state: 'ACTIVE', corruptionRadius: 32 };
+}
+
+function makeRiftManager() {
+  return { tickCorruptionSpread: vi.fn((rift) => rift.corruptionRadius) };
+}
+
+// Random source that aims every spread attempt at one column of the rift's disk
+function aimAt(rift, x, z) {
+  const dx = w(x) - rift.x;
+  const dz = w(z) - rift.z;
+  let angle = Math.atan2(dz, dx);
+  if (angle < 0) angle += Math.PI * 2;
+  const dist = Math.sqrt(dx * dx + dz * dz) / (rift.corruptionRadius * VOXEL_SIZE);
+  const values = [angle / (Math.PI * 2), dist * dist];
+  let i = 0;
+  return () => values[i++ % 2];
+}
+
+describe('CorruptionManager — spread', () => {
+  test('waits for the spread interval', () => {
+    const manager = makeWorld();
+    const rm = makeRiftManager();
+    const result = new CorruptionManager().spread(1, [makeRift()], manager, rm, { isNight: false });
+    expect(result.blocksCorrupted).toBe(0);
+    expect(rm.tickCorruptionSpread).not.toHaveBeenCalled();
+  });
+
+  test('grows the rift radius with the night flag', () => {
+    const rm = makeRiftManager();
+    const rift = makeRift();
+    new CorruptionManager().spread(2, [rift], makeWorld(), rm, { isNight: true });
+    expect(rm.tickCorruptionSpread).toHaveBeenCalledWith(rift, 2, true);
+  });
+
+  test('kills the trees and plants near the rift and corrupts the ground', () => {
+    const manager = makeWorld((set) => {
+      set(8, 6, 8, BlockTypes.WOOD);
+      set(8, 7, 8, BlockTypes.WOOD);
+      set(8, 8, 8, BlockTypes.LEAVES);
+      set(10, 6, 8, BlockTypes.TALL_GRASS);
+    });
+    const rift = makeRift();
+
+    const cm = new CorruptionManager({ random: aimAt(rift, 8, 8) });
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 8, 8, 8)).toBe(BlockTypes.DEAD_LEAVES);
+    expect(block(manager, 8, 7, 8)).toBe(BlockTypes.DEAD_WOOD);
+    expect(block(manager, 8, 5, 8)).toBe(BlockTypes.CORRUPTED_GRASS);
+    expect(block(manager, 8, 4, 8)).toBe(BlockTypes.DIRT);
+
+    cm.random = aimAt(rift, 10, 8);
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 10, 6, 8)).toBe(BlockTypes.AIR);
+  });
+
+  test('only creeps outward from corrupted ground beyond the core', () => {
+    const manager = makeWorld();
+    const rift = makeRift();
+    const cm = new CorruptionManager({ random: aimAt(rift, 28, 8) });
+
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 28, 5, 8)).toBe(BlockTypes.GRASS);
+
+    manager.setBlock(w(27), w(5), w(8), BlockTypes.CORRUPTED_GRASS);
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 28, 5, 8)).toBe(BlockTypes.CORRUPTED_GRASS);
+  });
+
+  test('finds the ground anywhere in the world height', () => {
+    const manager = makeWorld();
+    for (const cy of [-1, 1, 2]) {
+      const chunk = new Chunk(0, cy, 0);
+      manager.chunks.set(chunk.key, chunk);
+    }
+    // A peak at (8, 8) with its grass at vy 40, and a pit at (12, 8) down to vy -3
+    for (let y = 6; y < 40; y++) manager.setBlock(w(8), w(y), w(8), BlockTypes.STONE);
+    manager.setBlock(w(8), w(40), w(8), BlockTypes.GRASS);
+    for (let y = -2; y <= 5; y++) manager.setBlock(w(12), w(y), w(8), BlockTypes.AIR);
+    manager.setBlock(w(12), w(-3), w(8), BlockTypes.GRASS);
+    const rift = makeRift();
+
+    const cm = new CorruptionManager({ random: aimAt(rift, 8, 8) });
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 8, 40, 8)).toBe(BlockTypes.CORRUPTED_GRASS);
+    expect(block(manager, 8, 31, 8)).toBe(BlockTypes.STONE);
+
+    cm.random = aimAt(rift, 12, 8);
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 12, -3, 8)).toBe(BlockTypes.CORRUPTED_GRASS);
+  });
+
+  test('spreads without touching terrain from a co-op server', () => {
+    const manager = makeWorld();
+    manager.chunkSource = {};
+    const rift = makeRift();
+    const rm = makeRiftManager();
+
+    const result = new CorruptionManager({ random: aimAt(rift, 8, 8) }).spread(2, [rift], manager, rm, { isNight: false });
+    expect(rm.tickCorruptionSpread).toHaveBeenCalled();
+    expect(result.blocksCorrupted).toBe(0);
+    expect(block(manager, 8, 5, 8)).toBe(BlockTypes.GRASS);
+  });
+
+  test('leaves ground under built blocks alone', () => {
+    const manager = makeWorld((set) => set(8, 9, 8, BlockTypes.WOOD_PLANK));
+    const rift = makeRift();
+    const cm = new CorruptionManager({ random: aimAt(rift, 8, 8) });
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 8, 5, 8)).toBe(BlockTypes.GRASS);
+  });
+
+  test('is held back by purification wards', () => {
+    const manager = makeWorld((set) => set(12, 6, 12, BlockTypes.PURIFICATION_WARD));
+    const rift = makeRift();
+
+    const wards = findWards(manager, rift.x, rift.z, 64);
+    expect(wards).toEqual([{ x: w(12), z: w(12), radius: 24 }]);
+
+    const cm = new CorruptionManager({ random: aimAt(rift, 8, 8) });
+    cm.spread(2, [rift], manager, makeRiftManager(), { isNight: false });
+    expect(block(manager, 8, 5, 8)).toBe(BlockTypes.GRASS);
+  });
+
+  test('getCorruptionLevel reads the ground surface', () => {
+    const manager = makeWorld();
+    expect(getCorruptionLevel(manager, w(8), w(8), 8)).toBe(0);
+    for (let x = 0; x < 16; x++) {
+      for (let z = 0; z < 16; z++) manager.setBlock(w(x), w(5), w(z), BlockTypes.CORRUPTED_GRASS);
+    }
+    expect(getCorruptionLevel(manager, w(8), w(8), 8)).toBe(100);
+  });
+});
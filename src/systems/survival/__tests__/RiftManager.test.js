@@ -33,6 +33,11 @@ vi.mock('../../../data/tuning', () => ({
   RIFT_REINFORCEMENT_ESCALATION: 1,
   RIFT_VOID_SHARD_DROP_CHANCE: 0.3,
   RIFT_DORMANT_DURATION: 300,
+  CORRUPTION_RADIUS_LIGHT: 32,
+  RIFT_CORRUPTION_SPREAD_PER_DAY: 4,
+  RIFT_CORRUPTION_NIGHT_SPREAD_MULT: 3,
+  RIFT_CORRUPTION_MAX_RADIUS: 64,
+  DAY_LENGTH_SECONDS: 1200,
 }));
 
 describe('RiftManager — Rift Closing', () => {
@@ -52,6 +57,7 @@ describe('RiftManager — Rift Closing', () => {
         state: RiftState.ACTIVE,
         anchorHealth: 0,
         corruptionProgress: 1.0,
+        corruptionRadius: 32,
         lastReinforcementTime: 0,
       });
     }
@@ -219,6 +225,46 @@ describe('RiftManager — Rift Closing', () => {
     });
   });
 
+  describe('tickCorruptionSpread', () => {
+    test('grows corruptionRadius over a game day', () => {
+      const rift = rm.rifts[0];
+      rm.tickCorruptionSpread(rift, 1200, false);
+      expect(rift.corruptionRadius).toBeCloseTo(36);
+    });
+
+    test('spreads faster at night', () => {
+      const rift = rm.rifts[0];
+      rm.tickCorruptionSpread(rift, 600, true);
+      expect(rift.corruptionRadius).toBeCloseTo(38);
+    });
+
+    test('caps at the max radius', () => {
+      const rift = rm.rifts[0];
+      rm.tickCorruptionSpread(rift, 1200 * 100, true);
+      expect(rift.corruptionRadius).toBe(64);
+    });
+
+    test('does nothing once the rift is CLOSING', () => {
+      const rift = rm.rifts[0];
+      rift.state = RiftState.CLOSING;
+      rm.tickCorruptionSpread(rift, 1200, false);
+      expect(rift.corruptionRadius).toBe(32);
+    });
+  });
+
+  describe('getSpreadingRifts', () => {
+    test('returns ACTIVE and WOUNDED rifts', () => {
+      rm.rifts.push(
+        { ...rm.rifts[0], id: 'rift-wounded', state: RiftState.WOUNDED },
+        { ...rm.rifts[0], id: 'rift-closing', state: RiftState.CLOSING },
+      );
+      const ids = rm.getSpreadingRifts().map(r => r.id);
+      expect(ids).toContain('rift-wounded');
+      expect(ids).not.toContain('rift-closing');
+      expect(ids).toContain(rm.rifts[0].id);
+    });
+  });
+
   describe('closeRift', () => {
     test('permanently closes rift', () => {
       const rift = rm.rifts[0];
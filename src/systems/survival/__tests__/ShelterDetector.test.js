@@ -0,0 +1,48 @@
+import { checkShelter } from '../ShelterDetector';
+import { ChunkManager } from '../../chunks/ChunkManager';
+import { Chunk } from '../../chunks/Chunk';
+import { BlockTypes } from '../../chunks/blockTypes';
+import { VOXEL_SIZE } from '../../chunks/coordinates';
+
+function makeManager(build) {
+  const manager = new ChunkManager();
+  const chunk = new Chunk(0, 0, 0);
+  build(chunk);
+  manager.chunks.set(chunk.key, chunk);
+  manager.lightEngine.lightChunk(chunk);
+  return manager;
+}
+
+const center = [8 * VOXEL_SIZE + 1, 4 * VOXEL_SIZE + 1, 8 * VOXEL_SIZE + 1];
+
+describe('ShelterDetector', () => {
+  test('exposed in open air reports full sky light', () => {
+    const manager = makeManager(() => {});
+    const result = checkShelter(center, manager);
+    expect(result.tier).toBe('exposed');
+    expect(result.skyLight).toBe(15);
+    expect(result.blockLight).toBe(0);
+  });
+
+  test('sealed room with no sky light is full shelter', () => {
+    const manager = makeManager((chunk) => {
+      chunk.fill(BlockTypes.STONE);
+      // Long tunnel: roof and walls are far beyond ray range, but no sky gets in
+      for (let x = 1; x < 15; x++) chunk.setBlock(x, 4, 8, BlockTypes.AIR);
+    });
+    const result = checkShelter(center, manager);
+    expect(result.skyLight).toBe(0);
+    expect(result.tier).toBe('full');
+  });
+
+  test('reports block light from a nearby campfire', () => {
+    const manager = makeManager((chunk) => {
+      chunk.setBlock(10, 4, 8, BlockTypes.CAMPFIRE);
+    });
+    expect(checkShelter(center, manager).blockLight).toBe(13);
+  });
+
+  test('defaults to exposed without a chunk manager', () => {
+    expect(checkShelter(center, null)).toMatchObject({ tier: 'exposed', skyLight: 15 });
+  });
+});
@@ -17,7 +17,8 @@ function generateRequestId() {
 export class WorkerPool {
   /**
    * Create a new worker pool
-   * @param {string|URL} workerScript - Path to worker script
+   * @param {string|URL|Function} workerScript - Path to worker script, or a
+   *   factory returning a new Worker (so Vite can bundle a module worker)
    * @param {number} poolSize - Number of workers (default: CPU cores, max 4)
    */
   constructor(workerScript, poolSize = null) {
@@ -51,7 +52,9 @@ export class WorkerPool {
    * Add a worker to the pool
    */
   addWorker() {
-    const worker = new Worker(this.workerScript);
+    const worker = typeof this.workerScript === 'function'
+      ? this.workerScript()
+      : new Worker(this.workerScript);
 
     worker.onmessage = (event) => this.handleMessage(worker, event);
     worker.onerror = (error) => this.handleError(worker, error);
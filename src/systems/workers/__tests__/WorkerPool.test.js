@@ -79,6 +79,14 @@ describe('WorkerPool', () => {
       expect(pool.queue).toHaveLength(0);
     });
 
+    it('builds workers from a factory function', () => {
+      const factory = vi.fn(() => new MockWorker('/module-worker.js'));
+      const factoryPool = new WorkerPool(factory, 2);
+      expect(factory).toHaveBeenCalledTimes(2);
+      expect(factoryPool.workers[0].script).toBe('/module-worker.js');
+      factoryPool.terminate();
+    });
+
     it('initializes error tracking', () => {
       expect(pool.consecutiveErrors).toBe(0);
       expect(pool.maxConsecutiveErrors).toBe(3);
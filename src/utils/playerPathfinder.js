@@ -5,7 +5,7 @@
  * ChunkManager.getBlock() for terrain queries.
  */
 
-import { VOXEL_SIZE, CHUNK_SIZE_Y } from '../systems/chunks/coordinates';
+import { VOXEL_SIZE, WORLD_MIN_Y, WORLD_MAX_Y } from '../systems/chunks/coordinates';
 import { isSolid } from '../systems/chunks/blockTypes';
 import { BlockTypes } from '../systems/chunks/blockTypes';
 import {
@@ -17,11 +17,11 @@ import {
 
 /**
  * Get the voxel Y of the highest solid block in a column.
- * Returns -1 if no solid block found (empty column or unloaded chunk).
+ * Returns null if no solid block found (empty column or unloaded chunk).
  */
 export function getTerrainHeightVoxel(cm, vx, vz) {
-  const maxVoxelY = CHUNK_SIZE_Y - 1;
-  for (let vy = maxVoxelY; vy >= 0; vy--) {
+  const maxVoxelY = WORLD_MAX_Y - 1;
+  for (let vy = maxVoxelY; vy >= WORLD_MIN_Y; vy--) {
     const worldY = vy * VOXEL_SIZE + VOXEL_SIZE / 2;
     const worldX = vx * VOXEL_SIZE + VOXEL_SIZE / 2;
     const worldZ = vz * VOXEL_SIZE + VOXEL_SIZE / 2;
@@ -30,7 +30,7 @@ export function getTerrainHeightVoxel(cm, vx, vz) {
       return vy;
     }
   }
-  return -1;
+  return null;
 }
 
 /**
@@ -40,7 +40,7 @@ export function getTerrainHeightVoxel(cm, vx, vz) {
  */
 export function isWalkableCell(cm, vx, vz) {
   const groundY = getTerrainHeightVoxel(cm, vx, vz);
-  if (groundY < 0) return { walkable: false, height: -1 };
+  if (groundY === null) return { walkable: false, height: null };
 
   // Check the ground block isn't water
   const groundWorldY = groundY * VOXEL_SIZE + VOXEL_SIZE / 2;
@@ -52,7 +52,7 @@ export function isWalkableCell(cm, vx, vz) {
   // Check air clearance above ground
   for (let i = 1; i <= NAV_PLAYER_HEIGHT_VOXELS; i++) {
     const checkY = groundY + i;
-    if (checkY >= CHUNK_SIZE_Y) continue; // Above world top = air
+    if (checkY >= WORLD_MAX_Y) continue; // Above world top = air
     const aboveWorldY = checkY * VOXEL_SIZE + VOXEL_SIZE / 2;
     const aboveBlock = cm.getBlock(worldX, aboveWorldY, worldZ);
     if (isSolid(aboveBlock)) return { walkable: false, height: groundY };
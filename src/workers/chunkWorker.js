@@ -1,80 +1,91 @@
 /**
  * Chunk Worker - Web Worker for off-thread chunk operations
  *
- * Self-contained worker with all dependencies inlined.
- * CRA doesn't support ES module imports in workers properly.
+ * Runs as a module worker. Terrain generation is imported from
+ * systems/chunks/generation so the main thread's generateChunkSync builds
+ * the same world. Meshing reads flat lookup tables built once from the
+ * shared BlockRegistry at startup. Far-terrain horizon tiles are built by
+ * systems/chunks/HorizonGenerator.js from surface heights alone.
  */
 
 /* eslint-disable no-restricted-globals */
 
+import { generateTerrain } from '../systems/chunks/generation/terrainGenerator.js';
+import { buildHorizonMesh } from '../systems/chunks/HorizonGenerator.js';
+import { blockRegistry } from '../systems/chunks/BlockRegistry.js';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 const CHUNK_SIZE = 16;
-const CHUNK_SIZE_Y = 32;
+const CHUNK_SIZE_Y = 16;
 const VOXEL_SIZE = 2;
 
-// Block types
-const BlockTypes = {
-  AIR: 0,
-  STONE: 1,
-  DIRT: 2,
-  GRASS: 3,
-  SAND: 4,
-  WATER: 5,
-  WOOD: 6,
-  LEAVES: 7,
-  BEDROCK: 8,
-  GRAVEL: 9,
-  COAL_ORE: 10,
-  IRON_ORE: 11,
-  GOLD_ORE: 12,
-  CLAY: 13,
-  SNOW: 14,
-  ICE: 15,
-  BERRY_BUSH: 16,
-  CAMPFIRE: 17,
-  CORRUPTED_STONE: 18,
-  CORRUPTED_GRASS: 19,
-  DEAD_LEAVES: 20,
-  DEAD_WOOD: 21,
-};
+// Height range (in voxels) over which faces brighten with altitude
+const HEIGHT_SHADE_RANGE = 32;
 
-// Block colors [r, g, b] in 0-1 range
-const BlockColors = {
-  [BlockTypes.AIR]: [0, 0, 0],
-  [BlockTypes.STONE]: [0.5, 0.5, 0.5],
-  [BlockTypes.DIRT]: [0.545, 0.271, 0.075],
-  [BlockTypes.GRASS]: [0.133, 0.545, 0.133],
-  [BlockTypes.SAND]: [0.76, 0.7, 0.5],
-  [BlockTypes.WATER]: [0.2, 0.4, 0.8],
-  [BlockTypes.WOOD]: [0.545, 0.353, 0.169],
-  [BlockTypes.LEAVES]: [0.2, 0.6, 0.2],
-  [BlockTypes.BEDROCK]: [0.2, 0.2, 0.2],
-  [BlockTypes.GRAVEL]: [0.5, 0.5, 0.55],
-  [BlockTypes.COAL_ORE]: [0.3, 0.3, 0.3],
-  [BlockTypes.IRON_ORE]: [0.6, 0.5, 0.45],
-  [BlockTypes.GOLD_ORE]: [0.8, 0.7, 0.2],
-  [BlockTypes.CLAY]: [0.6, 0.6, 0.65],
-  [BlockTypes.SNOW]: [0.95, 0.95, 0.98],
-  [BlockTypes.ICE]: [0.7, 0.85, 0.95],
-  [BlockTypes.BERRY_BUSH]: [0.2, 0.45, 0.15],
-  [BlockTypes.CAMPFIRE]: [0.9, 0.4, 0.1],
-  [BlockTypes.CORRUPTED_STONE]: [0.12, 0.05, 0.15],
-  [BlockTypes.CORRUPTED_GRASS]: [0.20, 0.30, 0.15],
-  [BlockTypes.DEAD_LEAVES]: [0.58, 0.42, 0.28],
-  [BlockTypes.DEAD_WOOD]: [0.45, 0.43, 0.40],
-};
+// Light bytes hold sky light in the high nibble, block light in the low
+// nibble (see LightEngine.js). Chunks sent without light render as open sky.
+const FULL_SKY = 0xf0;
+
+// Brightness per light level: each level is 20% dimmer, never fully black
+const LIGHT_CURVE = new Float32Array(16);
+// Warm glow per block light level: strong next to a source, gone by ~8 blocks out
+const BLOCK_GLOW = new Float32Array(16);
+for (let level = 0; level < 16; level++) {
+  LIGHT_CURVE[level] = 0.06 + 0.94 * Math.pow(0.8, 15 - level);
+  BLOCK_GLOW[level] = Math.pow(level / 15, 3);
+}
+
+// Block tables, flattened from BlockRegistry by configureBlocks() below
+let BlockTypes = null;
+let BlockColors = {};
+let TransparentBlocks = new Set();
+// Block ID -> fluid kind; source and flowing blocks of one fluid share faces
+let FluidKinds = {};
+// Block ID -> block state kind (see systems/chunks/blockStates.js)
+let StateKinds = {};
+// Block ID -> color of its variant faces (log end grain, furnace mouth)
+let VariantColors = {};
+
+// Set on a face's block type when it is drawn in the block's variant color
+const VARIANT_FACE = 0x100;
 
-// Transparent blocks
-const TransparentBlocks = new Set([
-  BlockTypes.AIR,
-  BlockTypes.WATER,
-  BlockTypes.LEAVES,
-  BlockTypes.ICE,
-  BlockTypes.DEAD_LEAVES,
-]);
+// Pale wood blended into log ends to show the rings
+const END_GRAIN = [0.78, 0.62, 0.4];
+
+/**
+ * Install block tables from BlockRegistry.toWorkerTable()
+ * @param {{ids: Object, colors: Object, transparent: Array<number>, fluids: Object, states: Object}} table
+ */
+function configureBlocks(table) {
+  BlockTypes = table.ids;
+  BlockColors = table.colors;
+  TransparentBlocks = new Set(table.transparent);
+  FluidKinds = table.fluids || {};
+  StateKinds = table.states || {};
+
+  VariantColors = {};
+  for (const [id, kind] of Object.entries(StateKinds)) {
+    const color = BlockColors[id];
+    if (kind === 'log') {
+      VariantColors[id] = color.map((c, i) => (c + END_GRAIN[i]) / 2);
+    } else if (kind === 'furnace') {
+      VariantColors[id] = color.map(c => c * 0.4);
+    }
+  }
+}
+
+configureBlocks(blockRegistry.toWorkerTable());
+
+/**
+ * Check if two blocks are the same fluid (e.g. WATER next to WATER_FLOWING)
+ */
+function isSameFluid(a, b) {
+  const kind = FluidKinds[a];
+  return kind !== undefined && kind === FluidKinds[b];
+}
 
 // Face definitions
 const FACES = {
@@ -105,384 +116,169 @@ const FACES = {
 };
 
 // ============================================================================
-// NOISE GENERATION
+// GREEDY MESHING
 // ============================================================================
 
-class SeededRandom {
-  constructor(seed) {
-    this.seed = seed;
-  }
-
-  next() {
-    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
-    return this.seed / 0x7fffffff;
-  }
-
-  nextInt(min, max) {
-    return Math.floor(this.next() * (max - min + 1)) + min;
-  }
-}
-
-class SimplexNoise {
-  constructor(seed) {
-    this.seed = seed;
-    this.permutation = this.buildPermutation(seed);
-  }
-
-  buildPermutation(seed) {
-    const perm = new Uint8Array(512);
-    const random = new SeededRandom(seed);
-    const p = new Uint8Array(256);
-
-    for (let i = 0; i < 256; i++) p[i] = i;
-    for (let i = 255; i > 0; i--) {
-      const j = random.nextInt(0, i);
-      [p[i], p[j]] = [p[j], p[i]];
-    }
-    for (let i = 0; i < 512; i++) {
-      perm[i] = p[i & 255];
-    }
-    return perm;
-  }
-
-  fade(t) {
-    return t * t * t * (t * (t * 6 - 15) + 10);
-  }
-
-  lerp(a, b, t) {
-    return a + t * (b - a);
-  }
-
-  grad(hash, x, y) {
-    const h = hash & 7;
-    const u = h < 4 ? x : y;
-    const v = h < 4 ? y : x;
-    return ((h & 1) ? -u : u) + ((h & 2) ? -2.0 * v : 2.0 * v);
-  }
-
-  noise2D(x, y) {
-    const perm = this.permutation;
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    x -= Math.floor(x);
-    y -= Math.floor(y);
-    const u = this.fade(x);
-    const v = this.fade(y);
-    const A = perm[X] + Y;
-    const B = perm[X + 1] + Y;
-    return this.lerp(
-      this.lerp(this.grad(perm[A], x, y), this.grad(perm[B], x - 1, y), u),
-      this.lerp(this.grad(perm[A + 1], x, y - 1), this.grad(perm[B + 1], x - 1, y - 1), u),
-      v
-    );
-  }
+// Axis layout per face: d = normal axis, u/v = in-plane axes (0=x, 1=y, 2=z)
+const FACE_AXES = {
+  top: { d: 1, u: 0, v: 2 },
+  bottom: { d: 1, u: 0, v: 2 },
+  north: { d: 2, u: 0, v: 1 },
+  south: { d: 2, u: 0, v: 1 },
+  east: { d: 0, u: 2, v: 1 },
+  west: { d: 0, u: 2, v: 1 },
+};
 
-  fbm(x, y, octaves = 4, lacunarity = 2, persistence = 0.5) {
-    let value = 0;
-    let amplitude = 1;
-    let frequency = 1;
-    let maxValue = 0;
-    for (let i = 0; i < octaves; i++) {
-      value += amplitude * this.noise2D(x * frequency, y * frequency);
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= lacunarity;
-    }
-    return value / maxValue;
-  }
-}
+const FACE_NAMES = ['top', 'bottom', 'north', 'south', 'east', 'west'];
 
 // ============================================================================
-// RIFT CORRUPTION
+// BLOCK STATE SHAPES
 // ============================================================================
 
-// Corruption constants (mirrored from tuning.js)
-const RIFT_DENSITY = 0.25;
-const RIFT_MIN_SPAWN_DISTANCE = 96;
-const RIFT_MIN_SEPARATION = 128;
-const RIFT_CHUNK_SIZE_WORLD = 32; // world units per chunk (16 blocks * 2 voxel size)
-const RIFT_GRID_RANGE = 8;
-
-// Corruption radii in blocks
-const CORRUPTION_RADIUS_FULL = 16;
-const CORRUPTION_RADIUS_HEAVY = 28;
-const CORRUPTION_RADIUS_LIGHT = 32;
-// Chunk early-rejection distance in world units (CORRUPTION_RADIUS_LIGHT * VOXEL_SIZE + chunk diagonal)
-const CORRUPTION_REJECT_DIST = 96;
-
-// mulberry32 PRNG — identical to RiftManager.js
-function mulberry32(seed) {
-  return function () {
-    seed |= 0;
-    seed = (seed + 0x6d2b79f5) | 0;
-    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-// Cache rift positions per seed (only ever one seed in practice)
-let _cachedRiftSeed = null;
-let _cachedRiftPositions = null;
+// Packed state byte (see blockStates.packState): bits 0-1 facing or log
+// axis, bit 2 open
+const STATE_OPEN = 4;
 
-function getRiftPositions(seed) {
-  if (_cachedRiftSeed === seed) return _cachedRiftPositions;
+// Horizontal face for each facing (0 = north, clockwise)
+const FACING_FACES = ['north', 'east', 'south', 'west'];
 
-  const rand = mulberry32(seed);
-  const candidates = [];
+// Log axis (packed) -> the two faces showing end grain
+const LOG_END_FACES = [['top', 'bottom'], ['east', 'west'], ['north', 'south']];
 
-  for (let cx = -RIFT_GRID_RANGE; cx <= RIFT_GRID_RANGE; cx++) {
-    for (let cz = -RIFT_GRID_RANGE; cz <= RIFT_GRID_RANGE; cz++) {
-      if (rand() > RIFT_DENSITY) continue;
-      const x = cx * RIFT_CHUNK_SIZE_WORLD + rand() * RIFT_CHUNK_SIZE_WORLD;
-      const z = cz * RIFT_CHUNK_SIZE_WORLD + rand() * RIFT_CHUNK_SIZE_WORLD;
-
-      // Check min distance from player spawn (0,0)
-      if (Math.sqrt(x * x + z * z) < RIFT_MIN_SPAWN_DISTANCE) continue;
-      candidates.push({ x, z });
-    }
-  }
+// Thickness of door, trapdoor and sign panels, in blocks
+const PANEL = 3 / 16;
 
-  // Filter by minimum separation
-  const accepted = [];
-  for (const c of candidates) {
-    let tooClose = false;
-    for (const a of accepted) {
-      const dx = c.x - a.x;
-      const dz = c.z - a.z;
-      if (Math.sqrt(dx * dx + dz * dz) < RIFT_MIN_SEPARATION) {
-        tooClose = true;
-        break;
-      }
-    }
-    if (!tooClose) accepted.push(c);
-  }
-
-  _cachedRiftSeed = seed;
-  _cachedRiftPositions = accepted;
-  return accepted;
-}
+// Boxes [minX, minY, minZ, maxX, maxY, maxZ] in block units, drawn for a
+// block facing north; other facings turn them about the block's center.
+// Closed doors and open trapdoors stand against the far side from the
+// player who placed them; open doors swing back against the west side.
+const SHAPE_BOXES = {
+  stairs: [[[0, 0, 0, 1, 0.5, 1], [0, 0.5, 0.5, 1, 1, 1]]],
+  door: [[[0, 0, 0, 1, 1, PANEL]], [[0, 0, 0, PANEL, 1, 1]]],
+  trapdoor: [[[0, 0, 0, 1, PANEL, 1]], [[0, 0, 0, 1, 1, PANEL]]],
+  sign: [[[7 / 16, 0, 7 / 16, 9 / 16, 0.5, 9 / 16], [1 / 16, 0.5, 0.5 - PANEL / 2, 15 / 16, 15 / 16, 0.5 + PANEL / 2]]],
+};
 
-function getRiftsNearChunk(riftPositions, chunkX, chunkZ) {
-  // Chunk center in world units
-  const centerX = chunkX * CHUNK_SIZE * VOXEL_SIZE + CHUNK_SIZE;
-  const centerZ = chunkZ * CHUNK_SIZE * VOXEL_SIZE + CHUNK_SIZE;
-  const nearby = [];
-  for (const rift of riftPositions) {
-    const dx = rift.x - centerX;
-    const dz = rift.z - centerZ;
-    if (Math.abs(dx) < CORRUPTION_REJECT_DIST && Math.abs(dz) < CORRUPTION_REJECT_DIST) {
-      nearby.push(rift);
+/**
+ * Get the boxes a shaped block is drawn as
+ * @param {string} kind - Block state kind
+ * @param {number} packed - Packed state byte
+ * @returns {Array<Array<number>> | null} Boxes, or null for full cubes
+ */
+function getShapeBoxes(kind, packed) {
+  const variants = SHAPE_BOXES[kind];
+  if (!variants) return null;
+  const boxes = variants[packed & STATE_OPEN ? 1 : 0] || variants[0];
+  const turns = packed & 3;
+  if (turns === 0) return boxes;
+
+  return boxes.map((box) => {
+    let [x0, y0, z0, x1, y1, z1] = box;
+    // A quarter turn clockwise seen from above: north -> east
+    for (let t = 0; t < turns; t++) {
+      [x0, z0, x1, z1] = [Math.min(z0, z1), Math.min(1 - x0, 1 - x1), Math.max(z0, z1), Math.max(1 - x0, 1 - x1)];
     }
-  }
-  return nearby;
-}
-
-// Deterministic hash for corruption probability (stable across chunk boundaries)
-function corruptionHash(wx, wz) {
-  let h = (wx * 374761393 + wz * 1274126177) | 0;
-  h = ((h ^ (h >> 13)) * 1103515245) | 0;
-  return (h & 0x7fffffff) / 0x7fffffff;
+    return [x0, y0, z0, x1, y1, z1];
+  });
 }
 
-function applyCorruption(blocks, chunkX, chunkZ, nearbyRifts) {
-  if (nearbyRifts.length === 0) return;
-
-  for (let x = 0; x < CHUNK_SIZE; x++) {
-    for (let z = 0; z < CHUNK_SIZE; z++) {
-      // World position in blocks, then convert to world units for distance
-      const worldX = (chunkX * CHUNK_SIZE + x) * VOXEL_SIZE;
-      const worldZ = (chunkZ * CHUNK_SIZE + z) * VOXEL_SIZE;
-
-      // Find minimum distance to any rift (in blocks)
-      let minDist = Infinity;
-      for (const rift of nearbyRifts) {
-        const dx = worldX - rift.x;
-        const dz = worldZ - rift.z;
-        const distWorld = Math.sqrt(dx * dx + dz * dz);
-        const distBlocks = distWorld / VOXEL_SIZE;
-        if (distBlocks < minDist) minDist = distBlocks;
-      }
-
-      if (minDist > CORRUPTION_RADIUS_LIGHT) continue;
-
-      const wx = chunkX * CHUNK_SIZE + x;
-      const wz = chunkZ * CHUNK_SIZE + z;
-
-      // Z1: 0-16 blocks, 100% → CORRUPTED_STONE
-      if (minDist <= CORRUPTION_RADIUS_FULL) {
-        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-          const index = x + (z << 4) + (y << 8);
-          const block = blocks[index];
-          if (block === BlockTypes.GRASS || block === BlockTypes.DIRT ||
-              block === BlockTypes.SAND || block === BlockTypes.SNOW ||
-              block === BlockTypes.CLAY || block === BlockTypes.STONE) {
-            blocks[index] = BlockTypes.CORRUPTED_STONE;
-          } else if (block === BlockTypes.WOOD) {
-            blocks[index] = BlockTypes.DEAD_WOOD;
-          } else if (block === BlockTypes.LEAVES || block === BlockTypes.BERRY_BUSH) {
-            blocks[index] = BlockTypes.AIR;
+/**
+ * Walk every visible face of a block grid and emit quads, merging
+ * coplanar neighbors that share block type, AO and light.
+ *
+ * sampleFace(x, y, z, face, out) returns false for hidden faces, otherwise
+ * fills out.blockType, out.ao (four 2-bit vertex AO levels, vertex 0 in the
+ * low bits), out.light (four vertex light bytes, vertex 0 in the low byte)
+ * and out.mergeable. Only faces with uniform AO and light are mergeable so
+ * that stretching a quad never changes its shading.
+ *
+ * @param {number[]} dims - Grid size [x, y, z]
+ * @param {Function} sampleFace - Visibility/shading probe for one face
+ * @param {Function} emitQuad - (x, y, z, face, blockType, ao, light, sx, sy, sz)
+ * @param {boolean} greedy - Merge faces (false emits one quad per face)
+ * @returns {number} Visible face count (quads an unmerged mesh would need)
+ */
+function meshFaces(dims, sampleFace, emitQuad, greedy) {
+  const cell = { blockType: 0, ao: 0, light: 0, mergeable: false };
+  const pos = [0, 0, 0];
+  const size = [1, 1, 1];
+  let faceCount = 0;
+
+  for (const face of FACE_NAMES) {
+    const { d, u, v } = FACE_AXES[face];
+    const sizeU = dims[u];
+    const sizeV = dims[v];
+    const maskSize = sizeU * sizeV;
+    const maskType = new Int16Array(maskSize);
+    const maskAO = new Uint8Array(maskSize);
+    const maskLight = new Uint32Array(maskSize);
+    const maskMerge = new Uint8Array(maskSize);
+
+    for (let slice = 0; slice < dims[d]; slice++) {
+      // Build the mask of visible faces in this slice
+      pos[d] = slice;
+      for (let j = 0; j < sizeV; j++) {
+        for (let i = 0; i < sizeU; i++) {
+          const m = i + j * sizeU;
+          pos[u] = i;
+          pos[v] = j;
+          if (!sampleFace(pos[0], pos[1], pos[2], face, cell)) {
+            maskType[m] = -1;
+            continue;
           }
+          faceCount++;
+          maskType[m] = cell.blockType;
+          maskAO[m] = cell.ao;
+          maskLight[m] = cell.light;
+          maskMerge[m] = greedy && cell.mergeable ? 1 : 0;
         }
-        continue;
       }
 
-      // Z2: 17-28 blocks — 80% CORRUPTED_STONE / 20% CORRUPTED_GRASS, gray trunks, no leaves
-      if (minDist <= CORRUPTION_RADIUS_HEAVY) {
-        const roll2 = corruptionHash(wx, wz);
-        const toCorruptedStone = roll2 < 0.80;
-        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-          const index = x + (z << 4) + (y << 8);
-          const block = blocks[index];
-          if (block === BlockTypes.GRASS || block === BlockTypes.DIRT ||
-              block === BlockTypes.SAND || block === BlockTypes.SNOW ||
-              block === BlockTypes.CLAY || block === BlockTypes.STONE) {
-            blocks[index] = toCorruptedStone ? BlockTypes.CORRUPTED_STONE : BlockTypes.CORRUPTED_GRASS;
-          } else if (block === BlockTypes.WOOD) {
-            blocks[index] = BlockTypes.DEAD_WOOD;
-          } else if (block === BlockTypes.LEAVES || block === BlockTypes.BERRY_BUSH) {
-            blocks[index] = BlockTypes.AIR;
+      // Grow rectangles out of the mask
+      for (let j = 0; j < sizeV; j++) {
+        for (let i = 0; i < sizeU;) {
+          const m = i + j * sizeU;
+          const blockType = maskType[m];
+          if (blockType < 0) {
+            i++;
+            continue;
           }
-        }
-      }
-
-      // Z3: 29-32 blocks — all leaves/bushes die, 50% ground → CORRUPTED_GRASS
-      if (minDist > CORRUPTION_RADIUS_HEAVY) {
-        const roll3 = corruptionHash(wx + 7919, wz + 31337);
-        for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-          const index = x + (z << 4) + (y << 8);
-          const block = blocks[index];
-          if (block === BlockTypes.LEAVES || block === BlockTypes.BERRY_BUSH) {
-            blocks[index] = BlockTypes.DEAD_LEAVES;
-          } else if (roll3 < 0.50 && (block === BlockTypes.GRASS || block === BlockTypes.DIRT ||
-              block === BlockTypes.SAND || block === BlockTypes.SNOW)) {
-            blocks[index] = BlockTypes.CORRUPTED_GRASS;
+          const ao = maskAO[m];
+          const light = maskLight[m];
+          let w = 1;
+          let h = 1;
+
+          if (maskMerge[m]) {
+            const matches = (n) => maskType[n] === blockType && maskMerge[n] &&
+              maskAO[n] === ao && maskLight[n] === light;
+
+            while (i + w < sizeU && matches(m + w)) w++;
+            grow: while (j + h < sizeV) {
+              const row = m + h * sizeU;
+              for (let k = 0; k < w; k++) {
+                if (!matches(row + k)) break grow;
+              }
+              h++;
+            }
           }
-        }
-      }
-    }
-  }
-}
-
-// ============================================================================
-// TERRAIN GENERATION
-// ============================================================================
 
-function generateTerrain(params) {
-  const { chunkX, chunkZ, seed } = params;
-  const noise = new SimplexNoise(seed);
-  const random = new SeededRandom(seed + chunkX * 31337 + chunkZ * 7919);
-  const blocks = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE_Y);
-
-  // Terrain parameters - deep underground for stone/iron/gold
-  const seaLevel = 8;
-  const baseHeight = 24;
-  const heightVariation = 6;
-
-  for (let x = 0; x < CHUNK_SIZE; x++) {
-    for (let z = 0; z < CHUNK_SIZE; z++) {
-      const worldX = chunkX * CHUNK_SIZE + x;
-      const worldZ = chunkZ * CHUNK_SIZE + z;
-
-      const heightNoise = noise.fbm(worldX * 0.02, worldZ * 0.02, 4, 2, 0.5);
-      const height = Math.floor(baseHeight + heightNoise * heightVariation);
-
-      const temperature = noise.fbm(worldX * 0.005 + 1000, worldZ * 0.005, 2);
-      const moisture = noise.fbm(worldX * 0.005 + 2000, worldZ * 0.005 + 1000, 2);
-
-      let surfaceBlock = BlockTypes.GRASS;
-      let subsurfaceBlock = BlockTypes.DIRT;
-
-      if (temperature < -0.3) {
-        surfaceBlock = BlockTypes.SNOW;
-      } else if (temperature > 0.3 && moisture < -0.2) {
-        surfaceBlock = BlockTypes.SAND;
-        subsurfaceBlock = BlockTypes.SAND;
-      } else if (moisture > 0.3 && height <= seaLevel + 1) {
-        surfaceBlock = BlockTypes.CLAY;
-      }
+          pos[u] = i;
+          pos[v] = j;
+          size[d] = 1;
+          size[u] = w;
+          size[v] = h;
+          emitQuad(pos[0], pos[1], pos[2], face, blockType, ao, light, size[0], size[1], size[2]);
 
-      for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-        const index = x + (z << 4) + (y << 8);
-        let blockType = BlockTypes.AIR;
-
-        if (y === 0) {
-          blockType = BlockTypes.BEDROCK;
-        } else if (y < height - 4) {
-          blockType = BlockTypes.STONE;
-          const oreNoise = noise.noise2D(worldX * 0.1 + y * 0.1, worldZ * 0.1);
-          if (y < 10 && oreNoise > 0.7 && random.next() < 0.3) {
-            blockType = BlockTypes.GOLD_ORE;
-          } else if (y < 16 && oreNoise > 0.6 && random.next() < 0.4) {
-            blockType = BlockTypes.IRON_ORE;
-          } else if (oreNoise > 0.5 && random.next() < 0.5) {
-            blockType = BlockTypes.COAL_ORE;
+          for (let dv = 0; dv < h; dv++) {
+            maskType.fill(-1, m + dv * sizeU, m + dv * sizeU + w);
           }
-        } else if (y < height) {
-          blockType = subsurfaceBlock;
-        } else if (y === height) {
-          blockType = surfaceBlock;
-        } else if (y <= seaLevel && height < seaLevel) {
-          blockType = BlockTypes.WATER;
+          i += w;
         }
-
-        blocks[index] = blockType;
-      }
-
-      // Trees
-      if (surfaceBlock === BlockTypes.GRASS &&
-          height > seaLevel &&
-          height < CHUNK_SIZE_Y - 5 &&
-          random.next() < 0.02) {
-        generateTree(blocks, x, height + 1, z, random);
-      }
-
-      // Berry bushes — spawn on grass if no tree above
-      if (surfaceBlock === BlockTypes.GRASS &&
-          height > seaLevel &&
-          height + 1 < CHUNK_SIZE_Y &&
-          blocks[x + (z << 4) + ((height + 1) << 8)] === BlockTypes.AIR &&
-          random.next() < 0.03) {
-        blocks[x + (z << 4) + ((height + 1) << 8)] = BlockTypes.BERRY_BUSH;
       }
     }
   }
 
-  // Rift corruption pass — runs after trees + bushes so dead trees emerge naturally
-  const riftPositions = getRiftPositions(seed);
-  const nearbyRifts = getRiftsNearChunk(riftPositions, chunkX, chunkZ);
-  applyCorruption(blocks, chunkX, chunkZ, nearbyRifts);
-
-  return { blocks, chunkX, chunkZ };
-}
-
-function generateTree(blocks, x, baseY, z, random) {
-  const trunkHeight = random.nextInt(3, 5);
-  if (baseY + trunkHeight + 2 >= CHUNK_SIZE_Y) return;
-  if (x < 2 || x >= CHUNK_SIZE - 2 || z < 2 || z >= CHUNK_SIZE - 2) return;
-
-  for (let y = 0; y < trunkHeight; y++) {
-    blocks[x + (z << 4) + ((baseY + y) << 8)] = BlockTypes.WOOD;
-  }
-
-  const leafY = baseY + trunkHeight;
-  for (let dy = 0; dy <= 2; dy++) {
-    const radius = dy === 2 ? 1 : 2;
-    for (let dx = -radius; dx <= radius; dx++) {
-      for (let dz = -radius; dz <= radius; dz++) {
-        const lx = x + dx, ly = leafY + dy, lz = z + dz;
-        if (lx >= 0 && lx < CHUNK_SIZE && ly >= 0 && ly < CHUNK_SIZE_Y && lz >= 0 && lz < CHUNK_SIZE) {
-          const dist = Math.abs(dx) + Math.abs(dz);
-          if (dist <= radius && random.next() > 0.2) {
-            const index = lx + (lz << 4) + (ly << 8);
-            if (blocks[index] === BlockTypes.AIR) {
-              blocks[index] = BlockTypes.LEAVES;
-            }
-          }
-        }
-      }
-    }
-  }
+  return faceCount;
 }
 
 // ============================================================================
@@ -490,7 +286,13 @@ function generateTree(blocks, x, baseY, z, random) {
 // ============================================================================
 
 function buildChunkMesh(params) {
-  const { blocks, neighborNorth, neighborSouth, neighborEast, neighborWest } = params;
+  const {
+    blocks, neighborNorth, neighborSouth, neighborEast, neighborWest,
+    neighborUp, neighborDown,
+    light, lightNorth, lightSouth, lightEast, lightWest, lightUp, lightDown,
+    states,
+  } = params;
+  const baseY = (params.chunkY || 0) * CHUNK_SIZE_Y;
 
   const maxVertices = 40000;
   const positions = new Float32Array(maxVertices * 3);
@@ -501,7 +303,14 @@ function buildChunkMesh(params) {
   let vertexCount = 0;
 
   function getBlock(x, y, z) {
-    if (y < 0 || y >= CHUNK_SIZE_Y) return BlockTypes.AIR;
+    if (y < 0) {
+      if (!neighborDown) return BlockTypes.AIR;
+      return neighborDown[x + (z << 4) + ((CHUNK_SIZE_Y - 1) << 8)];
+    }
+    if (y >= CHUNK_SIZE_Y) {
+      if (!neighborUp) return BlockTypes.AIR;
+      return neighborUp[x + (z << 4) + (0 << 8)];
+    }
     if (x < 0) {
       if (!neighborWest) return BlockTypes.AIR;
       return neighborWest[(CHUNK_SIZE - 1) + (z << 4) + (y << 8)];
@@ -524,7 +333,7 @@ function buildChunkMesh(params) {
   function shouldRenderFace(blockType, adjacentType) {
     if (blockType === BlockTypes.AIR) return false;
     if (TransparentBlocks.has(adjacentType)) {
-      if (blockType === adjacentType) return false;
+      if (blockType === adjacentType || isSameFluid(blockType, adjacentType)) return false;
       return true;
     }
     return false;
@@ -532,7 +341,7 @@ function buildChunkMesh(params) {
 
   function isSolidForAO(x, y, z) {
     const b = getBlock(x, y, z);
-    return b !== BlockTypes.AIR && b !== BlockTypes.WATER && b !== BlockTypes.LEAVES && b !== BlockTypes.ICE && b !== BlockTypes.DEAD_LEAVES;
+    return !TransparentBlocks.has(b);
   }
 
   // AO neighbor offsets per face per vertex: [side1, side2, corner]
@@ -585,155 +394,194 @@ function buildChunkMesh(params) {
     return (h & 0x7fffffff) / 0x7fffffff; // 0.0–1.0
   }
 
-  // Pre-scan for campfire positions in chunk AND neighbor edges (for warm glow)
-  const campfirePositions = [];
-  const CAMPFIRE_GLOW_RADIUS = 5;
-  // Scan own chunk
-  for (let cy = 0; cy < CHUNK_SIZE_Y; cy++) {
-    for (let cz = 0; cz < CHUNK_SIZE; cz++) {
-      for (let cx = 0; cx < CHUNK_SIZE; cx++) {
-        if (blocks[cx + (cz << 4) + (cy << 8)] === BlockTypes.CAMPFIRE) {
-          campfirePositions.push(cx, cy, cz);
-        }
-      }
+  // Packed light at local coordinates, reaching one layer into neighbors.
+  // Missing data (no light sent, neighbor not loaded, diagonal) is open sky.
+  function getLight(x, y, z) {
+    if (!light) return FULL_SKY;
+    const outX = x < 0 || x >= CHUNK_SIZE;
+    const outY = y < 0 || y >= CHUNK_SIZE_Y;
+    const outZ = z < 0 || z >= CHUNK_SIZE;
+    if (outX + outY + outZ > 1) return FULL_SKY;
+
+    let source = light;
+    if (outY) {
+      source = y < 0 ? lightDown : lightUp;
+      y = y < 0 ? CHUNK_SIZE_Y - 1 : 0;
+    } else if (outX) {
+      source = x < 0 ? lightWest : lightEast;
+      x = x < 0 ? CHUNK_SIZE - 1 : 0;
+    } else if (outZ) {
+      source = z < 0 ? lightSouth : lightNorth;
+      z = z < 0 ? CHUNK_SIZE - 1 : 0;
     }
+    if (!source) return FULL_SKY;
+    return source[x + (z << 4) + (y << 8)];
   }
-  // Scan neighbor chunk edges for campfires within glow radius of boundary
-  // Positions are stored in local-space coordinates (negative or >= CHUNK_SIZE)
-  const R = CAMPFIRE_GLOW_RADIUS;
-  if (neighborWest) {
-    for (let cy = 0; cy < CHUNK_SIZE_Y; cy++) {
-      for (let cz = 0; cz < CHUNK_SIZE; cz++) {
-        for (let cx = CHUNK_SIZE - R; cx < CHUNK_SIZE; cx++) {
-          if (neighborWest[cx + (cz << 4) + (cy << 8)] === BlockTypes.CAMPFIRE) {
-            campfirePositions.push(cx - CHUNK_SIZE, cy, cz);
-          }
-        }
-      }
+
+  // Smooth light for one vertex: average of the open cells around the
+  // corner in front of the face (the same cells AO samples)
+  function vertexLight(fx, fy, fz, offsets, x, y, z) {
+    const front = getLight(fx, fy, fz);
+    let sky = front >> 4;
+    let blockLight = front & 0x0f;
+    let count = 1;
+
+    const s1 = isSolidForAO(x + offsets[0][0], y + offsets[0][1], z + offsets[0][2]);
+    const s2 = isSolidForAO(x + offsets[1][0], y + offsets[1][1], z + offsets[1][2]);
+    // Corner light can't leak between two solid sides
+    const cn = (s1 && s2) || isSolidForAO(x + offsets[2][0], y + offsets[2][1], z + offsets[2][2]);
+    const open = [!s1, !s2, !cn];
+
+    for (let k = 0; k < 3; k++) {
+      if (!open[k]) continue;
+      const l = getLight(x + offsets[k][0], y + offsets[k][1], z + offsets[k][2]);
+      sky += l >> 4;
+      blockLight += l & 0x0f;
+      count++;
     }
+    return (Math.round(sky / count) << 4) | Math.round(blockLight / count);
   }
-  if (neighborEast) {
-    for (let cy = 0; cy < CHUNK_SIZE_Y; cy++) {
-      for (let cz = 0; cz < CHUNK_SIZE; cz++) {
-        for (let cx = 0; cx < R; cx++) {
-          if (neighborEast[cx + (cz << 4) + (cy << 8)] === BlockTypes.CAMPFIRE) {
-            campfirePositions.push(cx + CHUNK_SIZE, cy, cz);
-          }
-        }
-      }
+
+  // Per-vertex AO levels for one block face, packed 2 bits per vertex
+  function faceAO(x, y, z, face) {
+    const aoOffsets = AO_OFFSETS[face];
+    let packed = 0;
+    for (let i = 0; i < 4; i++) {
+      const offsets = aoOffsets[i];
+      const s1 = isSolidForAO(x + offsets[0][0], y + offsets[0][1], z + offsets[0][2]);
+      const s2 = isSolidForAO(x + offsets[1][0], y + offsets[1][1], z + offsets[1][2]);
+      const cn = isSolidForAO(x + offsets[2][0], y + offsets[2][1], z + offsets[2][2]);
+      packed |= ((s1 && s2) ? 0 : 3 - (s1 + s2 + cn)) << (i * 2);
     }
+    return packed;
   }
-  if (neighborSouth) {
-    for (let cy = 0; cy < CHUNK_SIZE_Y; cy++) {
-      for (let cz = CHUNK_SIZE - R; cz < CHUNK_SIZE; cz++) {
-        for (let cx = 0; cx < CHUNK_SIZE; cx++) {
-          if (neighborSouth[cx + (cz << 4) + (cy << 8)] === BlockTypes.CAMPFIRE) {
-            campfirePositions.push(cx, cy, cz - CHUNK_SIZE);
-          }
-        }
-      }
+
+  function sampleFace(x, y, z, face, out) {
+    const index = x + (z << 4) + (y << 8);
+    const blockType = blocks[index];
+    const kind = StateKinds[blockType];
+    // Shaped blocks are drawn box by box after the cubes
+    if (kind !== undefined && SHAPE_BOXES[kind]) return false;
+    const n = FACES[face].normal;
+    if (!shouldRenderFace(blockType, getBlock(x + n[0], y + n[1], z + n[2]))) return false;
+
+    const fx = x + n[0];
+    const fy = y + n[1];
+    const fz = z + n[2];
+    const aoOffsets = AO_OFFSETS[face];
+    let packedLight = 0;
+    for (let i = 0; i < 4; i++) {
+      packedLight |= vertexLight(fx, fy, fz, aoOffsets[i], x, y, z) << (i * 8);
     }
-  }
-  if (neighborNorth) {
-    for (let cy = 0; cy < CHUNK_SIZE_Y; cy++) {
-      for (let cz = 0; cz < R; cz++) {
-        for (let cx = 0; cx < CHUNK_SIZE; cx++) {
-          if (neighborNorth[cx + (cz << 4) + (cy << 8)] === BlockTypes.CAMPFIRE) {
-            campfirePositions.push(cx, cy, cz + CHUNK_SIZE);
-          }
-        }
-      }
+
+    out.blockType = blockType;
+    if (kind !== undefined && isVariantFace(kind, states ? states[index] : 0, face)) {
+      out.blockType |= VARIANT_FACE;
     }
+    out.ao = faceAO(x, y, z, face);
+    out.light = packedLight >>> 0;
+    // Campfires flicker per vertex; mixed AO or light would smear when stretched
+    out.mergeable = blockType !== BlockTypes.CAMPFIRE &&
+      out.ao === (out.ao & 3) * 85 &&
+      out.light === ((packedLight & 0xff) * 0x01010101) >>> 0;
+    return true;
   }
 
-  function getCampfireGlow(x, y, z) {
-    let glow = 0;
-    for (let i = 0; i < campfirePositions.length; i += 3) {
-      const dx = x - campfirePositions[i];
-      const dy = y - campfirePositions[i + 1];
-      const dz = z - campfirePositions[i + 2];
-      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-      if (dist < CAMPFIRE_GLOW_RADIUS && dist > 0) {
-        glow = Math.max(glow, 1.0 - dist / CAMPFIRE_GLOW_RADIUS);
-      }
-    }
-    return glow;
+  // Log ends and furnace mouths are drawn in the block's variant color
+  function isVariantFace(kind, packed, face) {
+    if (kind === 'log') return LOG_END_FACES[packed & 3].includes(face);
+    if (kind === 'furnace') return face === FACING_FACES[packed & 3];
+    return false;
   }
 
-  function addFace(x, y, z, face, blockType) {
+  // Emit a quad covering sx*sy*sz blocks from (x, y, z), or one face of a
+  // box inside the block at (x, y, z). Shading that varies per block
+  // (height, noise) is sampled at the block under each corner.
+  function addFace(x, y, z, face, blockType, packedAO, packedLight, sx, sy, sz, box) {
     if (vertexCount + 4 > maxVertices) return;
 
     const faceData = FACES[face];
-    const color = BlockColors[blockType] || [1, 0, 1];
+    const color = (blockType & VARIANT_FACE
+      ? VariantColors[blockType & 0xff]
+      : BlockColors[blockType]) || [1, 0, 1];
 
     let lightMod = 1.0;
     if (face === 'bottom') lightMod = 0.5;
     else if (face === 'north' || face === 'south') lightMod = 0.8;
     else if (face === 'east' || face === 'west') lightMod = 0.7;
 
-    // Height-based brightness: lower blocks are slightly darker, higher are brighter
-    // Range: ~0.88 at y=0 to ~1.08 at y=15 (subtle but visible at elevation changes)
-    const heightMod = 0.88 + (y / CHUNK_SIZE_Y) * 0.20;
-
-    // Per-block noise: ±4% brightness variation to break up uniform surfaces
-    const noiseMod = 0.96 + blockHash(x, y, z) * 0.08;
-
-    // Warm glow from nearby campfires
-    const campGlow = campfirePositions.length > 0 ? getCampfireGlow(x, y, z) : 0;
-
-    const aoOffsets = AO_OFFSETS[face];
     const startVertex = vertexCount;
 
     for (let i = 0; i < 4; i++) {
       const v = faceData.vertices[i];
       const idx = vertexCount * 3;
 
-      positions[idx] = (x + v[0]) * VOXEL_SIZE;
-      positions[idx + 1] = (y + v[1]) * VOXEL_SIZE;
-      positions[idx + 2] = (z + v[2]) * VOXEL_SIZE;
+      if (box) {
+        positions[idx] = (x + box[0] + v[0] * (box[3] - box[0])) * VOXEL_SIZE;
+        positions[idx + 1] = (y + box[1] + v[1] * (box[4] - box[1])) * VOXEL_SIZE;
+        positions[idx + 2] = (z + box[2] + v[2] * (box[5] - box[2])) * VOXEL_SIZE;
+      } else {
+        positions[idx] = (x + v[0] * sx) * VOXEL_SIZE;
+        positions[idx + 1] = (y + v[1] * sy) * VOXEL_SIZE;
+        positions[idx + 2] = (z + v[2] * sz) * VOXEL_SIZE;
+      }
 
       normals[idx] = faceData.normal[0];
       normals[idx + 1] = faceData.normal[1];
       normals[idx + 2] = faceData.normal[2];
 
-      // Compute per-vertex AO
-      const offsets = aoOffsets[i];
-      const s1 = isSolidForAO(x + offsets[0][0], y + offsets[0][1], z + offsets[0][2]);
-      const s2 = isSolidForAO(x + offsets[1][0], y + offsets[1][1], z + offsets[1][2]);
-      const cn = isSolidForAO(x + offsets[2][0], y + offsets[2][1], z + offsets[2][2]);
-      const ao = (s1 && s2) ? 0 : 3 - (s1 + s2 + cn);
-      const aoMod = AO_BRIGHTNESS[ao];
+      // Block under this corner of the quad
+      const bx = x + v[0] * (sx - 1);
+      const by = y + v[1] * (sy - 1);
+      const bz = z + v[2] * (sz - 1);
+
+      // Height-based brightness: lower blocks are slightly darker, higher are brighter
+      // Range: ~0.88 at world y<=0 to ~1.08 at y>=HEIGHT_SHADE_RANGE (uses absolute
+      // height so stacked chunks shade continuously across seams)
+      const heightMod = 0.88 + Math.max(0, Math.min(1, (baseY + by) / HEIGHT_SHADE_RANGE)) * 0.20;
+
+      // Per-block noise: ±4% brightness variation to break up uniform surfaces
+      const noiseMod = 0.96 + blockHash(bx, by, bz) * 0.08;
+
+      const aoMod = AO_BRIGHTNESS[(packedAO >> (i * 2)) & 3];
+
+      // Baked voxel light: darker away from sky and light sources, with a
+      // warm tint near torches and campfires
+      const vLight = (packedLight >>> (i * 8)) & 0xff;
+      const blockLight = vLight & 0x0f;
+      const lightLevelMod = LIGHT_CURVE[Math.max(vLight >> 4, blockLight)];
+      const glow = BLOCK_GLOW[blockLight];
 
       // Campfire blocks glow — skip darkening, boost brightness with flicker
       if (blockType === BlockTypes.CAMPFIRE) {
-        const flicker = 0.9 + blockHash(x + i, y, z + i) * 0.2; // 0.9–1.1
+        const flicker = 0.9 + blockHash(bx + i, by, bz + i) * 0.2; // 0.9–1.1
         colors[idx] = Math.min(1, 1.2 * flicker);       // bright yellow-white
         colors[idx + 1] = Math.min(1, 0.7 * flicker);
         colors[idx + 2] = Math.min(1, 0.2 * flicker);
         emissive[vertexCount] = 1.0; // fully emissive — stays bright at night
       } else if (blockType === BlockTypes.CORRUPTED_STONE) {
         // Dark purple with vein variation — keeps AO/height darkening
-        const vein = blockHash(x + i, y, z + i) * 0.08;
-        const finalMod = lightMod * aoMod * heightMod;
+        const vein = blockHash(bx + i, by, bz + i) * 0.08;
+        const finalMod = lightMod * aoMod * heightMod * lightLevelMod;
         colors[idx] = Math.min(1, (0.12 + vein) * finalMod);
         colors[idx + 1] = Math.min(1, 0.05 * finalMod);
         colors[idx + 2] = Math.min(1, (0.15 + vein) * finalMod);
       } else if (blockType === BlockTypes.CORRUPTED_GRASS) {
-        const finalMod = lightMod * aoMod * heightMod * noiseMod;
+        const finalMod = lightMod * aoMod * heightMod * noiseMod * lightLevelMod;
         colors[idx] = Math.min(1, 0.20 * finalMod);
         colors[idx + 1] = Math.min(1, 0.30 * finalMod);
         colors[idx + 2] = Math.min(1, 0.15 * finalMod);
       } else {
-        const finalMod = lightMod * aoMod * heightMod * noiseMod;
+        const finalMod = lightMod * aoMod * heightMod * noiseMod * lightLevelMod;
         let r = color[0] * finalMod;
         let g = color[1] * finalMod;
         let b = color[2] * finalMod;
-        // Blend warm campfire glow onto nearby blocks
-        if (campGlow > 0) {
-          r = r + campGlow * 0.6;
-          g = g + campGlow * 0.3;
-          b = b + campGlow * 0.05;
-          emissive[vertexCount] = campGlow * 0.7; // partial emissive for warm glow at night
+        // Blend warm glow from block light onto lit blocks
+        if (glow > 0) {
+          r = r + glow * 0.6;
+          g = g + glow * 0.3;
+          b = b + glow * 0.05;
+          emissive[vertexCount] = glow * 0.7; // partial emissive for warm glow at night
         }
         colors[idx] = Math.min(1, r);
         colors[idx + 1] = Math.min(1, g);
@@ -749,18 +597,32 @@ function buildChunkMesh(params) {
     );
   }
 
-  for (let y = 0; y < CHUNK_SIZE_Y; y++) {
-    for (let z = 0; z < CHUNK_SIZE; z++) {
-      for (let x = 0; x < CHUNK_SIZE; x++) {
-        const blockType = blocks[x + (z << 4) + (y << 8)];
-        if (blockType === BlockTypes.AIR) continue;
-
-        if (shouldRenderFace(blockType, getBlock(x, y + 1, z))) addFace(x, y, z, 'top', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y - 1, z))) addFace(x, y, z, 'bottom', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y, z + 1))) addFace(x, y, z, 'north', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y, z - 1))) addFace(x, y, z, 'south', blockType);
-        if (shouldRenderFace(blockType, getBlock(x + 1, y, z))) addFace(x, y, z, 'east', blockType);
-        if (shouldRenderFace(blockType, getBlock(x - 1, y, z))) addFace(x, y, z, 'west', blockType);
+  const visibleFaces = meshFaces(
+    [CHUNK_SIZE, CHUNK_SIZE_Y, CHUNK_SIZE], sampleFace, addFace, params.greedy !== false
+  );
+
+  // Shaped blocks (stairs, doors, trapdoors, signs): one quad per box
+  // face, lit by the block's own cell. Faces flush with the block's side
+  // are hidden by an opaque neighbor like a cube's would be.
+  let shapedFaces = 0;
+  for (let index = 0; index < blocks.length; index++) {
+    const blockType = blocks[index];
+    const kind = StateKinds[blockType];
+    if (kind === undefined || !SHAPE_BOXES[kind]) continue;
+
+    const x = index & 15;
+    const z = (index >> 4) & 15;
+    const y = index >> 8;
+    const packedLight = (getLight(x, y, z) * 0x01010101) >>> 0;
+
+    for (const box of getShapeBoxes(kind, states ? states[index] : 0)) {
+      for (const face of FACE_NAMES) {
+        const n = FACES[face].normal;
+        const axis = FACE_AXES[face].d;
+        const flush = n[axis] > 0 ? box[axis + 3] === 1 : box[axis] === 0;
+        if (flush && !TransparentBlocks.has(getBlock(x + n[0], y + n[1], z + n[2]))) continue;
+        addFace(x, y, z, face, blockType, 0xff, packedLight, 1, 1, 1, box);
+        shapedFaces++;
       }
     }
   }
@@ -773,6 +635,7 @@ function buildChunkMesh(params) {
     indices: new Uint32Array(indices),
     vertexCount,
     faceCount: indices.length / 6,
+    naiveVertexCount: (visibleFaces + shapedFaces) * 4,
   };
 }
 
@@ -836,7 +699,9 @@ function generateLODBlocks(sourceBlocks, lodLevel) {
 function buildLODMesh(params) {
   const { blocks, lodLevel } = params;
   const { lodBlocks, lodSize, lodSizeY } = generateLODBlocks(blocks, lodLevel);
-  const voxelScale = LOD_MERGE_FACTORS[lodLevel] * VOXEL_SIZE;
+  const mergeFactor = LOD_MERGE_FACTORS[lodLevel];
+  const voxelScale = mergeFactor * VOXEL_SIZE;
+  const baseY = (params.chunkY || 0) * CHUNK_SIZE_Y;
 
   const maxVertices = 16000;
   const positions = new Float32Array(maxVertices * 3);
@@ -856,7 +721,7 @@ function buildLODMesh(params) {
   function shouldRenderFace(blockType, adjacentType) {
     if (blockType === BlockTypes.AIR) return false;
     if (TransparentBlocks.has(adjacentType)) {
-      if (blockType === adjacentType) return false;
+      if (blockType === adjacentType || isSameFluid(blockType, adjacentType)) return false;
       return true;
     }
     return false;
@@ -864,7 +729,7 @@ function buildLODMesh(params) {
 
   function isSolidForAO(x, y, z) {
     const b = getBlock(x, y, z);
-    return b !== BlockTypes.AIR && b !== BlockTypes.WATER && b !== BlockTypes.LEAVES && b !== BlockTypes.ICE && b !== BlockTypes.DEAD_LEAVES;
+    return !TransparentBlocks.has(b);
   }
 
   const AO_OFFSETS_LOD = {
@@ -914,7 +779,29 @@ function buildLODMesh(params) {
     return (h & 0x7fffffff) / 0x7fffffff;
   }
 
-  function addFace(x, y, z, face, blockType) {
+  function sampleFace(x, y, z, face, out) {
+    const blockType = lodBlocks[x + (z * lodSize) + (y * lodSize * lodSize)];
+    const n = FACES[face].normal;
+    if (!shouldRenderFace(blockType, getBlock(x + n[0], y + n[1], z + n[2]))) return false;
+
+    const aoOffsets = AO_OFFSETS_LOD[face];
+    let ao = 0;
+    for (let i = 0; i < 4; i++) {
+      const offsets = aoOffsets[i];
+      const s1 = isSolidForAO(x + offsets[0][0], y + offsets[0][1], z + offsets[0][2]);
+      const s2 = isSolidForAO(x + offsets[1][0], y + offsets[1][1], z + offsets[1][2]);
+      const cn = isSolidForAO(x + offsets[2][0], y + offsets[2][1], z + offsets[2][2]);
+      ao |= ((s1 && s2) ? 0 : 3 - (s1 + s2 + cn)) << (i * 2);
+    }
+
+    out.blockType = blockType;
+    out.ao = ao;
+    out.light = FULL_SKY * 0x01010101;
+    out.mergeable = blockType !== BlockTypes.CAMPFIRE && ao === (ao & 3) * 85;
+    return true;
+  }
+
+  function addFace(x, y, z, face, blockType, packedAO, packedLight, sx, sy, sz) {
     if (vertexCount + 4 > maxVertices) return;
     const faceData = FACES[face];
     const color = BlockColors[blockType] || [1, 0, 1];
@@ -923,35 +810,32 @@ function buildLODMesh(params) {
     else if (face === 'north' || face === 'south') lightMod = 0.8;
     else if (face === 'east' || face === 'west') lightMod = 0.7;
 
-    const heightMod = 0.88 + (y / lodSizeY) * 0.20;
-    const noiseMod = 0.96 + lodBlockHash(x, y, z) * 0.08;
-
-    const aoOffsets = AO_OFFSETS_LOD[face];
     const startVertex = vertexCount;
     for (let i = 0; i < 4; i++) {
       const v = faceData.vertices[i];
       const idx = vertexCount * 3;
-      positions[idx] = (x + v[0]) * voxelScale;
-      positions[idx + 1] = (y + v[1]) * voxelScale;
-      positions[idx + 2] = (z + v[2]) * voxelScale;
+      positions[idx] = (x + v[0] * sx) * voxelScale;
+      positions[idx + 1] = (y + v[1] * sy) * voxelScale;
+      positions[idx + 2] = (z + v[2] * sz) * voxelScale;
       normals[idx] = faceData.normal[0];
       normals[idx + 1] = faceData.normal[1];
       normals[idx + 2] = faceData.normal[2];
 
-      const offsets = aoOffsets[i];
-      const s1 = isSolidForAO(x + offsets[0][0], y + offsets[0][1], z + offsets[0][2]);
-      const s2 = isSolidForAO(x + offsets[1][0], y + offsets[1][1], z + offsets[1][2]);
-      const cn = isSolidForAO(x + offsets[2][0], y + offsets[2][1], z + offsets[2][2]);
-      const ao = (s1 && s2) ? 0 : 3 - (s1 + s2 + cn);
+      const bx = x + v[0] * (sx - 1);
+      const by = y + v[1] * (sy - 1);
+      const bz = z + v[2] * (sz - 1);
+      const heightMod = 0.88 + Math.max(0, Math.min(1, (baseY + by * mergeFactor) / HEIGHT_SHADE_RANGE)) * 0.20;
+      const noiseMod = 0.96 + lodBlockHash(bx, by, bz) * 0.08;
+      const ao = (packedAO >> (i * 2)) & 3;
 
       if (blockType === BlockTypes.CAMPFIRE) {
-        const flicker = 0.9 + lodBlockHash(x + i, y, z + i) * 0.2;
+        const flicker = 0.9 + lodBlockHash(bx + i, by, bz + i) * 0.2;
         colors[idx] = Math.min(1, 1.2 * flicker);
         colors[idx + 1] = Math.min(1, 0.7 * flicker);
         colors[idx + 2] = Math.min(1, 0.2 * flicker);
         emissive[vertexCount] = 1.0;
       } else if (blockType === BlockTypes.CORRUPTED_STONE) {
-        const vein = lodBlockHash(x + i, y, z + i) * 0.08;
+        const vein = lodBlockHash(bx + i, by, bz + i) * 0.08;
         const finalMod = lightMod * AO_BRIGHTNESS_LOD[ao] * heightMod;
         colors[idx] = Math.min(1, (0.12 + vein) * finalMod);
         colors[idx + 1] = Math.min(1, 0.05 * finalMod);
@@ -972,20 +856,9 @@ function buildLODMesh(params) {
     indices.push(startVertex, startVertex + 1, startVertex + 2, startVertex, startVertex + 2, startVertex + 3);
   }
 
-  for (let y = 0; y < lodSizeY; y++) {
-    for (let z = 0; z < lodSize; z++) {
-      for (let x = 0; x < lodSize; x++) {
-        const blockType = lodBlocks[x + (z * lodSize) + (y * lodSize * lodSize)];
-        if (blockType === BlockTypes.AIR) continue;
-        if (shouldRenderFace(blockType, getBlock(x, y + 1, z))) addFace(x, y, z, 'top', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y - 1, z))) addFace(x, y, z, 'bottom', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y, z + 1))) addFace(x, y, z, 'north', blockType);
-        if (shouldRenderFace(blockType, getBlock(x, y, z - 1))) addFace(x, y, z, 'south', blockType);
-        if (shouldRenderFace(blockType, getBlock(x + 1, y, z))) addFace(x, y, z, 'east', blockType);
-        if (shouldRenderFace(blockType, getBlock(x - 1, y, z))) addFace(x, y, z, 'west', blockType);
-      }
-    }
-  }
+  const visibleFaces = meshFaces(
+    [lodSize, lodSizeY, lodSize], sampleFace, addFace, params.greedy !== false
+  );
 
   return {
     positions: positions.slice(0, vertexCount * 3),
@@ -995,6 +868,7 @@ function buildLODMesh(params) {
     indices: new Uint32Array(indices),
     vertexCount,
     faceCount: indices.length / 6,
+    naiveVertexCount: visibleFaces * 4,
     lodLevel,
   };
 }
@@ -1023,6 +897,9 @@ self.onmessage = function(event) {
     case 'generateAndBuildMesh':
       handleGenerateAndBuildMesh(requestId, data);
       break;
+    case 'buildHorizonMesh':
+      handleBuildHorizonMesh(requestId, data);
+      break;
     case 'cancel':
       handleCancel(requestId);
       break;
@@ -1046,7 +923,9 @@ function handleGenerateTerrain(requestId, data) {
         requestId: requestId,
         blocks: result.blocks,
         chunkX: result.chunkX,
-        chunkZ: result.chunkZ
+        chunkY: result.chunkY,
+        chunkZ: result.chunkZ,
+        structures: result.structures
       },
       [result.blocks.buffer]
     );
@@ -1075,9 +954,11 @@ function handleBuildMesh(requestId, data) {
         colors: result.colors,
         indices: result.indices,
         vertexCount: result.vertexCount,
-        faceCount: result.faceCount
+        faceCount: result.faceCount,
+        naiveVertexCount: result.naiveVertexCount,
+        emissive: result.emissive
       },
-      [result.positions.buffer, result.normals.buffer, result.colors.buffer, result.indices.buffer]
+      [result.positions.buffer, result.normals.buffer, result.colors.buffer, result.indices.buffer, result.emissive.buffer]
     );
   } catch (error) {
     self.postMessage({ type: 'error', requestId: requestId, error: error.message });
@@ -1105,9 +986,11 @@ function handleBuildLODMesh(requestId, data) {
         indices: result.indices,
         vertexCount: result.vertexCount,
         faceCount: result.faceCount,
+        naiveVertexCount: result.naiveVertexCount,
+        emissive: result.emissive,
         lodLevel: result.lodLevel
       },
-      [result.positions.buffer, result.normals.buffer, result.colors.buffer, result.indices.buffer]
+      [result.positions.buffer, result.normals.buffer, result.colors.buffer, result.indices.buffer, result.emissive.buffer]
     );
   } catch (error) {
     self.postMessage({ type: 'error', requestId: requestId, error: error.message });
@@ -1130,7 +1013,11 @@ function handleGenerateAndBuildMesh(requestId, data) {
       neighborNorth: data.neighborNorth || null,
       neighborSouth: data.neighborSouth || null,
       neighborEast: data.neighborEast || null,
-      neighborWest: data.neighborWest || null
+      neighborWest: data.neighborWest || null,
+      neighborUp: data.neighborUp || null,
+      neighborDown: data.neighborDown || null,
+      chunkY: terrain.chunkY,
+      greedy: data.greedy
     });
     task = activeTasks.get(requestId);
     if (task && task.cancelled) {
@@ -1142,16 +1029,48 @@ function handleGenerateAndBuildMesh(requestId, data) {
         type: 'generateAndMeshComplete',
         requestId: requestId,
         chunkX: terrain.chunkX,
+        chunkY: terrain.chunkY,
         chunkZ: terrain.chunkZ,
         blocks: terrain.blocks,
+        structures: terrain.structures,
         positions: mesh.positions,
         normals: mesh.normals,
         colors: mesh.colors,
         indices: mesh.indices,
         vertexCount: mesh.vertexCount,
-        faceCount: mesh.faceCount
+        faceCount: mesh.faceCount,
+        naiveVertexCount: mesh.naiveVertexCount,
+        emissive: mesh.emissive
       },
-      [terrain.blocks.buffer, mesh.positions.buffer, mesh.normals.buffer, mesh.colors.buffer, mesh.indices.buffer]
+      [terrain.blocks.buffer, mesh.positions.buffer, mesh.normals.buffer, mesh.colors.buffer, mesh.indices.buffer, mesh.emissive.buffer]
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId: requestId, error: error.message });
+  } finally {
+    activeTasks.delete(requestId);
+  }
+}
+
+function handleBuildHorizonMesh(requestId, data) {
+  activeTasks.set(requestId, { cancelled: false });
+  try {
+    var result = buildHorizonMesh(data);
+    var task = activeTasks.get(requestId);
+    if (task && task.cancelled) {
+      activeTasks.delete(requestId);
+      return;
+    }
+    self.postMessage(
+      {
+        type: 'horizonMeshComplete',
+        requestId: requestId,
+        positions: result.positions,
+        normals: result.normals,
+        colors: result.colors,
+        indices: result.indices,
+        vertexCount: result.vertexCount
+      },
+      [result.positions.buffer, result.normals.buffer, result.colors.buffer, result.indices.buffer]
     );
   } catch (error) {
     self.postMessage({ type: 'error', requestId: requestId, error: error.message });